@@ -2,14 +2,20 @@
  * OrgManagement Component
  *
  * Organization settings and member management interface.
- * Allows admins to invite members, manage roles, and update organization settings.
+ * Allows admins to invite members, manage roles, update organization settings,
+ * raise or reset the monthly AI quota, choose the AI provider, and select and
+ * publish scoring rubrics.
  *
  * Based on plan.md frontend architecture for User Story 1
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { useOrg } from '../../contexts/OrgContext';
-import { members as membersAPI } from '../../services/api';
+import {
+  members as membersAPI,
+  organizations as organizationsAPI,
+  rubrics as rubricsAPI
+} from '../../services/api';
 
 function OrgManagement() {
   const { currentOrg, isAdmin } = useOrg();
@@ -19,6 +25,18 @@ function OrgManagement() {
   const [inviteEmail, setInviteEmail] = useState('');
   const [inviteRole, setInviteRole] = useState('viewer');
   const [inviting, setInviting] = useState(false);
+  const [quota, setQuota] = useState(null);
+  const [quotaForm, setQuotaForm] = useState({
+    monthly_token_limit: '',
+    monthly_usd_limit: '',
+    warning_percent: ''
+  });
+  const [savingQuota, setSavingQuota] = useState(false);
+  const [aiProvider, setAiProvider] = useState(null);
+  const [providerForm, setProviderForm] = useState({ provider: '', model: '' });
+  const [savingProvider, setSavingProvider] = useState(false);
+  const [rubrics, setRubrics] = useState(null);
+  const [selectedRubricId, setSelectedRubricId] = useState('');
 
   const loadMembers = useCallback(async () => {
     if (!currentOrg) return;
@@ -39,6 +57,61 @@ function OrgManagement() {
     loadMembers();
   }, [loadMembers]);
 
+  const applyQuota = data => {
+    setQuota(data);
+    setQuotaForm({
+      monthly_token_limit: data.tokens.limit ?? '',
+      monthly_usd_limit: data.usd.limit ?? '',
+      warning_percent: Math.round(data.warning_threshold * 100)
+    });
+  };
+
+  const loadQuota = useCallback(async () => {
+    if (!currentOrg) return;
+    try {
+      applyQuota(await organizationsAPI.getAiQuota(currentOrg.id));
+    } catch (err) {
+      console.error('Load AI quota error:', err);
+    }
+  }, [currentOrg]);
+
+  useEffect(() => {
+    loadQuota();
+  }, [loadQuota]);
+
+  const applyProvider = data => {
+    setAiProvider(data);
+    setProviderForm({ provider: data.provider || '', model: data.model || '' });
+  };
+
+  const loadProvider = useCallback(async () => {
+    if (!currentOrg) return;
+    try {
+      applyProvider(await organizationsAPI.getAiProvider(currentOrg.id));
+    } catch (err) {
+      console.error('Load AI provider error:', err);
+    }
+  }, [currentOrg]);
+
+  useEffect(() => {
+    loadProvider();
+  }, [loadProvider]);
+
+  const loadRubrics = useCallback(async () => {
+    if (!currentOrg) return;
+    try {
+      const data = await rubricsAPI.list(currentOrg.id);
+      setRubrics(data);
+      setSelectedRubricId(data.selected_rubric_id || '');
+    } catch (err) {
+      console.error('Load rubrics error:', err);
+    }
+  }, [currentOrg]);
+
+  useEffect(() => {
+    loadRubrics();
+  }, [loadRubrics]);
+
   const handleInvite = async e => {
     e.preventDefault();
     if (!inviteEmail) return;
@@ -59,6 +132,99 @@ function OrgManagement() {
     }
   };
 
+  const handleSaveQuota = async e => {
+    e.preventDefault();
+    setSavingQuota(true);
+    setError(null);
+
+    const toNumber = value => (value === '' ? null : Number(value));
+
+    try {
+      const data = await organizationsAPI.updateAiQuota(currentOrg.id, {
+        monthly_token_limit: toNumber(quotaForm.monthly_token_limit),
+        monthly_usd_limit: toNumber(quotaForm.monthly_usd_limit),
+        warning_threshold:
+          quotaForm.warning_percent === '' ? null : Number(quotaForm.warning_percent) / 100
+      });
+      applyQuota(data);
+    } catch (err) {
+      setError(err.details || err.error || 'Failed to update AI quota');
+      console.error('Update AI quota error:', err);
+    } finally {
+      setSavingQuota(false);
+    }
+  };
+
+  const handleResetQuota = async () => {
+    if (!window.confirm('Reset AI usage for the rest of this month?')) {
+      return;
+    }
+
+    try {
+      applyQuota(await organizationsAPI.resetAiQuota(currentOrg.id));
+    } catch (err) {
+      setError(err.error || 'Failed to reset AI quota');
+      console.error('Reset AI quota error:', err);
+    }
+  };
+
+  const handleSaveProvider = async e => {
+    e.preventDefault();
+    setSavingProvider(true);
+    setError(null);
+
+    try {
+      const data = await organizationsAPI.updateAiProvider(currentOrg.id, {
+        provider: providerForm.provider || null,
+        model: providerForm.model.trim() || null
+      });
+      applyProvider(data);
+    } catch (err) {
+      setError(err.details || err.error || 'Failed to update AI provider');
+      console.error('Update AI provider error:', err);
+    } finally {
+      setSavingProvider(false);
+    }
+  };
+
+  const handleSelectRubric = async e => {
+    e.preventDefault();
+    setError(null);
+
+    try {
+      await rubricsAPI.select(currentOrg.id, selectedRubricId || null);
+      await loadRubrics();
+    } catch (err) {
+      setError(err.details || err.error || 'Failed to select rubric');
+      console.error('Select rubric error:', err);
+    }
+  };
+
+  const handlePublishRubric = async rubric => {
+    if (
+      !window.confirm(`Publish the draft of "${rubric.name}"? Published versions cannot change.`)
+    ) {
+      return;
+    }
+
+    try {
+      await rubricsAPI.publish(currentOrg.id, rubric.id);
+      await loadRubrics();
+    } catch (err) {
+      setError(err.details || err.error || 'Failed to publish rubric');
+      console.error('Publish rubric error:', err);
+    }
+  };
+
+  const getQuotaStatusColor = status => {
+    const colors = {
+      ok: 'bg-green-100 text-green-800',
+      warning: 'bg-yellow-100 text-yellow-800',
+      exceeded: 'bg-red-100 text-red-800'
+    };
+    return colors[status] || colors.ok;
+  };
+
   const handleRoleChange = async (userId, newRole) => {
     try {
       await membersAPI.updateRole(currentOrg.id, userId, newRole);
@@ -153,6 +319,191 @@ function OrgManagement() {
         </form>
       </div>
 
+      {/* AI Quota Section */}
+      <div className="bg-white shadow rounded-lg p-6 mb-8">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-medium text-gray-900">Monthly AI Quota</h2>
+          {quota && (
+            <span
+              className={`px-2 py-1 text-xs font-medium rounded-full ${getQuotaStatusColor(quota.status)}`}
+            >
+              {quota.status}
+            </span>
+          )}
+        </div>
+        {quota && (
+          <p className="text-sm text-gray-500 mb-4">
+            Used since {new Date(quota.period_start).toLocaleDateString()}:{' '}
+            {quota.tokens.used.toLocaleString()} tokens
+            {quota.tokens.limit && ` of ${quota.tokens.limit.toLocaleString()}`}, $
+            {quota.usd.used.toFixed(2)}
+            {quota.usd.limit && ` of $${quota.usd.limit}`}
+          </p>
+        )}
+        <form onSubmit={handleSaveQuota} className="flex flex-wrap items-end gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Token limit</label>
+            <input
+              type="number"
+              min="1"
+              placeholder="Unlimited"
+              value={quotaForm.monthly_token_limit}
+              onChange={e => setQuotaForm({ ...quotaForm, monthly_token_limit: e.target.value })}
+              className="mt-1 block w-40 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              disabled={savingQuota}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Spend limit (USD)</label>
+            <input
+              type="number"
+              min="0.01"
+              step="0.01"
+              placeholder="Unlimited"
+              value={quotaForm.monthly_usd_limit}
+              onChange={e => setQuotaForm({ ...quotaForm, monthly_usd_limit: e.target.value })}
+              className="mt-1 block w-40 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              disabled={savingQuota}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Warn at (%)</label>
+            <input
+              type="number"
+              min="1"
+              max="100"
+              value={quotaForm.warning_percent}
+              onChange={e => setQuotaForm({ ...quotaForm, warning_percent: e.target.value })}
+              className="mt-1 block w-24 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              disabled={savingQuota}
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={savingQuota}
+            className="px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+          >
+            {savingQuota ? 'Saving...' : 'Save'}
+          </button>
+          <button
+            type="button"
+            onClick={handleResetQuota}
+            className="px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Reset Usage
+          </button>
+        </form>
+      </div>
+
+      {/* AI Provider Section */}
+      {aiProvider && (
+        <div className="bg-white shadow rounded-lg p-6 mb-8">
+          <h2 className="text-lg font-medium text-gray-900 mb-4">AI Provider</h2>
+          <form onSubmit={handleSaveProvider} className="flex flex-wrap items-end gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Provider</label>
+              <select
+                value={providerForm.provider}
+                onChange={e => setProviderForm({ ...providerForm, provider: e.target.value })}
+                className="mt-1 block w-56 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                disabled={savingProvider}
+              >
+                <option value="">Platform default ({aiProvider.default_provider})</option>
+                {aiProvider.available.map(provider => (
+                  <option key={provider.name} value={provider.name}>
+                    {provider.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Model</label>
+              <input
+                type="text"
+                placeholder={
+                  aiProvider.available.find(p => p.name === providerForm.provider)?.default_model ||
+                  'Provider default'
+                }
+                value={providerForm.model}
+                onChange={e => setProviderForm({ ...providerForm, model: e.target.value })}
+                className="mt-1 block w-56 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                disabled={savingProvider}
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={savingProvider}
+              className="px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+            >
+              {savingProvider ? 'Saving...' : 'Save'}
+            </button>
+          </form>
+        </div>
+      )}
+
+      {/* Scoring Rubric Section */}
+      {rubrics && (
+        <div className="bg-white shadow rounded-lg p-6 mb-8">
+          <h2 className="text-lg font-medium text-gray-900 mb-4">Scoring Rubric</h2>
+          <form onSubmit={handleSelectRubric} className="flex flex-wrap items-end gap-4 mb-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Rubric</label>
+              <select
+                value={selectedRubricId}
+                onChange={e => setSelectedRubricId(e.target.value)}
+                className="mt-1 block w-64 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              >
+                <option value="">Built-in rubric (v{rubrics.default_rubric.version})</option>
+                {rubrics.rubrics
+                  .filter(rubric => rubric.versions.some(v => v.status === 'published'))
+                  .map(rubric => (
+                    <option key={rubric.id} value={rubric.id}>
+                      {rubric.name}
+                    </option>
+                  ))}
+              </select>
+            </div>
+            <button
+              type="submit"
+              className="px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              Save
+            </button>
+          </form>
+          {rubrics.rubrics.length > 0 && (
+            <ul className="divide-y divide-gray-200">
+              {rubrics.rubrics.map(rubric => {
+                const published = rubric.versions.filter(v => v.status === 'published');
+                const draft = rubric.versions.find(v => v.status === 'draft');
+
+                return (
+                  <li key={rubric.id} className="py-3 flex items-center justify-between">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">{rubric.name}</p>
+                      <p className="text-xs text-gray-500">
+                        {published.length > 0
+                          ? `Published v${published[published.length - 1].version}`
+                          : 'Never published'}
+                        {draft && ` · Draft v${draft.version}`}
+                      </p>
+                    </div>
+                    {draft && (
+                      <button
+                        type="button"
+                        onClick={() => handlePublishRubric(rubric)}
+                        className="px-3 py-1 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                      >
+                        Publish Draft
+                      </button>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+
       {/* Members List */}
       <div className="bg-white shadow rounded-lg overflow-hidden">
         <div className="px-6 py-4 border-b border-gray-200">
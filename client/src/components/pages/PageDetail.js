@@ -9,9 +9,13 @@ import {
   Clock,
   RefreshCw,
   ChevronDown,
-  ChevronUp
+  ChevronUp,
+  Code,
+  Copy,
+  Check
 } from 'lucide-react';
 import ScoreBreakdown from '../scoring/ScoreBreakdown';
+import { pages as pagesAPI } from '../../services/api';
 
 /**
  * PageDetail Component
@@ -21,6 +25,7 @@ import ScoreBreakdown from '../scoring/ScoreBreakdown';
  * - Overall score with breakdown
  * - Individual criterion scores with explanations
  * - AI recommendations
+ * - Generated schema markup (JSON-LD) with copy buttons
  * - Page snapshot information
  *
  * Props:
@@ -33,6 +38,11 @@ function PageDetail({ page, onRescore, loading = false, isAnalyzing = false }) {
   const [showSnapshot, setShowSnapshot] = useState(false);
   const [pageType, setPageType] = useState(page?.page_type || 'resource');
   const [isUpdatingPageType, setIsUpdatingPageType] = useState(false);
+  const [showSchema, setShowSchema] = useState(false);
+  const [schemaMarkup, setSchemaMarkup] = useState(null);
+  const [schemaLoading, setSchemaLoading] = useState(false);
+  const [schemaError, setSchemaError] = useState(null);
+  const [copiedSchema, setCopiedSchema] = useState(null);
 
   // Update local state when page changes
   React.useEffect(() => {
@@ -86,6 +96,29 @@ function PageDetail({ page, onRescore, loading = false, isAnalyzing = false }) {
     }
   };
 
+  const handleToggleSchema = async () => {
+    setShowSchema(!showSchema);
+    if (showSchema || schemaMarkup || schemaLoading) return;
+
+    setSchemaLoading(true);
+    setSchemaError(null);
+    try {
+      setSchemaMarkup(await pagesAPI.getSchemaMarkup(page.id));
+    } catch (err) {
+      console.error('Failed to generate schema markup:', err);
+      setSchemaError(err.details || err.error || 'Failed to generate schema markup');
+    } finally {
+      setSchemaLoading(false);
+    }
+  };
+
+  const handleCopySchema = (script, type) => {
+    navigator.clipboard.writeText(script).then(() => {
+      setCopiedSchema(type);
+      setTimeout(() => setCopiedSchema(null), 2000);
+    });
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return 'Never';
     return new Date(dateString).toLocaleString();
@@ -211,6 +244,7 @@ function PageDetail({ page, onRescore, loading = false, isAnalyzing = false }) {
         <ScoreBreakdown
           overallScore={page.overall_score || 0}
           criteriaScores={page.criteria_scores}
+          categoryScores={page.category_scores || {}}
           criteriaExplanations={page.criteria_explanations || {}}
           pageType={page.page_type}
         />
@@ -351,6 +385,112 @@ function PageDetail({ page, onRescore, loading = false, isAnalyzing = false }) {
         </div>
       )}
 
+      {/* Schema Markup */}
+      <div className="bg-white rounded-xl shadow-soft">
+        <button
+          onClick={handleToggleSchema}
+          className="w-full flex items-center justify-between p-6 text-left hover:bg-gray-50 transition-colors"
+        >
+          <div className="flex items-center space-x-2">
+            <Code className="w-5 h-5 text-gray-600" />
+            <h2 className="text-lg font-semibold text-gray-900">
+              Schema Markup
+            </h2>
+          </div>
+          {showSchema ? (
+            <ChevronUp className="w-5 h-5 text-gray-400" />
+          ) : (
+            <ChevronDown className="w-5 h-5 text-gray-400" />
+          )}
+        </button>
+
+        {showSchema && (
+          <div className="px-6 pb-6 border-t border-gray-200">
+            {schemaLoading && (
+              <p className="text-sm text-gray-500 mt-4">Generating markup...</p>
+            )}
+
+            {schemaError && (
+              <p className="text-sm text-red-600 mt-4">{schemaError}</p>
+            )}
+
+            {schemaMarkup && schemaMarkup.schemas.length === 0 && (
+              <p className="text-sm text-gray-500 mt-4">
+                No markup could be generated from this page's content.
+              </p>
+            )}
+
+            {schemaMarkup && schemaMarkup.schemas.length > 0 && (
+              <div className="space-y-4 mt-4">
+                <p className="text-sm text-gray-600">
+                  Paste these JSON-LD blocks into the page's &lt;head&gt;. Fill in anything the
+                  validation flags before publishing.
+                </p>
+
+                {schemaMarkup.schemas.map((schema) => (
+                  <div key={schema.type} className="border border-gray-200 rounded-lg">
+                    <div className="flex items-center justify-between px-4 py-3 bg-gray-50 rounded-t-lg">
+                      <div className="flex items-center space-x-2">
+                        <span className="text-sm font-semibold text-gray-900">{schema.type}</span>
+                        {schema.rich_result && (
+                          <span className="text-xs px-2 py-0.5 rounded-full bg-blue-100 text-blue-800">
+                            {schema.rich_result}
+                          </span>
+                        )}
+                        {schema.already_present && (
+                          <span className="text-xs px-2 py-0.5 rounded-full bg-gray-200 text-gray-700">
+                            Already on page
+                          </span>
+                        )}
+                        <span
+                          className={`text-xs px-2 py-0.5 rounded-full ${
+                            schema.validation.valid
+                              ? 'bg-green-100 text-green-800'
+                              : 'bg-red-100 text-red-800'
+                          }`}
+                        >
+                          {schema.validation.error_count} errors, {schema.validation.warning_count} warnings
+                        </span>
+                      </div>
+                      <button
+                        onClick={() => handleCopySchema(schema.script, schema.type)}
+                        className="flex items-center space-x-1 text-sm text-gray-600 hover:text-gray-900"
+                      >
+                        {copiedSchema === schema.type ? (
+                          <Check className="w-4 h-4 text-green-600" />
+                        ) : (
+                          <Copy className="w-4 h-4" />
+                        )}
+                        <span>{copiedSchema === schema.type ? 'Copied' : 'Copy'}</span>
+                      </button>
+                    </div>
+
+                    {[...schema.validation.errors, ...schema.validation.warnings].length > 0 && (
+                      <ul className="px-4 pt-3 space-y-1">
+                        {schema.validation.errors.map((issue, index) => (
+                          <li key={`error-${index}`} className="text-xs text-red-700">
+                            {issue.path}: {issue.message}
+                          </li>
+                        ))}
+                        {schema.validation.warnings.map((issue, index) => (
+                          <li key={`warning-${index}`} className="text-xs text-yellow-700">
+                            {issue.path}: {issue.message}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+
+                    <pre className="m-4 p-3 bg-gray-900 text-gray-100 text-xs rounded-lg overflow-x-auto">
+                      {schema.script}
+                    </pre>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
       {/* Snapshot Information */}
       <div className="bg-white rounded-xl shadow-soft">
         <button
@@ -19,6 +19,7 @@ function PageTable({ pages = [], onPageClick, loading = false }) {
   const [filterPageType, setFilterPageType] = useState('all');
   const [filterScoreMin, setFilterScoreMin] = useState('');
   const [filterScoreMax, setFilterScoreMax] = useState('');
+  const [filterLifecycle, setFilterLifecycle] = useState('all');
   const [showFilters, setShowFilters] = useState(false);
 
   // Get unique page types
@@ -39,6 +40,10 @@ function PageTable({ pages = [], onPageClick, loading = false }) {
       // Page type filter
       const matchesType = filterPageType === 'all' || page.page_type === filterPageType;
 
+      // Lifecycle filter (pages without a status are active)
+      const matchesLifecycle =
+        filterLifecycle === 'all' || (page.lifecycle_status || 'active') === filterLifecycle;
+
       // Score range filter - only apply to scored pages
       const hasScore = page.overall_score != null && page.scored_at;
       let matchesMinScore = true;
@@ -55,7 +60,7 @@ function PageTable({ pages = [], onPageClick, loading = false }) {
         }
       }
 
-      return matchesSearch && matchesType && matchesMinScore && matchesMaxScore;
+      return matchesSearch && matchesType && matchesLifecycle && matchesMinScore && matchesMaxScore;
     });
 
     // Sort pages
@@ -89,7 +94,7 @@ function PageTable({ pages = [], onPageClick, loading = false }) {
     });
 
     return filtered;
-  }, [pages, searchTerm, sortField, sortDirection, filterPageType, filterScoreMin, filterScoreMax]);
+  }, [pages, searchTerm, sortField, sortDirection, filterPageType, filterLifecycle, filterScoreMin, filterScoreMax]);
 
   // Handle sort
   const handleSort = (field) => {
@@ -121,6 +126,28 @@ function PageTable({ pages = [], onPageClick, loading = false }) {
     return type.charAt(0).toUpperCase() + type.slice(1);
   };
 
+  // Lifecycle badge for pages that are no longer plain active pages
+  const getLifecycleBadge = (page) => {
+    const badges = {
+      redirected: { label: 'Redirected', className: 'bg-yellow-100 text-yellow-800' },
+      gone: { label: 'Gone', className: 'bg-red-100 text-red-800' },
+      blocked_by_robots: { label: 'Blocked by robots.txt', className: 'bg-gray-200 text-gray-700' },
+      noindex: { label: 'Noindex', className: 'bg-purple-100 text-purple-800' }
+    };
+    const badge = badges[page.lifecycle_status];
+    if (!badge) return null;
+
+    return (
+      <span
+        className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${badge.className}`}
+        title={page.redirect_target ? `Redirects to ${page.redirect_target}` : undefined}
+      >
+        {badge.label}
+        {page.last_status_code ? ` (${page.last_status_code})` : ''}
+      </span>
+    );
+  };
+
   if (loading) {
     return (
       <div className="bg-white rounded-xl shadow-soft p-8 text-center">
@@ -165,7 +192,7 @@ function PageTable({ pages = [], onPageClick, loading = false }) {
 
         {/* Filter Panel */}
         {showFilters && (
-          <div className="mt-4 p-4 bg-gray-50 rounded-lg grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="mt-4 p-4 bg-gray-50 rounded-lg grid grid-cols-1 md:grid-cols-4 gap-4">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Page Type
@@ -183,6 +210,24 @@ function PageTable({ pages = [], onPageClick, loading = false }) {
               </select>
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Status
+              </label>
+              <select
+                value={filterLifecycle}
+                onChange={(e) => setFilterLifecycle(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="all">All</option>
+                <option value="active">Active</option>
+                <option value="redirected">Redirected</option>
+                <option value="gone">Gone</option>
+                <option value="blocked_by_robots">Blocked by robots.txt</option>
+                <option value="noindex">Noindex</option>
+              </select>
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Min Score
@@ -285,6 +330,16 @@ function PageTable({ pages = [], onPageClick, loading = false }) {
                             {page.title}
                           </p>
                         )}
+                        {getLifecycleBadge(page) && (
+                          <div className="mt-1 flex items-center space-x-2 min-w-0">
+                            {getLifecycleBadge(page)}
+                            {page.lifecycle_status === 'redirected' && page.redirect_target && (
+                              <span className="text-xs text-gray-500 truncate">
+                                → {page.redirect_target}
+                              </span>
+                            )}
+                          </div>
+                        )}
                       </div>
                     </div>
                   </td>
@@ -0,0 +1,330 @@
+/**
+ * CrawlCredentials Component
+ *
+ * Credentials the crawler uses to reach staging sites behind basic auth or a
+ * login wall: HTTP basic auth, custom request headers, cookies and a login
+ * step run in the browser. Stored encrypted; secrets are never sent back, so
+ * leaving a password or value empty keeps the stored one (unless the login URL
+ * or the project's host changed).
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { projects as projectsAPI } from '../../services/api';
+
+const EMPTY_FORM = {
+  basic_username: '',
+  basic_password: '',
+  headers: '',
+  cookies: '',
+  login_url: '',
+  login_username: '',
+  login_password: '',
+  username_selector: '',
+  password_selector: '',
+  submit_selector: '',
+  success_selector: ''
+};
+
+const INPUT_CLASS =
+  'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+const splitLines = text =>
+  text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+
+// "Name: value" per line (value empty = keep the stored one)
+const parseHeaders = text =>
+  Object.fromEntries(
+    splitLines(text).map(line => {
+      const index = line.indexOf(':');
+      return index === -1
+        ? [line, '']
+        : [line.slice(0, index).trim(), line.slice(index + 1).trim()];
+    })
+  );
+
+// "name=value" per line (value empty = keep the stored one)
+const parseCookies = text =>
+  splitLines(text).map(line => {
+    const index = line.indexOf('=');
+    return index === -1
+      ? { name: line, value: '' }
+      : { name: line.slice(0, index).trim(), value: line.slice(index + 1).trim() };
+  });
+
+function CrawlCredentials({ projectId, canEdit }) {
+  const [credentials, setCredentials] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const applyCredentials = described => {
+    setCredentials(described);
+    setFormData({
+      ...EMPTY_FORM,
+      basic_username: described.basic_auth?.username || '',
+      headers: described.headers.map(name => `${name}: `).join('\n'),
+      cookies: described.cookies.map(name => `${name}=`).join('\n'),
+      login_url: described.login?.url || '',
+      login_username: described.login?.username || '',
+      username_selector: described.login?.username_selector || '',
+      password_selector: described.login?.password_selector || '',
+      submit_selector: described.login?.submit_selector || '',
+      success_selector: described.login?.success_selector || ''
+    });
+  };
+
+  const fetchCredentials = useCallback(async () => {
+    try {
+      setLoading(true);
+      applyCredentials(await projectsAPI.getCrawlCredentials(projectId));
+      setError(null);
+    } catch (err) {
+      console.error('Failed to fetch crawl credentials:', err);
+      setError(err.details || err.error || 'Failed to load crawl credentials');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    fetchCredentials();
+  }, [fetchCredentials]);
+
+  const handleChange = e => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    setMessage(null);
+  };
+
+  const handleSave = async e => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError(null);
+
+      let basicAuth = null;
+      if (formData.basic_username.trim()) {
+        basicAuth = {
+          username: formData.basic_username.trim(),
+          password: formData.basic_password
+        };
+      }
+
+      let login = null;
+      if (formData.login_url.trim()) {
+        login = {
+          url: formData.login_url.trim(),
+          username: formData.login_username.trim(),
+          password: formData.login_password,
+          username_selector: formData.username_selector.trim(),
+          password_selector: formData.password_selector.trim(),
+          submit_selector: formData.submit_selector.trim(),
+          success_selector: formData.success_selector.trim() || null
+        };
+      }
+
+      applyCredentials(
+        await projectsAPI.saveCrawlCredentials(projectId, {
+          basic_auth: basicAuth,
+          headers: parseHeaders(formData.headers),
+          cookies: parseCookies(formData.cookies),
+          login
+        })
+      );
+      setMessage('Credentials saved. They are used from the next crawl.');
+    } catch (err) {
+      console.error('Failed to save crawl credentials:', err);
+      setError(err.details || err.error || 'Failed to save crawl credentials');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm('Remove all crawl credentials of this project?')) return;
+
+    try {
+      setSaving(true);
+      await projectsAPI.deleteCrawlCredentials(projectId);
+      await fetchCredentials();
+      setMessage('Credentials removed.');
+    } catch (err) {
+      console.error('Failed to remove crawl credentials:', err);
+      setError(err.details || err.error || 'Failed to remove crawl credentials');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading && !credentials) {
+    return <div className="animate-pulse h-32 bg-gray-200 rounded"></div>;
+  }
+
+  const disabled = !canEdit || saving;
+
+  return (
+    <form onSubmit={handleSave} className="space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900">Crawl Access</h3>
+        <p className="text-sm text-gray-500">
+          Credentials for staging sites behind basic auth or a login page. They are stored
+          encrypted, only sent to the project&apos;s host and never shown again; leave a password or
+          value empty to keep the stored one. Secrets must be entered again after changing the login
+          URL or the project&apos;s host.
+        </p>
+        {credentials?.updated_at && (
+          <p className="mt-1 text-xs text-gray-500">
+            Last changed {new Date(credentials.updated_at).toLocaleString()}
+            {credentials.target_host && ` for ${credentials.target_host}`}
+          </p>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-md text-sm">
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-md text-sm">
+          {message}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 gap-6 sm:grid-cols-2">
+        <div>
+          <label htmlFor="basic_username" className="block text-sm font-medium text-gray-700">
+            Basic Auth Username
+          </label>
+          <input
+            type="text"
+            id="basic_username"
+            name="basic_username"
+            autoComplete="off"
+            value={formData.basic_username}
+            onChange={handleChange}
+            disabled={disabled}
+            className={INPUT_CLASS}
+          />
+        </div>
+        <div>
+          <label htmlFor="basic_password" className="block text-sm font-medium text-gray-700">
+            Basic Auth Password
+          </label>
+          <input
+            type="password"
+            id="basic_password"
+            name="basic_password"
+            autoComplete="new-password"
+            value={formData.basic_password}
+            onChange={handleChange}
+            disabled={disabled}
+            placeholder={credentials?.basic_auth ? 'Stored' : ''}
+            className={INPUT_CLASS}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 gap-6 sm:grid-cols-2">
+        <div>
+          <label htmlFor="headers" className="block text-sm font-medium text-gray-700">
+            Request Headers
+          </label>
+          <textarea
+            id="headers"
+            name="headers"
+            rows={3}
+            value={formData.headers}
+            onChange={handleChange}
+            disabled={disabled}
+            className={`${INPUT_CLASS} font-mono text-xs`}
+            placeholder="X-Staging-Token: abc123"
+          />
+          <p className="mt-1 text-sm text-gray-500">One &quot;Name: value&quot; per line</p>
+        </div>
+        <div>
+          <label htmlFor="cookies" className="block text-sm font-medium text-gray-700">
+            Cookies
+          </label>
+          <textarea
+            id="cookies"
+            name="cookies"
+            rows={3}
+            value={formData.cookies}
+            onChange={handleChange}
+            disabled={disabled}
+            className={`${INPUT_CLASS} font-mono text-xs`}
+            placeholder="preview_session=abc123"
+          />
+          <p className="mt-1 text-sm text-gray-500">One &quot;name=value&quot; per line</p>
+        </div>
+      </div>
+
+      <div>
+        <h4 className="text-sm font-medium text-gray-900">Login Step</h4>
+        <p className="text-sm text-gray-500">
+          Filled in and submitted in the browser before crawling; the session is used for every
+          page.
+        </p>
+        <div className="mt-3 grid grid-cols-1 gap-4 sm:grid-cols-2">
+          {[
+            ['login_url', 'Login URL', 'https://staging.example.com/login', 'url'],
+            ['login_username', 'Username', '', 'text'],
+            ['login_password', 'Password', credentials?.login ? 'Stored' : '', 'password'],
+            ['username_selector', 'Username Field Selector', '#email', 'text'],
+            ['password_selector', 'Password Field Selector', '#password', 'text'],
+            ['submit_selector', 'Submit Button Selector', 'button[type="submit"]', 'text'],
+            ['success_selector', 'Logged-in Selector (optional)', '.account-menu', 'text']
+          ].map(([name, label, placeholder, type]) => (
+            <div key={name}>
+              <label htmlFor={name} className="block text-sm font-medium text-gray-700">
+                {label}
+              </label>
+              <input
+                type={type}
+                id={name}
+                name={name}
+                autoComplete="off"
+                value={formData[name]}
+                onChange={handleChange}
+                disabled={disabled}
+                placeholder={placeholder}
+                className={INPUT_CLASS}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {canEdit && (
+        <div className="flex justify-end space-x-3">
+          {credentials?.configured && (
+            <button
+              type="button"
+              onClick={handleRemove}
+              disabled={saving}
+              className="px-4 py-2 border border-red-300 rounded-md text-sm font-medium text-red-700 bg-white hover:bg-red-50 disabled:opacity-50"
+            >
+              Remove
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Credentials'}
+          </button>
+        </div>
+      )}
+    </form>
+  );
+}
+
+export default CrawlCredentials;
@@ -2,7 +2,8 @@
  * CrawlForm Component
  *
  * Form for initiating new crawls with run type selection.
- * Allows users to start full crawls, sitemap-only, sample, or delta crawls.
+ * Allows users to start full crawls, sitemap-only, sample, delta, or URL list crawls
+ * (URLs pasted or uploaded as a CSV/text file).
  *
  * Based on plan.md frontend architecture for User Story 2
  */
@@ -13,10 +14,13 @@ import { crawls as crawlsAPI } from '../../services/api';
 function CrawlForm({ projectId, onSuccess, onCancel }) {
   const [formData, setFormData] = useState({
     runType: 'full',
-    manualUrl: ''
+    manualUrl: '',
+    urls: ''
   });
+  const [fileName, setFileName] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [invalidUrls, setInvalidUrls] = useState([]);
 
   const runTypes = [
     {
@@ -43,6 +47,11 @@ function CrawlForm({ projectId, onSuccess, onCancel }) {
       value: 'manual',
       label: 'Manual URL',
       description: 'Crawl a single specific URL that you provide'
+    },
+    {
+      value: 'list',
+      label: 'URL List',
+      description: 'Crawl exactly the URLs you paste or upload, without following links'
     }
   ];
 
@@ -55,9 +64,27 @@ function CrawlForm({ projectId, onSuccess, onCancel }) {
     if (error) setError(null);
   };
 
+  const handleFileChange = async e => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      setFormData(prev => ({ ...prev, urls: text }));
+      setFileName(file.name);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to read URL list file:', err);
+      setError('Failed to read the uploaded file');
+    }
+  };
+
+  const listLineCount = formData.urls.split('\n').filter(line => line.trim() !== '').length;
+
   const handleSubmit = async e => {
     e.preventDefault();
     setError(null);
+    setInvalidUrls([]);
 
     // Validate manual URL if manual runType is selected
     if (formData.runType === 'manual') {
@@ -75,6 +102,11 @@ function CrawlForm({ projectId, onSuccess, onCancel }) {
       }
     }
 
+    if (formData.runType === 'list' && formData.urls.trim() === '') {
+      setError('Please paste or upload the URLs to crawl');
+      return;
+    }
+
     setLoading(true);
 
     try {
@@ -86,7 +118,8 @@ function CrawlForm({ projectId, onSuccess, onCancel }) {
       }
     } catch (err) {
       console.error('Failed to start crawl:', err);
-      setError(err.details || err.error || 'Failed to start crawl');
+      setError(err.data?.message || err.details || err.error || 'Failed to start crawl');
+      setInvalidUrls(err.data?.invalidUrls || []);
     } finally {
       setLoading(false);
     }
@@ -106,6 +139,15 @@ function CrawlForm({ projectId, onSuccess, onCancel }) {
           <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-md">
             <p className="text-sm font-medium">Error</p>
             <p className="text-sm">{error}</p>
+            {invalidUrls.length > 0 && (
+              <ul className="mt-2 text-xs space-y-1">
+                {invalidUrls.map((entry, index) => (
+                  <li key={index} className="break-all">
+                    <span className="font-mono">{entry.value}</span> - {entry.reason}
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
         )}
 
@@ -161,6 +203,45 @@ function CrawlForm({ projectId, onSuccess, onCancel }) {
           </div>
         )}
 
+        {/* URL List Input - Only shown when URL List is selected */}
+        {formData.runType === 'list' && (
+          <div>
+            <label htmlFor="urls" className="block text-sm font-medium text-gray-700 mb-2">
+              URLs to Crawl
+            </label>
+            <textarea
+              id="urls"
+              name="urls"
+              rows={8}
+              value={formData.urls}
+              onChange={handleChange}
+              placeholder={
+                'https://example.com/landing/spring-sale\nhttps://example.com/landing/free-trial'
+              }
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 font-mono text-xs"
+            />
+            <div className="mt-2 flex items-center justify-between">
+              <label className="text-sm font-medium text-blue-600 hover:text-blue-700 cursor-pointer">
+                Upload CSV or text file
+                <input
+                  type="file"
+                  accept=".csv,.txt,text/csv,text/plain"
+                  onChange={handleFileChange}
+                  className="sr-only"
+                />
+              </label>
+              <span className="text-sm text-gray-500">
+                {fileName ? `${fileName}: ` : ''}
+                {listLineCount} {listLineCount === 1 ? 'line' : 'lines'}
+              </span>
+            </div>
+            <p className="mt-1 text-sm text-gray-500">
+              One URL per line, or a CSV with the URLs in one column. All URLs must be on the
+              project&apos;s domain.
+            </p>
+          </div>
+        )}
+
         {/* Action Buttons */}
         <div className="flex items-center justify-end space-x-3 pt-4">
           {onCancel && (
@@ -0,0 +1,332 @@
+/**
+ * CrawlSchedule Component
+ *
+ * Recurring crawls of a project: a daily, weekly or monthly preset or a cron
+ * expression, evaluated in the chosen time zone. Shows the next run time;
+ * scheduled runs are skipped while another crawl of the project is active.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { projects as projectsAPI } from '../../services/api';
+
+const PRESETS = [
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'cron', label: 'Custom (cron expression)' }
+];
+
+const RUN_TYPES = [
+  { value: 'delta', label: 'Delta Crawl (changed pages only)' },
+  { value: 'full', label: 'Full Crawl' },
+  { value: 'sitemap_only', label: 'Sitemap Only' },
+  { value: 'sample', label: 'Sample Crawl' }
+];
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const INPUT_CLASS =
+  'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+const TIME_ZONES = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [];
+
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+function CrawlSchedule({ projectId, canEdit }) {
+  const [schedule, setSchedule] = useState(null);
+  const [formData, setFormData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const applySchedule = data => {
+    setSchedule(data);
+    setFormData({
+      enabled: data.enabled,
+      preset: data.preset,
+      time: data.time,
+      day_of_week: data.day_of_week,
+      day_of_month: data.day_of_month,
+      cron: data.cron || '',
+      // Never saved: suggest the browser's time zone
+      timezone: data.updated_by ? data.timezone : browserTimeZone(),
+      run_type: data.run_type
+    });
+  };
+
+  const fetchSchedule = useCallback(async () => {
+    try {
+      setLoading(true);
+      applySchedule(await projectsAPI.getCrawlSchedule(projectId));
+      setError(null);
+    } catch (err) {
+      console.error('Failed to fetch crawl schedule:', err);
+      setError(err.details || err.error || 'Failed to load crawl schedule');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    fetchSchedule();
+  }, [fetchSchedule]);
+
+  const handleChange = e => {
+    const { name, value, type, checked } = e.target;
+    let fieldValue = value;
+    if (type === 'checkbox') {
+      fieldValue = checked;
+    } else if (name === 'day_of_week' || name === 'day_of_month') {
+      fieldValue = parseInt(value, 10);
+    }
+
+    setFormData(prev => ({ ...prev, [name]: fieldValue }));
+    setMessage(null);
+  };
+
+  const handleSave = async e => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError(null);
+      applySchedule(
+        await projectsAPI.updateCrawlSchedule(projectId, {
+          ...formData,
+          cron: formData.preset === 'cron' ? formData.cron.trim() : null
+        })
+      );
+      setMessage(formData.enabled ? 'Schedule saved.' : 'Scheduled crawls turned off.');
+    } catch (err) {
+      console.error('Failed to save crawl schedule:', err);
+      setError(err.details || err.error || 'Failed to save crawl schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading && !formData) {
+    return <div className="animate-pulse h-32 bg-gray-200 rounded"></div>;
+  }
+
+  if (!formData) {
+    return (
+      <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-md text-sm">
+        {error}
+      </div>
+    );
+  }
+
+  const disabled = !canEdit || saving;
+
+  return (
+    <form onSubmit={handleSave} className="space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900">Crawl Schedule</h3>
+        <p className="text-sm text-gray-500">
+          Crawl this project automatically. A scheduled crawl is skipped while another crawl of the
+          project is queued or running.
+        </p>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-md text-sm">
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-md text-sm">
+          {message}
+        </div>
+      )}
+
+      <div className="bg-gray-50 rounded-lg p-4 text-sm">
+        {schedule.enabled && schedule.next_run_at ? (
+          <p className="text-gray-900">
+            Next run:{' '}
+            <span className="font-medium">
+              {new Date(schedule.next_run_at).toLocaleString(undefined, {
+                timeZone: schedule.timezone,
+                dateStyle: 'full',
+                timeStyle: 'short'
+              })}
+            </span>{' '}
+            ({schedule.timezone})
+            <span className="ml-2 font-mono text-xs text-gray-500">{schedule.pattern}</span>
+          </p>
+        ) : (
+          <p className="text-gray-500">Scheduled crawls are off.</p>
+        )}
+      </div>
+
+      <div className="flex items-center">
+        <input
+          id="enabled"
+          name="enabled"
+          type="checkbox"
+          checked={formData.enabled}
+          onChange={handleChange}
+          disabled={disabled}
+          className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+        />
+        <label htmlFor="enabled" className="ml-2 block text-sm text-gray-900">
+          Run scheduled crawls
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 gap-6 sm:grid-cols-2">
+        <div>
+          <label htmlFor="preset" className="block text-sm font-medium text-gray-700">
+            Frequency
+          </label>
+          <select
+            id="preset"
+            name="preset"
+            value={formData.preset}
+            onChange={handleChange}
+            disabled={disabled}
+            className={INPUT_CLASS}
+          >
+            {PRESETS.map(preset => (
+              <option key={preset.value} value={preset.value}>
+                {preset.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label htmlFor="run_type" className="block text-sm font-medium text-gray-700">
+            Crawl Type
+          </label>
+          <select
+            id="run_type"
+            name="run_type"
+            value={formData.run_type}
+            onChange={handleChange}
+            disabled={disabled}
+            className={INPUT_CLASS}
+          >
+            {RUN_TYPES.map(runType => (
+              <option key={runType.value} value={runType.value}>
+                {runType.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {formData.preset === 'cron' ? (
+          <div>
+            <label htmlFor="cron" className="block text-sm font-medium text-gray-700">
+              Cron Expression
+            </label>
+            <input
+              type="text"
+              id="cron"
+              name="cron"
+              value={formData.cron}
+              onChange={handleChange}
+              disabled={disabled}
+              placeholder="0 3 * * 1-5"
+              className={`${INPUT_CLASS} font-mono`}
+            />
+            <p className="mt-1 text-sm text-gray-500">minute hour day-of-month month weekday</p>
+          </div>
+        ) : (
+          <div>
+            <label htmlFor="time" className="block text-sm font-medium text-gray-700">
+              Time
+            </label>
+            <input
+              type="time"
+              id="time"
+              name="time"
+              value={formData.time}
+              onChange={handleChange}
+              disabled={disabled}
+              className={INPUT_CLASS}
+            />
+          </div>
+        )}
+
+        {formData.preset === 'weekly' && (
+          <div>
+            <label htmlFor="day_of_week" className="block text-sm font-medium text-gray-700">
+              Day of Week
+            </label>
+            <select
+              id="day_of_week"
+              name="day_of_week"
+              value={formData.day_of_week}
+              onChange={handleChange}
+              disabled={disabled}
+              className={INPUT_CLASS}
+            >
+              {WEEKDAYS.map((day, index) => (
+                <option key={day} value={index}>
+                  {day}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {formData.preset === 'monthly' && (
+          <div>
+            <label htmlFor="day_of_month" className="block text-sm font-medium text-gray-700">
+              Day of Month
+            </label>
+            <input
+              type="number"
+              id="day_of_month"
+              name="day_of_month"
+              min="1"
+              max="28"
+              value={formData.day_of_month}
+              onChange={handleChange}
+              disabled={disabled}
+              className={INPUT_CLASS}
+            />
+          </div>
+        )}
+
+        <div>
+          <label htmlFor="timezone" className="block text-sm font-medium text-gray-700">
+            Time Zone
+          </label>
+          <input
+            type="text"
+            id="timezone"
+            name="timezone"
+            list="crawl-schedule-timezones"
+            value={formData.timezone}
+            onChange={handleChange}
+            disabled={disabled}
+            placeholder="Europe/Berlin"
+            className={INPUT_CLASS}
+          />
+          <datalist id="crawl-schedule-timezones">
+            {TIME_ZONES.map(timeZone => (
+              <option key={timeZone} value={timeZone} />
+            ))}
+          </datalist>
+        </div>
+      </div>
+
+      {canEdit && (
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Schedule'}
+          </button>
+        </div>
+      )}
+    </form>
+  );
+}
+
+export default CrawlSchedule;
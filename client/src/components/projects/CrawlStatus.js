@@ -69,6 +69,46 @@ function CrawlStatus({ crawlId, autoRefresh = true }) {
     }
   };
 
+  const handleDownloadLinkAudit = async () => {
+    try {
+      const csv = await crawlsAPI.downloadLinkAuditCsv(crawlId);
+      const url = URL.createObjectURL(csv);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `link-audit-${crawlId}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to download link audit:', err);
+      setError(err.details || err.error || 'Failed to download link audit');
+    }
+  };
+
+  const handleApproveScoring = async () => {
+    setActionLoading(true);
+    try {
+      await crawlsAPI.approveScoring(crawlId);
+      await fetchCrawlStatus();
+    } catch (err) {
+      console.error('Failed to approve scoring:', err);
+      setError(err.data?.message || err.error || 'Failed to approve scoring');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const formatBudgetReason = reason => {
+    const reasons = {
+      run_tokens: 'per-run token budget',
+      run_usd: 'per-run cost budget',
+      monthly_tokens: 'monthly token budget',
+      monthly_usd: 'monthly cost budget',
+      org_monthly_tokens: 'organization monthly token quota',
+      org_monthly_usd: 'organization monthly AI spend quota'
+    };
+    return reasons[reason] || 'scoring budget';
+  };
+
   const getStatusColor = status => {
     const colors = {
       queued: 'bg-yellow-100 text-yellow-800',
@@ -193,6 +233,165 @@ function CrawlStatus({ crawlId, autoRefresh = true }) {
         </div>
       </div>
 
+      {/* Delta Summary */}
+      {crawl.deltaSummary && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          <div className="bg-green-50 p-4 rounded-lg">
+            <p className="text-sm text-green-700">New</p>
+            <p className="text-lg font-semibold text-green-900">{crawl.deltaSummary.new}</p>
+          </div>
+          <div className="bg-blue-50 p-4 rounded-lg">
+            <p className="text-sm text-blue-700">Changed</p>
+            <p className="text-lg font-semibold text-blue-900">{crawl.deltaSummary.changed}</p>
+          </div>
+          <div className="bg-gray-50 p-4 rounded-lg">
+            <p className="text-sm text-gray-600">Unchanged</p>
+            <p className="text-lg font-semibold text-gray-900">{crawl.deltaSummary.unchanged}</p>
+          </div>
+          <div className="bg-red-50 p-4 rounded-lg">
+            <p className="text-sm text-red-700">Removed</p>
+            <p className="text-lg font-semibold text-red-900">{crawl.deltaSummary.removed}</p>
+          </div>
+        </div>
+      )}
+
+      {/* Near-Duplicate Summary */}
+      {crawl.duplicateSummary && crawl.duplicateSummary.group_count > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 p-4 rounded-lg mb-6">
+          <p className="text-sm text-yellow-700">Near-Duplicate Content</p>
+          <p className="text-lg font-semibold text-yellow-900">
+            {crawl.duplicateSummary.group_count} groups · {crawl.duplicateSummary.duplicate_pages}{' '}
+            duplicate pages · {crawl.duplicateSummary.canonical_issues} canonical issues
+          </p>
+        </div>
+      )}
+
+      {/* Broken Links & Redirects */}
+      {crawl.linkAudit && (
+        <div className="bg-gray-50 p-4 rounded-lg mb-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-600">Broken Links &amp; Redirects</p>
+              {crawl.linkAudit.status === 'completed' && crawl.linkAudit.summary ? (
+                <p className="text-lg font-semibold text-gray-900">
+                  {crawl.linkAudit.summary.issues.broken} broken ·{' '}
+                  {crawl.linkAudit.summary.issues.redirect} redirected ·{' '}
+                  {crawl.linkAudit.summary.redirect_loops} loops
+                  <span className="ml-2 text-sm font-normal text-gray-500">
+                    {crawl.linkAudit.summary.links_checked.toLocaleString()} links checked
+                  </span>
+                </p>
+              ) : (
+                <p className="text-sm text-gray-500">Link audit {crawl.linkAudit.status}</p>
+              )}
+            </div>
+            {crawl.linkAudit.status === 'completed' && (
+              <button
+                onClick={handleDownloadLinkAudit}
+                className="ml-4 px-3 py-1.5 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              >
+                Download CSV
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* AI Crawler Access */}
+      {crawl.aiCrawlerSummary && (
+        <div
+          className={`p-4 rounded-lg mb-6 ${
+            crawl.aiCrawlerSummary.search_agents_blocked > 0
+              ? 'bg-red-50 border border-red-200'
+              : 'bg-gray-50'
+          }`}
+        >
+          <p className="text-sm text-gray-600">AI Crawler Access</p>
+          <p className="text-lg font-semibold text-gray-900">
+            {crawl.aiCrawlerSummary.allowed} allowed · {crawl.aiCrawlerSummary.partially_blocked}{' '}
+            partially blocked · {crawl.aiCrawlerSummary.blocked} blocked
+            <span className="ml-2 text-sm font-normal text-gray-500">
+              {crawl.aiCrawlerSummary.search_agents_blocked} AI search crawlers blocked ·{' '}
+              {crawl.aiCrawlerSummary.pages_with_directives} pages with AI directives
+            </span>
+          </p>
+        </div>
+      )}
+
+      {/* llms.txt */}
+      {crawl.llmsTxtSummary && (
+        <div
+          className={`p-4 rounded-lg mb-6 ${
+            crawl.llmsTxtSummary.found && !crawl.llmsTxtSummary.valid
+              ? 'bg-yellow-50 border border-yellow-200'
+              : 'bg-gray-50'
+          }`}
+        >
+          <p className="text-sm text-gray-600">llms.txt</p>
+          <p className="text-lg font-semibold text-gray-900">
+            {crawl.llmsTxtSummary.found ? 'Found' : 'Not found'}
+            <span className="ml-2 text-sm font-normal text-gray-500">
+              {crawl.llmsTxtSummary.error_count} errors · {crawl.llmsTxtSummary.warning_count}{' '}
+              warnings · {crawl.llmsTxtSummary.broken_links} broken and{' '}
+              {crawl.llmsTxtSummary.blocked_links} blocked links · llms-full.txt{' '}
+              {crawl.llmsTxtSummary.full_found ? 'found' : 'not found'}
+            </span>
+          </p>
+        </div>
+      )}
+
+      {/* Automatic Scoring */}
+      {crawl.scoring && crawl.scoring.status !== 'collecting' && (
+        <div
+          className={`p-4 rounded-lg mb-6 ${
+            crawl.scoring.status === 'paused'
+              ? 'bg-yellow-50 border border-yellow-200'
+              : 'bg-gray-50'
+          }`}
+        >
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-600">Automatic Scoring</p>
+              <p className="text-lg font-semibold text-gray-900">
+                {crawl.scoring.scored} / {crawl.scoring.total} pages
+                <span className="ml-2 text-sm font-normal text-gray-500">
+                  {crawl.scoring.tokensUsed.toLocaleString()} tokens · $
+                  {crawl.scoring.costUsd.toFixed(2)}
+                </span>
+              </p>
+              {crawl.scoring.cacheHits > 0 && (
+                <p className="text-xs text-gray-500">
+                  {crawl.scoring.cacheHits} reused from cache ({crawl.scoring.cacheHitRate}% hit
+                  rate)
+                </p>
+              )}
+            </div>
+            <span
+              className={`px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(
+                crawl.scoring.status
+              )}`}
+            >
+              {crawl.scoring.status}
+            </span>
+          </div>
+          {crawl.scoring.status === 'paused' && (
+            <div className="mt-3 flex items-center justify-between">
+              <p className="text-sm text-yellow-800">
+                Paused at the {formatBudgetReason(crawl.scoring.pausedReason)} with{' '}
+                {crawl.scoring.pending} pages left. An admin can approve scoring the rest.
+              </p>
+              <button
+                onClick={handleApproveScoring}
+                disabled={actionLoading}
+                className="ml-4 px-3 py-1.5 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-yellow-600 hover:bg-yellow-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-yellow-500 disabled:opacity-50"
+              >
+                {actionLoading ? 'Approving...' : 'Approve Remaining'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Timestamps */}
       <div className="space-y-2 mb-6">
         <div className="flex justify-between text-sm">
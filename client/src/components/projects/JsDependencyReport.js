@@ -0,0 +1,187 @@
+/**
+ * JsDependencyReport Component
+ *
+ * Lists the pages of a project whose content only appears after JavaScript
+ * rendering, so AI crawlers that read the raw HTML never see it. Based on the
+ * static vs rendered comparison recorded by crawls when the project setting is
+ * enabled.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { projects as projectsAPI } from '../../services/api';
+
+const SEVERITY_STYLES = {
+  high: 'bg-red-100 text-red-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  low: 'bg-gray-100 text-gray-800'
+};
+
+const CONTENT_LABELS = {
+  title: 'Title',
+  h1: 'H1',
+  body_text: 'Body text',
+  meta_description: 'Meta description',
+  headings: 'Headings',
+  faq: 'FAQ',
+  structured_data: 'Structured data',
+  links: 'Links'
+};
+
+function JsDependencyReport({ projectId, onPageClick }) {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState({});
+  const [keyContentOnly, setKeyContentOnly] = useState(true);
+
+  const fetchReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await projectsAPI.getJsDependency(projectId, {
+        keyContentOnly: keyContentOnly ? 'true' : undefined
+      });
+      setReport(response);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to fetch JS dependency report:', err);
+      setError(err.details || err.error || 'Failed to load JS dependency report');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId, keyContentOnly]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const togglePage = pageId => {
+    setExpanded(prev => ({ ...prev, [pageId]: !prev[pageId] }));
+  };
+
+  if (loading && !report) {
+    return (
+      <div className="animate-pulse space-y-3">
+        {[1, 2, 3].map(i => (
+          <div key={i} className="h-16 bg-gray-200 rounded"></div>
+        ))}
+      </div>
+    );
+  }
+
+  const summary = report?.summary;
+
+  return (
+    <div className="space-y-4">
+      {/* Header */}
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900">JavaScript Dependency</h3>
+        {summary && summary.pages_compared > 0 && (
+          <p className="text-sm text-gray-500">
+            {summary.pages_compared} pages compared • {summary.key_content_missing} with key content
+            only after rendering • {summary.by_severity.high} high • {summary.by_severity.medium}{' '}
+            medium • {summary.by_severity.low} low
+          </p>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-md text-sm">
+          {error}
+        </div>
+      )}
+
+      {summary && summary.pages_compared === 0 && (
+        <p className="text-sm text-gray-500">
+          No pages compared yet. Enable &quot;Compare static HTML with the rendered page&quot; in
+          the project settings and run a crawl.
+        </p>
+      )}
+
+      {summary && summary.pages_compared > 0 && (
+        <>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={keyContentOnly}
+              onChange={e => setKeyContentOnly(e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            <span>Only show pages missing key content</span>
+          </label>
+
+          <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {report.pages.map(page => (
+              <div key={page.page_id} className="p-4">
+                <button
+                  onClick={() => togglePage(page.page_id)}
+                  className="w-full flex items-center justify-between text-left"
+                >
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900 truncate">{page.url}</p>
+                    <p className="text-xs text-gray-500">
+                      {page.page_type || 'page'} • {Math.round(page.text_coverage * 100)}% of
+                      rendered text in static HTML • missing:{' '}
+                      {page.missing.map(key => CONTENT_LABELS[key] || key).join(', ')}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-2 ml-4">
+                    <span
+                      className={`px-2 py-0.5 rounded-full text-xs font-medium ${SEVERITY_STYLES[page.severity]}`}
+                    >
+                      {page.severity}
+                    </span>
+                    <span className="text-gray-400">{expanded[page.page_id] ? '▲' : '▼'}</span>
+                  </div>
+                </button>
+
+                {expanded[page.page_id] && (
+                  <div className="mt-3 space-y-2 text-sm text-gray-700">
+                    {page.missing_headings.length > 0 && (
+                      <p>
+                        <span className="font-medium">Headings:</span>{' '}
+                        {page.missing_headings
+                          .map(heading => `H${heading.level} ${heading.text}`)
+                          .join(' • ')}
+                      </p>
+                    )}
+                    {page.missing_faq.length > 0 && (
+                      <p>
+                        <span className="font-medium">FAQ:</span> {page.missing_faq.join(' • ')}
+                      </p>
+                    )}
+                    {page.missing_schema_types.length > 0 && (
+                      <p>
+                        <span className="font-medium">Structured data:</span>{' '}
+                        {page.missing_schema_types.join(', ')}
+                      </p>
+                    )}
+                    {page.missing_link_count > 0 && (
+                      <p>
+                        <span className="font-medium">Links:</span> {page.missing_link_count}{' '}
+                        internal links only after rendering
+                      </p>
+                    )}
+                    <button
+                      onClick={() => onPageClick && onPageClick({ id: page.page_id })}
+                      className="text-blue-600 hover:text-blue-700"
+                    >
+                      View page
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+
+            {report.pages.length === 0 && (
+              <p className="p-4 text-sm text-gray-500">
+                No pages depend on JavaScript for their content.
+              </p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default JsDependencyReport;
@@ -11,6 +11,25 @@ import React, { useState, useEffect } from 'react';
 import { useOrg } from '../../contexts/OrgContext';
 import { projects as projectsAPI } from '../../services/api';
 
+const splitLines = text =>
+  text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+
+const splitList = text =>
+  text
+    .split(',')
+    .map(item => item.trim())
+    .filter(item => item.length > 0);
+
+// One rewrite per line: "pattern => replacement"
+const parseRewrites = text =>
+  splitLines(text).map(line => {
+    const [pattern, ...replacement] = line.split('=>');
+    return { pattern: pattern.trim(), replacement: replacement.join('=>').trim() };
+  });
+
 function ProjectForm({ project, onSuccess, onCancel }) {
   const { currentOrg } = useOrg();
   const isEditing = !!project;
@@ -22,10 +41,27 @@ function ProjectForm({ project, onSuccess, onCancel }) {
     depth_limit: 3,
     sample_size: '',
     token_limit: '',
-    excluded_patterns: ''
+    excluded_patterns: '',
+    included_patterns: '',
+    strip_params: '',
+    keep_params: '',
+    path_rewrites: '',
+    trailing_slash: 'remove',
+    lowercase_paths: false,
+    crawl_concurrency: 3,
+    per_host_concurrency: 2,
+    compare_static_html: false,
+    auto_score: false,
+    auto_score_run_budget_tokens: '',
+    auto_score_run_budget_usd: '',
+    auto_score_monthly_budget_tokens: '',
+    auto_score_monthly_budget_usd: ''
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [testUrl, setTestUrl] = useState('');
+  const [testResult, setTestResult] = useState(null);
+  const [testError, setTestError] = useState(null);
 
   useEffect(() => {
     if (project) {
@@ -38,20 +74,62 @@ function ProjectForm({ project, onSuccess, onCancel }) {
         token_limit: project.config?.token_limit || '',
         excluded_patterns: Array.isArray(project.config?.excluded_patterns)
           ? project.config.excluded_patterns.join('\n')
-          : ''
+          : '',
+        included_patterns: Array.isArray(project.config?.included_patterns)
+          ? project.config.included_patterns.join('\n')
+          : '',
+        strip_params: (project.config?.strip_params || []).join(', '),
+        keep_params: (project.config?.keep_params || []).join(', '),
+        path_rewrites: (project.config?.path_rewrites || [])
+          .map(rule => `${rule.pattern} => ${rule.replacement}`)
+          .join('\n'),
+        trailing_slash: project.config?.trailing_slash || 'remove',
+        lowercase_paths: project.config?.lowercase_paths === true,
+        crawl_concurrency: project.config?.crawl_concurrency || 3,
+        per_host_concurrency: project.config?.per_host_concurrency || 2,
+        compare_static_html: project.config?.compare_static_html === true,
+        auto_score: project.config?.auto_score === true,
+        auto_score_run_budget_tokens: project.config?.auto_score_run_budget_tokens || '',
+        auto_score_run_budget_usd: project.config?.auto_score_run_budget_usd || '',
+        auto_score_monthly_budget_tokens: project.config?.auto_score_monthly_budget_tokens || '',
+        auto_score_monthly_budget_usd: project.config?.auto_score_monthly_budget_usd || ''
       });
     }
   }, [project]);
 
   const handleChange = e => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: type === 'checkbox' ? checked : value
     }));
     if (error) setError(null);
   };
 
+  // Crawl patterns and URL rules as sent in the project config
+  const buildUrlConfig = () => ({
+    excluded_patterns: splitLines(formData.excluded_patterns),
+    included_patterns: splitLines(formData.included_patterns),
+    strip_params: splitList(formData.strip_params),
+    keep_params: splitList(formData.keep_params),
+    path_rewrites: parseRewrites(formData.path_rewrites),
+    trailing_slash: formData.trailing_slash,
+    lowercase_paths: formData.lowercase_paths
+  });
+
+  const handleTestUrl = async () => {
+    if (!testUrl.trim()) return;
+
+    try {
+      setTestError(null);
+      const result = await projectsAPI.testUrl(project.id, testUrl.trim(), buildUrlConfig());
+      setTestResult(result);
+    } catch (err) {
+      setTestResult(null);
+      setTestError(err.details || err.error || 'Failed to test URL');
+    }
+  };
+
   const validateUrl = url => {
     try {
       new URL(url);
@@ -86,29 +164,44 @@ function ProjectForm({ project, onSuccess, onCancel }) {
       return;
     }
 
+    if (formData.crawl_concurrency < 1 || formData.crawl_concurrency > 10) {
+      setError('Parallel requests must be between 1 and 10');
+      return;
+    }
+
+    if (formData.per_host_concurrency < 1 || formData.per_host_concurrency > 10) {
+      setError('Requests per host must be between 1 and 10');
+      return;
+    }
+
     setLoading(true);
 
     try {
-      // Prepare config
+      // Prepare config (keep settings managed elsewhere, e.g. schedules)
       const config = {
-        depth_limit: parseInt(formData.depth_limit, 10)
+        ...(project?.config || {}),
+        depth_limit: parseInt(formData.depth_limit, 10),
+        crawl_concurrency: parseInt(formData.crawl_concurrency, 10),
+        per_host_concurrency: parseInt(formData.per_host_concurrency, 10),
+        sample_size: formData.sample_size ? parseInt(formData.sample_size, 10) : null,
+        token_limit: formData.token_limit ? parseInt(formData.token_limit, 10) : null,
+        compare_static_html: formData.compare_static_html,
+        auto_score: formData.auto_score,
+        auto_score_run_budget_tokens: formData.auto_score_run_budget_tokens
+          ? parseInt(formData.auto_score_run_budget_tokens, 10)
+          : null,
+        auto_score_run_budget_usd: formData.auto_score_run_budget_usd
+          ? parseFloat(formData.auto_score_run_budget_usd)
+          : null,
+        auto_score_monthly_budget_tokens: formData.auto_score_monthly_budget_tokens
+          ? parseInt(formData.auto_score_monthly_budget_tokens, 10)
+          : null,
+        auto_score_monthly_budget_usd: formData.auto_score_monthly_budget_usd
+          ? parseFloat(formData.auto_score_monthly_budget_usd)
+          : null,
+        ...buildUrlConfig()
       };
 
-      if (formData.sample_size) {
-        config.sample_size = parseInt(formData.sample_size, 10);
-      }
-
-      if (formData.token_limit) {
-        config.token_limit = parseInt(formData.token_limit, 10);
-      }
-
-      if (formData.excluded_patterns) {
-        config.excluded_patterns = formData.excluded_patterns
-          .split('\n')
-          .map(p => p.trim())
-          .filter(p => p.length > 0);
-      }
-
       const projectData = {
         name: formData.name.trim(),
         target_url: formData.target_url.trim(),
@@ -268,6 +361,47 @@ function ProjectForm({ project, onSuccess, onCancel }) {
             />
             <p className="mt-1 text-sm text-gray-500">Max AI tokens per crawl (optional)</p>
           </div>
+
+          <div>
+            <label htmlFor="crawl_concurrency" className="block text-sm font-medium text-gray-700">
+              Parallel Requests
+            </label>
+            <input
+              type="number"
+              id="crawl_concurrency"
+              name="crawl_concurrency"
+              min="1"
+              max="10"
+              value={formData.crawl_concurrency}
+              onChange={handleChange}
+              disabled={loading}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+            />
+            <p className="mt-1 text-sm text-gray-500">Pages fetched at the same time (1-10)</p>
+          </div>
+
+          <div>
+            <label
+              htmlFor="per_host_concurrency"
+              className="block text-sm font-medium text-gray-700"
+            >
+              Requests per Host
+            </label>
+            <input
+              type="number"
+              id="per_host_concurrency"
+              name="per_host_concurrency"
+              min="1"
+              max="10"
+              value={formData.per_host_concurrency}
+              onChange={handleChange}
+              disabled={loading}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+            />
+            <p className="mt-1 text-sm text-gray-500">
+              Max parallel requests to one host; robots.txt Crawl-delay is always honored
+            </p>
+          </div>
         </div>
 
         <div className="mt-6">
@@ -288,6 +422,311 @@ function ProjectForm({ project, onSuccess, onCancel }) {
             One pattern per line. URLs matching these patterns will be skipped.
           </p>
         </div>
+
+        <div className="mt-6">
+          <label htmlFor="included_patterns" className="block text-sm font-medium text-gray-700">
+            Included URL Patterns
+          </label>
+          <textarea
+            id="included_patterns"
+            name="included_patterns"
+            rows={3}
+            value={formData.included_patterns}
+            onChange={handleChange}
+            disabled={loading}
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm font-mono text-xs"
+            placeholder="/blog/&#10;/docs/"
+          />
+          <p className="mt-1 text-sm text-gray-500">
+            One pattern per line. When set, only URLs matching one of these patterns are crawled
+            (the start URL is always crawled).
+          </p>
+        </div>
+
+        <div className="mt-6 grid grid-cols-1 gap-6 sm:grid-cols-2">
+          <div>
+            <label htmlFor="strip_params" className="block text-sm font-medium text-gray-700">
+              Remove Query Parameters
+            </label>
+            <input
+              type="text"
+              id="strip_params"
+              name="strip_params"
+              value={formData.strip_params}
+              onChange={handleChange}
+              disabled={loading}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm font-mono text-xs"
+              placeholder="sort, sessionid, filter_*"
+            />
+            <p className="mt-1 text-sm text-gray-500">Comma-separated, * matches any characters</p>
+          </div>
+
+          <div>
+            <label htmlFor="keep_params" className="block text-sm font-medium text-gray-700">
+              Keep Only Query Parameters
+            </label>
+            <input
+              type="text"
+              id="keep_params"
+              name="keep_params"
+              value={formData.keep_params}
+              onChange={handleChange}
+              disabled={loading}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm font-mono text-xs"
+              placeholder="page, id"
+            />
+            <p className="mt-1 text-sm text-gray-500">Leave empty to keep all other parameters</p>
+          </div>
+        </div>
+
+        <div className="mt-6">
+          <label htmlFor="path_rewrites" className="block text-sm font-medium text-gray-700">
+            Path Rewrite Rules
+          </label>
+          <textarea
+            id="path_rewrites"
+            name="path_rewrites"
+            rows={3}
+            value={formData.path_rewrites}
+            onChange={handleChange}
+            disabled={loading}
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm font-mono text-xs"
+            placeholder="^/en/ => /&#10;/index\.html$ => /"
+          />
+          <p className="mt-1 text-sm text-gray-500">
+            One rule per line: a regular expression matched against the path, then =&gt; and the
+            replacement. Rules are applied in order. Nested quantifiers such as (a+)+, repeated
+            alternatives, backreferences and lookarounds are not supported.
+          </p>
+        </div>
+
+        <div className="mt-6 grid grid-cols-1 gap-6 sm:grid-cols-2">
+          <div>
+            <label htmlFor="trailing_slash" className="block text-sm font-medium text-gray-700">
+              Trailing Slash
+            </label>
+            <select
+              id="trailing_slash"
+              name="trailing_slash"
+              value={formData.trailing_slash}
+              onChange={handleChange}
+              disabled={loading}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+            >
+              <option value="remove">Remove (/about)</option>
+              <option value="add">Add (/about/)</option>
+              <option value="keep">Keep as linked</option>
+            </select>
+          </div>
+
+          <div className="flex items-center sm:mt-6">
+            <input
+              type="checkbox"
+              id="lowercase_paths"
+              name="lowercase_paths"
+              checked={formData.lowercase_paths}
+              onChange={handleChange}
+              disabled={loading}
+              className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+            />
+            <label
+              htmlFor="lowercase_paths"
+              className="ml-2 block text-sm font-medium text-gray-700"
+            >
+              Treat paths as case-insensitive (lowercase)
+            </label>
+          </div>
+        </div>
+
+        {isEditing && (
+          <div className="mt-6">
+            <label htmlFor="test_url" className="block text-sm font-medium text-gray-700">
+              Test a URL
+            </label>
+            <div className="mt-1 flex space-x-2">
+              <input
+                type="url"
+                id="test_url"
+                value={testUrl}
+                onChange={e => setTestUrl(e.target.value)}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                placeholder="https://example.com/Blog/Post/?utm_source=news"
+              />
+              <button
+                type="button"
+                onClick={handleTestUrl}
+                disabled={!testUrl.trim()}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                Test
+              </button>
+            </div>
+            <p className="mt-1 text-sm text-gray-500">
+              Uses the patterns and rules above, including unsaved changes.
+            </p>
+            {testError && <p className="mt-2 text-sm text-red-600">{testError}</p>}
+            {testResult && (
+              <div className="mt-2 rounded-md bg-gray-50 p-3 text-sm">
+                <p className={testResult.crawl ? 'text-green-700' : 'text-red-700'}>
+                  {testResult.crawl ? 'Would be crawled' : 'Would not be crawled'}
+                  {testResult.reason && ` - ${testResult.reason}`}
+                </p>
+                {testResult.normalized_url && (
+                  <p className="mt-1 text-gray-700">
+                    Normalized:{' '}
+                    <span className="font-mono text-xs">{testResult.normalized_url}</span>
+                  </p>
+                )}
+                {testResult.canonical_url &&
+                  testResult.canonical_url !== testResult.normalized_url && (
+                    <p className="mt-1 text-gray-700">
+                      Stored as:{' '}
+                      <span className="font-mono text-xs">{testResult.canonical_url}</span>
+                    </p>
+                  )}
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="mt-6">
+          <div className="flex items-center">
+            <input
+              type="checkbox"
+              id="compare_static_html"
+              name="compare_static_html"
+              checked={formData.compare_static_html}
+              onChange={handleChange}
+              disabled={loading}
+              className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+            />
+            <label
+              htmlFor="compare_static_html"
+              className="ml-2 block text-sm font-medium text-gray-700"
+            >
+              Compare static HTML with the rendered page
+            </label>
+          </div>
+          <p className="mt-1 text-sm text-gray-500">
+            Fetches each page a second time without JavaScript, like most AI crawlers, and reports
+            content that only appears after rendering.
+          </p>
+        </div>
+
+        <div className="mt-6">
+          <div className="flex items-center">
+            <input
+              type="checkbox"
+              id="auto_score"
+              name="auto_score"
+              checked={formData.auto_score}
+              onChange={handleChange}
+              disabled={loading}
+              className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+            />
+            <label htmlFor="auto_score" className="ml-2 block text-sm font-medium text-gray-700">
+              Score new and changed pages automatically after each crawl
+            </label>
+          </div>
+          <p className="mt-1 text-sm text-gray-500">
+            Highest-priority pages are scored first. Scoring pauses when a budget is reached until
+            an admin approves the remaining pages.
+          </p>
+
+          <div className="mt-4 grid grid-cols-1 gap-6 sm:grid-cols-2">
+            <div>
+              <label
+                htmlFor="auto_score_run_budget_tokens"
+                className="block text-sm font-medium text-gray-700"
+              >
+                Tokens per Crawl
+              </label>
+              <input
+                type="number"
+                id="auto_score_run_budget_tokens"
+                name="auto_score_run_budget_tokens"
+                min="1"
+                step="1"
+                value={formData.auto_score_run_budget_tokens}
+                onChange={handleChange}
+                disabled={loading || !formData.auto_score}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm disabled:bg-gray-100"
+                placeholder="Unlimited"
+              />
+              <p className="mt-1 text-sm text-gray-500">Token budget for one crawl run</p>
+            </div>
+
+            <div>
+              <label
+                htmlFor="auto_score_run_budget_usd"
+                className="block text-sm font-medium text-gray-700"
+              >
+                Cost per Crawl (USD)
+              </label>
+              <input
+                type="number"
+                id="auto_score_run_budget_usd"
+                name="auto_score_run_budget_usd"
+                min="0.01"
+                step="0.01"
+                value={formData.auto_score_run_budget_usd}
+                onChange={handleChange}
+                disabled={loading || !formData.auto_score}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm disabled:bg-gray-100"
+                placeholder="Unlimited"
+              />
+              <p className="mt-1 text-sm text-gray-500">Estimated cost budget for one crawl run</p>
+            </div>
+
+            <div>
+              <label
+                htmlFor="auto_score_monthly_budget_tokens"
+                className="block text-sm font-medium text-gray-700"
+              >
+                Tokens per Month
+              </label>
+              <input
+                type="number"
+                id="auto_score_monthly_budget_tokens"
+                name="auto_score_monthly_budget_tokens"
+                min="1"
+                step="1"
+                value={formData.auto_score_monthly_budget_tokens}
+                onChange={handleChange}
+                disabled={loading || !formData.auto_score}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm disabled:bg-gray-100"
+                placeholder="Unlimited"
+              />
+              <p className="mt-1 text-sm text-gray-500">
+                Token budget across all crawls this month
+              </p>
+            </div>
+
+            <div>
+              <label
+                htmlFor="auto_score_monthly_budget_usd"
+                className="block text-sm font-medium text-gray-700"
+              >
+                Cost per Month (USD)
+              </label>
+              <input
+                type="number"
+                id="auto_score_monthly_budget_usd"
+                name="auto_score_monthly_budget_usd"
+                min="0.01"
+                step="0.01"
+                value={formData.auto_score_monthly_budget_usd}
+                onChange={handleChange}
+                disabled={loading || !formData.auto_score}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm disabled:bg-gray-100"
+                placeholder="Unlimited"
+              />
+              <p className="mt-1 text-sm text-gray-500">
+                Estimated cost budget across all crawls this month
+              </p>
+            </div>
+          </div>
+        </div>
       </div>
 
       <div className="flex justify-end gap-3">
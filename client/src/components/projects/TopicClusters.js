@@ -0,0 +1,198 @@
+/**
+ * TopicClusters Component
+ *
+ * Shows the topic clusters of a project and its content gaps: clusters with
+ * only one or two pages (thin) or a low average AEO score. Editors can start a
+ * new clustering run; the report refreshes while a run is in progress.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { topics as topicsAPI } from '../../services/api';
+
+const FLAG_STYLES = {
+  thin: { label: 'Thin coverage', className: 'bg-yellow-100 text-yellow-800' },
+  low_score: { label: 'Low AEO score', className: 'bg-red-100 text-red-800' }
+};
+
+function TopicClusters({ projectId, canEdit, onPageClick }) {
+  const [report, setReport] = useState(null);
+  const [latestRun, setLatestRun] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState({});
+  const [gapsOnly, setGapsOnly] = useState(false);
+
+  const fetchClusters = useCallback(async () => {
+    try {
+      const response = await topicsAPI.get(projectId);
+      setReport(response.report);
+      setLatestRun(response.latest_run);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to fetch topic clusters:', err);
+      setError(err.details || err.error || 'Failed to load topic clusters');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  const isRunning = latestRun && ['queued', 'running'].includes(latestRun.status);
+
+  useEffect(() => {
+    fetchClusters();
+  }, [fetchClusters]);
+
+  // Poll while a run is in progress
+  useEffect(() => {
+    if (!isRunning) return undefined;
+    const interval = setInterval(fetchClusters, 5000);
+    return () => clearInterval(interval);
+  }, [isRunning, fetchClusters]);
+
+  const handleStart = async () => {
+    try {
+      setStarting(true);
+      await topicsAPI.start(projectId);
+      await fetchClusters();
+    } catch (err) {
+      setError(err.details || err.error || 'Failed to start topic clustering');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const toggleCluster = index => {
+    setExpanded(prev => ({ ...prev, [index]: !prev[index] }));
+  };
+
+  if (loading) {
+    return (
+      <div className="animate-pulse space-y-3">
+        {[1, 2, 3].map(i => (
+          <div key={i} className="h-16 bg-gray-200 rounded"></div>
+        ))}
+      </div>
+    );
+  }
+
+  const clusters = (report?.clusters || [])
+    .map((cluster, index) => ({ ...cluster, index }))
+    .filter(cluster => !gapsOnly || cluster.flags.length > 0);
+  const summary = report?.summary;
+
+  return (
+    <div className="space-y-4">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Topic Clusters</h3>
+          {report && (
+            <p className="text-sm text-gray-500">
+              {summary.page_count} pages in {summary.cluster_count} topics • {summary.thin_clusters}{' '}
+              thin • {summary.low_score_clusters} low score
+              {summary.unembedded_pages > 0 &&
+                ` • ${summary.unembedded_pages} pages not embedded yet`}
+            </p>
+          )}
+        </div>
+        {canEdit && (
+          <button
+            onClick={handleStart}
+            disabled={starting || isRunning}
+            className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isRunning ? 'Clustering…' : report ? 'Re-cluster' : 'Build Topic Clusters'}
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-md text-sm">
+          {error}
+        </div>
+      )}
+
+      {latestRun?.status === 'failed' && (
+        <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-md text-sm">
+          Last clustering run failed: {latestRun.error_message}
+        </div>
+      )}
+
+      {!report && !isRunning && (
+        <p className="text-sm text-gray-500">
+          No topic clusters yet. Pages are grouped by the embeddings created after each crawl.
+        </p>
+      )}
+
+      {report && (
+        <>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={gapsOnly}
+              onChange={e => setGapsOnly(e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            <span>Only show content gaps</span>
+          </label>
+
+          <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {clusters.map(cluster => (
+              <div key={cluster.index} className="p-4">
+                <button
+                  onClick={() => toggleCluster(cluster.index)}
+                  className="w-full flex items-center justify-between text-left"
+                >
+                  <div>
+                    <p className="font-medium text-gray-900">{cluster.label}</p>
+                    <p className="text-xs text-gray-500">
+                      {cluster.size} page{cluster.size === 1 ? '' : 's'} • mostly{' '}
+                      {cluster.dominant_page_type} • avg score{' '}
+                      {cluster.avg_score === null ? 'n/a' : cluster.avg_score}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    {cluster.flags.map(flag => (
+                      <span
+                        key={flag}
+                        className={`px-2 py-0.5 rounded-full text-xs font-medium ${FLAG_STYLES[flag]?.className || 'bg-gray-100 text-gray-800'}`}
+                      >
+                        {FLAG_STYLES[flag]?.label || flag}
+                      </span>
+                    ))}
+                    <span className="text-gray-400">{expanded[cluster.index] ? '▲' : '▼'}</span>
+                  </div>
+                </button>
+
+                {expanded[cluster.index] && (
+                  <ul className="mt-3 space-y-1">
+                    {cluster.pages.map(page => (
+                      <li key={page.page_id} className="flex items-center justify-between text-sm">
+                        <button
+                          onClick={() => onPageClick && onPageClick({ id: page.page_id })}
+                          className="text-blue-600 hover:text-blue-700 truncate text-left"
+                        >
+                          {page.url}
+                        </button>
+                        <span className="ml-4 text-gray-500 whitespace-nowrap">
+                          {page.overall_score === null ? 'not scored' : `${page.overall_score}/100`}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+
+            {clusters.length === 0 && (
+              <p className="p-4 text-sm text-gray-500">No content gaps found.</p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TopicClusters;
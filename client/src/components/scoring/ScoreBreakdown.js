@@ -20,12 +20,14 @@ import {
  * Props:
  * - overallScore: Overall score (0-100)
  * - criteriaScores: Object with criterion names and scores
+ * - categoryScores: Object with rubric category names and weighted sub-scores
  * - criteriaExplanations: Object with criterion names and explanation text
  * - pageType: Page type for context
  */
 function ScoreBreakdown({
   overallScore = 0,
   criteriaScores = {},
+  categoryScores = {},
   criteriaExplanations = {},
   pageType = 'unknown'
 }) {
@@ -188,6 +190,20 @@ function ScoreBreakdown({
             style={{ width: `${Math.min(overallScore, 100)}%` }}
           ></div>
         </div>
+
+        {/* Rubric Category Scores */}
+        {Object.keys(categoryScores).length > 0 && (
+          <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-3">
+            {Object.entries(categoryScores).map(([category, score]) => (
+              <div key={category} className="bg-white bg-opacity-60 rounded-lg px-3 py-2">
+                <div className="text-xs text-gray-600 truncate" title={category}>
+                  {category}
+                </div>
+                <div className={`font-semibold ${getScoreColor(score).accent}`}>{score}</div>
+              </div>
+            ))}
+          </div>
+        )}
       </div>
 
       {/* Category Breakdown */}
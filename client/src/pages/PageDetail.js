@@ -122,7 +122,9 @@ function PageDetailPage() {
     } catch (err) {
       console.error('Error rescoring page:', err);
       setIsAnalyzing(false);
-      alert(err.error || err.details || 'Failed to initiate analysis');
+      // Quota errors explain how to get more AI budget in details
+      const message = err.status === 402 ? err.details : err.error || err.details;
+      alert(message || 'Failed to initiate analysis');
     }
   };
 
@@ -5,18 +5,25 @@
  * - Project metadata
  * - Crawl management (initiate, history, status)
  * - Pages list with scores
+ * - Topic clusters and content gaps
+ * - Crawl access credentials for staging sites
+ * - Recurring crawl schedule
  *
  * Integrates User Story 2 and 3 components
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { ArrowLeft, Play, Clock, Database } from 'lucide-react';
+import { ArrowLeft, Play, Clock, Database, Download } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useOrg } from '../contexts/OrgContext';
 import CrawlForm from '../components/projects/CrawlForm';
 import CrawlHistory from '../components/projects/CrawlHistory';
 import PageTable from '../components/pages/PageTable';
+import TopicClusters from '../components/projects/TopicClusters';
+import JsDependencyReport from '../components/projects/JsDependencyReport';
+import CrawlCredentials from '../components/projects/CrawlCredentials';
+import CrawlSchedule from '../components/projects/CrawlSchedule';
 import api, { projects as projectsAPI } from '../services/api';
 
 function ProjectDetail() {
@@ -31,8 +38,9 @@ function ProjectDetail() {
   const [pagesLoading, setPagesLoading] = useState(false);
   const [error, setError] = useState(null);
   const [showCrawlForm, setShowCrawlForm] = useState(false);
-  const [activeTab, setActiveTab] = useState('pages'); // 'pages' or 'crawls'
+  const [activeTab, setActiveTab] = useState('pages'); // 'pages', 'topics', 'rendering', 'access', 'schedule' or 'crawls'
   const [selectedCrawl, setSelectedCrawl] = useState(null);
+  const [llmsTxtError, setLlmsTxtError] = useState(null);
 
   // Fetch project details
   const loadProject = useCallback(async () => {
@@ -92,6 +100,22 @@ function ProjectDetail() {
     setShowCrawlForm(false);
   };
 
+  const handleDownloadLlmsTxt = async () => {
+    try {
+      setLlmsTxtError(null);
+      const file = await projectsAPI.downloadLlmsTxt(projectId);
+      const url = URL.createObjectURL(file);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'llms.txt';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to generate llms.txt:', err);
+      setLlmsTxtError(err.details || err.error || 'Failed to generate llms.txt');
+    }
+  };
+
   const handlePageClick = (page) => {
     navigate(`/pages/${page.id}`);
   };
@@ -173,15 +197,28 @@ function ProjectDetail() {
               <h1 className="text-2xl font-bold text-gray-900">{project.name}</h1>
               <p className="text-sm text-gray-500 mt-1">{project.target_url}</p>
             </div>
-            {canEdit() && !showCrawlForm && (
-              <button
-                onClick={handleStartCrawl}
-                className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
-              >
-                <Play className="mr-2 h-4 w-4" />
-                Start Crawl
-              </button>
-            )}
+            <div className="flex items-center space-x-3">
+              {llmsTxtError && <p className="text-sm text-red-600">{llmsTxtError}</p>}
+              {pages.length > 0 && (
+                <button
+                  onClick={handleDownloadLlmsTxt}
+                  title="Draft an llms.txt from the crawled pages"
+                  className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                >
+                  <Download className="mr-2 h-4 w-4" />
+                  llms.txt
+                </button>
+              )}
+              {canEdit() && !showCrawlForm && (
+                <button
+                  onClick={handleStartCrawl}
+                  className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+                >
+                  <Play className="mr-2 h-4 w-4" />
+                  Start Crawl
+                </button>
+              )}
+            </div>
           </div>
         </div>
       </header>
@@ -261,6 +298,46 @@ function ProjectDetail() {
               >
                 Pages ({pages.length})
               </button>
+              <button
+                onClick={() => setActiveTab('topics')}
+                className={`${
+                  activeTab === 'topics'
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                } whitespace-nowrap py-4 px-6 border-b-2 font-medium text-sm`}
+              >
+                Topics
+              </button>
+              <button
+                onClick={() => setActiveTab('rendering')}
+                className={`${
+                  activeTab === 'rendering'
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                } whitespace-nowrap py-4 px-6 border-b-2 font-medium text-sm`}
+              >
+                JS Rendering
+              </button>
+              <button
+                onClick={() => setActiveTab('access')}
+                className={`${
+                  activeTab === 'access'
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                } whitespace-nowrap py-4 px-6 border-b-2 font-medium text-sm`}
+              >
+                Crawl Access
+              </button>
+              <button
+                onClick={() => setActiveTab('schedule')}
+                className={`${
+                  activeTab === 'schedule'
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                } whitespace-nowrap py-4 px-6 border-b-2 font-medium text-sm`}
+              >
+                Schedule
+              </button>
               <button
                 onClick={() => setActiveTab('crawls')}
                 className={`${
@@ -276,7 +353,7 @@ function ProjectDetail() {
 
           {/* Tab Content */}
           <div className="p-6">
-            {activeTab === 'pages' ? (
+            {activeTab === 'pages' && (
               <div>
                 <PageTable
                   pages={pages}
@@ -284,7 +361,24 @@ function ProjectDetail() {
                   loading={pagesLoading}
                 />
               </div>
-            ) : (
+            )}
+            {activeTab === 'topics' && (
+              <TopicClusters
+                projectId={projectId}
+                canEdit={canEdit()}
+                onPageClick={handlePageClick}
+              />
+            )}
+            {activeTab === 'rendering' && (
+              <JsDependencyReport projectId={projectId} onPageClick={handlePageClick} />
+            )}
+            {activeTab === 'access' && (
+              <CrawlCredentials projectId={projectId} canEdit={canEdit()} />
+            )}
+            {activeTab === 'schedule' && (
+              <CrawlSchedule projectId={projectId} canEdit={canEdit()} />
+            )}
+            {activeTab === 'crawls' && (
               <div>
                 {selectedCrawl ? (
                   <div className="space-y-4">
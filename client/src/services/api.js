@@ -150,7 +150,32 @@ export const organizations = {
   create: data => post('/organizations', data),
   get: orgId => get(`/organizations/${orgId}`),
   update: (orgId, data) => patch(`/organizations/${orgId}`, data),
-  delete: orgId => del(`/organizations/${orgId}`)
+  delete: orgId => del(`/organizations/${orgId}`),
+  getTokenUsage: (orgId, params = {}) => get(`/organizations/${orgId}/token-usage`, { params }),
+  getAiQuota: orgId => get(`/organizations/${orgId}/ai-quota`),
+  updateAiQuota: (orgId, data) => patch(`/organizations/${orgId}/ai-quota`, data),
+  resetAiQuota: orgId => post(`/organizations/${orgId}/ai-quota/reset`),
+  getAiProvider: orgId => get(`/organizations/${orgId}/ai-provider`),
+  updateAiProvider: (orgId, data) => patch(`/organizations/${orgId}/ai-provider`, data)
+};
+
+// Rubric endpoints (versioned per organization)
+export const rubrics = {
+  list: orgId => get(`/organizations/${orgId}/rubrics`),
+  create: (orgId, data) => post(`/organizations/${orgId}/rubrics`, data),
+  get: (orgId, rubricId) => get(`/organizations/${orgId}/rubrics/${rubricId}`),
+  update: (orgId, rubricId, data) => patch(`/organizations/${orgId}/rubrics/${rubricId}`, data),
+  delete: (orgId, rubricId) => del(`/organizations/${orgId}/rubrics/${rubricId}`),
+  getVersion: (orgId, rubricId, version) =>
+    get(`/organizations/${orgId}/rubrics/${rubricId}/versions/${version}`),
+  saveDraft: (orgId, rubricId, definition) =>
+    put(`/organizations/${orgId}/rubrics/${rubricId}/draft`, { definition }),
+  discardDraft: (orgId, rubricId) => del(`/organizations/${orgId}/rubrics/${rubricId}/draft`),
+  publish: (orgId, rubricId) => post(`/organizations/${orgId}/rubrics/${rubricId}/publish`),
+  select: (orgId, rubricId) => put(`/organizations/${orgId}/rubric`, { rubric_id: rubricId }),
+  getForProject: projectId => get(`/projects/${projectId}/rubric`),
+  selectForProject: (projectId, rubricId) =>
+    put(`/projects/${projectId}/rubric`, { rubric_id: rubricId })
 };
 
 // Organization member endpoints
@@ -168,7 +193,37 @@ export const projects = {
   create: (orgId, data) => post(`/organizations/${orgId}/projects`, data),
   get: projectId => get(`/projects/${projectId}`),
   update: (projectId, data) => patch(`/projects/${projectId}`, data),
-  delete: projectId => del(`/projects/${projectId}`)
+  delete: projectId => del(`/projects/${projectId}`),
+  getTokenUsage: (projectId, params = {}) => get(`/projects/${projectId}/token-usage`, { params }),
+  search: (projectId, q, params = {}) =>
+    get(`/projects/${projectId}/search`, { params: { ...params, q } }),
+  downloadLlmsTxt: projectId => get(`/projects/${projectId}/llms-txt`, { responseType: 'blob' }),
+  getJsDependency: (projectId, params = {}) =>
+    get(`/projects/${projectId}/js-dependency`, { params }),
+  testUrl: (projectId, url, config = {}) => post(`/projects/${projectId}/url-test`, { url, config }),
+  getCrawlCredentials: projectId => get(`/projects/${projectId}/crawl-credentials`),
+  saveCrawlCredentials: (projectId, credentials) =>
+    put(`/projects/${projectId}/crawl-credentials`, credentials),
+  deleteCrawlCredentials: projectId => del(`/projects/${projectId}/crawl-credentials`),
+  getCrawlSchedule: projectId => get(`/projects/${projectId}/crawl-schedule`),
+  updateCrawlSchedule: (projectId, schedule) =>
+    put(`/projects/${projectId}/crawl-schedule`, schedule)
+};
+
+/**
+ * Page endpoints
+ */
+export const pages = {
+  getStructuredData: pageId => get(`/pages/${pageId}/structured-data`),
+  getSchemaMarkup: pageId => get(`/pages/${pageId}/schema-markup`)
+};
+
+/**
+ * Topic cluster endpoints
+ */
+export const topics = {
+  get: projectId => get(`/projects/${projectId}/topic-clusters`),
+  start: projectId => post(`/projects/${projectId}/topic-clusters`)
 };
 
 /**
@@ -178,8 +233,15 @@ export const crawls = {
   start: (projectId, data) => post(`/projects/${projectId}/crawls`, data),
   list: (projectId, params = {}) => get(`/projects/${projectId}/crawls`, { params }),
   get: crawlId => get(`/crawls/${crawlId}`),
+  getDeltaReport: crawlId => get(`/crawls/${crawlId}/delta-report`),
+  getDuplicateReport: crawlId => get(`/crawls/${crawlId}/duplicate-report`),
+  getLinkAudit: (crawlId, params = {}) => get(`/crawls/${crawlId}/link-audit`, { params }),
+  downloadLinkAuditCsv: (crawlId, params = {}) =>
+    get(`/crawls/${crawlId}/link-audit`, { params: { ...params, format: 'csv' }, responseType: 'blob' }),
+  getAiCrawlerAudit: (crawlId, params = {}) => get(`/crawls/${crawlId}/ai-crawler-audit`, { params }),
   pause: crawlId => post(`/crawls/${crawlId}/pause`),
-  resume: crawlId => post(`/crawls/${crawlId}/resume`)
+  resume: crawlId => post(`/crawls/${crawlId}/resume`),
+  approveScoring: crawlId => post(`/crawls/${crawlId}/scoring/approve`)
 };
 
 /**
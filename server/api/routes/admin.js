@@ -5,6 +5,7 @@
  * - GET /admin/users/pending - List users awaiting approval
  * - POST /admin/users/:userId/approve - Approve a user
  * - POST /admin/users/:userId/reject - Reject/delete a user
+ * - POST /admin/scores/recompute - Backfill category-weighted overall scores (no LLM calls)
  *
  * All endpoints require admin role via requireAdmin middleware
  */
@@ -12,6 +13,7 @@
 const express = require('express');
 const { findUserById, deleteUser } = require('../../models/user');
 const { requireAuth, requireAdmin } = require('../../middleware/auth');
+const { addRecomputeScoresJob } = require('../../services/jobs/queue');
 
 const router = express.Router();
 
@@ -146,6 +148,36 @@ router.post('/users/:userId/reject', requireAuth, requireAdmin, async (req, res)
   }
 });
 
+/**
+ * POST /admin/scores/recompute
+ * Queue a one-off recomputation of category sub-scores and weighted overall
+ * scores from stored criteria scores
+ *
+ * Body:
+ * - organizationId: Only this organization's scores (optional, all scores if omitted)
+ */
+router.post('/scores/recompute', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { organizationId = null } = req.body;
+
+    const job = await addRecomputeScoresJob({
+      organizationId,
+      userId: req.user.userId
+    });
+
+    res.status(202).json({
+      message: 'Score recomputation queued',
+      jobId: job.id
+    });
+  } catch (error) {
+    console.error('Queue score recomputation error:', error);
+    res.status(500).json({
+      error: 'Failed to queue score recomputation',
+      details: error.message
+    });
+  }
+});
+
 module.exports = {
   router,
   setSupabaseClient
@@ -2,11 +2,16 @@
  * Crawler Routes
  *
  * Implements crawl management endpoints for User Story 2:
- * - POST /projects/:projectId/crawls - Start new crawl
+ * - POST /projects/:projectId/crawls - Start new crawl (list crawls accept URLs or a CSV/text upload)
  * - GET /projects/:projectId/crawls - List project's crawl runs
  * - GET /crawls/:crawlId - Get crawl status
+ * - GET /crawls/:crawlId/duplicate-report - Near-duplicate page groups and canonical issues
+ * - GET /crawls/:crawlId/link-audit - Broken links and redirect chains (JSON or CSV)
+ * - GET /crawls/:crawlId/ai-crawler-audit - robots.txt and robots directives for AI crawlers
+ * - GET /crawls/:crawlId/llms-txt - llms.txt / llms-full.txt validation and link checks
  * - POST /crawls/:crawlId/pause - Pause crawl
  * - POST /crawls/:crawlId/resume - Resume crawl
+ * - POST /crawls/:crawlId/scoring/approve - Approve automatic scoring past the budget
  *
  * Based on contracts/openapi.yaml specification
  */
@@ -16,7 +21,15 @@ const CrawlRunModel = require('../../models/crawl-run');
 const ProjectModel = require('../../models/project');
 const { hasProjectAccess } = require('../../models/project');
 const { getUserRole } = require('../../models/organization-member');
-const { addCrawlJob } = require('../../services/jobs/queue');
+const AiUsageModel = require('../../models/ai-usage');
+const { getCacheHitRate } = require('../../models/score');
+const { addCrawlJob, addScoringJob } = require('../../services/jobs/queue');
+const { getQuotaExceededMessage } = require('../../utils/ai-quota');
+const { ISSUE_TYPES, toLinkAuditCsv } = require('../../crawler/link-checker');
+const { MAX_LIST_URLS, parseUrlList } = require('../../crawler/url-list');
+const { normalizeUrl } = require('../../crawler/canonicalizer');
+const { resolveUrlRules } = require('../../utils/url-rules');
+const { buildConfigSnapshot } = require('../../utils/crawl-config');
 
 const router = express.Router();
 
@@ -174,20 +187,52 @@ async function requireEditorRole(req, res, next) {
   }
 }
 
+/**
+ * Format automatic scoring state for API responses
+ *
+ * @param {Object|null} scoringState - crawl_runs.scoring_state
+ * @returns {Object|null} - Scoring summary (null when auto scoring is off)
+ */
+function formatScoringState(scoringState) {
+  if (!scoringState) {
+    return null;
+  }
+
+  return {
+    status: scoringState.status,
+    total: scoringState.total || 0,
+    scored: scoringState.scored || 0,
+    pending: (scoringState.pending_snapshot_ids || []).length,
+    tokensUsed: scoringState.tokens_used || 0,
+    costUsd: scoringState.cost_usd || 0,
+    cacheHits: scoringState.cache_hits || 0,
+    cacheHitRate: getCacheHitRate(scoringState.cache_hits || 0, scoringState.cache_misses || 0),
+    pausedReason: scoringState.paused_reason || null,
+    budget: scoringState.budget || null,
+    updatedAt: scoringState.updated_at || null
+  };
+}
+
 /**
  * POST /projects/:projectId/crawls
  * Start new crawl (all authenticated users)
+ *
+ * List crawls take `urls` (array of URLs or CSV/text content), or the file
+ * itself as a text/csv or text/plain body (runType=list in the query string).
  */
 router.post(
   '/projects/:projectId/crawls',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
   requireAuth,
   async (req, res) => {
     try {
       const { projectId } = req.params;
-      const { runType = 'full', manualUrl } = req.body;
+      const isUpload = typeof req.body === 'string';
+      const body = isUpload ? { runType: 'list', ...req.query, urls: req.body } : req.body;
+      const { runType = 'full', manualUrl, urls } = body;
 
       // Validate run type
-      const validRunTypes = ['full', 'sitemap_only', 'sample', 'delta', 'manual'];
+      const validRunTypes = ['full', 'sitemap_only', 'sample', 'delta', 'manual', 'list'];
       if (!validRunTypes.includes(runType)) {
         return res.status(400).json({
           error: 'Bad Request',
@@ -215,6 +260,15 @@ router.post(
         }
       }
 
+      // If list runType, require a URL list
+      if (runType === 'list' && typeof urls !== 'string' && !Array.isArray(urls)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message:
+            'urls (a list of URLs or CSV/text file content) is required when runType is "list"'
+        });
+      }
+
       // Get project configuration
       const project = await ProjectModel.findProjectById(projectId);
       if (!project) {
@@ -224,6 +278,36 @@ router.post(
         });
       }
 
+      // List crawls fetch exactly the listed URLs (project domain only, duplicates removed)
+      let urlList = null;
+      if (runType === 'list') {
+        const rules = resolveUrlRules(project.config || {});
+        const parsed = parseUrlList(urls, {
+          baseUrl: project.target_url,
+          normalize: url => normalizeUrl(url, { rules })
+        });
+
+        if (parsed.invalid.length > 0) {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: `${parsed.invalid.length} URLs in the list cannot be crawled`,
+            invalidUrls: parsed.invalid.slice(0, 20)
+          });
+        }
+
+        if (parsed.urls.length === 0 || parsed.urls.length > MAX_LIST_URLS) {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: `The URL list must contain between 1 and ${MAX_LIST_URLS} URLs`
+          });
+        }
+
+        urlList = parsed.urls;
+        console.log(
+          `URL list crawl for project ${projectId}: ${urlList.length} URLs (${parsed.duplicates} duplicates removed)`
+        );
+      }
+
       // Determine base URL - use manualUrl if provided, otherwise use project target_url
       const baseUrl = runType === 'manual' ? manualUrl : project.target_url;
 
@@ -231,15 +315,7 @@ router.post(
       const crawlRun = await CrawlRunModel.create({
         project_id: projectId,
         run_type: runType,
-        config_snapshot: {
-          base_url: baseUrl,
-          run_type: runType, // Pass run_type to worker so it knows how to crawl
-          user_agent: project.user_agent || process.env.USER_AGENT || 'AEO-Platform-Bot/1.0',
-          depth_limit: runType === 'manual' ? 0 : (project.config?.depth_limit || 3), // depth=0 for manual (single URL)
-          sample_size: project.config?.sample_size || null,
-          token_limit: project.config?.token_limit || null,
-          excluded_patterns: project.config?.excluded_patterns || []
-        },
+        config_snapshot: buildConfigSnapshot(project, { runType, baseUrl, urlList }),
         created_by: req.userId
       });
 
@@ -324,21 +400,11 @@ router.get('/projects/:projectId/crawls', requireAuth, async (req, res) => {
 
 /**
  * GET /crawls/:crawlId
- * Get crawl status (all authenticated users)
+ * Get crawl status (all project members)
  */
-router.get('/crawls/:crawlId', requireAuth, async (req, res) => {
+router.get('/crawls/:crawlId', requireAuth, requireCrawlAccess, async (req, res) => {
   try {
-    const { crawlId } = req.params;
-
-    // Get crawl run
-    const crawlRun = await CrawlRunModel.getById(crawlId);
-
-    if (!crawlRun) {
-      return res.status(404).json({
-        error: 'Not Found',
-        message: 'Crawl run not found'
-      });
-    }
+    const { crawlRun } = req;
 
     res.json({
       id: crawlRun.id,
@@ -350,7 +416,15 @@ router.get('/crawls/:crawlId', requireAuth, async (req, res) => {
       tokenUsage: crawlRun.token_usage,
       startedAt: crawlRun.started_at,
       completedAt: crawlRun.completed_at,
-      errorMessage: crawlRun.error_message
+      errorMessage: crawlRun.error_message,
+      deltaSummary: crawlRun.delta_report?.counts || null,
+      duplicateSummary: crawlRun.duplicate_report?.summary || null,
+      linkAudit: crawlRun.link_audit
+        ? { status: crawlRun.link_audit.status, summary: crawlRun.link_audit.summary || null }
+        : null,
+      aiCrawlerSummary: crawlRun.ai_crawler_audit?.summary || null,
+      llmsTxtSummary: crawlRun.llms_txt?.summary || null,
+      scoring: formatScoringState(crawlRun.scoring_state)
     });
   } catch (error) {
     console.error('Get crawl error:', error);
@@ -361,6 +435,258 @@ router.get('/crawls/:crawlId', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /crawls/:crawlId/delta-report
+ * Get new/changed/unchanged/removed URLs of a delta crawl (all project members)
+ */
+router.get('/crawls/:crawlId/delta-report', requireAuth, requireCrawlAccess, async (req, res) => {
+  try {
+    const { crawlRun } = req;
+
+    if (crawlRun.run_type !== 'delta') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Delta reports are only available for delta crawls'
+      });
+    }
+
+    const report = crawlRun.delta_report || {};
+
+    res.json({
+      crawlId: crawlRun.id,
+      status: crawlRun.status,
+      counts: report.counts || { new: 0, changed: 0, unchanged: 0, removed: 0 },
+      urls: report.urls || { new: [], changed: [], unchanged: [], removed: [] },
+      generatedAt: report.generated_at || null
+    });
+  } catch (error) {
+    console.error('Get delta report error:', error);
+    res.status(500).json({
+      error: 'Failed to get delta report',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /crawls/:crawlId/duplicate-report
+ * Get near-duplicate page groups found at the end of a crawl (all project members)
+ *
+ * Each group lists its pages with their similarity to the recommended canonical
+ * URL and whether the canonical URL they declare matches it.
+ */
+router.get(
+  '/crawls/:crawlId/duplicate-report',
+  requireAuth,
+  requireCrawlAccess,
+  async (req, res) => {
+    try {
+      const { crawlRun } = req;
+
+      const report = crawlRun.duplicate_report;
+
+      if (!report) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'No near-duplicate report for this crawl yet (generated when the crawl finishes)'
+        });
+      }
+
+      res.json({
+        crawlId: crawlRun.id,
+        status: crawlRun.status,
+        summary: report.summary,
+        groups: report.groups,
+        generatedAt: report.generated_at
+      });
+    } catch (error) {
+      console.error('Get duplicate report error:', error);
+      res.status(500).json({
+        error: 'Failed to get duplicate report',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /crawls/:crawlId/link-audit
+ * Get the broken link and redirect audit of a crawl (all project members)
+ *
+ * Query params:
+ * - issue: Only links with this issue (loop, too_many_redirects, error, broken, redirect)
+ * - type: Only 'internal' or 'external' links
+ * - format: 'csv' to download the problem links as CSV
+ */
+router.get('/crawls/:crawlId/link-audit', requireAuth, requireCrawlAccess, async (req, res) => {
+  try {
+    const { issue, type, format } = req.query;
+
+    if (issue && !ISSUE_TYPES.includes(issue)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `issue must be one of: ${ISSUE_TYPES.join(', ')}`
+      });
+    }
+
+    if (type && !['internal', 'external'].includes(type)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: "type must be 'internal' or 'external'"
+      });
+    }
+
+    const { crawlRun } = req;
+
+    const audit = crawlRun.link_audit;
+
+    if (!audit) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'No link audit for this crawl yet (queued when the crawl finishes)'
+      });
+    }
+
+    const links = (audit.links || []).filter(
+      link => (!issue || link.issue === issue) && (!type || link.external === (type === 'external'))
+    );
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="link-audit-${crawlRun.id}.csv"`);
+      return res.send(toLinkAuditCsv({ links }));
+    }
+
+    res.json({
+      crawlId: crawlRun.id,
+      status: crawlRun.status,
+      auditStatus: audit.status,
+      summary: audit.summary || null,
+      links,
+      redirects: audit.redirects || [],
+      error: audit.error || null,
+      generatedAt: audit.generated_at || null
+    });
+  } catch (error) {
+    console.error('Get link audit error:', error);
+    res.status(500).json({
+      error: 'Failed to get link audit',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /crawls/:crawlId/ai-crawler-audit
+ * Get the AI crawler access audit of a crawl (all project members)
+ *
+ * Lists for each AI search/training crawler whether robots.txt lets it fetch the
+ * site's most important paths, the pages whose robots directives keep them out
+ * of AI answers, and recommendations.
+ *
+ * Query params:
+ * - purpose: Only agents with this purpose (search, user, training)
+ */
+router.get(
+  '/crawls/:crawlId/ai-crawler-audit',
+  requireAuth,
+  requireCrawlAccess,
+  async (req, res) => {
+    try {
+      const { purpose } = req.query;
+
+      if (purpose && !['search', 'user', 'training'].includes(purpose)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'purpose must be one of: search, user, training'
+        });
+      }
+
+      const { crawlRun } = req;
+
+      const audit = crawlRun.ai_crawler_audit;
+
+      if (!audit) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'No AI crawler audit for this crawl yet (generated when the crawl finishes)'
+        });
+      }
+
+      res.json({
+        crawlId: crawlRun.id,
+        status: crawlRun.status,
+        summary: audit.summary,
+        agents: audit.agents.filter(agent => !purpose || agent.purpose === purpose),
+        pages: audit.pages,
+        recommendations: audit.recommendations,
+        robotsUrl: audit.robots_url,
+        paths: audit.paths,
+        agentsVersion: audit.agents_version,
+        generatedAt: audit.generated_at
+      });
+    } catch (error) {
+      console.error('Get AI crawler audit error:', error);
+      res.status(500).json({
+        error: 'Failed to get AI crawler audit',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /crawls/:crawlId/llms-txt
+ * Get the llms.txt report of a crawl (all project members)
+ *
+ * Whether the site publishes /llms.txt and /llms-full.txt, the structure issues
+ * of llms.txt and, once the crawl finished, whether its links resolve and are
+ * crawlable.
+ *
+ * Query params:
+ * - severity: Only issues with this severity (error, warning)
+ */
+router.get('/crawls/:crawlId/llms-txt', requireAuth, requireCrawlAccess, async (req, res) => {
+  try {
+    const { severity } = req.query;
+
+    if (severity && !['error', 'warning'].includes(severity)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'severity must be one of: error, warning'
+      });
+    }
+
+    const { crawlRun } = req;
+
+    const report = crawlRun.llms_txt;
+
+    if (!report) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'No llms.txt report for this crawl'
+      });
+    }
+
+    res.json({
+      crawlId: crawlRun.id,
+      status: crawlRun.status,
+      summary: report.summary,
+      llmsTxt: report.llms_txt,
+      llmsFullTxt: report.llms_full_txt,
+      links: report.links,
+      issues: report.issues.filter(issue => !severity || issue.severity === severity),
+      generatedAt: report.generated_at
+    });
+  } catch (error) {
+    console.error('Get llms.txt report error:', error);
+    res.status(500).json({
+      error: 'Failed to get llms.txt report',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /crawls/:crawlId/pause
  * Pause crawl (all authenticated users)
@@ -441,12 +767,13 @@ router.post('/crawls/:crawlId/resume', requireAuth, async (req, res) => {
     // Resume the crawl run
     const updated = await CrawlRunModel.resume(crawlId);
 
-    // Re-add job to queue
+    // Re-add job to queue (worker continues from the persisted frontier)
     await addCrawlJob({
       crawlRunId: updated.id,
       projectId: updated.project_id,
       userId: req.userId,
-      config: updated.config_snapshot
+      config: updated.config_snapshot,
+      isResume: true
     });
 
     console.log(`Crawl resumed: ${crawlId}`);
@@ -471,4 +798,85 @@ router.post('/crawls/:crawlId/resume', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * POST /crawls/:crawlId/scoring/approve
+ * Score the snapshots left when automatic scoring hit its budget (admins only)
+ */
+router.post('/crawls/:crawlId/scoring/approve', requireAuth, async (req, res) => {
+  try {
+    const { crawlId } = req.params;
+
+    const crawlRun = await CrawlRunModel.getById(crawlId);
+
+    if (!crawlRun) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Crawl run not found'
+      });
+    }
+
+    const project = await ProjectModel.findProjectById(crawlRun.project_id);
+    const role = project ? await getUserRole(req.userId, project.organization_id) : null;
+
+    if (role !== 'admin') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only admins can approve scoring beyond the budget'
+      });
+    }
+
+    const scoringState = crawlRun.scoring_state;
+
+    if (scoringState?.status !== 'paused') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Cannot approve scoring with status: ${scoringState?.status || 'none'}`
+      });
+    }
+
+    // Approval lifts the project budget, not the organization quota
+    const quota = await AiUsageModel.getProjectQuotaStatus(crawlRun.project_id);
+
+    if (quota.status === 'exceeded') {
+      return res.status(402).json({
+        error: 'AI Quota Exceeded',
+        message: getQuotaExceededMessage(quota),
+        quota
+      });
+    }
+
+    const snapshotIds = scoringState.pending_snapshot_ids || [];
+
+    const updatedState = await CrawlRunModel.updateScoringState(crawlId, {
+      status: 'queued',
+      paused_reason: null,
+      approved_by: req.userId,
+      approved_at: new Date().toISOString()
+    });
+
+    await addScoringJob({
+      crawlRunId: crawlId,
+      projectId: crawlRun.project_id,
+      snapshotIds,
+      isAutoScore: true,
+      isBudgetApproval: true,
+      userId: req.userId
+    });
+
+    console.log(`Scoring approved for ${snapshotIds.length} snapshots of crawl ${crawlId}`);
+
+    res.json({
+      id: crawlRun.id,
+      projectId: crawlRun.project_id,
+      scoring: formatScoringState(updatedState)
+    });
+  } catch (error) {
+    console.error('Approve scoring error:', error);
+    res.status(500).json({
+      error: 'Failed to approve scoring',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,300 @@
+/**
+ * Link Graph Routes
+ *
+ * Internal link graph analysis of a project's crawls (full and delta runs):
+ * - GET /projects/:projectId/link-graph - Summary (pages, links, orphans, broken links, click depth)
+ * - GET /projects/:projectId/link-graph/pages - Pages with click depth, internal PageRank and link counts
+ * - GET /projects/:projectId/link-graph/orphans - Sitemap URLs no other page links to
+ * - GET /projects/:projectId/link-graph/broken-links - Internal links to URLs that answered 4xx/5xx
+ * - GET /projects/:projectId/link-graph/anchors - Anchor-text diversity per linked page
+ *
+ * Every endpoint reads the latest crawl with a link report, or the crawl given
+ * as ?crawlRunId= (see crawler/link-graph.js for the analysis).
+ */
+
+const express = require('express');
+const CrawlRunModel = require('../../models/crawl-run');
+const { hasProjectAccess } = require('../../models/project');
+
+const router = express.Router();
+
+/**
+ * Default and maximum number of items per page of results
+ */
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+/**
+ * Sort orders of GET /projects/:projectId/link-graph/pages
+ */
+const PAGE_SORTS = {
+  pagerank: (a, b) => b.pagerank - a.pagerank,
+  depth: (a, b) => (a.depth ?? Infinity) - (b.depth ?? Infinity),
+  inbound_links: (a, b) => b.inbound_links - a.inbound_links
+};
+
+/**
+ * Middleware to extract and verify user from JWT
+ */
+async function requireAuth(req, res, next) {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        details: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.substring(7);
+    const jwt = require('jsonwebtoken');
+    const JWT_SECRET = process.env.JWT_SECRET;
+    if (!JWT_SECRET) throw new Error('JWT_SECRET required');
+
+    try {
+      const decoded = jwt.verify(token, JWT_SECRET);
+      req.userId = decoded.sub || decoded.userId;
+      next();
+    } catch (jwtError) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        details: 'Invalid or expired token'
+      });
+    }
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    return res.status(500).json({
+      error: 'Authentication failed',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Middleware to check project access
+ */
+async function requireProjectAccess(req, res, next) {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.userId, projectId);
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        details: 'You do not have access to this project'
+      });
+    }
+
+    req.projectId = projectId;
+    next();
+  } catch (error) {
+    console.error('Project access check error:', error);
+    return res.status(500).json({
+      error: 'Access check failed',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Middleware to load the link report (latest, or ?crawlRunId= of this project)
+ */
+async function loadLinkReport(req, res, next) {
+  try {
+    const { crawlRunId } = req.query;
+    const crawlRun = crawlRunId
+      ? await CrawlRunModel.getById(crawlRunId)
+      : await CrawlRunModel.getLatestWithReport(req.projectId, 'link_report');
+
+    if (!crawlRun || crawlRun.project_id !== req.projectId || !crawlRun.link_report) {
+      return res.status(404).json({
+        error: 'Not Found',
+        details: crawlRunId
+          ? 'No link report for this crawl run'
+          : 'No link report yet (generated at the end of full and delta crawls)'
+      });
+    }
+
+    req.crawlRun = crawlRun;
+    req.linkReport = crawlRun.link_report;
+    next();
+  } catch (error) {
+    console.error('Load link report error:', error);
+    return res.status(500).json({
+      error: 'Failed to load link report',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Parse limit/offset query parameters
+ *
+ * @param {Object} query - Request query
+ * @returns {Object} - { limit, offset } or { error }
+ */
+function parsePagination(query) {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+  const offset = query.offset === undefined ? 0 : parseInt(query.offset, 10);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'offset must be a non-negative integer' };
+  }
+
+  return { limit, offset };
+}
+
+/**
+ * Respond with one page of a report list
+ *
+ * @param {Object} req - Express request (crawlRun loaded)
+ * @param {Object} res - Express response
+ * @param {string} key - Response key of the list
+ * @param {Array} items - Full list
+ */
+function sendPage(req, res, key, items) {
+  const pagination = parsePagination(req.query);
+
+  if (pagination.error) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      details: pagination.error
+    });
+  }
+
+  res.status(200).json({
+    crawl_run_id: req.crawlRun.id,
+    [key]: items.slice(pagination.offset, pagination.offset + pagination.limit),
+    total: items.length,
+    limit: pagination.limit,
+    offset: pagination.offset
+  });
+}
+
+/**
+ * GET /projects/:projectId/link-graph
+ * Link graph summary of the latest (or given) crawl
+ *
+ * Query parameters:
+ * - crawlRunId: Crawl run to read (default: latest crawl with a link report)
+ */
+router.get(
+  '/projects/:projectId/link-graph',
+  requireAuth,
+  requireProjectAccess,
+  loadLinkReport,
+  async (req, res) => {
+    res.status(200).json({
+      project_id: req.projectId,
+      crawl_run_id: req.crawlRun.id,
+      run_type: req.crawlRun.run_type,
+      completed_at: req.crawlRun.completed_at,
+      summary: req.linkReport.summary,
+      generated_at: req.linkReport.generated_at
+    });
+  }
+);
+
+/**
+ * GET /projects/:projectId/link-graph/pages
+ * Pages with click depth from the homepage, internal PageRank and link counts
+ *
+ * Query parameters:
+ * - sort: pagerank (default), depth (unreachable pages last) or inbound_links
+ * - limit: Number of pages (default 100, max 500)
+ * - offset: Pagination offset (default 0)
+ * - crawlRunId: Crawl run to read
+ */
+router.get(
+  '/projects/:projectId/link-graph/pages',
+  requireAuth,
+  requireProjectAccess,
+  loadLinkReport,
+  async (req, res) => {
+    const { sort = 'pagerank' } = req.query;
+
+    if (!PAGE_SORTS[sort]) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        details: `sort must be one of: ${Object.keys(PAGE_SORTS).join(', ')}`
+      });
+    }
+
+    const pages = [...(req.linkReport.pages || [])].sort(
+      (a, b) => PAGE_SORTS[sort](a, b) || a.url.localeCompare(b.url)
+    );
+
+    sendPage(req, res, 'pages', pages);
+  }
+);
+
+/**
+ * GET /projects/:projectId/link-graph/orphans
+ * Sitemap URLs that no other crawled page links to
+ *
+ * Query parameters: limit, offset, crawlRunId
+ */
+router.get(
+  '/projects/:projectId/link-graph/orphans',
+  requireAuth,
+  requireProjectAccess,
+  loadLinkReport,
+  async (req, res) => {
+    sendPage(req, res, 'orphans', req.linkReport.orphans || []);
+  }
+);
+
+/**
+ * GET /projects/:projectId/link-graph/broken-links
+ * Internal links to URLs that answered 4xx/5xx or are gone
+ *
+ * Query parameters: limit, offset, crawlRunId
+ */
+router.get(
+  '/projects/:projectId/link-graph/broken-links',
+  requireAuth,
+  requireProjectAccess,
+  loadLinkReport,
+  async (req, res) => {
+    sendPage(req, res, 'broken_links', req.linkReport.broken_links || []);
+  }
+);
+
+/**
+ * GET /projects/:projectId/link-graph/anchors
+ * Anchor-text diversity of the links to each page (most linked pages first)
+ *
+ * Query parameters:
+ * - maxDiversity: Only pages whose diversity (unique anchors / inbound links) is at most this (0-1)
+ * - limit, offset, crawlRunId
+ */
+router.get(
+  '/projects/:projectId/link-graph/anchors',
+  requireAuth,
+  requireProjectAccess,
+  loadLinkReport,
+  async (req, res) => {
+    let anchors = req.linkReport.anchors || [];
+
+    if (req.query.maxDiversity !== undefined) {
+      const maxDiversity = parseFloat(req.query.maxDiversity);
+
+      if (Number.isNaN(maxDiversity) || maxDiversity < 0 || maxDiversity > 1) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          details: 'maxDiversity must be a number between 0 and 1'
+        });
+      }
+
+      anchors = anchors.filter(target => target.diversity <= maxDiversity);
+    }
+
+    sendPage(req, res, 'anchors', anchors);
+  }
+);
+
+module.exports = router;
@@ -8,6 +8,12 @@
  * - PATCH /organizations/:orgId - Update organization
  * - GET /organizations/:orgId/members - List organization members
  * - POST /organizations/:orgId/members - Add member to organization
+ * - GET /organizations/:orgId/token-usage - AI token usage and cost rollup per project
+ * - GET /organizations/:orgId/ai-quota - Monthly AI quota and current usage
+ * - PATCH /organizations/:orgId/ai-quota - Raise or change the monthly AI quota (admin only)
+ * - POST /organizations/:orgId/ai-quota/reset - Reset quota usage for the rest of the month (admin only)
+ * - GET /organizations/:orgId/ai-provider - AI provider and model used for the organization
+ * - PATCH /organizations/:orgId/ai-provider - Select the AI provider and model (admin only)
  *
  * Based on contracts/openapi.yaml specification
  */
@@ -18,7 +24,11 @@ const {
   getOrganizationsForUser,
   updateOrganization,
   getOrganizationWithStats,
-  isUserMember
+  isUserMember,
+  updateAiQuota,
+  resetAiQuota,
+  updateAiProvider,
+  findOrganizationById
 } = require('../../models/organization');
 const {
   addMember,
@@ -30,6 +40,15 @@ const {
   isValidRole
 } = require('../../models/organization-member');
 const { findUserByEmail } = require('../../models/user');
+const { getOrganizationProjects } = require('../../models/project');
+const AiUsageModel = require('../../models/ai-usage');
+const { validateAiQuota } = require('../../utils/ai-quota');
+const {
+  getDefaultProvider,
+  listAvailableProviders,
+  validateProviderSettings,
+  clearProviderCache
+} = require('../../services/ai/providers');
 
 const router = express.Router();
 
@@ -239,6 +258,212 @@ router.patch('/:orgId', requireAuth, requireOrgAccess, requireRole('admin'), asy
   }
 });
 
+/**
+ * GET /organizations/:orgId/token-usage
+ * AI token usage and estimated cost of an organization, with a per-project rollup
+ *
+ * Query parameters:
+ * - from: Start of the range (ISO date, default start of the current month)
+ * - to: End of the range, exclusive (ISO date, optional)
+ * - groupBy: Period breakdown (day, month) - default 'day'
+ */
+router.get('/:orgId/token-usage', requireAuth, requireOrgAccess, async (req, res) => {
+  try {
+    const { range, errors } = AiUsageModel.parseRange(req.query);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        details: errors.join(', ')
+      });
+    }
+
+    const [usage, projects] = await Promise.all([
+      AiUsageModel.getOrganizationUsage(req.orgId, range),
+      getOrganizationProjects(req.orgId)
+    ]);
+
+    const projectNames = new Map(projects.map(project => [project.id, project.name]));
+    const { by_project: byProject, ...summary } = usage;
+
+    res.status(200).json({
+      organization_id: req.orgId,
+      from: range.from,
+      to: range.to,
+      group_by: range.groupBy,
+      ...summary,
+      by_project: Object.entries(byProject)
+        .map(([projectId, totals]) => ({
+          project_id: projectId === 'unassigned' ? null : projectId,
+          project_name: projectNames.get(projectId) || null,
+          ...totals
+        }))
+        .sort((a, b) => b.cost_usd - a.cost_usd)
+    });
+  } catch (error) {
+    console.error('Get organization token usage error:', error);
+    res.status(500).json({
+      error: 'Failed to get token usage',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /organizations/:orgId/ai-quota
+ * Monthly AI quota and usage in the current period (all members)
+ */
+router.get('/:orgId/ai-quota', requireAuth, requireOrgAccess, async (req, res) => {
+  try {
+    const quota = await AiUsageModel.getQuotaStatus(req.orgId);
+
+    res.status(200).json(quota);
+  } catch (error) {
+    console.error('Get AI quota error:', error);
+    res.status(500).json({
+      error: 'Failed to get AI quota',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /organizations/:orgId/ai-quota
+ * Raise or change the monthly AI quota (admin only)
+ *
+ * Body (all optional, null removes a limit):
+ * - monthly_token_limit: Max tokens per calendar month
+ * - monthly_usd_limit: Max estimated USD per calendar month
+ * - warning_threshold: Fraction of a limit that triggers a warning (0-1)
+ */
+router.patch(
+  '/:orgId/ai-quota',
+  requireAuth,
+  requireOrgAccess,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const errors = validateAiQuota(req.body);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          details: errors.join(', ')
+        });
+      }
+
+      await updateAiQuota(req.orgId, req.body);
+      const quota = await AiUsageModel.getQuotaStatus(req.orgId);
+
+      res.status(200).json(quota);
+    } catch (error) {
+      console.error('Update AI quota error:', error);
+      res.status(500).json({
+        error: 'Failed to update AI quota',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /organizations/:orgId/ai-quota/reset
+ * Reset quota usage for the rest of the current month (admin only)
+ */
+router.post(
+  '/:orgId/ai-quota/reset',
+  requireAuth,
+  requireOrgAccess,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      await resetAiQuota(req.orgId);
+      const quota = await AiUsageModel.getQuotaStatus(req.orgId);
+
+      res.status(200).json(quota);
+    } catch (error) {
+      console.error('Reset AI quota error:', error);
+      res.status(500).json({
+        error: 'Failed to reset AI quota',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * Describe the AI provider settings of an organization
+ *
+ * @param {Object} org - Organization record
+ * @returns {Object} - { provider, model, default_provider, available }
+ */
+function formatProviderSettings(org) {
+  const settings = org?.settings?.ai_provider || {};
+
+  return {
+    provider: settings.provider || null,
+    model: settings.model || null,
+    default_provider: getDefaultProvider().name,
+    available: listAvailableProviders()
+  };
+}
+
+/**
+ * GET /organizations/:orgId/ai-provider
+ * AI provider and model used for the organization (all members)
+ */
+router.get('/:orgId/ai-provider', requireAuth, requireOrgAccess, async (req, res) => {
+  try {
+    const org = await findOrganizationById(req.orgId);
+
+    res.status(200).json(formatProviderSettings(org));
+  } catch (error) {
+    console.error('Get AI provider error:', error);
+    res.status(500).json({
+      error: 'Failed to get AI provider',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /organizations/:orgId/ai-provider
+ * Select the AI provider and model (admin only)
+ *
+ * Body (null restores the platform default):
+ * - provider: openai, anthropic, azure_openai or openai_compatible (must be configured)
+ * - model: Model name (optional, provider default if omitted)
+ */
+router.patch(
+  '/:orgId/ai-provider',
+  requireAuth,
+  requireOrgAccess,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const errors = validateProviderSettings(req.body);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          details: errors.join(', ')
+        });
+      }
+
+      const org = await updateAiProvider(req.orgId, req.body);
+      clearProviderCache(req.orgId);
+
+      res.status(200).json(formatProviderSettings(org));
+    } catch (error) {
+      console.error('Update AI provider error:', error);
+      res.status(500).json({
+        error: 'Failed to update AI provider',
+        details: error.message
+      });
+    }
+  }
+);
+
 /**
  * GET /organizations/:orgId/members
  * List organization members
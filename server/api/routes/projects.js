@@ -7,6 +7,18 @@
  * - GET /projects/:projectId - Get project details
  * - PATCH /projects/:projectId - Update project
  * - DELETE /projects/:projectId - Delete project
+ * - GET /projects/:projectId/token-usage - AI token usage and cost breakdown
+ * - GET /projects/:projectId/search - Semantic search over the project's pages
+ * - GET /projects/:projectId/llms-txt - Draft llms.txt generated from the crawled pages
+ * - GET /projects/:projectId/js-dependency - Pages whose content only exists after JavaScript rendering
+ * - POST /projects/:projectId/url-test - How a URL would be normalized and whether it would be crawled
+ * - GET /projects/:projectId/crawl-credentials - Configured crawl credentials (without secrets)
+ * - PUT /projects/:projectId/crawl-credentials - Store encrypted crawl credentials
+ * - DELETE /projects/:projectId/crawl-credentials - Remove crawl credentials
+ * - GET /projects/:projectId/crawl-schedule - Recurring crawl schedule and next run time
+ * - PUT /projects/:projectId/crawl-schedule - Update the recurring crawl schedule
+ * - GET /pages/:pageId/structured-data - Schema validation errors and warnings
+ * - GET /pages/:pageId/schema-markup - Generated JSON-LD for the page
  *
  * Based on contracts/openapi.yaml specification
  */
@@ -18,11 +30,17 @@ const {
   getOrganizationProjects,
   getAllProjects,
   updateProject,
+  updateCrawlSchedule,
   deleteProject,
   getProjectWithStats,
-  hasProjectAccess
+  hasProjectAccess,
+  validateConfig
 } = require('../../models/project');
 const { getMembership, getUserRole } = require('../../models/organization-member');
+const AiUsageModel = require('../../models/ai-usage');
+const EmbeddingModel = require('../../models/embedding');
+const { generateEmbeddings, getEmbeddingModel } = require('../../services/ai/client');
+const { getQuotaExceededMessage } = require('../../utils/ai-quota');
 const { supabaseAdmin } = require('../../services/database/supabase');
 
 const router = express.Router();
@@ -346,6 +364,533 @@ router.delete('/projects/:projectId', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /projects/:projectId/token-usage
+ * AI token usage and estimated cost of a project (all project members)
+ *
+ * Query parameters:
+ * - from: Start of the range (ISO date, default start of the current month)
+ * - to: End of the range, exclusive (ISO date, optional)
+ * - groupBy: Period breakdown (day, month) - default 'day'
+ */
+router.get(
+  '/projects/:projectId/token-usage',
+  requireAuth,
+  requireProjectAccess,
+  async (req, res) => {
+    try {
+      const { range, errors } = AiUsageModel.parseRange(req.query);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          details: errors.join(', ')
+        });
+      }
+
+      const usage = await AiUsageModel.getProjectUsage(req.projectId, range);
+
+      res.status(200).json({
+        project_id: req.projectId,
+        from: range.from,
+        to: range.to,
+        group_by: range.groupBy,
+        ...usage
+      });
+    } catch (error) {
+      console.error('Get project token usage error:', error);
+      res.status(500).json({
+        error: 'Failed to get token usage',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * Maximum number of pages a semantic search returns
+ */
+const MAX_SEARCH_RESULTS = 50;
+
+/**
+ * GET /projects/:projectId/search
+ * Semantic search over the pages of a project (all project members)
+ *
+ * Pages are ranked by the cosine similarity of their best matching chunk. Only
+ * pages embedded by the AI worker after crawling are searchable.
+ *
+ * Query parameters:
+ * - q: Search query (required)
+ * - limit: Maximum number of pages (default 10, max 50)
+ */
+router.get('/projects/:projectId/search', requireAuth, requireProjectAccess, async (req, res) => {
+  try {
+    const PageModel = require('../../models/page');
+
+    const query = (req.query.q || '').trim();
+    const limit = req.query.limit === undefined ? 10 : parseInt(req.query.limit, 10);
+
+    if (!query) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        details: 'q is required'
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_RESULTS) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        details: `limit must be between 1 and ${MAX_SEARCH_RESULTS}`
+      });
+    }
+
+    // Embedding the query is an AI request
+    const quota = await AiUsageModel.getProjectQuotaStatus(req.projectId);
+
+    if (quota.status === 'exceeded') {
+      return res.status(402).json({
+        error: 'AI Quota Exceeded',
+        details: getQuotaExceededMessage(quota),
+        quota
+      });
+    }
+
+    // Same model name the page embeddings are stored under
+    const usageContext = { projectId: req.projectId, userId: req.userId, purpose: 'search' };
+    const model = await getEmbeddingModel(usageContext);
+    const { embeddings } = await generateEmbeddings(query, model, usageContext);
+
+    const matches = await EmbeddingModel.searchProject(req.projectId, embeddings[0], model, limit);
+    const pages = await PageModel.getByIds(matches.map(match => match.page_id));
+    const pagesById = new Map(pages.map(page => [page.id, page]));
+
+    res.status(200).json({
+      query,
+      model,
+      results: matches
+        .filter(match => pagesById.has(match.page_id))
+        .map(match => {
+          const page = pagesById.get(match.page_id);
+          return {
+            page_id: page.id,
+            url: page.url,
+            page_type: page.page_type,
+            lifecycle_status: page.lifecycle_status || 'active',
+            snapshot_id: match.snapshot_id,
+            similarity: Math.round(match.similarity * 1000) / 1000,
+            snippet: match.source_text
+          };
+        })
+    });
+  } catch (error) {
+    console.error('Search project pages error:', error);
+    res.status(500).json({
+      error: 'Failed to search pages',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /projects/:projectId/llms-txt
+ * Download a draft llms.txt for the project's site (all project members)
+ *
+ * Built from the active crawled pages: grouped in sections by page type, each
+ * linked with its title and meta description.
+ */
+router.get('/projects/:projectId/llms-txt', requireAuth, requireProjectAccess, async (req, res) => {
+  try {
+    const PageModel = require('../../models/page');
+    const SnapshotModel = require('../../models/snapshot');
+    const { generateLlmsTxt } = require('../../crawler/llms-txt');
+
+    const project = await findProjectById(req.projectId);
+
+    if (!project) {
+      return res.status(404).json({
+        error: 'Project not found'
+      });
+    }
+
+    const pages = (await PageModel.listCrawlBaseline(req.projectId)).filter(
+      page => (page.lifecycle_status || 'active') === 'active' && page.current_snapshot_id
+    );
+
+    if (pages.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        details: 'No crawled pages yet, run a crawl first'
+      });
+    }
+
+    const summaries = await SnapshotModel.getSummariesByIds(
+      pages.map(page => page.current_snapshot_id)
+    );
+
+    const content = generateLlmsTxt({
+      name: project.name,
+      baseUrl: project.target_url,
+      pages: pages.map(page => {
+        const summary = summaries.get(page.current_snapshot_id) || {};
+        return {
+          url: page.url,
+          page_type: page.page_type || summary.page_type || null,
+          title: summary.title || null,
+          meta_description: summary.meta_description || null
+        };
+      })
+    });
+
+    res.set('Content-Type', 'text/markdown; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="llms.txt"');
+    res.send(content);
+  } catch (error) {
+    console.error('Generate llms.txt error:', error);
+    res.status(500).json({
+      error: 'Failed to generate llms.txt',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /projects/:projectId/js-dependency
+ * Pages whose key content only exists after JavaScript rendering (all project members)
+ *
+ * Built from the static vs rendered comparison of the pages' current snapshots,
+ * recorded by crawls of projects with compare_static_html enabled.
+ *
+ * Query parameters:
+ * - severity: Only pages with this severity (high, medium, low)
+ * - keyContentOnly: 'true' to leave out pages where only links or a little text differ
+ */
+router.get(
+  '/projects/:projectId/js-dependency',
+  requireAuth,
+  requireProjectAccess,
+  async (req, res) => {
+    try {
+      const PageModel = require('../../models/page');
+      const SnapshotModel = require('../../models/snapshot');
+      const { buildJsDependencyReport } = require('../../crawler/js-dependency');
+
+      const { severity } = req.query;
+
+      if (severity && !['high', 'medium', 'low'].includes(severity)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          details: 'severity must be one of: high, medium, low'
+        });
+      }
+
+      const pages = (await PageModel.listCrawlBaseline(req.projectId)).filter(
+        page => (page.lifecycle_status || 'active') === 'active' && page.current_snapshot_id
+      );
+      const reports = await SnapshotModel.getJsDependencyByIds(
+        pages.map(page => page.current_snapshot_id)
+      );
+
+      const report = buildJsDependencyReport(
+        pages.map(page => ({
+          page_id: page.id,
+          url: page.url,
+          page_type: page.page_type,
+          js_dependency: reports.get(page.current_snapshot_id) || null
+        })),
+        { severity: severity || null, keyContentOnly: req.query.keyContentOnly === 'true' }
+      );
+
+      res.status(200).json({
+        project_id: req.projectId,
+        ...report
+      });
+    } catch (error) {
+      console.error('Get JS dependency report error:', error);
+      res.status(500).json({
+        error: 'Failed to get JS dependency report',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /projects/:projectId/url-test
+ * Show how a URL would be normalized and whether a crawl would fetch it (all project members)
+ *
+ * Body:
+ * - url: URL to test
+ * - config: Optional config fields to test instead of the saved ones (e.g. unsaved
+ *   include patterns or URL rules from the settings form)
+ */
+router.post(
+  '/projects/:projectId/url-test',
+  requireAuth,
+  requireProjectAccess,
+  async (req, res) => {
+    try {
+      const { testUrl } = require('../../crawler/canonicalizer');
+      const { url, config: overrides = {} } = req.body;
+
+      if (!url || typeof url !== 'string') {
+        return res.status(400).json({
+          error: 'Bad Request',
+          details: 'url is required'
+        });
+      }
+
+      const project = await findProjectById(req.projectId);
+
+      if (!project) {
+        return res.status(404).json({
+          error: 'Project not found'
+        });
+      }
+
+      const config = { ...(project.config || {}), ...overrides };
+      const validation = validateConfig(config);
+
+      if (!validation.valid) {
+        return res.status(400).json({
+          error: 'Invalid configuration',
+          details: validation.errors.join(', ')
+        });
+      }
+
+      res.status(200).json({
+        project_id: req.projectId,
+        ...testUrl(url.trim(), { baseUrl: project.target_url, config })
+      });
+    } catch (error) {
+      console.error('Test URL error:', error);
+      res.status(500).json({
+        error: 'Failed to test URL',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /projects/:projectId/crawl-credentials
+ * Crawl credentials configured for the project (all project members)
+ *
+ * Never returns secrets: passwords, header values and cookie values are left out.
+ */
+router.get(
+  '/projects/:projectId/crawl-credentials',
+  requireAuth,
+  requireProjectAccess,
+  async (req, res) => {
+    try {
+      const CrawlCredentialModel = require('../../models/crawl-credential');
+      const credentials = await CrawlCredentialModel.describeForProject(req.projectId);
+
+      res.status(200).json({
+        project_id: req.projectId,
+        ...credentials
+      });
+    } catch (error) {
+      console.error('Get crawl credentials error:', error);
+      res.status(500).json({
+        error: 'Failed to get crawl credentials',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * PUT /projects/:projectId/crawl-credentials
+ * Store crawl credentials for the project, encrypted (editors and admins)
+ *
+ * Body: { basic_auth, headers, cookies, login } (see utils/crawl-credentials.js).
+ * Replaces the stored credentials; passwords, header values and cookie values
+ * left empty keep their stored value unless the host they are sent to changed
+ * (login URL host, project target host), then they must be entered again.
+ */
+router.put(
+  '/projects/:projectId/crawl-credentials',
+  requireAuth,
+  requireProjectAccess,
+  requireEditor,
+  async (req, res) => {
+    try {
+      const CrawlCredentialModel = require('../../models/crawl-credential');
+      const {
+        validateCredentials,
+        mergeCredentials,
+        describeCredentials
+      } = require('../../utils/crawl-credentials');
+
+      const project = await findProjectById(req.projectId);
+
+      if (!project) {
+        return res.status(404).json({
+          error: 'Project not found'
+        });
+      }
+
+      const stored = await CrawlCredentialModel.getForProject(req.projectId);
+      const credentials = mergeCredentials(
+        stored,
+        req.body || {},
+        new URL(project.target_url).hostname
+      );
+      const errors = validateCredentials(credentials);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid credentials',
+          details: errors.join(', ')
+        });
+      }
+
+      await CrawlCredentialModel.saveForProject(req.projectId, credentials, req.userId);
+
+      res.status(200).json({
+        project_id: req.projectId,
+        ...describeCredentials(credentials)
+      });
+    } catch (error) {
+      console.error('Save crawl credentials error:', error);
+      res.status(500).json({
+        error: 'Failed to save crawl credentials',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /projects/:projectId/crawl-credentials
+ * Remove the project's crawl credentials (editors and admins)
+ */
+router.delete(
+  '/projects/:projectId/crawl-credentials',
+  requireAuth,
+  requireProjectAccess,
+  requireEditor,
+  async (req, res) => {
+    try {
+      const CrawlCredentialModel = require('../../models/crawl-credential');
+      await CrawlCredentialModel.deleteForProject(req.projectId);
+
+      res.status(204).send();
+    } catch (error) {
+      console.error('Delete crawl credentials error:', error);
+      res.status(500).json({
+        error: 'Failed to delete crawl credentials',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /projects/:projectId/crawl-schedule
+ * Recurring crawl schedule of the project with its next run time (all project members)
+ */
+router.get(
+  '/projects/:projectId/crawl-schedule',
+  requireAuth,
+  requireProjectAccess,
+  async (req, res) => {
+    try {
+      const { describeSchedule } = require('../../utils/crawl-schedule');
+      const project = await findProjectById(req.projectId);
+
+      res.status(200).json({
+        project_id: req.projectId,
+        ...describeSchedule(project?.crawl_schedule)
+      });
+    } catch (error) {
+      console.error('Get crawl schedule error:', error);
+      res.status(500).json({
+        error: 'Failed to get crawl schedule',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * PUT /projects/:projectId/crawl-schedule
+ * Update the recurring crawl schedule (editors and admins)
+ *
+ * Body: { enabled, preset, time, day_of_week, day_of_month, cron, timezone, run_type }
+ * (see utils/crawl-schedule.js). Scheduled runs are created as the user who saved the schedule.
+ */
+router.put(
+  '/projects/:projectId/crawl-schedule',
+  requireAuth,
+  requireProjectAccess,
+  requireEditor,
+  async (req, res) => {
+    try {
+      const {
+        DEFAULT_SCHEDULE,
+        validateSchedule,
+        toCronPattern,
+        describeSchedule
+      } = require('../../utils/crawl-schedule');
+      const { scheduleCrawls, unscheduleCrawls } = require('../../services/jobs/queue');
+
+      const body = req.body || {};
+      const schedule = Object.fromEntries(
+        Object.keys(DEFAULT_SCHEDULE).map(key => [key, body[key] ?? DEFAULT_SCHEDULE[key]])
+      );
+      const errors = validateSchedule(schedule);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid crawl schedule',
+          details: errors.join(', ')
+        });
+      }
+
+      // Register the job scheduler before enabling the schedule: a scheduler left
+      // behind by a failed save finds the schedule disabled and removes itself
+      if (schedule.enabled) {
+        try {
+          await scheduleCrawls(req.projectId, {
+            pattern: toCronPattern(schedule),
+            timezone: schedule.timezone
+          });
+        } catch (error) {
+          console.error('Register crawl schedule error:', error);
+          return res.status(503).json({
+            error: 'Failed to update crawl schedule',
+            details: `Job queue unavailable: ${error.message}`
+          });
+        }
+      }
+
+      const project = await updateCrawlSchedule(req.projectId, {
+        ...schedule,
+        updated_by: req.userId
+      });
+
+      if (!schedule.enabled) {
+        await unscheduleCrawls(req.projectId).catch(error =>
+          console.warn(`Failed to remove crawl schedule of ${req.projectId}:`, error.message)
+        );
+      }
+
+      res.status(200).json({
+        project_id: req.projectId,
+        ...describeSchedule(project.crawl_schedule)
+      });
+    } catch (error) {
+      console.error('Update crawl schedule error:', error);
+      res.status(500).json({
+        error: 'Failed to update crawl schedule',
+        details: error.message
+      });
+    }
+  }
+);
+
 /**
  * GET /projects/:projectId/pages
  * List pages in a project with scores and filtering (all authenticated users)
@@ -358,6 +903,7 @@ router.delete('/projects/:projectId', requireAuth, async (req, res) => {
  * - offset: Pagination offset (default 0)
  * - orderBy: Sort field (score, url, type, date) - default 'score'
  * - order: Sort order (asc, desc) - default 'desc'
+ * - lifecycleStatus: Filter by lifecycle (active, redirected, gone, blocked_by_robots, noindex)
  *
  * For User Story 3: Page scoring with filtering
  */
@@ -374,9 +920,17 @@ router.get('/projects/:projectId/pages', requireAuth, async (req, res) => {
       limit = 50,
       offset = 0,
       orderBy = 'score',
-      order = 'desc'
+      order = 'desc',
+      lifecycleStatus
     } = req.query;
 
+    if (lifecycleStatus && !PageModel.LIFECYCLE_STATUSES.includes(lifecycleStatus)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        details: `lifecycleStatus must be one of: ${PageModel.LIFECYCLE_STATUSES.join(', ')}`
+      });
+    }
+
     // Build filter options
     const options = {
       limit: parseInt(limit, 10),
@@ -395,6 +949,10 @@ router.get('/projects/:projectId/pages', requireAuth, async (req, res) => {
       options.pageType = pageType;
     }
 
+    if (lifecycleStatus) {
+      options.lifecycle_status = lifecycleStatus;
+    }
+
     // Get pages with scores
     const pages = await PageModel.listByProject(projectId, options);
 
@@ -409,10 +967,14 @@ router.get('/projects/:projectId/pages', requireAuth, async (req, res) => {
             page_type: page.page_type,
             first_discovered_at: page.first_discovered_at,
             last_crawled_at: page.last_crawled_at,
+            lifecycle_status: page.lifecycle_status || 'active',
+            last_status_code: page.last_status_code || null,
+            redirect_target: page.redirect_target || null,
             overall_score: score?.overall_score || null,
             scored_at: score?.scored_at || null,
             rubric_version: score?.rubric_version || null,
             criteria_scores: score?.criteria_scores || {},
+            category_scores: score?.category_scores || {},
             criteria_explanations: score?.criteria_explanations || {},
             ai_recommendations: score?.ai_recommendations || []
           };
@@ -423,6 +985,9 @@ router.get('/projects/:projectId/pages', requireAuth, async (req, res) => {
           page_type: page.page_type,
           first_discovered_at: page.first_discovered_at,
           last_crawled_at: page.last_crawled_at,
+          lifecycle_status: page.lifecycle_status || 'active',
+          last_status_code: page.last_status_code || null,
+          redirect_target: page.redirect_target || null,
           overall_score: null,
           scored_at: null
         };
@@ -489,7 +1054,8 @@ router.get('/projects/:projectId/pages', requireAuth, async (req, res) => {
       filters: {
         minScore: minScore ? parseInt(minScore, 10) : null,
         maxScore: maxScore ? parseInt(maxScore, 10) : null,
-        pageType: pageType || null
+        pageType: pageType || null,
+        lifecycleStatus: lifecycleStatus || null
       }
     });
   } catch (error) {
@@ -529,6 +1095,9 @@ router.get('/pages/:pageId', requireAuth, async (req, res) => {
       scoreData = await PageScoreModel.getById(page.current_score_id);
     }
 
+    // Lifecycle per crawl run (most recent first)
+    const lifecycleHistory = await PageModel.getLifecycleHistory(pageId);
+
     res.status(200).json({
       id: page.id,
       url: page.url,
@@ -536,10 +1105,15 @@ router.get('/pages/:pageId', requireAuth, async (req, res) => {
       project_id: page.project_id,
       first_discovered_at: page.first_discovered_at,
       last_crawled_at: page.last_crawled_at,
+      lifecycle_status: page.lifecycle_status || 'active',
+      last_status_code: page.last_status_code || null,
+      redirect_target: page.redirect_target || null,
+      lifecycle_history: lifecycleHistory,
       overall_score: scoreData?.overall_score || null,
       scored_at: scoreData?.scored_at || null,
       rubric_version: scoreData?.rubric_version || null,
       criteria_scores: scoreData?.criteria_scores || {},
+      category_scores: scoreData?.category_scores || {},
       criteria_explanations: scoreData?.criteria_explanations || {},
       ai_recommendations: scoreData?.ai_recommendations || [],
       ai_tokens_used: scoreData?.ai_tokens_used || 0,
@@ -555,6 +1129,132 @@ router.get('/pages/:pageId', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /pages/:pageId/structured-data
+ * Structured data validation of the page's latest snapshot (all project members)
+ *
+ * Returns the JSON-LD, Microdata and RDFa items found on the page with the
+ * errors and warnings from checking them against schema.org and Google rich
+ * result requirements.
+ */
+router.get('/pages/:pageId/structured-data', requireAuth, async (req, res) => {
+  try {
+    const PageModel = require('../../models/page');
+    const SnapshotModel = require('../../models/snapshot');
+    const { pageId } = req.params;
+
+    const page = await PageModel.getById(pageId);
+
+    if (!page) {
+      return res.status(404).json({
+        error: 'Not Found',
+        details: 'Page not found'
+      });
+    }
+
+    if (!(await hasProjectAccess(req.userId, page.project_id))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        details: 'You do not have access to this project'
+      });
+    }
+
+    const snapshot = page.current_snapshot_id
+      ? await SnapshotModel.getStructuredData(page.current_snapshot_id)
+      : null;
+
+    if (!snapshot || !snapshot.structured_data) {
+      return res.status(404).json({
+        error: 'Not Found',
+        details: 'No structured data validation available for this page yet'
+      });
+    }
+
+    const { summary, items, errors, warnings, definitions_version } = snapshot.structured_data;
+
+    res.status(200).json({
+      page_id: page.id,
+      url: page.url,
+      snapshot_id: snapshot.id,
+      snapshot_at: snapshot.snapshot_at,
+      definitions_version,
+      summary,
+      items,
+      errors,
+      warnings
+    });
+  } catch (error) {
+    console.error('Get page structured data error:', error);
+    res.status(500).json({
+      error: 'Failed to get structured data',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /pages/:pageId/schema-markup
+ * Generate JSON-LD for the page's latest snapshot (all project members)
+ *
+ * Each generated item is validated with the same rules as crawled markup.
+ */
+router.get('/pages/:pageId/schema-markup', requireAuth, async (req, res) => {
+  try {
+    const PageModel = require('../../models/page');
+    const SnapshotModel = require('../../models/snapshot');
+    const { generateSchemaMarkup } = require('../../crawler/schema-generator');
+    const { pageId } = req.params;
+
+    const page = await PageModel.getById(pageId);
+
+    if (!page) {
+      return res.status(404).json({
+        error: 'Not Found',
+        details: 'Page not found'
+      });
+    }
+
+    if (!(await hasProjectAccess(req.userId, page.project_id))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        details: 'You do not have access to this project'
+      });
+    }
+
+    const snapshot = page.current_snapshot_id
+      ? await SnapshotModel.getById(page.current_snapshot_id)
+      : null;
+
+    if (!snapshot) {
+      return res.status(404).json({
+        error: 'Not Found',
+        details: 'Page has not been crawled yet'
+      });
+    }
+
+    const schemas = generateSchemaMarkup({
+      url: snapshot.url || page.url,
+      pageType: page.page_type,
+      extraction: snapshot.extraction || {},
+      rawHtml: snapshot.raw_html
+    });
+
+    res.status(200).json({
+      page_id: page.id,
+      url: page.url,
+      snapshot_id: snapshot.id,
+      existing_types: snapshot.extraction?.schema_types || [],
+      schemas
+    });
+  } catch (error) {
+    console.error('Generate schema markup error:', error);
+    res.status(500).json({
+      error: 'Failed to generate schema markup',
+      details: error.message
+    });
+  }
+});
+
 /**
  * PATCH /api/pages/:pageId
  *
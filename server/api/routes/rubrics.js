@@ -0,0 +1,646 @@
+/**
+ * Rubric Routes
+ *
+ * Versioned scoring rubrics per organization:
+ * - GET /organizations/:orgId/rubrics - List rubrics and the organization's selection
+ * - POST /organizations/:orgId/rubrics - Create a rubric with a first draft (admin only)
+ * - GET /organizations/:orgId/rubrics/:rubricId - Rubric with versions and current draft
+ * - PATCH /organizations/:orgId/rubrics/:rubricId - Rename or describe a rubric (admin only)
+ * - DELETE /organizations/:orgId/rubrics/:rubricId - Delete a never-published rubric (admin only)
+ * - GET /organizations/:orgId/rubrics/:rubricId/versions/:version - Version definition
+ * - PUT /organizations/:orgId/rubrics/:rubricId/draft - Create or replace the draft (admin only)
+ * - DELETE /organizations/:orgId/rubrics/:rubricId/draft - Discard the draft (admin only)
+ * - POST /organizations/:orgId/rubrics/:rubricId/publish - Publish the draft (admin only)
+ * - PUT /organizations/:orgId/rubric - Select the organization rubric (admin only)
+ * - GET /projects/:projectId/rubric - Rubric the project is scored with
+ * - PUT /projects/:projectId/rubric - Select a project rubric (editor or admin)
+ *
+ * Published versions never change: scores keep pointing at the version they
+ * were made with (page_scores.rubric_version), and new scores use the latest
+ * published version of the selected rubric.
+ */
+
+const express = require('express');
+const RubricModel = require('../../models/rubric');
+const {
+  isUserMember,
+  updateRubricSelection,
+  findOrganizationById
+} = require('../../models/organization');
+const { getUserRole } = require('../../models/organization-member');
+const { findProjectById, updateProject, hasProjectAccess } = require('../../models/project');
+const {
+  getActiveRubric,
+  getRubricVersion,
+  resolveRubric,
+  clearRubricSelections
+} = require('../../crawler/rubrics');
+
+const router = express.Router();
+
+/**
+ * Middleware to extract and verify user from JWT
+ */
+async function requireAuth(req, res, next) {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        details: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.substring(7);
+    const jwt = require('jsonwebtoken');
+    const JWT_SECRET = process.env.JWT_SECRET;
+    if (!JWT_SECRET) throw new Error('JWT_SECRET required');
+
+    try {
+      const decoded = jwt.verify(token, JWT_SECRET);
+      req.userId = decoded.sub || decoded.userId;
+      next();
+    } catch (jwtError) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        details: 'Invalid or expired token'
+      });
+    }
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    return res.status(500).json({
+      error: 'Authentication failed',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Middleware to check organization access
+ */
+async function requireOrgAccess(req, res, next) {
+  try {
+    const { orgId } = req.params;
+    const isMember = await isUserMember(req.userId, orgId);
+
+    if (!isMember) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        details: 'You do not have access to this organization'
+      });
+    }
+
+    req.orgId = orgId;
+    next();
+  } catch (error) {
+    console.error('Organization access check error:', error);
+    return res.status(500).json({
+      error: 'Access check failed',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Middleware to require the admin role in the organization
+ */
+async function requireAdmin(req, res, next) {
+  try {
+    const userRole = await getUserRole(req.userId, req.orgId);
+
+    if (userRole !== 'admin') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        details: 'This action requires one of the following roles: admin'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Role check error:', error);
+    return res.status(500).json({
+      error: 'Role check failed',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Middleware to load a rubric of the organization (req.rubric)
+ */
+async function loadRubric(req, res, next) {
+  try {
+    const rubric = await RubricModel.getRubricById(req.params.rubricId);
+
+    if (!rubric || rubric.organization_id !== req.orgId) {
+      return res.status(404).json({
+        error: 'Rubric not found'
+      });
+    }
+
+    req.rubric = rubric;
+    next();
+  } catch (error) {
+    console.error('Load rubric error:', error);
+    return res.status(500).json({
+      error: 'Failed to get rubric',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Validate a rubric definition from a request body
+ *
+ * @param {Object} res - Express response
+ * @param {Object} definition - Rubric JSON
+ * @returns {boolean} - True if valid (a 400 response was sent otherwise)
+ */
+function checkDefinition(res, definition) {
+  const validation = RubricModel.validateDefinition(definition);
+
+  if (!validation.valid) {
+    res.status(400).json({
+      error: 'Invalid rubric definition',
+      details: validation.errors.join(', ')
+    });
+  }
+
+  return validation.valid;
+}
+
+/**
+ * Find the published rubric a selection points at
+ *
+ * @param {string} orgId - Organization UUID
+ * @param {string} rubricId - Rubric UUID
+ * @returns {Promise<string|null>} - Error message, or null when the rubric can be selected
+ */
+async function checkSelectableRubric(orgId, rubricId) {
+  if (typeof rubricId !== 'string') {
+    return 'rubric_id must be a rubric id or null';
+  }
+
+  const rubric = await RubricModel.getRubricById(rubricId);
+
+  if (!rubric || rubric.organization_id !== orgId) {
+    return 'Rubric not found in this organization';
+  }
+
+  if (!rubric.versions.some(version => version.status === 'published')) {
+    return 'Only published rubrics can be selected';
+  }
+
+  return null;
+}
+
+/**
+ * GET /organizations/:orgId/rubrics
+ * List rubrics, the built-in default rubric and the organization's selection
+ */
+router.get('/organizations/:orgId/rubrics', requireAuth, requireOrgAccess, async (req, res) => {
+  try {
+    const [rubrics, org, defaultVersion] = await Promise.all([
+      RubricModel.listRubrics(req.orgId),
+      findOrganizationById(req.orgId),
+      getRubricVersion()
+    ]);
+
+    res.status(200).json({
+      selected_rubric_id: org?.settings?.rubric?.rubric_id || null,
+      default_rubric: { version: defaultVersion },
+      rubrics
+    });
+  } catch (error) {
+    console.error('List rubrics error:', error);
+    res.status(500).json({
+      error: 'Failed to list rubrics',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /organizations/:orgId/rubrics
+ * Create a rubric (admin only)
+ *
+ * Body:
+ * - name: Display name (required)
+ * - description: Optional description
+ * - definition: Rubric JSON for the first draft (defaults to a copy of the built-in rubric)
+ */
+router.post(
+  '/organizations/:orgId/rubrics',
+  requireAuth,
+  requireOrgAccess,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const { name, description } = req.body;
+
+      if (!name || typeof name !== 'string' || name.trim().length === 0) {
+        return res.status(400).json({
+          error: 'Missing required fields',
+          details: 'name is required'
+        });
+      }
+
+      const definition = req.body.definition || structuredClone(await getActiveRubric());
+
+      if (!checkDefinition(res, definition)) {
+        return;
+      }
+
+      const rubric = await RubricModel.createRubric({
+        organization_id: req.orgId,
+        name,
+        description,
+        definition,
+        created_by: req.userId
+      });
+
+      res.status(201).json(rubric);
+    } catch (error) {
+      console.error('Create rubric error:', error);
+      res.status(500).json({
+        error: 'Failed to create rubric',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /organizations/:orgId/rubrics/:rubricId
+ * Rubric with version summaries and the current draft (if any)
+ */
+router.get(
+  '/organizations/:orgId/rubrics/:rubricId',
+  requireAuth,
+  requireOrgAccess,
+  loadRubric,
+  async (req, res) => {
+    try {
+      const draft = await RubricModel.getDraft(req.rubric.id);
+
+      res.status(200).json({ ...req.rubric, draft });
+    } catch (error) {
+      console.error('Get rubric error:', error);
+      res.status(500).json({
+        error: 'Failed to get rubric',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * PATCH /organizations/:orgId/rubrics/:rubricId
+ * Rename or describe a rubric (admin only)
+ */
+router.patch(
+  '/organizations/:orgId/rubrics/:rubricId',
+  requireAuth,
+  requireOrgAccess,
+  requireAdmin,
+  loadRubric,
+  async (req, res) => {
+    try {
+      const { name, description } = req.body;
+
+      if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          details: 'name must be a non-empty string'
+        });
+      }
+
+      const rubric = await RubricModel.updateRubric(req.rubric.id, { name, description });
+
+      res.status(200).json(rubric);
+    } catch (error) {
+      console.error('Update rubric error:', error);
+      res.status(500).json({
+        error: 'Failed to update rubric',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /organizations/:orgId/rubrics/:rubricId
+ * Delete a rubric that was never published (admin only)
+ */
+router.delete(
+  '/organizations/:orgId/rubrics/:rubricId',
+  requireAuth,
+  requireOrgAccess,
+  requireAdmin,
+  loadRubric,
+  async (req, res) => {
+    try {
+      if (req.rubric.versions.some(version => version.status === 'published')) {
+        return res.status(409).json({
+          error: 'Conflict',
+          details: 'Published rubrics cannot be deleted because scores refer to them'
+        });
+      }
+
+      await RubricModel.deleteRubric(req.rubric.id);
+
+      res.status(204).send();
+    } catch (error) {
+      console.error('Delete rubric error:', error);
+      res.status(500).json({
+        error: 'Failed to delete rubric',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /organizations/:orgId/rubrics/:rubricId/versions/:version
+ * Definition of one version (draft or published)
+ */
+router.get(
+  '/organizations/:orgId/rubrics/:rubricId/versions/:version',
+  requireAuth,
+  requireOrgAccess,
+  loadRubric,
+  async (req, res) => {
+    try {
+      const versionNumber = parseInt(req.params.version, 10);
+
+      if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          details: 'version must be a positive integer'
+        });
+      }
+
+      const version = await RubricModel.getVersion(req.rubric.id, versionNumber);
+
+      if (!version) {
+        return res.status(404).json({
+          error: 'Rubric version not found'
+        });
+      }
+
+      res.status(200).json(version);
+    } catch (error) {
+      console.error('Get rubric version error:', error);
+      res.status(500).json({
+        error: 'Failed to get rubric version',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * PUT /organizations/:orgId/rubrics/:rubricId/draft
+ * Create or replace the draft (admin only)
+ *
+ * Body:
+ * - definition: Rubric JSON (format of data/aeo-principles/default-rubric.json)
+ */
+router.put(
+  '/organizations/:orgId/rubrics/:rubricId/draft',
+  requireAuth,
+  requireOrgAccess,
+  requireAdmin,
+  loadRubric,
+  async (req, res) => {
+    try {
+      const { definition } = req.body;
+
+      if (!checkDefinition(res, definition)) {
+        return;
+      }
+
+      const draft = await RubricModel.saveDraft(req.rubric.id, definition, req.userId);
+
+      res.status(200).json(draft);
+    } catch (error) {
+      console.error('Save rubric draft error:', error);
+      res.status(500).json({
+        error: 'Failed to save rubric draft',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /organizations/:orgId/rubrics/:rubricId/draft
+ * Discard the draft (admin only)
+ */
+router.delete(
+  '/organizations/:orgId/rubrics/:rubricId/draft',
+  requireAuth,
+  requireOrgAccess,
+  requireAdmin,
+  loadRubric,
+  async (req, res) => {
+    try {
+      const discarded = await RubricModel.discardDraft(req.rubric.id);
+
+      if (!discarded) {
+        return res.status(404).json({
+          error: 'Rubric draft not found'
+        });
+      }
+
+      res.status(204).send();
+    } catch (error) {
+      console.error('Discard rubric draft error:', error);
+      res.status(500).json({
+        error: 'Failed to discard rubric draft',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /organizations/:orgId/rubrics/:rubricId/publish
+ * Publish the draft as an immutable version (admin only)
+ *
+ * Projects using this rubric are scored with the new version from now on;
+ * existing scores keep the version they were made with.
+ */
+router.post(
+  '/organizations/:orgId/rubrics/:rubricId/publish',
+  requireAuth,
+  requireOrgAccess,
+  requireAdmin,
+  loadRubric,
+  async (req, res) => {
+    try {
+      const published = await RubricModel.publishDraft(req.rubric.id, req.userId);
+
+      if (!published) {
+        return res.status(409).json({
+          error: 'Conflict',
+          details: 'The rubric has no draft to publish'
+        });
+      }
+
+      clearRubricSelections();
+
+      res.status(200).json(published);
+    } catch (error) {
+      console.error('Publish rubric error:', error);
+      res.status(500).json({
+        error: 'Failed to publish rubric',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * PUT /organizations/:orgId/rubric
+ * Select the rubric for all projects of the organization (admin only)
+ *
+ * Body:
+ * - rubric_id: Published rubric of the organization, or null for the built-in rubric
+ */
+router.put(
+  '/organizations/:orgId/rubric',
+  requireAuth,
+  requireOrgAccess,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const rubricId = req.body.rubric_id ?? null;
+      const problem = rubricId ? await checkSelectableRubric(req.orgId, rubricId) : null;
+
+      if (problem) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          details: problem
+        });
+      }
+
+      const org = await updateRubricSelection(req.orgId, rubricId);
+      clearRubricSelections();
+
+      res.status(200).json({ selected_rubric_id: org.settings?.rubric?.rubric_id || null });
+    } catch (error) {
+      console.error('Select rubric error:', error);
+      res.status(500).json({
+        error: 'Failed to select rubric',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * Describe the rubric a project is scored with
+ *
+ * @param {Object} project - Project record
+ * @returns {Promise<Object>} - { rubric_id, selected_rubric_id, source, rubric_version }
+ */
+async function describeProjectRubric(project) {
+  const resolved = await resolveRubric({ projectId: project.id });
+
+  return {
+    rubric_id: resolved.rubricId,
+    selected_rubric_id: project.config?.rubric_id || null,
+    source: resolved.source,
+    rubric_version: resolved.version
+  };
+}
+
+/**
+ * GET /projects/:projectId/rubric
+ * Rubric and version new scores of the project are made with
+ */
+router.get('/projects/:projectId/rubric', requireAuth, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    if (!(await hasProjectAccess(req.userId, projectId))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        details: 'You do not have access to this project'
+      });
+    }
+
+    const project = await findProjectById(projectId);
+
+    if (!project) {
+      return res.status(404).json({
+        error: 'Project not found'
+      });
+    }
+
+    res.status(200).json(await describeProjectRubric(project));
+  } catch (error) {
+    console.error('Get project rubric error:', error);
+    res.status(500).json({
+      error: 'Failed to get project rubric',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /projects/:projectId/rubric
+ * Select a rubric for one project (editor or admin)
+ *
+ * Body:
+ * - rubric_id: Published rubric of the project's organization, or null to use the
+ *   organization selection
+ */
+router.put('/projects/:projectId/rubric', requireAuth, async (req, res) => {
+  try {
+    const project = await findProjectById(req.params.projectId);
+
+    if (!project) {
+      return res.status(404).json({
+        error: 'Project not found'
+      });
+    }
+
+    const role = await getUserRole(req.userId, project.organization_id);
+
+    if (!role || !['admin', 'editor'].includes(role)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        details: 'This action requires editor or admin role'
+      });
+    }
+
+    const rubricId = req.body.rubric_id ?? null;
+    const problem = rubricId
+      ? await checkSelectableRubric(project.organization_id, rubricId)
+      : null;
+
+    if (problem) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        details: problem
+      });
+    }
+
+    const updated = await updateProject(project.id, {
+      config: { ...(project.config || {}), rubric_id: rubricId }
+    });
+    clearRubricSelections();
+
+    res.status(200).json(await describeProjectRubric(updated));
+  } catch (error) {
+    console.error('Select project rubric error:', error);
+    res.status(500).json({
+      error: 'Failed to select project rubric',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
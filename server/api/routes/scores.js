@@ -6,6 +6,8 @@
  * - POST /pages/:pageId/rescore - Trigger page rescoring
  * - POST /projects/:projectId/rescore - Batch rescore pages in project
  *
+ * Rescoring is refused with 402 when the organization's monthly AI quota is exceeded.
+ *
  * Based on User Story 3: Intelligent Page Scoring
  */
 
@@ -14,7 +16,10 @@ const PageScoreModel = require('../../models/score');
 const PageModel = require('../../models/page');
 const SnapshotModel = require('../../models/snapshot');
 const { hasProjectAccess } = require('../../models/project');
+const AiUsageModel = require('../../models/ai-usage');
 const { addScoringJob, addBatchRescoreJob } = require('../../services/jobs/queue');
+const { getScoringModel, estimateScoringCost } = require('../../utils/scoring-budget');
+const { getQuotaExceededMessage } = require('../../utils/ai-quota');
 
 const router = express.Router();
 
@@ -55,6 +60,20 @@ async function requireAuth(req, res, next) {
   }
 }
 
+/**
+ * Respond with 402 Payment Required for an exceeded organization AI quota
+ *
+ * @param {Object} res - Express response
+ * @param {Object} quota - Quota status (see AiUsageModel.getQuotaStatus)
+ */
+function sendQuotaExceeded(res, quota) {
+  return res.status(402).json({
+    error: 'AI Quota Exceeded',
+    details: getQuotaExceededMessage(quota),
+    quota
+  });
+}
+
 /**
  * GET /api/scores/:scoreId
  *
@@ -180,13 +199,24 @@ router.post('/pages/:pageId/rescore', requireAuth, async (req, res) => {
       });
     }
 
+    const quota = await AiUsageModel.getProjectQuotaStatus(
+      page.project_id,
+      estimateScoringCost(snapshot, await getScoringModel({ projectId: page.project_id }))
+    );
+
+    if (quota.status === 'exceeded') {
+      return sendQuotaExceeded(res, quota);
+    }
+
     // Add scoring job to queue with single snapshot
     console.log('[Rescore] Queueing job with data:', { crawlRunId, snapshotIds: [snapshot.id] });
     const job = await addScoringJob({
       crawlRunId,
       snapshotIds: [snapshot.id],
       tokenLimit: null,
-      isManualRescore: true
+      isManualRescore: true,
+      userId: req.userId,
+      purpose: 'rescore'
     });
     console.log('[Rescore] Job queued successfully:', job.id);
 
@@ -195,7 +225,8 @@ router.post('/pages/:pageId/rescore', requireAuth, async (req, res) => {
       jobId: job.id,
       pageId,
       snapshotId: snapshot.id,
-      status: 'queued'
+      status: 'queued',
+      quota
     });
   } catch (error) {
     console.error('[Rescore] Error initiating rescore:', error);
@@ -230,6 +261,13 @@ router.post('/projects/:projectId/rescore', requireAuth, async (req, res) => {
       });
     }
 
+    // Pages are checked one by one in the scoring job, refuse up front once the quota is used up
+    const quota = await AiUsageModel.getProjectQuotaStatus(projectId);
+
+    if (quota.status === 'exceeded') {
+      return sendQuotaExceeded(res, quota);
+    }
+
     // Determine which pages to rescore
     let pagesToRescore = pageIds;
 
@@ -283,7 +321,9 @@ router.post('/projects/:projectId/rescore', requireAuth, async (req, res) => {
     const job = await addScoringJob({
       crawlRunId,
       snapshotIds,
-      tokenLimit: tokenLimit || null
+      tokenLimit: tokenLimit || null,
+      userId: req.userId,
+      purpose: 'batch_rescore'
     });
 
     res.status(202).json({
@@ -291,7 +331,8 @@ router.post('/projects/:projectId/rescore', requireAuth, async (req, res) => {
       jobId: job.id,
       projectId,
       pageCount: snapshotIds.length,
-      status: 'queued'
+      status: 'queued',
+      quota
     });
   } catch (error) {
     console.error('Error initiating batch rescore:', error);
@@ -0,0 +1,223 @@
+/**
+ * Topic Cluster Routes
+ *
+ * Topic clusters and content gaps of a project, built from page embeddings:
+ * - GET /projects/:projectId/topic-clusters - Latest topic report and run status
+ * - POST /projects/:projectId/topic-clusters - Start a clustering run (editor or admin)
+ *
+ * Clustering runs on the AI queue (see services/jobs/processors/ai.js); clusters
+ * with only one or two pages or a low average AEO score are flagged as gaps.
+ */
+
+const express = require('express');
+const TopicClusteringModel = require('../../models/topic-clustering');
+const { findProjectById, hasProjectAccess } = require('../../models/project');
+const { getUserRole } = require('../../models/organization-member');
+const { addTopicClusteringJob } = require('../../services/jobs/queue');
+
+const router = express.Router();
+
+/**
+ * Middleware to extract and verify user from JWT
+ */
+async function requireAuth(req, res, next) {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        details: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.substring(7);
+    const jwt = require('jsonwebtoken');
+    const JWT_SECRET = process.env.JWT_SECRET;
+    if (!JWT_SECRET) throw new Error('JWT_SECRET required');
+
+    try {
+      const decoded = jwt.verify(token, JWT_SECRET);
+      req.userId = decoded.sub || decoded.userId;
+      next();
+    } catch (jwtError) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        details: 'Invalid or expired token'
+      });
+    }
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    return res.status(500).json({
+      error: 'Authentication failed',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Middleware to check project access
+ */
+async function requireProjectAccess(req, res, next) {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.userId, projectId);
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        details: 'You do not have access to this project'
+      });
+    }
+
+    req.projectId = projectId;
+    next();
+  } catch (error) {
+    console.error('Project access check error:', error);
+    return res.status(500).json({
+      error: 'Access check failed',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Middleware to require editor or admin role in the project's organization
+ */
+async function requireEditor(req, res, next) {
+  try {
+    const project = await findProjectById(req.projectId);
+
+    if (!project) {
+      return res.status(404).json({
+        error: 'Project not found'
+      });
+    }
+
+    const role = await getUserRole(req.userId, project.organization_id);
+
+    if (!role || !['admin', 'editor'].includes(role)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        details: 'This action requires editor or admin role'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Role check error:', error);
+    return res.status(500).json({
+      error: 'Role check failed',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Status fields of a clustering run
+ *
+ * @param {Object|null} clustering - Clustering run
+ * @returns {Object|null} - { id, status, error_message, created_at, completed_at }
+ */
+function formatRunStatus(clustering) {
+  if (!clustering) {
+    return null;
+  }
+
+  return {
+    id: clustering.id,
+    status: clustering.status,
+    error_message: clustering.error_message,
+    created_at: clustering.created_at,
+    completed_at: clustering.completed_at
+  };
+}
+
+/**
+ * GET /projects/:projectId/topic-clusters
+ * Latest completed topic report of a project and the status of the latest run
+ *
+ * Response:
+ * - report: Latest completed run (clusters, summary) or null
+ * - latest_run: { id, status, error_message, created_at, completed_at } or null
+ */
+router.get(
+  '/projects/:projectId/topic-clusters',
+  requireAuth,
+  requireProjectAccess,
+  async (req, res) => {
+    try {
+      const [latest, report] = await Promise.all([
+        TopicClusteringModel.getLatestByProject(req.projectId),
+        TopicClusteringModel.getLatestByProject(req.projectId, { status: 'completed' })
+      ]);
+
+      res.status(200).json({
+        project_id: req.projectId,
+        report,
+        latest_run: formatRunStatus(latest)
+      });
+    } catch (error) {
+      console.error('Get topic clusters error:', error);
+      res.status(500).json({
+        error: 'Failed to get topic clusters',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /projects/:projectId/topic-clusters
+ * Start clustering the project's embedded pages (editor or admin)
+ *
+ * Only one run per project can be queued or running at a time.
+ */
+router.post(
+  '/projects/:projectId/topic-clusters',
+  requireAuth,
+  requireProjectAccess,
+  requireEditor,
+  async (req, res) => {
+    try {
+      const latest = await TopicClusteringModel.getLatestByProject(req.projectId);
+
+      if (latest && TopicClusteringModel.ACTIVE_STATUSES.includes(latest.status)) {
+        return res.status(409).json({
+          error: 'Conflict',
+          details: 'A topic clustering run is already in progress for this project',
+          clustering_id: latest.id
+        });
+      }
+
+      const clustering = await TopicClusteringModel.create({
+        project_id: req.projectId,
+        requested_by: req.userId
+      });
+
+      try {
+        await addTopicClusteringJob({
+          clusteringId: clustering.id,
+          projectId: req.projectId,
+          userId: req.userId
+        });
+      } catch (queueError) {
+        await TopicClusteringModel.fail(clustering.id, `Failed to queue: ${queueError.message}`);
+        throw queueError;
+      }
+
+      res.status(202).json({
+        message: 'Topic clustering started',
+        clustering_id: clustering.id,
+        status: clustering.status
+      });
+    } catch (error) {
+      console.error('Start topic clustering error:', error);
+      res.status(500).json({
+        error: 'Failed to start topic clustering',
+        details: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,398 @@
+/**
+ * AI Crawler Access Audit
+ *
+ * Tells whether AI search and training crawlers can reach a site: robots.txt
+ * rules are evaluated for every agent in the maintained list
+ * (data/ai-crawlers/agents.json) on the site's most important paths, and
+ * crawled pages are checked for X-Robots-Tag headers and meta robots tags that
+ * keep content out of AI answers (noai, noimageai, nosnippet, noindex).
+ *
+ * Agent status:
+ * - allowed - Every audited path may be fetched
+ * - partial - Some audited paths are disallowed
+ * - blocked - Every audited path is disallowed
+ *
+ * Report structure (crawl_runs.ai_crawler_audit):
+ * - summary (OBJECT) - { robots_txt_found, agents_checked, paths_checked, allowed,
+ *   partially_blocked, blocked, explicit_rules, search_agents_blocked,
+ *   training_agents_blocked, pages_with_directives, directive_counts }
+ * - agents (ARRAY) - [{ token, name, operator, purpose, control_token,
+ *   explicit_rules, status, blocked_paths, paths: [{ path, allowed, rule }] }]
+ * - pages (ARRAY) - [{ url, signals: [{ source, agent, directives }] }]
+ * - recommendations (ARRAY) - [{ priority, issue, recommendation, agents }]
+ * - robots_url (TEXT), paths (ARRAY), agents_version (TEXT), generated_at (TEXT)
+ */
+
+const robotsParser = require('robots-parser');
+const agentList = require('../data/ai-crawlers/agents.json');
+
+const AI_CRAWLERS = agentList.agents;
+
+/**
+ * Paths evaluated per agent (homepage first, then the most important pages)
+ */
+const MAX_AUDIT_PATHS = 10;
+
+/**
+ * Pages with AI directives listed in the report (the counts are never capped)
+ */
+const MAX_REPORTED_PAGES = 100;
+
+/**
+ * Robots directives that keep a page (or its images) out of AI answers
+ */
+const AI_DIRECTIVES = ['noai', 'noimageai', 'nosnippet', 'noindex', 'none'];
+
+/**
+ * Directives written as "name: value", not to be mistaken for a bot prefix
+ */
+const VALUE_DIRECTIVES = [
+  'max-snippet',
+  'max-image-preview',
+  'max-video-preview',
+  'unavailable_after'
+];
+
+/**
+ * Purposes whose agents decide whether a site can be cited in AI answers
+ */
+const VISIBILITY_PURPOSES = ['search', 'user'];
+
+/**
+ * Bot names whose robots directives matter for AI visibility (lower-cased);
+ * Googlebot directives also apply to AI Overviews
+ */
+const RELEVANT_BOTS = ['googlebot', ...AI_CRAWLERS.map(agent => agent.token.toLowerCase())];
+
+/**
+ * Parse one robots directive string ("googlebot: noindex, nosnippet")
+ *
+ * @param {string} value - Meta content or X-Robots-Tag header value
+ * @returns {Object} - { agent: lower-cased bot name or null, directives: [...] }
+ */
+function parseRobotsDirectives(value) {
+  let agent = null;
+  let directives = String(value || '');
+
+  const prefix = directives.match(/^\s*([a-z0-9_.-]+)\s*:(.*)$/i);
+  if (prefix && !VALUE_DIRECTIVES.includes(prefix[1].toLowerCase())) {
+    agent = prefix[1].toLowerCase();
+    directives = prefix[2];
+  }
+
+  return {
+    agent,
+    directives: directives
+      .toLowerCase()
+      .split(',')
+      .map(directive => directive.trim())
+      .filter(Boolean)
+  };
+}
+
+/**
+ * Find robots directives on a page that affect AI crawlers
+ *
+ * @param {Object} $ - Cheerio instance of the page
+ * @param {Object} headers - Response headers (lower-cased keys)
+ * @returns {Array<Object>} - [{ source: 'header'|'meta', agent, directives }]
+ */
+function detectAiDirectives($, headers = {}) {
+  const signals = [];
+
+  const add = (source, agent, directives) => {
+    const relevant = directives.filter(directive => AI_DIRECTIVES.includes(directive));
+    if (relevant.length > 0 && (!agent || RELEVANT_BOTS.includes(agent))) {
+      signals.push({ source, agent, directives: relevant });
+    }
+  };
+
+  const headerValue = headers?.['x-robots-tag'];
+  (Array.isArray(headerValue) ? headerValue : [headerValue]).filter(Boolean).forEach(value => {
+    const { agent, directives } = parseRobotsDirectives(value);
+    add('header', agent, directives);
+  });
+
+  $('meta[name]').each((i, el) => {
+    const name = ($(el).attr('name') || '').toLowerCase();
+    if (name === 'robots' || RELEVANT_BOTS.includes(name)) {
+      add(
+        'meta',
+        name === 'robots' ? null : name,
+        parseRobotsDirectives($(el).attr('content')).directives
+      );
+    }
+  });
+
+  return signals;
+}
+
+/**
+ * List the user agents that have their own group in robots.txt
+ *
+ * @param {string} robotsTxt - robots.txt content
+ * @returns {Set<string>} - Lower-cased user agent names
+ */
+function listUserAgentGroups(robotsTxt) {
+  const agents = new Set();
+
+  (robotsTxt || '').split(/\r?\n/).forEach(line => {
+    const match = line.replace(/#.*$/, '').match(/^\s*user-agent\s*:\s*(\S+)/i);
+    if (match) {
+      agents.add(match[1].toLowerCase());
+    }
+  });
+
+  return agents;
+}
+
+/**
+ * Pick the paths to audit: the homepage, then the given URLs in order
+ *
+ * @param {string} baseUrl - Project base URL
+ * @param {Array<string>} urls - Page URLs, most important first
+ * @param {number} limit - Maximum number of paths
+ * @returns {Array<string>} - Paths (with query string)
+ */
+function selectAuditPaths(baseUrl, urls = [], limit = MAX_AUDIT_PATHS) {
+  const host = new URL(baseUrl).host;
+  const paths = ['/'];
+
+  for (const url of urls) {
+    if (paths.length >= limit) {
+      break;
+    }
+
+    try {
+      const parsed = new URL(url, baseUrl);
+      const path = `${parsed.pathname}${parsed.search}`;
+      if (parsed.host === host && !paths.includes(path)) {
+        paths.push(path);
+      }
+    } catch (error) {
+      // Invalid URL, skip
+    }
+  }
+
+  return paths;
+}
+
+/**
+ * Evaluate robots.txt for every AI agent on the audited paths
+ *
+ * @param {string} robotsUrl - robots.txt URL (its origin is used for the paths)
+ * @param {string} robotsTxt - robots.txt content ('' when there is none)
+ * @param {Array<string>} paths - Paths to check
+ * @param {Array<Object>} agents - Agents to check (defaults to the maintained list)
+ * @returns {Array<Object>} - Per-agent results (see report structure)
+ */
+function auditRobotsTxt(robotsUrl, robotsTxt, paths, agents = AI_CRAWLERS) {
+  const robots = robotsParser(robotsUrl, robotsTxt || '');
+  const lines = (robotsTxt || '').split(/\r?\n/);
+  const groups = listUserAgentGroups(robotsTxt);
+
+  return agents.map(agent => {
+    const results = paths.map(path => {
+      const url = new URL(path, robotsUrl).toString();
+      const line = robots.getMatchingLineNumber(url, agent.token);
+
+      return {
+        path,
+        allowed: robots.isAllowed(url, agent.token) !== false,
+        rule: line > 0 ? lines[line - 1].trim() : null
+      };
+    });
+    const blockedPaths = results.filter(result => !result.allowed).map(result => result.path);
+
+    let status = 'partial';
+    if (blockedPaths.length === 0) {
+      status = 'allowed';
+    } else if (blockedPaths.length === results.length) {
+      status = 'blocked';
+    }
+
+    return {
+      token: agent.token,
+      name: agent.name,
+      operator: agent.operator,
+      purpose: agent.purpose,
+      control_token: Boolean(agent.controlToken),
+      explicit_rules: groups.has(agent.token.toLowerCase()),
+      status,
+      blocked_paths: blockedPaths,
+      paths: results
+    };
+  });
+}
+
+/**
+ * Name a list of agents ("GPTBot, ClaudeBot and CCBot")
+ */
+function listNames(agents) {
+  const names = agents.map(agent => agent.name);
+  return names.length > 1
+    ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+    : names[0];
+}
+
+/**
+ * Recommendations for the audit results
+ *
+ * @param {Object} audit - { robotsFound, agents, pages, directiveCounts }
+ * @returns {Array<Object>} - [{ priority, issue, recommendation, agents }]
+ */
+function buildRecommendations({ robotsFound, agents, directiveCounts }) {
+  const recommendations = [];
+  const visibility = agents.filter(agent => VISIBILITY_PURPOSES.includes(agent.purpose));
+  const blockedSearch = visibility.filter(agent => agent.status === 'blocked');
+  const partialSearch = visibility.filter(agent => agent.status === 'partial');
+  const blockedTraining = agents.filter(
+    agent => agent.purpose === 'training' && agent.status !== 'allowed'
+  );
+
+  if (blockedSearch.length > 0) {
+    recommendations.push({
+      priority: 'high',
+      issue: 'AI search crawlers are blocked',
+      recommendation: `${listNames(blockedSearch)} cannot fetch your site, so it will not be cited in their AI answers. Allow them in robots.txt unless this is intentional.`,
+      agents: blockedSearch.map(agent => agent.token)
+    });
+  }
+
+  if (partialSearch.length > 0) {
+    const paths = [...new Set(partialSearch.flatMap(agent => agent.blocked_paths))];
+    recommendations.push({
+      priority: 'medium',
+      issue: 'Important pages are blocked for AI search crawlers',
+      recommendation: `${listNames(partialSearch)} cannot fetch ${paths.join(', ')}. Check that these Disallow rules are intended.`,
+      agents: partialSearch.map(agent => agent.token)
+    });
+  }
+
+  if (blockedTraining.length > 0) {
+    recommendations.push({
+      priority: 'low',
+      issue: 'AI training crawlers are blocked',
+      recommendation: `Blocking ${listNames(blockedTraining)} opts your content out of model training but does not affect AI search visibility. Keep these rules if that is your policy.`,
+      agents: blockedTraining.map(agent => agent.token)
+    });
+  }
+
+  if (!robotsFound) {
+    recommendations.push({
+      priority: 'low',
+      issue: 'No robots.txt',
+      recommendation:
+        'All AI crawlers are allowed by default. Add a robots.txt with explicit User-agent groups for AI crawlers to document your access policy.',
+      agents: []
+    });
+  } else if (!agents.some(agent => agent.explicit_rules)) {
+    recommendations.push({
+      priority: 'low',
+      issue: 'No AI crawler rules in robots.txt',
+      recommendation:
+        'AI crawlers follow your generic (User-agent: *) rules. Add explicit groups for AI search crawlers such as OAI-SearchBot, Claude-SearchBot and PerplexityBot to control their access separately.',
+      agents: []
+    });
+  }
+
+  const excluded = directiveCounts.nosnippet + directiveCounts.noindex + directiveCounts.none;
+  if (excluded > 0) {
+    recommendations.push({
+      priority: 'medium',
+      issue: 'Pages are excluded from AI answers by robots directives',
+      recommendation:
+        'nosnippet keeps pages out of Google AI Overviews and noindex/none removes them from search results. Remove these directives from pages you want cited.',
+      agents: []
+    });
+  }
+
+  if (directiveCounts.noai + directiveCounts.noimageai > 0) {
+    recommendations.push({
+      priority: 'low',
+      issue: 'noai / noimageai directives',
+      recommendation:
+        'noai and noimageai are not standard directives and most AI crawlers ignore them. Use robots.txt User-agent rules to control AI crawler access.',
+      agents: []
+    });
+  }
+
+  return recommendations;
+}
+
+/**
+ * Build the AI crawler access audit of a crawl run
+ *
+ * @param {Object} input
+ * @param {string} input.robotsUrl - robots.txt URL
+ * @param {string} input.robotsTxt - robots.txt content ('' when there is none)
+ * @param {boolean} input.robotsFound - Whether robots.txt exists
+ * @param {Array<string>} input.paths - Paths to audit (see selectAuditPaths)
+ * @param {Object} input.pageDirectives - URL → signals found while crawling (see detectAiDirectives)
+ * @param {Array<Object>} input.agents - Agents to check (defaults to the maintained list)
+ * @returns {Object} - Audit report (see report structure)
+ */
+function buildAiCrawlerAudit({
+  robotsUrl,
+  robotsTxt = '',
+  robotsFound = Boolean(robotsTxt),
+  paths = ['/'],
+  pageDirectives = {},
+  agents = AI_CRAWLERS
+}) {
+  const agentResults = auditRobotsTxt(robotsUrl, robotsTxt, paths, agents);
+
+  const pages = Object.entries(pageDirectives)
+    .filter(([, signals]) => signals && signals.length > 0)
+    .map(([url, signals]) => ({ url, signals }))
+    .sort((a, b) => a.url.localeCompare(b.url));
+
+  const directiveCounts = Object.fromEntries(AI_DIRECTIVES.map(directive => [directive, 0]));
+  pages.forEach(page => {
+    new Set(page.signals.flatMap(signal => signal.directives)).forEach(directive => {
+      directiveCounts[directive]++;
+    });
+  });
+
+  const countStatus = status => agentResults.filter(agent => agent.status === status).length;
+  const countBlocked = purposes =>
+    agentResults.filter(agent => purposes.includes(agent.purpose) && agent.status !== 'allowed')
+      .length;
+
+  return {
+    summary: {
+      robots_txt_found: robotsFound,
+      agents_checked: agentResults.length,
+      paths_checked: paths.length,
+      allowed: countStatus('allowed'),
+      partially_blocked: countStatus('partial'),
+      blocked: countStatus('blocked'),
+      explicit_rules: agentResults.filter(agent => agent.explicit_rules).length,
+      search_agents_blocked: countBlocked(VISIBILITY_PURPOSES),
+      training_agents_blocked: countBlocked(['training']),
+      pages_with_directives: pages.length,
+      directive_counts: directiveCounts
+    },
+    agents: agentResults,
+    pages: pages.slice(0, MAX_REPORTED_PAGES),
+    recommendations: buildRecommendations({
+      robotsFound,
+      agents: agentResults,
+      directiveCounts
+    }),
+    robots_url: robotsUrl,
+    paths,
+    agents_version: agentList.version,
+    generated_at: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  AI_CRAWLERS,
+  MAX_AUDIT_PATHS,
+  parseRobotsDirectives,
+  detectAiDirectives,
+  selectAuditPaths,
+  auditRobotsTxt,
+  buildAiCrawlerAudit
+};
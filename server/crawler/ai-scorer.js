@@ -7,15 +7,107 @@
  * Based on:
  * - FR-034: Page-type-aware scoring
  * - FR-035: 0-100 scale with type-specific rubrics
+ *   (latest published version of the project/organization rubric, see rubrics/resolver.js)
  * - FR-036: Deterministic scoring (same content = same score via caching)
+ *   Cache key: content hash + rubric version + page type + model, shared by all
+ *   pages and crawl runs of an organization
  * - FR-053-057: AI recommendations requirements
  * - FR-058-059: Token optimization via summarization and caching
  */
 
 const { generateCompletion, buildScoringSystemPrompt } = require('../services/ai/client');
+const { resolveProvider } = require('../services/ai/providers');
 const { prepareContentForScoring } = require('../services/ai/summarizer');
-const { getCriteriaForPageType, getRubricVersion } = require('./rubrics');
-const { generateCacheKey, calculateOverallScore } = require('../models/score');
+const { getCriteriaForPageType, resolveRubric } = require('./rubrics');
+const PageScoreModel = require('../models/score');
+const AiUsageModel = require('../models/ai-usage');
+
+const { generateCacheKey, getUnscoredCriteria, calculateOverallScore, calculateCategoryScores } =
+  PageScoreModel;
+
+/**
+ * Resolve everything the cache key of a snapshot depends on
+ *
+ * @param {Object} snapshot - Page snapshot from database
+ * @param {Object} options - { pageType, organizationId, usageContext }
+ * @returns {Promise<Object>} - { pageType, rubric, rubricVersion, model, cacheKey }
+ */
+async function resolveScoringKey(snapshot, options = {}) {
+  const pageType = options.pageType || snapshot.extraction?.page_type || 'resource';
+  const { rubric, version: rubricVersion } = await resolveRubric({
+    projectId: options.usageContext?.projectId,
+    organizationId: options.organizationId
+  });
+  const resolved = await resolveProvider(options.usageContext);
+  const model = resolved.model || resolved.provider.defaultModel;
+
+  return {
+    pageType,
+    rubric,
+    rubricVersion,
+    model,
+    cacheKey: generateCacheKey(
+      snapshot.content_hash,
+      rubricVersion,
+      pageType,
+      model,
+      getUnscoredCriteria(snapshot)
+    )
+  };
+}
+
+/**
+ * Find a reusable score for a snapshot
+ *
+ * Looks for a score of identical content (same content hash, rubric version, page
+ * type and model) anywhere in the organization. Cache hits cost no tokens.
+ *
+ * @param {Object} snapshot - Page snapshot from database
+ * @param {Object} options - Lookup options
+ * @param {string} options.pageType - Page type (will auto-detect if not provided)
+ * @param {string} options.organizationId - Organization UUID (resolved from usageContext.projectId)
+ * @param {Object} options.usageContext - AI usage ledger attribution { projectId, ... }
+ * @returns {Promise<Object|null>} - Score result (see scorePage) with cacheHit, or null
+ */
+async function findCachedScore(snapshot, options = {}) {
+  const organizationId =
+    options.organizationId ||
+    (options.usageContext?.projectId
+      ? await AiUsageModel.getProjectOrganizationId(options.usageContext.projectId)
+      : null);
+
+  if (!organizationId || !snapshot.content_hash) {
+    return null;
+  }
+
+  const { pageType, model, cacheKey } = await resolveScoringKey(snapshot, options);
+  const cached = await PageScoreModel.findByCacheKey(cacheKey, organizationId);
+
+  if (!cached) {
+    return null;
+  }
+
+  return {
+    pageType,
+    overallScore: cached.overall_score,
+    categoryScores: cached.category_scores || {},
+    criteriaScores: cached.criteria_scores,
+    criteriaExplanations: cached.criteria_explanations,
+    aiRecommendations: cached.ai_recommendations,
+    aiCacheKey: cacheKey,
+    aiModel: model,
+    aiTokensUsed: 0,
+    aiUsage: { inputTokens: 0, outputTokens: 0 },
+    rubricVersion: cached.rubric_version,
+    organizationId,
+    cacheHit: true,
+    cachedFromScoreId: cached.id,
+    metadata: {
+      contentPreparationMethod: 'cache',
+      tokensSaved: 100
+    }
+  };
+}
 
 /**
  * Score a page using AI with rubric-based evaluation
@@ -24,36 +116,40 @@ const { generateCacheKey, calculateOverallScore } = require('../models/score');
  * @param {Object} options - Scoring options
  * @param {string} options.pageType - Page type (will auto-detect if not provided)
  * @param {boolean} options.useCache - Check cache before scoring (default true)
- * @returns {Promise<Object>} - Score result
+ * @param {string} options.organizationId - Organization UUID (cache scope, optional)
+ * @param {Object} options.usageContext - AI usage ledger attribution { projectId, crawlRunId, userId }
+ * @returns {Promise<Object>} - Score result (cacheHit true when reused from the cache)
  */
 async function scorePage(snapshot, options = {}) {
-  const {
-    pageType: providedPageType = null,
-    useCache = true
-  } = options;
+  const { useCache = true, usageContext = null } = options;
+
+  // Reuse a score of identical content before spending any tokens
+  if (useCache) {
+    const cached = await findCachedScore(snapshot, options);
+
+    if (cached) {
+      return cached;
+    }
+  }
 
-  // Determine page type
-  const pageType = providedPageType || snapshot.extraction?.page_type || 'resource';
+  const { pageType, rubric, rubricVersion, model, cacheKey } = await resolveScoringKey(
+    snapshot,
+    options
+  );
 
-  // Get rubric criteria for this page type
-  const rubricCriteria = await getCriteriaForPageType(pageType);
-  const rubricVersion = await getRubricVersion();
+  // Get rubric criteria for this page type (published version of the selected rubric),
+  // without the criteria the snapshot has no data for
+  const unscoredCriteria = getUnscoredCriteria(snapshot);
+  const rubricCriteria = (await getCriteriaForPageType(pageType, rubric)).filter(
+    criterion => !unscoredCriteria.includes(criterion.name)
+  );
 
   // Prepare content (with summarization if needed)
   const preparedContent = await prepareContentForScoring(snapshot, {
-    tokenThreshold: 1000
+    tokenThreshold: 1000,
+    usageContext
   });
 
-  // Generate cache key
-  const contentHash = snapshot.content_hash;
-  const cacheKey = generateCacheKey(contentHash, rubricVersion);
-
-  // Check cache if enabled
-  if (useCache) {
-    // Cache lookup would happen at the caller level (scoring job processor)
-    // This function focuses on scoring logic
-  }
-
   // Build scoring prompt
   const scoringPrompt = buildScoringPrompt(
     preparedContent.content,
@@ -62,7 +158,7 @@ async function scorePage(snapshot, options = {}) {
     rubricVersion
   );
 
-  // Call AI for scoring (uses OPENAI_MODEL env var, defaults to gpt-4-turbo)
+  // Call AI for scoring (the organization's model, or the provider default)
   const aiResponse = await generateCompletion({
     messages: [
       {
@@ -74,10 +170,12 @@ async function scorePage(snapshot, options = {}) {
         content: scoringPrompt
       }
     ],
-    // model intentionally omitted to use OPENAI_MODEL env var (e.g., gpt-4o-mini for cost savings)
+    // Same model as in the cache key
+    model,
     maxTokens: 2000,
     temperature: 0.3, // Lower temp for more consistent scoring
-    responseFormat: { type: 'json_object' }
+    responseFormat: { type: 'json_object' },
+    usageContext: { ...usageContext, purpose: usageContext?.purpose || 'scoring' }
   });
 
   // Parse AI response
@@ -85,11 +183,13 @@ async function scorePage(snapshot, options = {}) {
 
   // Validate and normalize scores
   const criteriaScores = normalizeCriteriaScores(scoringResult.criteriaScores);
+  unscoredCriteria.forEach(criterion => delete criteriaScores[criterion]);
   const criteriaExplanations = scoringResult.criteriaExplanations || {};
   const aiRecommendations = scoringResult.recommendations || [];
 
-  // Calculate overall score as simple average
-  const overallScore = calculateOverallScore(criteriaScores);
+  // Category sub-scores and the overall score weighted by the rubric's category weights
+  const categoryScores = calculateCategoryScores(criteriaScores, rubric, pageType);
+  const overallScore = calculateOverallScore(criteriaScores, rubric, pageType);
 
   // Calculate total tokens used
   const totalTokensUsed =
@@ -98,12 +198,20 @@ async function scorePage(snapshot, options = {}) {
   return {
     pageType,
     overallScore,
+    categoryScores,
     criteriaScores,
     criteriaExplanations,
     aiRecommendations,
     aiCacheKey: cacheKey,
+    aiModel: model,
     aiTokensUsed: totalTokensUsed,
+    aiUsage: {
+      inputTokens: (preparedContent.tokensUsed || 0) + (aiResponse.usage?.promptTokens || 0),
+      outputTokens: aiResponse.usage?.completionTokens || 0
+    },
     rubricVersion,
+    cacheHit: false,
+    cachedFromScoreId: null,
     metadata: {
       contentPreparationMethod: preparedContent.method,
       tokensSaved: preparedContent.metadata?.reductionPercent || 0
@@ -331,6 +439,7 @@ function validateScoreResult(scoreResult) {
 
 module.exports = {
   scorePage,
+  findCachedScore,
   batchScorePages,
   rescorePage,
   buildScoringPrompt,
@@ -1,4 +1,5 @@
 const cheerio = require('cheerio');
+const { parseStructuredData, validateStructuredData } = require('./structured-data');
 
 class ContentAnalyzer {
   constructor() {
@@ -20,7 +21,7 @@ class ContentAnalyzer {
       content: this.analyzeContentQuality($, pageData, pageType),
       eat: this.analyzeEAT($, pageData, pageType),
       technical: this.analyzeTechnical($, pageData),
-      structuredData: this.analyzeStructuredData(pageData),
+      structuredData: this.analyzeStructuredData(pageData, $),
       aiReadiness: this.analyzeAIReadiness($, pageData, pageType)
     };
   }
@@ -124,11 +125,13 @@ class ContentAnalyzer {
       internalLinking,
       imageOptimization,
       hasRobotsMeta: this.hasRobotsMetaTag($),
-      canonicalURL: this.getCanonicalURL($)
+      canonicalURL: this.getCanonicalURL($),
+      // Site-level llms.txt signal (null when it was not checked)
+      llmsTxt: pageData.llmsTxt || null
     };
   }
 
-  analyzeStructuredData(pageData) {
+  analyzeStructuredData(pageData, $) {
     const structuredData = pageData.structuredData || [];
     
     // Identify schema types
@@ -146,6 +149,9 @@ class ContentAnalyzer {
     // Breadcrumb schema
     const breadcrumbSchema = this.analyzeBreadcrumbSchema(structuredData);
 
+    // Validation against schema.org / rich result requirements
+    const validation = $ ? this.analyzeSchemaValidation($) : null;
+
     return {
       hasStructuredData: structuredData.length > 0,
       schemaTypes,
@@ -153,10 +159,22 @@ class ContentAnalyzer {
       howToSchema,
       articleSchema,
       breadcrumbSchema,
+      validation,
       totalSchemaCount: structuredData.length
     };
   }
 
+  analyzeSchemaValidation($) {
+    const result = validateStructuredData(parseStructuredData($));
+
+    return {
+      errorCount: result.summary.error_count,
+      warningCount: result.summary.warning_count,
+      richResults: result.summary.rich_results,
+      errors: result.errors.slice(0, 5)
+    };
+  }
+
   analyzeAIReadiness($, pageData, pageType = 'page') {
     const textContent = pageData.textContent || '';
     
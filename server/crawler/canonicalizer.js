@@ -11,10 +11,13 @@
  * - Redirect chain following
  * - Duplicate detection
  * - URL parameter filtering
+ * - Project URL rules (parameter strip/keep lists, path rewrites, trailing slash/case policy)
+ * - Include/exclude patterns and a "test this URL" explanation
  */
 
 const { URL } = require('url');
 const crypto = require('crypto');
+const { applyUrlRules, resolveUrlRules } = require('../utils/url-rules');
 
 /**
  * Normalize URL for consistent comparison
@@ -27,6 +30,8 @@ const crypto = require('crypto');
  * @param {Array<string>} options.ignoreParams - Query params to ignore (e.g., utm_*, fbclid)
  * @param {boolean} options.removeFragment - Remove URL fragment/hash (default: true)
  * @param {boolean} options.removeDefaultPort - Remove default ports (80, 443) (default: true)
+ * @param {Object} options.rules - Project URL rules from url-rules.resolveUrlRules() (their
+ *   trailing slash policy replaces removeTrailingSlash)
  * @returns {string} - Normalized URL
  */
 function normalizeUrl(url, options = {}) {
@@ -36,7 +41,8 @@ function normalizeUrl(url, options = {}) {
     sortParams = true,
     ignoreParams = [],
     removeFragment = true,
-    removeDefaultPort = true
+    removeDefaultPort = true,
+    rules = null
   } = options;
 
   try {
@@ -60,8 +66,10 @@ function normalizeUrl(url, options = {}) {
       }
     }
 
-    // Normalize path
-    if (removeTrailingSlash && parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    // Normalize path (and apply project URL rules)
+    if (rules) {
+      applyUrlRules(parsed, rules);
+    } else if (removeTrailingSlash && parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
       parsed.pathname = parsed.pathname.slice(0, -1);
     }
 
@@ -303,6 +311,70 @@ function isSameDomain(url, baseUrl) {
   }
 }
 
+/**
+ * Explain how a URL would be normalized and whether it would be crawled
+ * (same checks as the crawl: domain, exclude patterns, include patterns)
+ *
+ * @param {string} url - URL to test
+ * @param {Object} options - { baseUrl, config: project config }
+ * @returns {Object} - { url, valid, normalized_url, canonical_url, same_domain, matched_include,
+ *   matched_exclude, crawl, reason }
+ */
+function testUrl(url, options = {}) {
+  const { baseUrl, config = {} } = options;
+  const includePatterns = config.included_patterns || [];
+  const excludePatterns = config.excluded_patterns || [];
+  const rules = resolveUrlRules(config);
+
+  const result = {
+    url,
+    valid: false,
+    normalized_url: null,
+    canonical_url: null,
+    same_domain: false,
+    matched_include: null,
+    matched_exclude: null,
+    crawl: false,
+    reason: null
+  };
+
+  try {
+    const parsed = new URL(url);
+    result.valid = parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (e) {
+    result.valid = false;
+  }
+
+  if (!result.valid) {
+    result.reason = 'Not a valid http(s) URL';
+    return result;
+  }
+
+  result.normalized_url = normalizeUrl(url, { rules });
+  result.canonical_url = resolveCanonical(url, null, { rules });
+  result.same_domain = isSameDomain(result.normalized_url, baseUrl);
+  result.matched_exclude =
+    excludePatterns.find(pattern => result.normalized_url.includes(pattern)) || null;
+  result.matched_include =
+    includePatterns.find(pattern => result.normalized_url.includes(pattern)) || null;
+
+  if (!result.same_domain) {
+    result.reason = 'Outside the project domain';
+  } else if (result.normalized_url === normalizeUrl(baseUrl, { rules })) {
+    // The start URL is always crawled to discover links
+    result.crawl = true;
+    result.reason = 'Start URL of the crawl';
+  } else if (result.matched_exclude) {
+    result.reason = `Matches excluded pattern "${result.matched_exclude}"`;
+  } else if (!shouldCrawl(result.normalized_url, includePatterns, excludePatterns)) {
+    result.reason = 'Does not match any included pattern';
+  } else {
+    result.crawl = true;
+  }
+
+  return result;
+}
+
 module.exports = {
   normalizeUrl,
   generateUrlHash,
@@ -313,5 +385,6 @@ module.exports = {
   shouldCrawl,
   groupByCanonical,
   isSameDomain,
+  testUrl,
   DEFAULT_IGNORE_PARAMS
 };
@@ -0,0 +1,156 @@
+/**
+ * Delta Crawl Helpers
+ *
+ * Support for `run_type: 'delta'` crawls, which only download pages that
+ * changed since the previous crawl:
+ * - Sitemap <lastmod> older than the last crawl → skipped without a request
+ * - Stored ETag / Last-Modified → sent as If-None-Match / If-Modified-Since,
+ *   a 304 response means the page is not downloaded or rendered
+ * - Per-run report of new, changed, unchanged and removed URLs
+ *
+ * Report structure (crawl_runs.delta_report):
+ * - counts (OBJECT) - { new, changed, unchanged, removed }
+ * - urls (OBJECT) - { new: [url], changed: [url], unchanged: [url], removed: [url] }
+ * - generated_at (TEXT) - ISO timestamp of the last update
+ */
+
+/**
+ * Delta report categories
+ */
+const DELTA_CATEGORIES = ['new', 'changed', 'unchanged', 'removed'];
+
+/**
+ * Extract cache validators from response headers
+ *
+ * @param {Object} headers - Response headers (lower-cased keys)
+ * @returns {Object} - { etag, last_modified } (null when absent)
+ */
+function extractValidators(headers = {}) {
+  return {
+    etag: headers?.etag || null,
+    last_modified: headers?.['last-modified'] || null
+  };
+}
+
+/**
+ * Build conditional request headers from stored validators
+ *
+ * @param {Object} validators - Stored validators
+ * @param {string} validators.etag - ETag from the previous snapshot
+ * @param {string} validators.last_modified - Last-Modified from the previous snapshot
+ * @returns {Object} - Headers to send (empty if nothing stored)
+ */
+function buildConditionalHeaders(validators = {}) {
+  const headers = {};
+
+  if (validators?.etag) {
+    headers['If-None-Match'] = validators.etag;
+  }
+
+  if (validators?.last_modified) {
+    headers['If-Modified-Since'] = validators.last_modified;
+  }
+
+  return headers;
+}
+
+/**
+ * Check if a sitemap <lastmod> shows the page has not changed since it was last crawled
+ *
+ * @param {string} lastmod - Sitemap lastmod value (W3C datetime)
+ * @param {string} lastCrawledAt - ISO timestamp of the last successful crawl
+ * @returns {boolean} - True if the page can be skipped
+ */
+function isUnchangedSinceLastmod(lastmod, lastCrawledAt) {
+  if (!lastmod || !lastCrawledAt) {
+    return false;
+  }
+
+  const modified = Date.parse(lastmod);
+  const crawled = Date.parse(lastCrawledAt);
+
+  if (Number.isNaN(modified) || Number.isNaN(crawled)) {
+    return false;
+  }
+
+  return modified <= crawled;
+}
+
+class DeltaReport {
+  constructor() {
+    this.urls = {};
+    DELTA_CATEGORIES.forEach(category => {
+      this.urls[category] = new Set();
+    });
+  }
+
+  /**
+   * Restore a report from its serialized form (resumed runs)
+   *
+   * @param {Object|null} data - Serialized report (crawl_runs.delta_report)
+   * @returns {DeltaReport} - Restored report
+   */
+  static fromJSON(data) {
+    const report = new DeltaReport();
+
+    DELTA_CATEGORIES.forEach(category => {
+      (data?.urls?.[category] || []).forEach(url => report.urls[category].add(url));
+    });
+
+    return report;
+  }
+
+  /**
+   * Record the delta outcome for a URL (a URL belongs to one category)
+   *
+   * @param {string} category - One of DELTA_CATEGORIES
+   * @param {string} url - Page URL
+   */
+  record(category, url) {
+    if (!DELTA_CATEGORIES.includes(category)) {
+      throw new Error(`category must be one of: ${DELTA_CATEGORIES.join(', ')}`);
+    }
+
+    DELTA_CATEGORIES.forEach(other => this.urls[other].delete(url));
+    this.urls[category].add(url);
+  }
+
+  /**
+   * Get counts per category
+   *
+   * @returns {Object} - { new, changed, unchanged, removed }
+   */
+  getCounts() {
+    const counts = {};
+    DELTA_CATEGORIES.forEach(category => {
+      counts[category] = this.urls[category].size;
+    });
+    return counts;
+  }
+
+  /**
+   * Serialize report for storage on the crawl run
+   *
+   * @returns {Object} - Serialized report
+   */
+  toJSON() {
+    const urls = {};
+    DELTA_CATEGORIES.forEach(category => {
+      urls[category] = Array.from(this.urls[category]);
+    });
+
+    return {
+      counts: this.getCounts(),
+      urls,
+      generated_at: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = {
+  DeltaReport,
+  DELTA_CATEGORIES,
+  extractValidators,
+  buildConditionalHeaders,
+  isUnchangedSinceLastmod
+};
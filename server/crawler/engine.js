@@ -11,6 +11,8 @@
  * - Uses Page model for URL deduplication
  * - Creates PageSnapshot records for versioned content storage
  * - Respects project-specific excluded_patterns and depth_limit
+ * - Optional crawl credentials (basic auth, headers, cookies, login step) sent to the
+ *   project's host only, in an isolated browser context
  */
 
 const puppeteer = require(process.env.NODE_ENV === 'production' ? 'puppeteer-core' : 'puppeteer');
@@ -20,8 +22,130 @@ const cheerio = require('cheerio');
 const { RobotsChecker } = require('../utils/robotsChecker');
 const { ContentAnalyzer } = require('./analyzer');
 const { ScoreCalculator } = require('./scorer');
+const { MAX_REDIRECTS } = require('./link-checker');
+const { fetchLlmsFiles, buildLlmsTxtReport, toLlmsTxtSignal } = require('./llms-txt');
+const { buildRequestHeaders, isCredentialHost } = require('../utils/crawl-credentials');
 const URL = require('url').URL;
 
+/**
+ * Shared Puppeteer browser
+ *
+ * One Chromium instance is shared by every CrawlerEngine in the process
+ * (concurrent crawl jobs each keep their own page pool on top of it).
+ * Reference-counted: closed when the last engine calls closeBrowser().
+ */
+let sharedBrowser = null;
+let sharedBrowserLaunch = null;
+let sharedBrowserUsers = 0;
+
+/**
+ * Extra headers for the next main-frame navigation of a pooled page
+ * (conditional request headers on delta crawls)
+ */
+const navigationHeaders = new WeakMap();
+
+async function launchBrowser() {
+  try {
+    // Configure for Vercel serverless environment
+    const isProduction = process.env.NODE_ENV === 'production';
+
+    if (isProduction) {
+      // Get fonts path if available
+      const fontsPath = await chromium.font || null;
+
+      return await puppeteer.launch({
+        args: [
+          ...chromium.args,
+          '--hide-scrollbars',
+          '--disable-web-security',
+          '--disable-features=VizDisplayCompositor',
+          fontsPath ? '--font-render-hinting=none' : ''
+        ].filter(Boolean),
+        defaultViewport: chromium.defaultViewport,
+        executablePath: await chromium.executablePath(),
+        headless: chromium.headless,
+        ignoreHTTPSErrors: true
+      });
+    }
+
+    return await puppeteer.launch({
+      headless: 'new',
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-first-run',
+        '--no-zygote',
+        '--single-process',
+        '--disable-gpu'
+      ]
+    });
+  } catch (error) {
+    console.warn('Puppeteer failed to launch, will use fallback HTTP method:', error.message);
+    return null; // Mark as failed, will use HTTP fallback
+  }
+}
+
+async function acquireSharedBrowser() {
+  if (!sharedBrowser || !sharedBrowser.isConnected()) {
+    if (!sharedBrowserLaunch) {
+      sharedBrowserLaunch = launchBrowser().then(browser => {
+        sharedBrowser = browser;
+        sharedBrowserLaunch = null;
+
+        if (browser) {
+          browser.on('disconnected', () => {
+            if (sharedBrowser === browser) {
+              sharedBrowser = null;
+            }
+          });
+        }
+
+        return browser;
+      });
+    }
+
+    await sharedBrowserLaunch;
+  }
+
+  if (sharedBrowser) {
+    sharedBrowserUsers++;
+  }
+
+  return sharedBrowser;
+}
+
+async function releaseSharedBrowser() {
+  sharedBrowserUsers = Math.max(0, sharedBrowserUsers - 1);
+
+  if (sharedBrowserUsers === 0 && sharedBrowser) {
+    const browser = sharedBrowser;
+    sharedBrowser = null;
+    await browser.close().catch(error => {
+      console.warn('Failed to close browser:', error.message);
+    });
+  }
+}
+
+/**
+ * Page data returned when a conditional request is answered with 304 Not Modified
+ */
+function notModifiedPageData(url, headers, fallbackMode) {
+  return {
+    url,
+    html: '',
+    statusCode: 304,
+    finalUrl: url,
+    redirectChain: [],
+    notModified: true,
+    loadTime: 0,
+    responseHeaders: headers || {},
+    timestamp: new Date().toISOString(),
+    fallbackMode
+  };
+}
+
 class CrawlerEngine {
   constructor(projectConfig = {}) {
     // Multi-tenant configuration support
@@ -35,6 +159,8 @@ class CrawlerEngine {
     this.contentAnalyzer = new ContentAnalyzer();
     this.scoreCalculator = new ScoreCalculator();
     this.browser = null;
+    this.pagePool = [];
+    this.pagePoolSize = this.projectConfig.crawl_concurrency || 1;
     this.crawlDelay = parseInt(process.env.CRAWL_DELAY_MS) || 2000;
     this.timeout = parseInt(process.env.CRAWLER_TIMEOUT_MS) || 30000;
 
@@ -43,66 +169,206 @@ class CrawlerEngine {
     this.sampleSize = this.projectConfig.sample_size || null;
     this.tokenLimit = this.projectConfig.token_limit || null;
     this.excludedPatterns = this.projectConfig.excluded_patterns || [];
+
+    // Crawl credentials (decrypted by the crawl worker, never part of the config)
+    this.credentials = projectConfig.credentials || null;
+    this.baseUrl = this.projectConfig.base_url || null;
+    this.sessionCookies = [];
+    this.context = null;
   }
 
   async initBrowser() {
     if (!this.browser) {
-      try {
-        // Configure for Vercel serverless environment
-        const isProduction = process.env.NODE_ENV === 'production';
-
-        if (isProduction) {
-          // Get fonts path if available
-          const fontsPath = await chromium.font || null;
-
-          this.browser = await puppeteer.launch({
-            args: [
-              ...chromium.args,
-              '--hide-scrollbars',
-              '--disable-web-security',
-              '--disable-features=VizDisplayCompositor',
-              fontsPath ? '--font-render-hinting=none' : ''
-            ].filter(Boolean),
-            defaultViewport: chromium.defaultViewport,
-            executablePath: await chromium.executablePath(),
-            headless: chromium.headless,
-            ignoreHTTPSErrors: true
-          });
-        } else {
-          this.browser = await puppeteer.launch({
-            headless: 'new',
-            args: [
-              '--no-sandbox',
-              '--disable-setuid-sandbox',
-              '--disable-dev-shm-usage',
-              '--disable-accelerated-2d-canvas',
-              '--no-first-run',
-              '--no-zygote',
-              '--single-process',
-              '--disable-gpu'
-            ]
-          });
+      this.browser = await acquireSharedBrowser();
+
+      // Credentials get their own context so cookies never leak to other crawls
+      // sharing the browser
+      if (this.browser && this.credentials) {
+        this.context = this.browser.createBrowserContext
+          ? await this.browser.createBrowserContext()
+          : await this.browser.createIncognitoBrowserContext(); // puppeteer-core 21
+
+        if (this.credentials.login) {
+          await this.login();
         }
-      } catch (error) {
-        console.warn('Puppeteer failed to launch, will use fallback HTTP method:', error.message);
-        this.browser = null; // Mark as failed, will use HTTP fallback
+      } else if (this.credentials?.login) {
+        // Crawling without the session would only fetch the login wall
+        throw new Error('Browser unavailable, cannot run the login step of the crawl credentials');
       }
     }
     return this.browser;
   }
 
-  async crawlPageHTTP(url) {
+  /**
+   * Run the login step of the crawl credentials and keep the session cookies
+   * (the browser context keeps them too, HTTP requests send them explicitly)
+   */
+  async login() {
+    const { login } = this.credentials;
+    const page = await this.acquirePage();
+
+    try {
+      console.log(`Logging in at ${login.url}`);
+      await page.goto(login.url, { waitUntil: 'networkidle2', timeout: this.timeout });
+      await page.type(login.username_selector, login.username);
+      await page.type(login.password_selector, login.password);
+      await Promise.all([
+        page
+          .waitForNavigation({ waitUntil: 'networkidle2', timeout: this.timeout })
+          .catch(() => null), // Single-page apps may log in without navigating
+        page.click(login.submit_selector)
+      ]);
+
+      if (login.success_selector) {
+        await page.waitForSelector(login.success_selector, { timeout: this.timeout });
+      }
+
+      const cookies = await page.cookies();
+      this.sessionCookies = cookies.map(cookie => ({ name: cookie.name, value: cookie.value }));
+    } catch (error) {
+      throw new Error(`Login step failed: ${error.message}`);
+    } finally {
+      await this.releasePage(page, false);
+    }
+  }
+
+  /**
+   * Credential headers for a request (empty for hosts other than the project's)
+   *
+   * @param {string} url - Request URL
+   * @param {Object} options - { browser: request of a browser page (sends its cookies itself) }
+   * @returns {Object} - Headers to add
+   */
+  requestHeadersFor(url, { browser = false } = {}) {
+    if (!this.credentials || !isCredentialHost(url, this.baseUrl || url)) {
+      return {};
+    }
+
+    const headers = buildRequestHeaders(this.credentials, this.sessionCookies);
+    if (browser) {
+      delete headers.Cookie;
+    }
+    return headers;
+  }
+
+  /**
+   * Drop credential headers from a redirect that leaves the project's host
+   * (follow-redirects only removes Authorization and Cookie on its own)
+   *
+   * @param {Object} redirectOptions - follow-redirects options of the next request
+   * @param {string} url - URL the request started from
+   */
+  stripCredentialHeaders(redirectOptions, url) {
+    const names = Object.keys(this.requestHeadersFor(url)).map(name => name.toLowerCase());
+
+    if (names.length === 0 || isCredentialHost(redirectOptions.href, this.baseUrl || url)) {
+      return;
+    }
+
+    Object.keys(redirectOptions.headers || {})
+      .filter(name => names.includes(name.toLowerCase()))
+      .forEach(name => delete redirectOptions.headers[name]);
+  }
+
+  /**
+   * Take an idle page from this engine's pool or open a new one.
+   * Pages are configured once (user agent, viewport, resource blocking)
+   * and reused across navigations.
+   */
+  async acquirePage() {
+    while (this.pagePool.length > 0) {
+      const page = this.pagePool.pop();
+      if (!page.isClosed()) {
+        return page;
+      }
+    }
+
+    const page = await (this.context || this.browser).newPage();
+
+    // Set user agent
+    await page.setUserAgent(this.userAgent);
+
+    // Crawl credential cookies (headers and basic auth are added per request below,
+    // only for the project's host)
+    if ((this.credentials?.cookies || []).length > 0) {
+      await page.setCookie(...this.credentials.cookies.map(cookie => ({
+        name: cookie.name,
+        value: cookie.value,
+        ...(cookie.domain ? { domain: cookie.domain } : { url: this.baseUrl }),
+        ...(cookie.path && { path: cookie.path })
+      })));
+    }
+
+    // Set viewport for mobile-first analysis
+    await page.setViewport({ width: 375, height: 667 });
+
+    // Enable request interception to block unnecessary resources
+    await page.setRequestInterception(true);
+
+    page.on('request', (req) => {
+      const resourceType = req.resourceType();
+      const extraHeaders = navigationHeaders.get(page);
+      const isMainNavigation = req.isNavigationRequest() && req.frame() === page.mainFrame();
+      const headers = {
+        ...this.requestHeadersFor(req.url(), { browser: true }),
+        ...(isMainNavigation && extraHeaders)
+      };
+
+      if (['image', 'font', 'media'].includes(resourceType)) {
+        req.abort();
+      } else if (Object.keys(headers).length > 0) {
+        req.continue({ headers: { ...req.headers(), ...headers } });
+      } else {
+        req.continue();
+      }
+    });
+
+    return page;
+  }
+
+  /**
+   * Return a page to the pool (closes it if the pool is full or the page is broken)
+   */
+  async releasePage(page, reusable = true) {
+    if (reusable && !page.isClosed() && this.pagePool.length < this.pagePoolSize) {
+      this.pagePool.push(page);
+      return;
+    }
+
+    if (!page.isClosed()) {
+      await page.close().catch(() => {});
+    }
+  }
+
+  async crawlPageHTTP(url, options = {}) {
     console.log(`Using HTTP fallback for: ${url}`);
 
+    // Record each redirect hop ({ url, statusCode }) before the final response
+    const redirectChain = [];
+    let currentUrl = url;
+
     try {
       const response = await axios.get(url, {
         headers: {
+          ...this.requestHeadersFor(url),
+          ...(options.headers || {}),
           'User-Agent': this.userAgent
         },
         timeout: this.timeout,
-        maxRedirects: 5
+        maxRedirects: MAX_REDIRECTS,
+        validateStatus: status => (status >= 200 && status < 300) || status === 304,
+        beforeRedirect: (redirectOptions, responseDetails) => {
+          this.stripCredentialHeaders(redirectOptions, url);
+          redirectChain.push({ url: currentUrl, statusCode: responseDetails.statusCode });
+          currentUrl = redirectOptions.href;
+        }
       });
 
+      // Conditional request: page unchanged since the stored validators
+      if (response.status === 304) {
+        return notModifiedPageData(url, response.headers, true);
+      }
+
       const $ = cheerio.load(response.data);
 
       // Extract structured data
@@ -152,6 +418,8 @@ class CrawlerEngine {
         textContent: $('body').text() || '',
         wordCount: ($('body').text() || '').split(/\s+/).filter(word => word.length > 0).length,
         statusCode: response.status,
+        finalUrl: response.request?.res?.responseUrl || currentUrl, // URL after redirects
+        redirectChain,
         loadTime: 0, // Not available in HTTP mode
         responseHeaders: response.headers,
         timestamp: new Date().toISOString(),
@@ -161,14 +429,49 @@ class CrawlerEngine {
       return pageData;
     } catch (error) {
       console.error('HTTP fallback also failed:', error.message);
+      // Keep the hops followed so far (error statuses, too many redirects)
+      error.redirectChain = redirectChain;
+      error.finalUrl = currentUrl;
       throw error;
     }
   }
 
+  /**
+   * Fetch the HTML a server returns, without rendering it (what crawlers that
+   * do not execute JavaScript see)
+   *
+   * @param {string} url - Page URL
+   * @returns {Promise<Object>} - { html, statusCode }
+   */
+  async fetchStaticHtml(url) {
+    const response = await axios.get(url, {
+      headers: { ...this.requestHeadersFor(url), 'User-Agent': this.userAgent },
+      timeout: this.timeout,
+      maxRedirects: MAX_REDIRECTS,
+      beforeRedirect: redirectOptions => this.stripCredentialHeaders(redirectOptions, url),
+      responseType: 'text',
+      transformResponse: data => data
+    });
+
+    return {
+      html: typeof response.data === 'string' ? response.data : '',
+      statusCode: response.status
+    };
+  }
+
   async closeBrowser() {
+    const pages = this.pagePool.splice(0);
+    await Promise.all(pages.map(page => (page.isClosed() ? null : page.close().catch(() => {}))));
+
+    if (this.context) {
+      const context = this.context;
+      this.context = null;
+      await context.close().catch(() => {});
+    }
+
     if (this.browser) {
-      await this.browser.close();
       this.browser = null;
+      await releaseSharedBrowser();
     }
   }
 
@@ -270,6 +573,9 @@ class CrawlerEngine {
         statusCode: pageData.statusCode
       });
 
+      // llms.txt is a site-level signal of the technical score
+      pageData.llmsTxt = await this.checkLlmsTxt(targetUrl, selectedUserAgent);
+
       // Analyze content
       const analysis = await this.contentAnalyzer.analyzeContent(pageData);
       console.log('Content analysis complete:', {
@@ -344,28 +650,15 @@ class CrawlerEngine {
     }
   }
 
-  async crawlPage(url, delay = 2000) {
-    const page = await this.browser.newPage();
-
-    try {
-      // Set user agent
-      await page.setUserAgent(this.userAgent);
-
-      // Set viewport for mobile-first analysis
-      await page.setViewport({ width: 375, height: 667 });
-
-      // Enable request interception to block unnecessary resources
-      await page.setRequestInterception(true);
+  async crawlPage(url, delay = 2000, options = {}) {
+    const page = await this.acquirePage();
+    let reusable = true;
 
-      page.on('request', (req) => {
-        const resourceType = req.resourceType();
-        if (['image', 'font', 'media'].includes(resourceType)) {
-          req.abort();
-        } else {
-          req.continue();
-        }
-      });
+    if (options.headers && Object.keys(options.headers).length > 0) {
+      navigationHeaders.set(page, options.headers);
+    }
 
+    try {
       console.log(`Crawling: ${url}`);
 
       // Navigate to page
@@ -374,8 +667,16 @@ class CrawlerEngine {
         timeout: this.timeout
       });
 
-      // Wait for additional delay to be respectful
-      await this.sleep(delay);
+      // Conditional request: page unchanged, nothing was downloaded or rendered
+      if (response && response.status() === 304) {
+        return notModifiedPageData(url, response.headers(), false);
+      }
+
+      // Wait for additional delay to be respectful (the crawl scheduler passes 0
+      // because it already spaces requests per host)
+      if (delay > 0) {
+        await this.sleep(delay);
+      }
 
       // Get page metrics
       const metrics = await page.metrics();
@@ -439,13 +740,39 @@ class CrawlerEngine {
       return {
         ...pageData,
         statusCode: response.status(),
+        finalUrl: response.url(), // URL after redirects
+        redirectChain: response.request().redirectChain().map(request => ({
+          url: request.url(),
+          statusCode: request.response()?.status() || null
+        })),
         loadTime: metrics.TaskDuration || 0,
         responseHeaders: response.headers(),
         timestamp: new Date().toISOString()
       };
 
+    } catch (error) {
+      // Don't hand a page stuck mid-navigation to the next crawl
+      reusable = false;
+      throw error;
     } finally {
-      await page.close();
+      navigationHeaders.delete(page);
+      await this.releasePage(page, reusable);
+    }
+  }
+
+  /**
+   * Check the site's llms.txt (structure only, links are checked by crawl runs)
+   *
+   * @param {string} url - Any URL of the site
+   * @param {string} userAgent - User agent to send
+   * @returns {Promise<Object|null>} - { found, valid, full_found, link_count }, null if the check failed
+   */
+  async checkLlmsTxt(url, userAgent) {
+    try {
+      return toLlmsTxtSignal(buildLlmsTxtReport(await fetchLlmsFiles(url, { userAgent })));
+    } catch (error) {
+      console.warn(`llms.txt check failed for ${url}:`, error.message);
+      return null;
     }
   }
 
@@ -10,11 +10,12 @@
  * - Main body content (cleaned text)
  * - FAQ sections (question/answer pairs)
  * - Internal and outbound links
- * - Structured data (JSON-LD, schema types)
+ * - Structured data (schema types from JSON-LD, Microdata and RDFa)
  * - Author and publication date
  */
 
 const cheerio = require('cheerio');
+const { parseStructuredData, getSchemaTypes } = require('./structured-data');
 
 /**
  * Extract all structured content from HTML
@@ -181,7 +182,7 @@ function extractFAQ($) {
 }
 
 /**
- * Extract links (internal or outbound)
+ * Extract links (internal or outbound) with anchor text and rel="nofollow"
  */
 function extractLinks($, baseUrl, internal = true) {
   const links = [];
@@ -190,6 +191,7 @@ function extractLinks($, baseUrl, internal = true) {
   $('a[href]').each((i, el) => {
     const href = $(el).attr('href');
     const anchor = $(el).text().trim();
+    const rel = ($(el).attr('rel') || '').toLowerCase().split(/\s+/);
 
     if (!href || href.startsWith('#') || href.startsWith('javascript:')) {
       return;
@@ -203,7 +205,7 @@ function extractLinks($, baseUrl, internal = true) {
         const urlStr = linkUrl.toString();
         if (!seen.has(urlStr)) {
           seen.add(urlStr);
-          links.push({ url: urlStr, anchor });
+          links.push({ url: urlStr, anchor, nofollow: rel.includes('nofollow') });
         }
       }
     } catch (e) {
@@ -215,45 +217,12 @@ function extractLinks($, baseUrl, internal = true) {
 }
 
 /**
- * Extract schema types from structured data
+ * Extract schema types from structured data (JSON-LD, Microdata and RDFa)
+ *
+ * Syntax errors are reported by the structured data validator (see structured-data.js).
  */
 function extractSchemaTypes($) {
-  const types = new Set();
-
-  $('script[type="application/ld+json"]').each((i, el) => {
-    try {
-      const data = JSON.parse($(el).text());
-
-      const extractTypes = obj => {
-        if (obj && typeof obj === 'object') {
-          if (obj['@type']) {
-            if (Array.isArray(obj['@type'])) {
-              obj['@type'].forEach(t => types.add(t));
-            } else {
-              types.add(obj['@type']);
-            }
-          }
-
-          // Recursively check nested objects
-          Object.values(obj).forEach(value => {
-            if (typeof value === 'object') {
-              extractTypes(value);
-            }
-          });
-        }
-      };
-
-      if (Array.isArray(data)) {
-        data.forEach(extractTypes);
-      } else {
-        extractTypes(data);
-      }
-    } catch (e) {
-      // Invalid JSON, skip
-    }
-  });
-
-  return Array.from(types);
+  return getSchemaTypes(parseStructuredData($));
 }
 
 /**
@@ -0,0 +1,233 @@
+/**
+ * Crawl Frontier
+ *
+ * Tracks the set of URLs waiting to be crawled (with depth and priority) and the
+ * set of URLs already visited during a crawl run. The frontier can be serialized
+ * to JSON and stored on the crawl_runs row so that paused, crashed or retried
+ * crawl jobs continue exactly where they stopped instead of starting discovery
+ * from scratch.
+ *
+ * Serialized structure (crawl_runs.frontier):
+ * - version (INTEGER) - Format version
+ * - queue (ARRAY) - Pending entries { url, depth, priority, lastmod?, attempts? },
+ *   starting with the entries that were being crawled at the checkpoint
+ * - visited (ARRAY) - URLs already crawled in this run
+ * - updated_at (TEXT) - ISO timestamp of the last checkpoint
+ */
+
+/**
+ * Current serialization format version
+ */
+const FRONTIER_VERSION = 1;
+
+class CrawlFrontier {
+  constructor() {
+    this.queue = [];
+    this.visited = new Set();
+    this.depths = new Map(); // Every URL ever enqueued or visited → depth
+    this.inFlight = new Map(); // URL → entry taken by next() and not completed yet
+  }
+
+  /**
+   * Restore a frontier from its serialized form
+   *
+   * @param {Object|null} data - Serialized frontier (crawl_runs.frontier)
+   * @returns {CrawlFrontier} - Restored frontier (empty if data is missing)
+   */
+  static fromJSON(data) {
+    const frontier = new CrawlFrontier();
+
+    if (!data || typeof data !== 'object') {
+      return frontier;
+    }
+
+    (data.visited || []).forEach(url => {
+      frontier.visited.add(url);
+      frontier.depths.set(url, 0);
+    });
+
+    (data.queue || []).forEach(entry => {
+      if (entry && entry.url && !frontier.visited.has(entry.url)) {
+        const restored = {
+          url: entry.url,
+          depth: entry.depth || 0,
+          priority: entry.priority ?? 0.5
+        };
+
+        if (entry.lastmod) {
+          restored.lastmod = entry.lastmod;
+        }
+
+        if (entry.attempts) {
+          restored.attempts = entry.attempts;
+        }
+
+        frontier.queue.push(restored);
+        frontier.depths.set(entry.url, entry.depth || 0);
+      }
+    });
+
+    return frontier;
+  }
+
+  /**
+   * Add a URL to the frontier if it has not been seen before
+   *
+   * @param {string} url - Normalized URL
+   * @param {number} depth - Link depth from the start URL
+   * @param {number} priority - Crawl priority (0.0 - 1.0, higher first after sort)
+   * @param {Object} options - Enqueue options
+   * @param {boolean} options.front - Insert at the front of the queue
+   * @param {string} options.lastmod - Sitemap <lastmod> for the URL (used by delta crawls)
+   * @returns {boolean} - True if the URL was added
+   */
+  enqueue(url, depth = 0, priority = 0.5, options = {}) {
+    if (this.has(url)) {
+      return false;
+    }
+
+    const entry = { url, depth, priority };
+
+    if (options.lastmod) {
+      entry.lastmod = options.lastmod;
+    }
+
+    if (options.front) {
+      this.queue.unshift(entry);
+    } else {
+      this.queue.push(entry);
+    }
+
+    this.depths.set(url, depth);
+    return true;
+  }
+
+  /**
+   * Take the next unvisited entry from the queue and mark it visited
+   *
+   * The entry stays in flight (and is serialized as pending) until complete().
+   *
+   * @returns {Object|null} - Entry { url, depth, priority } or null if exhausted
+   */
+  next() {
+    while (this.queue.length > 0) {
+      const entry = this.queue.shift();
+
+      if (!this.visited.has(entry.url)) {
+        this.visited.add(entry.url);
+        this.inFlight.set(entry.url, entry);
+        return entry;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Mark an entry returned by next() as crawled
+   *
+   * @param {Object} entry - Entry previously returned by next()
+   */
+  complete(entry) {
+    if (this.inFlight.get(entry.url) === entry) {
+      this.inFlight.delete(entry.url);
+    }
+  }
+
+  /**
+   * Put a dequeued entry back at the end of the queue for another attempt
+   * (e.g. the host answered 429/503)
+   *
+   * @param {Object} entry - Entry previously returned by next()
+   * @returns {number} - Attempt count recorded on the requeued entry
+   */
+  retry(entry) {
+    const attempts = (entry.attempts || 0) + 1;
+
+    this.complete(entry);
+    this.visited.delete(entry.url);
+    this.queue.push({ ...entry, attempts });
+
+    return attempts;
+  }
+
+  /**
+   * Mark a URL as visited without crawling it (e.g. already snapshotted)
+   *
+   * @param {string} url - Normalized URL
+   */
+  markVisited(url) {
+    this.visited.add(url);
+
+    if (!this.depths.has(url)) {
+      this.depths.set(url, 0);
+    }
+  }
+
+  /**
+   * Check if a URL has been enqueued or visited
+   *
+   * @param {string} url - Normalized URL
+   * @returns {boolean} - True if already known to the frontier
+   */
+  has(url) {
+    return this.depths.has(url);
+  }
+
+  /**
+   * Check if a URL has already been crawled
+   *
+   * @param {string} url - Normalized URL
+   * @returns {boolean} - True if visited
+   */
+  isVisited(url) {
+    return this.visited.has(url);
+  }
+
+  /**
+   * Sort pending entries by priority (higher priority first)
+   */
+  sortByPriority() {
+    this.queue.sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * Number of pending entries
+   *
+   * @returns {number} - Queue length
+   */
+  get size() {
+    return this.queue.length;
+  }
+
+  /**
+   * Check if there are pending entries
+   *
+   * @returns {boolean} - True if queue is empty
+   */
+  isEmpty() {
+    return this.queue.length === 0;
+  }
+
+  /**
+   * Serialize frontier for storage on the crawl run
+   *
+   * Entries still in flight are saved as pending, so a crash before they finish
+   * crawls them again on resume.
+   *
+   * @returns {Object} - Serialized frontier
+   */
+  toJSON() {
+    return {
+      version: FRONTIER_VERSION,
+      queue: [
+        ...this.inFlight.values(),
+        ...this.queue.filter(entry => !this.visited.has(entry.url))
+      ],
+      visited: Array.from(this.visited).filter(url => !this.inFlight.has(url)),
+      updated_at: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = { CrawlFrontier, FRONTIER_VERSION };
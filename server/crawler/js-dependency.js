@@ -0,0 +1,232 @@
+/**
+ * JavaScript Dependency
+ *
+ * Most AI crawlers (GPTBot, ClaudeBot, PerplexityBot, ...) fetch the HTML a
+ * server returns and never execute JavaScript, while the crawler renders pages
+ * in a browser. Comparing the extraction of the static HTML with the
+ * extraction of the rendered DOM shows the content those crawlers miss.
+ *
+ * Compared content:
+ * - Title and meta description
+ * - Headings (H1 separately)
+ * - Body text (share of the rendered words present in the static HTML)
+ * - FAQ question/answer pairs
+ * - Structured data types (JSON-LD, Microdata, RDFa)
+ * - Internal links
+ *
+ * Severity:
+ * - high - Title, H1 or most body text only exists after rendering
+ * - medium - FAQ, structured data, headings or a fifth of the text only exist after rendering
+ * - low - Only some links or a little text differ
+ * - none - Static and rendered content match
+ *
+ * Report structure (page_snapshots.js_dependency):
+ * - severity (TEXT), key_content_missing (BOOLEAN), missing (ARRAY of content keys)
+ * - static_word_count, rendered_word_count, text_coverage (0-1)
+ * - title_missing, meta_description_missing, h1_missing (BOOLEAN)
+ * - missing_headings (ARRAY) - [{ level, text }], missing_heading_count
+ * - missing_faq (ARRAY) - Questions, missing_faq_count
+ * - missing_schema_types (ARRAY)
+ * - missing_links (ARRAY) - URLs, missing_link_count
+ * - static_status_code, compared_at
+ */
+
+const SEVERITY_ORDER = ['none', 'low', 'medium', 'high'];
+
+/**
+ * Share of the rendered words the static HTML must contain
+ */
+const TEXT_COVERAGE_HIGH = 0.5;
+const TEXT_COVERAGE_MEDIUM = 0.8;
+const TEXT_COVERAGE_LOW = 0.95;
+
+/**
+ * Rendered pages with fewer words are not judged on text coverage
+ */
+const MIN_RENDERED_WORDS = 50;
+
+/**
+ * Items listed per kind of missing content
+ */
+const MAX_LISTED = 20;
+
+/**
+ * Normalize text for comparison
+ */
+function normalize(text) {
+  return String(text || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Count words
+ */
+function countWords(text) {
+  return String(text || '')
+    .split(/\s+/)
+    .filter(word => word.length > 0).length;
+}
+
+/**
+ * Items of the rendered list not found in the static list
+ */
+function missingItems(renderedItems, staticItems, key) {
+  const present = new Set(staticItems.map(key));
+  return renderedItems.filter(item => key(item) && !present.has(key(item)));
+}
+
+/**
+ * Highest of two severities
+ */
+function maxSeverity(a, b) {
+  return SEVERITY_ORDER.indexOf(a) >= SEVERITY_ORDER.indexOf(b) ? a : b;
+}
+
+/**
+ * Compare the extraction of the static HTML with the rendered one
+ *
+ * @param {Object} staticExtraction - extractContent() of the HTML served without JavaScript
+ * @param {Object} renderedExtraction - extractContent() of the rendered DOM
+ * @param {Object} options - { staticStatusCode }
+ * @returns {Object} - JS dependency report (see report structure)
+ */
+function compareRenderedContent(staticExtraction, renderedExtraction, options = {}) {
+  const staticContent = staticExtraction || {};
+  const rendered = renderedExtraction || {};
+
+  const staticWords = countWords(staticContent.body);
+  const renderedWords = countWords(rendered.body);
+  const textCoverage =
+    renderedWords >= MIN_RENDERED_WORDS ? Math.min(1, staticWords / renderedWords) : 1;
+
+  const headingKey = heading =>
+    normalize(heading.text) && `${heading.level}:${normalize(heading.text)}`;
+  const missingHeadings = missingItems(
+    rendered.headings || [],
+    staticContent.headings || [],
+    headingKey
+  );
+  const missingFaq = missingItems(rendered.faq || [], staticContent.faq || [], entry =>
+    normalize(entry.question)
+  );
+  const missingSchemaTypes = missingItems(
+    rendered.schema_types || [],
+    staticContent.schema_types || [],
+    type => type
+  );
+  const missingLinks = [
+    ...new Set(
+      missingItems(
+        rendered.internal_links || [],
+        staticContent.internal_links || [],
+        link => link.url.split('#')[0]
+      ).map(link => link.url.split('#')[0])
+    )
+  ];
+
+  const titleMissing = Boolean(normalize(rendered.title)) && !normalize(staticContent.title);
+  const metaMissing =
+    Boolean(normalize(rendered.meta_description)) && !normalize(staticContent.meta_description);
+  const h1Missing = missingHeadings.some(heading => heading.level === 1);
+
+  const missing = [];
+  let severity = 'none';
+  const flag = (key, level) => {
+    missing.push(key);
+    severity = maxSeverity(severity, level);
+  };
+
+  if (titleMissing) flag('title', 'high');
+  if (h1Missing) flag('h1', 'high');
+  if (textCoverage < TEXT_COVERAGE_HIGH) {
+    flag('body_text', 'high');
+  } else if (textCoverage < TEXT_COVERAGE_MEDIUM) {
+    flag('body_text', 'medium');
+  } else if (textCoverage < TEXT_COVERAGE_LOW) {
+    flag('body_text', 'low');
+  }
+  if (metaMissing) flag('meta_description', 'medium');
+  if (missingHeadings.some(heading => heading.level > 1)) flag('headings', 'medium');
+  if (missingFaq.length > 0) flag('faq', 'medium');
+  if (missingSchemaTypes.length > 0) flag('structured_data', 'medium');
+  if (missingLinks.length > 0) flag('links', 'low');
+
+  return {
+    severity,
+    key_content_missing: severity === 'high' || severity === 'medium',
+    missing,
+    static_word_count: staticWords,
+    rendered_word_count: renderedWords,
+    text_coverage: Math.round(textCoverage * 100) / 100,
+    title_missing: titleMissing,
+    meta_description_missing: metaMissing,
+    h1_missing: h1Missing,
+    missing_headings: missingHeadings
+      .slice(0, MAX_LISTED)
+      .map(heading => ({ level: heading.level, text: heading.text })),
+    missing_heading_count: missingHeadings.length,
+    missing_faq: missingFaq.slice(0, MAX_LISTED).map(entry => entry.question),
+    missing_faq_count: missingFaq.length,
+    missing_schema_types: missingSchemaTypes,
+    missing_links: missingLinks.slice(0, MAX_LISTED),
+    missing_link_count: missingLinks.length,
+    static_status_code: options.staticStatusCode || null,
+    compared_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Build the project report of pages whose content depends on JavaScript
+ *
+ * @param {Array<Object>} pages - [{ page_id, url, page_type, js_dependency }]
+ * @param {Object} options - { severity: only pages with this severity, keyContentOnly }
+ * @returns {Object} - { summary, pages }
+ */
+function buildJsDependencyReport(pages, options = {}) {
+  const { severity = null, keyContentOnly = false } = options;
+  const compared = pages.filter(page => page.js_dependency && page.js_dependency.severity);
+  const bySeverity = { high: 0, medium: 0, low: 0, none: 0 };
+  const byContent = {};
+
+  compared.forEach(page => {
+    bySeverity[page.js_dependency.severity] += 1;
+    page.js_dependency.missing.forEach(key => {
+      byContent[key] = (byContent[key] || 0) + 1;
+    });
+  });
+
+  const listed = compared
+    .filter(page => page.js_dependency.severity !== 'none')
+    .filter(page => !severity || page.js_dependency.severity === severity)
+    .filter(page => !keyContentOnly || page.js_dependency.key_content_missing)
+    .sort(
+      (a, b) =>
+        SEVERITY_ORDER.indexOf(b.js_dependency.severity) -
+          SEVERITY_ORDER.indexOf(a.js_dependency.severity) ||
+        a.js_dependency.text_coverage - b.js_dependency.text_coverage ||
+        a.url.localeCompare(b.url)
+    );
+
+  return {
+    summary: {
+      pages_compared: compared.length,
+      pages_not_compared: pages.length - compared.length,
+      key_content_missing: compared.filter(page => page.js_dependency.key_content_missing).length,
+      by_severity: bySeverity,
+      by_content: byContent
+    },
+    pages: listed.map(page => ({
+      page_id: page.page_id,
+      url: page.url,
+      page_type: page.page_type || null,
+      ...page.js_dependency
+    }))
+  };
+}
+
+module.exports = {
+  compareRenderedContent,
+  buildJsDependencyReport
+};
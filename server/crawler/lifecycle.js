@@ -0,0 +1,130 @@
+/**
+ * Page Lifecycle
+ *
+ * Classifies the outcome of fetching a known page during a crawl run so pages
+ * that disappeared, moved or opted out of indexing are tracked instead of
+ * keeping their old score forever.
+ *
+ * Lifecycle statuses:
+ * - active - Page responded with content and may be indexed
+ * - redirected - Page URL now redirects elsewhere (redirect_target set)
+ * - gone - Page responded 404/410
+ * - blocked_by_robots - Page URL is disallowed by robots.txt
+ * - noindex - Page has a noindex meta robots tag or X-Robots-Tag header
+ */
+
+const { normalizeUrl } = require('./canonicalizer');
+
+/**
+ * Valid lifecycle statuses
+ */
+const LIFECYCLE_STATUSES = ['active', 'redirected', 'gone', 'blocked_by_robots', 'noindex'];
+
+/**
+ * Status codes that mean the page no longer exists
+ */
+const GONE_STATUS_CODES = [404, 410];
+
+/**
+ * Check if a status code means the page is gone
+ *
+ * @param {number} statusCode - HTTP status code
+ * @returns {boolean} - True for 404/410
+ */
+function isGoneStatus(statusCode) {
+  return GONE_STATUS_CODES.includes(statusCode);
+}
+
+/**
+ * Check if a robots directive string contains noindex (or none)
+ *
+ * @param {string} directives - Comma separated directives, optionally prefixed by a bot name
+ * @returns {boolean} - True if indexing is disallowed
+ */
+function containsNoindex(directives) {
+  if (!directives) {
+    return false;
+  }
+
+  return directives
+    .toLowerCase()
+    .split(',')
+    .map(directive => directive.split(':').pop().trim())
+    .some(directive => directive === 'noindex' || directive === 'none');
+}
+
+/**
+ * Detect noindex from meta robots tags or the X-Robots-Tag header
+ *
+ * @param {Object} $ - Cheerio instance of the page
+ * @param {Object} headers - Response headers (lower-cased keys)
+ * @returns {boolean} - True if the page asks not to be indexed
+ */
+function hasNoindex($, headers = {}) {
+  const headerValue = headers?.['x-robots-tag'];
+  const headerValues = Array.isArray(headerValue) ? headerValue : [headerValue];
+
+  if (headerValues.some(containsNoindex)) {
+    return true;
+  }
+
+  let noindex = false;
+  $('meta[name]').each((i, el) => {
+    const name = ($(el).attr('name') || '').toLowerCase();
+    if ((name === 'robots' || name === 'googlebot') && containsNoindex($(el).attr('content'))) {
+      noindex = true;
+    }
+  });
+
+  return noindex;
+}
+
+/**
+ * Check if the final URL after redirects differs from the requested URL
+ *
+ * @param {string} requestedUrl - URL that was requested
+ * @param {string} finalUrl - URL the response was served from
+ * @returns {boolean} - True if the request was redirected to another URL
+ */
+function isRedirected(requestedUrl, finalUrl) {
+  if (!finalUrl) {
+    return false;
+  }
+
+  return normalizeUrl(requestedUrl) !== normalizeUrl(finalUrl);
+}
+
+/**
+ * Classify a fetched page
+ *
+ * @param {Object} result - Fetch result
+ * @param {string} result.requestedUrl - URL that was requested
+ * @param {string} result.finalUrl - URL after redirects
+ * @param {number} result.statusCode - HTTP status code
+ * @param {boolean} result.noindex - Whether the page opted out of indexing
+ * @returns {Object} - { status, status_code, redirect_target }
+ */
+function classifyPage({ requestedUrl, finalUrl, statusCode, noindex = false }) {
+  if (isGoneStatus(statusCode)) {
+    return { status: 'gone', status_code: statusCode, redirect_target: null };
+  }
+
+  if (isRedirected(requestedUrl, finalUrl)) {
+    return { status: 'redirected', status_code: statusCode, redirect_target: finalUrl };
+  }
+
+  if (noindex) {
+    return { status: 'noindex', status_code: statusCode, redirect_target: null };
+  }
+
+  return { status: 'active', status_code: statusCode, redirect_target: null };
+}
+
+module.exports = {
+  LIFECYCLE_STATUSES,
+  GONE_STATUS_CODES,
+  isGoneStatus,
+  hasNoindex,
+  isRedirected,
+  classifyPage
+};
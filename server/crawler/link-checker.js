@@ -0,0 +1,500 @@
+/**
+ * Link Checker
+ *
+ * Audits the links recorded during a crawl run (internal and outbound) and the
+ * redirects the crawler followed, producing the broken-link / redirect report
+ * of the run.
+ *
+ * - Every unique link target is requested once with HEAD (GET when the server
+ *   does not support HEAD) and redirects are followed manually, so each hop
+ *   and its status code is recorded
+ * - Requests go through a PolitenessScheduler: one request at a time per host
+ *   with a minimum interval between requests (429/503 back-off included)
+ * - Redirect chains are flagged when they loop or exceed MAX_REDIRECTS
+ * - Only http(s) URLs whose host resolves to public addresses are requested,
+ *   checked before every request and redirect hop (see utils/network-guard.js)
+ *
+ * Report structure (crawl_runs.link_audit):
+ * - status (TEXT) - 'queued', 'running', 'completed' or 'failed'
+ * - summary (OBJECT) - { checked_urls, skipped_urls, links_checked, issues,
+ *   redirect_chains, redirect_loops, long_redirect_chains }
+ *   - issues: link count per issue type
+ * - links (ARRAY) - Links with an issue: [{ source_page_id, source_url, target_url,
+ *   external, anchor_text, issue, status_code, final_url, hops, error }]
+ *   - issue: 'loop', 'too_many_redirects', 'error' (no response), 'broken'
+ *     (4xx/5xx, also after redirects) or 'redirect'
+ * - redirects (ARRAY) - [{ url, source: 'crawl' | 'link', hops, hop_count,
+ *   final_url, status_code, loop, too_many_redirects, linked_from }]
+ * - generated_at (TEXT) - ISO timestamp
+ */
+
+const axios = require('axios');
+const { URL } = require('url');
+const { PolitenessScheduler, isBackoffStatus } = require('./scheduler');
+const { assertPublicUrl, createPublicLookup } = require('../utils/network-guard');
+
+/**
+ * Redirects followed before a chain is reported as too long
+ * (also used by the crawler engine's HTTP fetches)
+ */
+const MAX_REDIRECTS = 10;
+
+/**
+ * HTTP status codes that redirect to the Location header
+ */
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+
+/**
+ * Status codes of servers that reject HEAD requests (retried with GET)
+ */
+const HEAD_UNSUPPORTED_STATUS_CODES = [405, 501];
+
+/**
+ * Issue types, most severe first (report order)
+ */
+const ISSUE_TYPES = ['loop', 'too_many_redirects', 'error', 'broken', 'redirect'];
+
+/**
+ * Default checker options
+ */
+const DEFAULT_LINK_CHECK_OPTIONS = {
+  concurrency: 5, // Requests in flight overall
+  perHostConcurrency: 1, // Requests in flight per host
+  minDelayMs: 1000, // Interval between requests to the same host
+  timeout: 10000, // Per request (ms)
+  maxRedirects: MAX_REDIRECTS, // Hops followed per link
+  maxUrls: 5000 // Unique link targets checked per run
+};
+
+/**
+ * Check whether a list of URLs visits the same URL twice
+ *
+ * @param {Array<string>} urls - URLs in request order
+ * @returns {boolean} - True if a URL repeats
+ */
+function hasRedirectLoop(urls) {
+  return new Set(urls).size < urls.length;
+}
+
+/**
+ * Build a redirect chain entry
+ *
+ * @param {string} url - Requested URL
+ * @param {Array<Object>} hops - [{ url, status_code }] (one per redirect response)
+ * @param {string} finalUrl - Last URL requested
+ * @param {number|null} statusCode - Status of the final response (null if none)
+ * @param {Object} flags - { loop, tooManyRedirects, error }
+ * @returns {Object} - { url, hops, hop_count, final_url, status_code, loop, too_many_redirects, error }
+ */
+function buildChain(url, hops, finalUrl, statusCode, flags = {}) {
+  return {
+    url,
+    hops,
+    hop_count: hops.length,
+    final_url: finalUrl,
+    status_code: statusCode,
+    loop: Boolean(flags.loop),
+    too_many_redirects: Boolean(flags.tooManyRedirects),
+    error: flags.error || null
+  };
+}
+
+/**
+ * Describe the redirects the crawler engine followed for a URL
+ *
+ * @param {string} url - Requested URL
+ * @param {Array<Object>} redirectChain - Engine hops [{ url, statusCode }]
+ * @param {string} finalUrl - URL the last request went to
+ * @param {number|null} statusCode - Final status (null if the fetch failed)
+ * @returns {Object} - Redirect chain (see buildChain)
+ */
+function describeRedirectChain(url, redirectChain, finalUrl, statusCode = null) {
+  const hops = redirectChain.map(hop => ({ url: hop.url, status_code: hop.statusCode }));
+  const loop = hasRedirectLoop([...hops.map(hop => hop.url), finalUrl]);
+
+  return buildChain(url, hops, finalUrl, statusCode, {
+    loop,
+    tooManyRedirects: statusCode === null && hops.length >= MAX_REDIRECTS
+  });
+}
+
+/**
+ * Classify the result of a link check
+ *
+ * @param {Object} result - Redirect chain of the link target
+ * @returns {string|null} - One of ISSUE_TYPES, or null if the link is fine
+ */
+function classifyResult(result) {
+  if (result.loop) {
+    return 'loop';
+  }
+
+  if (result.too_many_redirects) {
+    return 'too_many_redirects';
+  }
+
+  if (!result.status_code) {
+    return 'error';
+  }
+
+  if (result.status_code >= 400) {
+    return 'broken';
+  }
+
+  return result.hop_count > 0 ? 'redirect' : null;
+}
+
+/**
+ * Order URLs so consecutive checks go to different hosts
+ *
+ * @param {Array<string>} urls - URLs to check
+ * @returns {Array<string>} - Same URLs, round-robin by host
+ */
+function interleaveByHost(urls) {
+  const byHost = new Map();
+
+  urls.forEach(url => {
+    let host;
+    try {
+      host = new URL(url).hostname;
+    } catch (e) {
+      host = '';
+    }
+    byHost.set(host, [...(byHost.get(host) || []), url]);
+  });
+
+  const queues = [...byHost.values()];
+  const ordered = [];
+
+  for (let i = 0; ordered.length < urls.length; i++) {
+    queues.forEach(queue => {
+      if (i < queue.length) {
+        ordered.push(queue[i]);
+      }
+    });
+  }
+
+  return ordered;
+}
+
+class LinkChecker {
+  /**
+   * @param {Object} options - Checker options (see DEFAULT_LINK_CHECK_OPTIONS)
+   * @param {string} options.userAgent - User agent sent with every request
+   * @param {Object} options.httpClient - axios-compatible client (request(config))
+   * @param {Function} options.lookup - dns.promises.lookup-compatible resolver
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_LINK_CHECK_OPTIONS, ...options };
+    this.userAgent = options.userAgent || 'AEO-Platform-Bot/1.0';
+    this.httpClient = options.httpClient || axios;
+    this.lookup = options.lookup;
+    this.publicLookup = createPublicLookup(this.lookup);
+    this.scheduler = new PolitenessScheduler({
+      concurrency: this.options.concurrency,
+      perHostConcurrency: this.options.perHostConcurrency,
+      minDelayMs: this.options.minDelayMs
+    });
+    this.results = new Map();
+  }
+
+  /**
+   * Check a URL (each URL is only requested once per checker)
+   *
+   * @param {string} url - Absolute URL
+   * @returns {Promise<Object>} - Redirect chain (see buildChain)
+   */
+  check(url) {
+    if (!this.results.has(url)) {
+      this.results.set(url, this.follow(url));
+    }
+
+    return this.results.get(url);
+  }
+
+  /**
+   * Check many URLs with the scheduler's concurrency
+   *
+   * @param {Array<string>} urls - Absolute URLs
+   * @returns {Promise<Map>} - URL → redirect chain
+   */
+  async checkAll(urls) {
+    const queue = interleaveByHost([...new Set(urls)]);
+    let next = 0;
+
+    const runWorker = async () => {
+      while (next < queue.length) {
+        await this.check(queue[next++]);
+      }
+    };
+
+    await Promise.all(Array.from({ length: this.scheduler.concurrency }, () => runWorker()));
+
+    const results = new Map();
+    for (const url of queue) {
+      results.set(url, await this.check(url));
+    }
+    return results;
+  }
+
+  /**
+   * Request a URL and follow its redirects hop by hop
+   *
+   * @param {string} url - Absolute URL
+   * @returns {Promise<Object>} - Redirect chain (see buildChain)
+   */
+  async follow(url) {
+    const hops = [];
+    const seen = new Set();
+    let current = url;
+
+    for (;;) {
+      seen.add(current);
+
+      let response;
+      try {
+        response = await this.request(current);
+      } catch (error) {
+        return buildChain(url, hops, current, null, { error: error.code || error.message });
+      }
+
+      const location = response.responseHeaders?.location;
+      if (!REDIRECT_STATUS_CODES.includes(response.statusCode) || !location) {
+        return buildChain(url, hops, current, response.statusCode);
+      }
+
+      hops.push({ url: current, status_code: response.statusCode });
+
+      let target;
+      try {
+        target = new URL(location, current).href;
+      } catch (e) {
+        return buildChain(url, hops, current, null, { error: 'invalid_location' });
+      }
+
+      if (seen.has(target)) {
+        return buildChain(url, hops, target, null, { loop: true });
+      }
+
+      if (hops.length >= this.options.maxRedirects) {
+        return buildChain(url, hops, target, null, { tooManyRedirects: true });
+      }
+
+      current = target;
+    }
+  }
+
+  /**
+   * Send a single request (HEAD, or GET if HEAD is not supported)
+   *
+   * A 429/503 answer is retried once after the scheduler's back-off. URLs that
+   * are not http(s) or whose host has a non-public address are rejected.
+   *
+   * @param {string} url - Absolute URL
+   * @returns {Promise<Object>} - { statusCode, responseHeaders }
+   */
+  async request(url) {
+    await assertPublicUrl(url, this.lookup);
+
+    const config = {
+      url,
+      method: 'head',
+      headers: { 'User-Agent': this.userAgent },
+      timeout: this.options.timeout,
+      maxRedirects: 0,
+      lookup: this.publicLookup,
+      validateStatus: () => true
+    };
+
+    let response = await this.scheduler.run(url, () => this.send(config));
+
+    if (isBackoffStatus(response.statusCode)) {
+      response = await this.scheduler.run(url, () => this.send(config));
+    }
+
+    if (HEAD_UNSUPPORTED_STATUS_CODES.includes(response.statusCode)) {
+      response = await this.scheduler.run(url, () =>
+        this.send({ ...config, method: 'get', responseType: 'stream' })
+      );
+    }
+
+    return response;
+  }
+
+  /**
+   * Send a request and keep only its status and headers
+   *
+   * @param {Object} config - axios request config
+   * @returns {Promise<Object>} - { statusCode, responseHeaders }
+   */
+  async send(config) {
+    const response = await this.httpClient.request(config);
+
+    // GET fallback: the body is not needed
+    if (typeof response.data?.destroy === 'function') {
+      response.data.destroy();
+    }
+
+    return { statusCode: response.status, responseHeaders: response.headers || {} };
+  }
+}
+
+/**
+ * Build the broken-link / redirect report of a crawl run
+ *
+ * @param {Object} input - Report input
+ * @param {Array<Object>} input.links - [{ source_page_id, target_url, anchor_text, external }]
+ * @param {Map} input.results - Target URL → redirect chain (from LinkChecker)
+ * @param {Map} input.pageUrls - Page UUID → URL (source pages)
+ * @param {Object} input.crawlRedirects - URL → redirect chain recorded while crawling
+ * @param {number} input.skippedUrls - Targets not checked (over maxUrls)
+ * @returns {Object} - { summary, links, redirects, generated_at }
+ */
+function buildLinkAuditReport({
+  links,
+  results,
+  pageUrls = new Map(),
+  crawlRedirects = {},
+  skippedUrls = 0
+}) {
+  const issues = Object.fromEntries(ISSUE_TYPES.map(issue => [issue, 0]));
+  const linkedFrom = new Map();
+  const seen = new Set();
+  const problems = [];
+  let linksChecked = 0;
+
+  links.forEach(link => {
+    const result = results.get(link.target_url);
+    const key = `${link.source_page_id} ${link.target_url}`;
+
+    if (!result || seen.has(key)) {
+      return;
+    }
+
+    seen.add(key);
+    linksChecked++;
+    linkedFrom.set(link.target_url, (linkedFrom.get(link.target_url) || 0) + 1);
+
+    const issue = classifyResult(result);
+    if (!issue) {
+      return;
+    }
+
+    issues[issue]++;
+    problems.push({
+      source_page_id: link.source_page_id,
+      source_url: pageUrls.get(link.source_page_id) || null,
+      target_url: link.target_url,
+      external: Boolean(link.external),
+      anchor_text: link.anchor_text || null,
+      issue,
+      status_code: result.status_code,
+      final_url: result.final_url,
+      hops: result.hops,
+      error: result.error
+    });
+  });
+
+  problems.sort(
+    (a, b) =>
+      ISSUE_TYPES.indexOf(a.issue) - ISSUE_TYPES.indexOf(b.issue) ||
+      (a.source_url || '').localeCompare(b.source_url || '') ||
+      a.target_url.localeCompare(b.target_url)
+  );
+
+  const redirects = new Map();
+  Object.values(crawlRedirects).forEach(chain => {
+    redirects.set(chain.url, { ...chain, source: 'crawl' });
+  });
+  results.forEach((chain, url) => {
+    if (chain.hop_count > 0 && !redirects.has(url)) {
+      redirects.set(url, { ...chain, source: 'link' });
+    }
+  });
+
+  const chains = [...redirects.values()]
+    .map(chain => ({ ...chain, linked_from: linkedFrom.get(chain.url) || 0 }))
+    .sort((a, b) => b.hop_count - a.hop_count || a.url.localeCompare(b.url));
+
+  return {
+    summary: {
+      checked_urls: results.size,
+      skipped_urls: skippedUrls,
+      links_checked: linksChecked,
+      issues,
+      redirect_chains: chains.length,
+      redirect_loops: chains.filter(chain => chain.loop).length,
+      long_redirect_chains: chains.filter(chain => chain.hop_count > 1).length
+    },
+    links: problems,
+    redirects: chains,
+    generated_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Columns of the CSV export
+ */
+const CSV_COLUMNS = [
+  'source_url',
+  'target_url',
+  'link_type',
+  'anchor_text',
+  'issue',
+  'status_code',
+  'final_url',
+  'redirect_chain'
+];
+
+/**
+ * Escape a CSV cell (quotes, separators, and spreadsheet formulas)
+ *
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+function escapeCsv(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render the problem links of a report as CSV
+ *
+ * @param {Object} report - Link audit report
+ * @returns {string} - CSV with a header row
+ */
+function toLinkAuditCsv(report) {
+  const rows = (report.links || []).map(link => [
+    link.source_url,
+    link.target_url,
+    link.external ? 'external' : 'internal',
+    link.anchor_text,
+    link.issue,
+    link.status_code,
+    link.final_url,
+    (link.hops || [])
+      .map(hop => `${hop.url} (${hop.status_code})`)
+      .concat(link.hops?.length ? [link.final_url] : [])
+      .join(' -> ')
+  ]);
+
+  return [CSV_COLUMNS, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  MAX_REDIRECTS,
+  DEFAULT_LINK_CHECK_OPTIONS,
+  ISSUE_TYPES,
+  LinkChecker,
+  describeRedirectChain,
+  hasRedirectLoop,
+  classifyResult,
+  interleaveByHost,
+  buildLinkAuditReport,
+  toLinkAuditCsv
+};
@@ -0,0 +1,352 @@
+/**
+ * Internal Link Graph Analysis
+ *
+ * Analyses the internal links recorded during a crawl run (page_links):
+ * - Orphan pages: sitemap URLs no other page links to
+ * - Click depth: fewest clicks from the homepage (null when unreachable)
+ * - Internal PageRank over followed links (nofollow links pass no rank)
+ * - Broken internal links: targets that answered 4xx/5xx or are gone
+ * - Anchor-text diversity per target page
+ *
+ * Link targets are matched to pages by canonical URL; a target that redirects
+ * to a crawled page counts as a link to that page.
+ *
+ * Report structure (crawl_runs.link_report):
+ * - summary (OBJECT) - { page_count, link_count, nofollow_links, orphan_pages,
+ *   broken_links, unreachable_pages, max_depth, depth_distribution, homepage_url }
+ * - pages (ARRAY) - [{ page_id, url, depth, pagerank, inbound_links, outbound_links }]
+ * - orphans (ARRAY) - [{ url, page_id }] (page_id null when the URL was not crawled)
+ * - broken_links (ARRAY) - [{ source_page_id, source_url, target_url, status_code, anchor_text }]
+ * - anchors (ARRAY) - [{ page_id, url, inbound_links, unique_anchors, empty_anchors,
+ *   diversity, top_anchors: [{ text, count }] }]
+ * - generated_at (TEXT) - ISO timestamp
+ */
+
+const { resolveCanonical } = require('./canonicalizer');
+
+/**
+ * Default analysis options
+ */
+const DEFAULT_LINK_GRAPH_OPTIONS = {
+  damping: 0.85, // PageRank damping factor
+  maxIterations: 100, // PageRank iterations before giving up on convergence
+  tolerance: 1e-6, // PageRank convergence threshold (sum of rank changes)
+  topAnchors: 5 // Most frequent anchors listed per target
+};
+
+/**
+ * Lifecycle statuses of pages that serve content (graph nodes)
+ */
+const NODE_STATUSES = ['active', 'noindex'];
+
+/**
+ * Normalize anchor text for comparison
+ *
+ * @param {string} text - Anchor text
+ * @returns {string} - Lower-cased text with collapsed whitespace
+ */
+function normalizeAnchor(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build the link graph of a crawl run
+ *
+ * @param {Array<Object>} pages - Project pages { id, url, lifecycle_status, last_status_code, redirect_target }
+ * @param {Array<Object>} links - Recorded links { source_page_id, target_url, anchor_text, nofollow }
+ * @param {Object} brokenUrls - URL → HTTP status of URLs that failed during the run
+ * @returns {Object} - { nodes, outgoing, incoming, linkedUrls, broken, linkCount, nofollowLinks }
+ */
+function buildLinkGraph(pages, links, brokenUrls = {}) {
+  const pagesByUrl = new Map(pages.map(page => [resolveCanonical(page.url), page]));
+  const nodes = new Map(
+    pages
+      .filter(page => NODE_STATUSES.includes(page.lifecycle_status || 'active'))
+      .map(page => [page.id, page])
+  );
+  const failedUrls = new Map(
+    Object.entries(brokenUrls).map(([url, status]) => [resolveCanonical(url), status])
+  );
+
+  const outgoing = new Map([...nodes.keys()].map(id => [id, []]));
+  const incoming = new Map([...nodes.keys()].map(id => [id, []]));
+  const linkedUrls = new Set();
+  const broken = [];
+  let nofollowLinks = 0;
+
+  links.forEach(link => {
+    if (link.nofollow) {
+      nofollowLinks++;
+    }
+
+    const targetUrl = resolveCanonical(link.target_url);
+    let target = pagesByUrl.get(targetUrl);
+
+    if (target?.id !== link.source_page_id) {
+      linkedUrls.add(targetUrl);
+    }
+
+    // One redirect hop to the page the target moved to
+    if (target?.lifecycle_status === 'redirected' && target.redirect_target) {
+      target = pagesByUrl.get(resolveCanonical(target.redirect_target)) || target;
+    }
+
+    const statusCode =
+      failedUrls.get(targetUrl) ||
+      (target?.lifecycle_status === 'gone' ? target.last_status_code || 404 : null);
+
+    if (statusCode) {
+      broken.push({ link, statusCode });
+      return;
+    }
+
+    if (!target || !nodes.has(target.id) || target.id === link.source_page_id) {
+      return;
+    }
+
+    if (!outgoing.has(link.source_page_id)) {
+      return;
+    }
+
+    // Several URLs of one source can resolve to the same target page
+    const edges = outgoing.get(link.source_page_id);
+    const existing = edges.find(edge => edge.target === target.id);
+    if (existing) {
+      existing.nofollow = existing.nofollow && Boolean(link.nofollow);
+    } else {
+      edges.push({ target: target.id, nofollow: Boolean(link.nofollow) });
+    }
+
+    incoming.get(target.id).push({
+      source: link.source_page_id,
+      anchor: link.anchor_text || ''
+    });
+  });
+
+  return {
+    nodes,
+    outgoing,
+    incoming,
+    linkedUrls,
+    broken,
+    linkCount: links.length,
+    nofollowLinks
+  };
+}
+
+/**
+ * Fewest clicks from the homepage to every page (breadth-first search)
+ *
+ * @param {Object} graph - Result of buildLinkGraph()
+ * @param {string|null} homepageId - Page UUID of the homepage
+ * @returns {Map} - Page UUID → depth (pages missing from the map are unreachable)
+ */
+function computeClickDepths(graph, homepageId) {
+  const depths = new Map();
+
+  if (!homepageId || !graph.nodes.has(homepageId)) {
+    return depths;
+  }
+
+  depths.set(homepageId, 0);
+  const queue = [homepageId];
+
+  for (let i = 0; i < queue.length; i++) {
+    const current = queue[i];
+    graph.outgoing.get(current).forEach(edge => {
+      if (!depths.has(edge.target)) {
+        depths.set(edge.target, depths.get(current) + 1);
+        queue.push(edge.target);
+      }
+    });
+  }
+
+  return depths;
+}
+
+/**
+ * Internal PageRank over followed links
+ *
+ * Pages without followed outbound links spread their rank over all pages.
+ *
+ * @param {Object} graph - Result of buildLinkGraph()
+ * @param {Object} options - Analysis options (damping, maxIterations, tolerance)
+ * @returns {Map} - Page UUID → rank (ranks sum to 1)
+ */
+function computePageRank(graph, options = {}) {
+  const { damping, maxIterations, tolerance } = { ...DEFAULT_LINK_GRAPH_OPTIONS, ...options };
+  const ids = [...graph.nodes.keys()];
+  const count = ids.length;
+
+  if (count === 0) {
+    return new Map();
+  }
+
+  const followed = new Map(
+    ids.map(id => [id, graph.outgoing.get(id).filter(edge => !edge.nofollow)])
+  );
+  let ranks = new Map(ids.map(id => [id, 1 / count]));
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const dangling = ids
+      .filter(id => followed.get(id).length === 0)
+      .reduce((sum, id) => sum + ranks.get(id), 0);
+    const base = (1 - damping) / count + (damping * dangling) / count;
+    const next = new Map(ids.map(id => [id, base]));
+
+    ids.forEach(id => {
+      const edges = followed.get(id);
+      edges.forEach(edge => {
+        next.set(edge.target, next.get(edge.target) + (damping * ranks.get(id)) / edges.length);
+      });
+    });
+
+    const change = ids.reduce((sum, id) => sum + Math.abs(next.get(id) - ranks.get(id)), 0);
+    ranks = next;
+
+    if (change < tolerance) {
+      break;
+    }
+  }
+
+  return ranks;
+}
+
+/**
+ * Sitemap URLs that no other page links to
+ *
+ * @param {Object} graph - Result of buildLinkGraph()
+ * @param {Array<Object>} pages - Project pages { id, url }
+ * @param {Array<string>} sitemapUrls - URLs listed in the sitemap
+ * @returns {Array<Object>} - [{ url, page_id }]
+ */
+function findOrphans(graph, pages, sitemapUrls) {
+  const pagesByUrl = new Map(pages.map(page => [resolveCanonical(page.url), page]));
+  const urls = [...new Set(sitemapUrls.map(url => resolveCanonical(url)))];
+
+  return urls
+    .filter(url => !graph.linkedUrls.has(url))
+    .map(url => ({ url, page_id: pagesByUrl.get(url)?.id || null }))
+    .filter(orphan => !orphan.page_id || graph.nodes.has(orphan.page_id))
+    .filter(orphan => !orphan.page_id || graph.incoming.get(orphan.page_id).length === 0)
+    .sort((a, b) => a.url.localeCompare(b.url));
+}
+
+/**
+ * Anchor texts used to link to each page
+ *
+ * @param {Object} graph - Result of buildLinkGraph()
+ * @param {Object} options - Analysis options (topAnchors)
+ * @returns {Array<Object>} - Targets with inbound links, most linked first
+ */
+function summarizeAnchors(graph, options = {}) {
+  const { topAnchors } = { ...DEFAULT_LINK_GRAPH_OPTIONS, ...options };
+
+  return [...graph.incoming.entries()]
+    .filter(([, inbound]) => inbound.length > 0)
+    .map(([id, inbound]) => {
+      const counts = new Map();
+      let empty = 0;
+
+      inbound.forEach(({ anchor }) => {
+        const text = normalizeAnchor(anchor);
+        if (!text) {
+          empty++;
+          return;
+        }
+        counts.set(text, (counts.get(text) || 0) + 1);
+      });
+
+      return {
+        page_id: id,
+        url: graph.nodes.get(id).url,
+        inbound_links: inbound.length,
+        unique_anchors: counts.size,
+        empty_anchors: empty,
+        diversity: Math.round((counts.size / inbound.length) * 100) / 100,
+        top_anchors: [...counts.entries()]
+          .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+          .slice(0, topAnchors)
+          .map(([text, count]) => ({ text, count }))
+      };
+    })
+    .sort((a, b) => b.inbound_links - a.inbound_links || a.url.localeCompare(b.url));
+}
+
+/**
+ * Analyse the link graph of a crawl run
+ *
+ * @param {Object} input - Crawl run data
+ * @param {Array<Object>} input.pages - Project pages
+ * @param {Array<Object>} input.links - Links recorded during the run
+ * @param {Array<string>} input.sitemapUrls - URLs listed in the sitemap
+ * @param {Object} input.brokenUrls - URL → HTTP status of URLs that failed during the run
+ * @param {string} input.homepageUrl - Project base URL
+ * @param {Object} options - Analysis options
+ * @returns {Object} - Link report (see module header)
+ */
+function analyzeLinkGraph(input, options = {}) {
+  const { pages, links, sitemapUrls = [], brokenUrls = {}, homepageUrl } = input;
+  const graph = buildLinkGraph(pages, links, brokenUrls);
+  const pagesById = new Map(pages.map(page => [page.id, page]));
+
+  const homepageKey = homepageUrl ? resolveCanonical(homepageUrl) : null;
+  const homepage = pages.find(page => resolveCanonical(page.url) === homepageKey);
+  const depths = computeClickDepths(graph, homepage?.id || null);
+  const ranks = computePageRank(graph, options);
+
+  const reportPages = [...graph.nodes.values()]
+    .map(page => ({
+      page_id: page.id,
+      url: page.url,
+      depth: depths.has(page.id) ? depths.get(page.id) : null,
+      pagerank: Math.round(ranks.get(page.id) * 1e6) / 1e6,
+      inbound_links: graph.incoming.get(page.id).length,
+      outbound_links: graph.outgoing.get(page.id).length
+    }))
+    .sort((a, b) => b.pagerank - a.pagerank || a.url.localeCompare(b.url));
+
+  const depthDistribution = {};
+  depths.forEach(depth => {
+    depthDistribution[depth] = (depthDistribution[depth] || 0) + 1;
+  });
+
+  const brokenLinks = graph.broken.map(({ link, statusCode }) => ({
+    source_page_id: link.source_page_id,
+    source_url: pagesById.get(link.source_page_id)?.url || null,
+    target_url: link.target_url,
+    status_code: statusCode,
+    anchor_text: link.anchor_text || ''
+  }));
+  const orphans = findOrphans(graph, pages, sitemapUrls);
+
+  return {
+    summary: {
+      page_count: graph.nodes.size,
+      link_count: graph.linkCount,
+      nofollow_links: graph.nofollowLinks,
+      orphan_pages: orphans.length,
+      broken_links: brokenLinks.length,
+      unreachable_pages: reportPages.filter(page => page.depth === null).length,
+      max_depth: depths.size > 0 ? Math.max(...depths.values()) : null,
+      depth_distribution: depthDistribution,
+      homepage_url: homepage?.url || null
+    },
+    pages: reportPages,
+    orphans,
+    broken_links: brokenLinks,
+    anchors: summarizeAnchors(graph, options),
+    generated_at: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  DEFAULT_LINK_GRAPH_OPTIONS,
+  normalizeAnchor,
+  buildLinkGraph,
+  computeClickDepths,
+  computePageRank,
+  findOrphans,
+  summarizeAnchors,
+  analyzeLinkGraph
+};
@@ -0,0 +1,525 @@
+/**
+ * llms.txt
+ *
+ * Discovery, validation and generation of /llms.txt (and /llms-full.txt), the
+ * markdown files sites publish so AI agents find their most useful pages
+ * (format: https://llmstxt.org):
+ *
+ *   # Site name
+ *   > One-paragraph summary
+ *   Optional details (any markdown except headings)
+ *   ## Section
+ *   - [Link title](https://example.com/page): Optional notes
+ *   ## Optional
+ *   - [Secondary link](https://example.com/other)
+ *
+ * Validation:
+ * - Errors: missing or misplaced H1, more than one H1, HTML served instead of
+ *   markdown, links that do not resolve or that robots.txt disallows
+ * - Warnings: no summary blockquote, no sections, empty sections, headings
+ *   other than H1/H2, list items that are not links, relative or redirected links
+ *
+ * Report structure (crawl_runs.llms_txt):
+ * - summary (OBJECT) - { found, full_found, valid, error_count, warning_count,
+ *   link_count, links_checked, broken_links, blocked_links }
+ * - llms_txt (OBJECT) - { url, found, status_code, size, title, summary, sections }
+ * - llms_full_txt (OBJECT) - { url, found, status_code, size }
+ * - links (ARRAY) - [{ url, title, section, status_code, final_url, issue, crawlable }]
+ * - issues (ARRAY) - [{ severity, file, line, message, url }]
+ * - generated_at (TEXT)
+ */
+
+const axios = require('axios');
+const { classifyResult } = require('./link-checker');
+
+const LLMS_TXT_PATH = '/llms.txt';
+const LLMS_FULL_TXT_PATH = '/llms-full.txt';
+
+/**
+ * Largest file downloaded (llms-full.txt can hold a whole documentation site)
+ */
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Links of llms.txt checked for each run
+ */
+const MAX_CHECKED_LINKS = 100;
+
+/**
+ * Links per section in generated files
+ */
+const MAX_GENERATED_LINKS_PER_SECTION = 50;
+
+/**
+ * Sections of a generated llms.txt by page type, in order; conversion pages
+ * (sign-up, contact) go to the Optional section agents may skip
+ */
+const GENERATED_SECTIONS = [
+  { name: 'Products', pageTypes: ['product'] },
+  { name: 'Solutions', pageTypes: ['solution'] },
+  { name: 'Resources', pageTypes: ['resource'] },
+  { name: 'Blog', pageTypes: ['blog'] },
+  { name: 'Pages', pageTypes: [null] },
+  { name: 'Optional', pageTypes: ['conversion'] }
+];
+
+const LINK_ITEM = /^\s*[-*+]\s+\[([^\]]*)\]\(\s*([^)\s]+)\s*\)\s*(?::\s*(.*))?$/;
+const LIST_ITEM = /^\s*[-*+]\s+/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+
+/**
+ * Check whether a response body is an HTML page (e.g. an SPA fallback route)
+ */
+function looksLikeHtml(content, contentType = '') {
+  return /text\/html/i.test(contentType) || /^\s*<(!doctype|html|head|body)\b/i.test(content);
+}
+
+/**
+ * Parse an llms.txt file
+ *
+ * @param {string} content - File content
+ * @returns {Object} - { title, summary, details, sections: [{ name, optional, line, links, items }],
+ *   headings: [{ level, text, line }], firstContentLine }
+ */
+function parseLlmsTxt(content) {
+  const parsed = {
+    title: null,
+    summary: null,
+    details: [],
+    sections: [],
+    headings: [],
+    firstContentLine: null
+  };
+  let section = null;
+
+  String(content || '')
+    .split(/\r?\n/)
+    .forEach((text, index) => {
+      const line = index + 1;
+
+      if (!text.trim()) {
+        return;
+      }
+
+      if (parsed.firstContentLine === null) {
+        parsed.firstContentLine = line;
+      }
+
+      const heading = text.match(HEADING);
+      if (heading) {
+        const level = heading[1].length;
+        parsed.headings.push({ level, text: heading[2], line });
+
+        if (level === 1 && parsed.title === null) {
+          parsed.title = heading[2];
+        } else if (level === 2) {
+          section = {
+            name: heading[2],
+            optional: heading[2].trim().toLowerCase() === 'optional',
+            line,
+            links: [],
+            items: []
+          };
+          parsed.sections.push(section);
+        }
+        return;
+      }
+
+      if (section) {
+        const link = text.match(LINK_ITEM);
+        if (link) {
+          section.links.push({
+            title: link[1].trim(),
+            href: link[2],
+            notes: link[3] || null,
+            line
+          });
+        } else if (LIST_ITEM.test(text)) {
+          section.items.push({ text: text.trim(), line });
+        }
+        return;
+      }
+
+      // Blockquote right after the H1 is the summary, anything else is details
+      const quote = text.match(/^\s*>\s?(.*)$/);
+      if (
+        quote &&
+        parsed.title !== null &&
+        parsed.summary === null &&
+        parsed.details.length === 0
+      ) {
+        parsed.summary = quote[1].trim();
+      } else if (quote && parsed.summary !== null && parsed.details.length === 0) {
+        parsed.summary = `${parsed.summary} ${quote[1].trim()}`.trim();
+      } else {
+        parsed.details.push(text);
+      }
+    });
+
+  return parsed;
+}
+
+/**
+ * Check the structure of a parsed llms.txt file
+ *
+ * @param {Object} parsed - Result of parseLlmsTxt()
+ * @param {string} fileUrl - URL of the file (relative links resolve against it)
+ * @returns {Array<Object>} - [{ severity, line, message, url }]
+ */
+function validateLlmsTxt(parsed, fileUrl) {
+  const issues = [];
+  const add = (severity, line, message, url = null) =>
+    issues.push({ severity, line, message, url });
+  const h1s = parsed.headings.filter(heading => heading.level === 1);
+
+  if (parsed.firstContentLine === null) {
+    add('error', null, 'File is empty');
+    return issues;
+  }
+
+  if (h1s.length === 0) {
+    add('error', null, 'Missing H1 title (# Site name)');
+  } else if (h1s[0].line !== parsed.firstContentLine) {
+    add('error', h1s[0].line, 'The H1 title must be the first line');
+  }
+
+  h1s.slice(1).forEach(heading => add('error', heading.line, 'Only one H1 title is allowed'));
+
+  if (parsed.summary === null) {
+    add('warning', null, 'Missing summary blockquote (> ...) after the title');
+  }
+
+  if (parsed.sections.length === 0) {
+    add('warning', null, 'No H2 sections with links');
+  }
+
+  parsed.headings
+    .filter(heading => heading.level > 2)
+    .forEach(heading =>
+      add('warning', heading.line, `H${heading.level} headings are not part of the llms.txt format`)
+    );
+
+  parsed.sections.forEach(section => {
+    if (section.links.length === 0) {
+      add('warning', section.line, `Section "${section.name}" has no links`);
+    }
+
+    section.items.forEach(item =>
+      add('warning', item.line, 'List item is not a link ([title](url): notes)')
+    );
+
+    section.links.forEach(link => {
+      let url;
+      try {
+        url = new URL(link.href, fileUrl).toString();
+      } catch (error) {
+        add('error', link.line, `Invalid link URL: ${link.href}`);
+        return;
+      }
+
+      if (!/^https?:\/\//i.test(link.href)) {
+        add('warning', link.line, 'Use absolute URLs for links', url);
+      }
+      if (!link.title) {
+        add('warning', link.line, 'Link has no title', url);
+      }
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * List the links of a parsed llms.txt file with absolute URLs
+ *
+ * @param {Object} parsed - Result of parseLlmsTxt()
+ * @param {string} fileUrl - URL of the file
+ * @returns {Array<Object>} - [{ url, title, section, line }]
+ */
+function listLlmsTxtLinks(parsed, fileUrl) {
+  return parsed.sections.flatMap(section =>
+    section.links
+      .map(link => {
+        try {
+          return {
+            url: new URL(link.href, fileUrl).toString(),
+            title: link.title,
+            section: section.name,
+            line: link.line
+          };
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+  );
+}
+
+/**
+ * Download an llms.txt file
+ *
+ * @param {string} url - File URL
+ * @param {Object} options - { httpClient, userAgent, timeout }
+ * @returns {Promise<Object>} - { url, found, status_code, content_type, size, content, error }
+ */
+async function fetchLlmsFile(url, options = {}) {
+  const { httpClient = axios, userAgent = 'AEO-Platform-Bot/1.0', timeout = 10000 } = options;
+
+  try {
+    const response = await httpClient.request({
+      method: 'get',
+      url,
+      timeout,
+      maxContentLength: MAX_FILE_BYTES,
+      responseType: 'text',
+      transformResponse: data => data,
+      validateStatus: () => true,
+      headers: { 'User-Agent': userAgent, Accept: 'text/markdown, text/plain;q=0.9, */*;q=0.1' }
+    });
+    const content = typeof response.data === 'string' ? response.data : '';
+    const contentType = response.headers?.['content-type'] || null;
+
+    return {
+      url,
+      found: response.status === 200 && !looksLikeHtml(content, contentType || ''),
+      status_code: response.status,
+      content_type: contentType,
+      size: Buffer.byteLength(content),
+      content,
+      error: null
+    };
+  } catch (error) {
+    return {
+      url,
+      found: false,
+      status_code: error.response?.status || null,
+      content_type: null,
+      size: 0,
+      content: '',
+      error: error.code || error.message
+    };
+  }
+}
+
+/**
+ * Download a site's llms.txt and llms-full.txt
+ *
+ * @param {string} baseUrl - Any URL of the site
+ * @param {Object} options - See fetchLlmsFile()
+ * @returns {Promise<Object>} - { index, full }
+ */
+async function fetchLlmsFiles(baseUrl, options = {}) {
+  const origin = new URL(baseUrl).origin;
+  const [index, full] = await Promise.all([
+    fetchLlmsFile(`${origin}${LLMS_TXT_PATH}`, options),
+    fetchLlmsFile(`${origin}${LLMS_FULL_TXT_PATH}`, options)
+  ]);
+
+  return { index, full };
+}
+
+/**
+ * Build the llms.txt report of a site
+ *
+ * @param {Object} input
+ * @param {Object} input.index - fetchLlmsFile() result for /llms.txt
+ * @param {Object} input.full - fetchLlmsFile() result for /llms-full.txt
+ * @param {Map} input.linkResults - Link URL → redirect chain (from LinkChecker)
+ * @param {Map} input.crawlable - Link URL → false when robots.txt disallows it
+ * @returns {Object} - Report (see report structure)
+ */
+function buildLlmsTxtReport({ index, full, linkResults = new Map(), crawlable = new Map() }) {
+  const issues = [];
+  const add = (file, issue) => issues.push({ file, ...issue });
+  let parsed = null;
+
+  if (index.found) {
+    parsed = parseLlmsTxt(index.content);
+    validateLlmsTxt(parsed, index.url).forEach(issue => add('llms.txt', issue));
+  } else if (index.status_code === 200) {
+    add('llms.txt', {
+      severity: 'error',
+      line: null,
+      message: 'Served an HTML page instead of a markdown file',
+      url: index.url
+    });
+  }
+
+  if (full.found && !/^\s*#\s/.test(full.content)) {
+    add('llms-full.txt', {
+      severity: 'warning',
+      line: null,
+      message: 'Should start with an H1 title like llms.txt',
+      url: full.url
+    });
+  }
+
+  const links = (parsed ? listLlmsTxtLinks(parsed, index.url) : [])
+    .slice(0, MAX_CHECKED_LINKS)
+    .map(link => {
+      const result = linkResults.get(link.url);
+      const issue = result ? classifyResult(result) : null;
+      const allowed = crawlable.get(link.url) !== false;
+
+      if (issue && issue !== 'redirect') {
+        add('llms.txt', {
+          severity: 'error',
+          line: link.line,
+          message: result.status_code
+            ? `Link does not resolve (${result.status_code})`
+            : `Link does not resolve (${result.error || issue})`,
+          url: link.url
+        });
+      } else if (issue === 'redirect') {
+        add('llms.txt', {
+          severity: 'warning',
+          line: link.line,
+          message: `Link redirects to ${result.final_url}`,
+          url: link.url
+        });
+      }
+
+      if (!allowed) {
+        add('llms.txt', {
+          severity: 'error',
+          line: link.line,
+          message: 'Linked page is disallowed by robots.txt',
+          url: link.url
+        });
+      }
+
+      return {
+        url: link.url,
+        title: link.title,
+        section: link.section,
+        status_code: result?.status_code ?? null,
+        final_url: result?.final_url ?? null,
+        issue,
+        crawlable: allowed
+      };
+    });
+
+  const errorCount = issues.filter(issue => issue.severity === 'error').length;
+
+  return {
+    summary: {
+      found: index.found,
+      full_found: full.found,
+      valid: index.found && errorCount === 0,
+      error_count: errorCount,
+      warning_count: issues.length - errorCount,
+      link_count: parsed ? listLlmsTxtLinks(parsed, index.url).length : 0,
+      links_checked: links.filter(link => linkResults.has(link.url)).length,
+      broken_links: links.filter(link => link.issue && link.issue !== 'redirect').length,
+      blocked_links: links.filter(link => !link.crawlable).length
+    },
+    llms_txt: {
+      url: index.url,
+      found: index.found,
+      status_code: index.status_code,
+      size: index.size,
+      title: parsed?.title || null,
+      summary: parsed?.summary || null,
+      sections: (parsed?.sections || []).map(section => ({
+        name: section.name,
+        optional: section.optional,
+        link_count: section.links.length
+      }))
+    },
+    llms_full_txt: {
+      url: full.url,
+      found: full.found,
+      status_code: full.status_code,
+      size: full.size
+    },
+    links,
+    issues,
+    generated_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Compact llms.txt signal stored with each snapshot for scoring
+ *
+ * @param {Object} report - Result of buildLlmsTxtReport()
+ * @returns {Object} - { found, valid, full_found, link_count }
+ */
+function toLlmsTxtSignal(report) {
+  return {
+    found: report.summary.found,
+    valid: report.summary.valid,
+    full_found: report.summary.full_found,
+    link_count: report.summary.link_count
+  };
+}
+
+/**
+ * Make text safe for a single markdown line
+ */
+function inline(text) {
+  return String(text || '')
+    .replace(/\s+/g, ' ')
+    .replace(/[[\]]/g, '')
+    .trim();
+}
+
+/**
+ * Draft an llms.txt for a project from its crawled pages
+ *
+ * @param {Object} input
+ * @param {string} input.name - Site name (H1)
+ * @param {string} input.baseUrl - Project base URL
+ * @param {string} input.summary - Site summary (defaults to the homepage meta description)
+ * @param {Array<Object>} input.pages - [{ url, page_type, title, meta_description }]
+ * @returns {string} - llms.txt content
+ */
+function generateLlmsTxt({ name, baseUrl, summary = null, pages = [] }) {
+  const homepage =
+    pages.find(page => page.page_type === 'homepage') ||
+    pages.find(page => new URL(page.url).pathname === '/');
+  const lines = [`# ${inline(name) || new URL(baseUrl).hostname}`, ''];
+  const description = inline(summary || homepage?.meta_description);
+
+  if (description) {
+    lines.push(`> ${description}`, '');
+  }
+
+  const byDepth = (a, b) =>
+    a.url.split('/').length - b.url.split('/').length || a.url.localeCompare(b.url);
+
+  GENERATED_SECTIONS.forEach(section => {
+    const sectionPages = pages
+      .filter(page => page !== homepage)
+      .filter(page => section.pageTypes.includes(page.page_type || null))
+      .sort(byDepth)
+      .slice(0, MAX_GENERATED_LINKS_PER_SECTION);
+
+    if (sectionPages.length === 0) {
+      return;
+    }
+
+    lines.push(`## ${section.name}`, '');
+    sectionPages.forEach(page => {
+      const title = inline(page.title) || page.url;
+      const notes = inline(page.meta_description);
+      lines.push(`- [${title}](${page.url})${notes ? `: ${notes}` : ''}`);
+    });
+    lines.push('');
+  });
+
+  return `${lines.join('\n').trim()}\n`;
+}
+
+module.exports = {
+  LLMS_TXT_PATH,
+  LLMS_FULL_TXT_PATH,
+  MAX_CHECKED_LINKS,
+  parseLlmsTxt,
+  validateLlmsTxt,
+  listLlmsTxtLinks,
+  fetchLlmsFile,
+  fetchLlmsFiles,
+  buildLlmsTxtReport,
+  toLlmsTxtSignal,
+  generateLlmsTxt
+};
@@ -0,0 +1,329 @@
+/**
+ * Near-Duplicate Detection
+ *
+ * Finds pages of a project whose content is nearly identical (templated city
+ * pages, copied blog posts). Such pages compete for the same queries, so each
+ * group gets a recommended canonical URL that is cross-checked against the
+ * canonical URL every page declares.
+ *
+ * - Fingerprint: 64-bit SimHash of word shingles of a snapshot's cleaned_text
+ *   (stored as 16 hex chars on page_snapshots.simhash)
+ * - Similarity: 1 - (Hamming distance / 64)
+ * - Candidate pairs come from SimHash bands, so pages are not compared pairwise
+ *
+ * Report structure (crawl_runs.duplicate_report):
+ * - groups (ARRAY) - [{ canonical_url, canonical_source, similarity, pages }]
+ *   - canonical_source: 'declared' (other pages point to it) or 'shortest_url'
+ *   - pages: [{ page_id, url, similarity, declared_canonical, canonical_status }]
+ *   - canonical_status: 'ok', 'self' (declares itself instead of the group's
+ *     canonical), 'mismatch' (declares another URL) or 'missing'
+ * - summary (OBJECT) - { page_count, group_count, duplicate_pages,
+ *   canonical_issues, unfingerprinted_pages, min_similarity }
+ * - generated_at (TEXT) - ISO timestamp
+ */
+
+const crypto = require('crypto');
+const { resolveCanonical } = require('./canonicalizer');
+
+/**
+ * Default detection options
+ */
+const DEFAULT_DUPLICATE_OPTIONS = {
+  shingleSize: 3, // Words per shingle
+  minWords: 50, // Shorter texts are not fingerprinted (too little to compare)
+  minSimilarity: 0.85 // Pages at least this similar are grouped (Hamming distance <= 9)
+};
+
+/**
+ * Bits in a SimHash fingerprint
+ */
+const SIMHASH_BITS = 64;
+
+/**
+ * Split text into lower-cased words
+ *
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Words
+ */
+function tokenize(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Compute the SimHash fingerprint of a text
+ *
+ * @param {string} text - Cleaned page text
+ * @param {Object} options - Detection options (shingleSize, minWords)
+ * @returns {string|null} - 16 hex chars, or null if the text is too short
+ */
+function computeSimhash(text, options = {}) {
+  const { shingleSize, minWords } = { ...DEFAULT_DUPLICATE_OPTIONS, ...options };
+  const words = tokenize(text);
+
+  if (words.length < minWords) {
+    return null;
+  }
+
+  const weights = new Array(SIMHASH_BITS).fill(0);
+  const shingles = Math.max(1, words.length - shingleSize + 1);
+
+  for (let i = 0; i < shingles; i++) {
+    const digest = crypto
+      .createHash('md5')
+      .update(words.slice(i, i + shingleSize).join(' '))
+      .digest();
+
+    for (let bit = 0; bit < SIMHASH_BITS; bit++) {
+      weights[bit] += (digest[bit >> 3] >> (bit & 7)) & 1 ? 1 : -1;
+    }
+  }
+
+  const fingerprint = Buffer.alloc(SIMHASH_BITS / 8);
+  weights.forEach((weight, bit) => {
+    if (weight > 0) {
+      fingerprint[bit >> 3] |= 1 << (bit & 7);
+    }
+  });
+
+  return fingerprint.toString('hex');
+}
+
+/**
+ * Number of differing bits between two fingerprints
+ *
+ * @param {string} a - Fingerprint (hex)
+ * @param {string} b - Fingerprint (hex)
+ * @returns {number} - Hamming distance (0-64)
+ */
+function hammingDistance(a, b) {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  let distance = 0;
+
+  for (let i = 0; i < left.length; i++) {
+    let diff = left[i] ^ right[i];
+    while (diff) {
+      diff &= diff - 1;
+      distance++;
+    }
+  }
+
+  return distance;
+}
+
+/**
+ * Similarity of two fingerprints
+ *
+ * @param {string} a - Fingerprint (hex)
+ * @param {string} b - Fingerprint (hex)
+ * @returns {number} - 0-1 (1 = identical fingerprints)
+ */
+function simhashSimilarity(a, b) {
+  return Math.round((1 - hammingDistance(a, b) / SIMHASH_BITS) * 1000) / 1000;
+}
+
+/**
+ * Split fingerprints into bands for candidate lookup
+ *
+ * Any two fingerprints within maxDistance bits share at least one band when
+ * there are maxDistance + 1 bands (pigeonhole principle).
+ *
+ * @param {string} fingerprint - Fingerprint (hex)
+ * @param {number} maxDistance - Largest Hamming distance to find
+ * @returns {Array<string>} - Band keys
+ */
+function getBands(fingerprint, maxDistance) {
+  const bits = BigInt(`0x${fingerprint}`).toString(2).padStart(SIMHASH_BITS, '0');
+  const bandCount = Math.min(maxDistance + 1, SIMHASH_BITS);
+  const bandSize = Math.floor(SIMHASH_BITS / bandCount);
+
+  return Array.from({ length: bandCount }, (_, band) => {
+    const end = band === bandCount - 1 ? SIMHASH_BITS : (band + 1) * bandSize;
+    return `${band}:${bits.slice(band * bandSize, end)}`;
+  });
+}
+
+/**
+ * Group pages with near-identical fingerprints
+ *
+ * @param {Array<Object>} pages - [{ page_id, url, simhash, declared_canonical }]
+ * @param {Object} options - Detection options (minSimilarity)
+ * @returns {Array<Array<Object>>} - Groups of two or more pages (largest first)
+ */
+function findDuplicateGroups(pages, options = {}) {
+  const { minSimilarity } = { ...DEFAULT_DUPLICATE_OPTIONS, ...options };
+  const maxDistance = Math.floor((1 - minSimilarity) * SIMHASH_BITS);
+  const fingerprinted = pages.filter(page => page.simhash);
+
+  // Union-find over page indexes
+  const parents = fingerprinted.map((_, index) => index);
+  const find = index => {
+    while (parents[index] !== index) {
+      parents[index] = parents[parents[index]];
+      index = parents[index];
+    }
+    return index;
+  };
+
+  const buckets = new Map();
+  fingerprinted.forEach((page, index) => {
+    getBands(page.simhash, maxDistance).forEach(band => {
+      const bucket = buckets.get(band) || [];
+      bucket.forEach(other => {
+        const [a, b] = [find(index), find(other)];
+        if (a !== b && hammingDistance(page.simhash, fingerprinted[other].simhash) <= maxDistance) {
+          parents[Math.max(a, b)] = Math.min(a, b);
+        }
+      });
+      bucket.push(index);
+      buckets.set(band, bucket);
+    });
+  });
+
+  const groups = new Map();
+  fingerprinted.forEach((page, index) => {
+    const root = find(index);
+    groups.set(root, [...(groups.get(root) || []), page]);
+  });
+
+  return [...groups.values()]
+    .filter(group => group.length > 1)
+    .sort((a, b) => b.length - a.length || a[0].url.localeCompare(b[0].url));
+}
+
+/**
+ * Normalize a declared canonical URL for comparison with page URLs
+ *
+ * @param {string|null} url - Canonical URL from the page's HTML
+ * @param {Object|null} rules - Project URL rules the page URLs are stored under
+ *   (url-rules.resolveUrlRules)
+ * @returns {string|null} - Normalized URL
+ */
+function normalizeDeclared(url, rules = null) {
+  if (!url) {
+    return null;
+  }
+
+  return rules ? resolveCanonical(url, null, { rules }) : resolveCanonical(url);
+}
+
+/**
+ * Pick the canonical URL of a duplicate group
+ *
+ * The group URL that most other pages of the group declare as canonical wins
+ * (pages declaring themselves don't vote); otherwise the shortest URL
+ * (usually the least parameterized one).
+ *
+ * @param {Array<Object>} group - Pages of the group
+ * @param {Object|null} rules - Project URL rules (url-rules.resolveUrlRules)
+ * @returns {Object} - { url, source: 'declared' | 'shortest_url' }
+ */
+function chooseCanonical(group, rules = null) {
+  const urls = new Set(group.map(page => page.url));
+  const votes = new Map();
+
+  group.forEach(page => {
+    const declared = normalizeDeclared(page.declared_canonical, rules);
+    if (declared && declared !== page.url && urls.has(declared)) {
+      votes.set(declared, (votes.get(declared) || 0) + 1);
+    }
+  });
+
+  const byShortest = (a, b) => a.length - b.length || a.localeCompare(b);
+
+  if (votes.size > 0) {
+    const [url] = [...votes.entries()].sort(
+      ([urlA, countA], [urlB, countB]) => countB - countA || byShortest(urlA, urlB)
+    )[0];
+    return { url, source: 'declared' };
+  }
+
+  return { url: [...urls].sort(byShortest)[0], source: 'shortest_url' };
+}
+
+/**
+ * Compare the canonical URL a page declares with its group's canonical
+ *
+ * @param {Object} page - Group page
+ * @param {string} canonicalUrl - Recommended canonical URL
+ * @param {Object|null} rules - Project URL rules (url-rules.resolveUrlRules)
+ * @returns {string} - 'ok', 'self', 'mismatch' or 'missing'
+ */
+function getCanonicalStatus(page, canonicalUrl, rules = null) {
+  const declared = normalizeDeclared(page.declared_canonical, rules);
+
+  if (!declared) {
+    return 'missing';
+  }
+
+  if (declared === canonicalUrl) {
+    return 'ok';
+  }
+
+  return declared === page.url ? 'self' : 'mismatch';
+}
+
+/**
+ * Build the near-duplicate report of a project
+ *
+ * @param {Array<Object>} pages - [{ page_id, url, simhash, declared_canonical }]
+ * @param {Object} context - { unfingerprintedPages }
+ * @param {Object} options - Detection options, plus rules: the project URL rules page
+ *   URLs are stored under (url-rules.resolveUrlRules), applied to declared canonicals
+ * @returns {Object} - { groups, summary, generated_at }
+ */
+function buildDuplicateReport(pages, context = {}, options = {}) {
+  const { minSimilarity, rules = null } = { ...DEFAULT_DUPLICATE_OPTIONS, ...options };
+
+  const groups = findDuplicateGroups(pages, options).map(group => {
+    const canonical = chooseCanonical(group, rules);
+    const canonicalPage = group.find(page => page.url === canonical.url);
+
+    const members = group
+      .map(page => ({
+        page_id: page.page_id,
+        url: page.url,
+        similarity: simhashSimilarity(page.simhash, canonicalPage.simhash),
+        declared_canonical: page.declared_canonical || null,
+        canonical_status: getCanonicalStatus(page, canonical.url, rules)
+      }))
+      .sort(
+        (a, b) =>
+          (b.url === canonical.url) - (a.url === canonical.url) || b.similarity - a.similarity
+      );
+
+    return {
+      canonical_url: canonical.url,
+      canonical_source: canonical.source,
+      similarity: Math.min(...members.slice(1).map(member => member.similarity)),
+      pages: members
+    };
+  });
+
+  return {
+    groups,
+    summary: {
+      page_count: pages.filter(page => page.simhash).length,
+      group_count: groups.length,
+      duplicate_pages: groups.reduce((sum, group) => sum + group.pages.length - 1, 0),
+      canonical_issues: groups.reduce(
+        (sum, group) => sum + group.pages.filter(page => page.canonical_status !== 'ok').length,
+        0
+      ),
+      unfingerprinted_pages: context.unfingerprintedPages || 0,
+      min_similarity: minSimilarity
+    },
+    generated_at: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  DEFAULT_DUPLICATE_OPTIONS,
+  computeSimhash,
+  hammingDistance,
+  simhashSimilarity,
+  findDuplicateGroups,
+  chooseCanonical,
+  getCanonicalStatus,
+  buildDuplicateReport
+};
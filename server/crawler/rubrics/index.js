@@ -2,7 +2,11 @@
  * Rubrics Module
  *
  * Centralized access to AEO scoring rubrics and criteria.
- * Supports page-type-aware scoring with type-specific emphasis.
+ * Supports page-type-aware scoring with type-specific emphasis, and versioned
+ * organization rubrics stored in the database (see resolver.js).
  */
 
-module.exports = require('./loader');
+module.exports = {
+  ...require('./loader'),
+  ...require('./resolver')
+};
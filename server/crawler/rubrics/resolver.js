@@ -0,0 +1,179 @@
+/**
+ * Rubric Resolver
+ *
+ * Picks the rubric a page is scored with:
+ * 1. The rubric selected for the project (projects.config.rubric_id)
+ * 2. The rubric selected for the organization (organizations.settings.rubric.rubric_id)
+ * 3. The built-in default rubric (data/aeo-principles/default-rubric.json)
+ *
+ * A selected rubric is used at its latest published version; drafts are never
+ * used for scoring. The returned version is what page_scores.rubric_version
+ * stores: the rubric_versions id, or the default rubric version.
+ */
+
+const OrganizationModel = require('../../models/organization');
+const RubricModel = require('../../models/rubric');
+const { getActiveRubric, getRubricVersion } = require('./loader');
+
+/**
+ * How long rubric selections are cached
+ */
+const SELECTION_TTL_MS = 60 * 1000;
+
+const selections = new Map();
+
+/**
+ * Published versions by id (immutable, cached for the lifetime of the process)
+ */
+const publishedVersions = new Map();
+
+/**
+ * Database rubric versions are referenced by id, built-in ones by version number
+ */
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Resolve the built-in default rubric
+ *
+ * @returns {Promise<Object>} - { version, rubric, source, rubricId }
+ */
+async function resolveDefaultRubric() {
+  return {
+    version: await getRubricVersion(),
+    rubric: await getActiveRubric(),
+    source: 'default',
+    rubricId: null
+  };
+}
+
+/**
+ * Find the selected rubric for a project or organization
+ *
+ * Selections of rubrics from another organization are ignored.
+ *
+ * @param {Object} context - { projectId, organizationId }
+ * @returns {Promise<Object>} - { rubricId, source, organizationId } (rubricId null = default)
+ */
+async function findSelection(context) {
+  let organizationId = context.organizationId || null;
+
+  if (context.projectId) {
+    const project = await RubricModel.getProjectRubricSelection(context.projectId);
+    organizationId = project?.organization_id || organizationId;
+
+    if (project?.rubric_id) {
+      return { rubricId: project.rubric_id, source: 'project', organizationId };
+    }
+  }
+
+  if (organizationId) {
+    const organization = await OrganizationModel.findOrganizationById(organizationId);
+    const rubricId = organization?.settings?.rubric?.rubric_id;
+
+    if (rubricId) {
+      return { rubricId, source: 'organization', organizationId };
+    }
+  }
+
+  return { rubricId: null, source: 'default', organizationId };
+}
+
+/**
+ * Resolve the rubric to score with
+ *
+ * @param {Object|null} context - { projectId, organizationId } (both optional)
+ * @returns {Promise<Object>} - { version, rubric, source, rubricId }
+ */
+async function resolveRubric(context) {
+  if (!context?.projectId && !context?.organizationId) {
+    return resolveDefaultRubric();
+  }
+
+  const cacheKey = context.projectId || context.organizationId;
+  let selection = selections.get(cacheKey);
+
+  if (!selection || selection.expiresAt <= Date.now()) {
+    const { rubricId, source, organizationId } = await findSelection(context);
+    let versionId = null;
+
+    if (rubricId) {
+      const rubric = await RubricModel.getRubricById(rubricId);
+      const latest =
+        rubric?.organization_id === organizationId
+          ? rubric.versions.filter(v => v.status === 'published').at(-1)
+          : null;
+
+      versionId = latest?.id || null;
+    }
+
+    selection = {
+      versionId,
+      rubricId: versionId ? rubricId : null,
+      source: versionId ? source : 'default',
+      expiresAt: Date.now() + SELECTION_TTL_MS
+    };
+    selections.set(cacheKey, selection);
+  }
+
+  if (!selection.versionId) {
+    return resolveDefaultRubric();
+  }
+
+  return {
+    version: selection.versionId,
+    rubric: await getPublishedDefinition(selection.versionId),
+    source: selection.source,
+    rubricId: selection.rubricId
+  };
+}
+
+/**
+ * Get the definition of a published version
+ *
+ * @param {string} versionId - Rubric version UUID
+ * @returns {Promise<Object>} - Rubric JSON
+ * @throws {Error} - If the version does not exist or is not published
+ */
+async function getPublishedDefinition(versionId) {
+  if (!publishedVersions.has(versionId)) {
+    const version = await RubricModel.getVersionById(versionId);
+
+    if (!version || version.status !== 'published') {
+      throw new Error(`Rubric version ${versionId} is not published`);
+    }
+
+    publishedVersions.set(versionId, version.definition);
+  }
+
+  return publishedVersions.get(versionId);
+}
+
+/**
+ * Get the rubric a stored score was made with (page_scores.rubric_version)
+ *
+ * Built-in rubric versions (e.g. '1.1') resolve to the built-in rubric on disk.
+ *
+ * @param {string} rubricVersion - rubric_versions id or built-in rubric version
+ * @returns {Promise<Object>} - Rubric JSON
+ */
+async function getRubricForVersion(rubricVersion) {
+  if (UUID_PATTERN.test(rubricVersion)) {
+    return getPublishedDefinition(rubricVersion);
+  }
+
+  return getActiveRubric();
+}
+
+/**
+ * Forget cached rubric selections (after a selection or publish)
+ */
+function clearRubricSelections() {
+  selections.clear();
+}
+
+module.exports = {
+  resolveRubric,
+  getPublishedDefinition,
+  getRubricForVersion,
+  clearRubricSelections
+};
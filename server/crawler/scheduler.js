@@ -0,0 +1,243 @@
+/**
+ * Politeness Scheduler
+ *
+ * Coordinates parallel page fetches during a crawl while staying polite to
+ * each host. Used by the crawl job processor to run several fetches at once.
+ *
+ * Rules enforced per host:
+ * - Concurrency cap (never more than N in-flight requests to one host)
+ * - Minimum interval between request starts (robots.txt Crawl-delay or project default)
+ * - Adaptive back-off on 429/503 responses (honors Retry-After), decaying back
+ *   to the base interval after successful responses
+ */
+
+const { URL } = require('url');
+
+/**
+ * HTTP status codes that signal the host wants us to slow down
+ */
+const BACKOFF_STATUS_CODES = [429, 503];
+
+/**
+ * Scheduler defaults
+ */
+const DEFAULTS = {
+  concurrency: 3,
+  perHostConcurrency: 2,
+  minDelayMs: 1000,
+  maxDelayMs: 60000,
+  backoffMultiplier: 2,
+  recoveryFactor: 0.75
+};
+
+class PolitenessScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {number} options.concurrency - Max in-flight requests overall
+   * @param {number} options.perHostConcurrency - Max in-flight requests per host
+   * @param {number} options.minDelayMs - Base interval between request starts per host
+   * @param {number} options.maxDelayMs - Upper bound for back-off interval
+   */
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || DEFAULTS.concurrency);
+    this.perHostConcurrency = Math.max(
+      1,
+      Math.min(options.perHostConcurrency || DEFAULTS.perHostConcurrency, this.concurrency)
+    );
+    this.minDelayMs = options.minDelayMs ?? DEFAULTS.minDelayMs;
+    this.maxDelayMs = Math.max(options.maxDelayMs || DEFAULTS.maxDelayMs, this.minDelayMs);
+    this.active = 0;
+    this.hosts = new Map();
+  }
+
+  /**
+   * Get (or create) tracking state for a host
+   *
+   * @param {string} host - Hostname
+   * @returns {Object} - Host state { active, delayMs, nextAllowedAt, backoffs }
+   */
+  getHostState(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, {
+        active: 0,
+        delayMs: this.minDelayMs,
+        nextAllowedAt: 0,
+        backoffs: 0
+      });
+    }
+
+    return this.hosts.get(host);
+  }
+
+  /**
+   * Wait until a request to the URL's host is allowed, then reserve a slot
+   *
+   * @param {string} url - URL about to be fetched
+   * @returns {Promise<string>} - Host the slot was reserved for
+   */
+  async acquire(url) {
+    const host = getHost(url);
+
+    for (;;) {
+      const state = this.getHostState(host);
+      const now = Date.now();
+
+      if (
+        this.active < this.concurrency &&
+        state.active < this.perHostConcurrency &&
+        now >= state.nextAllowedAt
+      ) {
+        this.active++;
+        state.active++;
+        state.nextAllowedAt = now + state.delayMs;
+        return host;
+      }
+
+      const wait = Math.max(state.nextAllowedAt - now, 50);
+      await sleep(Math.min(wait, 1000));
+    }
+  }
+
+  /**
+   * Release a slot and adapt the host interval to the response
+   *
+   * @param {string} host - Host returned by acquire()
+   * @param {Object} response - Response info
+   * @param {number} response.statusCode - HTTP status code (if any)
+   * @param {string|number} response.retryAfter - Retry-After header value (if any)
+   */
+  release(host, response = {}) {
+    const state = this.getHostState(host);
+    this.active = Math.max(0, this.active - 1);
+    state.active = Math.max(0, state.active - 1);
+
+    if (isBackoffStatus(response.statusCode)) {
+      const retryAfterMs = parseRetryAfter(response.retryAfter);
+      const nextDelay = Math.max(state.delayMs * DEFAULTS.backoffMultiplier, retryAfterMs || 0);
+
+      state.delayMs = Math.min(nextDelay, this.maxDelayMs);
+      state.nextAllowedAt = Math.max(state.nextAllowedAt, Date.now() + state.delayMs);
+      state.backoffs++;
+
+      console.warn(
+        `[Scheduler] ${host} responded ${response.statusCode}, backing off to ${state.delayMs}ms`
+      );
+    } else if (response.statusCode && state.delayMs > this.minDelayMs) {
+      state.delayMs = Math.max(
+        this.minDelayMs,
+        Math.round(state.delayMs * DEFAULTS.recoveryFactor)
+      );
+    }
+  }
+
+  /**
+   * Run a fetch task under the scheduler's politeness rules
+   *
+   * The task should resolve to an object with statusCode (and optionally
+   * responseHeaders); rejected axios-style errors are inspected for
+   * error.response.status so back-off also applies to thrown 429/503s.
+   *
+   * @param {string} url - URL being fetched
+   * @param {Function} task - Async function performing the fetch
+   * @returns {Promise<*>} - Task result
+   */
+  async run(url, task) {
+    const host = await this.acquire(url);
+    let response = {};
+
+    try {
+      const result = await task();
+      response = {
+        statusCode: result?.statusCode,
+        retryAfter: result?.responseHeaders?.['retry-after']
+      };
+      return result;
+    } catch (error) {
+      response = {
+        statusCode: error.response?.status,
+        retryAfter: error.response?.headers?.['retry-after']
+      };
+      throw error;
+    } finally {
+      this.release(host, response);
+    }
+  }
+
+  /**
+   * Get scheduler statistics (per-host intervals and back-off counts)
+   *
+   * @returns {Object} - Statistics
+   */
+  getStats() {
+    const hosts = {};
+
+    this.hosts.forEach((state, host) => {
+      hosts[host] = { delayMs: state.delayMs, backoffs: state.backoffs };
+    });
+
+    return {
+      concurrency: this.concurrency,
+      perHostConcurrency: this.perHostConcurrency,
+      hosts
+    };
+  }
+}
+
+/**
+ * Check if a status code should trigger back-off
+ *
+ * @param {number} statusCode - HTTP status code
+ * @returns {boolean} - True if host is asking us to slow down
+ */
+function isBackoffStatus(statusCode) {
+  return BACKOFF_STATUS_CODES.includes(statusCode);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ *
+ * @param {string|number} value - Header value
+ * @returns {number|null} - Milliseconds to wait, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Extract hostname from URL
+ */
+function getHost(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * Sleep utility
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  PolitenessScheduler,
+  isBackoffStatus,
+  parseRetryAfter,
+  BACKOFF_STATUS_CODES
+};
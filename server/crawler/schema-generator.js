@@ -0,0 +1,403 @@
+/**
+ * Schema Markup Generator
+ *
+ * Builds ready-to-paste JSON-LD for a page from its snapshot: the extracted
+ * FAQ, headings, author, publication date and the page type. Every generated
+ * item is checked with the structured data validator (see structured-data.js),
+ * so missing information the page does not expose (a price, a logo, ...)
+ * shows up as errors or warnings instead of placeholder values.
+ *
+ * Generated types:
+ * - FAQPage - Question/answer pairs found on the page
+ * - Article / BlogPosting - Blog and resource pages, or pages with an author or date
+ * - HowTo - "Step N" headings, or the ordered list of a "How to ..." page
+ * - Product - Product pages (price from product:price meta tags)
+ * - Organization - Homepage (name, logo, social profiles)
+ * - BreadcrumbList - Pages below the homepage, from the URL path
+ */
+
+const cheerio = require('cheerio');
+const { resolveDefinition, validateJsonLd } = require('./structured-data');
+
+const SCHEMA_CONTEXT = 'https://schema.org';
+
+/**
+ * Google truncates Article headlines longer than this
+ */
+const MAX_HEADLINE_LENGTH = 110;
+
+/**
+ * Hosts whose profile links are listed as Organization.sameAs
+ */
+const SOCIAL_HOSTS = [
+  'twitter.com',
+  'x.com',
+  'linkedin.com',
+  'facebook.com',
+  'instagram.com',
+  'youtube.com',
+  'github.com'
+];
+
+const STEP_HEADING = /^step\s*\d+\s*[:.)\-–—]?\s*/i;
+
+const AVAILABILITY = {
+  instock: 'InStock',
+  'in stock': 'InStock',
+  oos: 'OutOfStock',
+  outofstock: 'OutOfStock',
+  'out of stock': 'OutOfStock',
+  preorder: 'PreOrder',
+  pending: 'PreOrder',
+  discontinued: 'Discontinued'
+};
+
+/**
+ * Collapse whitespace and trim
+ */
+function clean(text) {
+  return String(text || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Remove properties without a value (JSON-LD should not contain empty values)
+ */
+function compact(item) {
+  return Object.fromEntries(
+    Object.entries(item).filter(
+      ([, value]) =>
+        value !== undefined &&
+        value !== null &&
+        value !== '' &&
+        !(Array.isArray(value) && value.length === 0)
+    )
+  );
+}
+
+/**
+ * Resolve a possibly relative URL against the page URL
+ */
+function absoluteUrl(href, pageUrl) {
+  if (!href) {
+    return null;
+  }
+
+  try {
+    return new URL(href, pageUrl).toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Normalize a date to ISO 8601 (dates the validator would reject are dropped)
+ */
+function toIsoDate(value) {
+  const timestamp = Date.parse(value || '');
+  return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+}
+
+/**
+ * Turn a URL path segment into a label ('pricing-plans' → 'Pricing Plans')
+ */
+function humanizeSegment(segment) {
+  return clean(
+    decodeURIComponent(segment)
+      .replace(/\.[a-z0-9]+$/i, '')
+      .replace(/[-_+]+/g, ' ')
+  ).replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Gather what the builders need from the snapshot
+ *
+ * @param {Object} input - { url, pageType, extraction, rawHtml }
+ * @returns {Object} - Page context
+ */
+function buildContext({ url, pageType = null, extraction = {}, rawHtml = null }) {
+  const $ = cheerio.load(rawHtml || '');
+  const headings = extraction.headings || [];
+  const h1 = headings.find(heading => heading.level === 1);
+  const title = clean(extraction.title);
+  const origin = new URL(url).origin;
+  const titleParts = title.split(/\s+[|–—-]\s+/);
+  const meta = name => clean($(`meta[property="${name}"], meta[name="${name}"]`).attr('content'));
+
+  return {
+    $,
+    url,
+    origin,
+    pageType,
+    extraction,
+    headings,
+    name: clean(h1?.text) || titleParts[0] || title,
+    description: clean(extraction.meta_description),
+    image: absoluteUrl(meta('og:image'), url),
+    siteName:
+      meta('og:site_name') ||
+      (titleParts.length > 1 ? titleParts[titleParts.length - 1] : null) ||
+      new URL(url).hostname.replace(/^www\./, ''),
+    meta
+  };
+}
+
+/**
+ * FAQPage from the extracted question/answer pairs
+ */
+function buildFaqPage(context) {
+  const faq = (context.extraction.faq || []).filter(
+    entry => clean(entry.question) && clean(entry.answer)
+  );
+
+  if (faq.length === 0) {
+    return null;
+  }
+
+  return {
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'FAQPage',
+    mainEntity: faq.map(entry => ({
+      '@type': 'Question',
+      name: clean(entry.question),
+      acceptedAnswer: { '@type': 'Answer', text: clean(entry.answer) }
+    }))
+  };
+}
+
+/**
+ * Article (BlogPosting for blog pages)
+ */
+function buildArticle(context) {
+  const { extraction, pageType } = context;
+  const author = clean(extraction.author);
+  const isArticlePage = ['blog', 'resource'].includes(pageType);
+
+  if (!isArticlePage && !author && !extraction.date_published) {
+    return null;
+  }
+
+  return compact({
+    '@context': SCHEMA_CONTEXT,
+    '@type': pageType === 'blog' ? 'BlogPosting' : 'Article',
+    headline: context.name.slice(0, MAX_HEADLINE_LENGTH),
+    description: context.description,
+    image: context.image,
+    // rel="author" links only give a profile URL, not a name
+    author: author && !/^https?:\/\//i.test(author) ? { '@type': 'Person', name: author } : null,
+    datePublished: toIsoDate(extraction.date_published),
+    dateModified: toIsoDate(context.meta('article:modified_time')),
+    publisher: { '@type': 'Organization', name: context.siteName, url: `${context.origin}/` },
+    mainEntityOfPage: context.url
+  });
+}
+
+/**
+ * Text between a heading and the next heading
+ */
+function sectionText($, heading) {
+  const element = $('h1, h2, h3, h4, h5, h6')
+    .filter((i, el) => clean($(el).text()) === heading.text)
+    .first();
+
+  return clean(element.nextUntil('h1, h2, h3, h4, h5, h6').text());
+}
+
+/**
+ * HowTo from "Step N" headings, or from the first ordered list of a "How to" page
+ */
+function buildHowTo(context) {
+  const { $, headings, name } = context;
+  let steps = headings
+    .filter(heading => STEP_HEADING.test(heading.text))
+    .map(heading => {
+      const stepName = clean(heading.text.replace(STEP_HEADING, '')) || clean(heading.text);
+      return compact({
+        '@type': 'HowToStep',
+        name: stepName,
+        text: sectionText($, heading) || stepName
+      });
+    });
+
+  if (steps.length < 2 && /^how to\b/i.test(name)) {
+    steps = $('main ol, article ol, body ol')
+      .first()
+      .children('li')
+      .map((i, el) => clean($(el).text()))
+      .get()
+      .filter(Boolean)
+      .map(text => ({ '@type': 'HowToStep', text }));
+  }
+
+  if (steps.length < 2) {
+    return null;
+  }
+
+  return compact({
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'HowTo',
+    name,
+    description: context.description,
+    image: context.image,
+    step: steps.map((step, index) => ({ ...step, position: index + 1 }))
+  });
+}
+
+/**
+ * Product with an offer from the product:price meta tags
+ */
+function buildProduct(context) {
+  if (context.pageType !== 'product') {
+    return null;
+  }
+
+  const price = context.meta('product:price:amount') || context.meta('og:price:amount');
+  const availability = AVAILABILITY[context.meta('product:availability').toLowerCase()];
+  const brand = context.meta('product:brand');
+
+  // Without a price the validator reports the missing offers
+  const offer = price && {
+    '@type': 'Offer',
+    price,
+    priceCurrency: context.meta('product:price:currency') || context.meta('og:price:currency'),
+    availability: availability && `${SCHEMA_CONTEXT}/${availability}`,
+    url: context.url
+  };
+
+  return compact({
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'Product',
+    name: context.name,
+    description: context.description,
+    image: context.image,
+    brand: brand && { '@type': 'Brand', name: brand },
+    sku: context.meta('product:retailer_item_id'),
+    offers: offer && compact(offer)
+  });
+}
+
+/**
+ * Organization for the homepage
+ */
+function buildOrganization(context) {
+  if (context.pageType !== 'homepage') {
+    return null;
+  }
+
+  const { $, url } = context;
+  const logo = $(
+    'img[class*="logo" i], img[id*="logo" i], img[alt*="logo" i], [class*="logo" i] img'
+  )
+    .first()
+    .attr('src');
+  const sameAs = (context.extraction.outbound_links || [])
+    .map(link => link.url || link)
+    .filter(link => {
+      try {
+        const host = new URL(link).hostname.replace(/^www\./, '');
+        return SOCIAL_HOSTS.includes(host);
+      } catch (error) {
+        return false;
+      }
+    });
+
+  return compact({
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'Organization',
+    name: context.siteName,
+    url: `${context.origin}/`,
+    logo: absoluteUrl(logo, url),
+    description: context.description,
+    sameAs: [...new Set(sameAs)]
+  });
+}
+
+/**
+ * BreadcrumbList from the URL path (Home › Section › Page)
+ */
+function buildBreadcrumbList(context) {
+  const segments = new URL(context.url).pathname.split('/').filter(Boolean);
+
+  if (segments.length === 0) {
+    return null;
+  }
+
+  const items = [{ name: 'Home', item: `${context.origin}/` }];
+  segments.forEach((segment, index) => {
+    const isLast = index === segments.length - 1;
+    items.push({
+      name: isLast ? context.name || humanizeSegment(segment) : humanizeSegment(segment),
+      item: `${context.origin}/${segments.slice(0, index + 1).join('/')}${isLast ? '' : '/'}`
+    });
+  });
+
+  return {
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'BreadcrumbList',
+    itemListElement: items.map((entry, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      ...entry
+    }))
+  };
+}
+
+const BUILDERS = [
+  buildFaqPage,
+  buildArticle,
+  buildHowTo,
+  buildProduct,
+  buildOrganization,
+  buildBreadcrumbList
+];
+
+/**
+ * Check whether the page already has markup of a type (or a subtype of it)
+ */
+function hasSchemaType(schemaTypes, type) {
+  return schemaTypes.some(
+    existing => existing === type || Boolean(resolveDefinition(existing)?.ancestors.includes(type))
+  );
+}
+
+/**
+ * Generate JSON-LD markup for a page
+ *
+ * @param {Object} input - Page snapshot data
+ * @param {string} input.url - Page URL
+ * @param {string} input.pageType - Page type ('homepage', 'blog', 'product', ...)
+ * @param {Object} input.extraction - Snapshot extraction (title, headings, faq, author, ...)
+ * @param {string} input.rawHtml - Snapshot HTML (meta tags, step text, logo)
+ * @returns {Array<Object>} - [{ type, rich_result, already_present, json_ld, script, validation }]
+ */
+function generateSchemaMarkup(input) {
+  const context = buildContext(input);
+  const schemaTypes = input.extraction?.schema_types || [];
+
+  return BUILDERS.map(build => build(context))
+    .filter(Boolean)
+    .map(jsonLd => {
+      const type = jsonLd['@type'];
+      const { errors, warnings, summary } = validateJsonLd(jsonLd);
+
+      return {
+        type,
+        rich_result: resolveDefinition(type)?.richResult || null,
+        already_present: hasSchemaType(schemaTypes, type),
+        json_ld: jsonLd,
+        script: `<script type="application/ld+json">\n${JSON.stringify(jsonLd, null, 2)}\n</script>`,
+        validation: {
+          valid: summary.error_count === 0,
+          error_count: summary.error_count,
+          warning_count: summary.warning_count,
+          errors,
+          warnings
+        }
+      };
+    });
+}
+
+module.exports = {
+  generateSchemaMarkup
+};
@@ -346,6 +346,12 @@ class ScoreCalculator {
     if (technical.canonicalURL) score += 3;
     if (technical.hasRobotsMeta) score += 2;
 
+    // AI discoverability (5 points): llms.txt guides AI agents to key pages
+    if (technical.llmsTxt?.found) {
+      score += technical.llmsTxt.valid ? 4 : 2;
+      if (technical.llmsTxt.full_found) score += 1;
+    }
+
     return Math.min(100, score);
   }
 
@@ -385,7 +391,12 @@ class ScoreCalculator {
     if (schemaCount >= 3) score += 5;
     else if (schemaCount >= 2) score += 3;
 
-    return Math.min(100, score);
+    // Validation errors (up to -20 points)
+    if (structuredData.validation) {
+      score -= Math.min(20, structuredData.validation.errorCount * 5);
+    }
+
+    return Math.max(0, Math.min(100, score));
   }
 
   generateRecommendations(analysis, scores) {
@@ -606,6 +617,25 @@ class ScoreCalculator {
       });
     }
 
+    // llms.txt (only when the site was checked)
+    if (technical.llmsTxt && !technical.llmsTxt.found) {
+      recommendations.push({
+        category: 'AI Discoverability',
+        priority: 'low',
+        issue: 'No llms.txt file',
+        recommendation: 'Publish an /llms.txt file listing your most important pages with a one-line description each, so AI agents find and cite them. Draft one from your crawled pages on the project page.',
+        impact: 'Low - Emerging standard read by AI agents and coding assistants'
+      });
+    } else if (technical.llmsTxt && !technical.llmsTxt.valid) {
+      recommendations.push({
+        category: 'AI Discoverability',
+        priority: 'low',
+        issue: 'llms.txt does not follow the format',
+        recommendation: 'Start llms.txt with a single "# Site name" title, followed by a "> summary" and "## Section" lists of "- [Title](url): description" links.',
+        impact: 'Low - Malformed files may be ignored by AI agents'
+      });
+    }
+
     return recommendations;
   }
 
@@ -675,6 +705,19 @@ class ScoreCalculator {
       });
     }
 
+    // Validation errors
+    if (structuredData.validation && structuredData.validation.errorCount > 0) {
+      const { errorCount, errors } = structuredData.validation;
+      recommendations.push({
+        category: 'Structured Data',
+        priority: 'high',
+        issue: `${errorCount} structured data error${errorCount === 1 ? '' : 's'}`,
+        recommendation: 'Fix invalid or incomplete schema markup. Items with errors are not eligible for rich results.',
+        impact: 'High - Invalid markup is ignored by search engines and AI crawlers',
+        example: errors.map(error => `${error.path}: ${error.message}`).join('\n')
+      });
+    }
+
     return recommendations;
   }
 
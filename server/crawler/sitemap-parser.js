@@ -11,20 +11,23 @@
  * - Priority and change frequency extraction
  * - Last modification date tracking
  * - Error handling for malformed XML
+ * - Extra request headers (crawl credentials) for the site's own host
  */
 
 const axios = require('axios');
 const cheerio = require('cheerio');
 const { URL } = require('url');
+const { isCredentialHost } = require('../utils/crawl-credentials');
 
 /**
  * Discover sitemap URLs for a website
  *
  * @param {string} baseUrl - Root URL of the website
  * @param {string} userAgent - User agent string
+ * @param {Object} headers - Extra request headers (sent to the website's host only)
  * @returns {Promise<Array<string>>} - List of discovered sitemap URLs
  */
-async function discoverSitemaps(baseUrl, userAgent = 'AEO-Platform-Bot/1.0') {
+async function discoverSitemaps(baseUrl, userAgent = 'AEO-Platform-Bot/1.0', headers = {}) {
   const discovered = new Set();
   const base = new URL(baseUrl);
 
@@ -32,7 +35,7 @@ async function discoverSitemaps(baseUrl, userAgent = 'AEO-Platform-Bot/1.0') {
   try {
     const robotsUrl = `${base.origin}/robots.txt`;
     const response = await axios.get(robotsUrl, {
-      headers: { 'User-Agent': userAgent },
+      headers: { ...headers, 'User-Agent': userAgent },
       timeout: 10000
     });
 
@@ -60,7 +63,7 @@ async function discoverSitemaps(baseUrl, userAgent = 'AEO-Platform-Bot/1.0') {
     const sitemapUrl = `${base.origin}${path}`;
     try {
       await axios.head(sitemapUrl, {
-        headers: { 'User-Agent': userAgent },
+        headers: { ...headers, 'User-Agent': userAgent },
         timeout: 5000
       });
       discovered.add(sitemapUrl);
@@ -77,12 +80,13 @@ async function discoverSitemaps(baseUrl, userAgent = 'AEO-Platform-Bot/1.0') {
  *
  * @param {string} sitemapUrl - URL of the sitemap
  * @param {string} userAgent - User agent string
+ * @param {Object} headers - Extra request headers
  * @returns {Promise<Object>} - Parsed sitemap { urls: Array, sitemaps: Array }
  */
-async function parseSitemap(sitemapUrl, userAgent = 'AEO-Platform-Bot/1.0') {
+async function parseSitemap(sitemapUrl, userAgent = 'AEO-Platform-Bot/1.0', headers = {}) {
   try {
     const response = await axios.get(sitemapUrl, {
-      headers: { 'User-Agent': userAgent },
+      headers: { ...headers, 'User-Agent': userAgent },
       timeout: 30000,
       maxContentLength: 50 * 1024 * 1024 // 50MB max
     });
@@ -157,9 +161,15 @@ function parseUrlSet($, baseUrl) {
  * @param {string} baseUrl - Root URL of the website
  * @param {string} userAgent - User agent string
  * @param {number} maxDepth - Maximum recursion depth
+ * @param {Object} headers - Extra request headers (sent to the website's host only)
  * @returns {Promise<Array>} - All discovered URLs
  */
-async function parseAllSitemaps(baseUrl, userAgent = 'AEO-Platform-Bot/1.0', maxDepth = 5) {
+async function parseAllSitemaps(
+  baseUrl,
+  userAgent = 'AEO-Platform-Bot/1.0',
+  maxDepth = 5,
+  headers = {}
+) {
   const allUrls = [];
   const visited = new Set();
 
@@ -169,7 +179,12 @@ async function parseAllSitemaps(baseUrl, userAgent = 'AEO-Platform-Bot/1.0', max
     }
 
     visited.add(sitemapUrl);
-    const result = await parseSitemap(sitemapUrl, userAgent);
+    // Sitemaps hosted elsewhere (e.g. a CDN) never get the credentials
+    const result = await parseSitemap(
+      sitemapUrl,
+      userAgent,
+      isCredentialHost(sitemapUrl, baseUrl) ? headers : {}
+    );
 
     // Add URLs
     allUrls.push(...result.urls);
@@ -181,7 +196,7 @@ async function parseAllSitemaps(baseUrl, userAgent = 'AEO-Platform-Bot/1.0', max
   }
 
   // Discover and parse all sitemaps
-  const discoveredSitemaps = await discoverSitemaps(baseUrl, userAgent);
+  const discoveredSitemaps = await discoverSitemaps(baseUrl, userAgent, headers);
 
   for (const sitemapUrl of discoveredSitemaps) {
     await parseRecursive(sitemapUrl);
@@ -0,0 +1,589 @@
+/**
+ * Structured Data Validator
+ *
+ * Parses the structured data of a page (JSON-LD, Microdata and RDFa) and checks
+ * every item against the bundled schema definition
+ * (data/structured-data/schema-definitions.json): properties Google requires
+ * or recommends for rich results, and the kind of value each property expects.
+ *
+ * - JSON-LD syntax errors and blocks without a schema.org @context are errors
+ * - Missing required properties and invalid values of required properties are
+ *   errors, missing recommended properties and other invalid values are warnings
+ * - Nested items (FAQPage → Question → Answer, Product → Offer, ...) are
+ *   validated against their own definition
+ * - Types without a definition are listed but not validated
+ *
+ * Result structure (page_snapshots.structured_data):
+ * - items (ARRAY) - Top-level items: [{ format, types, validated, rich_result,
+ *   error_count, warning_count }]
+ * - errors (ARRAY) - [{ format, type, path, property, message }]
+ * - warnings (ARRAY) - Same structure as errors
+ * - summary (OBJECT) - { item_count, types, error_count, warning_count,
+ *   syntax_errors, rich_results }
+ * - definitions_version (TEXT) - Version of the schema definition used
+ */
+
+const cheerio = require('cheerio');
+const definitions = require('../data/structured-data/schema-definitions.json');
+
+/**
+ * Issues kept per page (the counts in the summary are never capped)
+ */
+const MAX_ISSUES = 100;
+
+/**
+ * Value kinds a property can expect (other names are schema.org types)
+ */
+const VALUE_KINDS = {
+  Text: value => typeof value === 'string' && value.trim().length > 0,
+  URL: value => typeof value === 'string' && /^(https?:\/\/|\/)/i.test(value.trim()),
+  Date: value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value.trim()),
+  DateTime: value =>
+    typeof value === 'string' &&
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value.trim()) &&
+    !Number.isNaN(Date.parse(value.trim())),
+  Duration: value =>
+    typeof value === 'string' &&
+    /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/.test(
+      value.trim()
+    ),
+  Number: value =>
+    typeof value === 'number' || (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim()))
+};
+
+/**
+ * Normalize a schema.org type or property name
+ * ('https://schema.org/Product', 'schema:Product' → 'Product')
+ *
+ * @param {string} name - Type or property name
+ * @returns {string} - Short name
+ */
+function shortName(name) {
+  return String(name)
+    .trim()
+    .replace(/^https?:\/\/schema\.org\//i, '')
+    .replace(/^schema:/i, '');
+}
+
+/**
+ * Get the types of an item
+ *
+ * @param {Object} item - Parsed item
+ * @returns {Array<string>} - Short type names
+ */
+function getTypes(item) {
+  const types = item?.['@type'];
+  return (Array.isArray(types) ? types : [types]).filter(Boolean).map(shortName);
+}
+
+/**
+ * Wrap a property value in an array
+ */
+function toArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Check whether a property has a value
+ */
+function hasValue(item, property) {
+  return toArray(item[property]).some(
+    value => value !== undefined && value !== null && value !== ''
+  );
+}
+
+/**
+ * Add a property value to an item (repeated properties become arrays)
+ */
+function addValue(item, property, value) {
+  if (item[property] === undefined) {
+    item[property] = value;
+  } else {
+    item[property] = [...toArray(item[property]), value];
+  }
+}
+
+/**
+ * Check whether a JSON-LD @context refers to schema.org
+ *
+ * @param {*} context - @context value
+ * @returns {boolean} - True for schema.org contexts
+ */
+function isSchemaOrgContext(context) {
+  if (typeof context === 'string') {
+    return /schema\.org/i.test(context);
+  }
+
+  if (Array.isArray(context)) {
+    return context.some(isSchemaOrgContext);
+  }
+
+  return Boolean(context && typeof context === 'object' && isSchemaOrgContext(context['@vocab']));
+}
+
+/**
+ * Parse the JSON-LD blocks of a page
+ *
+ * @param {Function} $ - Cheerio instance
+ * @returns {Object} - { items: [{ format, data, context }], syntaxErrors }
+ */
+function parseJsonLd($) {
+  const items = [];
+  const syntaxErrors = [];
+
+  $('script[type="application/ld+json"]').each((block, el) => {
+    const source = $(el)
+      .text()
+      .replace(/^\s*(<!--|\/\/\s*<!\[CDATA\[)/, '')
+      .replace(/(-->|\/\/\s*\]\]>)\s*$/, '')
+      .trim();
+
+    if (!source) {
+      syntaxErrors.push({ block, message: 'Empty JSON-LD block' });
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(source);
+    } catch (error) {
+      syntaxErrors.push({ block, message: `Invalid JSON: ${error.message}` });
+      return;
+    }
+
+    toArray(data).forEach(root => {
+      if (!root || typeof root !== 'object' || Array.isArray(root)) {
+        syntaxErrors.push({ block, message: 'JSON-LD must contain objects' });
+        return;
+      }
+
+      const nodes = Array.isArray(root['@graph']) ? root['@graph'] : [root];
+      nodes.forEach(node => {
+        items.push({
+          format: 'json-ld',
+          data: node,
+          context: node['@context'] || root['@context']
+        });
+      });
+    });
+  });
+
+  return { items, syntaxErrors };
+}
+
+/**
+ * Read the value of a Microdata or RDFa property element
+ *
+ * @param {Object} $el - Cheerio element
+ * @param {string} format - 'microdata' or 'rdfa'
+ * @returns {string} - Property value
+ */
+function readPropertyValue($el, format) {
+  const tag = ($el.prop('tagName') || '').toLowerCase();
+  const content = $el.attr('content');
+
+  if (content !== undefined) {
+    return content.trim();
+  }
+
+  if (format === 'rdfa' && $el.attr('resource') !== undefined) {
+    return $el.attr('resource');
+  }
+
+  if (['a', 'link', 'area'].includes(tag)) {
+    return $el.attr('href') || '';
+  }
+
+  if (['img', 'audio', 'video', 'source', 'embed', 'iframe', 'track'].includes(tag)) {
+    return $el.attr('src') || '';
+  }
+
+  if (tag === 'time' && $el.attr('datetime')) {
+    return $el.attr('datetime');
+  }
+
+  if (['data', 'meter'].includes(tag) && $el.attr('value') !== undefined) {
+    return $el.attr('value');
+  }
+
+  return $el.text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Attribute names of the Microdata and RDFa syntaxes
+ */
+const ATTRIBUTE_SYNTAX = {
+  microdata: { scope: 'itemscope', type: 'itemtype', property: 'itemprop' },
+  rdfa: { scope: 'typeof', type: 'typeof', property: 'property' }
+};
+
+/**
+ * Read a Microdata or RDFa item with its nested items
+ *
+ * @param {Function} $ - Cheerio instance
+ * @param {Object} scope - Element that starts the item
+ * @param {string} format - 'microdata' or 'rdfa'
+ * @returns {Object} - Item in JSON-LD form ({ '@type', property: value })
+ */
+function readAttributeItem($, scope, format) {
+  const syntax = ATTRIBUTE_SYNTAX[format];
+  const types = ($(scope).attr(syntax.type) || '').split(/\s+/).filter(Boolean).map(shortName);
+  const item = { '@type': types.length > 1 ? types : types[0] };
+
+  $(scope)
+    .find(`[${syntax.property}]`)
+    .each((i, el) => {
+      const $el = $(el);
+      if ($el.parent().closest(`[${syntax.scope}]`)[0] !== scope) {
+        return;
+      }
+
+      const value = $el.is(`[${syntax.scope}]`)
+        ? readAttributeItem($, el, format)
+        : readPropertyValue($el, format);
+
+      $el
+        .attr(syntax.property)
+        .split(/\s+/)
+        .map(shortName)
+        // Other vocabularies (og:title, dc:creator) are not schema.org properties
+        .filter(name => name && !/[:/]/.test(name))
+        .forEach(name => addValue(item, name, value));
+    });
+
+  return item;
+}
+
+/**
+ * Parse the top-level Microdata or RDFa items of a page
+ *
+ * @param {Function} $ - Cheerio instance
+ * @param {string} format - 'microdata' or 'rdfa'
+ * @returns {Array<Object>} - [{ format, data }]
+ */
+function parseAttributeItems($, format) {
+  const syntax = ATTRIBUTE_SYNTAX[format];
+
+  return $(`[${syntax.scope}]`)
+    .filter((i, el) => !$(el).is(`[${syntax.property}]`))
+    .map((i, el) => ({ format, data: readAttributeItem($, el, format) }))
+    .get();
+}
+
+/**
+ * Parse all structured data of a page
+ *
+ * @param {Function} $ - Cheerio instance
+ * @returns {Object} - { items: [{ format, data, context }], syntaxErrors }
+ */
+function parseStructuredData($) {
+  const jsonLd = parseJsonLd($);
+
+  return {
+    items: [
+      ...jsonLd.items,
+      ...parseAttributeItems($, 'microdata'),
+      ...parseAttributeItems($, 'rdfa')
+    ],
+    syntaxErrors: jsonLd.syntaxErrors
+  };
+}
+
+/**
+ * List every schema type used on a page, including nested items
+ *
+ * @param {Object} parsed - Result of parseStructuredData()
+ * @returns {Array<string>} - Unique type names
+ */
+function getSchemaTypes(parsed) {
+  const types = new Set();
+
+  const collect = value => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      getTypes(value).forEach(type => types.add(type));
+      Object.values(value).forEach(collect);
+    }
+  };
+
+  parsed.items.forEach(item => collect(item.data));
+
+  return Array.from(types);
+}
+
+/**
+ * Resolve a type definition with everything it inherits
+ *
+ * @param {string} type - Short type name
+ * @returns {Object|null} - { type, ancestors, richResult, required, recommended, anyOf, properties }
+ */
+function resolveDefinition(type) {
+  const chain = [];
+
+  for (let current = type; current && definitions.types[current]; ) {
+    if (chain.some(entry => entry.type === current)) {
+      break;
+    }
+    chain.push({ type: current, ...definitions.types[current] });
+    current = definitions.types[current].extends;
+  }
+
+  if (chain.length === 0) {
+    return null;
+  }
+
+  // Ancestors first, so the type's own rules win
+  const ordered = [...chain].reverse();
+  const required = [...new Set(ordered.flatMap(entry => entry.required || []))];
+
+  return {
+    type,
+    ancestors: chain.map(entry => entry.type),
+    richResult: chain.find(entry => entry.richResult)?.richResult || null,
+    required,
+    recommended: [...new Set(ordered.flatMap(entry => entry.recommended || []))].filter(
+      property => !required.includes(property)
+    ),
+    anyOf: ordered.flatMap(entry => entry.anyOf || []),
+    properties: Object.assign({}, ...ordered.map(entry => entry.properties || {}))
+  };
+}
+
+/**
+ * Check whether an item type is (a subtype of) an expected type
+ *
+ * @param {string} type - Item type
+ * @param {string} expected - Expected type
+ * @returns {boolean} - True if the type satisfies the expectation
+ */
+function isTypeOf(type, expected) {
+  return type === expected || Boolean(resolveDefinition(type)?.ancestors.includes(expected));
+}
+
+/**
+ * Validate one item (and its nested items) against its definitions
+ *
+ * @param {Object} item - Item in JSON-LD form
+ * @param {string} path - Location of the item ('Product.offers[0]')
+ * @param {Object} report - Issue collector { add(severity, path, property, message) }
+ * @returns {boolean} - True if at least one of the item's types has a definition
+ */
+function validateItem(item, path, report) {
+  const resolved = getTypes(item).map(resolveDefinition).filter(Boolean);
+
+  resolved.forEach(definition => {
+    definition.required.forEach(property => {
+      if (!hasValue(item, property)) {
+        report.add('error', path, property, `Missing required property '${property}'`);
+      }
+    });
+
+    definition.anyOf.forEach(group => {
+      if (!group.some(property => hasValue(item, property))) {
+        report.add('error', path, group[0], `One of ${group.join(', ')} is required`);
+      }
+    });
+
+    definition.recommended.forEach(property => {
+      if (!hasValue(item, property)) {
+        report.add('warning', path, property, `Missing recommended property '${property}'`);
+      }
+    });
+
+    Object.entries(definition.properties).forEach(([property, expected]) => {
+      if (!hasValue(item, property)) {
+        return;
+      }
+
+      const severity = definition.required.includes(property) ? 'error' : 'warning';
+      const values = toArray(item[property]);
+
+      values.forEach((value, index) => {
+        const valuePath = `${path}.${property}${values.length > 1 ? `[${index}]` : ''}`;
+        validateValue(value, toArray(expected), valuePath, property, severity, report);
+      });
+    });
+  });
+
+  return resolved.length > 0;
+}
+
+/**
+ * Validate a property value against the kinds/types it may have
+ *
+ * @param {*} value - Property value
+ * @param {Array<string>} expected - Value kinds and/or schema.org types
+ * @param {string} path - Location of the value
+ * @param {string} property - Property name
+ * @param {string} severity - 'error' or 'warning' for an invalid value
+ * @param {Object} report - Issue collector
+ */
+function validateValue(value, expected, path, property, severity, report) {
+  const kinds = expected.filter(name => VALUE_KINDS[name]);
+  const types = expected.filter(name => !VALUE_KINDS[name]);
+
+  if (value && typeof value === 'object') {
+    const valueTypes = getTypes(value);
+
+    if (types.length === 0) {
+      // A value object such as { "@value": "2025-01-01" }
+      if (value['@value'] !== undefined) {
+        validateValue(value['@value'], expected, path, property, severity, report);
+      } else if (!value['@id']) {
+        report.add(severity, path, property, `Expected ${expected.join(' or ')}, found an item`);
+      }
+      return;
+    }
+
+    if (valueTypes.length === 0) {
+      // References to items defined elsewhere ({ "@id": ... }) are fine
+      if (!value['@id']) {
+        report.add('warning', path, property, `Missing @type (expected ${types.join(' or ')})`);
+      }
+      return;
+    }
+
+    if (!valueTypes.some(type => types.some(name => isTypeOf(type, name)))) {
+      report.add(
+        severity,
+        path,
+        property,
+        `Expected ${types.join(' or ')}, found ${valueTypes.join(', ')}`
+      );
+      return;
+    }
+
+    validateItem(value, path, report);
+    return;
+  }
+
+  if (kinds.some(kind => VALUE_KINDS[kind](value))) {
+    return;
+  }
+
+  const description = kinds.length > 0 ? `a valid ${kinds.join(' or ')}` : types.join(' or ');
+  report.add(
+    severity,
+    path,
+    property,
+    `Invalid value ${JSON.stringify(value)}: expected ${description}`
+  );
+}
+
+/**
+ * Validate the parsed structured data of a page
+ *
+ * @param {Object} parsed - Result of parseStructuredData()
+ * @returns {Object} - { items, errors, warnings, summary, definitions_version }
+ */
+function validateStructuredData(parsed) {
+  const errors = [];
+  const warnings = [];
+  const counts = { error: 0, warning: 0 };
+
+  const push = (severity, issue) => {
+    counts[severity]++;
+    const list = severity === 'error' ? errors : warnings;
+    if (list.length < MAX_ISSUES) {
+      list.push(issue);
+    }
+  };
+
+  parsed.syntaxErrors.forEach(syntaxError => {
+    push('error', {
+      format: 'json-ld',
+      type: null,
+      path: `json-ld[${syntaxError.block}]`,
+      property: null,
+      message: syntaxError.message
+    });
+  });
+
+  const items = parsed.items.map(({ format, data, context }) => {
+    const types = getTypes(data);
+    const before = { ...counts };
+    const report = {
+      add: (severity, path, property, message) =>
+        push(severity, { format, type: types[0] || null, path, property, message })
+    };
+    const path = types[0] || format;
+
+    if (format === 'json-ld' && !isSchemaOrgContext(context)) {
+      report.add('error', path, '@context', 'Missing schema.org @context');
+    }
+
+    if (types.length === 0) {
+      report.add('error', path, '@type', 'Missing @type');
+    }
+
+    const validated = types.length > 0 && validateItem(data, path, report);
+    const errorCount = counts.error - before.error;
+    const richResult = validated ? resolveDefinition(types[0])?.richResult || null : null;
+
+    return {
+      format,
+      types,
+      validated,
+      rich_result: errorCount === 0 ? richResult : null,
+      error_count: errorCount,
+      warning_count: counts.warning - before.warning
+    };
+  });
+
+  return {
+    items,
+    errors,
+    warnings,
+    summary: {
+      item_count: items.length,
+      types: getSchemaTypes(parsed),
+      error_count: counts.error,
+      warning_count: counts.warning,
+      syntax_errors: parsed.syntaxErrors.length,
+      rich_results: [...new Set(items.map(item => item.rich_result).filter(Boolean))]
+    },
+    definitions_version: definitions.version
+  };
+}
+
+/**
+ * Validate JSON-LD items that are not part of a page (e.g. generated markup)
+ *
+ * @param {Object|Array<Object>} data - JSON-LD item(s)
+ * @returns {Object} - Validation result (see validateStructuredData)
+ */
+function validateJsonLd(data) {
+  return validateStructuredData({
+    items: toArray(data).map(node => ({
+      format: 'json-ld',
+      data: node,
+      context: node['@context']
+    })),
+    syntaxErrors: []
+  });
+}
+
+/**
+ * Parse and validate the structured data of an HTML document
+ *
+ * @param {string} html - Raw HTML
+ * @returns {Object|null} - Validation result (see validateStructuredData), null without HTML
+ */
+function validateHtml(html) {
+  if (!html) {
+    return null;
+  }
+
+  return validateStructuredData(parseStructuredData(cheerio.load(html)));
+}
+
+module.exports = {
+  MAX_ISSUES,
+  parseStructuredData,
+  getSchemaTypes,
+  resolveDefinition,
+  validateStructuredData,
+  validateJsonLd,
+  validateHtml
+};
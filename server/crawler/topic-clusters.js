@@ -0,0 +1,344 @@
+/**
+ * Topic Clustering
+ *
+ * Groups the pages of a project into topic clusters from their embeddings
+ * (one mean vector per page) and builds the content-gap report:
+ * - thin - Clusters with only one or two pages (topic barely covered)
+ * - low_score - Clusters whose scored pages average a low AEO score
+ *
+ * Clustering is spherical k-means (cosine similarity) with a deterministic
+ * farthest-first initialization, so the same vectors give the same clusters.
+ * Cluster labels come from the LLM (see buildLabelingMessages).
+ */
+
+/**
+ * Default clustering options
+ * - minClusters/maxClusters: Bounds of the cluster count (about sqrt(pages / 2))
+ * - thinClusterSize: Clusters with at most this many pages are flagged thin
+ * - lowScoreThreshold: Clusters averaging below this AEO score are flagged low_score
+ * - maxIterations: k-means iterations before giving up on convergence
+ * - labelSamplePages: Pages per cluster shown to the LLM for labelling
+ */
+const DEFAULT_CLUSTER_OPTIONS = {
+  minClusters: 2,
+  maxClusters: 20,
+  thinClusterSize: 2,
+  lowScoreThreshold: 50,
+  maxIterations: 50,
+  labelSamplePages: 5
+};
+
+/**
+ * Parse a pgvector value (PostgREST returns vectors as '[0.1,0.2,...]')
+ *
+ * @param {Array<number>|string} value - Vector
+ * @returns {Array<number>} - Vector as numbers
+ */
+function parseVector(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Scale a vector to unit length
+ *
+ * @param {Array<number>} vector - Vector
+ * @returns {Array<number>} - Unit vector (zero vectors are returned unchanged)
+ */
+function normalizeVector(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length === 0 ? vector : vector.map(value => value / length);
+}
+
+/**
+ * Cosine similarity of two unit vectors
+ *
+ * @param {Array<number>} a - Unit vector
+ * @param {Array<number>} b - Unit vector
+ * @returns {number} - Similarity (-1 to 1)
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+  }
+  return dot;
+}
+
+/**
+ * Mean direction of unit vectors
+ *
+ * @param {Array<Array<number>>} vectors - Unit vectors
+ * @returns {Array<number>} - Unit vector
+ */
+function meanVector(vectors) {
+  const sum = new Array(vectors[0].length).fill(0);
+  vectors.forEach(vector => {
+    for (let i = 0; i < vector.length; i++) {
+      sum[i] += vector[i];
+    }
+  });
+  return normalizeVector(sum);
+}
+
+/**
+ * Choose how many clusters to build for a number of pages
+ *
+ * @param {number} pageCount - Pages with embeddings
+ * @param {Object} options - See DEFAULT_CLUSTER_OPTIONS
+ * @returns {number} - Cluster count (never more than the pages)
+ */
+function chooseClusterCount(pageCount, options = {}) {
+  const { minClusters, maxClusters } = { ...DEFAULT_CLUSTER_OPTIONS, ...options };
+  const count = Math.round(Math.sqrt(pageCount / 2));
+
+  return Math.min(pageCount, Math.max(minClusters, Math.min(maxClusters, count)));
+}
+
+/**
+ * Index of the most similar centroid
+ *
+ * @param {Array<number>} vector - Unit vector
+ * @param {Array<Array<number>>} centroids - Unit vectors
+ * @returns {Object} - { index, similarity }
+ */
+function nearestCentroid(vector, centroids) {
+  let best = { index: 0, similarity: -Infinity };
+  centroids.forEach((centroid, index) => {
+    const similarity = cosineSimilarity(vector, centroid);
+    if (similarity > best.similarity) {
+      best = { index, similarity };
+    }
+  });
+  return best;
+}
+
+/**
+ * Spherical k-means
+ *
+ * Starts from the first vector and repeatedly adds the vector least similar to
+ * the centroids chosen so far (deterministic farthest-first initialization).
+ *
+ * @param {Array<Array<number>>} vectors - Unit vectors
+ * @param {number} k - Number of clusters
+ * @param {number} maxIterations - Iteration limit
+ * @returns {Object} - { assignments: cluster index per vector, centroids }
+ */
+function kMeans(vectors, k, maxIterations = DEFAULT_CLUSTER_OPTIONS.maxIterations) {
+  const centroids = [vectors[0]];
+  while (centroids.length < k) {
+    let farthest = { index: 0, similarity: Infinity };
+    vectors.forEach((vector, index) => {
+      const { similarity } = nearestCentroid(vector, centroids);
+      if (similarity < farthest.similarity) {
+        farthest = { index, similarity };
+      }
+    });
+    centroids.push(vectors[farthest.index]);
+  }
+
+  let assignments = [];
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const next = vectors.map(vector => nearestCentroid(vector, centroids).index);
+    const changed = next.some((cluster, index) => cluster !== assignments[index]);
+    assignments = next;
+
+    if (!changed) {
+      break;
+    }
+
+    // Empty clusters keep their previous centroid
+    centroids.forEach((centroid, cluster) => {
+      const members = vectors.filter((vector, index) => assignments[index] === cluster);
+      if (members.length > 0) {
+        centroids[cluster] = meanVector(members);
+      }
+    });
+  }
+
+  return { assignments, centroids };
+}
+
+/**
+ * Cluster pages by their embeddings
+ *
+ * @param {Array<Object>} pages - [{ page_id, embedding, ...page fields }]
+ * @param {Object} options - See DEFAULT_CLUSTER_OPTIONS
+ * @returns {Array<Object>} - Clusters [{ pages: [{ ...page, similarity }] }], largest first;
+ *   pages are ordered by similarity to the cluster centroid
+ */
+function clusterPages(pages, options = {}) {
+  const settings = { ...DEFAULT_CLUSTER_OPTIONS, ...options };
+
+  if (pages.length === 0) {
+    return [];
+  }
+
+  const vectors = pages.map(page => normalizeVector(parseVector(page.embedding)));
+  const k = chooseClusterCount(pages.length, settings);
+  const { assignments, centroids } = kMeans(vectors, k, settings.maxIterations);
+
+  return centroids
+    .map((centroid, cluster) => ({
+      pages: pages
+        .map((page, index) => ({ page, index }))
+        .filter(({ index }) => assignments[index] === cluster)
+        .map(({ page, index }) => {
+          const fields = { ...page };
+          delete fields.embedding;
+          return {
+            ...fields,
+            similarity: Math.round(cosineSimilarity(vectors[index], centroid) * 1000) / 1000
+          };
+        })
+        .sort((a, b) => b.similarity - a.similarity)
+    }))
+    .filter(cluster => cluster.pages.length > 0)
+    .sort((a, b) => b.pages.length - a.pages.length);
+}
+
+/**
+ * Describe a cluster for the content-gap report
+ *
+ * @param {Array<Object>} pages - Cluster pages [{ page_type, overall_score }]
+ * @param {Object} options - See DEFAULT_CLUSTER_OPTIONS
+ * @returns {Object} - { size, avg_score, scored_pages, page_types, dominant_page_type, flags }
+ */
+function summarizeCluster(pages, options = {}) {
+  const { thinClusterSize, lowScoreThreshold } = { ...DEFAULT_CLUSTER_OPTIONS, ...options };
+
+  const scores = pages.map(page => page.overall_score).filter(score => typeof score === 'number');
+  const avgScore =
+    scores.length > 0
+      ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length)
+      : null;
+
+  const pageTypes = {};
+  pages.forEach(page => {
+    const pageType = page.page_type || 'unknown';
+    pageTypes[pageType] = (pageTypes[pageType] || 0) + 1;
+  });
+  const dominantPageType = Object.entries(pageTypes).sort((a, b) => b[1] - a[1])[0][0];
+
+  const flags = [];
+  if (pages.length <= thinClusterSize) {
+    flags.push('thin');
+  }
+  if (avgScore !== null && avgScore < lowScoreThreshold) {
+    flags.push('low_score');
+  }
+
+  return {
+    size: pages.length,
+    avg_score: avgScore,
+    scored_pages: scores.length,
+    page_types: pageTypes,
+    dominant_page_type: dominantPageType,
+    flags
+  };
+}
+
+/**
+ * Build the chat messages asking the LLM for a short label per cluster
+ *
+ * @param {Array<Object>} clusters - Result of clusterPages()
+ * @param {Object} options - See DEFAULT_CLUSTER_OPTIONS
+ * @returns {Array<Object>} - Messages expecting { "labels": [string per cluster] }
+ */
+function buildLabelingMessages(clusters, options = {}) {
+  const { labelSamplePages } = { ...DEFAULT_CLUSTER_OPTIONS, ...options };
+
+  const described = clusters.map((cluster, index) => {
+    const samples = cluster.pages
+      .slice(0, labelSamplePages)
+      .map(
+        page =>
+          `- ${page.url} (${page.page_type || 'unknown'}): ${(page.snippet || '').slice(0, 200)}`
+      )
+      .join('\n');
+    return `Cluster ${index + 1} (${cluster.pages.length} pages):\n${samples}`;
+  });
+
+  return [
+    {
+      role: 'system',
+      content:
+        'You name topic clusters of a website for SEO strategists. Give each cluster a short topic label (2-5 words) describing what its pages are about. Respond in JSON: {"labels": ["label for cluster 1", ...]} with exactly one label per cluster, in order.'
+    },
+    {
+      role: 'user',
+      content: described.join('\n\n')
+    }
+  ];
+}
+
+/**
+ * Read cluster labels from the LLM response, falling back to numbered topics
+ *
+ * @param {Object|null} response - Parsed JSON response ({ labels })
+ * @param {number} clusterCount - Number of clusters
+ * @returns {Array<string>} - One label per cluster
+ */
+function parseClusterLabels(response, clusterCount) {
+  const labels = Array.isArray(response?.labels) ? response.labels : [];
+
+  return Array.from({ length: clusterCount }, (value, index) => {
+    const label = labels[index];
+    return typeof label === 'string' && label.trim()
+      ? label.trim().slice(0, 100)
+      : `Topic ${index + 1}`;
+  });
+}
+
+/**
+ * Build the clusters and summary stored on a topic clustering run
+ *
+ * @param {Array<Object>} clusters - Result of clusterPages()
+ * @param {Array<string>} labels - One label per cluster
+ * @param {Object} context - { unembeddedPages } pages without embeddings
+ * @param {Object} options - See DEFAULT_CLUSTER_OPTIONS
+ * @returns {Object} - { clusters, summary }
+ */
+function buildClusterReport(clusters, labels, context = {}, options = {}) {
+  const settings = { ...DEFAULT_CLUSTER_OPTIONS, ...options };
+
+  const report = clusters.map((cluster, index) => ({
+    label: labels[index],
+    ...summarizeCluster(cluster.pages, settings),
+    pages: cluster.pages.map(page => ({
+      page_id: page.page_id,
+      url: page.url,
+      page_type: page.page_type || null,
+      overall_score: typeof page.overall_score === 'number' ? page.overall_score : null,
+      similarity: page.similarity
+    }))
+  }));
+
+  return {
+    clusters: report,
+    summary: {
+      page_count: report.reduce((sum, cluster) => sum + cluster.size, 0),
+      cluster_count: report.length,
+      thin_clusters: report.filter(cluster => cluster.flags.includes('thin')).length,
+      low_score_clusters: report.filter(cluster => cluster.flags.includes('low_score')).length,
+      unembedded_pages: context.unembeddedPages || 0,
+      thresholds: {
+        thin_cluster_size: settings.thinClusterSize,
+        low_score: settings.lowScoreThreshold
+      }
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_CLUSTER_OPTIONS,
+  parseVector,
+  normalizeVector,
+  cosineSimilarity,
+  chooseClusterCount,
+  kMeans,
+  clusterPages,
+  summarizeCluster,
+  buildLabelingMessages,
+  parseClusterLabels,
+  buildClusterReport
+};
@@ -0,0 +1,121 @@
+/**
+ * URL List Crawl Helpers
+ *
+ * Support for `run_type: 'list'` crawls, which fetch exactly the URLs provided
+ * by the user (pasted or uploaded as a CSV/text file) without sitemap
+ * discovery or link following.
+ *
+ * Accepted input:
+ * - Array of URLs
+ * - Text with one URL per line
+ * - CSV (comma, semicolon or tab separated): the first cell of each row that
+ *   looks like an http(s) URL is used, a header row without URLs is skipped
+ */
+
+const { isSameDomain } = require('./canonicalizer');
+
+/**
+ * Max URLs per list crawl
+ */
+const MAX_LIST_URLS = 5000;
+
+/**
+ * Split text input into rows of cells
+ *
+ * @param {string} text - Pasted or uploaded file content
+ * @returns {Array<Array<string>>} - Rows of trimmed cells (empty rows removed)
+ */
+function splitRows(text) {
+  return String(text)
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map(line =>
+      line
+        .split(/[,;\t]/)
+        .map(cell =>
+          cell
+            .trim()
+            .replace(/^["']|["']$/g, '')
+            .trim()
+        )
+        .filter(cell => cell !== '')
+    )
+    .filter(cells => cells.length > 0);
+}
+
+/**
+ * Extract the URL candidates from a URL list
+ *
+ * @param {Array<string>|string} input - Array of URLs or text/CSV content
+ * @returns {Array<string>} - URL candidates, in input order
+ */
+function extractUrlCandidates(input) {
+  if (Array.isArray(input)) {
+    return input.map(value => String(value).trim()).filter(value => value !== '');
+  }
+
+  const rows = splitRows(input || '');
+
+  return rows
+    .map((cells, index) => {
+      const urlCell = cells.find(cell => /^https?:\/\//i.test(cell));
+      if (urlCell) {
+        return urlCell;
+      }
+
+      // Header row (e.g. "url,campaign")
+      return index === 0 ? null : cells[0];
+    })
+    .filter(candidate => candidate !== null);
+}
+
+/**
+ * Parse and validate a URL list
+ *
+ * @param {Array<string>|string} input - Array of URLs or text/CSV content
+ * @param {Object} options - { baseUrl, normalize: URL normalizer used to find duplicates }
+ * @returns {Object} - { urls, invalid: [{ value, reason }], duplicates }
+ */
+function parseUrlList(input, options = {}) {
+  const { baseUrl, normalize = url => url } = options;
+  const urls = [];
+  const invalid = [];
+  const seen = new Set();
+  let duplicates = 0;
+
+  extractUrlCandidates(input).forEach(value => {
+    let parsed;
+    try {
+      parsed = new URL(value);
+    } catch (e) {
+      parsed = null;
+    }
+
+    if (!parsed || (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')) {
+      invalid.push({ value, reason: 'Not a valid http(s) URL' });
+      return;
+    }
+
+    if (baseUrl && !isSameDomain(value, baseUrl)) {
+      invalid.push({ value, reason: 'Outside the project domain' });
+      return;
+    }
+
+    const key = normalize(value);
+    if (seen.has(key)) {
+      duplicates++;
+      return;
+    }
+
+    seen.add(key);
+    urls.push(value);
+  });
+
+  return { urls, invalid, duplicates };
+}
+
+module.exports = {
+  MAX_LIST_URLS,
+  extractUrlCandidates,
+  parseUrlList
+};
@@ -14,7 +14,12 @@ const ProjectModel = require('./models/project');
 const CrawlRunModel = require('./models/crawl-run');
 const PageModel = require('./models/page');
 const SnapshotModel = require('./models/snapshot');
+const AiUsageModel = require('./models/ai-usage');
 const ScoreModel = require('./models/score');
+const RubricModel = require('./models/rubric');
+const EmbeddingModel = require('./models/embedding');
+const TopicClusteringModel = require('./models/topic-clustering');
+const CrawlCredentialModel = require('./models/crawl-credential');
 
 // Set Supabase client on all models
 UserModel.setSupabaseClient(supabaseAdmin);
@@ -24,7 +29,12 @@ ProjectModel.setSupabaseClient(supabaseAdmin);
 CrawlRunModel.setSupabaseClient(supabaseAdmin);
 PageModel.setSupabaseClient(supabaseAdmin);
 SnapshotModel.setSupabaseClient(supabaseAdmin);
+AiUsageModel.setSupabaseClient(supabaseAdmin);
 ScoreModel.setSupabaseClient(supabaseAdmin);
+RubricModel.setSupabaseClient(supabaseAdmin);
+EmbeddingModel.setSupabaseClient(supabaseAdmin);
+TopicClusteringModel.setSupabaseClient(supabaseAdmin);
+CrawlCredentialModel.setSupabaseClient(supabaseAdmin);
 
 // Import middleware
 const { requestLogger, performanceLogger, errorLogger } = require('./middleware/logger');
@@ -41,6 +51,9 @@ const organizationRoutes = require('./api/routes/organizations');
 const projectRoutes = require('./api/routes/projects');
 const crawlerRoutes = require('./api/routes/crawler');
 const scoresRoutes = require('./api/routes/scores');
+const rubricRoutes = require('./api/routes/rubrics');
+const topicRoutes = require('./api/routes/topics');
+const linkGraphRoutes = require('./api/routes/link-graph');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -108,6 +121,9 @@ app.use('/api/organizations', organizationRoutes);
 app.use('/api', projectRoutes); // Projects uses full paths like /organizations/:orgId/projects
 app.use('/api', crawlerRoutes); // Crawler routes use full paths like /projects/:projectId/crawls
 app.use('/api', scoresRoutes); // Scores routes use full paths like /pages/:pageId/rescore
+app.use('/api', rubricRoutes); // Rubric routes use full paths like /organizations/:orgId/rubrics
+app.use('/api', topicRoutes); // Topic routes use full paths like /projects/:projectId/topic-clusters
+app.use('/api', linkGraphRoutes); // Link graph routes use full paths like /projects/:projectId/link-graph
 
 // Health check
 app.get('/api/health', (req, res) => {
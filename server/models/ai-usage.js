@@ -0,0 +1,431 @@
+/**
+ * AI Usage Model
+ *
+ * Ledger of every OpenAI request made by the platform, used to bill clients
+ * per project and to report spend per organization.
+ *
+ * Fields:
+ * - id (UUID, PK) - Unique identifier
+ * - organization_id (UUID, FK → organizations.id) - Resolved from the project when not given
+ * - project_id (UUID, FK → projects.id) - Project the request was made for (nullable)
+ * - crawl_run_id (UUID, FK → crawl_runs.id) - Crawl run the request belongs to (nullable)
+ * - user_id (UUID, FK → users.id) - User who triggered the request (nullable for automatic jobs)
+ * - purpose (TEXT, NOT NULL) - scoring, summarization, embeddings, rubric_extraction, ...
+ * - model (TEXT, NOT NULL) - Model reported by the API
+ * - prompt_tokens (INTEGER) - Input tokens
+ * - completion_tokens (INTEGER) - Output tokens
+ * - total_tokens (INTEGER) - Input + output tokens
+ * - cost_usd (NUMERIC) - Estimated cost (see utils/token-counter.js)
+ * - created_at (TIMESTAMPTZ, DEFAULT NOW())
+ */
+
+const { estimateRequestCost } = require('../utils/token-counter');
+const { resolveAiQuota, getQuotaPeriodStart, evaluateAiQuota } = require('../utils/ai-quota');
+const CrawlRunModel = require('./crawl-run');
+
+/**
+ * Get Supabase client (will be imported from database service)
+ */
+let supabase;
+
+function setSupabaseClient(client) {
+  supabase = client;
+}
+
+/**
+ * Supported breakdown periods
+ */
+const GROUP_BY_PERIODS = ['day', 'month'];
+
+/**
+ * Rows fetched per request when reading the ledger
+ */
+const PAGE_SIZE = 1000;
+
+/**
+ * Project → organization lookups (projects never move between organizations)
+ */
+const projectOrganizations = new Map();
+
+/**
+ * Resolve the organization a project belongs to
+ *
+ * @param {string} projectId - Project UUID
+ * @returns {Promise<string|null>} - Organization UUID
+ */
+async function getProjectOrganizationId(projectId) {
+  if (projectOrganizations.has(projectId)) {
+    return projectOrganizations.get(projectId);
+  }
+
+  const { data, error } = await supabase
+    .from('projects')
+    .select('organization_id')
+    .eq('id', projectId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+
+  const organizationId = data?.organization_id || null;
+  projectOrganizations.set(projectId, organizationId);
+  return organizationId;
+}
+
+/**
+ * Parse a reporting range from query parameters
+ *
+ * Defaults to the current calendar month (UTC) broken down by day.
+ *
+ * @param {Object} query - { from, to, groupBy }
+ * @returns {Object} - { range: { from, to, groupBy }, errors: Array<string> }
+ */
+function parseRange(query = {}) {
+  const errors = [];
+  const now = new Date();
+  const range = {
+    from:
+      query.from || new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString(),
+    to: query.to || null,
+    groupBy: query.groupBy || 'day'
+  };
+
+  ['from', 'to'].forEach(field => {
+    if (range[field] && Number.isNaN(Date.parse(range[field]))) {
+      errors.push(`${field} must be a valid date`);
+    }
+  });
+
+  if (!GROUP_BY_PERIODS.includes(range.groupBy)) {
+    errors.push(`groupBy must be one of: ${GROUP_BY_PERIODS.join(', ')}`);
+  }
+
+  return { range, errors };
+}
+
+/**
+ * Record an AI request in the ledger
+ *
+ * Also adds the tokens to crawl_runs.token_usage when the request belongs to a crawl run.
+ *
+ * @param {Object} entry - Usage entry
+ * @param {string} entry.purpose - Why the request was made
+ * @param {string} entry.model - Model reported by the API
+ * @param {number} entry.prompt_tokens - Input tokens
+ * @param {number} entry.completion_tokens - Output tokens
+ * @param {string} [entry.project_id] - Project UUID
+ * @param {string} [entry.organization_id] - Organization UUID (resolved from project if omitted)
+ * @param {string} [entry.crawl_run_id] - Crawl run UUID
+ * @param {string} [entry.user_id] - User UUID
+ * @param {number} [entry.cost_usd] - Cost override (e.g. 0 for local models), priced by model otherwise
+ * @returns {Promise<Object>} - Created ledger entry
+ */
+async function record(entry) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  if (!entry.purpose) {
+    throw new Error('purpose is required');
+  }
+
+  const promptTokens = entry.prompt_tokens || 0;
+  const completionTokens = entry.completion_tokens || 0;
+  const organizationId =
+    entry.organization_id ||
+    (entry.project_id ? await getProjectOrganizationId(entry.project_id) : null);
+
+  const { data, error } = await supabase
+    .from('ai_usage_ledger')
+    .insert([
+      {
+        organization_id: organizationId,
+        project_id: entry.project_id || null,
+        crawl_run_id: entry.crawl_run_id || null,
+        user_id: entry.user_id || null,
+        purpose: entry.purpose,
+        model: entry.model,
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+        cost_usd:
+          entry.cost_usd !== undefined
+            ? entry.cost_usd
+            : estimateRequestCost(promptTokens, completionTokens, entry.model)
+      }
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  if (entry.crawl_run_id && data.total_tokens > 0) {
+    await CrawlRunModel.incrementCounts(entry.crawl_run_id, { token_usage: data.total_tokens });
+  }
+
+  return data;
+}
+
+/**
+ * List ledger entries for a project or organization in a date range
+ *
+ * @param {Object} filter - { project_id } or { organization_id }
+ * @param {Object} options - Range options
+ * @param {string} [options.from] - ISO timestamp (inclusive)
+ * @param {string} [options.to] - ISO timestamp (exclusive)
+ * @returns {Promise<Array>} - Ledger entries, oldest first
+ */
+async function listEntries(filter, options = {}) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const entries = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let query = supabase
+      .from('ai_usage_ledger')
+      .select(
+        'project_id, crawl_run_id, user_id, purpose, model, prompt_tokens, completion_tokens, total_tokens, cost_usd, created_at'
+      );
+
+    Object.entries(filter).forEach(([column, value]) => {
+      query = query.eq(column, value);
+    });
+
+    if (options.from) {
+      query = query.gte('created_at', options.from);
+    }
+
+    if (options.to) {
+      query = query.lt('created_at', options.to);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    entries.push(...(data || []));
+
+    if (!data || data.length < PAGE_SIZE) {
+      break;
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Empty usage totals
+ *
+ * @returns {Object} - Zeroed totals
+ */
+function emptyTotals() {
+  return { requests: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost_usd: 0 };
+}
+
+/**
+ * Add a ledger entry to running totals
+ *
+ * @param {Object} totals - Totals to update
+ * @param {Object} entry - Ledger entry
+ */
+function addToTotals(totals, entry) {
+  totals.requests += 1;
+  totals.prompt_tokens += entry.prompt_tokens || 0;
+  totals.completion_tokens += entry.completion_tokens || 0;
+  totals.total_tokens += entry.total_tokens || 0;
+  totals.cost_usd += Number(entry.cost_usd) || 0;
+}
+
+/**
+ * Summarize ledger entries into totals and breakdowns
+ *
+ * @param {Array} entries - Ledger entries
+ * @param {string} groupBy - Period breakdown: 'day' or 'month'
+ * @returns {Object} - { totals, by_period: [{ period, ...totals }], by_purpose, by_model, by_project }
+ */
+function summarizeUsage(entries, groupBy = 'day') {
+  if (!GROUP_BY_PERIODS.includes(groupBy)) {
+    throw new Error(`groupBy must be one of: ${GROUP_BY_PERIODS.join(', ')}`);
+  }
+
+  const totals = emptyTotals();
+  const periods = new Map();
+  const byPurpose = {};
+  const byModel = {};
+  const byProject = {};
+
+  entries.forEach(entry => {
+    // created_at is ISO 8601 (UTC): YYYY-MM-DD or YYYY-MM prefix
+    const period = String(entry.created_at).slice(0, groupBy === 'day' ? 10 : 7);
+    const projectKey = entry.project_id || 'unassigned';
+
+    if (!periods.has(period)) {
+      periods.set(period, emptyTotals());
+    }
+    byPurpose[entry.purpose] = byPurpose[entry.purpose] || emptyTotals();
+    byModel[entry.model] = byModel[entry.model] || emptyTotals();
+    byProject[projectKey] = byProject[projectKey] || emptyTotals();
+
+    [
+      totals,
+      periods.get(period),
+      byPurpose[entry.purpose],
+      byModel[entry.model],
+      byProject[projectKey]
+    ].forEach(target => addToTotals(target, entry));
+  });
+
+  return {
+    totals,
+    by_period: Array.from(periods.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([period, periodTotals]) => ({ period, ...periodTotals })),
+    by_purpose: byPurpose,
+    by_model: byModel,
+    by_project: byProject
+  };
+}
+
+/**
+ * Get usage of a project
+ *
+ * @param {string} projectId - Project UUID
+ * @param {Object} options - { from, to, groupBy }
+ * @returns {Promise<Object>} - Usage summary (see summarizeUsage)
+ */
+async function getProjectUsage(projectId, options = {}) {
+  const entries = await listEntries({ project_id: projectId }, options);
+  const summary = summarizeUsage(entries, options.groupBy);
+  delete summary.by_project;
+  return summary;
+}
+
+/**
+ * Get tokens and estimated cost used by an organization since a date
+ *
+ * Summed in the database (organization_usage_since), not from the ledger rows.
+ *
+ * @param {string} organizationId - Organization UUID
+ * @param {string} since - ISO timestamp (inclusive)
+ * @returns {Promise<Object>} - { tokens, usd }
+ */
+async function getOrganizationUsageSince(organizationId, since) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .rpc('organization_usage_since', {
+      p_organization_id: organizationId,
+      p_since: since
+    })
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return {
+    tokens: Number(data?.tokens) || 0,
+    usd: Number(data?.usd) || 0
+  };
+}
+
+/**
+ * Get the AI quota of an organization and its usage in the current period
+ *
+ * Usage is only read from the ledger when the organization has a limit.
+ *
+ * @param {string} organizationId - Organization UUID
+ * @returns {Promise<Object>} - { quota, usage: { tokens, usd }, period_start }
+ */
+async function getQuotaUsage(organizationId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('organizations')
+    .select('settings')
+    .eq('id', organizationId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+
+  const quota = resolveAiQuota(data?.settings);
+  const periodStart = getQuotaPeriodStart(quota);
+  const usage =
+    quota.monthlyTokens || quota.monthlyUsd
+      ? await getOrganizationUsageSince(organizationId, periodStart)
+      : { tokens: 0, usd: 0 };
+
+  return { quota, usage, period_start: periodStart };
+}
+
+/**
+ * Check an organization's AI quota before making a request
+ *
+ * @param {string} organizationId - Organization UUID
+ * @param {Object} estimate - { tokens, usd } for the request (optional)
+ * @returns {Promise<Object>} - evaluateAiQuota() result with organization_id and period_start
+ */
+async function getQuotaStatus(organizationId, estimate) {
+  const { quota, usage, period_start } = await getQuotaUsage(organizationId);
+
+  return {
+    organization_id: organizationId,
+    period_start,
+    ...evaluateAiQuota(quota, usage, estimate)
+  };
+}
+
+/**
+ * Check the AI quota of the organization a project belongs to
+ *
+ * @param {string} projectId - Project UUID
+ * @param {Object} estimate - { tokens, usd } for the request (optional)
+ * @returns {Promise<Object>} - See getQuotaStatus
+ */
+async function getProjectQuotaStatus(projectId, estimate) {
+  const organizationId = await getProjectOrganizationId(projectId);
+  return getQuotaStatus(organizationId, estimate);
+}
+
+/**
+ * Get usage of an organization, including a per-project rollup
+ *
+ * @param {string} organizationId - Organization UUID
+ * @param {Object} options - { from, to, groupBy }
+ * @returns {Promise<Object>} - Usage summary (see summarizeUsage)
+ */
+async function getOrganizationUsage(organizationId, options = {}) {
+  const entries = await listEntries({ organization_id: organizationId }, options);
+  return summarizeUsage(entries, options.groupBy);
+}
+
+module.exports = {
+  setSupabaseClient,
+  GROUP_BY_PERIODS,
+  getProjectOrganizationId,
+  parseRange,
+  record,
+  listEntries,
+  summarizeUsage,
+  getProjectUsage,
+  getOrganizationUsage,
+  getOrganizationUsageSince,
+  getQuotaUsage,
+  getQuotaStatus,
+  getProjectQuotaStatus
+};
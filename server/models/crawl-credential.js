@@ -0,0 +1,144 @@
+/**
+ * Crawl Credential Model
+ *
+ * Encrypted crawl credentials of a project (basic auth, request headers,
+ * cookies, login step; see utils/crawl-credentials.js). Kept out of
+ * projects.config so they are never returned with the project or copied to
+ * crawl_runs.config_snapshot; only the crawl worker decrypts them.
+ *
+ * Fields:
+ * - project_id (UUID, PK, FK → projects.id)
+ * - encrypted (TEXT, NOT NULL) - AES-256-GCM encrypted credentials JSON
+ * - updated_by (UUID, FK → users.id) - User who last changed the credentials
+ * - created_at (TIMESTAMPTZ, DEFAULT NOW())
+ * - updated_at (TIMESTAMPTZ, DEFAULT NOW())
+ */
+
+const {
+  encryptCredentials,
+  decryptCredentials,
+  describeCredentials
+} = require('../utils/crawl-credentials');
+
+/**
+ * Get Supabase client (will be imported from database service)
+ */
+let supabase;
+
+function setSupabaseClient(client) {
+  supabase = client;
+}
+
+/**
+ * Get the stored (encrypted) credentials row of a project
+ *
+ * @param {string} projectId - Project UUID
+ * @returns {Promise<Object|null>} - { encrypted, updated_at } or null if none are stored
+ */
+async function findByProject(projectId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('project_crawl_credentials')
+    .select('encrypted, updated_at')
+    .eq('project_id', projectId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return null; // Not found
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Get the decrypted credentials of a project
+ *
+ * @param {string} projectId - Project UUID
+ * @returns {Promise<Object|null>} - Credentials or null if none are stored
+ */
+async function getForProject(projectId) {
+  const row = await findByProject(projectId);
+  return row ? decryptCredentials(row.encrypted) : null;
+}
+
+/**
+ * Describe the credentials of a project without secrets
+ *
+ * @param {string} projectId - Project UUID
+ * @returns {Promise<Object>} - See crawl-credentials.describeCredentials(), plus updated_at
+ */
+async function describeForProject(projectId) {
+  const row = await findByProject(projectId);
+
+  if (!row) {
+    return describeCredentials(null);
+  }
+
+  return {
+    ...describeCredentials(decryptCredentials(row.encrypted)),
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Store (encrypt) the credentials of a project, replacing the previous ones
+ *
+ * @param {string} projectId - Project UUID
+ * @param {Object} credentials - Validated credentials
+ * @param {string} userId - User UUID who changed them
+ * @returns {Promise<void>}
+ */
+async function saveForProject(projectId, credentials, userId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { error } = await supabase.from('project_crawl_credentials').upsert(
+    {
+      project_id: projectId,
+      encrypted: encryptCredentials(credentials),
+      updated_by: userId || null,
+      updated_at: new Date().toISOString()
+    },
+    { onConflict: 'project_id' }
+  );
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Remove the credentials of a project
+ *
+ * @param {string} projectId - Project UUID
+ * @returns {Promise<void>}
+ */
+async function deleteForProject(projectId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { error } = await supabase
+    .from('project_crawl_credentials')
+    .delete()
+    .eq('project_id', projectId);
+
+  if (error) {
+    throw error;
+  }
+}
+
+module.exports = {
+  setSupabaseClient,
+  getForProject,
+  describeForProject,
+  saveForProject,
+  deleteForProject
+};
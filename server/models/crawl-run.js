@@ -7,13 +7,25 @@
  * Fields:
  * - id (UUID, PK) - Unique identifier
  * - project_id (UUID, FK → projects.id, NOT NULL)
- * - run_type (TEXT, NOT NULL) - One of: 'full', 'sitemap_only', 'sample', 'delta', 'manual'
+ * - run_type (TEXT, NOT NULL) - One of: 'full', 'sitemap_only', 'sample', 'delta', 'manual', 'list'
  * - status (TEXT, NOT NULL) - One of: 'queued', 'running', 'paused', 'completed', 'failed'
  * - config_snapshot (JSONB, NOT NULL) - Copy of project config at run time
  * - pages_discovered (INTEGER, DEFAULT 0) - Total URLs found
  * - pages_processed (INTEGER, DEFAULT 0) - Pages fully crawled and scored
  * - token_usage (INTEGER, DEFAULT 0) - Cumulative token count
  * - error_message (TEXT) - Error details if status=failed
+ * - frontier (JSONB) - Persisted URL queue and visited set for resuming (see crawler/frontier.js)
+ * - delta_report (JSONB) - New/changed/unchanged/removed URLs for delta runs (see crawler/delta.js)
+ * - duplicate_report (JSONB) - Near-duplicate page groups at the end of the run (see crawler/near-duplicates.js)
+ * - sitemap_urls (JSONB) - URLs listed in the sitemaps when the run started
+ * - broken_urls (JSONB) - URL → HTTP status of URLs that answered 4xx/5xx during the run
+ * - link_report (JSONB) - Internal link graph analysis at the end of the run (see crawler/link-graph.js)
+ * - redirect_chains (JSONB) - URL → redirect hops followed while crawling (see crawler/link-checker.js)
+ * - link_audit (JSONB) - Broken link and redirect audit after the run (see crawler/link-checker.js)
+ * - ai_directives (JSONB) - URL → robots directives affecting AI crawlers found while crawling
+ * - ai_crawler_audit (JSONB) - AI crawler access audit at the end of the run (see crawler/ai-crawler-audit.js)
+ * - llms_txt (JSONB) - llms.txt / llms-full.txt validation and link checks (see crawler/llms-txt.js)
+ * - scoring_state (JSONB) - Automatic scoring progress, budget usage and snapshots awaiting approval
  * - started_at (TIMESTAMPTZ, DEFAULT NOW())
  * - completed_at (TIMESTAMPTZ)
  * - created_by (UUID, FK → users.id, NOT NULL)
@@ -35,7 +47,7 @@ function setSupabaseClient(client) {
 /**
  * Valid run types
  */
-const RUN_TYPES = ['full', 'sitemap_only', 'sample', 'delta', 'manual'];
+const RUN_TYPES = ['full', 'sitemap_only', 'sample', 'delta', 'manual', 'list'];
 
 /**
  * Valid statuses
@@ -142,6 +154,29 @@ async function getById(id) {
   return data;
 }
 
+/**
+ * Get the status of a crawl run (without the frontier and report columns)
+ *
+ * @param {string} id - Crawl run UUID
+ * @returns {Promise<string|null>} - Status or null if not found
+ */
+async function getStatus(id) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase.from('crawl_runs').select('status').eq('id', id).single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return null; // Not found
+    }
+    throw error;
+  }
+
+  return data.status;
+}
+
 /**
  * List crawl runs for a project
  *
@@ -248,27 +283,24 @@ async function incrementCounts(id, increments) {
     throw new Error('Supabase client not initialized');
   }
 
-  // Get current values
-  const current = await getById(id);
-  if (!current) {
-    throw new Error('Crawl run not found');
-  }
-
-  const updates = {};
-
-  if (increments.pages_discovered) {
-    updates.pages_discovered = current.pages_discovered + increments.pages_discovered;
-  }
-
-  if (increments.pages_processed) {
-    updates.pages_processed = current.pages_processed + increments.pages_processed;
-  }
+  // Single UPDATE in the database (concurrent page workers and AI usage entries)
+  const { data, error } = await supabase
+    .rpc('increment_crawl_run_counts', {
+      p_crawl_run_id: id,
+      p_pages_discovered: increments.pages_discovered || 0,
+      p_pages_processed: increments.pages_processed || 0,
+      p_token_usage: increments.token_usage || 0
+    })
+    .single();
 
-  if (increments.token_usage) {
-    updates.token_usage = current.token_usage + increments.token_usage;
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new Error('Crawl run not found');
+    }
+    throw error;
   }
 
-  return update(id, updates);
+  return data;
 }
 
 /**
@@ -340,20 +372,149 @@ async function complete(id) {
 }
 
 /**
- * Get active (running or queued) crawl runs
+ * Persist the crawl frontier checkpoint
  *
- * @returns {Promise<Array>} - List of active crawl runs
+ * @param {string} id - Crawl run UUID
+ * @param {Object|null} frontier - Serialized frontier (null to clear)
+ * @param {Object} [fields] - Other checkpointed columns written in the same update (e.g. delta_report)
+ * @returns {Promise<void>}
+ */
+async function saveFrontier(id, frontier, fields = {}) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { error } = await supabase
+    .from('crawl_runs')
+    .update({ ...fields, frontier })
+    .eq('id', id);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Update the automatic scoring state of a crawl run
+ *
+ * @param {string} id - Crawl run UUID
+ * @param {Object} scoringState - New scoring state (merged into the stored state)
+ * @returns {Promise<Object>} - Updated scoring state
  */
-async function getActive() {
+async function updateScoringState(id, scoringState) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const current = await getById(id);
+  if (!current) {
+    throw new Error('Crawl run not found');
+  }
+
+  const merged = {
+    ...(current.scoring_state || {}),
+    ...scoringState,
+    updated_at: new Date().toISOString()
+  };
+
+  const { error } = await supabase
+    .from('crawl_runs')
+    .update({ scoring_state: merged })
+    .eq('id', id);
+
+  if (error) {
+    throw error;
+  }
+
+  return merged;
+}
+
+/**
+ * Get automatic scoring usage of a project since a date (for monthly budgets)
+ *
+ * @param {string} projectId - Project UUID
+ * @param {string} since - ISO timestamp (runs started on or after)
+ * @returns {Promise<Object>} - { tokens, usd }
+ */
+async function getScoringUsageSince(projectId, since) {
   if (!supabase) {
     throw new Error('Supabase client not initialized');
   }
 
   const { data, error } = await supabase
     .from('crawl_runs')
-    .select('*')
-    .in('status', ['queued', 'running'])
-    .order('started_at', { ascending: true });
+    .select('scoring_state')
+    .eq('project_id', projectId)
+    .gte('started_at', since)
+    .not('scoring_state', 'is', null);
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).reduce(
+    (usage, run) => ({
+      tokens: usage.tokens + (run.scoring_state.tokens_used || 0),
+      usd: usage.usd + (run.scoring_state.cost_usd || 0)
+    }),
+    { tokens: 0, usd: 0 }
+  );
+}
+
+/**
+ * Report columns that can be looked up with getLatestWithReport()
+ */
+const REPORT_COLUMNS = ['delta_report', 'duplicate_report', 'link_report'];
+
+/**
+ * Get the most recent crawl run of a project that has a report
+ *
+ * @param {string} projectId - Project UUID
+ * @param {string} reportColumn - One of REPORT_COLUMNS
+ * @returns {Promise<Object|null>} - Crawl run (id, run_type, status, timestamps, report) or null
+ */
+async function getLatestWithReport(projectId, reportColumn) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  if (!REPORT_COLUMNS.includes(reportColumn)) {
+    throw new Error(`reportColumn must be one of: ${REPORT_COLUMNS.join(', ')}`);
+  }
+
+  const { data, error } = await supabase
+    .from('crawl_runs')
+    .select(`id, project_id, run_type, status, started_at, completed_at, ${reportColumn}`)
+    .eq('project_id', projectId)
+    .not(reportColumn, 'is', null)
+    .order('started_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  return data?.[0] || null;
+}
+
+/**
+ * Get active (running or queued) crawl runs
+ *
+ * @param {string} projectId - Only runs of this project (optional)
+ * @returns {Promise<Array>} - List of active crawl runs
+ */
+async function getActive(projectId = null) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  let query = supabase.from('crawl_runs').select('*').in('status', ['queued', 'running']);
+
+  if (projectId) {
+    query = query.eq('project_id', projectId);
+  }
+
+  const { data, error } = await query.order('started_at', { ascending: true });
 
   if (error) {
     throw error;
@@ -368,6 +529,7 @@ module.exports = {
   STATUSES,
   create,
   getById,
+  getStatus,
   listByProject,
   update,
   incrementCounts,
@@ -375,5 +537,9 @@ module.exports = {
   resume,
   fail,
   complete,
+  saveFrontier,
+  updateScoringState,
+  getScoringUsageSince,
+  getLatestWithReport,
   getActive
 };
@@ -0,0 +1,196 @@
+/**
+ * Embedding Model
+ *
+ * Vector embeddings of page content for semantic search and topic clustering.
+ * A snapshot's cleaned_text is split into chunks, one row per chunk.
+ *
+ * Fields:
+ * - id (UUID, PK) - Unique identifier
+ * - page_id (UUID, FK → pages.id, NOT NULL)
+ * - snapshot_id (UUID, FK → page_snapshots.id, NOT NULL) - Snapshot the text was taken from
+ * - project_id (UUID, FK → projects.id, NOT NULL) - Search scope
+ * - chunk_index (INTEGER, NOT NULL) - Position of the chunk in the snapshot text
+ * - content_hash (TEXT) - Content hash of the snapshot (unchanged content is not re-embedded)
+ * - embedding (VECTOR(1536)) - Embedding vector
+ * - model_version (TEXT, NOT NULL) - Embedding model that produced the vector
+ * - source_text (TEXT) - Embedded chunk
+ * - created_at (TIMESTAMPTZ, DEFAULT NOW())
+ *
+ * A page only keeps the embeddings of its latest embedded content per model.
+ */
+
+/**
+ * Get Supabase client (will be imported from database service)
+ */
+let supabase;
+
+function setSupabaseClient(client) {
+  supabase = client;
+}
+
+/**
+ * Vector size of the embeddings column
+ */
+const EMBEDDING_DIMENSIONS = 1536;
+
+/**
+ * Rows fetched per request when reading page vectors
+ */
+const PAGE_SIZE = 500;
+
+/**
+ * Check whether a page already has embeddings of some content
+ *
+ * @param {string} pageId - Page UUID
+ * @param {string} contentHash - Snapshot content hash
+ * @param {string} modelVersion - Embedding model
+ * @returns {Promise<boolean>} - True if the content is embedded with this model
+ */
+async function hasContentEmbedding(pageId, contentHash, modelVersion) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('embeddings')
+    .select('id')
+    .eq('page_id', pageId)
+    .eq('content_hash', contentHash)
+    .eq('model_version', modelVersion)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).length > 0;
+}
+
+/**
+ * Replace the embeddings of a page with those of a snapshot
+ *
+ * @param {Object} snapshot - Snapshot { id, page_id, content_hash }
+ * @param {string} projectId - Project UUID
+ * @param {string} modelVersion - Embedding model
+ * @param {Array<Object>} chunks - [{ text, embedding }] in text order
+ * @returns {Promise<Array>} - Created embeddings (without vectors)
+ */
+async function replacePageEmbeddings(snapshot, projectId, modelVersion, chunks) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  if (!Array.isArray(chunks) || chunks.length === 0) {
+    throw new Error('chunks must be a non-empty array');
+  }
+
+  chunks.forEach(chunk => {
+    if (!Array.isArray(chunk.embedding) || chunk.embedding.length !== EMBEDDING_DIMENSIONS) {
+      throw new Error(
+        `Embeddings must have ${EMBEDDING_DIMENSIONS} dimensions (model ${modelVersion})`
+      );
+    }
+  });
+
+  const { error: deleteError } = await supabase
+    .from('embeddings')
+    .delete()
+    .eq('page_id', snapshot.page_id)
+    .eq('model_version', modelVersion);
+
+  if (deleteError) {
+    throw deleteError;
+  }
+
+  const { data, error } = await supabase
+    .from('embeddings')
+    .insert(
+      chunks.map((chunk, index) => ({
+        page_id: snapshot.page_id,
+        snapshot_id: snapshot.id,
+        project_id: projectId,
+        chunk_index: index,
+        content_hash: snapshot.content_hash,
+        embedding: chunk.embedding,
+        model_version: modelVersion,
+        source_text: chunk.text
+      }))
+    )
+    .select('id, page_id, snapshot_id, chunk_index');
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Find the pages of a project most similar to a query embedding
+ *
+ * @param {string} projectId - Project UUID
+ * @param {Array<number>} queryEmbedding - Embedding of the query
+ * @param {string} modelVersion - Model the query was embedded with
+ * @param {number} limit - Maximum number of pages
+ * @returns {Promise<Array>} - [{ page_id, snapshot_id, chunk_index, source_text, similarity }]
+ */
+async function searchProject(projectId, queryEmbedding, modelVersion, limit = 10) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase.rpc('match_page_embeddings', {
+    p_project_id: projectId,
+    p_query_embedding: queryEmbedding,
+    p_model_version: modelVersion,
+    p_match_count: limit
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * List one vector per embedded page of a project (mean of its chunk embeddings)
+ *
+ * @param {string} projectId - Project UUID
+ * @param {string} modelVersion - Embedding model
+ * @returns {Promise<Array>} - [{ page_id, embedding, snippet }] (embedding as returned by PostgREST)
+ */
+async function listPageVectors(projectId, modelVersion) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const vectors = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .rpc('project_page_vectors', {
+        p_project_id: projectId,
+        p_model_version: modelVersion
+      })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    vectors.push(...(data || []));
+
+    if (!data || data.length < PAGE_SIZE) {
+      return vectors;
+    }
+  }
+}
+
+module.exports = {
+  setSupabaseClient,
+  EMBEDDING_DIMENSIONS,
+  hasContentEmbedding,
+  replacePageEmbeddings,
+  searchProject,
+  listPageVectors
+};
@@ -202,6 +202,81 @@ async function updateOrganization(orgId, updates) {
   return data;
 }
 
+/**
+ * Merge updates into one section of organization settings
+ *
+ * Other settings sections are kept as they are.
+ *
+ * @param {string} orgId - Organization UUID
+ * @param {string} section - Settings key (e.g. ai_quota)
+ * @param {Object} sectionUpdates - Fields to merge into the section
+ * @returns {Promise<Object>} - Updated organization record
+ */
+async function updateSettingsSection(orgId, section, sectionUpdates) {
+  const org = await findOrganizationById(orgId);
+
+  if (!org) {
+    throw new Error('Organization not found');
+  }
+
+  const settings = org.settings || {};
+
+  return updateOrganization(orgId, {
+    settings: {
+      ...settings,
+      [section]: {
+        ...(settings[section] || {}),
+        ...sectionUpdates
+      }
+    }
+  });
+}
+
+/**
+ * Update the AI quota stored in organization settings
+ *
+ * @param {string} orgId - Organization UUID
+ * @param {Object} quotaUpdates - Quota fields (see utils/ai-quota.js)
+ * @returns {Promise<Object>} - Updated organization record
+ */
+async function updateAiQuota(orgId, quotaUpdates) {
+  return updateSettingsSection(orgId, 'ai_quota', quotaUpdates);
+}
+
+/**
+ * Reset the AI quota for the rest of the current month
+ *
+ * Usage before now no longer counts towards the monthly limits.
+ *
+ * @param {string} orgId - Organization UUID
+ * @returns {Promise<Object>} - Updated organization record
+ */
+async function resetAiQuota(orgId) {
+  return updateAiQuota(orgId, { reset_at: new Date().toISOString() });
+}
+
+/**
+ * Update the AI provider stored in organization settings
+ *
+ * @param {string} orgId - Organization UUID
+ * @param {Object} providerUpdates - { provider, model } (see services/ai/providers)
+ * @returns {Promise<Object>} - Updated organization record
+ */
+async function updateAiProvider(orgId, providerUpdates) {
+  return updateSettingsSection(orgId, 'ai_provider', providerUpdates);
+}
+
+/**
+ * Select the rubric the organization's projects are scored with
+ *
+ * @param {string} orgId - Organization UUID
+ * @param {string|null} rubricId - Rubric UUID (null = built-in default rubric)
+ * @returns {Promise<Object>} - Updated organization record
+ */
+async function updateRubricSelection(orgId, rubricId) {
+  return updateSettingsSection(orgId, 'rubric', { rubric_id: rubricId });
+}
+
 /**
  * Delete organization
  * Note: This will cascade delete all related records (members, projects, etc.)
@@ -344,6 +419,10 @@ module.exports = {
   findOrganizationBySlug,
   getOrganizationsForUser,
   updateOrganization,
+  updateAiQuota,
+  resetAiQuota,
+  updateAiProvider,
+  updateRubricSelection,
   deleteOrganization,
   getMemberCount,
   getProjectCount,
@@ -0,0 +1,173 @@
+/**
+ * Page Link Model
+ *
+ * Links found on a crawled page, recorded per crawl run so the link graph of
+ * every run can be analysed (see crawler/link-graph.js) and its link targets
+ * checked (see crawler/link-checker.js).
+ *
+ * Fields:
+ * - id (UUID, PK) - Unique identifier
+ * - crawl_run_id (UUID, FK → crawl_runs.id, NOT NULL)
+ * - project_id (UUID, FK → projects.id, NOT NULL)
+ * - source_page_id (UUID, FK → pages.id, NOT NULL) - Page the link is on
+ * - target_url (TEXT, NOT NULL) - Normalized link target
+ * - anchor_text (TEXT) - Link text
+ * - nofollow (BOOLEAN, DEFAULT FALSE) - rel="nofollow" on the link
+ * - external (BOOLEAN, DEFAULT FALSE) - Outbound link to another host
+ * - created_at (TIMESTAMPTZ, DEFAULT NOW())
+ */
+
+/**
+ * Get Supabase client (will be imported from database service)
+ */
+let supabase;
+
+function setSupabaseClient(client) {
+  supabase = client;
+}
+
+/**
+ * Rows fetched per request when reading the links of a run
+ */
+const PAGE_SIZE = 1000;
+
+/**
+ * Replace the links recorded for a page in a crawl run
+ *
+ * Re-crawling a page in the same run (retry, resume) does not duplicate its links.
+ *
+ * @param {string} crawlRunId - Crawl run UUID
+ * @param {string} projectId - Project UUID
+ * @param {string} sourcePageId - Page the links are on
+ * @param {Array<Object>} links - [{ target_url, anchor_text, nofollow, external }]
+ * @returns {Promise<number>} - Number of links stored
+ */
+async function replaceForPage(crawlRunId, projectId, sourcePageId, links) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { error: deleteError } = await supabase
+    .from('page_links')
+    .delete()
+    .eq('crawl_run_id', crawlRunId)
+    .eq('source_page_id', sourcePageId);
+
+  if (deleteError) {
+    throw deleteError;
+  }
+
+  if (!links || links.length === 0) {
+    return 0;
+  }
+
+  const { error } = await supabase.from('page_links').insert(
+    links.map(link => ({
+      crawl_run_id: crawlRunId,
+      project_id: projectId,
+      source_page_id: sourcePageId,
+      target_url: link.target_url,
+      anchor_text: link.anchor_text || null,
+      nofollow: Boolean(link.nofollow),
+      external: Boolean(link.external)
+    }))
+  );
+
+  if (error) {
+    throw error;
+  }
+
+  return links.length;
+}
+
+/**
+ * Copy the most recently recorded links of a page into a crawl run
+ *
+ * Used for pages a delta crawl did not download because they are unchanged.
+ *
+ * @param {string} crawlRunId - Crawl run to copy the links into
+ * @param {string} projectId - Project UUID
+ * @param {string} sourcePageId - Page UUID
+ * @returns {Promise<number>} - Number of links copied
+ */
+async function carryOver(crawlRunId, projectId, sourcePageId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data: latest, error: latestError } = await supabase
+    .from('page_links')
+    .select('crawl_run_id')
+    .eq('source_page_id', sourcePageId)
+    .neq('crawl_run_id', crawlRunId)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (latestError) {
+    throw latestError;
+  }
+
+  if (!latest || latest.length === 0) {
+    return 0;
+  }
+
+  const { data, error } = await supabase
+    .from('page_links')
+    .select('target_url, anchor_text, nofollow, external')
+    .eq('crawl_run_id', latest[0].crawl_run_id)
+    .eq('source_page_id', sourcePageId);
+
+  if (error) {
+    throw error;
+  }
+
+  return replaceForPage(crawlRunId, projectId, sourcePageId, data || []);
+}
+
+/**
+ * List the links recorded in a crawl run
+ *
+ * @param {string} crawlRunId - Crawl run UUID
+ * @param {Object} options - Options
+ * @param {boolean} options.includeExternal - Include outbound links (default: internal only)
+ * @returns {Promise<Array>} - [{ source_page_id, target_url, anchor_text, nofollow, external }]
+ */
+async function listByCrawlRun(crawlRunId, options = {}) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const links = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let query = supabase
+      .from('page_links')
+      .select('source_page_id, target_url, anchor_text, nofollow, external')
+      .eq('crawl_run_id', crawlRunId);
+
+    if (!options.includeExternal) {
+      query = query.eq('external', false);
+    }
+
+    const { data, error } = await query
+      .order('id', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    links.push(...(data || []));
+
+    if (!data || data.length < PAGE_SIZE) {
+      return links;
+    }
+  }
+}
+
+module.exports = {
+  setSupabaseClient,
+  replaceForPage,
+  carryOver,
+  listByCrawlRun
+};
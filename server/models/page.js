@@ -15,6 +15,10 @@
  * - last_crawl_run_id (UUID, FK → crawl_runs.id) - Most recent crawl run
  * - current_snapshot_id (UUID, FK → page_snapshots.id) - Latest snapshot
  * - current_score_id (UUID, FK → page_scores.id) - Latest score
+ * - lifecycle_status (TEXT, DEFAULT 'active') - One of: 'active', 'redirected', 'gone',
+ *   'blocked_by_robots', 'noindex' (history per crawl run in page_lifecycle_events)
+ * - last_status_code (INTEGER) - HTTP status from the most recent crawl
+ * - redirect_target (TEXT) - Final URL when redirected
  *
  * RLS Policy:
  * - Users can SELECT pages for projects they have access to
@@ -22,6 +26,7 @@
  */
 
 const crypto = require('crypto');
+const { LIFECYCLE_STATUSES } = require('../crawler/lifecycle');
 
 /**
  * Get Supabase client (will be imported from database service)
@@ -61,14 +66,18 @@ function generateUrlHash(url) {
  * Normalize URL for consistent storage
  *
  * @param {string} url - URL to normalize
+ * @param {Object} options - { trailingSlash: project trailing slash policy, default 'remove'
+ *   ('add' and 'keep' leave the path as the canonicalizer produced it) }
  * @returns {string} - Normalized URL
  */
-function normalizeUrl(url) {
+function normalizeUrl(url, options = {}) {
+  const { trailingSlash = 'remove' } = options;
+
   try {
     const parsed = new URL(url);
-    // Remove trailing slash, lowercase domain, sort query params
+    // Remove trailing slash (per policy), lowercase domain
     parsed.hostname = parsed.hostname.toLowerCase();
-    if (parsed.pathname.endsWith('/') && parsed.pathname.length > 1) {
+    if (trailingSlash === 'remove' && parsed.pathname.endsWith('/') && parsed.pathname.length > 1) {
       parsed.pathname = parsed.pathname.slice(0, -1);
     }
     return parsed.toString();
@@ -86,9 +95,10 @@ function normalizeUrl(url) {
  * @param {string} data.url - Page URL (will be normalized)
  * @param {string} data.page_type - Type of page
  * @param {string} data.last_crawl_run_id - Crawl run UUID
+ * @param {Object} options - URL normalization options (see normalizeUrl)
  * @returns {Promise<Object>} - Created or updated page
  */
-async function upsert(data) {
+async function upsert(data, options = {}) {
   if (!supabase) {
     throw new Error('Supabase client not initialized');
   }
@@ -107,7 +117,7 @@ async function upsert(data) {
   }
 
   // Normalize URL and generate hash
-  const normalizedUrl = normalizeUrl(data.url);
+  const normalizedUrl = normalizeUrl(data.url, options);
   const urlHash = generateUrlHash(normalizedUrl);
 
   // Check if page already exists
@@ -223,6 +233,30 @@ async function getById(id) {
   return data;
 }
 
+/**
+ * Get several pages by ID
+ *
+ * @param {Array<string>} ids - Page UUIDs
+ * @returns {Promise<Array>} - Pages that exist (in no particular order)
+ */
+async function getByIds(ids) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  if (!ids || ids.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase.from('pages').select('*').in('id', ids);
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
 /**
  * List pages for a project
  *
@@ -231,6 +265,7 @@ async function getById(id) {
  * @param {number} options.limit - Maximum number of results
  * @param {number} options.offset - Offset for pagination
  * @param {string} options.page_type - Filter by page type
+ * @param {string} options.lifecycle_status - Filter by lifecycle status
  * @param {string} options.order_by - Field to order by ('last_crawled_at', 'first_discovered_at', 'url')
  * @param {boolean} options.ascending - Sort order (default: false)
  * @returns {Promise<Array>} - List of pages
@@ -246,6 +281,10 @@ async function listByProject(projectId, options = {}) {
     query = query.eq('page_type', options.page_type);
   }
 
+  if (options.lifecycle_status) {
+    query = query.eq('lifecycle_status', options.lifecycle_status);
+  }
+
   const orderBy = options.order_by || 'last_crawled_at';
   const ascending = options.ascending !== undefined ? options.ascending : false;
   query = query.order(orderBy, { ascending });
@@ -273,6 +312,7 @@ async function listByProject(projectId, options = {}) {
  * @param {string} projectId - Project UUID
  * @param {Object} filters - Optional filters
  * @param {string} filters.page_type - Filter by page type
+ * @param {string} filters.lifecycle_status - Filter by lifecycle status
  * @returns {Promise<number>} - Total count
  */
 async function countByProject(projectId, filters = {}) {
@@ -289,6 +329,10 @@ async function countByProject(projectId, filters = {}) {
     query = query.eq('page_type', filters.page_type);
   }
 
+  if (filters.lifecycle_status) {
+    query = query.eq('lifecycle_status', filters.lifecycle_status);
+  }
+
   const { count, error } = await query;
 
   if (error) {
@@ -332,6 +376,82 @@ async function update(id, updates) {
   return data;
 }
 
+/**
+ * Record the lifecycle status of a page for a crawl run
+ * Updates the page's current status and upserts the per-run history entry.
+ *
+ * @param {string} pageId - Page UUID
+ * @param {string} crawlRunId - Crawl run UUID
+ * @param {Object} lifecycle - Lifecycle outcome
+ * @param {string} lifecycle.status - One of LIFECYCLE_STATUSES
+ * @param {number} lifecycle.status_code - HTTP status code (if a response was received)
+ * @param {string} lifecycle.redirect_target - Final URL when redirected
+ * @returns {Promise<Object>} - Updated page
+ */
+async function recordLifecycle(pageId, crawlRunId, lifecycle) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  if (!LIFECYCLE_STATUSES.includes(lifecycle.status)) {
+    throw new Error(`lifecycle status must be one of: ${LIFECYCLE_STATUSES.join(', ')}`);
+  }
+
+  const statusCode = lifecycle.status_code || null;
+  const redirectTarget = lifecycle.status === 'redirected' ? lifecycle.redirect_target : null;
+
+  const { error: eventError } = await supabase.from('page_lifecycle_events').upsert(
+    [
+      {
+        page_id: pageId,
+        crawl_run_id: crawlRunId,
+        lifecycle_status: lifecycle.status,
+        status_code: statusCode,
+        redirect_target: redirectTarget,
+        recorded_at: new Date().toISOString()
+      }
+    ],
+    { onConflict: 'page_id,crawl_run_id' }
+  );
+
+  if (eventError) {
+    throw eventError;
+  }
+
+  return update(pageId, {
+    lifecycle_status: lifecycle.status,
+    last_status_code: statusCode,
+    redirect_target: redirectTarget,
+    last_crawl_run_id: crawlRunId
+  });
+}
+
+/**
+ * Get lifecycle history of a page (one entry per crawl run, newest first)
+ *
+ * @param {string} pageId - Page UUID
+ * @param {number} limit - Maximum results
+ * @returns {Promise<Array>} - Lifecycle events
+ */
+async function getLifecycleHistory(pageId, limit = 20) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('page_lifecycle_events')
+    .select('crawl_run_id, lifecycle_status, status_code, redirect_target, recorded_at')
+    .eq('page_id', pageId)
+    .order('recorded_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
 /**
  * Get pages that haven't been crawled recently (stale pages)
  *
@@ -363,6 +483,47 @@ async function getStalePages(projectId, daysStale = 7, limit = 100) {
   return data || [];
 }
 
+/**
+ * List every page of a project with the fields needed to plan a delta crawl
+ * and analyse its link graph (pages through results so large projects are not
+ * cut off at the API row limit)
+ *
+ * @param {string} projectId - Project UUID
+ * @returns {Promise<Array>} - Pages { id, url, page_type, last_crawled_at, current_snapshot_id,
+ *   lifecycle_status, last_status_code, redirect_target }
+ */
+async function listCrawlBaseline(projectId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const pageSize = 1000;
+  const pages = [];
+
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await supabase
+      .from('pages')
+      .select(
+        'id, url, page_type, last_crawled_at, current_snapshot_id, lifecycle_status, last_status_code, redirect_target'
+      )
+      .eq('project_id', projectId)
+      .order('id', { ascending: true })
+      .range(offset, offset + pageSize - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    pages.push(...(data || []));
+
+    if (!data || data.length < pageSize) {
+      break;
+    }
+  }
+
+  return pages;
+}
+
 /**
  * Bulk insert pages (for efficient batch operations)
  *
@@ -401,14 +562,19 @@ async function bulkInsert(pages) {
 module.exports = {
   setSupabaseClient,
   PAGE_TYPES,
+  LIFECYCLE_STATUSES,
   generateUrlHash,
   normalizeUrl,
   upsert,
   findByUrlHash,
   getById,
+  getByIds,
   listByProject,
   countByProject,
   update,
   getStalePages,
+  listCrawlBaseline,
+  recordLifecycle,
+  getLifecycleHistory,
   bulkInsert
 };
@@ -11,6 +11,7 @@
  * - target_url (TEXT, NOT NULL) - Root URL of website to crawl
  * - description (TEXT) - Optional project description
  * - config (JSONB, DEFAULT '{}') - Crawl configuration
+ * - crawl_schedule (JSONB) - Recurring crawl schedule (see utils/crawl-schedule.js)
  * - created_by (UUID, FK → users.id, NOT NULL)
  * - created_at (TIMESTAMPTZ, DEFAULT NOW())
  * - updated_at (TIMESTAMPTZ, DEFAULT NOW())
@@ -20,6 +21,19 @@
  * - sample_size (INTEGER, nullable) - For sample crawls
  * - token_limit (INTEGER, nullable) - Max tokens per crawl
  * - excluded_patterns (ARRAY) - URL patterns to skip
+ * - included_patterns (ARRAY) - URL patterns a URL must contain to be crawled (empty = all)
+ * - strip_params / keep_params (ARRAY) - Query parameters to remove / the only ones to keep
+ * - path_rewrites (ARRAY) - [{ pattern, replacement }] regular expressions applied to URL paths
+ * - trailing_slash (TEXT, default 'remove') - 'remove', 'add' or 'keep' trailing slashes
+ * - lowercase_paths (BOOLEAN, default false) - Lowercase URL paths
+ * - crawl_concurrency (INTEGER, default 3) - Pages fetched in parallel per crawl
+ * - per_host_concurrency (INTEGER, default 2) - Max parallel requests to one host
+ * - auto_score (BOOLEAN, default false) - Queue scoring for new/changed snapshots after a crawl
+ * - auto_score_run_budget_tokens / auto_score_run_budget_usd (nullable) - Auto scoring budget per run
+ * - auto_score_monthly_budget_tokens / auto_score_monthly_budget_usd (nullable) - Auto scoring budget per month
+ * - compare_static_html (BOOLEAN, default false) - Also fetch rendered pages without JavaScript and
+ *   record the content missing from the static HTML
+ * - rubric_id (UUID, nullable) - Organization rubric to score with (null = organization selection)
  *
  * RLS Policy:
  * - Users can SELECT/INSERT/UPDATE/DELETE projects for their organizations
@@ -31,6 +45,7 @@
  */
 let supabase;
 const { supabaseAdmin } = require('../services/database/supabase');
+const { DEFAULT_URL_RULES, validateUrlRules } = require('../utils/url-rules');
 
 function setSupabaseClient(client) {
   supabase = client;
@@ -43,9 +58,30 @@ const DEFAULT_CONFIG = {
   depth_limit: 3,
   sample_size: null,
   token_limit: null,
-  excluded_patterns: []
+  excluded_patterns: [],
+  included_patterns: [],
+  ...DEFAULT_URL_RULES,
+  crawl_concurrency: 3,
+  per_host_concurrency: 2,
+  auto_score: false,
+  auto_score_run_budget_tokens: null,
+  auto_score_run_budget_usd: null,
+  auto_score_monthly_budget_tokens: null,
+  auto_score_monthly_budget_usd: null,
+  compare_static_html: false,
+  rubric_id: null
 };
 
+/**
+ * Auto scoring budget fields (positive numbers, null = unlimited)
+ */
+const SCORING_BUDGET_FIELDS = [
+  'auto_score_run_budget_tokens',
+  'auto_score_run_budget_usd',
+  'auto_score_monthly_budget_tokens',
+  'auto_score_monthly_budget_usd'
+];
+
 /**
  * Validate URL format
  *
@@ -98,6 +134,56 @@ function validateConfig(config) {
     }
   }
 
+  if (config.included_patterns !== undefined) {
+    if (!Array.isArray(config.included_patterns)) {
+      errors.push('included_patterns must be an array');
+    }
+  }
+
+  errors.push(...validateUrlRules(config));
+
+  if (config.crawl_concurrency !== undefined) {
+    if (
+      !Number.isInteger(config.crawl_concurrency) ||
+      config.crawl_concurrency < 1 ||
+      config.crawl_concurrency > 10
+    ) {
+      errors.push('crawl_concurrency must be between 1 and 10');
+    }
+  }
+
+  if (config.per_host_concurrency !== undefined) {
+    if (
+      !Number.isInteger(config.per_host_concurrency) ||
+      config.per_host_concurrency < 1 ||
+      config.per_host_concurrency > 10
+    ) {
+      errors.push('per_host_concurrency must be between 1 and 10');
+    }
+  }
+
+  if (config.auto_score !== undefined && typeof config.auto_score !== 'boolean') {
+    errors.push('auto_score must be a boolean');
+  }
+
+  if (config.compare_static_html !== undefined && typeof config.compare_static_html !== 'boolean') {
+    errors.push('compare_static_html must be a boolean');
+  }
+
+  SCORING_BUDGET_FIELDS.forEach(field => {
+    if (config[field] !== undefined && config[field] !== null) {
+      if (typeof config[field] !== 'number' || config[field] <= 0) {
+        errors.push(`${field} must be greater than 0`);
+      }
+    }
+  });
+
+  if (config.rubric_id !== undefined && config.rubric_id !== null) {
+    if (typeof config.rubric_id !== 'string' || config.rubric_id.trim() === '') {
+      errors.push('rubric_id must be a rubric id or null');
+    }
+  }
+
   return {
     valid: errors.length === 0,
     errors
@@ -269,6 +355,47 @@ async function updateProject(projectId, updates) {
   return data;
 }
 
+/**
+ * Update the crawl schedule of a project
+ * (validated by the caller, see utils/crawl-schedule.js)
+ *
+ * @param {string} projectId - Project UUID
+ * @param {Object|null} schedule - Crawl schedule (null removes it)
+ * @returns {Promise<Object>} - Updated project record
+ */
+async function updateCrawlSchedule(projectId, schedule) {
+  const { data, error } = await supabase
+    .from('projects')
+    .update({ crawl_schedule: schedule, updated_at: new Date().toISOString() })
+    .eq('id', projectId)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update crawl schedule: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Get projects with an enabled crawl schedule
+ *
+ * @returns {Promise<Array>} - Array of { id, crawl_schedule }
+ */
+async function getScheduledProjects() {
+  const { data, error } = await supabase
+    .from('projects')
+    .select('id, crawl_schedule')
+    .eq('crawl_schedule->>enabled', 'true');
+
+  if (error) {
+    throw new Error(`Failed to get scheduled projects: ${error.message}`);
+  }
+
+  return data;
+}
+
 /**
  * Delete project
  * Note: This will cascade delete related crawl runs, pages, etc.
@@ -450,6 +577,8 @@ module.exports = {
   getOrganizationProjects,
   getAllProjects,
   updateProject,
+  updateCrawlSchedule,
+  getScheduledProjects,
   deleteProject,
   getProjectWithStats,
   searchProjects,
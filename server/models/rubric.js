@@ -0,0 +1,548 @@
+/**
+ * Rubric Model
+ *
+ * Versioned scoring rubrics owned by an organization. A rubric has at most one
+ * editable draft; publishing the draft turns it into an immutable version that
+ * scores refer to through page_scores.rubric_version (the version id).
+ *
+ * Rubric fields:
+ * - id (UUID, PK) - Unique identifier
+ * - organization_id (UUID, FK → organizations.id, NOT NULL)
+ * - name (TEXT, NOT NULL) - Display name
+ * - description (TEXT) - Optional description
+ * - created_by (UUID, FK → users.id)
+ * - created_at / updated_at (TIMESTAMPTZ, DEFAULT NOW())
+ *
+ * Rubric version fields:
+ * - id (UUID, PK) - Stored as page_scores.rubric_version
+ * - rubric_id (UUID, FK → rubrics.id, NOT NULL)
+ * - version (INTEGER, NOT NULL) - 1, 2, 3... per rubric
+ * - status (TEXT, NOT NULL) - 'draft' or 'published' (published versions are immutable)
+ * - definition (JSONB, NOT NULL) - Rubric JSON (format of data/aeo-principles/default-rubric.json)
+ * - created_by / published_by (UUID, FK → users.id)
+ * - published_at (TIMESTAMPTZ)
+ * - created_at / updated_at (TIMESTAMPTZ, DEFAULT NOW())
+ */
+
+const { validateRubric } = require('../crawler/rubrics/loader');
+const { VALID_CRITERIA, VALID_PAGE_TYPES } = require('./score');
+
+/**
+ * Get Supabase client (will be imported from database service)
+ */
+let supabase;
+
+function setSupabaseClient(client) {
+  supabase = client;
+}
+
+/**
+ * Version fields returned in listings (definitions can be large)
+ */
+const VERSION_SUMMARY_FIELDS =
+  'id, version, status, published_at, published_by, created_at, updated_at';
+
+/**
+ * Validate a rubric definition
+ *
+ * Besides the structure checks of the rubric loader, criteria and page types must
+ * be ones page_scores can store, and category weights (including per-page-type
+ * categoryWeights overrides) must be between 0 and 1.
+ *
+ * @param {Object} definition - Rubric JSON
+ * @returns {Object} - Validation result { valid: boolean, errors: Array<string> }
+ */
+function validateDefinition(definition) {
+  if (typeof definition !== 'object' || definition === null || Array.isArray(definition)) {
+    return { valid: false, errors: ['definition must be an object'] };
+  }
+
+  const { errors } = validateRubric(definition);
+  const seen = new Set();
+
+  (Array.isArray(definition.categories) ? definition.categories : []).forEach(category => {
+    if (
+      category.weight !== undefined &&
+      (typeof category.weight !== 'number' || category.weight < 0 || category.weight > 1)
+    ) {
+      errors.push(`Category ${category.name} weight must be between 0 and 1`);
+    }
+
+    (Array.isArray(category.criteria) ? category.criteria : []).forEach(criterion => {
+      if (criterion.name && !VALID_CRITERIA.includes(criterion.name)) {
+        errors.push(`Unknown criterion: ${criterion.name}`);
+      }
+
+      if (seen.has(criterion.name)) {
+        errors.push(`Duplicate criterion: ${criterion.name}`);
+      }
+      seen.add(criterion.name);
+    });
+  });
+
+  const categoryNames = (Array.isArray(definition.categories) ? definition.categories : []).map(
+    category => category.name
+  );
+
+  Object.entries(definition.pageTypeRubrics || {}).forEach(([pageType, pageTypeRubric]) => {
+    if (!VALID_PAGE_TYPES.includes(pageType)) {
+      errors.push(`Unknown page type: ${pageType}`);
+    }
+
+    Object.entries(pageTypeRubric?.categoryWeights || {}).forEach(([name, weight]) => {
+      if (!categoryNames.includes(name)) {
+        errors.push(`Unknown category in ${pageType} categoryWeights: ${name}`);
+      } else if (typeof weight !== 'number' || weight < 0 || weight > 1) {
+        errors.push(`${pageType} weight of ${name} must be between 0 and 1`);
+      }
+    });
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Get a single row, treating "not found" as null
+ *
+ * @param {Object} query - Supabase query ending in .single()
+ * @param {string} action - Error message prefix
+ * @returns {Promise<Object|null>} - Row or null
+ */
+async function getSingle(query, action) {
+  const { data, error } = await query;
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return null;
+    }
+    throw new Error(`${action}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Create a rubric with its first draft
+ *
+ * @param {Object} rubricData - Rubric data
+ * @param {string} rubricData.organization_id - Organization UUID
+ * @param {string} rubricData.name - Display name
+ * @param {string} [rubricData.description] - Optional description
+ * @param {Object} rubricData.definition - Rubric JSON for the first draft
+ * @param {string} [rubricData.created_by] - User UUID
+ * @returns {Promise<Object>} - Created rubric with draft
+ */
+async function createRubric(rubricData) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  if (!rubricData.name || rubricData.name.trim().length === 0) {
+    throw new Error('Rubric name is required');
+  }
+
+  const validation = validateDefinition(rubricData.definition);
+  if (!validation.valid) {
+    throw new Error(`Invalid rubric definition: ${validation.errors.join(', ')}`);
+  }
+
+  const { data: rubric, error } = await supabase
+    .from('rubrics')
+    .insert([
+      {
+        organization_id: rubricData.organization_id,
+        name: rubricData.name.trim(),
+        description: rubricData.description || null,
+        created_by: rubricData.created_by || null
+      }
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create rubric: ${error.message}`);
+  }
+
+  const draft = await saveDraft(rubric.id, rubricData.definition, rubricData.created_by);
+
+  return { ...rubric, versions: [draft], draft };
+}
+
+/**
+ * List the rubrics of an organization
+ *
+ * @param {string} organizationId - Organization UUID
+ * @returns {Promise<Array>} - Rubrics with version summaries
+ */
+async function listRubrics(organizationId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('rubrics')
+    .select(`*, versions:rubric_versions(${VERSION_SUMMARY_FIELDS})`)
+    .eq('organization_id', organizationId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to list rubrics: ${error.message}`);
+  }
+
+  return data.map(rubric => ({
+    ...rubric,
+    versions: (rubric.versions || []).sort((a, b) => a.version - b.version)
+  }));
+}
+
+/**
+ * Get a rubric with version summaries
+ *
+ * @param {string} rubricId - Rubric UUID
+ * @returns {Promise<Object|null>} - Rubric or null if not found
+ */
+async function getRubricById(rubricId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const rubric = await getSingle(
+    supabase
+      .from('rubrics')
+      .select(`*, versions:rubric_versions(${VERSION_SUMMARY_FIELDS})`)
+      .eq('id', rubricId)
+      .single(),
+    'Failed to get rubric'
+  );
+
+  if (!rubric) {
+    return null;
+  }
+
+  return {
+    ...rubric,
+    versions: (rubric.versions || []).sort((a, b) => a.version - b.version)
+  };
+}
+
+/**
+ * Update rubric name or description
+ *
+ * @param {string} rubricId - Rubric UUID
+ * @param {Object} updates - { name, description }
+ * @returns {Promise<Object>} - Updated rubric
+ */
+async function updateRubric(rubricId, updates) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const filteredUpdates = {};
+
+  if (updates.name !== undefined) {
+    if (typeof updates.name !== 'string' || updates.name.trim().length === 0) {
+      throw new Error('Rubric name is required');
+    }
+    filteredUpdates.name = updates.name.trim();
+  }
+
+  if (updates.description !== undefined) {
+    filteredUpdates.description = updates.description || null;
+  }
+
+  const { data, error } = await supabase
+    .from('rubrics')
+    .update(filteredUpdates)
+    .eq('id', rubricId)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update rubric: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Delete a rubric
+ *
+ * Only rubrics that were never published can be deleted: scores may refer to
+ * published versions.
+ *
+ * @param {string} rubricId - Rubric UUID
+ * @returns {Promise<boolean>} - True if deleted successfully
+ */
+async function deleteRubric(rubricId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  if (await getLatestPublishedVersion(rubricId)) {
+    throw new Error('Published rubrics cannot be deleted');
+  }
+
+  const { error } = await supabase.from('rubrics').delete().eq('id', rubricId);
+
+  if (error) {
+    throw new Error(`Failed to delete rubric: ${error.message}`);
+  }
+
+  return true;
+}
+
+/**
+ * Get a rubric version by number
+ *
+ * @param {string} rubricId - Rubric UUID
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} - Version with definition, or null
+ */
+async function getVersion(rubricId, version) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  return getSingle(
+    supabase
+      .from('rubric_versions')
+      .select('*')
+      .eq('rubric_id', rubricId)
+      .eq('version', version)
+      .single(),
+    'Failed to get rubric version'
+  );
+}
+
+/**
+ * Get a rubric version by id (the value stored in page_scores.rubric_version)
+ *
+ * @param {string} versionId - Rubric version UUID
+ * @returns {Promise<Object|null>} - Version with definition, or null
+ */
+async function getVersionById(versionId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  return getSingle(
+    supabase.from('rubric_versions').select('*').eq('id', versionId).single(),
+    'Failed to get rubric version'
+  );
+}
+
+/**
+ * Get the draft of a rubric
+ *
+ * @param {string} rubricId - Rubric UUID
+ * @returns {Promise<Object|null>} - Draft version, or null when there is none
+ */
+async function getDraft(rubricId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  return getSingle(
+    supabase
+      .from('rubric_versions')
+      .select('*')
+      .eq('rubric_id', rubricId)
+      .eq('status', 'draft')
+      .single(),
+    'Failed to get rubric draft'
+  );
+}
+
+/**
+ * Get the latest published version of a rubric
+ *
+ * @param {string} rubricId - Rubric UUID
+ * @returns {Promise<Object|null>} - Published version, or null when never published
+ */
+async function getLatestPublishedVersion(rubricId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  return getSingle(
+    supabase
+      .from('rubric_versions')
+      .select('*')
+      .eq('rubric_id', rubricId)
+      .eq('status', 'published')
+      .order('version', { ascending: false })
+      .limit(1)
+      .single(),
+    'Failed to get published rubric version'
+  );
+}
+
+/**
+ * Create or replace the draft of a rubric
+ *
+ * A new draft gets the next version number.
+ *
+ * @param {string} rubricId - Rubric UUID
+ * @param {Object} definition - Rubric JSON
+ * @param {string} [userId] - User UUID
+ * @returns {Promise<Object>} - Draft version
+ */
+async function saveDraft(rubricId, definition, userId = null) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const validation = validateDefinition(definition);
+  if (!validation.valid) {
+    throw new Error(`Invalid rubric definition: ${validation.errors.join(', ')}`);
+  }
+
+  const draft = await getDraft(rubricId);
+
+  if (draft) {
+    const { data, error } = await supabase
+      .from('rubric_versions')
+      .update({ definition })
+      .eq('id', draft.id)
+      .eq('status', 'draft')
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save rubric draft: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  const latest = await getLatestPublishedVersion(rubricId);
+
+  const { data, error } = await supabase
+    .from('rubric_versions')
+    .insert([
+      {
+        rubric_id: rubricId,
+        version: (latest?.version || 0) + 1,
+        status: 'draft',
+        definition,
+        created_by: userId
+      }
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save rubric draft: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Discard the draft of a rubric
+ *
+ * @param {string} rubricId - Rubric UUID
+ * @returns {Promise<boolean>} - True if a draft was deleted
+ */
+async function discardDraft(rubricId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('rubric_versions')
+    .delete()
+    .eq('rubric_id', rubricId)
+    .eq('status', 'draft')
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to discard rubric draft: ${error.message}`);
+  }
+
+  return data.length > 0;
+}
+
+/**
+ * Publish the draft of a rubric
+ *
+ * The published version can no longer change; scoring uses the latest published
+ * version of the selected rubric.
+ *
+ * @param {string} rubricId - Rubric UUID
+ * @param {string} [userId] - User UUID
+ * @returns {Promise<Object|null>} - Published version, or null when there is no draft
+ */
+async function publishDraft(rubricId, userId = null) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const draft = await getDraft(rubricId);
+
+  if (!draft) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('rubric_versions')
+    .update({
+      status: 'published',
+      published_by: userId,
+      published_at: new Date().toISOString()
+    })
+    .eq('id', draft.id)
+    .eq('status', 'draft')
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to publish rubric: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Get the organization and selected rubric of a project
+ *
+ * @param {string} projectId - Project UUID
+ * @returns {Promise<Object|null>} - { organization_id, rubric_id } or null if not found
+ */
+async function getProjectRubricSelection(projectId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const project = await getSingle(
+    supabase.from('projects').select('organization_id, config').eq('id', projectId).single(),
+    'Failed to get project rubric'
+  );
+
+  if (!project) {
+    return null;
+  }
+
+  return {
+    organization_id: project.organization_id,
+    rubric_id: project.config?.rubric_id || null
+  };
+}
+
+module.exports = {
+  setSupabaseClient,
+  validateDefinition,
+  createRubric,
+  listRubrics,
+  getRubricById,
+  updateRubric,
+  deleteRubric,
+  getVersion,
+  getVersionById,
+  getDraft,
+  getLatestPublishedVersion,
+  saveDraft,
+  discardDraft,
+  publishDraft,
+  getProjectRubricSelection
+};
@@ -10,19 +10,25 @@
  * - snapshot_id (UUID, FK → page_snapshots.id, NOT NULL)
  * - rubric_version (TEXT, NOT NULL) - Version identifier for scoring rules
  * - page_type (TEXT, NOT NULL) - Type-specific rubric applied
- * - overall_score (INTEGER, NOT NULL) - 0-100 overall score
+ * - overall_score (INTEGER, NOT NULL) - 0-100 overall score (category-weighted, see calculateOverallScore)
  * - criteria_scores (JSONB, NOT NULL) - Individual criterion scores (0-100)
+ * - category_scores (JSONB, NOT NULL) - Rubric category sub-scores (0-100) by category name
  * - criteria_explanations (JSONB, NOT NULL) - Short explanation per criterion
  * - ai_recommendations (JSONB) - Array of recommendation objects
- * - ai_cache_key (TEXT) - Content hash + rubric version for caching
+ * - ai_cache_key (TEXT) - Content hash + rubric version + page type + model for caching
  * - ai_tokens_used (INTEGER) - Token count for this evaluation
+ * - organization_id (UUID, FK → organizations.id) - Cache scope
+ * - ai_model (TEXT) - Model that produced the score
+ * - cache_hit (BOOLEAN) - Copied from an earlier score with the same cache key
+ * - cached_from_score_id (UUID, FK → page_scores.id) - Source score of a cache hit
  * - scored_at (TIMESTAMPTZ, DEFAULT NOW())
  *
- * Criteria scores fields (v1.1):
+ * Criteria scores fields (v1.2):
  * - direct_answer, question_coverage, eeat_signals, outbound_links,
  *   schema_markup, internal_linking, readability, performance,
  *   indexing, accessibility, content_freshness, conversational_tone,
- *   snippet_optimization, original_research, multimedia_richness, entity_clarity
+ *   snippet_optimization, original_research, multimedia_richness, entity_clarity,
+ *   static_content
  *
  * AI recommendations structure:
  * - category (TEXT) - Which criterion this addresses
@@ -51,6 +57,7 @@ const VALID_PAGE_TYPES = ['homepage', 'product', 'solution', 'blog', 'resource',
 /**
  * Valid criteria names
  * Updated with v1.1 criteria (2025-11-09) from "SEO for AI" PDF analysis
+ * and v1.2 static_content (2025-11-28)
  */
 const VALID_CRITERIA = [
   'direct_answer',
@@ -69,7 +76,9 @@ const VALID_CRITERIA = [
   'snippet_optimization',
   'original_research',
   'multimedia_richness',
-  'entity_clarity'
+  'entity_clarity',
+  // Rubric v1.2 (2025-11-28): content available without JavaScript rendering
+  'static_content'
 ];
 
 /**
@@ -88,32 +97,174 @@ const DEFAULT_CRITERIA_EXPLANATIONS = VALID_CRITERIA.reduce((acc, criterion) =>
   return acc;
 }, {});
 
+/**
+ * Criteria that need crawl data a snapshot may not have, with the check for it
+ * (static_content needs the static vs rendered comparison of compare_static_html)
+ */
+const DATA_DEPENDENT_CRITERIA = {
+  static_content: snapshot => Boolean(snapshot?.js_dependency?.severity)
+};
+
+/**
+ * Get the criteria a snapshot cannot be scored on
+ *
+ * These criteria are left out of the scoring prompt and of the category scores.
+ *
+ * @param {Object} snapshot - Page snapshot
+ * @returns {Array<string>} - Criteria names
+ */
+function getUnscoredCriteria(snapshot) {
+  return Object.keys(DATA_DEPENDENT_CRITERIA).filter(
+    criterion => !DATA_DEPENDENT_CRITERIA[criterion](snapshot)
+  );
+}
+
 /**
  * Generate cache key for AI results
  *
+ * Identical content scored under the same rubric version, page type and model
+ * (and without the same criteria, see getUnscoredCriteria) gets the same key.
+ *
  * @param {string} contentHash - Hash of page content
  * @param {string} rubricVersion - Rubric version identifier
+ * @param {string} pageType - Page type the rubric was applied for
+ * @param {string} model - Model that produces the score
+ * @param {Array<string>} unscoredCriteria - Criteria left out of the score
  * @returns {string} - Cache key
  */
-function generateCacheKey(contentHash, rubricVersion) {
-  return `${contentHash}_${rubricVersion}`;
+function generateCacheKey(contentHash, rubricVersion, pageType, model, unscoredCriteria = []) {
+  const parts = [contentHash, rubricVersion, pageType, model];
+
+  if (unscoredCriteria.length > 0) {
+    parts.push(`without=${[...unscoredCriteria].sort().join(',')}`);
+  }
+
+  return parts.join(':');
 }
 
 /**
- * Calculate overall score as simple average of criteria scores
+ * Average of the numbers in a list (unrounded)
  *
- * @param {Object} criteriaScores - Object with criterion scores
- * @returns {number} - Average score (0-100)
+ * @param {Array<number>} values - Values to average
+ * @returns {number|null} - Average, or null when there are no numbers
  */
-function calculateOverallScore(criteriaScores) {
-  const scores = Object.values(criteriaScores).filter(score => typeof score === 'number');
+function average(values) {
+  const scores = values.filter(score => typeof score === 'number');
 
   if (scores.length === 0) {
-    return 0;
+    return null;
+  }
+
+  return scores.reduce((acc, score) => acc + score, 0) / scores.length;
+}
+
+/**
+ * Get the category weights of a rubric for a page type
+ *
+ * Category weights come from each category's weight, overridden by
+ * pageTypeRubrics[pageType].categoryWeights ({ [category name]: weight }).
+ * Categories without a weight count as 0 unless no category has a weight,
+ * in which case all categories weigh the same.
+ *
+ * @param {Object} rubric - Rubric JSON
+ * @param {string} pageType - Page type
+ * @returns {Object} - { [category name]: weight }
+ */
+function getCategoryWeights(rubric, pageType) {
+  const overrides = rubric.pageTypeRubrics?.[pageType]?.categoryWeights || {};
+  const weights = {};
+
+  rubric.categories.forEach(category => {
+    const weight = overrides[category.name] ?? category.weight;
+    weights[category.name] = typeof weight === 'number' ? weight : 0;
+  });
+
+  if (Object.values(weights).every(weight => weight === 0)) {
+    Object.keys(weights).forEach(name => {
+      weights[name] = 1;
+    });
   }
 
-  const sum = scores.reduce((acc, score) => acc + score, 0);
-  return Math.round(sum / scores.length);
+  return weights;
+}
+
+/**
+ * Calculate rubric category sub-scores
+ *
+ * Each category scores the average of its criteria that apply to the page type
+ * (criteria excluded for the page type are ignored, as in getCriteriaForPageType).
+ * Categories without scored criteria are left out.
+ *
+ * @param {Object} criteriaScores - Object with criterion scores
+ * @param {Object} rubric - Rubric JSON
+ * @param {string} pageType - Page type
+ * @returns {Object} - { [category name]: score (0-100, rounded) }
+ */
+function calculateCategoryScores(criteriaScores, rubric, pageType) {
+  const excluded = new Set(rubric.pageTypeRubrics?.[pageType]?.excludedCriteria || []);
+  const categoryScores = {};
+
+  rubric.categories.forEach(category => {
+    const score = average(
+      category.criteria
+        .filter(criterion => !excluded.has(criterion.name))
+        .map(criterion => criteriaScores[criterion.name])
+    );
+
+    if (score !== null) {
+      categoryScores[category.name] = Math.round(score);
+    }
+  });
+
+  return categoryScores;
+}
+
+/**
+ * Calculate overall score
+ *
+ * With a rubric, the overall score is the weighted average of the category
+ * sub-scores (see getCategoryWeights). Without one it is the simple average of
+ * all criteria scores.
+ *
+ * @param {Object} criteriaScores - Object with criterion scores
+ * @param {Object} rubric - Rubric JSON (optional)
+ * @param {string} pageType - Page type the rubric was applied for (optional)
+ * @returns {number} - Overall score (0-100)
+ */
+function calculateOverallScore(criteriaScores, rubric = null, pageType = null) {
+  if (!rubric) {
+    const score = average(Object.values(criteriaScores));
+    return score === null ? 0 : Math.round(score);
+  }
+
+  const categoryScores = calculateCategoryScores(criteriaScores, rubric, pageType);
+  const weights = getCategoryWeights(rubric, pageType);
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  Object.entries(categoryScores).forEach(([name, score]) => {
+    weightedSum += score * weights[name];
+    totalWeight += weights[name];
+  });
+
+  if (totalWeight === 0) {
+    const score = average(Object.values(categoryScores));
+    return score === null ? 0 : Math.round(score);
+  }
+
+  return Math.round(weightedSum / totalWeight);
+}
+
+/**
+ * Share of scored pages that were served from the cache
+ *
+ * @param {number} cacheHits - Scores reused from the cache
+ * @param {number} cacheMisses - Scores produced by the model
+ * @returns {number} - Hit rate in percent (0 when nothing was scored)
+ */
+function getCacheHitRate(cacheHits, cacheMisses) {
+  const total = cacheHits + cacheMisses;
+  return total > 0 ? Math.round((cacheHits / total) * 1000) / 10 : 0;
 }
 
 /**
@@ -195,6 +346,13 @@ function validateRecommendations(recommendations) {
  * @param {Array} data.ai_recommendations - Optional AI recommendations
  * @param {string} data.ai_cache_key - Optional cache key
  * @param {number} data.ai_tokens_used - Optional token count
+ * @param {string} data.organization_id - Optional organization UUID (cache scope)
+ * @param {string} data.ai_model - Optional model that produced the score
+ * @param {boolean} data.cache_hit - Whether the score was copied from the cache
+ * @param {string} data.cached_from_score_id - Optional source score of a cache hit
+ * @param {Object} data.category_scores - Optional rubric category sub-scores
+ * @param {number} data.overall_score - Optional rubric-weighted overall score
+ *   (defaults to the simple average of criteria scores)
  * @returns {Promise<Object>} - Created score
  */
 async function create(data) {
@@ -242,14 +400,19 @@ async function create(data) {
     const recommendationsValidation = validateRecommendations(data.ai_recommendations);
 
     if (!recommendationsValidation.valid) {
-      throw new Error(
-        `Invalid ai_recommendations: ${recommendationsValidation.errors.join(', ')}`
-      );
+      throw new Error(`Invalid ai_recommendations: ${recommendationsValidation.errors.join(', ')}`);
     }
   }
 
-  // Calculate overall score (simple average)
-  const overallScore = calculateOverallScore(criteriaScores);
+  // Weighted overall score from the scorer, or the simple average
+  if (
+    data.overall_score !== undefined &&
+    (typeof data.overall_score !== 'number' || data.overall_score < 0 || data.overall_score > 100)
+  ) {
+    throw new Error('overall_score must be between 0 and 100');
+  }
+
+  const overallScore = data.overall_score ?? calculateOverallScore(criteriaScores);
 
   const score = {
     page_id: data.page_id,
@@ -258,10 +421,15 @@ async function create(data) {
     page_type: data.page_type,
     overall_score: overallScore,
     criteria_scores: criteriaScores,
+    category_scores: data.category_scores || {},
     criteria_explanations: criteriaExplanations,
     ai_recommendations: data.ai_recommendations || [],
     ai_cache_key: data.ai_cache_key || null,
     ai_tokens_used: data.ai_tokens_used || 0,
+    organization_id: data.organization_id || null,
+    ai_model: data.ai_model || null,
+    cache_hit: Boolean(data.cache_hit),
+    cached_from_score_id: data.cached_from_score_id || null,
     scored_at: new Date().toISOString()
   };
 
@@ -301,6 +469,33 @@ async function getById(id) {
   return data;
 }
 
+/**
+ * Get the overall scores of several scores
+ *
+ * @param {Array<string>} ids - Score UUIDs
+ * @returns {Promise<Map>} - Score UUID → overall_score (scores that exist)
+ */
+async function getOverallScores(ids) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  if (!ids || ids.length === 0) {
+    return new Map();
+  }
+
+  const { data, error } = await supabase
+    .from('page_scores')
+    .select('id, overall_score')
+    .in('id', ids);
+
+  if (error) {
+    throw error;
+  }
+
+  return new Map((data || []).map(score => [score.id, score.overall_score]));
+}
+
 /**
  * List scores for a page
  *
@@ -397,10 +592,13 @@ async function getBySnapshot(snapshotId) {
 /**
  * Find score by cache key (for AI result caching)
  *
+ * Only scores produced by the model are returned, never earlier cache hits.
+ *
  * @param {string} cacheKey - Cache key to lookup
+ * @param {string} organizationId - Organization UUID (scores are never shared across organizations)
  * @returns {Promise<Object|null>} - Score or null if not found
  */
-async function findByCacheKey(cacheKey) {
+async function findByCacheKey(cacheKey, organizationId) {
   if (!supabase) {
     throw new Error('Supabase client not initialized');
   }
@@ -408,7 +606,9 @@ async function findByCacheKey(cacheKey) {
   const { data, error } = await supabase
     .from('page_scores')
     .select('*')
+    .eq('organization_id', organizationId)
     .eq('ai_cache_key', cacheKey)
+    .eq('cache_hit', false)
     .order('scored_at', { ascending: false })
     .limit(1)
     .single();
@@ -446,7 +646,7 @@ async function listByProject(projectId, options = {}) {
     .select(
       `
       *,
-      pages!inner(id, url, page_type, project_id)
+      pages!inner(id, url, page_type, project_id, lifecycle_status)
     `
     )
     .eq('pages.project_id', projectId)
@@ -483,6 +683,7 @@ async function listByProject(projectId, options = {}) {
 
 /**
  * Get score statistics for a project
+ * Pages marked gone by the crawler are excluded from the averages.
  *
  * @param {string} projectId - Project UUID
  * @returns {Promise<Object>} - Statistics (avg, min, max, count by page type)
@@ -492,8 +693,10 @@ async function getStatsByProject(projectId) {
     throw new Error('Supabase client not initialized');
   }
 
-  // Get all latest scores for the project
-  const scores = await listByProject(projectId, { limit: 10000 });
+  // Get all latest scores for the project (pages that are gone no longer count)
+  const scores = (await listByProject(projectId, { limit: 10000 })).filter(
+    score => score.pages?.lifecycle_status !== 'gone'
+  );
 
   // Calculate statistics
   const stats = {
@@ -541,6 +744,45 @@ async function getStatsByProject(projectId) {
   return stats;
 }
 
+/**
+ * List scores in id order for recomputing overall scores (no LLM involved)
+ *
+ * @param {Object} options - Paging options
+ * @param {string} options.afterId - Return scores after this id (keyset paging)
+ * @param {number} options.limit - Page size (default 500)
+ * @param {string} options.organizationId - Only scores of this organization (optional)
+ * @returns {Promise<Array>} - [{ id, rubric_version, page_type, criteria_scores, category_scores, overall_score }]
+ */
+async function listForRecompute(options = {}) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { afterId = null, limit = 500, organizationId = null } = options;
+
+  let query = supabase
+    .from('page_scores')
+    .select('id, rubric_version, page_type, criteria_scores, category_scores, overall_score')
+    .order('id', { ascending: true })
+    .limit(limit);
+
+  if (afterId) {
+    query = query.gt('id', afterId);
+  }
+
+  if (organizationId) {
+    query = query.eq('organization_id', organizationId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
 /**
  * Update score (for rescoring scenarios)
  *
@@ -561,8 +803,10 @@ async function update(id, updates) {
       throw new Error(`Invalid criteria_scores: ${validation.errors.join(', ')}`);
     }
 
-    // Recalculate overall score
-    updates.overall_score = calculateOverallScore(updates.criteria_scores);
+    // Recalculate overall score (unless the caller computed a weighted one)
+    if (updates.overall_score === undefined) {
+      updates.overall_score = calculateOverallScore(updates.criteria_scores);
+    }
   }
 
   // Validate recommendations if provided
@@ -639,6 +883,14 @@ async function compareSnapshots(snapshotId1, snapshotId2) {
 
   // Calculate deltas for each criterion
   VALID_CRITERIA.forEach(criterion => {
+    // Criteria added in a later rubric version are missing from older scores
+    if (
+      typeof score1.criteria_scores[criterion] !== 'number' ||
+      typeof score2.criteria_scores[criterion] !== 'number'
+    ) {
+      return;
+    }
+
     const delta = score2.criteria_scores[criterion] - score1.criteria_scores[criterion];
     comparison.criteria_deltas[criterion] = delta;
 
@@ -662,16 +914,22 @@ module.exports = {
   VALID_CRITERIA,
   DEFAULT_CRITERIA_SCORES,
   DEFAULT_CRITERIA_EXPLANATIONS,
+  getUnscoredCriteria,
   generateCacheKey,
   calculateOverallScore,
+  calculateCategoryScores,
+  getCategoryWeights,
+  getCacheHitRate,
   validateCriteriaScores,
   validateRecommendations,
   create,
   getById,
+  getOverallScores,
   listByPage,
   getLatestByPage,
   getBySnapshot,
   findByCacheKey,
+  listForRecompute,
   listByProject,
   getStatsByProject,
   update,
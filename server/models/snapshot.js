@@ -13,8 +13,13 @@
  * - raw_html (TEXT) - Complete HTML response
  * - cleaned_text (TEXT) - Extracted main content
  * - content_hash (TEXT, NOT NULL) - SHA-256 hash of cleaned_text
+ * - simhash (TEXT) - SimHash of cleaned_text for near-duplicate detection (see crawler/near-duplicates.js)
  * - extraction (JSONB, NOT NULL) - Structured content
+ * - structured_data (JSONB) - Validation of the page's JSON-LD, Microdata and RDFa (see crawler/structured-data.js)
  * - metrics (JSONB) - Performance data
+ * - js_dependency (JSONB) - Content missing from the static HTML compared to the rendered DOM (see crawler/js-dependency.js)
+ * - etag (TEXT) - ETag response header (for conditional delta requests)
+ * - last_modified (TEXT) - Last-Modified response header (for conditional delta requests)
  * - snapshot_at (TIMESTAMPTZ, DEFAULT NOW())
  *
  * Extraction fields:
@@ -23,6 +28,7 @@
  *
  * Metrics fields:
  * - load_time_ms, content_length, word_count, render_method
+ * - llms_txt - Site llms.txt signal when the page was crawled: { found, valid, full_found, link_count }
  *
  * RLS Policy:
  * - Users can SELECT snapshots for pages they have access to
@@ -30,6 +36,8 @@
  */
 
 const crypto = require('crypto');
+const { computeSimhash } = require('../crawler/near-duplicates');
+const { validateHtml } = require('../crawler/structured-data');
 
 /**
  * Get Supabase client (will be imported from database service)
@@ -118,6 +126,8 @@ function validateExtraction(extraction) {
  * @param {string} data.cleaned_text - Extracted main content
  * @param {Object} data.extraction - Structured content extraction
  * @param {Object} data.metrics - Performance metrics
+ * @param {string} [data.etag] - ETag response header
+ * @param {string} [data.last_modified] - Last-Modified response header
  * @returns {Promise<Object>} - Created snapshot
  */
 async function create(data) {
@@ -164,8 +174,13 @@ async function create(data) {
     raw_html: data.raw_html || null,
     cleaned_text: data.cleaned_text || null,
     content_hash: contentHash,
+    simhash: computeSimhash(data.cleaned_text),
     extraction,
+    structured_data: validateHtml(data.raw_html),
     metrics,
+    js_dependency: data.js_dependency || null,
+    etag: data.etag || null,
+    last_modified: data.last_modified || null,
     snapshot_at: new Date().toISOString()
   };
 
@@ -205,6 +220,33 @@ async function getById(id) {
   return data;
 }
 
+/**
+ * Get the structured data validation of a snapshot (without its HTML)
+ *
+ * @param {string} id - Snapshot UUID
+ * @returns {Promise<Object|null>} - { id, page_id, url, snapshot_at, structured_data } or null
+ */
+async function getStructuredData(id) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('page_snapshots')
+    .select('id, page_id, url, snapshot_at, structured_data')
+    .eq('id', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return null; // Not found
+    }
+    throw error;
+  }
+
+  return data;
+}
+
 /**
  * List snapshots for a page
  *
@@ -279,6 +321,29 @@ async function listByCrawlRun(crawlRunId, options = {}) {
   return data || [];
 }
 
+/**
+ * List URLs already snapshotted in a crawl run (lightweight, no HTML)
+ *
+ * @param {string} crawlRunId - Crawl run UUID
+ * @returns {Promise<Array<string>>} - Snapshot URLs
+ */
+async function listUrlsByCrawlRun(crawlRunId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('page_snapshots')
+    .select('url')
+    .eq('crawl_run_id', crawlRunId);
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).map(row => row.url);
+}
+
 /**
  * Find latest snapshot for a page
  *
@@ -330,7 +395,158 @@ async function hasContentChanged(pageId, contentHash) {
 }
 
 /**
- * Find snapshots with same content hash (duplicates)
+ * Get cache validators (ETag / Last-Modified) for a set of snapshots
+ *
+ * @param {Array<string>} snapshotIds - Snapshot UUIDs
+ * @returns {Promise<Map>} - Map of snapshot ID → { etag, last_modified, content_hash, snapshot_at }
+ */
+async function getValidatorsByIds(snapshotIds) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const validators = new Map();
+  const batchSize = 200;
+
+  for (let i = 0; i < snapshotIds.length; i += batchSize) {
+    const batch = snapshotIds.slice(i, i + batchSize);
+
+    const { data, error } = await supabase
+      .from('page_snapshots')
+      .select('id, etag, last_modified, content_hash, snapshot_at')
+      .in('id', batch);
+
+    if (error) {
+      throw error;
+    }
+
+    (data || []).forEach(row => {
+      validators.set(row.id, {
+        etag: row.etag,
+        last_modified: row.last_modified,
+        content_hash: row.content_hash,
+        snapshot_at: row.snapshot_at
+      });
+    });
+  }
+
+  return validators;
+}
+
+/**
+ * Get near-duplicate fingerprints for a set of snapshots
+ *
+ * @param {Array<string>} snapshotIds - Snapshot UUIDs
+ * @returns {Promise<Map>} - Map of snapshot ID → { simhash, canonical_url }
+ */
+async function getFingerprintsByIds(snapshotIds) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const fingerprints = new Map();
+  const batchSize = 200;
+
+  for (let i = 0; i < snapshotIds.length; i += batchSize) {
+    const batch = snapshotIds.slice(i, i + batchSize);
+
+    const { data, error } = await supabase
+      .from('page_snapshots')
+      .select('id, simhash, canonical_url:extraction->>canonical_url')
+      .in('id', batch);
+
+    if (error) {
+      throw error;
+    }
+
+    (data || []).forEach(row => {
+      fingerprints.set(row.id, {
+        simhash: row.simhash,
+        canonical_url: row.canonical_url
+      });
+    });
+  }
+
+  return fingerprints;
+}
+
+/**
+ * Get the title, meta description and page type of a set of snapshots
+ *
+ * @param {Array<string>} snapshotIds - Snapshot UUIDs
+ * @returns {Promise<Map>} - Map of snapshot ID → { title, meta_description, page_type }
+ */
+async function getSummariesByIds(snapshotIds) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const summaries = new Map();
+  const batchSize = 200;
+
+  for (let i = 0; i < snapshotIds.length; i += batchSize) {
+    const batch = snapshotIds.slice(i, i + batchSize);
+
+    const { data, error } = await supabase
+      .from('page_snapshots')
+      .select(
+        'id, title:extraction->>title, meta_description:extraction->>meta_description, page_type:extraction->>page_type'
+      )
+      .in('id', batch);
+
+    if (error) {
+      throw error;
+    }
+
+    (data || []).forEach(row => {
+      summaries.set(row.id, {
+        title: row.title,
+        meta_description: row.meta_description,
+        page_type: row.page_type
+      });
+    });
+  }
+
+  return summaries;
+}
+
+/**
+ * Get the static vs rendered comparison of a set of snapshots
+ *
+ * @param {Array<string>} snapshotIds - Snapshot UUIDs
+ * @returns {Promise<Map>} - Map of snapshot ID → js_dependency (snapshots never compared are left out)
+ */
+async function getJsDependencyByIds(snapshotIds) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const reports = new Map();
+  const batchSize = 200;
+
+  for (let i = 0; i < snapshotIds.length; i += batchSize) {
+    const batch = snapshotIds.slice(i, i + batchSize);
+
+    const { data, error } = await supabase
+      .from('page_snapshots')
+      .select('id, js_dependency')
+      .in('id', batch)
+      .not('js_dependency', 'is', null);
+
+    if (error) {
+      throw error;
+    }
+
+    (data || []).forEach(row => {
+      reports.set(row.id, row.js_dependency);
+    });
+  }
+
+  return reports;
+}
+
+/**
+ * Find snapshots with same content hash (exact duplicates, see getFingerprintsByIds for near-duplicates)
  *
  * @param {string} contentHash - Content hash to search for
  * @param {number} limit - Maximum results
@@ -415,7 +631,9 @@ async function bulkInsert(snapshots) {
     return {
       ...snapshot,
       content_hash: contentHash,
+      simhash: computeSimhash(snapshot.cleaned_text),
       extraction,
+      structured_data: validateHtml(snapshot.raw_html),
       metrics,
       snapshot_at: snapshot.snapshot_at || new Date().toISOString()
     };
@@ -437,10 +655,16 @@ module.exports = {
   DEFAULT_METRICS,
   create,
   getById,
+  getStructuredData,
   listByPage,
   listByCrawlRun,
+  listUrlsByCrawlRun,
   getLatestByPage,
   hasContentChanged,
+  getValidatorsByIds,
+  getFingerprintsByIds,
+  getSummariesByIds,
+  getJsDependencyByIds,
   findByContentHash,
   getStatsByCrawlRun,
   bulkInsert
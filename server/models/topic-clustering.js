@@ -0,0 +1,208 @@
+/**
+ * Topic Clustering Model
+ *
+ * Topic clustering runs of a project. The latest completed run is the project's
+ * topic and content-gap report (see crawler/topic-clusters.js).
+ *
+ * Fields:
+ * - id (UUID, PK) - Unique identifier
+ * - project_id (UUID, FK → projects.id, NOT NULL)
+ * - status (TEXT, NOT NULL) - queued, running, completed, failed
+ * - requested_by (UUID, FK → users.id) - User who started the run
+ * - model_version (TEXT) - Embedding model of the clustered vectors
+ * - page_count (INTEGER) - Clustered pages
+ * - cluster_count (INTEGER) - Number of clusters
+ * - clusters (JSONB) - Labelled clusters with pages, average score and flags
+ * - summary (JSONB) - Content-gap summary (thin/low-score cluster counts, thresholds)
+ * - error_message (TEXT) - Why a failed run failed
+ * - created_at (TIMESTAMPTZ, DEFAULT NOW())
+ * - completed_at (TIMESTAMPTZ)
+ */
+
+/**
+ * Get Supabase client (will be imported from database service)
+ */
+let supabase;
+
+function setSupabaseClient(client) {
+  supabase = client;
+}
+
+/**
+ * Run statuses
+ */
+const CLUSTERING_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+/**
+ * Statuses of a run that has not finished yet
+ */
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+/**
+ * Create a queued clustering run
+ *
+ * @param {Object} data - { project_id, requested_by }
+ * @returns {Promise<Object>} - Created run
+ */
+async function create(data) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  if (!data.project_id) {
+    throw new Error('project_id is required');
+  }
+
+  const { data: clustering, error } = await supabase
+    .from('topic_clusterings')
+    .insert([
+      {
+        project_id: data.project_id,
+        requested_by: data.requested_by || null,
+        status: 'queued'
+      }
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return clustering;
+}
+
+/**
+ * Get a clustering run by ID
+ *
+ * @param {string} id - Clustering UUID
+ * @returns {Promise<Object|null>} - Run or null if not found
+ */
+async function getById(id) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('topic_clusterings')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return null; // Not found
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Get the latest clustering run of a project
+ *
+ * @param {string} projectId - Project UUID
+ * @param {Object} options - { status } only runs with this status (optional)
+ * @returns {Promise<Object|null>} - Run or null if the project has none
+ */
+async function getLatestByProject(projectId, options = {}) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  let query = supabase.from('topic_clusterings').select('*').eq('project_id', projectId);
+
+  if (options.status) {
+    query = query.eq('status', options.status);
+  }
+
+  const { data, error } = await query.order('created_at', { ascending: false }).limit(1).single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return null; // Not found
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Update a clustering run
+ *
+ * @param {string} id - Clustering UUID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} - Updated run
+ */
+async function update(id, updates) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  if (updates.status && !CLUSTERING_STATUSES.includes(updates.status)) {
+    throw new Error(`Invalid status. Must be one of: ${CLUSTERING_STATUSES.join(', ')}`);
+  }
+
+  const { data, error } = await supabase
+    .from('topic_clusterings')
+    .update(updates)
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Store the report of a finished run
+ *
+ * @param {string} id - Clustering UUID
+ * @param {Object} report - { clusters, summary } (see buildClusterReport)
+ * @param {string} modelVersion - Embedding model of the clustered vectors
+ * @returns {Promise<Object>} - Completed run
+ */
+async function complete(id, report, modelVersion) {
+  return update(id, {
+    status: 'completed',
+    model_version: modelVersion,
+    page_count: report.summary.page_count,
+    cluster_count: report.summary.cluster_count,
+    clusters: report.clusters,
+    summary: report.summary,
+    error_message: null,
+    completed_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Mark a run as failed
+ *
+ * @param {string} id - Clustering UUID
+ * @param {string} errorMessage - Failure reason
+ * @returns {Promise<Object>} - Failed run
+ */
+async function fail(id, errorMessage) {
+  return update(id, {
+    status: 'failed',
+    error_message: errorMessage,
+    completed_at: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  setSupabaseClient,
+  CLUSTERING_STATUSES,
+  ACTIVE_STATUSES,
+  create,
+  getById,
+  getLatestByProject,
+  update,
+  complete,
+  fail
+};
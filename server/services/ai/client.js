@@ -1,50 +1,71 @@
 /**
- * OpenAI API Client
+ * AI API Client
  *
- * Centralized OpenAI API client setup for the AEO platform.
- * Provides access to GPT-4 for AI recommendations and text-embedding-3-small for embeddings.
+ * Centralized LLM client for the AEO platform: chat completions for scoring,
+ * summaries and recommendations, and embeddings. Requests go to a pluggable
+ * provider (OpenAI, Anthropic, Azure OpenAI, OpenAI-compatible/local or an offline
+ * fake), chosen per organization - see providers/index.js.
  *
  * Based on research.md: Uses official openai SDK with streaming support and automatic retries.
  *
  * Environment Variables:
- * - OPENAI_API_KEY (required) - OpenAI API key
- * - OPENAI_MODEL (optional) - Default model, defaults to gpt-4-turbo
+ * - AI_PROVIDER (optional) - Platform default provider, defaults to openai
+ * - OPENAI_API_KEY (required for openai) - OpenAI API key
+ * - OPENAI_MODEL (optional) - Default OpenAI model, defaults to gpt-4-turbo
  * - OPENAI_MAX_TOKENS (optional) - Default max tokens, defaults to 2000
  * - OPENAI_TEMPERATURE (optional) - Default temperature, defaults to 0.7
+ *
+ * Every request is recorded in the AI usage ledger (models/ai-usage.js). Callers pass
+ * a usage context ({ projectId, crawlRunId, userId, purpose }) to attribute the spend;
+ * the same context selects the organization's provider.
  */
 
-const OpenAI = require('openai');
+const AiUsageModel = require('../../models/ai-usage');
+const { EMBEDDING_DIMENSIONS } = require('../../models/embedding');
+const {
+  resolveProvider,
+  getDefaultProvider,
+  getDefaultEmbeddingProvider,
+  canStoreEmbeddings
+} = require('./providers');
 
 // Configuration
 const config = {
-  apiKey: process.env.OPENAI_API_KEY,
   model: process.env.OPENAI_MODEL || 'gpt-4-turbo',
   maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS || '2000', 10),
   temperature: parseFloat(process.env.OPENAI_TEMPERATURE || '0.7'),
   embeddingModel: 'text-embedding-3-small'
 };
 
-// Initialize OpenAI client
-let openaiClient = null;
-
 /**
- * Get or create OpenAI client instance
+ * Record a request in the AI usage ledger
  *
- * @returns {OpenAI} - OpenAI client instance
- * @throws {Error} - If OPENAI_API_KEY is not configured
+ * Ledger failures are logged and never fail the AI request itself.
+ *
+ * @param {Object|null} usageContext - { projectId, crawlRunId, userId, purpose }
+ * @param {Object} provider - Provider that served the request
+ * @param {string} model - Model reported by the API
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @param {string} defaultPurpose - Purpose when the context does not specify one
+ * @returns {Promise<void>}
  */
-function getClient() {
-  if (!config.apiKey) {
-    throw new Error('OPENAI_API_KEY environment variable is required');
-  }
-
-  if (!openaiClient) {
-    openaiClient = new OpenAI({
-      apiKey: config.apiKey
+async function recordUsage(usageContext, provider, model, usage, defaultPurpose) {
+  try {
+    await AiUsageModel.record({
+      organization_id: usageContext?.organizationId,
+      project_id: usageContext?.projectId,
+      crawl_run_id: usageContext?.crawlRunId,
+      user_id: usageContext?.userId,
+      purpose: usageContext?.purpose || defaultPurpose,
+      model,
+      prompt_tokens: usage.promptTokens,
+      completion_tokens: usage.completionTokens,
+      // Local and fake providers are free, the rest is priced by model
+      cost_usd: provider.billable ? undefined : 0
     });
+  } catch (error) {
+    console.warn(`Failed to record AI usage (${model}):`, error.message);
   }
-
-  return openaiClient;
 }
 
 /**
@@ -52,56 +73,44 @@ function getClient() {
  *
  * @param {Object} options - Completion options
  * @param {Array} options.messages - Array of message objects {role, content}
- * @param {string} options.model - Model to use (defaults to config.model)
+ * @param {string} options.model - Model to use (defaults to the organization's or provider's model)
  * @param {number} options.maxTokens - Max tokens (defaults to config.maxTokens)
  * @param {number} options.temperature - Temperature (defaults to config.temperature)
  * @param {Object} options.responseFormat - Response format (e.g., {type: 'json_object'})
- * @returns {Promise<Object>} - Completion response with {content, usage}
+ * @param {Object} options.usageContext - Ledger attribution { projectId, crawlRunId, userId, purpose }
+ * @returns {Promise<Object>} - Completion response with {content, usage, model, provider}
  */
 async function generateCompletion(options) {
-  const client = getClient();
-
   const {
     messages,
-    model = config.model,
+    model = null,
     maxTokens = config.maxTokens,
     temperature = config.temperature,
-    responseFormat = null
+    responseFormat = null,
+    usageContext = null
   } = options;
 
   if (!messages || !Array.isArray(messages) || messages.length === 0) {
     throw new Error('messages array is required and must not be empty');
   }
 
-  const requestParams = {
-    model,
-    messages,
-    max_tokens: maxTokens,
-    temperature
-  };
+  const resolved = await resolveProvider(usageContext);
+  const { provider } = resolved;
 
-  // Add response format if specified (for JSON mode)
-  if (responseFormat) {
-    requestParams.response_format = responseFormat;
-  }
+  const completion = await provider.complete({
+    messages,
+    model: model || resolved.model || provider.defaultModel,
+    maxTokens,
+    temperature,
+    responseFormat
+  });
 
-  try {
-    const completion = await client.chat.completions.create(requestParams);
+  await recordUsage(usageContext, provider, completion.model, completion.usage, 'completion');
 
-    return {
-      content: completion.choices[0]?.message?.content || '',
-      usage: {
-        promptTokens: completion.usage?.prompt_tokens || 0,
-        completionTokens: completion.usage?.completion_tokens || 0,
-        totalTokens: completion.usage?.total_tokens || 0
-      },
-      model: completion.model,
-      finishReason: completion.choices[0]?.finish_reason
-    };
-  } catch (error) {
-    // Enhance error with context
-    throw new Error(`OpenAI API error: ${error.message}`);
-  }
+  return {
+    ...completion,
+    provider: provider.name
+  };
 }
 
 /**
@@ -110,20 +119,20 @@ async function generateCompletion(options) {
  * @param {Object} options - Completion options
  * @param {Array} options.messages - Array of message objects {role, content}
  * @param {Function} options.onChunk - Callback for each chunk (chunk) => void
- * @param {string} options.model - Model to use (defaults to config.model)
+ * @param {string} options.model - Model to use (defaults to the organization's or provider's model)
  * @param {number} options.maxTokens - Max tokens (defaults to config.maxTokens)
  * @param {number} options.temperature - Temperature (defaults to config.temperature)
+ * @param {Object} options.usageContext - Ledger attribution { projectId, crawlRunId, userId, purpose }
  * @returns {Promise<Object>} - Final result with {content, usage}
  */
 async function generateStreamingCompletion(options) {
-  const client = getClient();
-
   const {
     messages,
     onChunk,
-    model = config.model,
+    model = null,
     maxTokens = config.maxTokens,
-    temperature = config.temperature
+    temperature = config.temperature,
+    usageContext = null
   } = options;
 
   if (!messages || !Array.isArray(messages) || messages.length === 0) {
@@ -134,71 +143,103 @@ async function generateStreamingCompletion(options) {
     throw new Error('onChunk callback is required for streaming');
   }
 
-  try {
-    const stream = await client.chat.completions.create({
-      model,
-      messages,
-      max_tokens: maxTokens,
-      temperature,
-      stream: true
-    });
+  const resolved = await resolveProvider(usageContext);
+  const { provider } = resolved;
+
+  const result = await provider.stream({
+    messages,
+    onChunk,
+    model: model || resolved.model || provider.defaultModel,
+    maxTokens,
+    temperature
+  });
+
+  // Not every provider reports usage for streams
+  if (result.usage.totalTokens > 0) {
+    await recordUsage(usageContext, provider, result.model, result.usage, 'completion');
+  }
+
+  return {
+    content: result.content,
+    usage: result.usage
+  };
+}
 
-    let fullContent = '';
+/**
+ * Resolve the provider that embeds text for a usage context
+ *
+ * Providers without an embeddings API (Anthropic) or whose vectors do not fit the
+ * embeddings column (e.g. a local 768-dimension model) use the platform embedding
+ * provider. Checked before any request, so no tokens are spent on unusable vectors.
+ *
+ * @param {Object} usageContext - { organizationId, projectId, ... }
+ * @returns {Promise<Object>} - Provider
+ * @throws {Error} - If the platform embedding provider does not fit the column either
+ */
+async function resolveEmbeddingProvider(usageContext) {
+  const { provider } = await resolveProvider(usageContext);
 
-    for await (const chunk of stream) {
-      const delta = chunk.choices[0]?.delta?.content || '';
+  if (canStoreEmbeddings(provider)) {
+    return provider;
+  }
 
-      if (delta) {
-        fullContent += delta;
-        onChunk(delta);
-      }
-    }
+  const fallback = getDefaultEmbeddingProvider();
 
-    // Note: Streaming doesn't return usage info in all cases
-    return {
-      content: fullContent,
-      usage: {
-        promptTokens: 0, // Not available in streaming
-        completionTokens: 0,
-        totalTokens: 0
-      }
-    };
-  } catch (error) {
-    throw new Error(`OpenAI streaming error: ${error.message}`);
+  if (!canStoreEmbeddings(fallback)) {
+    throw new Error(
+      `${fallback.label} embeddings (${fallback.embeddingDimensions} dimensions) do not fit the embeddings column (${EMBEDDING_DIMENSIONS} dimensions)`
+    );
   }
+
+  return fallback;
+}
+
+/**
+ * Get the embedding model used for a usage context
+ *
+ * Vectors are only comparable when they come from the same model.
+ *
+ * @param {Object} usageContext - { organizationId, projectId, ... }
+ * @returns {Promise<string>} - Embedding model
+ */
+async function getEmbeddingModel(usageContext = null) {
+  const provider = await resolveEmbeddingProvider(usageContext);
+  return provider.embeddingModel;
 }
 
 /**
  * Generate embeddings for text
  *
+ * Providers without an embeddings API (Anthropic) or with vectors of another size
+ * use the platform embedding provider (see resolveEmbeddingProvider).
+ *
  * @param {string|Array<string>} input - Text or array of texts to embed
- * @param {string} model - Embedding model (defaults to text-embedding-3-small)
+ * @param {string} model - Embedding model (defaults to the provider's embedding model)
+ * @param {Object} usageContext - Ledger attribution { projectId, crawlRunId, userId, purpose }
  * @returns {Promise<Object>} - Embeddings result with {embeddings, usage}
  */
-async function generateEmbeddings(input, model = config.embeddingModel) {
-  const client = getClient();
-
+async function generateEmbeddings(input, model = null, usageContext = null) {
   if (!input || (Array.isArray(input) && input.length === 0)) {
     throw new Error('input is required for embeddings');
   }
 
-  try {
-    const response = await client.embeddings.create({
-      model,
-      input
-    });
+  const provider = await resolveEmbeddingProvider(usageContext);
 
-    return {
-      embeddings: response.data.map(item => item.embedding),
-      usage: {
-        promptTokens: response.usage?.prompt_tokens || 0,
-        totalTokens: response.usage?.total_tokens || 0
-      },
-      model: response.model
-    };
-  } catch (error) {
-    throw new Error(`OpenAI embeddings error: ${error.message}`);
-  }
+  const response = await provider.embed({
+    input,
+    model: model || provider.embeddingModel
+  });
+
+  await recordUsage(usageContext, provider, response.model, response.usage, 'embeddings');
+
+  return {
+    embeddings: response.embeddings,
+    usage: {
+      promptTokens: response.usage.promptTokens,
+      totalTokens: response.usage.totalTokens
+    },
+    model: response.model
+  };
 }
 
 /**
@@ -277,23 +318,25 @@ Output only the summary text, no additional commentary.`;
 }
 
 /**
- * Health check for OpenAI API
+ * Health check for the default AI provider
  *
  * @returns {Promise<Object>} - Health status {ok, error}
  */
 async function healthCheck() {
   try {
-    const client = getClient();
+    const provider = getDefaultProvider();
 
     // Make a minimal API call to verify connectivity
-    const response = await client.chat.completions.create({
-      model: 'gpt-3.5-turbo',
+    const response = await provider.complete({
+      model: provider.defaultModel,
       messages: [{ role: 'user', content: 'ping' }],
-      max_tokens: 5
+      maxTokens: 5,
+      temperature: 0
     });
 
     return {
       ok: true,
+      provider: provider.name,
       model: response.model,
       responseTime: Date.now()
     };
@@ -306,10 +349,10 @@ async function healthCheck() {
 }
 
 module.exports = {
-  getClient,
   generateCompletion,
   generateStreamingCompletion,
   generateEmbeddings,
+  getEmbeddingModel,
   parseJsonResponse,
   buildScoringSystemPrompt,
   buildSummarizationSystemPrompt,
@@ -101,7 +101,8 @@ ${pdfText.substring(0, 15000)}`; // Limit to ~15k chars to stay within token lim
       // model intentionally omitted to use OPENAI_MODEL env var
       maxTokens: 3000,
       temperature: 0.3, // Lower temperature for more consistent extraction
-      responseFormat: { type: 'json_object' }
+      responseFormat: { type: 'json_object' },
+      usageContext: { purpose: 'rubric_extraction' }
     });
 
     // Parse JSON response
@@ -0,0 +1,196 @@
+/**
+ * Anthropic Provider Adapter
+ *
+ * Chat completions and streaming through the Anthropic Messages API (over axios,
+ * no SDK dependency). Anthropic has no embeddings API: embedding requests fall
+ * back to the platform default provider (see providers/index.js).
+ *
+ * Environment Variables:
+ * - ANTHROPIC_API_KEY (required) - Anthropic API key
+ * - ANTHROPIC_MODEL (optional) - Default model, defaults to claude-3-5-sonnet-latest
+ * - ANTHROPIC_BASE_URL (optional) - API base URL, defaults to https://api.anthropic.com
+ */
+
+const axios = require('axios');
+
+const API_VERSION = '2023-06-01';
+
+/**
+ * Split OpenAI-style messages into an Anthropic system prompt and conversation
+ *
+ * JSON mode has no Anthropic equivalent: the model is instructed to answer with
+ * JSON and the reply is prefilled with "{" so it cannot start with prose.
+ *
+ * @param {Array} messages - Array of message objects {role, content}
+ * @param {Object} responseFormat - Response format (e.g., {type: 'json_object'})
+ * @returns {Object} - { system, messages, prefill }
+ */
+function toAnthropicMessages(messages, responseFormat) {
+  const systemParts = messages.filter(m => m.role === 'system').map(m => m.content);
+  const conversation = messages
+    .filter(m => m.role !== 'system')
+    .map(m => ({ role: m.role === 'assistant' ? 'assistant' : 'user', content: m.content }));
+
+  let prefill = '';
+  if (responseFormat?.type === 'json_object') {
+    systemParts.push('Respond with a single valid JSON object and nothing else.');
+    prefill = '{';
+    conversation.push({ role: 'assistant', content: prefill });
+  }
+
+  return {
+    system: systemParts.join('\n\n') || undefined,
+    messages: conversation,
+    prefill
+  };
+}
+
+/**
+ * Map Anthropic usage to the provider usage format
+ *
+ * @param {Object} usage - { input_tokens, output_tokens }
+ * @returns {Object} - { promptTokens, completionTokens, totalTokens }
+ */
+function mapUsage(usage) {
+  const promptTokens = usage?.input_tokens || 0;
+  const completionTokens = usage?.output_tokens || 0;
+
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens
+  };
+}
+
+/**
+ * Extract the error message from an Anthropic API error
+ *
+ * @param {Error} error - Axios error
+ * @returns {string} - Error message
+ */
+function getErrorMessage(error) {
+  return error.response?.data?.error?.message || error.message;
+}
+
+/**
+ * Anthropic
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Provider
+ */
+function createAnthropicProvider(env = process.env) {
+  function request(body, axiosOptions = {}) {
+    if (!env.ANTHROPIC_API_KEY) {
+      throw new Error('ANTHROPIC_API_KEY environment variable is required');
+    }
+
+    const baseUrl = env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com';
+
+    return axios.post(`${baseUrl}/v1/messages`, body, {
+      headers: {
+        'x-api-key': env.ANTHROPIC_API_KEY,
+        'anthropic-version': API_VERSION,
+        'content-type': 'application/json'
+      },
+      timeout: 120000,
+      ...axiosOptions
+    });
+  }
+
+  async function complete({ messages, model, maxTokens, temperature, responseFormat }) {
+    const prepared = toAnthropicMessages(messages, responseFormat);
+
+    let response;
+    try {
+      response = await request({
+        model,
+        system: prepared.system,
+        messages: prepared.messages,
+        max_tokens: maxTokens,
+        temperature
+      });
+    } catch (error) {
+      throw new Error(`Anthropic API error: ${getErrorMessage(error)}`);
+    }
+
+    const text = (response.data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      content: prepared.prefill + text,
+      usage: mapUsage(response.data.usage),
+      model: response.data.model || model,
+      finishReason: response.data.stop_reason
+    };
+  }
+
+  async function stream({ messages, model, maxTokens, temperature, onChunk }) {
+    const prepared = toAnthropicMessages(messages, null);
+    const usage = {};
+    let fullContent = '';
+
+    try {
+      const response = await request(
+        {
+          model,
+          system: prepared.system,
+          messages: prepared.messages,
+          max_tokens: maxTokens,
+          temperature,
+          stream: true
+        },
+        { responseType: 'stream' }
+      );
+
+      // Server-sent events: one JSON payload per "data:" line
+      let buffer = '';
+      for await (const chunk of response.data) {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        lines
+          .filter(line => line.startsWith('data:'))
+          .forEach(line => {
+            const event = JSON.parse(line.slice(5));
+
+            if (event.type === 'message_start') {
+              usage.input_tokens = event.message?.usage?.input_tokens || 0;
+            } else if (event.type === 'message_delta') {
+              usage.output_tokens = event.usage?.output_tokens || 0;
+            } else if (event.type === 'content_block_delta' && event.delta?.text) {
+              fullContent += event.delta.text;
+              onChunk(event.delta.text);
+            }
+          });
+      }
+    } catch (error) {
+      throw new Error(`Anthropic streaming error: ${getErrorMessage(error)}`);
+    }
+
+    return {
+      content: fullContent,
+      usage: mapUsage(usage),
+      model
+    };
+  }
+
+  return {
+    name: 'anthropic',
+    label: 'Anthropic',
+    defaultModel: env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest',
+    embeddingModel: null,
+    embeddingDimensions: null,
+    billable: true,
+    complete,
+    stream,
+    embed: null
+  };
+}
+
+module.exports = {
+  createAnthropicProvider,
+  toAnthropicMessages
+};
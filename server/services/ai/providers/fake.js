@@ -0,0 +1,182 @@
+/**
+ * Fake Provider
+ *
+ * Deterministic, offline stand-in for tests and local development (AI_PROVIDER=fake).
+ * The same request always produces the same response, so scoring and
+ * summarization can be exercised without network access or API keys:
+ * - Text requests return the first words of the last user message
+ * - JSON requests return scores for every "- criterion_name:" line in the prompt
+ *   (the scoring prompt format, see crawler/ai-scorer.js), and {} otherwise
+ * - Embeddings are unit vectors derived from a hash of the text
+ *
+ * Requests are not billed: the usage ledger records tokens at zero cost.
+ *
+ * Environment Variables:
+ * - FAKE_EMBEDDING_DIMENSIONS (optional) - Embedding size, defaults to 1536
+ */
+
+const crypto = require('crypto');
+const { countTokens, countMessageTokens } = require('../../../utils/token-counter');
+
+/**
+ * Hash a value into a hex digest
+ *
+ * @param {*} value - Value to hash (strings as-is, everything else as JSON)
+ * @returns {string} - SHA-256 hex digest
+ */
+function hash(value) {
+  return crypto
+    .createHash('sha256')
+    .update(typeof value === 'string' ? value : JSON.stringify(value))
+    .digest('hex');
+}
+
+/**
+ * Deterministic score (40-100) for a criterion of some content
+ *
+ * @param {string} seed - Content hash
+ * @param {string} criterion - Criterion name
+ * @returns {number} - Score
+ */
+function fakeScore(seed, criterion) {
+  return 40 + (parseInt(hash(`${seed}:${criterion}`).slice(0, 8), 16) % 61);
+}
+
+/**
+ * Build the default JSON response
+ *
+ * @param {string} prompt - Last user message
+ * @returns {Object} - Scoring result, or {} when the prompt lists no criteria
+ */
+function buildJsonResponse(prompt) {
+  const criteria = [...prompt.matchAll(/^- ([a-z0-9_]+)(?: \[EMPHASIZED\])?:/gm)].map(m => m[1]);
+
+  if (criteria.length === 0) {
+    return {};
+  }
+
+  const seed = hash(prompt);
+  const criteriaScores = {};
+  const criteriaExplanations = {};
+
+  criteria.forEach(criterion => {
+    criteriaScores[criterion] = fakeScore(seed, criterion);
+    criteriaExplanations[criterion] = `Deterministic score for ${criterion}`;
+  });
+
+  const weakest = criteria.reduce((a, b) => (criteriaScores[b] < criteriaScores[a] ? b : a));
+
+  return {
+    criteriaScores,
+    criteriaExplanations,
+    recommendations: [
+      {
+        category: weakest,
+        text: `Improve ${weakest.replace(/_/g, ' ')} on this page.`,
+        references: []
+      }
+    ]
+  };
+}
+
+/**
+ * Build the default response for a completion request
+ *
+ * @param {Object} params - Completion request { messages, maxTokens, responseFormat }
+ * @returns {string} - Response content
+ */
+function defaultRespond({ messages, maxTokens, responseFormat }) {
+  const prompt = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+
+  if (responseFormat?.type === 'json_object') {
+    return JSON.stringify(buildJsonResponse(prompt));
+  }
+
+  const wordLimit = Math.max(1, Math.min(100, Math.floor((maxTokens || 100) * 0.75)));
+  return prompt.split(/\s+/).filter(Boolean).slice(0, wordLimit).join(' ');
+}
+
+/**
+ * Deterministic unit vector for a text
+ *
+ * @param {string} text - Text to embed
+ * @param {number} dimensions - Vector size
+ * @returns {Array<number>} - Embedding
+ */
+function fakeEmbedding(text, dimensions) {
+  const values = [];
+
+  for (let block = 0; values.length < dimensions; block++) {
+    const digest = hash(`${block}:${text}`);
+    for (let i = 0; i < digest.length && values.length < dimensions; i += 4) {
+      values.push(parseInt(digest.slice(i, i + 4), 16) / 0x7fff - 1);
+    }
+  }
+
+  const norm = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return values.map(value => value / norm);
+}
+
+/**
+ * Fake provider
+ *
+ * @param {Object} options - Provider options
+ * @param {Function} options.respond - Custom responder (params) => string (optional)
+ * @param {number} options.dimensions - Embedding size (optional)
+ * @returns {Object} - Provider
+ */
+function createFakeProvider(options = {}) {
+  const respond = options.respond || defaultRespond;
+  const dimensions =
+    options.dimensions || parseInt(process.env.FAKE_EMBEDDING_DIMENSIONS || '1536', 10);
+
+  async function complete(params) {
+    const content = respond(params);
+    const promptTokens = countMessageTokens(params.messages);
+    const completionTokens = countTokens(content);
+
+    return {
+      content,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens
+      },
+      model: params.model,
+      finishReason: 'stop'
+    };
+  }
+
+  async function stream(params) {
+    const result = await complete(params);
+    result.content.split(/(?<=\s)/).forEach(chunk => params.onChunk(chunk));
+    return result;
+  }
+
+  async function embed({ input, model }) {
+    const texts = Array.isArray(input) ? input : [input];
+    const promptTokens = texts.reduce((sum, text) => sum + countTokens(text), 0);
+
+    return {
+      embeddings: texts.map(text => fakeEmbedding(text, dimensions)),
+      usage: { promptTokens, completionTokens: 0, totalTokens: promptTokens },
+      model
+    };
+  }
+
+  return {
+    name: 'fake',
+    label: 'Fake provider',
+    defaultModel: 'fake-chat',
+    embeddingModel: 'fake-embedding',
+    embeddingDimensions: dimensions,
+    billable: false,
+    complete,
+    stream,
+    embed
+  };
+}
+
+module.exports = {
+  createFakeProvider
+};
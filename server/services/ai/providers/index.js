@@ -0,0 +1,265 @@
+/**
+ * LLM Provider Registry
+ *
+ * Selects the provider behind services/ai/client.js. Every provider exposes:
+ * - name, label, defaultModel, embeddingModel, embeddingDimensions, billable
+ * - complete({ messages, model, maxTokens, temperature, responseFormat })
+ * - stream({ messages, model, maxTokens, temperature, onChunk })
+ * - embed({ input, model }) - null when the vendor has no embeddings API
+ *
+ * The platform default comes from AI_PROVIDER (default openai). Organizations can
+ * pick another configured provider and model in organizations.settings.ai_provider
+ * ({ provider, model }). Credentials always come from the environment.
+ *
+ * Environment Variables:
+ * - AI_PROVIDER (optional) - openai, anthropic, azure_openai, openai_compatible or fake
+ * - AI_EMBEDDING_PROVIDER (optional) - Provider for embeddings when the chat provider has none
+ *   or its vectors do not fit the embeddings column
+ */
+
+const OrganizationModel = require('../../../models/organization');
+const AiUsageModel = require('../../../models/ai-usage');
+const { EMBEDDING_DIMENSIONS } = require('../../../models/embedding');
+const {
+  createOpenAIProvider,
+  createAzureOpenAIProvider,
+  createOpenAICompatibleProvider
+} = require('./openai');
+const { createAnthropicProvider } = require('./anthropic');
+const { createFakeProvider } = require('./fake');
+
+/**
+ * Provider factories by name
+ */
+const PROVIDER_FACTORIES = {
+  openai: createOpenAIProvider,
+  anthropic: createAnthropicProvider,
+  azure_openai: createAzureOpenAIProvider,
+  openai_compatible: createOpenAICompatibleProvider,
+  fake: createFakeProvider
+};
+
+/**
+ * Providers organizations can select (the fake provider is platform-wide only)
+ */
+const ORGANIZATION_PROVIDERS = ['openai', 'anthropic', 'azure_openai', 'openai_compatible'];
+
+/**
+ * How long organization provider settings are cached
+ */
+const SETTINGS_TTL_MS = 60 * 1000;
+
+const providers = new Map();
+const organizationSettings = new Map();
+let providerOverride = null;
+
+/**
+ * Check whether a provider has the credentials it needs
+ *
+ * @param {string} name - Provider name
+ * @param {Object} env - Environment variables
+ * @returns {boolean} - True if requests can be made
+ */
+function isProviderConfigured(name, env = process.env) {
+  const requirements = {
+    openai: () => env.OPENAI_API_KEY,
+    anthropic: () => env.ANTHROPIC_API_KEY,
+    azure_openai: () => env.AZURE_OPENAI_API_KEY && env.AZURE_OPENAI_ENDPOINT,
+    openai_compatible: () => env.LOCAL_LLM_BASE_URL,
+    fake: () => true
+  };
+
+  return Boolean(requirements[name]?.());
+}
+
+/**
+ * Get a provider instance by name
+ *
+ * @param {string} name - Provider name
+ * @returns {Object} - Provider
+ * @throws {Error} - If the provider is unknown
+ */
+function getProvider(name) {
+  if (!PROVIDER_FACTORIES[name]) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+
+  if (!providers.has(name)) {
+    providers.set(name, PROVIDER_FACTORIES[name]());
+  }
+
+  return providers.get(name);
+}
+
+/**
+ * Get the platform default provider
+ *
+ * @returns {Object} - Provider
+ */
+function getDefaultProvider() {
+  return providerOverride || getProvider(process.env.AI_PROVIDER || 'openai');
+}
+
+/**
+ * Check whether a provider embeds text into vectors the embeddings column can store
+ *
+ * @param {Object} provider - Provider
+ * @returns {boolean} - True if the provider has an embeddings API of the column's size
+ */
+function canStoreEmbeddings(provider) {
+  return Boolean(provider.embed) && provider.embeddingDimensions === EMBEDDING_DIMENSIONS;
+}
+
+/**
+ * Get the provider used for embeddings when the chat provider cannot embed for the platform
+ *
+ * @returns {Object} - Provider
+ */
+function getDefaultEmbeddingProvider() {
+  if (process.env.AI_EMBEDDING_PROVIDER) {
+    return getProvider(process.env.AI_EMBEDDING_PROVIDER);
+  }
+
+  const provider = getDefaultProvider();
+  return canStoreEmbeddings(provider) ? provider : getProvider('openai');
+}
+
+/**
+ * Use a provider for every request, ignoring organization settings (tests)
+ *
+ * @param {Object|string|null} provider - Provider, provider name, or null to restore
+ */
+function setProviderOverride(provider) {
+  providerOverride = typeof provider === 'string' ? getProvider(provider) : provider;
+}
+
+/**
+ * List the providers organizations can select on this deployment
+ *
+ * @returns {Array<Object>} - [{ name, label, default_model, embeddings }]
+ */
+function listAvailableProviders() {
+  return ORGANIZATION_PROVIDERS.filter(name => isProviderConfigured(name)).map(name => {
+    const provider = getProvider(name);
+    return {
+      name,
+      label: provider.label,
+      default_model: provider.defaultModel,
+      embeddings: Boolean(provider.embed)
+    };
+  });
+}
+
+/**
+ * Validate organization provider settings
+ *
+ * @param {Object} updates - { provider, model }
+ * @returns {Array<string>} - Validation errors
+ */
+function validateProviderSettings(updates = {}) {
+  const errors = [];
+
+  Object.keys(updates).forEach(field => {
+    if (!['provider', 'model'].includes(field)) {
+      errors.push(`Unknown provider field: ${field}`);
+    }
+  });
+
+  if (updates.provider !== undefined && updates.provider !== null) {
+    if (!ORGANIZATION_PROVIDERS.includes(updates.provider)) {
+      errors.push(`provider must be one of: ${ORGANIZATION_PROVIDERS.join(', ')}`);
+    } else if (!isProviderConfigured(updates.provider)) {
+      errors.push(`provider ${updates.provider} is not configured on this server`);
+    }
+  }
+
+  if (
+    updates.model !== undefined &&
+    updates.model !== null &&
+    (typeof updates.model !== 'string' || updates.model.trim().length === 0)
+  ) {
+    errors.push('model must be a non-empty string or null');
+  }
+
+  return errors;
+}
+
+/**
+ * Get the provider settings of an organization (cached)
+ *
+ * @param {string} organizationId - Organization UUID
+ * @returns {Promise<Object>} - { provider, model } or {}
+ */
+async function getOrganizationProviderSettings(organizationId) {
+  const cached = organizationSettings.get(organizationId);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.settings;
+  }
+
+  const organization = await OrganizationModel.findOrganizationById(organizationId);
+  const settings = organization?.settings?.ai_provider || {};
+
+  organizationSettings.set(organizationId, { settings, expiresAt: Date.now() + SETTINGS_TTL_MS });
+  return settings;
+}
+
+/**
+ * Forget cached provider settings (after an organization changes them)
+ *
+ * @param {string} organizationId - Organization UUID
+ */
+function clearProviderCache(organizationId) {
+  organizationSettings.delete(organizationId);
+}
+
+/**
+ * Resolve the provider and model for a request
+ *
+ * Uses the organization of the usage context (directly or via its project) and
+ * falls back to the platform default when the organization has no provider or
+ * its provider is not configured.
+ *
+ * @param {Object|null} usageContext - { organizationId, projectId, ... }
+ * @returns {Promise<Object>} - { provider, model } (model null = provider default)
+ */
+async function resolveProvider(usageContext) {
+  if (providerOverride) {
+    return { provider: providerOverride, model: null };
+  }
+
+  try {
+    const organizationId =
+      usageContext?.organizationId ||
+      (usageContext?.projectId
+        ? await AiUsageModel.getProjectOrganizationId(usageContext.projectId)
+        : null);
+
+    if (organizationId) {
+      const settings = await getOrganizationProviderSettings(organizationId);
+
+      if (settings.provider && isProviderConfigured(settings.provider)) {
+        return { provider: getProvider(settings.provider), model: settings.model || null };
+      }
+    }
+  } catch (error) {
+    console.warn('Failed to resolve organization AI provider:', error.message);
+  }
+
+  return { provider: getDefaultProvider(), model: null };
+}
+
+module.exports = {
+  PROVIDER_FACTORIES,
+  ORGANIZATION_PROVIDERS,
+  isProviderConfigured,
+  getProvider,
+  getDefaultProvider,
+  canStoreEmbeddings,
+  getDefaultEmbeddingProvider,
+  setProviderOverride,
+  listAvailableProviders,
+  validateProviderSettings,
+  clearProviderCache,
+  resolveProvider
+};
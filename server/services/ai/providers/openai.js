@@ -0,0 +1,238 @@
+/**
+ * OpenAI Provider Adapters
+ *
+ * Chat completions, streaming and embeddings through the official openai SDK.
+ * The same adapter serves three deployments:
+ * - openai - api.openai.com
+ * - azure_openai - Azure OpenAI Service (models are deployment names)
+ * - openai_compatible - Any OpenAI-compatible endpoint, e.g. a local Ollama server
+ *
+ * Environment Variables:
+ * - OPENAI_API_KEY, OPENAI_MODEL - OpenAI
+ * - AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT - Azure OpenAI (both required)
+ * - AZURE_OPENAI_API_VERSION (default 2024-10-21)
+ * - AZURE_OPENAI_DEPLOYMENT, AZURE_OPENAI_EMBEDDING_DEPLOYMENT - Azure deployment names
+ * - LOCAL_LLM_BASE_URL (default http://localhost:11434/v1) - OpenAI-compatible endpoint
+ * - LOCAL_LLM_API_KEY (optional), LOCAL_LLM_MODEL (default llama3.1)
+ * - AZURE_OPENAI_EMBEDDING_DIMENSIONS (default 1536) - Vector size of the embedding deployment
+ * - LOCAL_LLM_EMBEDDING_MODEL (default nomic-embed-text)
+ * - LOCAL_LLM_EMBEDDING_DIMENSIONS (default 768) - Vector size of the local embedding model
+ */
+
+const { OpenAI, AzureOpenAI } = require('openai');
+
+/**
+ * Map an SDK usage object to the provider usage format
+ *
+ * @param {Object} usage - SDK usage ({ prompt_tokens, completion_tokens, total_tokens })
+ * @returns {Object} - { promptTokens, completionTokens, totalTokens }
+ */
+function mapUsage(usage) {
+  return {
+    promptTokens: usage?.prompt_tokens || 0,
+    completionTokens: usage?.completion_tokens || 0,
+    totalTokens: usage?.total_tokens || 0
+  };
+}
+
+/**
+ * Build a provider around an OpenAI SDK client
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name
+ * @param {string} options.label - Name used in error messages
+ * @param {Function} options.createClient - Returns the SDK client (called on first request)
+ * @param {string} options.defaultModel - Chat model when the caller does not pass one
+ * @param {string} options.embeddingModel - Embedding model when the caller does not pass one
+ * @param {number} options.embeddingDimensions - Vector size of the embedding model
+ * @param {boolean} options.billable - Whether requests cost money (priced in the usage ledger)
+ * @returns {Object} - Provider
+ */
+function createSdkProvider({
+  name,
+  label,
+  createClient,
+  defaultModel,
+  embeddingModel,
+  embeddingDimensions,
+  billable
+}) {
+  let client = null;
+
+  function getClient() {
+    if (!client) {
+      client = createClient();
+    }
+    return client;
+  }
+
+  async function complete({ messages, model, maxTokens, temperature, responseFormat }) {
+    const requestParams = {
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    };
+
+    // Add response format if specified (for JSON mode)
+    if (responseFormat) {
+      requestParams.response_format = responseFormat;
+    }
+
+    let completion;
+    try {
+      completion = await getClient().chat.completions.create(requestParams);
+    } catch (error) {
+      throw new Error(`${label} API error: ${error.message}`);
+    }
+
+    return {
+      content: completion.choices[0]?.message?.content || '',
+      usage: mapUsage(completion.usage),
+      model: completion.model || model,
+      finishReason: completion.choices[0]?.finish_reason
+    };
+  }
+
+  async function stream({ messages, model, maxTokens, temperature, onChunk }) {
+    try {
+      const response = await getClient().chat.completions.create({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        stream: true
+      });
+
+      let fullContent = '';
+
+      for await (const chunk of response) {
+        const delta = chunk.choices[0]?.delta?.content || '';
+
+        if (delta) {
+          fullContent += delta;
+          onChunk(delta);
+        }
+      }
+
+      // Note: Streaming doesn't return usage info in all cases
+      return {
+        content: fullContent,
+        usage: mapUsage(null),
+        model
+      };
+    } catch (error) {
+      throw new Error(`${label} streaming error: ${error.message}`);
+    }
+  }
+
+  async function embed({ input, model }) {
+    let response;
+    try {
+      response = await getClient().embeddings.create({ model, input });
+    } catch (error) {
+      throw new Error(`${label} embeddings error: ${error.message}`);
+    }
+
+    return {
+      embeddings: response.data.map(item => item.embedding),
+      usage: mapUsage(response.usage),
+      model: response.model || model
+    };
+  }
+
+  return {
+    name,
+    label,
+    defaultModel,
+    embeddingModel,
+    embeddingDimensions,
+    billable,
+    complete,
+    stream,
+    embed
+  };
+}
+
+/**
+ * OpenAI (api.openai.com)
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Provider
+ */
+function createOpenAIProvider(env = process.env) {
+  return createSdkProvider({
+    name: 'openai',
+    label: 'OpenAI',
+    defaultModel: env.OPENAI_MODEL || 'gpt-4-turbo',
+    embeddingModel: 'text-embedding-3-small',
+    embeddingDimensions: 1536,
+    billable: true,
+    createClient: () => {
+      if (!env.OPENAI_API_KEY) {
+        throw new Error('OPENAI_API_KEY environment variable is required');
+      }
+      return new OpenAI({ apiKey: env.OPENAI_API_KEY });
+    }
+  });
+}
+
+/**
+ * Azure OpenAI Service
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Provider
+ */
+function createAzureOpenAIProvider(env = process.env) {
+  return createSdkProvider({
+    name: 'azure_openai',
+    label: 'Azure OpenAI',
+    defaultModel: env.AZURE_OPENAI_DEPLOYMENT || 'gpt-4o',
+    embeddingModel: env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT || 'text-embedding-3-small',
+    embeddingDimensions: parseInt(env.AZURE_OPENAI_EMBEDDING_DIMENSIONS || '1536', 10),
+    billable: true,
+    createClient: () => {
+      if (!env.AZURE_OPENAI_API_KEY || !env.AZURE_OPENAI_ENDPOINT) {
+        throw new Error(
+          'AZURE_OPENAI_API_KEY and AZURE_OPENAI_ENDPOINT environment variables are required'
+        );
+      }
+      return new AzureOpenAI({
+        apiKey: env.AZURE_OPENAI_API_KEY,
+        endpoint: env.AZURE_OPENAI_ENDPOINT,
+        apiVersion: env.AZURE_OPENAI_API_VERSION || '2024-10-21'
+      });
+    }
+  });
+}
+
+/**
+ * OpenAI-compatible endpoint (Ollama, vLLM, LM Studio, ...)
+ *
+ * Requests are not billed: the usage ledger records tokens at zero cost.
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Provider
+ */
+function createOpenAICompatibleProvider(env = process.env) {
+  return createSdkProvider({
+    name: 'openai_compatible',
+    label: 'OpenAI-compatible endpoint',
+    defaultModel: env.LOCAL_LLM_MODEL || 'llama3.1',
+    embeddingModel: env.LOCAL_LLM_EMBEDDING_MODEL || 'nomic-embed-text',
+    embeddingDimensions: parseInt(env.LOCAL_LLM_EMBEDDING_DIMENSIONS || '768', 10),
+    billable: false,
+    createClient: () =>
+      new OpenAI({
+        baseURL: env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+        // Local servers usually ignore the key, but the SDK requires one
+        apiKey: env.LOCAL_LLM_API_KEY || 'local'
+      })
+  });
+}
+
+module.exports = {
+  createOpenAIProvider,
+  createAzureOpenAIProvider,
+  createOpenAICompatibleProvider
+};
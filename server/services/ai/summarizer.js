@@ -61,6 +61,7 @@ function needsSummarization(text, threshold = 1000) {
  */
 function extractStructuredInfo(snapshot) {
   const extraction = snapshot.extraction || {};
+  const structuredData = snapshot.structured_data?.summary ? snapshot.structured_data : null;
 
   return {
     title: extraction.title || '',
@@ -71,10 +72,18 @@ function extractStructuredInfo(snapshot) {
     internalLinksCount: (extraction.internal_links || []).length,
     outboundLinksCount: (extraction.outbound_links || []).length,
     schemaTypes: extraction.schema_types || [],
+    schemaValidation: structuredData && {
+      errorCount: structuredData.summary.error_count,
+      warningCount: structuredData.summary.warning_count,
+      richResults: structuredData.summary.rich_results,
+      errors: structuredData.errors.slice(0, 3).map(issue => `${issue.path}: ${issue.message}`)
+    },
     author: extraction.author || null,
     datePublished: extraction.date_published || null,
     wordCount: snapshot.metrics?.word_count || 0,
-    hasCanonical: !!extraction.canonical_url
+    hasCanonical: !!extraction.canonical_url,
+    llmsTxt: snapshot.metrics?.llms_txt || null,
+    jsDependency: snapshot.js_dependency?.severity ? snapshot.js_dependency : null
   };
 }
 
@@ -111,9 +120,41 @@ function buildContextString(structuredInfo) {
     parts.push(`Schema: ${structuredInfo.schemaTypes.join(', ')}`);
   }
 
+  // Validation results feed the structured data criteria
+  const validation = structuredInfo.schemaValidation;
+  if (validation && (validation.errorCount > 0 || validation.warningCount > 0)) {
+    const errors = validation.errors.length > 0 ? ` (${validation.errors.join('; ')})` : '';
+    parts.push(
+      `Schema validation: ${validation.errorCount} errors, ${validation.warningCount} warnings${errors}`
+    );
+  }
+
+  if (validation && validation.richResults.length > 0) {
+    parts.push(`Eligible rich results: ${validation.richResults.join(', ')}`);
+  }
+
   parts.push(`Links: ${structuredInfo.internalLinksCount} internal, ${structuredInfo.outboundLinksCount} external`);
   parts.push(`Words: ${structuredInfo.wordCount}`);
 
+  // Site-level signal for the technical criteria
+  const llmsTxt = structuredInfo.llmsTxt;
+  if (llmsTxt) {
+    const index = llmsTxt.found ? `present${llmsTxt.valid ? '' : ' (invalid format)'}` : 'missing';
+    parts.push(`llms.txt: ${index}, llms-full.txt: ${llmsTxt.full_found ? 'present' : 'missing'}`);
+  }
+
+  // Static vs rendered comparison feeds the static_content criterion
+  const jsDependency = structuredInfo.jsDependency;
+  if (jsDependency) {
+    let missing = 'all key content present';
+    if (jsDependency.missing.length > 0) {
+      missing = `only after JavaScript rendering: ${jsDependency.missing.join(', ')}`;
+    }
+    parts.push(
+      `Static HTML (no JavaScript): ${missing}; ${Math.round(jsDependency.text_coverage * 100)}% of rendered text`
+    );
+  }
+
   return parts.join('\n');
 }
 
@@ -125,13 +166,15 @@ function buildContextString(structuredInfo) {
  * @param {number} options.targetLength - Target summary length in words (default 300)
  * @param {string} options.pageType - Page type for context
  * @param {Object} options.structuredInfo - Pre-extracted structured info
+ * @param {Object} options.usageContext - AI usage ledger attribution { projectId, crawlRunId, userId }
  * @returns {Promise<Object>} - Summary result {summary, tokensUsed, originalTokens, reduction}
  */
 async function summarizeContent(content, options = {}) {
   const {
     targetLength = 300,
     pageType = 'unknown',
-    structuredInfo = null
+    structuredInfo = null,
+    usageContext = null
   } = options;
 
   // Count original tokens
@@ -157,7 +200,8 @@ async function summarizeContent(content, options = {}) {
       ],
       // model intentionally omitted to use OPENAI_MODEL env var
       maxTokens: Math.min(800, targetLength * 2), // Rough token estimate
-      temperature: 0.3 // Lower for more consistent summaries
+      temperature: 0.3, // Lower for more consistent summaries
+      usageContext: { ...usageContext, purpose: 'summarization' }
     });
 
     const summary = response.content;
@@ -186,12 +230,14 @@ async function summarizeContent(content, options = {}) {
  * @param {Object} options - Preparation options
  * @param {boolean} options.forceSummarize - Force AI summarization even if short
  * @param {number} options.tokenThreshold - Threshold for summarization (default 1000)
+ * @param {Object} options.usageContext - AI usage ledger attribution (passed to summarizeContent)
  * @returns {Promise<Object>} - Prepared content {content, method, tokensUsed, metadata}
  */
 async function prepareContentForScoring(snapshot, options = {}) {
   const {
     forceSummarize = false,
-    tokenThreshold = 1000
+    tokenThreshold = 1000,
+    usageContext = null
   } = options;
 
   // Extract structured info (always done, no tokens used)
@@ -227,7 +273,8 @@ async function prepareContentForScoring(snapshot, options = {}) {
   const summaryResult = await summarizeContent(cleanedText, {
     targetLength: 300,
     pageType,
-    structuredInfo
+    structuredInfo,
+    usageContext
   });
 
   // Combine structured info with summary
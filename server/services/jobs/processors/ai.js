@@ -0,0 +1,339 @@
+/**
+ * AI Job Processor
+ *
+ * Background job processor for the AI queue.
+ *
+ * Job types:
+ * - generate_embeddings: Chunk a snapshot's cleaned_text, embed the chunks and
+ *   store them as the page's embeddings (used by semantic search). Content whose
+ *   hash is already embedded with the same model is skipped.
+ * - cluster_topics: Group a project's active pages into topic clusters from their
+ *   embeddings, label the clusters with the LLM and store the content-gap report.
+ *
+ * AI requests are recorded in the AI usage ledger and respect the
+ * organization AI quota (utils/ai-quota.js).
+ */
+
+const { Worker } = require('bullmq');
+const { QUEUE_NAMES, redisConnection, JOB_TYPES } = require('../queue');
+const {
+  generateCompletion,
+  generateEmbeddings,
+  getEmbeddingModel,
+  parseJsonResponse
+} = require('../../ai/client');
+const {
+  clusterPages,
+  buildLabelingMessages,
+  parseClusterLabels,
+  buildClusterReport
+} = require('../../../crawler/topic-clusters');
+const { chunkText } = require('../../../utils/text-chunker');
+const { countTokens, estimateRequestCost } = require('../../../utils/token-counter');
+const EmbeddingModel = require('../../../models/embedding');
+const SnapshotModel = require('../../../models/snapshot');
+const PageModel = require('../../../models/page');
+const PageScoreModel = require('../../../models/score');
+const AiUsageModel = require('../../../models/ai-usage');
+const TopicClusteringModel = require('../../../models/topic-clustering');
+
+/**
+ * BullMQ Worker instance for AI jobs
+ */
+let aiWorker;
+
+/**
+ * Pages looked up per request when loading clustered pages
+ */
+const PAGE_BATCH_SIZE = 200;
+
+/**
+ * Process an embedding job
+ *
+ * @param {Object} job - BullMQ job object
+ * @param {string} job.data.snapshotId - Snapshot to embed
+ * @param {string} job.data.projectId - Project UUID (looked up from the page when missing)
+ * @param {string} job.data.crawlRunId - Crawl run that created the snapshot (optional)
+ * @param {string} job.data.userId - User who started the crawl (AI usage ledger attribution)
+ * @returns {Promise<Object>} - { snapshotId, chunks, tokensUsed, skipped, reason }
+ */
+async function processEmbeddingJob(job) {
+  const { snapshotId, crawlRunId, userId } = job.data;
+
+  const snapshot = await SnapshotModel.getById(snapshotId);
+
+  if (!snapshot) {
+    throw new Error(`Snapshot not found: ${snapshotId}`);
+  }
+
+  const skip = reason => {
+    console.log(`[Embedding Job] Skipped snapshot ${snapshotId}: ${reason}`);
+    return { snapshotId, chunks: 0, tokensUsed: 0, skipped: true, reason };
+  };
+
+  const text = snapshot.cleaned_text || '';
+
+  if (!text.trim()) {
+    return skip('no_content');
+  }
+
+  let projectId = job.data.projectId;
+  if (!projectId) {
+    const page = await PageModel.getById(snapshot.page_id);
+    projectId = page?.project_id;
+  }
+
+  if (!projectId) {
+    throw new Error(`Page not found for snapshot ${snapshotId}`);
+  }
+
+  const usageContext = { projectId, crawlRunId, userId, purpose: 'embeddings' };
+  const model = await getEmbeddingModel(usageContext);
+
+  if (await EmbeddingModel.hasContentEmbedding(snapshot.page_id, snapshot.content_hash, model)) {
+    return skip('unchanged');
+  }
+
+  const chunks = chunkText(text);
+  const estimatedTokens = chunks.reduce((sum, chunk) => sum + countTokens(chunk), 0);
+
+  const quota = await AiUsageModel.getProjectQuotaStatus(projectId, {
+    tokens: estimatedTokens,
+    usd: estimateRequestCost(estimatedTokens, 0, model)
+  });
+
+  if (quota.status === 'exceeded') {
+    return skip(`org_${quota.reason}`);
+  }
+
+  await job.updateProgress({ stage: 'embedding', chunks: chunks.length });
+
+  const result = await generateEmbeddings(chunks, model, usageContext);
+
+  // Stored under the configured model (e.g. an Azure deployment), which the skip check
+  // and topic clustering look up, not the model name the API reports
+  await EmbeddingModel.replacePageEmbeddings(
+    snapshot,
+    projectId,
+    model,
+    chunks.map((chunk, index) => ({ text: chunk, embedding: result.embeddings[index] }))
+  );
+
+  console.log(
+    `[Embedding Job] Embedded snapshot ${snapshotId}: ${chunks.length} chunks, ${result.usage.totalTokens} tokens`
+  );
+
+  return {
+    snapshotId,
+    chunks: chunks.length,
+    tokensUsed: result.usage.totalTokens,
+    skipped: false,
+    reason: null
+  };
+}
+
+/**
+ * Load the active pages behind page vectors, with their current overall score
+ *
+ * @param {Array<Object>} vectors - [{ page_id, embedding, snippet }]
+ * @returns {Promise<Array>} - [{ page_id, embedding, snippet, url, page_type, overall_score }]
+ */
+async function loadClusterPages(vectors) {
+  const pages = [];
+
+  for (let i = 0; i < vectors.length; i += PAGE_BATCH_SIZE) {
+    const batch = vectors.slice(i, i + PAGE_BATCH_SIZE);
+    const records = await PageModel.getByIds(batch.map(vector => vector.page_id));
+    const activeById = new Map(
+      records
+        .filter(page => (page.lifecycle_status || 'active') === 'active')
+        .map(page => [page.id, page])
+    );
+    const scores = await PageScoreModel.getOverallScores(
+      [...activeById.values()].map(page => page.current_score_id).filter(Boolean)
+    );
+
+    batch
+      .filter(vector => activeById.has(vector.page_id))
+      .forEach(vector => {
+        const page = activeById.get(vector.page_id);
+        pages.push({
+          ...vector,
+          url: page.url,
+          page_type: page.page_type,
+          overall_score: scores.get(page.current_score_id) ?? null
+        });
+      });
+  }
+
+  return pages;
+}
+
+/**
+ * Ask the LLM for cluster labels (numbered topics when it fails or the quota is used up)
+ *
+ * @param {Array<Object>} clusters - Result of clusterPages()
+ * @param {Object} usageContext - Ledger attribution
+ * @returns {Promise<Array<string>>} - One label per cluster
+ */
+async function labelClusters(clusters, usageContext) {
+  if (clusters.length === 0) {
+    return [];
+  }
+
+  try {
+    const quota = await AiUsageModel.getProjectQuotaStatus(usageContext.projectId);
+
+    if (quota.status === 'exceeded') {
+      console.log('[Topic Job] Organization AI quota reached, using numbered topic labels');
+      return parseClusterLabels(null, clusters.length);
+    }
+
+    const response = await generateCompletion({
+      messages: buildLabelingMessages(clusters),
+      maxTokens: 100 + clusters.length * 20,
+      temperature: 0.2,
+      responseFormat: { type: 'json_object' },
+      usageContext
+    });
+
+    return parseClusterLabels(parseJsonResponse(response.content), clusters.length);
+  } catch (error) {
+    console.warn('[Topic Job] Failed to label clusters:', error.message);
+    return parseClusterLabels(null, clusters.length);
+  }
+}
+
+/**
+ * Process a topic clustering job
+ *
+ * @param {Object} job - BullMQ job object
+ * @param {string} job.data.clusteringId - Topic clustering run UUID
+ * @param {string} job.data.projectId - Project UUID
+ * @param {string} job.data.userId - User who started the run (AI usage ledger attribution)
+ * @returns {Promise<Object>} - { clusteringId, pageCount, clusterCount, thinClusters, lowScoreClusters }
+ */
+async function processTopicClusteringJob(job) {
+  const { clusteringId, projectId, userId } = job.data;
+  const usageContext = { projectId, userId, purpose: 'topic_labels' };
+
+  await TopicClusteringModel.update(clusteringId, { status: 'running' });
+
+  try {
+    const model = await getEmbeddingModel(usageContext);
+    const vectors = await EmbeddingModel.listPageVectors(projectId, model);
+    const pages = await loadClusterPages(vectors);
+    const activePages = await PageModel.countByProject(projectId, { lifecycle_status: 'active' });
+
+    await job.updateProgress({ stage: 'clustering', pages: pages.length });
+
+    const clusters = clusterPages(pages);
+    const labels = await labelClusters(clusters, usageContext);
+    const report = buildClusterReport(clusters, labels, {
+      unembeddedPages: Math.max(0, activePages - pages.length)
+    });
+
+    await TopicClusteringModel.complete(clusteringId, report, model);
+
+    console.log(
+      `[Topic Job] Clustered ${pages.length} pages of project ${projectId} into ${clusters.length} topics`
+    );
+
+    return {
+      clusteringId,
+      pageCount: report.summary.page_count,
+      clusterCount: report.summary.cluster_count,
+      thinClusters: report.summary.thin_clusters,
+      lowScoreClusters: report.summary.low_score_clusters
+    };
+  } catch (error) {
+    await TopicClusteringModel.fail(clusteringId, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Job processor router
+ *
+ * @param {Object} job - BullMQ job object
+ * @returns {Promise<Object>} - Job result
+ */
+async function processJob(job) {
+  const handlers = {
+    [JOB_TYPES.GENERATE_EMBEDDINGS]: processEmbeddingJob,
+    [JOB_TYPES.CLUSTER_TOPICS]: processTopicClusteringJob
+  };
+
+  const handler = handlers[job.name];
+
+  if (!handler) {
+    throw new Error(`Unknown job type: ${job.name}`);
+  }
+
+  return handler(job);
+}
+
+/**
+ * Initialize the AI worker
+ *
+ * @param {Object} supabase - Supabase client
+ * @returns {Worker} - AI worker instance
+ */
+function initializeAiWorker(supabase) {
+  // Initialize models with Supabase client
+  EmbeddingModel.setSupabaseClient(supabase);
+  SnapshotModel.setSupabaseClient(supabase);
+  PageModel.setSupabaseClient(supabase);
+  PageScoreModel.setSupabaseClient(supabase);
+  AiUsageModel.setSupabaseClient(supabase);
+  TopicClusteringModel.setSupabaseClient(supabase);
+
+  aiWorker = new Worker(
+    QUEUE_NAMES.AI,
+    async job => {
+      console.log(`Processing AI job ${job.id} (${job.name})`);
+      return await processJob(job);
+    },
+    {
+      connection: redisConnection,
+      concurrency: 2,
+      limiter: {
+        max: 20, // Max 20 jobs
+        duration: 1000 // Per second
+      }
+    }
+  );
+
+  aiWorker.on('completed', job => {
+    console.log(`AI job ${job.id} completed`);
+  });
+
+  aiWorker.on('failed', (job, err) => {
+    console.error(`AI job ${job?.id} failed:`, err.message);
+  });
+
+  aiWorker.on('error', err => {
+    console.error('AI worker error:', err);
+  });
+
+  return aiWorker;
+}
+
+/**
+ * Close the AI worker
+ *
+ * @returns {Promise<void>}
+ */
+async function closeAiWorker() {
+  if (aiWorker) {
+    await aiWorker.close();
+  }
+}
+
+module.exports = {
+  initializeAiWorker,
+  closeAiWorker,
+  processJob,
+  processEmbeddingJob,
+  processTopicClusteringJob
+};
@@ -7,11 +7,35 @@
  * Features:
  * - Sitemap discovery and parsing
  * - Recursive link following up to depth limit
+ * - URL list crawls: exactly the provided URLs, without discovery or link following
+ * - Scheduled crawls: runs started by each project's crawl schedule (BullMQ job
+ *   scheduler), skipped while another run of the project is queued or running
+ * - Concurrent fetching with per-host politeness (Crawl-delay, 429/503 back-off)
  * - URL deduplication with canonical URL resolution
+ * - Crawl credentials for staging sites (basic auth, headers, cookies, login step),
+ *   loaded encrypted per project and applied to page, robots.txt and sitemap requests
+ * - Project URL rules (include/exclude patterns, query parameter strip/keep lists,
+ *   path rewrites, trailing slash/case policy) applied to every queued URL
  * - Content extraction with structured data
  * - Snapshot versioning (only create if content changed)
+ * - Delta crawls (sitemap lastmod + conditional requests, new/changed/unchanged/removed report)
+ * - Page lifecycle tracking (active, redirected, gone, blocked by robots, noindex)
+ * - Near-duplicate report of the project's pages at the end of each run
+ * - Internal link graph per run (full and delta crawls) and its analysis: orphans,
+ *   click depth, internal PageRank, broken links, anchor-text diversity
+ * - Redirect chains of crawled URLs and a follow-up link audit job that
+ *   HEAD-checks internal and outbound links (broken links, redirects, loops)
+ * - AI crawler access audit: robots.txt rules for AI search/training crawlers on
+ *   the most important paths, plus X-Robots-Tag / meta robots directives per page
+ * - llms.txt / llms-full.txt discovery and validation (structure, links resolving,
+ *   linked pages crawlable); presence is recorded with each snapshot for scoring
+ * - Opt-in static vs rendered comparison: content of rendered pages missing from
+ *   the HTML served to crawlers that do not execute JavaScript
+ * - Opt-in automatic scoring of new/changed snapshots (highest priority first, budgeted)
+ * - Embeddings of new/changed snapshots for semantic search (AI queue)
  * - Progress tracking and token usage monitoring
- * - Pause/resume support
+ * - Pause/resume support (frontier checkpointed on the crawl run every few pages,
+ *   flushed on pause, worker shutdown and completion)
  * - Error handling and retry logic
  */
 
@@ -25,17 +49,90 @@ const {
   isSameDomain
 } = require('../../../crawler/canonicalizer');
 const { extractContent, calculateMetrics } = require('../../../crawler/extractor');
+const { CrawlFrontier } = require('../../../crawler/frontier');
+const { PolitenessScheduler, isBackoffStatus } = require('../../../crawler/scheduler');
+const {
+  DeltaReport,
+  extractValidators,
+  buildConditionalHeaders,
+  isUnchangedSinceLastmod
+} = require('../../../crawler/delta');
+const {
+  isGoneStatus,
+  isRedirected,
+  hasNoindex,
+  classifyPage
+} = require('../../../crawler/lifecycle');
+const { buildDuplicateReport } = require('../../../crawler/near-duplicates');
+const { analyzeLinkGraph } = require('../../../crawler/link-graph');
+const {
+  LinkChecker,
+  DEFAULT_LINK_CHECK_OPTIONS,
+  describeRedirectChain,
+  buildLinkAuditReport
+} = require('../../../crawler/link-checker');
+const {
+  detectAiDirectives,
+  selectAuditPaths,
+  buildAiCrawlerAudit
+} = require('../../../crawler/ai-crawler-audit');
+const {
+  MAX_CHECKED_LINKS: MAX_CHECKED_LLMS_LINKS,
+  fetchLlmsFiles,
+  listLlmsTxtLinks,
+  parseLlmsTxt,
+  buildLlmsTxtReport,
+  toLlmsTxtSignal
+} = require('../../../crawler/llms-txt');
+const { compareRenderedContent } = require('../../../crawler/js-dependency');
 const { ContentAnalyzer } = require('../../../crawler/analyzer');
+const { resolveUrlRules } = require('../../../utils/url-rules');
+const { buildConfigSnapshot } = require('../../../utils/crawl-config');
+const { toCronPattern } = require('../../../utils/crawl-schedule');
 const { RobotsChecker } = require('../../../utils/robotsChecker');
-const { addScoringJob } = require('../queue');
+const { resolveScoringBudget } = require('../../../utils/scoring-budget');
+const {
+  addCrawlJob,
+  scheduleCrawls,
+  unscheduleCrawls,
+  addScoringJob,
+  addEmbeddingJob,
+  addLinkAuditJob
+} = require('../queue');
 
 // Models
 const CrawlRunModel = require('../../../models/crawl-run');
+const ProjectModel = require('../../../models/project');
 const PageModel = require('../../../models/page');
 const SnapshotModel = require('../../../models/snapshot');
+const PageLinkModel = require('../../../models/page-link');
+const CrawlCredentialModel = require('../../../models/crawl-credential');
 
 // Queue configuration
-const { redisConnection, QUEUE_NAMES } = require('../queue');
+const { redisConnection, QUEUE_NAMES, JOB_TYPES } = require('../queue');
+
+/**
+ * Minimum interval between requests to the same host (ms),
+ * raised to the robots.txt Crawl-delay when that is longer
+ */
+const MIN_REQUEST_INTERVAL_MS = 1000;
+
+/**
+ * How many times a URL answered with 429/503 is requeued before giving up
+ */
+const MAX_BACKOFF_RETRIES = 2;
+
+/**
+ * How long an idle worker waits for in-flight pages to discover new links (ms)
+ */
+const IDLE_WAIT_MS = 250;
+
+/**
+ * Frontier checkpoints: after this many pages or this much time (ms), whichever
+ * comes first. A crash re-fetches at most the pages since the last checkpoint.
+ */
+const CHECKPOINT_PAGES = 25;
+const CHECKPOINT_INTERVAL_MS = 30000;
 
 /**
  * Crawl Job Worker
@@ -44,6 +141,11 @@ const { redisConnection, QUEUE_NAMES } = require('../queue');
  */
 let crawlWorker;
 
+/**
+ * Set when the worker shuts down: running crawls checkpoint and pause
+ */
+let shuttingDown = false;
+
 /**
  * Initialize the crawl worker
  *
@@ -53,8 +155,11 @@ let crawlWorker;
 function initializeCrawlWorker(supabase) {
   // Initialize models with Supabase client
   CrawlRunModel.setSupabaseClient(supabase);
+  ProjectModel.setSupabaseClient(supabase);
   PageModel.setSupabaseClient(supabase);
   SnapshotModel.setSupabaseClient(supabase);
+  PageLinkModel.setSupabaseClient(supabase);
+  CrawlCredentialModel.setSupabaseClient(supabase);
 
   // Create worker
   crawlWorker = new Worker(
@@ -62,6 +167,16 @@ function initializeCrawlWorker(supabase) {
     async job => {
       console.log(`Processing crawl job ${job.id}:`, job.data);
 
+      // Link audits run on the crawl queue but never fail the crawl run
+      if (job.name === JOB_TYPES.LINK_AUDIT) {
+        return processLinkAuditJob(job);
+      }
+
+      // Scheduled crawls only create and queue a crawl run
+      if (job.name === JOB_TYPES.SCHEDULED_CRAWL) {
+        return processScheduledCrawlJob(job);
+      }
+
       try {
         return await processCrawlJob(job);
       } catch (error) {
@@ -85,6 +200,11 @@ function initializeCrawlWorker(supabase) {
 
   // Worker event listeners
   crawlWorker.on('completed', (job, result) => {
+    if (job.name === JOB_TYPES.LINK_AUDIT || job.name === JOB_TYPES.SCHEDULED_CRAWL) {
+      console.log(`${job.name} job ${job.id} completed:`, result);
+      return;
+    }
+
     console.log(`Crawl job ${job.id} completed:`, {
       pagesDiscovered: result.pagesDiscovered,
       pagesProcessed: result.pagesProcessed,
@@ -128,26 +248,53 @@ async function processCrawlJob(job) {
     sample_size = null,
     token_limit = null,
     excluded_patterns = [],
-    run_type = 'full'
+    included_patterns = [],
+    url_list = [],
+    run_type = 'full',
+    crawl_concurrency = 3,
+    per_host_concurrency = 2,
+    auto_score = false,
+    compare_static_html = false
   } = config;
 
+  // Normalize every URL with the project's URL rules
+  const urlRules = resolveUrlRules(config);
+  const normalize = targetUrl => normalizeUrl(targetUrl, { rules: urlRules });
+
   console.log(`Starting ${run_type} crawl for project ${projectId}:`, {
     baseUrl: base_url,
     depthLimit: depth_limit,
     sampleSize: sample_size,
-    tokenLimit: token_limit
+    tokenLimit: token_limit,
+    concurrency: crawl_concurrency
   });
 
+  // Crawl credentials are loaded here, never stored in the config snapshot. They are
+  // only used for the host they were saved for (re-entered when the project moves).
+  let credentials = await CrawlCredentialModel.getForProject(projectId);
+  if (credentials && credentials.target_host !== new URL(base_url).hostname) {
+    console.warn(
+      `Crawl credentials of project ${projectId} were saved for ${credentials.target_host}, ` +
+        `not ${new URL(base_url).hostname}; crawling without them`
+    );
+    credentials = null;
+  } else if (credentials) {
+    console.log(`Using crawl credentials for project ${projectId}`);
+  }
+
   // Initialize crawler engine with project configuration
   const crawler = new CrawlerEngine({
     projectId,
     config: {
+      base_url,
       depth_limit,
       sample_size,
       token_limit,
-      excluded_patterns
+      excluded_patterns,
+      crawl_concurrency
     },
-    userAgent: user_agent
+    userAgent: user_agent,
+    credentials
   });
 
   // Initialize robots checker
@@ -155,6 +302,7 @@ async function processCrawlJob(job) {
 
   // Check robots.txt
   const domain = new URL(base_url).hostname;
+  robotsChecker.setRequestHeaders(crawler.requestHeadersFor(base_url), domain);
   const robotsInfo = await robotsChecker.checkRobots(domain, user_agent);
 
   if (!robotsInfo.canCrawl && !robotsInfo.canCrawlAsBrowser) {
@@ -165,238 +313,630 @@ async function processCrawlJob(job) {
   const effectiveUserAgent = robotsInfo.canCrawl ? user_agent : robotsInfo.bestUserAgent;
   console.log(`Using user agent: ${effectiveUserAgent.substring(0, 50)}...`);
 
-  // Respect crawl delay
-  const crawlDelay = Math.max(robotsInfo.crawlDelay * 1000, 2000);
+  // Respect crawl delay (enforced per host by the scheduler)
+  const crawlDelay = Math.max(robotsInfo.crawlDelay * 1000, MIN_REQUEST_INTERVAL_MS);
+  const scheduler = new PolitenessScheduler({
+    concurrency: crawl_concurrency,
+    perHostConcurrency: per_host_concurrency,
+    minDelayMs: crawlDelay
+  });
 
-  // URL queue and tracking
-  const urlQueue = [];
-  const processedUrls = new Set();
-  const urlDepth = new Map(); // Track depth of each URL
-  let pagesDiscovered = 0;
-  let pagesProcessed = 0;
+  // Restore persisted frontier (pause/resume, worker restart, BullMQ retry)
+  const crawlRunRecord = await CrawlRunModel.getById(crawlRunId);
+  const frontier = CrawlFrontier.fromJSON(crawlRunRecord?.frontier);
+  const isResuming = Boolean(crawlRunRecord?.frontier);
+
+  let pagesDiscovered = isResuming ? crawlRunRecord.pages_discovered || 0 : 0;
+  let pagesProcessed = isResuming ? crawlRunRecord.pages_processed || 0 : 0;
   let tokenUsage = 0;
   const snapshotIds = []; // Track snapshots for scoring
 
-  // Phase 1: URL Discovery
-  console.log('Phase 1: Discovering URLs...');
+  // New/changed snapshots for automatic scoring (kept across pause/resume)
+  const scoringCandidates = isResuming ? [...(crawlRunRecord.scoring_state?.candidates || [])] : [];
 
-  if (run_type === 'full' || run_type === 'sitemap_only' || run_type === 'delta') {
-    // Discover and parse sitemaps
-    try {
-      const sitemapUrls = await parseAllSitemaps(base_url, effectiveUserAgent);
-      console.log(`Found ${sitemapUrls.length} URLs in sitemaps`);
-
-      // Add sitemap URLs to queue
-      for (const sitemapUrl of sitemapUrls) {
-        if (shouldCrawl(sitemapUrl.url, [], excluded_patterns)) {
-          const normalized = normalizeUrl(sitemapUrl.url);
-          if (!processedUrls.has(normalized)) {
-            urlQueue.push({ url: normalized, depth: 0, priority: sitemapUrl.priority || 0.5 });
-            urlDepth.set(normalized, 0);
+  // Delta crawls compare against the pages (and validators) from previous runs
+  const isDelta = run_type === 'delta';
+  const deltaBaseline = isDelta ? await loadDeltaBaseline(projectId, urlRules) : null;
+  const deltaReport = isDelta ? DeltaReport.fromJSON(crawlRunRecord?.delta_report) : null;
+
+  // Full and delta crawls analyse the internal link graph (and URLs that failed)
+  const tracksLinks = run_type === 'full' || isDelta;
+  const brokenUrls = { ...(crawlRunRecord?.broken_urls || {}) };
+
+  // Redirects followed while crawling, keyed by requested URL
+  const redirectChains = { ...(crawlRunRecord?.redirect_chains || {}) };
+
+  // Robots directives affecting AI crawlers, keyed by page URL
+  const aiDirectives = { ...(crawlRunRecord?.ai_directives || {}) };
+
+  // llms.txt presence, recorded with every snapshot (links are checked at the end)
+  const llmsTxtSignal = crawlRunRecord?.llms_txt
+    ? toLlmsTxtSignal(crawlRunRecord.llms_txt)
+    : await checkLlmsTxt(crawlRunId, base_url, effectiveUserAgent);
+
+  // Never re-fetch pages already snapshotted in this run (e.g. crash before checkpoint)
+  const snapshottedUrls = await SnapshotModel.listUrlsByCrawlRun(crawlRunId);
+  snapshottedUrls.forEach(snapshotUrl => frontier.markVisited(normalize(snapshotUrl)));
+
+  if (isResuming) {
+    console.log(
+      `Resuming crawl ${crawlRunId}: ${frontier.size} URLs queued, ${frontier.visited.size} already visited`
+    );
+  } else {
+    // Phase 1: URL Discovery
+    console.log('Phase 1: Discovering URLs...');
+
+    if (run_type === 'full' || run_type === 'sitemap_only' || run_type === 'delta') {
+      // Discover and parse sitemaps
+      try {
+        const sitemapUrls = await parseAllSitemaps(
+          base_url,
+          effectiveUserAgent,
+          undefined,
+          crawler.requestHeadersFor(base_url)
+        );
+        console.log(`Found ${sitemapUrls.length} URLs in sitemaps`);
+
+        if (tracksLinks) {
+          await CrawlRunModel.update(crawlRunId, {
+            sitemap_urls: sitemapUrls.map(sitemapUrl => normalize(sitemapUrl.url))
+          });
+        }
+
+        // Add sitemap URLs to queue
+        for (const sitemapUrl of sitemapUrls) {
+          const normalizedSitemapUrl = normalize(sitemapUrl.url);
+          if (shouldCrawl(normalizedSitemapUrl, included_patterns, excluded_patterns)) {
+            frontier.enqueue(normalizedSitemapUrl, 0, sitemapUrl.priority || 0.5, {
+              lastmod: sitemapUrl.lastmod
+            });
           }
         }
+      } catch (error) {
+        console.warn('Sitemap parsing failed, will crawl from base URL:', error.message);
       }
-    } catch (error) {
-      console.warn('Sitemap parsing failed, will crawl from base URL:', error.message);
     }
-  }
 
-  // Add base URL if not already in queue
-  const normalizedBase = normalizeUrl(base_url);
-  if (!urlDepth.has(normalizedBase)) {
-    urlQueue.unshift({ url: normalizedBase, depth: 0, priority: 1.0 });
-    urlDepth.set(normalizedBase, 0);
-  }
+    // Re-check every known page so removals are detected even if the page
+    // is no longer listed in the sitemap or linked from the site
+    if (run_type === 'full' || isDelta) {
+      let knownUrls;
+      if (isDelta) {
+        knownUrls = Array.from(deltaBaseline.keys());
+      } else {
+        const knownPages = await PageModel.listCrawlBaseline(projectId);
+        knownUrls = knownPages
+          .filter(page => page.lifecycle_status !== 'gone')
+          .map(page => normalize(page.url));
+      }
+
+      knownUrls.forEach(knownUrl => {
+        if (shouldCrawl(knownUrl, included_patterns, excluded_patterns)) {
+          frontier.enqueue(knownUrl, 0, isDelta ? 0.4 : 0.1);
+        }
+      });
+    }
+
+    if (run_type === 'list') {
+      // List crawls fetch exactly the provided URLs, in list order
+      url_list.forEach(listUrl => frontier.enqueue(normalize(listUrl), 0, 1.0));
+    } else {
+      // Add base URL if not already in queue
+      frontier.enqueue(normalize(base_url), 0, 1.0, { front: true });
+    }
 
-  // Sort queue by priority (higher priority first)
-  urlQueue.sort((a, b) => b.priority - a.priority);
+    // Sort queue by priority (higher priority first)
+    frontier.sortByPriority();
 
-  pagesDiscovered = urlQueue.length;
-  await CrawlRunModel.incrementCounts(crawlRunId, { pages_discovered: pagesDiscovered });
+    pagesDiscovered = frontier.size;
+    await CrawlRunModel.incrementCounts(crawlRunId, { pages_discovered: pagesDiscovered });
+    await CrawlRunModel.saveFrontier(crawlRunId, frontier.toJSON());
 
-  console.log(`Discovered ${pagesDiscovered} URLs to crawl`);
+    console.log(`Discovered ${pagesDiscovered} URLs to crawl`);
+  }
 
   // Phase 2: Page Crawling and Extraction
   console.log('Phase 2: Crawling and extracting content...');
 
-  // Initialize browser
-  await crawler.initBrowser();
+  let inFlight = 0;
+  let stopReason = null;
+
+  // Serialize frontier checkpoints so an older state never overwrites a newer one
+  let checkpointChain = Promise.resolve();
+  let pagesSinceCheckpoint = 0;
+  let lastCheckpointAt = Date.now();
+  const checkpoint = () => {
+    pagesSinceCheckpoint = 0;
+    lastCheckpointAt = Date.now();
+    checkpointChain = checkpointChain
+      .then(() =>
+        CrawlRunModel.saveFrontier(crawlRunId, frontier.toJSON(), {
+          ...(isDelta && { delta_report: deltaReport.toJSON() }),
+          ...(tracksLinks && { broken_urls: brokenUrls }),
+          redirect_chains: redirectChains,
+          ai_directives: aiDirectives,
+          ...(auto_score && {
+            scoring_state: { status: 'collecting', candidates: scoringCandidates }
+          })
+        })
+      )
+      .catch(error =>
+        console.warn(`Failed to checkpoint frontier for ${crawlRunId}:`, error.message)
+      );
+    return checkpointChain;
+  };
 
-  try {
-    while (urlQueue.length > 0) {
-      // Check for pause signal
-      const crawlRun = await CrawlRunModel.getById(crawlRunId);
-      if (crawlRun.status === 'paused') {
+  // Checkpoint after a page once enough pages or time have passed since the last one
+  const checkpointIfDue = () => {
+    pagesSinceCheckpoint++;
+    if (
+      pagesSinceCheckpoint < CHECKPOINT_PAGES &&
+      Date.now() - lastCheckpointAt < CHECKPOINT_INTERVAL_MS
+    ) {
+      return null;
+    }
+    return checkpoint();
+  };
+
+  // Put a throttled URL back on the frontier (returns false once retries are used up)
+  const requeueForBackoff = (entry, statusCode) => {
+    if ((entry.attempts || 0) >= MAX_BACKOFF_RETRIES) {
+      return false;
+    }
+
+    const attempts = frontier.retry(entry);
+    console.log(`Host answered ${statusCode} for ${entry.url}, requeued (attempt ${attempts})`);
+    return true;
+  };
+
+  // Record a lifecycle change on the page stored for a URL (if it was crawled before)
+  const markKnownPage = async (url, lifecycle) => {
+    const urlHash = PageModel.generateUrlHash(
+      PageModel.normalizeUrl(url, { trailingSlash: urlRules.trailingSlash })
+    );
+    const known = await PageModel.findByUrlHash(projectId, urlHash);
+
+    if (known) {
+      await PageModel.recordLifecycle(known.id, crawlRunId, lifecycle);
+    }
+
+    return known;
+  };
+
+  // Count a URL as processed without storing a snapshot (delta category optional)
+  const finishWithoutSnapshot = async (url, deltaCategory = null, previous = null) => {
+    if (isDelta && deltaCategory) {
+      deltaReport.record(deltaCategory, url);
+    }
+
+    if (deltaCategory === 'unchanged' && previous) {
+      await PageModel.update(previous.id, {
+        last_crawled_at: new Date().toISOString(),
+        last_crawl_run_id: crawlRunId
+      });
+
+      // Not downloaded, so its links are the ones recorded last time
+      await PageLinkModel.carryOver(crawlRunId, projectId, previous.id);
+    }
+
+    pagesProcessed++;
+    await CrawlRunModel.incrementCounts(crawlRunId, { pages_processed: 1 });
+  };
+
+  // Page responded 404/410: mark it gone (removed if a previous crawl stored it)
+  const handleGone = async (url, statusCode, previous) => {
+    brokenUrls[url] = statusCode;
+    const known = await markKnownPage(url, { status: 'gone', status_code: statusCode });
+    console.log(`Page ${known ? 'gone' : 'not found'} (${statusCode}): ${url}`);
+    await finishWithoutSnapshot(url, previous || known ? 'removed' : null);
+  };
+
+  /**
+   * Check pause signal, token limit and sample size before taking a new URL
+   *
+   * @returns {Promise<string|null>} - 'stop', 'wait' or null to continue
+   */
+  const checkLimits = async () => {
+    if (stopReason) {
+      return 'stop';
+    }
+
+    // Worker shutting down: pause the run so it can be resumed
+    if (shuttingDown) {
+      stopReason = 'shutdown';
+      console.log(`Worker shutting down, pausing crawl ${crawlRunId}. Saving progress...`);
+      await CrawlRunModel.update(crawlRunId, { status: 'paused' });
+      return 'stop';
+    }
+
+    // Sample nearly reached: wait for in-flight pages before deciding
+    if (sample_size && inFlight > 0 && pagesProcessed + inFlight >= sample_size) {
+      return 'wait';
+    }
+
+    // Check for pause signal
+    if ((await CrawlRunModel.getStatus(crawlRunId)) === 'paused') {
+      if (!stopReason) {
+        stopReason = 'paused';
         console.log(`Crawl ${crawlRunId} paused. Saving progress...`);
-        break;
       }
+      return 'stop';
+    }
 
-      // Check token limit
-      if (token_limit && tokenUsage >= token_limit) {
+    // Check token limit
+    if (token_limit && tokenUsage >= token_limit) {
+      if (!stopReason) {
+        stopReason = 'token_limit';
         console.log(`Token limit (${token_limit}) reached. Stopping crawl.`);
         await CrawlRunModel.update(crawlRunId, { status: 'completed' });
-        break;
       }
+      return 'stop';
+    }
 
-      // Check sample size limit
-      if (sample_size && pagesProcessed >= sample_size) {
+    // Check sample size limit
+    if (sample_size && pagesProcessed + inFlight >= sample_size) {
+      if (!stopReason) {
+        stopReason = 'sample_size';
         console.log(`Sample size (${sample_size}) reached. Stopping crawl.`);
         await CrawlRunModel.update(crawlRunId, { status: 'completed' });
-        break;
       }
+      return 'stop';
+    }
 
-      // Get next URL
-      const current = urlQueue.shift();
-      const { url, depth } = current;
+    return null;
+  };
 
-      // Skip if already processed
-      if (processedUrls.has(url)) {
-        continue;
+  /**
+   * Fetch, extract and store a single frontier entry
+   *
+   * @param {Object} entry - Frontier entry { url, depth, priority, attempts }
+   */
+  const crawlUrl = async entry => {
+    const { url, depth } = entry;
+
+    console.log(`Crawling [depth ${depth}]: ${url}`);
+
+    // Report progress every 10 pages
+    if (pagesProcessed % 10 === 0) {
+      await job.updateProgress({
+        pagesDiscovered,
+        pagesProcessed,
+        tokenUsage,
+        currentUrl: url
+      });
+    }
+
+    try {
+      const previous = isDelta ? deltaBaseline.get(url) : null;
+
+      // Respect robots.txt rules for this specific URL
+      if (!(await robotsChecker.isUrlAllowed(url, effectiveUserAgent))) {
+        console.log(`Blocked by robots.txt, skipping: ${url}`);
+        await markKnownPage(url, { status: 'blocked_by_robots' });
+        await finishWithoutSnapshot(url);
+        return;
       }
 
-      // Mark as processed
-      processedUrls.add(url);
+      // Delta: sitemap says the page has not changed since the last crawl
+      if (previous && isUnchangedSinceLastmod(entry.lastmod, previous.last_crawled_at)) {
+        console.log(`Delta: ${url} unchanged since sitemap lastmod, skipping download`);
+        await finishWithoutSnapshot(url, 'unchanged', previous);
+        return;
+      }
 
-      console.log(`Crawling [depth ${depth}]: ${url}`);
+      // Delta: ask the server to skip the body if nothing changed
+      const fetchOptions = previous ? { headers: buildConditionalHeaders(previous) } : {};
 
-      // Report progress every 10 pages
-      if (pagesProcessed % 10 === 0) {
-        await job.updateProgress({
-          pagesDiscovered,
-          pagesProcessed,
-          tokenUsage,
-          currentUrl: url
-        });
+      // Crawl page (use fallback if browser not available); the scheduler
+      // enforces the per-host interval, so no extra settle delay is needed
+      let pageData;
+      try {
+        pageData = await scheduler.run(url, () =>
+          crawler.browser
+            ? crawler.crawlPage(url, 0, fetchOptions)
+            : crawler.crawlPageHTTP(url, fetchOptions)
+        );
+      } catch (error) {
+        if (error.redirectChain?.length) {
+          redirectChains[url] = describeRedirectChain(
+            url,
+            error.redirectChain,
+            error.finalUrl,
+            error.response?.status || null
+          );
+        }
+
+        const statusCode = error.response?.status;
+        if (isBackoffStatus(statusCode) && requeueForBackoff(entry, statusCode)) {
+          return;
+        }
+        if (isGoneStatus(statusCode)) {
+          await handleGone(url, statusCode, previous);
+          return;
+        }
+        throw error;
       }
 
-      try {
-        // Crawl page (use fallback if browser not available)
-        const pageData = crawler.browser
-          ? await crawler.crawlPage(url, crawlDelay)
-          : await crawler.crawlPageHTTP(url);
-
-        // Extract structured content
-        const extraction = extractContent(pageData.html, url);
-
-        // Detect page type (supports English and Norwegian)
-        const cheerio = require('cheerio');
-        const $ = cheerio.load(pageData.html);
-        const analyzer = new ContentAnalyzer();
-        const pageType = analyzer.detectPageType($, {
+      if (isBackoffStatus(pageData.statusCode) && requeueForBackoff(entry, pageData.statusCode)) {
+        return;
+      }
+
+      if (previous && pageData.notModified) {
+        console.log(`Delta: ${url} not modified (304), skipping download`);
+        await finishWithoutSnapshot(url, 'unchanged', previous);
+        return;
+      }
+
+      if (isGoneStatus(pageData.statusCode)) {
+        await handleGone(url, pageData.statusCode, previous);
+        return;
+      }
+
+      if (pageData.redirectChain?.length) {
+        redirectChains[url] = describeRedirectChain(
           url,
-          title: extraction.title,
-          textContent: extraction.body
+          pageData.redirectChain,
+          pageData.finalUrl || url,
+          pageData.statusCode
+        );
+      }
+
+      // Redirected: record it on the old URL, then process the target once
+      const finalUrl = pageData.finalUrl || url;
+      if (isRedirected(url, finalUrl)) {
+        await markKnownPage(url, {
+          status: 'redirected',
+          status_code: pageData.redirectChain?.[0]?.statusCode || pageData.statusCode,
+          redirect_target: finalUrl
         });
 
-        // Add page type to extraction
-        extraction.page_type = pageType;
+        const normalizedTarget = normalize(finalUrl);
+        if (frontier.isVisited(normalizedTarget)) {
+          console.log(`Redirect target already crawled, skipping: ${url} → ${finalUrl}`);
+          await finishWithoutSnapshot(url);
+          return;
+        }
+        frontier.markVisited(normalizedTarget);
+      }
 
-        console.log(`Detected page type for ${url}: ${pageType}`);
+      // Extract structured content
+      const extraction = extractContent(pageData.html, url);
+
+      // Detect page type (supports English and Norwegian)
+      const cheerio = require('cheerio');
+      const $ = cheerio.load(pageData.html);
+      const analyzer = new ContentAnalyzer();
+      const pageType = analyzer.detectPageType($, {
+        url,
+        title: extraction.title,
+        textContent: extraction.body
+      });
 
-        // Calculate metrics
-        const metrics = calculateMetrics(
-          pageData.html,
-          extraction,
-          pageData.loadTime,
-          pageData.fallbackMode ? 'static' : 'browser'
-        );
+      // Add page type to extraction
+      extraction.page_type = pageType;
 
-        // Resolve canonical URL
-        const canonicalUrl = resolveCanonical(url, pageData.html);
+      console.log(`Detected page type for ${url}: ${pageType}`);
 
-        // Upsert page record (deduplication via URL hash)
-        const page = await PageModel.upsert({
+      // Content only present after rendering (HTTP fallback pages are static already)
+      const jsDependency =
+        compare_static_html && !pageData.fallbackMode
+          ? await compareStaticHtml(crawler, scheduler, url, extraction)
+          : null;
+
+      // Calculate metrics
+      const metrics = calculateMetrics(
+        pageData.html,
+        extraction,
+        pageData.loadTime,
+        pageData.fallbackMode ? 'static' : 'browser'
+      );
+      metrics.llms_txt = llmsTxtSignal;
+
+      // Resolve canonical URL (relative to the URL the content was served from)
+      const canonicalUrl = resolveCanonical(finalUrl, pageData.html, { rules: urlRules });
+
+      // Upsert page record (deduplication via URL hash)
+      const page = await PageModel.upsert(
+        {
           project_id: projectId,
           url: canonicalUrl,
           page_type: pageType,
           last_crawl_run_id: crawlRunId
+        },
+        { trailingSlash: urlRules.trailingSlash }
+      );
+
+      // Record lifecycle for this run (active or noindex)
+      await PageModel.recordLifecycle(
+        page.id,
+        crawlRunId,
+        classifyPage({
+          requestedUrl: finalUrl,
+          finalUrl,
+          statusCode: pageData.statusCode,
+          noindex: hasNoindex($, pageData.responseHeaders)
+        })
+      );
+
+      const pageAiDirectives = detectAiDirectives($, pageData.responseHeaders);
+      if (pageAiDirectives.length > 0) {
+        aiDirectives[canonicalUrl] = pageAiDirectives;
+      } else {
+        delete aiDirectives[canonicalUrl];
+      }
+
+      // Record the page's links for the link graph and the link audit
+      await PageLinkModel.replaceForPage(crawlRunId, projectId, page.id, [
+        ...(extraction.internal_links || [])
+          .filter(link => isSameDomain(link.url, base_url))
+          .map(link => ({
+            target_url: normalize(link.url),
+            anchor_text: link.anchor,
+            nofollow: link.nofollow
+          })),
+        ...(extraction.outbound_links || [])
+          .filter(link => /^https?:/.test(link.url))
+          .map(link => ({
+            target_url: link.url.split('#')[0],
+            anchor_text: link.anchor,
+            nofollow: link.nofollow,
+            external: true
+          }))
+      ]);
+
+      // Check if content changed (via content hash)
+      const cleanedText = extraction.body || '';
+      const contentChanged = await SnapshotModel.hasContentChanged(
+        page.id,
+        SnapshotModel.generateContentHash(cleanedText)
+      );
+
+      // Create snapshot only if content changed
+      if (contentChanged || run_type === 'full' || run_type === 'list') {
+        const snapshot = await SnapshotModel.create({
+          page_id: page.id,
+          crawl_run_id: crawlRunId,
+          url: canonicalUrl,
+          status_code: pageData.statusCode,
+          raw_html: pageData.html,
+          cleaned_text: cleanedText,
+          extraction,
+          metrics,
+          js_dependency: jsDependency,
+          ...extractValidators(pageData.responseHeaders)
         });
 
-        // Check if content changed (via content hash)
-        const cleanedText = extraction.body || '';
-        const contentChanged = await SnapshotModel.hasContentChanged(
-          page.id,
-          SnapshotModel.generateContentHash(cleanedText)
-        );
+        console.log(`Created snapshot ${snapshot.id} for page ${page.id}`);
 
-        // Create snapshot only if content changed
-        if (contentChanged || run_type === 'full') {
-          const snapshot = await SnapshotModel.create({
-            page_id: page.id,
-            crawl_run_id: crawlRunId,
-            url: canonicalUrl,
-            status_code: pageData.statusCode,
-            raw_html: pageData.html,
-            cleaned_text: cleanedText,
-            extraction,
-            metrics
-          });
+        // Update page with current snapshot
+        await PageModel.update(page.id, { current_snapshot_id: snapshot.id });
 
-          console.log(`Created snapshot ${snapshot.id} for page ${page.id}`);
+        // Track snapshot for scoring
+        snapshotIds.push(snapshot.id);
 
-          // Update page with current snapshot
-          await PageModel.update(page.id, { current_snapshot_id: snapshot.id });
+        if (contentChanged) {
+          scoringCandidates.push({
+            snapshot_id: snapshot.id,
+            priority: entry.priority || 0,
+            depth
+          });
 
-          // Track snapshot for scoring
-          snapshotIds.push(snapshot.id);
-        } else {
-          console.log(`Content unchanged for ${url}, skipping snapshot`);
+          await queueEmbedding(snapshot, projectId, crawlRunId, job.data.userId);
         }
+      } else {
+        console.log(`Content unchanged for ${url}, skipping snapshot`);
+      }
 
-        pagesProcessed++;
-
-        // Phase 3: Link Discovery (if within depth limit)
-        let discoveredLinks = 0;
-        if (run_type === 'full' && depth < depth_limit) {
-          const internalLinks = extraction.internal_links || [];
+      if (isDelta) {
+        const known = previous || deltaBaseline.get(normalize(canonicalUrl));
+        deltaReport.record(known ? (contentChanged ? 'changed' : 'unchanged') : 'new', url);
+      }
 
-          for (const link of internalLinks) {
-            const linkUrl = link.url;
+      pagesProcessed++;
 
-            // Validate same domain
-            if (!isSameDomain(linkUrl, base_url)) {
-              continue;
-            }
+      // Phase 3: Link Discovery (if within depth limit)
+      let discoveredLinks = 0;
+      if ((run_type === 'full' || isDelta) && depth < depth_limit) {
+        const internalLinks = extraction.internal_links || [];
 
-            // Apply exclusion patterns
-            if (!shouldCrawl(linkUrl, [], excluded_patterns)) {
-              continue;
-            }
+        for (const link of internalLinks) {
+          const linkUrl = link.url;
 
-            // Normalize
-            const normalizedLink = normalizeUrl(linkUrl);
+          // Validate same domain
+          if (!isSameDomain(linkUrl, base_url)) {
+            continue;
+          }
 
-            // Skip if already discovered or processed
-            if (urlDepth.has(normalizedLink) || processedUrls.has(normalizedLink)) {
-              continue;
-            }
+          // Normalize
+          const normalizedLink = normalize(linkUrl);
 
-            // Add to queue with increased depth
-            urlQueue.push({ url: normalizedLink, depth: depth + 1, priority: 0.3 });
-            urlDepth.set(normalizedLink, depth + 1);
-            pagesDiscovered++;
-            discoveredLinks++;
+          // Apply include/exclude patterns
+          if (!shouldCrawl(normalizedLink, included_patterns, excluded_patterns)) {
+            continue;
+          }
 
-            console.log(`Discovered new link [depth ${depth + 1}]: ${normalizedLink}`);
+          // Add to queue with increased depth (skips already discovered or processed)
+          if (!frontier.enqueue(normalizedLink, depth + 1, 0.3)) {
+            continue;
           }
+
+          pagesDiscovered++;
+          discoveredLinks++;
+
+          console.log(`Discovered new link [depth ${depth + 1}]: ${normalizedLink}`);
         }
+      }
 
-        // Update progress
-        await CrawlRunModel.incrementCounts(crawlRunId, {
-          pages_processed: 1,
-          pages_discovered: discoveredLinks
-        });
-      } catch (error) {
-        console.error(`Failed to crawl ${url}:`, error.message);
-        // Continue with next URL
+      // Update progress
+      await CrawlRunModel.incrementCounts(crawlRunId, {
+        pages_processed: 1,
+        pages_discovered: discoveredLinks
+      });
+    } catch (error) {
+      console.error(`Failed to crawl ${url}:`, error.message);
+
+      const statusCode = error.response?.status;
+      if (statusCode >= 400) {
+        brokenUrls[url] = statusCode;
       }
+      // Continue with next URL
+    }
+  };
 
-      // Respect crawl delay
-      await sleep(crawlDelay);
+  // Each worker keeps taking URLs until the frontier is drained or a limit is hit
+  const runWorker = async () => {
+    for (;;) {
+      if (frontier.isEmpty()) {
+        // Pages still in flight may discover more links
+        if (inFlight === 0 || stopReason) {
+          break;
+        }
+        await sleep(IDLE_WAIT_MS);
+        continue;
+      }
+
+      const limit = await checkLimits();
+      if (limit === 'stop') {
+        break;
+      }
+      if (limit === 'wait') {
+        await sleep(IDLE_WAIT_MS);
+        continue;
+      }
+
+      // Another worker may have claimed the last sample slot meanwhile
+      if (sample_size && pagesProcessed + inFlight >= sample_size) {
+        continue;
+      }
+
+      // Get next URL (marks it visited)
+      const current = frontier.next();
+      if (!current) {
+        continue;
+      }
+
+      inFlight++;
+      try {
+        await crawlUrl(current);
+        frontier.complete(current);
+      } finally {
+        inFlight--;
+      }
+
+      // Checkpoint frontier so a restart re-fetches as few URLs as possible
+      await checkpointIfDue();
     }
+  };
+
+  try {
+    // Initialize browser (runs the login step of the crawl credentials, fails the run
+    // if it cannot)
+    await crawler.initBrowser();
+    await Promise.all(Array.from({ length: scheduler.concurrency }, () => runWorker()));
   } finally {
-    // Always close browser
+    // Always close browser and flush the frontier (pause, shutdown, completion)
     await crawler.closeBrowser();
+    await checkpoint();
   }
 
   // Mark crawl as completed
@@ -407,37 +947,36 @@ async function processCrawlJob(job) {
     await CrawlRunModel.complete(crawlRunId);
   }
 
+  // Frontier is only needed while the run can still be resumed
+  if (finalStatus.status !== 'paused') {
+    await CrawlRunModel.saveFrontier(crawlRunId, null);
+    await detectNearDuplicates(crawlRunId, projectId, urlRules);
+
+    if (tracksLinks) {
+      await analyzeLinks(crawlRunId, projectId, base_url);
+    }
+
+    await auditAiCrawlers(crawlRunId, projectId, base_url, robotsInfo);
+    await checkLlmsTxt(crawlRunId, base_url, effectiveUserAgent, robotsChecker);
+    await queueLinkAudit(crawlRunId, projectId, effectiveUserAgent);
+  }
+
   console.log(`Crawl ${crawlRunId} finished:`, {
     pagesDiscovered,
     pagesProcessed,
     tokenUsage,
     duration: `${(duration / 1000).toFixed(1)}s`,
-    snapshotsCreated: snapshotIds.length
+    snapshotsCreated: snapshotIds.length,
+    hostBackoff: scheduler.getStats().hosts,
+    ...(isDelta && { delta: deltaReport.getCounts() })
   });
 
-  // DISABLED: Automatic scoring is too expensive
-  // TODO: Re-enable when implementing manual rescore button (User Story 7, Phase 9)
-  // Users should manually trigger scoring on individual pages to control costs
-  /*
-  // Trigger scoring job for all snapshots created during crawl
-  if (snapshotIds.length > 0) {
-    try {
-      console.log(`Queueing scoring job for ${snapshotIds.length} snapshots...`);
-      await addScoringJob({
-        crawlRunId,
-        snapshotIds,
-        tokenLimit: token_limit
-      });
-      console.log(`Scoring job queued successfully for crawl ${crawlRunId}`);
-    } catch (error) {
-      console.error(`Failed to queue scoring job for crawl ${crawlRunId}:`, error.message);
-      // Don't fail the crawl job if scoring queue fails
-    }
+  // Automatic scoring is opt-in per project; the scoring job enforces the budget
+  if (auto_score && finalStatus.status !== 'paused') {
+    await queueAutoScoring(crawlRunId, projectId, job.data.userId, config, scoringCandidates);
   } else {
-    console.log('No new snapshots created, skipping scoring');
+    console.log(`Crawl complete. ${snapshotIds.length} snapshots ready for manual scoring`);
   }
-  */
-  console.log(`Crawl complete. ${snapshotIds.length} snapshots ready for manual scoring (automatic scoring disabled for cost control)`);
 
   return {
     crawlRunId,
@@ -447,10 +986,478 @@ async function processCrawlJob(job) {
     tokenUsage,
     duration,
     status: finalStatus.status,
-    snapshotsCreated: snapshotIds.length
+    snapshotsCreated: snapshotIds.length,
+    delta: isDelta ? deltaReport.getCounts() : null
   };
 }
 
+/**
+ * Queue automatic scoring for the new/changed snapshots of a crawl run
+ *
+ * Snapshots are ordered by frontier priority (then depth) so the most
+ * important pages are scored before the budget runs out.
+ *
+ * @param {string} crawlRunId - Crawl run UUID
+ * @param {string} projectId - Project UUID
+ * @param {string} userId - User who started the crawl (AI usage ledger attribution)
+ * @param {Object} config - Crawl config snapshot (auto_score_* budget fields)
+ * @param {Array<Object>} candidates - [{ snapshot_id, priority, depth }]
+ * @returns {Promise<void>}
+ */
+async function queueAutoScoring(crawlRunId, projectId, userId, config, candidates) {
+  const ordered = [...candidates].sort(
+    (a, b) => b.priority - a.priority || (a.depth || 0) - (b.depth || 0)
+  );
+  const snapshotIds = ordered.map(candidate => candidate.snapshot_id);
+
+  if (snapshotIds.length === 0) {
+    console.log('No new or changed snapshots, skipping automatic scoring');
+    await CrawlRunModel.update(crawlRunId, { scoring_state: null });
+    return;
+  }
+
+  const budget = resolveScoringBudget(config);
+
+  try {
+    await CrawlRunModel.update(crawlRunId, {
+      scoring_state: {
+        status: 'queued',
+        total: snapshotIds.length,
+        scored: 0,
+        tokens_used: 0,
+        cost_usd: 0,
+        pending_snapshot_ids: snapshotIds,
+        paused_reason: null,
+        budget,
+        updated_at: new Date().toISOString()
+      }
+    });
+
+    await addScoringJob({
+      crawlRunId,
+      projectId,
+      snapshotIds,
+      budget,
+      isAutoScore: true,
+      userId
+    });
+
+    console.log(
+      `Queued automatic scoring for ${snapshotIds.length} snapshots (crawl ${crawlRunId})`
+    );
+  } catch (error) {
+    // Don't fail the crawl job if scoring queue fails
+    console.error(`Failed to queue scoring job for crawl ${crawlRunId}:`, error.message);
+  }
+}
+
+/**
+ * Queue embedding of a new/changed snapshot
+ *
+ * @param {Object} snapshot - Created snapshot
+ * @param {string} projectId - Project UUID
+ * @param {string} crawlRunId - Crawl run UUID
+ * @param {string} userId - User who started the crawl (AI usage ledger attribution)
+ * @returns {Promise<void>}
+ */
+async function queueEmbedding(snapshot, projectId, crawlRunId, userId) {
+  try {
+    await addEmbeddingJob({
+      pageId: snapshot.page_id,
+      snapshotId: snapshot.id,
+      projectId,
+      crawlRunId,
+      userId
+    });
+  } catch (error) {
+    // Don't fail the page if the AI queue is unavailable
+    console.error(`Failed to queue embedding for snapshot ${snapshot.id}:`, error.message);
+  }
+}
+
+/**
+ * Load the pages of previous crawls for a delta run, keyed by normalized URL
+ *
+ * @param {string} projectId - Project UUID
+ * @param {Object} urlRules - Project URL rules (url-rules.resolveUrlRules)
+ * @returns {Promise<Map>} - URL → { id, url, last_crawled_at, etag, last_modified }
+ */
+async function loadDeltaBaseline(projectId, urlRules) {
+  const pages = await PageModel.listCrawlBaseline(projectId);
+  const snapshotIds = pages.map(page => page.current_snapshot_id).filter(Boolean);
+  const validators = await SnapshotModel.getValidatorsByIds(snapshotIds);
+  const baseline = new Map();
+
+  pages.forEach(page => {
+    // Pages without a snapshot were never fetched successfully and gone pages
+    // no longer exist, treat both as new if they show up again
+    if (!page.current_snapshot_id || page.lifecycle_status === 'gone') {
+      return;
+    }
+
+    const snapshot = validators.get(page.current_snapshot_id) || {};
+
+    baseline.set(normalizeUrl(page.url, { rules: urlRules }), {
+      id: page.id,
+      url: page.url,
+      last_crawled_at: page.last_crawled_at || snapshot.snapshot_at || null,
+      etag: snapshot.etag || null,
+      last_modified: snapshot.last_modified || null
+    });
+  });
+
+  console.log(`Delta baseline: ${baseline.size} known pages`);
+  return baseline;
+}
+
+/**
+ * Group the project's active pages by near-identical content and store the
+ * report on the crawl run
+ *
+ * @param {string} crawlRunId - Crawl run UUID
+ * @param {string} projectId - Project UUID
+ * @param {Object} urlRules - Project URL rules (url-rules.resolveUrlRules)
+ * @returns {Promise<void>}
+ */
+async function detectNearDuplicates(crawlRunId, projectId, urlRules) {
+  try {
+    const pages = (await PageModel.listCrawlBaseline(projectId)).filter(
+      page => page.current_snapshot_id && (page.lifecycle_status || 'active') === 'active'
+    );
+    const fingerprints = await SnapshotModel.getFingerprintsByIds(
+      pages.map(page => page.current_snapshot_id)
+    );
+
+    const candidates = pages.map(page => {
+      const fingerprint = fingerprints.get(page.current_snapshot_id) || {};
+      return {
+        page_id: page.id,
+        url: page.url,
+        simhash: fingerprint.simhash || null,
+        declared_canonical: fingerprint.canonical_url || null
+      };
+    });
+
+    const report = buildDuplicateReport(
+      candidates,
+      { unfingerprintedPages: candidates.filter(page => !page.simhash).length },
+      { rules: urlRules }
+    );
+
+    await CrawlRunModel.update(crawlRunId, { duplicate_report: report });
+
+    console.log(
+      `Near-duplicates for project ${projectId}: ${report.summary.group_count} groups, ${report.summary.canonical_issues} canonical issues`
+    );
+  } catch (error) {
+    // The report is informational, don't fail the crawl
+    console.error(`Failed to detect near-duplicates for crawl ${crawlRunId}:`, error.message);
+  }
+}
+
+/**
+ * Analyse the internal link graph recorded during a crawl run and store the
+ * report on the run
+ *
+ * @param {string} crawlRunId - Crawl run UUID
+ * @param {string} projectId - Project UUID
+ * @param {string} baseUrl - Project base URL (click depth is counted from it)
+ * @returns {Promise<void>}
+ */
+async function analyzeLinks(crawlRunId, projectId, baseUrl) {
+  try {
+    const crawlRun = await CrawlRunModel.getById(crawlRunId);
+    const [pages, links] = await Promise.all([
+      PageModel.listCrawlBaseline(projectId),
+      PageLinkModel.listByCrawlRun(crawlRunId)
+    ]);
+
+    const report = analyzeLinkGraph({
+      pages,
+      links,
+      sitemapUrls: crawlRun.sitemap_urls || [],
+      brokenUrls: crawlRun.broken_urls || {},
+      homepageUrl: baseUrl
+    });
+
+    await CrawlRunModel.update(crawlRunId, { link_report: report });
+
+    console.log(
+      `Link graph for crawl ${crawlRunId}: ${report.summary.link_count} links, ${report.summary.orphan_pages} orphans, ${report.summary.broken_links} broken links`
+    );
+  } catch (error) {
+    // The report is informational, don't fail the crawl
+    console.error(`Failed to analyze link graph for crawl ${crawlRunId}:`, error.message);
+  }
+}
+
+/**
+ * Evaluate robots.txt for AI crawlers on the project's most important paths and
+ * store the audit (with the page directives found while crawling) on the run
+ *
+ * @param {string} crawlRunId - Crawl run UUID
+ * @param {string} projectId - Project UUID
+ * @param {string} baseUrl - Project base URL
+ * @param {Object} robotsInfo - Result of RobotsChecker.checkRobots()
+ * @returns {Promise<void>}
+ */
+async function auditAiCrawlers(crawlRunId, projectId, baseUrl, robotsInfo) {
+  try {
+    const crawlRun = await CrawlRunModel.getById(crawlRunId);
+
+    // Most important pages first: internal PageRank when the link graph was analysed
+    let urls = (crawlRun.link_report?.pages || []).map(page => page.url);
+    if (urls.length === 0) {
+      const pages = await PageModel.listCrawlBaseline(projectId);
+      urls = pages
+        .filter(page => (page.lifecycle_status || 'active') === 'active')
+        .map(page => page.url)
+        .sort((a, b) => a.length - b.length);
+    }
+
+    const origin = new URL(baseUrl).origin;
+    const report = buildAiCrawlerAudit({
+      robotsUrl: `${origin}/robots.txt`,
+      robotsTxt: robotsInfo.robotsTxtContent || '',
+      robotsFound: Boolean(robotsInfo.exists),
+      paths: selectAuditPaths(baseUrl, urls),
+      pageDirectives: crawlRun.ai_directives || {}
+    });
+
+    await CrawlRunModel.update(crawlRunId, { ai_crawler_audit: report });
+
+    console.log(
+      `AI crawler audit for crawl ${crawlRunId}: ${report.summary.blocked} agents blocked, ${report.summary.partially_blocked} partially blocked, ${report.summary.pages_with_directives} pages with AI directives`
+    );
+  } catch (error) {
+    // The audit is informational, don't fail the crawl
+    console.error(`Failed to audit AI crawler access for crawl ${crawlRunId}:`, error.message);
+  }
+}
+
+/**
+ * Fetch a rendered page's static HTML and compare its content with the rendered DOM
+ *
+ * @param {CrawlerEngine} crawler - Crawler engine of the run
+ * @param {PolitenessScheduler} scheduler - Scheduler (the extra request counts for politeness)
+ * @param {string} url - Page URL (as requested for rendering)
+ * @param {Object} renderedExtraction - Extraction of the rendered DOM
+ * @returns {Promise<Object>} - JS dependency report, or { error, compared_at } if the fetch failed
+ */
+async function compareStaticHtml(crawler, scheduler, url, renderedExtraction) {
+  try {
+    const { html, statusCode } = await scheduler.run(url, () => crawler.fetchStaticHtml(url));
+    return compareRenderedContent(extractContent(html, url), renderedExtraction, {
+      staticStatusCode: statusCode
+    });
+  } catch (error) {
+    console.warn(`Static HTML comparison failed for ${url}:`, error.message);
+    return { error: error.message, compared_at: new Date().toISOString() };
+  }
+}
+
+/**
+ * Fetch and validate the site's llms.txt and llms-full.txt and store the report
+ * on the run. With a robots checker (end of the run), the links of llms.txt are
+ * also checked: they must resolve and robots.txt must allow crawling them.
+ *
+ * @param {string} crawlRunId - Crawl run UUID
+ * @param {string} baseUrl - Project base URL
+ * @param {string} userAgent - User agent the crawl uses
+ * @param {RobotsChecker} robotsChecker - Robots checker (omit to skip link checks)
+ * @returns {Promise<Object|null>} - llms.txt signal for snapshots, null on failure
+ */
+async function checkLlmsTxt(crawlRunId, baseUrl, userAgent, robotsChecker = null) {
+  try {
+    const { index, full } = await fetchLlmsFiles(baseUrl, { userAgent });
+
+    let linkResults = new Map();
+    const crawlable = new Map();
+
+    if (robotsChecker && index.found) {
+      const links = listLlmsTxtLinks(parseLlmsTxt(index.content), index.url)
+        .map(link => link.url)
+        .filter((url, position, urls) => urls.indexOf(url) === position)
+        .slice(0, MAX_CHECKED_LLMS_LINKS);
+
+      const checker = new LinkChecker({ userAgent, minDelayMs: MIN_REQUEST_INTERVAL_MS });
+      linkResults = await checker.checkAll(links);
+
+      for (const url of links) {
+        crawlable.set(url, await robotsChecker.isUrlAllowed(url, userAgent));
+      }
+    }
+
+    const report = buildLlmsTxtReport({ index, full, linkResults, crawlable });
+    await CrawlRunModel.update(crawlRunId, { llms_txt: report });
+
+    console.log(
+      `llms.txt for crawl ${crawlRunId}: ${report.summary.found ? 'found' : 'not found'}, ${report.summary.error_count} errors, ${report.summary.warning_count} warnings`
+    );
+
+    return toLlmsTxtSignal(report);
+  } catch (error) {
+    // The check is informational, don't fail the crawl
+    console.error(`Failed to check llms.txt for crawl ${crawlRunId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Queue the broken link and redirect audit of a finished crawl run
+ *
+ * @param {string} crawlRunId - Crawl run UUID
+ * @param {string} projectId - Project UUID
+ * @param {string} userAgent - User agent the crawl used
+ * @returns {Promise<void>}
+ */
+async function queueLinkAudit(crawlRunId, projectId, userAgent) {
+  try {
+    await CrawlRunModel.update(crawlRunId, {
+      link_audit: { status: 'queued', generated_at: null }
+    });
+    await addLinkAuditJob({ crawlRunId, projectId, userAgent });
+  } catch (error) {
+    // The audit is informational, don't fail the crawl
+    console.error(`Failed to queue link audit for crawl ${crawlRunId}:`, error.message);
+  }
+}
+
+/**
+ * Process a link audit job: check every link target recorded in a crawl run
+ * and store the broken link / redirect report on the run
+ *
+ * @param {Object} job - BullMQ job instance
+ * @param {string} job.data.crawlRunId - Crawl run UUID
+ * @param {string} job.data.projectId - Project UUID
+ * @param {string} job.data.userAgent - User agent sent with the checks
+ * @returns {Promise<Object>} - Audit summary
+ */
+async function processLinkAuditJob(job) {
+  const { crawlRunId, projectId, userAgent } = job.data;
+
+  try {
+    await CrawlRunModel.update(crawlRunId, {
+      link_audit: { status: 'running', generated_at: null }
+    });
+
+    const crawlRun = await CrawlRunModel.getById(crawlRunId);
+    const [pages, links] = await Promise.all([
+      PageModel.listCrawlBaseline(projectId),
+      PageLinkModel.listByCrawlRun(crawlRunId, { includeExternal: true })
+    ]);
+
+    const targets = [...new Set(links.map(link => link.target_url))];
+    const checked = targets.slice(0, DEFAULT_LINK_CHECK_OPTIONS.maxUrls);
+
+    const checker = new LinkChecker({ userAgent, minDelayMs: MIN_REQUEST_INTERVAL_MS });
+    const results = await checker.checkAll(checked);
+
+    const report = buildLinkAuditReport({
+      links,
+      results,
+      pageUrls: new Map(pages.map(page => [page.id, page.url])),
+      crawlRedirects: crawlRun.redirect_chains || {},
+      skippedUrls: targets.length - checked.length
+    });
+
+    await CrawlRunModel.update(crawlRunId, { link_audit: { status: 'completed', ...report } });
+
+    console.log(
+      `Link audit for crawl ${crawlRunId}: ${report.summary.checked_urls} URLs checked, ${report.summary.issues.broken} broken links, ${report.summary.redirect_chains} redirect chains`
+    );
+
+    return { crawlRunId, ...report.summary };
+  } catch (error) {
+    console.error(`Link audit for crawl ${crawlRunId} failed:`, error.message);
+    await CrawlRunModel.update(crawlRunId, {
+      link_audit: { status: 'failed', error: error.message, generated_at: new Date().toISOString() }
+    });
+    throw error;
+  }
+}
+
+/**
+ * Process a scheduled crawl job: start a crawl run with the project's schedule,
+ * unless another run of the project is still queued or running
+ *
+ * @param {Object} job - BullMQ job instance
+ * @param {string} job.data.projectId - Project UUID
+ * @returns {Promise<Object>} - { crawlRunId } or { skipped: reason }
+ */
+async function processScheduledCrawlJob(job) {
+  const { projectId } = job.data;
+
+  const project = await ProjectModel.findProjectById(projectId);
+  const schedule = project?.crawl_schedule;
+
+  // Project deleted or schedule turned off without removing the job scheduler
+  if (!schedule?.enabled) {
+    console.log(`No enabled crawl schedule for project ${projectId}, removing job scheduler`);
+    await unscheduleCrawls(projectId);
+    return { projectId, skipped: 'schedule_disabled' };
+  }
+
+  const activeRuns = await CrawlRunModel.getActive(projectId);
+  if (activeRuns.length > 0) {
+    console.log(
+      `Skipping scheduled crawl for project ${projectId}: run ${activeRuns[0].id} is ${activeRuns[0].status}`
+    );
+    return { projectId, skipped: 'run_active', activeRunId: activeRuns[0].id };
+  }
+
+  const runType = schedule.run_type || 'delta';
+  const userId = schedule.updated_by || project.created_by;
+
+  const crawlRun = await CrawlRunModel.create({
+    project_id: projectId,
+    run_type: runType,
+    config_snapshot: { ...buildConfigSnapshot(project, { runType }), scheduled: true },
+    created_by: userId
+  });
+
+  const crawlJob = await addCrawlJob({
+    crawlRunId: crawlRun.id,
+    projectId,
+    userId,
+    config: crawlRun.config_snapshot
+  });
+
+  if (crawlJob.state === 'failed') {
+    await CrawlRunModel.fail(crawlRun.id, `Failed to queue job: ${crawlJob.failedReason}`);
+    throw new Error(`Failed to queue scheduled crawl: ${crawlJob.failedReason}`);
+  }
+
+  console.log(`Scheduled ${runType} crawl ${crawlRun.id} queued for project ${projectId}`);
+
+  return { projectId, crawlRunId: crawlRun.id, runType };
+}
+
+/**
+ * Register the job schedulers of all enabled crawl schedules
+ * (e.g. after Redis was flushed or a schedule was saved while Redis was down)
+ *
+ * @returns {Promise<number>} - Number of schedules registered
+ */
+async function syncCrawlSchedules() {
+  const projects = await ProjectModel.getScheduledProjects();
+  let registered = 0;
+
+  for (const project of projects) {
+    try {
+      await scheduleCrawls(project.id, {
+        pattern: toCronPattern(project.crawl_schedule),
+        timezone: project.crawl_schedule.timezone || 'UTC'
+      });
+      registered++;
+    } catch (error) {
+      console.warn(`Failed to register crawl schedule of project ${project.id}:`, error.message);
+    }
+  }
+
+  return registered;
+}
+
 /**
  * Sleep utility
  *
@@ -468,6 +1475,7 @@ function sleep(ms) {
  */
 async function closeCrawlWorker() {
   if (crawlWorker) {
+    shuttingDown = true;
     await crawlWorker.close();
   }
 }
@@ -475,5 +1483,8 @@ async function closeCrawlWorker() {
 module.exports = {
   initializeCrawlWorker,
   processCrawlJob,
+  processLinkAuditJob,
+  processScheduledCrawlJob,
+  syncCrawlSchedules,
   closeCrawlWorker
 };
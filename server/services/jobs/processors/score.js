@@ -6,17 +6,31 @@
  *
  * Based on:
  * - FR-058-060: Token management and caching
- * - FR-036: Deterministic scoring via caching
+ * - Automatic scoring after crawl: per-run/per-month budgets, paused for admin approval
+ * - Organization monthly AI quotas (utils/ai-quota.js), enforced for every scoring job
+ * - FR-036: Deterministic scoring via caching (organization-wide, see findCachedScore)
+ * - Category-weighted overall scores, recomputed for existing scores without the LLM
  * - User Story 3: Intelligent page scoring
  */
 
 const { Worker } = require('bullmq');
 const { QUEUE_NAMES, redisConnection } = require('../queue');
-const { scorePage, rescorePage } = require('../../../crawler/ai-scorer');
+const { scorePage, rescorePage, findCachedScore } = require('../../../crawler/ai-scorer');
+const { getRubricForVersion } = require('../../../crawler/rubrics');
 const PageScoreModel = require('../../../models/score');
 const PageModel = require('../../../models/page');
 const SnapshotModel = require('../../../models/snapshot');
 const CrawlRunModel = require('../../../models/crawl-run');
+const AiUsageModel = require('../../../models/ai-usage');
+const RubricModel = require('../../../models/rubric');
+const { estimateRequestCost } = require('../../../utils/token-counter');
+const {
+  getScoringModel,
+  estimateScoringCost,
+  checkScoringBudget,
+  getMonthStart
+} = require('../../../utils/scoring-budget');
+const { evaluateAiQuota, getQuotaExceededMessage } = require('../../../utils/ai-quota');
 
 /**
  * BullMQ Worker instance for scoring jobs
@@ -24,6 +38,41 @@ const CrawlRunModel = require('../../../models/crawl-run');
  */
 let scoringWorker;
 
+/**
+ * Save a score result and make it the current score of its page
+ *
+ * @param {Object} snapshot - Scored snapshot
+ * @param {Object} scoreResult - Result of scorePage/findCachedScore/rescorePage
+ * @param {string} organizationId - Organization UUID (cache scope)
+ * @returns {Promise<Object>} - Saved score
+ */
+async function saveScore(snapshot, scoreResult, organizationId) {
+  const savedScore = await PageScoreModel.create({
+    page_id: snapshot.page_id,
+    snapshot_id: snapshot.id,
+    rubric_version: scoreResult.rubricVersion,
+    page_type: scoreResult.pageType,
+    overall_score: scoreResult.overallScore,
+    category_scores: scoreResult.categoryScores,
+    criteria_scores: scoreResult.criteriaScores,
+    criteria_explanations: scoreResult.criteriaExplanations,
+    ai_recommendations: scoreResult.aiRecommendations,
+    ai_cache_key: scoreResult.aiCacheKey,
+    ai_tokens_used: scoreResult.aiTokensUsed,
+    organization_id: organizationId,
+    ai_model: scoreResult.aiModel,
+    cache_hit: scoreResult.cacheHit,
+    cached_from_score_id: scoreResult.cachedFromScoreId
+  });
+
+  // Update page current_score_id
+  await PageModel.update(snapshot.page_id, {
+    current_score_id: savedScore.id
+  });
+
+  return savedScore;
+}
+
 /**
  * Process a scoring job
  *
@@ -31,18 +80,36 @@ let scoringWorker;
  * @param {string} job.data.crawlRunId - Crawl run ID
  * @param {Array<string>} job.data.snapshotIds - Snapshot IDs to score
  * @param {number} job.data.tokenLimit - Max tokens for this job (optional)
+ * @param {Object} job.data.budget - Auto scoring budget (optional, see utils/scoring-budget.js)
+ * @param {boolean} job.data.isAutoScore - Queued automatically after a crawl (tracks scoring_state)
+ * @param {boolean} job.data.isBudgetApproval - Admin approved the remainder (budget not enforced)
+ * @param {string} job.data.userId - User who triggered scoring (AI usage ledger attribution)
+ * @param {string} job.data.purpose - AI usage ledger purpose (defaults to scoring/auto_scoring)
  * @returns {Promise<Object>} - Job result
  */
 async function processScoreJob(job) {
-  const { crawlRunId, snapshotIds, tokenLimit = null } = job.data;
+  const {
+    crawlRunId,
+    snapshotIds,
+    tokenLimit = null,
+    budget = null,
+    isAutoScore = false,
+    isBudgetApproval = false,
+    userId = null,
+    purpose = null
+  } = job.data;
 
   console.log(
     `[Score Job] Starting scoring for crawl run ${crawlRunId}, ${snapshotIds.length} snapshots`
   );
 
   let totalTokensUsed = 0;
+  let totalCostUsd = 0;
   let scoresCreated = 0;
   let cacheHits = 0;
+  let cacheMisses = 0;
+  let pausedAt = null;
+  let pausedReason = null;
   const errors = [];
 
   try {
@@ -53,6 +120,33 @@ async function processScoreJob(job) {
       throw new Error(`Crawl run ${crawlRunId} not found`);
     }
 
+    // AI usage ledger attribution (the ledger also adds tokens to crawl_runs.token_usage)
+    const usageContext = {
+      projectId: crawlRun.project_id,
+      crawlRunId,
+      userId,
+      purpose: purpose || (isAutoScore ? 'auto_scoring' : 'scoring')
+    };
+    const model = await getScoringModel(usageContext);
+
+    // Usage before this job (earlier approvals of the same run count towards the budget)
+    const previousState = (isAutoScore && crawlRun.scoring_state) || {};
+    const enforceBudget = isAutoScore && !isBudgetApproval && budget;
+    const monthlyUsage = enforceBudget
+      ? await CrawlRunModel.getScoringUsageSince(crawlRun.project_id, getMonthStart())
+      : null;
+
+    // Organization quota applies to every job, including admin-approved ones
+    const organizationId = await AiUsageModel.getProjectOrganizationId(crawlRun.project_id);
+    const orgQuota = await AiUsageModel.getQuotaUsage(organizationId);
+
+    if (isAutoScore) {
+      await CrawlRunModel.updateScoringState(crawlRunId, {
+        status: 'running',
+        paused_reason: null
+      });
+    }
+
     // Update job progress
     await job.updateProgress({
       stage: 'scoring',
@@ -80,51 +174,79 @@ async function processScoreJob(job) {
           continue;
         }
 
-        // Check cache
-        const cacheKey = snapshot.content_hash; // Simplified, should include rubric version
-        const existingScore = await PageScoreModel.findByCacheKey(cacheKey);
-
-        if (existingScore) {
-          console.log(`[Score Job] Cache hit for snapshot ${snapshotId}`);
-
-          // Reuse cached score by creating new score record with same values
-          await PageScoreModel.create({
-            page_id: snapshot.page_id,
-            snapshot_id: snapshot.id,
-            rubric_version: existingScore.rubric_version,
-            page_type: existingScore.page_type,
-            criteria_scores: existingScore.criteria_scores,
-            criteria_explanations: existingScore.criteria_explanations,
-            ai_recommendations: existingScore.ai_recommendations,
-            ai_cache_key: cacheKey,
-            ai_tokens_used: 0 // No tokens used due to cache
-          });
+        // Identical content already scored in this organization costs nothing
+        const cachedScore = await findCachedScore(snapshot, { organizationId, usageContext });
+
+        if (cachedScore) {
+          console.log(
+            `[Score Job] Cache hit for snapshot ${snapshotId} (score ${cachedScore.cachedFromScoreId})`
+          );
+
+          await saveScore(snapshot, cachedScore, organizationId);
 
           cacheHits++;
           scoresCreated++;
         } else {
-          // Score the page
-          const scoreResult = await scorePage(snapshot);
-
-          // Save score to database
-          const savedScore = await PageScoreModel.create({
-            page_id: snapshot.page_id,
-            snapshot_id: snapshot.id,
-            rubric_version: scoreResult.rubricVersion,
-            page_type: scoreResult.pageType,
-            criteria_scores: scoreResult.criteriaScores,
-            criteria_explanations: scoreResult.criteriaExplanations,
-            ai_recommendations: scoreResult.aiRecommendations,
-            ai_cache_key: scoreResult.aiCacheKey,
-            ai_tokens_used: scoreResult.aiTokensUsed
-          });
+          const estimate = estimateScoringCost(snapshot, model);
+
+          // Stop before a page that would exceed the organization quota (cache hits are free)
+          const quotaCheck = evaluateAiQuota(
+            orgQuota.quota,
+            {
+              tokens: orgQuota.usage.tokens + totalTokensUsed,
+              usd: orgQuota.usage.usd + totalCostUsd
+            },
+            estimate
+          );
 
-          // Update page current_score_id
-          await PageModel.update(snapshot.page_id, {
-            current_score_id: savedScore.id
-          });
+          if (quotaCheck.status === 'exceeded') {
+            console.log(
+              `[Score Job] Organization AI quota reached (${quotaCheck.reason}), pausing with ${snapshotIds.length - i} snapshots left`
+            );
+            pausedAt = i;
+            pausedReason = `org_${quotaCheck.reason}`;
+            break;
+          }
+
+          // Stop before a page that would exceed the budget
+          if (enforceBudget) {
+            const check = checkScoringBudget(
+              budget,
+              {
+                run: {
+                  tokens: (previousState.tokens_used || 0) + totalTokensUsed,
+                  usd: (previousState.cost_usd || 0) + totalCostUsd
+                },
+                month: {
+                  tokens: monthlyUsage.tokens + totalTokensUsed,
+                  usd: monthlyUsage.usd + totalCostUsd
+                }
+              },
+              estimate
+            );
+
+            if (!check.allowed) {
+              console.log(
+                `[Score Job] Budget reached (${check.reason}), pausing with ${snapshotIds.length - i} snapshots left`
+              );
+              pausedAt = i;
+              pausedReason = check.reason;
+              break;
+            }
+          }
+
+          // Score the page (cache already checked above)
+          const scoreResult = await scorePage(snapshot, { usageContext, useCache: false });
+
+          await saveScore(snapshot, scoreResult, organizationId);
 
           totalTokensUsed += scoreResult.aiTokensUsed;
+          totalCostUsd += estimateRequestCost(
+            scoreResult.aiUsage?.inputTokens,
+            scoreResult.aiUsage?.outputTokens,
+            scoreResult.aiModel || model
+          );
+          cacheMisses++;
           scoresCreated++;
 
           console.log(
@@ -143,20 +265,43 @@ async function processScoreJob(job) {
         console.error(`[Score Job] Error scoring snapshot ${snapshotId}:`, error.message);
         errors.push({ snapshotId, error: error.message });
       }
+
+      if (isAutoScore) {
+        await CrawlRunModel.updateScoringState(crawlRunId, {
+          scored: (previousState.scored || 0) + i + 1,
+          tokens_used: (previousState.tokens_used || 0) + totalTokensUsed,
+          cost_usd: (previousState.cost_usd || 0) + totalCostUsd,
+          cache_hits: (previousState.cache_hits || 0) + cacheHits,
+          cache_misses: (previousState.cache_misses || 0) + cacheMisses,
+          pending_snapshot_ids: snapshotIds.slice(i + 1)
+        });
+      }
     }
 
-    // Update crawl run with token usage
-    await CrawlRunModel.update(crawlRunId, {
-      token_usage: totalTokensUsed
-    });
+    // Budget or quota hit: keep the remaining snapshots until an admin approves them
+    const status = pausedAt !== null ? 'paused' : 'completed';
+    const pendingSnapshotIds = pausedAt !== null ? snapshotIds.slice(pausedAt) : [];
+
+    if (isAutoScore) {
+      await CrawlRunModel.updateScoringState(crawlRunId, {
+        status,
+        paused_reason: pausedReason,
+        pending_snapshot_ids: pendingSnapshotIds
+      });
+    }
 
     const result = {
       crawlRunId,
+      status,
+      pausedReason,
       scoresCreated,
       cacheHits,
+      cacheMisses,
       totalTokensUsed,
+      totalCostUsd,
+      pendingSnapshots: pendingSnapshotIds.length,
       errors,
-      cacheHitRate: snapshotIds.length > 0 ? (cacheHits / snapshotIds.length) * 100 : 0
+      cacheHitRate: PageScoreModel.getCacheHitRate(cacheHits, cacheMisses)
     };
 
     console.log(
@@ -176,10 +321,12 @@ async function processScoreJob(job) {
  * @param {Object} job - BullMQ job object
  * @param {string} job.data.pageId - Page ID to rescore
  * @param {boolean} job.data.useCachedSnapshot - Use existing snapshot (default true)
+ * @param {string} job.data.userId - User who triggered the rescore (AI usage ledger attribution)
  * @returns {Promise<Object>} - Job result
+ * @throws {Error} - With code AI_QUOTA_EXCEEDED when the organization AI quota is used up
  */
 async function processRescoreJob(job) {
-  const { pageId, useCachedSnapshot = true } = job.data;
+  const { pageId, useCachedSnapshot = true, userId = null } = job.data;
 
   console.log(`[Rescore Job] Rescoring page ${pageId}`);
 
@@ -198,26 +345,25 @@ async function processRescoreJob(job) {
       throw new Error(`No snapshot found for page ${pageId}`);
     }
 
+    const quota = await AiUsageModel.getProjectQuotaStatus(
+      page.project_id,
+      estimateScoringCost(snapshot, await getScoringModel({ projectId: page.project_id }))
+    );
+
+    if (quota.status === 'exceeded') {
+      const quotaError = new Error(getQuotaExceededMessage(quota));
+      quotaError.code = 'AI_QUOTA_EXCEEDED';
+      throw quotaError;
+    }
+
     // Rescore (bypasses cache)
-    const scoreResult = await rescorePage(snapshot);
-
-    // Save new score
-    const savedScore = await PageScoreModel.create({
-      page_id: page.id,
-      snapshot_id: snapshot.id,
-      rubric_version: scoreResult.rubricVersion,
-      page_type: scoreResult.pageType,
-      criteria_scores: scoreResult.criteriaScores,
-      criteria_explanations: scoreResult.criteriaExplanations,
-      ai_recommendations: scoreResult.aiRecommendations,
-      ai_cache_key: scoreResult.aiCacheKey,
-      ai_tokens_used: scoreResult.aiTokensUsed
+    const scoreResult = await rescorePage(snapshot, {
+      usageContext: { projectId: page.project_id, userId, purpose: 'rescore' }
     });
 
-    // Update page current_score_id
-    await PageModel.update(page.id, {
-      current_score_id: savedScore.id
-    });
+    // Save new score (a fresh result also refreshes the cache for identical content)
+    const organizationId = await AiUsageModel.getProjectOrganizationId(page.project_id);
+    const savedScore = await saveScore(snapshot, scoreResult, organizationId);
 
     console.log(`[Rescore Job] Completed: ${scoreResult.overallScore}/100`);
 
@@ -263,7 +409,7 @@ async function processBatchRescoreJob(job) {
 
         // Rescore page
         const result = await processRescoreJob({
-          data: { pageId, useCachedSnapshot: true }
+          data: { pageId, useCachedSnapshot: true, userId: job.data.userId }
         });
 
         totalTokensUsed += result.tokensUsed;
@@ -278,6 +424,10 @@ async function processBatchRescoreJob(job) {
       } catch (error) {
         console.error(`[Batch Rescore] Error rescoring page ${pageId}:`, error.message);
         errors.push({ pageId, error: error.message });
+
+        if (error.code === 'AI_QUOTA_EXCEEDED') {
+          break;
+        }
       }
     }
 
@@ -296,6 +446,76 @@ async function processBatchRescoreJob(job) {
   }
 }
 
+/**
+ * Recompute category sub-scores and weighted overall scores of existing scores
+ *
+ * One-off backfill: uses the stored criteria scores and the rubric version each
+ * score was made with, so the LLM is never called again.
+ *
+ * @param {Object} job - BullMQ job object
+ * @param {string} job.data.organizationId - Only this organization's scores (optional)
+ * @returns {Promise<Object>} - { processed, updated, errors }
+ */
+async function processRecomputeScoresJob(job) {
+  const { organizationId = null } = job.data;
+
+  console.log(
+    `[Recompute Scores Job] Recomputing overall scores${organizationId ? ` for organization ${organizationId}` : ''}`
+  );
+
+  let processed = 0;
+  let updated = 0;
+  let afterId = null;
+  const errors = [];
+
+  for (;;) {
+    const scores = await PageScoreModel.listForRecompute({ afterId, organizationId });
+
+    if (scores.length === 0) {
+      break;
+    }
+
+    for (const score of scores) {
+      try {
+        const rubric = await getRubricForVersion(score.rubric_version);
+        const categoryScores = PageScoreModel.calculateCategoryScores(
+          score.criteria_scores,
+          rubric,
+          score.page_type
+        );
+        const overallScore = PageScoreModel.calculateOverallScore(
+          score.criteria_scores,
+          rubric,
+          score.page_type
+        );
+
+        if (
+          overallScore !== score.overall_score ||
+          JSON.stringify(categoryScores) !== JSON.stringify(score.category_scores || {})
+        ) {
+          await PageScoreModel.update(score.id, {
+            overall_score: overallScore,
+            category_scores: categoryScores
+          });
+          updated++;
+        }
+      } catch (error) {
+        console.error(`[Recompute Scores Job] Error recomputing score ${score.id}:`, error.message);
+        errors.push({ scoreId: score.id, error: error.message });
+      }
+
+      processed++;
+    }
+
+    afterId = scores[scores.length - 1].id;
+    await job.updateProgress({ processed, updated });
+  }
+
+  console.log(`[Recompute Scores Job] Completed: ${processed} scores, ${updated} updated`);
+
+  return { processed, updated, errors };
+}
+
 /**
  * Job processor router
  *
@@ -319,6 +539,9 @@ async function processJob(job) {
     case 'batch-rescore':
       return processBatchRescoreJob(job);
 
+    case 'recompute_scores':
+      return processRecomputeScoresJob(job);
+
     default:
       throw new Error(`Unknown job type: ${jobType}`);
   }
@@ -336,6 +559,8 @@ function initializeScoringWorker(supabase) {
   PageModel.setSupabaseClient(supabase);
   SnapshotModel.setSupabaseClient(supabase);
   CrawlRunModel.setSupabaseClient(supabase);
+  AiUsageModel.setSupabaseClient(supabase);
+  RubricModel.setSupabaseClient(supabase);
 
   // Create worker
   scoringWorker = new Worker(
@@ -387,5 +612,6 @@ module.exports = {
   processJob,
   processScoreJob,
   processRescoreJob,
-  processBatchRescoreJob
+  processBatchRescoreJob,
+  processRecomputeScoresJob
 };
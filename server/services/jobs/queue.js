@@ -53,11 +53,15 @@ const queueConfig = {
 // Job types
 const JOB_TYPES = {
   CRAWL: 'crawl',
+  SCHEDULED_CRAWL: 'scheduled_crawl',
+  LINK_AUDIT: 'link_audit',
   SCORE: 'score',
   ANALYZE: 'analyze',
   GENERATE_EMBEDDINGS: 'generate_embeddings',
   RESCORE: 'rescore',
-  BATCH_RESCORE: 'batch_rescore'
+  BATCH_RESCORE: 'batch_rescore',
+  RECOMPUTE_SCORES: 'recompute_scores',
+  CLUSTER_TOPICS: 'cluster_topics'
 };
 
 // Queue names
@@ -118,9 +122,13 @@ const aiQueue = new Queue(QUEUE_NAMES.AI, {
  * @param {string} data.projectId - Project UUID
  * @param {string} data.userId - User UUID who initiated crawl
  * @param {object} data.config - Crawl configuration
+ * @param {boolean} data.isResume - Whether this continues a paused run (uses unique ID)
  * @returns {Promise<object>} Job instance
  */
 async function addCrawlJob(data) {
+  // Resumed runs need a fresh job ID; the original job is still retained by BullMQ
+  const jobId = data.isResume ? `${data.crawlRunId}-resume-${Date.now()}` : data.crawlRunId;
+
   // Add timeout to prevent hanging when Redis is unavailable
   const timeoutPromise = new Promise((_, reject) => {
     setTimeout(() => reject(new Error('Queue operation timed out - Redis may be unavailable')), 5000);
@@ -129,7 +137,7 @@ async function addCrawlJob(data) {
   try {
     const job = await Promise.race([
       crawlQueue.add(JOB_TYPES.CRAWL, data, {
-        jobId: data.crawlRunId,
+        jobId,
         priority: data.priority || 1
       }),
       timeoutPromise
@@ -142,20 +150,95 @@ async function addCrawlJob(data) {
   }
 }
 
+/**
+ * Reject when a queue operation does not finish in time
+ * @param {Promise} operation - Queue operation
+ * @returns {Promise} Result of the operation
+ */
+function withQueueTimeout(operation) {
+  const timeoutPromise = new Promise((_, reject) => {
+    setTimeout(() => reject(new Error('Queue operation timed out - Redis may be unavailable')), 5000);
+  });
+
+  return Promise.race([operation, timeoutPromise]);
+}
+
+/**
+ * Job scheduler ID of a project's recurring crawls
+ * @param {string} projectId - Project UUID
+ * @returns {string} Job scheduler ID
+ */
+function getCrawlSchedulerId(projectId) {
+  return `crawl-schedule-${projectId}`;
+}
+
+/**
+ * Create or update the repeatable job starting a project's scheduled crawls
+ * @param {string} projectId - Project UUID
+ * @param {object} repeat - Repeat options
+ * @param {string} repeat.pattern - Cron expression
+ * @param {string} repeat.timezone - IANA time zone
+ * @returns {Promise<object>} Next scheduled job
+ */
+async function scheduleCrawls(projectId, { pattern, timezone }) {
+  return withQueueTimeout(
+    crawlQueue.upsertJobScheduler(
+      getCrawlSchedulerId(projectId),
+      { pattern, tz: timezone },
+      {
+        name: JOB_TYPES.SCHEDULED_CRAWL,
+        data: { projectId },
+        opts: { priority: 2, attempts: 1 }
+      }
+    )
+  );
+}
+
+/**
+ * Remove the repeatable job of a project's scheduled crawls
+ * @param {string} projectId - Project UUID
+ * @returns {Promise<boolean>} True if a scheduler was removed
+ */
+async function unscheduleCrawls(projectId) {
+  return withQueueTimeout(crawlQueue.removeJobScheduler(getCrawlSchedulerId(projectId)));
+}
+
+/**
+ * Add a broken link and redirect audit of a finished crawl run
+ * @param {object} data - Job data
+ * @param {string} data.crawlRunId - Crawl run UUID
+ * @param {string} data.projectId - Project UUID
+ * @param {string} data.userAgent - User agent of the crawl
+ * @returns {Promise<object>} Job instance
+ */
+async function addLinkAuditJob(data) {
+  return crawlQueue.add(JOB_TYPES.LINK_AUDIT, data, {
+    jobId: `link-audit-${data.crawlRunId}`,
+    priority: 3
+  });
+}
+
 /**
  * Add scoring job to queue
  * @param {object} data - Job data
  * @param {string} data.crawlRunId - Crawl run UUID
  * @param {Array<string>} data.snapshotIds - Array of snapshot UUIDs to score
  * @param {number} data.tokenLimit - Optional token limit for this scoring job
+ * @param {object} data.budget - Auto scoring budget (see utils/scoring-budget.js)
  * @param {boolean} data.isManualRescore - Whether this is a manual rescore (uses unique ID)
+ * @param {boolean} data.isBudgetApproval - Whether an admin approved scoring past the budget (uses unique ID)
+ * @param {string} data.userId - User UUID who triggered scoring (AI usage ledger attribution)
+ * @param {string} data.purpose - AI usage ledger purpose (e.g. rescore, batch_rescore)
  * @returns {Promise<object>} Job instance
  */
 async function addScoringJob(data) {
-  // For manual rescores, use a unique job ID to avoid conflicts
-  const jobId = data.isManualRescore
-    ? `score-manual-${Date.now()}-${data.snapshotIds[0]}`
-    : `score-${data.crawlRunId}`;
+  // For manual rescores and approvals, use a unique job ID to avoid conflicts
+  let jobId = `score-${data.crawlRunId}`;
+  if (data.isManualRescore) {
+    jobId = `score-manual-${Date.now()}-${data.snapshotIds[0]}`;
+  } else if (data.isBudgetApproval) {
+    jobId = `score-${data.crawlRunId}-approved-${Date.now()}`;
+  }
 
   return scoringQueue.add(JOB_TYPES.SCORE, data, {
     jobId,
@@ -183,6 +266,9 @@ async function addAIAnalysisJob(data) {
  * @param {object} data - Job data
  * @param {string} data.pageId - Page UUID
  * @param {string} data.snapshotId - Snapshot UUID
+ * @param {string} data.projectId - Project UUID
+ * @param {string} data.crawlRunId - Crawl run that created the snapshot (optional)
+ * @param {string} data.userId - User UUID (AI usage ledger attribution)
  * @returns {Promise<object>} Job instance
  */
 async function addEmbeddingJob(data) {
@@ -207,6 +293,35 @@ async function addBatchRescoreJob(data) {
   });
 }
 
+/**
+ * Add a job recomputing weighted overall scores of existing scores (no LLM calls)
+ * @param {object} data - Job data
+ * @param {string} data.organizationId - Only this organization's scores (optional)
+ * @param {string} data.userId - Admin who started the backfill
+ * @returns {Promise<object>} Job instance
+ */
+async function addRecomputeScoresJob(data = {}) {
+  return scoringQueue.add(JOB_TYPES.RECOMPUTE_SCORES, data, {
+    jobId: `recompute-scores-${data.organizationId || 'all'}-${Date.now()}`,
+    priority: 5
+  });
+}
+
+/**
+ * Add a topic clustering job for a project
+ * @param {object} data - Job data
+ * @param {string} data.clusteringId - Topic clustering run UUID
+ * @param {string} data.projectId - Project UUID
+ * @param {string} data.userId - User UUID (AI usage ledger attribution)
+ * @returns {Promise<object>} Job instance
+ */
+async function addTopicClusteringJob(data) {
+  return aiQueue.add(JOB_TYPES.CLUSTER_TOPICS, data, {
+    jobId: `cluster-topics-${data.clusteringId}`,
+    priority: 4
+  });
+}
+
 /**
  * Pause a queue
  * @param {string} queueName - Queue name
@@ -319,10 +434,15 @@ module.exports = {
 
   // Job functions
   addCrawlJob,
+  scheduleCrawls,
+  unscheduleCrawls,
+  addLinkAuditJob,
   addScoringJob,
+  addRecomputeScoresJob,
   addAIAnalysisJob,
   addEmbeddingJob,
   addBatchRescoreJob,
+  addTopicClusteringJob,
 
   // Queue management
   pauseQueue,
@@ -0,0 +1,183 @@
+/**
+ * AI Quota Utility
+ *
+ * Organization-level monthly AI spend quotas. Usage comes from the AI usage
+ * ledger (models/ai-usage.js) for the whole organization, across all projects.
+ *
+ * Quota fields (organizations.settings.ai_quota, limits nullable = unlimited):
+ * - monthly_token_limit - Max tokens per calendar month (UTC)
+ * - monthly_usd_limit - Max estimated USD per calendar month (UTC)
+ * - warning_threshold - Fraction of a limit that triggers a soft warning (default 0.8)
+ * - reset_at - Set by an admin reset: earlier usage in the same month no longer counts
+ */
+
+const { getMonthStart } = require('./scoring-budget');
+
+/**
+ * Default fraction of a limit at which usage is reported as a warning
+ */
+const DEFAULT_WARNING_THRESHOLD = 0.8;
+
+/**
+ * Quota fields admins can update
+ */
+const QUOTA_FIELDS = ['monthly_token_limit', 'monthly_usd_limit', 'warning_threshold'];
+
+/**
+ * Read the AI quota from organization settings
+ *
+ * @param {Object} settings - organizations.settings
+ * @returns {Object} - { monthlyTokens, monthlyUsd, warningThreshold, resetAt } (null = unlimited)
+ */
+function resolveAiQuota(settings = {}) {
+  const quota = settings?.ai_quota || {};
+
+  return {
+    monthlyTokens: quota.monthly_token_limit || null,
+    monthlyUsd: quota.monthly_usd_limit || null,
+    warningThreshold: quota.warning_threshold || DEFAULT_WARNING_THRESHOLD,
+    resetAt: quota.reset_at || null
+  };
+}
+
+/**
+ * Validate AI quota updates
+ *
+ * @param {Object} updates - Quota fields (see QUOTA_FIELDS)
+ * @returns {Array<string>} - Validation errors
+ */
+function validateAiQuota(updates = {}) {
+  const errors = [];
+
+  Object.keys(updates).forEach(field => {
+    if (!QUOTA_FIELDS.includes(field)) {
+      errors.push(`Unknown quota field: ${field}`);
+    }
+  });
+
+  ['monthly_token_limit', 'monthly_usd_limit'].forEach(field => {
+    const value = updates[field];
+    if (value !== undefined && value !== null && (typeof value !== 'number' || value <= 0)) {
+      errors.push(`${field} must be a positive number or null`);
+    }
+  });
+
+  if (
+    updates.monthly_token_limit !== undefined &&
+    updates.monthly_token_limit !== null &&
+    !Number.isInteger(updates.monthly_token_limit)
+  ) {
+    errors.push('monthly_token_limit must be an integer');
+  }
+
+  const threshold = updates.warning_threshold;
+  if (
+    threshold !== undefined &&
+    threshold !== null &&
+    (typeof threshold !== 'number' || threshold <= 0 || threshold > 1)
+  ) {
+    errors.push('warning_threshold must be a number between 0 and 1');
+  }
+
+  return errors;
+}
+
+/**
+ * Get the start of the current quota period
+ *
+ * The calendar month (UTC), or the last admin reset if it happened this month.
+ *
+ * @param {Object} quota - Quota from resolveAiQuota()
+ * @param {Date} date - Reference date (defaults to now)
+ * @returns {string} - ISO timestamp
+ */
+function getQuotaPeriodStart(quota, date = new Date()) {
+  const monthStart = getMonthStart(date);
+
+  if (quota.resetAt && Date.parse(quota.resetAt) > Date.parse(monthStart)) {
+    return new Date(quota.resetAt).toISOString();
+  }
+
+  return monthStart;
+}
+
+/**
+ * Describe usage against a single limit
+ *
+ * @param {number} used - Usage so far
+ * @param {number|null} limit - Limit (null = unlimited)
+ * @returns {Object} - { used, limit, remaining }
+ */
+function describeLimit(used, limit) {
+  return {
+    used,
+    limit,
+    remaining: limit ? Math.max(limit - used, 0) : null
+  };
+}
+
+/**
+ * Evaluate usage against the quota
+ *
+ * A request is refused when usage has already reached a limit, or when its
+ * estimate would take usage past it. Usage at or above the warning threshold
+ * of a limit is reported as a (soft) warning.
+ *
+ * @param {Object} quota - Quota from resolveAiQuota()
+ * @param {Object} usage - { tokens, usd } used in the current period
+ * @param {Object} estimate - { tokens, usd } for the next request (optional)
+ * @returns {Object} - { status: ok|warning|exceeded, reason, tokens, usd }
+ */
+function evaluateAiQuota(quota, usage, estimate = { tokens: 0, usd: 0 }) {
+  const checks = [
+    ['monthly_tokens', quota.monthlyTokens, usage.tokens, estimate.tokens],
+    ['monthly_usd', quota.monthlyUsd, usage.usd, estimate.usd]
+  ];
+
+  const exceeded = checks.find(
+    ([, limit, used, next]) => limit && (used >= limit || used + next > limit)
+  );
+  const warning = checks.some(
+    ([, limit, used, next]) => limit && used + next >= limit * quota.warningThreshold
+  );
+
+  let status = 'ok';
+  if (exceeded) {
+    status = 'exceeded';
+  } else if (warning) {
+    status = 'warning';
+  }
+
+  return {
+    status,
+    reason: exceeded ? exceeded[0] : null,
+    warning_threshold: quota.warningThreshold,
+    tokens: describeLimit(usage.tokens, quota.monthlyTokens),
+    usd: describeLimit(usage.usd, quota.monthlyUsd)
+  };
+}
+
+/**
+ * Build a user-facing message for an exceeded quota
+ *
+ * @param {Object} evaluation - Result of evaluateAiQuota()
+ * @returns {string} - Message
+ */
+function getQuotaExceededMessage(evaluation) {
+  const limit =
+    evaluation.reason === 'monthly_usd'
+      ? `$${evaluation.usd.limit} monthly AI spend limit`
+      : `${evaluation.tokens.limit} monthly AI token limit`;
+
+  return `Organization has reached its ${limit}. Ask an organization admin to raise or reset the quota.`;
+}
+
+module.exports = {
+  DEFAULT_WARNING_THRESHOLD,
+  QUOTA_FIELDS,
+  resolveAiQuota,
+  validateAiQuota,
+  getQuotaPeriodStart,
+  evaluateAiQuota,
+  getQuotaExceededMessage
+};
@@ -0,0 +1,50 @@
+/**
+ * Crawl Config Utility
+ *
+ * Builds crawl_runs.config_snapshot, the copy of the project config a crawl run
+ * is executed with, for runs started from the API and by crawl schedules.
+ * Crawl credentials are never part of the snapshot (see utils/crawl-credentials.js).
+ */
+
+/**
+ * Build the config snapshot of a new crawl run
+ *
+ * @param {Object} project - Project record
+ * @param {Object} options - Run options
+ * @param {string} options.runType - Run type
+ * @param {string} [options.baseUrl] - URL to start from (default: project target_url)
+ * @param {Array<string>} [options.urlList] - URLs of a list crawl
+ * @returns {Object} - Config snapshot
+ */
+function buildConfigSnapshot(project, { runType, baseUrl = project.target_url, urlList = null }) {
+  const config = project.config || {};
+
+  return {
+    base_url: baseUrl,
+    run_type: runType, // Pass run_type to worker so it knows how to crawl
+    user_agent: project.user_agent || process.env.USER_AGENT || 'AEO-Platform-Bot/1.0',
+    depth_limit: ['manual', 'list'].includes(runType) ? 0 : config.depth_limit || 3, // depth=0 for manual and list (no link following)
+    sample_size: runType === 'list' ? null : config.sample_size || null,
+    ...(urlList && { url_list: urlList }),
+    token_limit: config.token_limit || null,
+    excluded_patterns: config.excluded_patterns || [],
+    included_patterns: config.included_patterns || [],
+    strip_params: config.strip_params || [],
+    keep_params: config.keep_params || [],
+    path_rewrites: config.path_rewrites || [],
+    trailing_slash: config.trailing_slash || 'remove',
+    lowercase_paths: config.lowercase_paths === true,
+    crawl_concurrency: config.crawl_concurrency || 3,
+    per_host_concurrency: config.per_host_concurrency || 2,
+    auto_score: config.auto_score === true,
+    auto_score_run_budget_tokens: config.auto_score_run_budget_tokens || null,
+    auto_score_run_budget_usd: config.auto_score_run_budget_usd || null,
+    auto_score_monthly_budget_tokens: config.auto_score_monthly_budget_tokens || null,
+    auto_score_monthly_budget_usd: config.auto_score_monthly_budget_usd || null,
+    compare_static_html: config.compare_static_html === true
+  };
+}
+
+module.exports = {
+  buildConfigSnapshot
+};
@@ -0,0 +1,370 @@
+/**
+ * Crawl Credentials Utility
+ *
+ * Per-project credentials for crawling staging sites behind basic auth or a
+ * login wall. Stored encrypted (AES-256-GCM, key from CRAWL_CREDENTIALS_KEY),
+ * decrypted only by the crawl worker and never returned by the API or copied
+ * to crawl_runs.config_snapshot. Credentials are only sent to the project's host.
+ *
+ * Credentials structure:
+ * - target_host (TEXT) - Hostname of the project target URL the credentials were saved for;
+ *   they are not used once the project points to another host until saved again
+ * - basic_auth (OBJECT, nullable) - { username, password }
+ * - headers (OBJECT) - Extra request headers, { name: value }
+ * - cookies (ARRAY) - [{ name, value, domain?, path? }]
+ * - login (OBJECT, nullable) - Login step run in the browser before crawling:
+ *   { url, username, password, username_selector, password_selector, submit_selector,
+ *   success_selector? }; the session cookies are then also sent with HTTP requests
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Format version of encrypted credentials
+ */
+const ENCRYPTION_VERSION = 'v1';
+
+/**
+ * Headers the crawler sets itself (or that are configured separately)
+ */
+const RESERVED_HEADERS = ['host', 'content-length', 'connection', 'cookie', 'user-agent'];
+
+/**
+ * Login step fields that must be set
+ */
+const LOGIN_FIELDS = [
+  'url',
+  'username',
+  'password',
+  'username_selector',
+  'password_selector',
+  'submit_selector'
+];
+
+/**
+ * Empty credentials
+ */
+const EMPTY_CREDENTIALS = {
+  target_host: null,
+  basic_auth: null,
+  headers: {},
+  cookies: [],
+  login: null
+};
+
+/**
+ * Derive the encryption key from CRAWL_CREDENTIALS_KEY
+ *
+ * @returns {Buffer} - 32-byte key
+ */
+function getEncryptionKey() {
+  const secret = process.env.CRAWL_CREDENTIALS_KEY;
+
+  if (!secret) {
+    throw new Error('CRAWL_CREDENTIALS_KEY is required to store crawl credentials');
+  }
+
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypt credentials for storage
+ *
+ * @param {Object} credentials - Credentials (see structure)
+ * @returns {string} - "v1.<iv>.<auth tag>.<ciphertext>" (base64 parts)
+ */
+function encryptCredentials(credentials) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(credentials), 'utf8'),
+    cipher.final()
+  ]);
+
+  return [
+    ENCRYPTION_VERSION,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join('.');
+}
+
+/**
+ * Decrypt stored credentials
+ *
+ * @param {string} encrypted - Output of encryptCredentials()
+ * @returns {Object} - Credentials
+ * @throws {Error} If the value was tampered with or encrypted with another key
+ */
+function decryptCredentials(encrypted) {
+  const [version, iv, tag, ciphertext] = String(encrypted || '').split('.');
+
+  if (version !== ENCRYPTION_VERSION || !iv || !tag || !ciphertext) {
+    throw new Error('Unsupported crawl credentials format');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      getEncryptionKey(),
+      Buffer.from(iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64')),
+      decipher.final()
+    ]);
+
+    return { ...EMPTY_CREDENTIALS, ...JSON.parse(plaintext.toString('utf8')) };
+  } catch (error) {
+    throw new Error('Failed to decrypt crawl credentials (wrong CRAWL_CREDENTIALS_KEY?)');
+  }
+}
+
+/**
+ * Validate credentials
+ *
+ * @param {Object} credentials - Credentials (see structure)
+ * @returns {Array<string>} - Validation errors
+ */
+function validateCredentials(credentials) {
+  const errors = [];
+
+  if (!credentials || typeof credentials !== 'object' || Array.isArray(credentials)) {
+    return ['credentials must be an object'];
+  }
+
+  const { basic_auth: basicAuth, headers, cookies, login } = credentials;
+
+  if (basicAuth) {
+    if (typeof basicAuth.username !== 'string' || basicAuth.username === '') {
+      errors.push('basic_auth.username is required');
+    } else if (basicAuth.username.includes(':')) {
+      errors.push('basic_auth.username cannot contain ":"');
+    }
+    if (typeof basicAuth.password !== 'string') {
+      errors.push('basic_auth.password is required');
+    }
+  }
+
+  if (headers !== undefined && headers !== null) {
+    if (typeof headers !== 'object' || Array.isArray(headers)) {
+      errors.push('headers must be an object of header names and values');
+    } else {
+      Object.entries(headers).forEach(([name, value]) => {
+        if (!/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(name)) {
+          errors.push(`headers: "${name}" is not a valid header name`);
+        } else if (RESERVED_HEADERS.includes(name.toLowerCase())) {
+          errors.push(`headers: "${name}" cannot be set`);
+        } else if (name.toLowerCase() === 'authorization' && basicAuth) {
+          errors.push('headers: use either basic_auth or an Authorization header');
+        }
+        if (value === null) {
+          errors.push(`headers: "${name}" value is required`);
+        } else if (typeof value !== 'string' || /[\r\n]/.test(value)) {
+          errors.push(`headers: "${name}" must be a single-line string`);
+        }
+      });
+    }
+  }
+
+  if (cookies !== undefined && cookies !== null) {
+    if (!Array.isArray(cookies)) {
+      errors.push('cookies must be an array');
+    } else {
+      cookies.forEach((cookie, index) => {
+        if (!cookie || typeof cookie.name !== 'string' || !/^[^\s;=,]+$/.test(cookie.name)) {
+          errors.push(`cookies[${index}].name is required`);
+        }
+        if (cookie?.value === null) {
+          errors.push(`cookies[${index}].value is required`);
+        } else if (!cookie || typeof cookie.value !== 'string' || /[;\r\n]/.test(cookie.value)) {
+          errors.push(`cookies[${index}].value must be a string without ";"`);
+        }
+      });
+    }
+  }
+
+  if (login) {
+    LOGIN_FIELDS.forEach(field => {
+      if (typeof login[field] !== 'string' || login[field] === '') {
+        errors.push(`login.${field} is required`);
+      }
+    });
+
+    if (typeof login.url === 'string' && login.url !== '') {
+      try {
+        const parsed = new URL(login.url);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+          errors.push('login.url must be an http(s) URL');
+        }
+      } catch (e) {
+        errors.push('login.url must be an http(s) URL');
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Get the hostname of a URL
+ *
+ * @param {string} url - URL
+ * @returns {string|null} - Hostname, null if the URL is invalid
+ */
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Merge submitted credentials with the stored ones: secrets left empty keep
+ * their stored value (the API never sends them back to be resubmitted) as long
+ * as they go to the same host. The login password is only kept while the login
+ * URL stays on its host; basic auth, header and cookie values only while the
+ * project's target host is the one they were saved for. Secrets that cannot be
+ * kept are set to null, so validation asks for them again.
+ *
+ * @param {Object|null} stored - Stored credentials
+ * @param {Object} submitted - Submitted credentials
+ * @param {string} targetHost - Hostname of the project's target URL
+ * @returns {Object} - Credentials to store
+ */
+function mergeCredentials(stored, submitted, targetHost) {
+  const previous = { ...EMPTY_CREDENTIALS, ...(stored || {}) };
+  const merged = { ...EMPTY_CREDENTIALS, ...submitted, target_host: targetHost };
+  const keep = value => value === undefined || value === null || value === '';
+  const sameTarget = Boolean(targetHost) && previous.target_host === targetHost;
+
+  if (merged.basic_auth && keep(merged.basic_auth.password)) {
+    const password = sameTarget && previous.basic_auth ? previous.basic_auth.password : null;
+    merged.basic_auth = { ...merged.basic_auth, password };
+  }
+
+  if (merged.login && keep(merged.login.password)) {
+    const loginHost = getHostname(merged.login.url);
+    const sameLogin = Boolean(loginHost) && loginHost === getHostname(previous.login?.url);
+    merged.login = { ...merged.login, password: sameLogin ? previous.login.password : '' };
+  }
+
+  merged.headers = Object.fromEntries(
+    Object.entries(merged.headers || {}).map(([name, value]) => {
+      if (!keep(value)) {
+        return [name, value];
+      }
+      return [
+        name,
+        sameTarget && previous.headers[name] !== undefined ? previous.headers[name] : null
+      ];
+    })
+  );
+
+  merged.cookies = (merged.cookies || []).map(cookie => {
+    if (!keep(cookie?.value)) {
+      return cookie;
+    }
+    const storedCookie = previous.cookies.find(entry => entry.name === cookie.name);
+    return { ...cookie, value: sameTarget && storedCookie ? storedCookie.value : null };
+  });
+
+  return merged;
+}
+
+/**
+ * Describe credentials without secrets (for API responses)
+ *
+ * @param {Object|null} credentials - Credentials
+ * @returns {Object} - { configured, target_host, basic_auth, headers, cookies, login }
+ */
+function describeCredentials(credentials) {
+  if (!credentials) {
+    return {
+      configured: false,
+      target_host: null,
+      basic_auth: null,
+      headers: [],
+      cookies: [],
+      login: null
+    };
+  }
+
+  const { basic_auth: basicAuth, headers, cookies, login } = credentials;
+  let loginStep = null;
+
+  if (login) {
+    loginStep = {
+      url: login.url,
+      username: login.username,
+      username_selector: login.username_selector,
+      password_selector: login.password_selector,
+      submit_selector: login.submit_selector,
+      success_selector: login.success_selector || null
+    };
+  }
+
+  return {
+    configured: true,
+    target_host: credentials.target_host || null,
+    basic_auth: basicAuth ? { username: basicAuth.username } : null,
+    headers: Object.keys(headers || {}),
+    cookies: (cookies || []).map(cookie => cookie.name),
+    login: loginStep
+  };
+}
+
+/**
+ * Build the request headers carrying the credentials for HTTP fetches
+ *
+ * @param {Object|null} credentials - Credentials
+ * @param {Array<Object>} sessionCookies - Cookies set by the login step ([{ name, value }])
+ * @returns {Object} - Headers (custom headers, Authorization, Cookie)
+ */
+function buildRequestHeaders(credentials, sessionCookies = []) {
+  if (!credentials) {
+    return {};
+  }
+
+  const headers = { ...(credentials.headers || {}) };
+
+  if (credentials.basic_auth) {
+    const { username, password } = credentials.basic_auth;
+    headers.Authorization = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+
+  const cookies = [...(credentials.cookies || []), ...sessionCookies];
+  if (cookies.length > 0) {
+    headers.Cookie = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+  }
+
+  return headers;
+}
+
+/**
+ * Check if credentials may be sent to a URL (only the project's own host)
+ *
+ * @param {string} url - Request URL
+ * @param {string} baseUrl - Project base URL
+ * @returns {boolean} - True if the URL is on the project's host
+ */
+function isCredentialHost(url, baseUrl) {
+  try {
+    return new URL(url).hostname === new URL(baseUrl).hostname;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = {
+  EMPTY_CREDENTIALS,
+  encryptCredentials,
+  decryptCredentials,
+  validateCredentials,
+  mergeCredentials,
+  describeCredentials,
+  buildRequestHeaders,
+  isCredentialHost
+};
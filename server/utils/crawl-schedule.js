@@ -0,0 +1,253 @@
+/**
+ * Crawl Schedule Utility
+ *
+ * Recurring crawls per project (projects.crawl_schedule), executed by a BullMQ
+ * job scheduler on the crawl queue (see services/jobs/queue.js). A scheduled
+ * run is skipped while another run of the project is queued or running.
+ *
+ * Schedule structure:
+ * - enabled (BOOLEAN, default false) - Whether scheduled crawls run
+ * - preset (TEXT, default 'weekly') - 'daily', 'weekly', 'monthly' or 'cron'
+ * - time (TEXT, default '03:00') - Time of day (HH:MM) for presets
+ * - day_of_week (INTEGER, default 1) - 0 (Sunday) to 6 for weekly runs
+ * - day_of_month (INTEGER, default 1) - 1 to 28 for monthly runs
+ * - cron (TEXT, nullable) - Five-field cron expression when preset is 'cron'
+ * - timezone (TEXT, default 'UTC') - IANA time zone the schedule is evaluated in
+ * - run_type (TEXT, default 'delta') - Run type of scheduled crawls
+ * - updated_by (UUID) - User who last changed the schedule (scheduled runs are created as them)
+ */
+
+const cronParser = require('cron-parser');
+
+/**
+ * Schedule presets
+ */
+const SCHEDULE_PRESETS = ['daily', 'weekly', 'monthly', 'cron'];
+
+/**
+ * Run types that can be scheduled (manual and list crawls need input)
+ */
+const SCHEDULED_RUN_TYPES = ['delta', 'full', 'sitemap_only', 'sample'];
+
+/**
+ * Minimum time between two scheduled runs (minutes)
+ */
+const MIN_INTERVAL_MINUTES = 60;
+
+/**
+ * Upcoming runs checked for the minimum interval, so the result does not depend
+ * on when the schedule is saved (e.g. '0,5 23 * * *' saved at 23:03)
+ */
+const INTERVAL_CHECK_RUNS = 50;
+
+/**
+ * Default schedule
+ */
+const DEFAULT_SCHEDULE = {
+  enabled: false,
+  preset: 'weekly',
+  time: '03:00',
+  day_of_week: 1,
+  day_of_month: 1,
+  cron: null,
+  timezone: 'UTC',
+  run_type: 'delta'
+};
+
+/**
+ * Check if a time zone is a valid IANA time zone
+ *
+ * @param {string} timezone - Time zone (e.g. 'Europe/Berlin')
+ * @returns {boolean} - True if valid
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone === '') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Build the cron expression of a schedule
+ *
+ * @param {Object} schedule - Schedule (see structure)
+ * @returns {string} - Five-field cron expression
+ */
+function toCronPattern(schedule) {
+  const { preset, cron } = { ...DEFAULT_SCHEDULE, ...schedule };
+
+  if (preset === 'cron') {
+    return String(cron || '').trim();
+  }
+
+  const [hours, minutes] = (schedule.time || DEFAULT_SCHEDULE.time).split(':').map(Number);
+  const dayOfWeek = schedule.day_of_week ?? DEFAULT_SCHEDULE.day_of_week;
+  const dayOfMonth = schedule.day_of_month ?? DEFAULT_SCHEDULE.day_of_month;
+
+  if (preset === 'daily') {
+    return `${minutes} ${hours} * * *`;
+  }
+
+  if (preset === 'monthly') {
+    return `${minutes} ${hours} ${dayOfMonth} * *`;
+  }
+
+  return `${minutes} ${hours} * * ${dayOfWeek}`;
+}
+
+/**
+ * Get the next run times of a schedule
+ *
+ * @param {Object} schedule - Schedule (see structure)
+ * @param {Object} options - { from: Date to start from (default now), count: number of runs }
+ * @returns {Array<Date>} - Next run times
+ */
+function getNextRuns(schedule, options = {}) {
+  const { from = new Date(), count = 1 } = options;
+  const interval = cronParser.parseExpression(toCronPattern(schedule), {
+    currentDate: from,
+    tz: schedule.timezone || DEFAULT_SCHEDULE.timezone
+  });
+
+  return Array.from({ length: count }, () => interval.next().toDate());
+}
+
+/**
+ * Get the next run time of an enabled schedule
+ *
+ * @param {Object|null} schedule - Schedule (see structure)
+ * @param {Date} from - Date to start from (default now)
+ * @returns {string|null} - ISO timestamp, null if disabled or invalid
+ */
+function getNextRunAt(schedule, from = new Date()) {
+  if (!schedule?.enabled) {
+    return null;
+  }
+
+  try {
+    return getNextRuns(schedule, { from })[0].toISOString();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Validate a schedule
+ *
+ * @param {Object} schedule - Schedule (see structure)
+ * @returns {Array<string>} - Validation errors
+ */
+function validateSchedule(schedule) {
+  const errors = [];
+
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return ['schedule must be an object'];
+  }
+
+  const merged = { ...DEFAULT_SCHEDULE, ...schedule };
+
+  if (typeof merged.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  if (!SCHEDULE_PRESETS.includes(merged.preset)) {
+    errors.push(`preset must be one of: ${SCHEDULE_PRESETS.join(', ')}`);
+  }
+
+  if (!SCHEDULED_RUN_TYPES.includes(merged.run_type)) {
+    errors.push(`run_type must be one of: ${SCHEDULED_RUN_TYPES.join(', ')}`);
+  }
+
+  if (!isValidTimezone(merged.timezone)) {
+    errors.push('timezone must be a valid IANA time zone (e.g. Europe/Berlin)');
+  }
+
+  if (merged.preset === 'cron') {
+    if (typeof merged.cron !== 'string' || merged.cron.trim().split(/\s+/).length !== 5) {
+      errors.push(
+        'cron must be a cron expression with five fields (minute hour day month weekday)'
+      );
+    }
+  } else {
+    if (typeof merged.time !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(merged.time)) {
+      errors.push('time must be in HH:MM format');
+    }
+
+    if (
+      merged.preset === 'weekly' &&
+      !(Number.isInteger(merged.day_of_week) && merged.day_of_week >= 0 && merged.day_of_week <= 6)
+    ) {
+      errors.push('day_of_week must be an integer from 0 (Sunday) to 6');
+    }
+
+    if (
+      merged.preset === 'monthly' &&
+      !(
+        Number.isInteger(merged.day_of_month) &&
+        merged.day_of_month >= 1 &&
+        merged.day_of_month <= 28
+      )
+    ) {
+      errors.push('day_of_month must be an integer from 1 to 28');
+    }
+  }
+
+  // Check the expression itself once the fields are valid
+  if (errors.length === 0) {
+    try {
+      const runs = getNextRuns(merged, { count: INTERVAL_CHECK_RUNS });
+      const tooClose = runs.some(
+        (run, index) => index > 0 && run - runs[index - 1] < MIN_INTERVAL_MINUTES * 60 * 1000
+      );
+
+      if (tooClose) {
+        errors.push(`Scheduled crawls must be at least ${MIN_INTERVAL_MINUTES} minutes apart`);
+      }
+    } catch (e) {
+      errors.push(`cron is not a valid cron expression: ${e.message}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Describe a schedule for API responses
+ *
+ * @param {Object|null} schedule - Stored schedule
+ * @returns {Object} - Schedule with defaults, cron pattern and next run time
+ */
+function describeSchedule(schedule) {
+  const merged = { ...DEFAULT_SCHEDULE, ...(schedule || {}) };
+  let pattern = null;
+
+  try {
+    pattern = toCronPattern(merged);
+  } catch (e) {
+    pattern = null;
+  }
+
+  return {
+    ...merged,
+    pattern,
+    next_run_at: getNextRunAt(merged)
+  };
+}
+
+module.exports = {
+  SCHEDULE_PRESETS,
+  SCHEDULED_RUN_TYPES,
+  DEFAULT_SCHEDULE,
+  isValidTimezone,
+  toCronPattern,
+  getNextRuns,
+  getNextRunAt,
+  validateSchedule,
+  describeSchedule
+};
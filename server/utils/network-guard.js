@@ -0,0 +1,139 @@
+/**
+ * Network Guard Utility
+ *
+ * Keeps requests to URLs taken from crawled content (links, redirect targets)
+ * on the public internet: only http(s) URLs whose host resolves to public
+ * addresses are requested, so a crawled page cannot make the platform probe
+ * loopback, private, link-local or cloud metadata addresses.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const { URL } = require('url');
+
+/**
+ * Non-public IPv4 ranges (this network, private, CGNAT, loopback, link-local
+ * incl. cloud metadata, IETF protocol assignments, benchmarking, multicast, reserved)
+ */
+const BLOCKED_IPV4_SUBNETS = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+/**
+ * Non-public IPv6 ranges (unspecified, loopback, NAT64, unique local,
+ * link-local, multicast); IPv4-mapped addresses are checked against the IPv4 ranges
+ */
+const BLOCKED_IPV6_SUBNETS = [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+];
+
+/**
+ * URL schemes that may be requested
+ */
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+const blockList = new net.BlockList();
+BLOCKED_IPV4_SUBNETS.forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+BLOCKED_IPV6_SUBNETS.forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Build the error of a blocked request
+ *
+ * @param {string} message - Error message
+ * @param {string} code - 'blocked_scheme' or 'blocked_address'
+ * @returns {Error} - Error with code
+ */
+function blockedError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Check if an IP address is publicly routable
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - False for loopback, private, link-local, metadata and reserved addresses
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+
+  if (family === 0) {
+    return false;
+  }
+
+  return !blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Resolve a hostname and make sure every address it resolves to is public
+ *
+ * @param {string} hostname - Hostname or IP address
+ * @param {Function} lookup - dns.promises.lookup-compatible resolver (for tests)
+ * @returns {Promise<Object>} - { address, family } of the first address
+ */
+async function resolvePublicAddress(hostname, lookup = dns.promises.lookup) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await lookup(host, { all: true });
+
+  if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+    throw blockedError(`${host} does not resolve to a public address`, 'blocked_address');
+  }
+
+  return addresses[0];
+}
+
+/**
+ * Check that a URL may be requested: http(s) and a host with public addresses
+ *
+ * @param {string} url - Absolute URL
+ * @param {Function} lookup - dns.promises.lookup-compatible resolver (for tests)
+ * @returns {Promise<Object>} - { address, family } the host resolves to
+ */
+async function assertPublicUrl(url, lookup = dns.promises.lookup) {
+  const { protocol, hostname } = new URL(url);
+
+  if (!ALLOWED_PROTOCOLS.includes(protocol)) {
+    throw blockedError(`${protocol} URLs are not requested`, 'blocked_scheme');
+  }
+
+  return resolvePublicAddress(hostname, lookup);
+}
+
+/**
+ * Create an axios `lookup` that only connects to public addresses
+ *
+ * Checked again when connecting, so a host cannot switch to a private address
+ * between the URL check and the request (DNS rebinding).
+ *
+ * @param {Function} lookup - dns.promises.lookup-compatible resolver (for tests)
+ * @returns {Function} - async (hostname) => [address, family]
+ */
+function createPublicLookup(lookup = dns.promises.lookup) {
+  return async hostname => {
+    const { address, family } = await resolvePublicAddress(hostname, lookup);
+    return [address, family];
+  };
+}
+
+module.exports = {
+  isPublicAddress,
+  resolvePublicAddress,
+  assertPublicUrl,
+  createPublicLookup
+};
@@ -4,7 +4,9 @@ const { fetch } = require('./package-fix');
 class RobotsChecker {
   constructor(projectUserAgent = null) {
     this.cache = new Map();
+    this.parsers = new Map(); // Parsed robots.txt per origin for per-URL checks
     this.cacheTimeout = 60 * 60 * 1000; // 1 hour
+    this.requestHeaders = null; // Crawl credential headers, { host, headers }
 
     // Support project-specific user agent for multi-tenant crawling
     this.projectUserAgent = projectUserAgent || process.env.USER_AGENT || 'AEO-Platform-Bot/1.0';
@@ -26,7 +28,17 @@ class RobotsChecker {
     this.projectUserAgent = userAgent;
     this.userAgents.crawler = userAgent;
     // Clear cache when user agent changes
-    this.cache.clear();
+    this.clearCache();
+  }
+
+  /**
+   * Send extra headers (crawl credentials) when fetching robots.txt of one host
+   * @param {Object} headers - Request headers
+   * @param {string} host - Only requests to this hostname get the headers
+   */
+  setRequestHeaders(headers, host) {
+    this.requestHeaders = headers && Object.keys(headers).length > 0 ? { host, headers } : null;
+    this.clearCache();
   }
 
   async checkRobots(domain, userAgent = 'AI-Search-Crawler') {
@@ -42,6 +54,7 @@ class RobotsChecker {
       const response = await fetch(robotsUrl, {
         timeout: 10000,
         headers: {
+          ...(this.requestHeaders?.host === domain && this.requestHeaders.headers),
           'User-Agent': userAgent
         }
       });
@@ -217,8 +230,38 @@ class RobotsChecker {
     });
   }
 
+  /**
+   * Check if a specific URL may be crawled (uses the robots.txt cached by checkRobots)
+   * @param {string} url - Absolute URL
+   * @param {string} userAgent - User agent the crawl runs as
+   * @returns {Promise<boolean>} - False only if robots.txt explicitly disallows the URL
+   */
+  async isUrlAllowed(url, userAgent = this.projectUserAgent) {
+    const parsed = new URL(url);
+    const robotsInfo = await this.checkRobots(parsed.hostname, userAgent);
+
+    if (!robotsInfo.robotsTxtContent) {
+      return true;
+    }
+
+    const robotsUrl = `${parsed.protocol}//${parsed.host}/robots.txt`;
+    const parserKey = `${robotsUrl}_${userAgent}`;
+    let parser = this.parsers.get(parserKey);
+
+    if (!parser || parser.robotsTxt !== robotsInfo.robotsTxtContent) {
+      parser = {
+        robotsTxt: robotsInfo.robotsTxtContent,
+        robots: robotsParser(robotsUrl, robotsInfo.robotsTxtContent)
+      };
+      this.parsers.set(parserKey, parser);
+    }
+
+    return parser.robots.isAllowed(url, userAgent) !== false;
+  }
+
   clearCache() {
     this.cache.clear();
+    this.parsers.clear();
   }
 }
 
@@ -0,0 +1,136 @@
+/**
+ * Scoring Budget Utility
+ *
+ * Budget guardrails for automatic scoring after a crawl. Each page is
+ * estimated before it is sent to the model so the scoring job can stop
+ * before a per-run or per-month token/USD budget would be exceeded.
+ *
+ * Budget fields (project config, all nullable = unlimited):
+ * - auto_score_run_budget_tokens - Max tokens per crawl run
+ * - auto_score_run_budget_usd - Max estimated USD per crawl run
+ * - auto_score_monthly_budget_tokens - Max tokens per calendar month (UTC) per project
+ * - auto_score_monthly_budget_usd - Max estimated USD per calendar month (UTC) per project
+ */
+
+const { countTokens, estimateRequestCost, DEFAULT_MODEL } = require('./token-counter');
+const { resolveProvider } = require('../services/ai/providers');
+
+/**
+ * Approximate tokens for the scoring system prompt and rubric criteria
+ */
+const PROMPT_OVERHEAD_TOKENS = 1500;
+
+/**
+ * Approximate completion tokens for a scoring response
+ */
+const SCORING_OUTPUT_TOKENS = 800;
+
+/**
+ * Content above this size is summarized first (see summarizer.prepareContentForScoring)
+ */
+const SUMMARIZE_THRESHOLD_TOKENS = 1000;
+
+/**
+ * Approximate completion tokens for a summary
+ */
+const SUMMARY_OUTPUT_TOKENS = 400;
+
+/**
+ * Get the model scoring requests are billed against
+ *
+ * The organization's provider and model, as the scoring request itself resolves them.
+ *
+ * @param {Object|null} usageContext - { organizationId, projectId, ... }
+ * @returns {Promise<string>} - Model name
+ */
+async function getScoringModel(usageContext = null) {
+  const { provider, model } = await resolveProvider(usageContext);
+  return model || provider.defaultModel;
+}
+
+/**
+ * Read the scoring budget from a project config (or crawl config snapshot)
+ *
+ * @param {Object} config - Project config
+ * @returns {Object} - { runTokens, runUsd, monthlyTokens, monthlyUsd } (null = unlimited)
+ */
+function resolveScoringBudget(config = {}) {
+  return {
+    runTokens: config?.auto_score_run_budget_tokens || null,
+    runUsd: config?.auto_score_run_budget_usd || null,
+    monthlyTokens: config?.auto_score_monthly_budget_tokens || null,
+    monthlyUsd: config?.auto_score_monthly_budget_usd || null
+  };
+}
+
+/**
+ * Estimate the tokens and cost of scoring a snapshot before calling the model
+ *
+ * @param {Object} snapshot - Page snapshot (uses cleaned_text)
+ * @param {string} modelName - OpenAI model name
+ * @returns {Object} - { tokens, usd }
+ */
+function estimateScoringCost(snapshot, modelName = DEFAULT_MODEL) {
+  const contentTokens = countTokens(snapshot?.cleaned_text || '', modelName);
+  let inputTokens = PROMPT_OVERHEAD_TOKENS;
+  let outputTokens = SCORING_OUTPUT_TOKENS;
+
+  if (contentTokens > SUMMARIZE_THRESHOLD_TOKENS) {
+    // Summarization request, then the summary is scored
+    inputTokens += contentTokens + SUMMARY_OUTPUT_TOKENS;
+    outputTokens += SUMMARY_OUTPUT_TOKENS;
+  } else {
+    inputTokens += contentTokens;
+  }
+
+  return {
+    tokens: inputTokens + outputTokens,
+    usd: estimateRequestCost(inputTokens, outputTokens, modelName)
+  };
+}
+
+/**
+ * Check whether scoring one more page stays within every budget
+ *
+ * @param {Object} budget - Budget from resolveScoringBudget()
+ * @param {Object} usage - Usage so far
+ * @param {Object} usage.run - { tokens, usd } used by this crawl run
+ * @param {Object} usage.month - { tokens, usd } used by the project this month
+ * @param {Object} estimate - { tokens, usd } for the next page
+ * @returns {Object} - { allowed: boolean, reason: string|null }
+ */
+function checkScoringBudget(budget, usage, estimate) {
+  const checks = [
+    ['run_tokens', budget.runTokens, usage.run.tokens + estimate.tokens],
+    ['run_usd', budget.runUsd, usage.run.usd + estimate.usd],
+    ['monthly_tokens', budget.monthlyTokens, usage.month.tokens + estimate.tokens],
+    ['monthly_usd', budget.monthlyUsd, usage.month.usd + estimate.usd]
+  ];
+
+  const exceeded = checks.find(([, limit, projected]) => limit && projected > limit);
+
+  return {
+    allowed: !exceeded,
+    reason: exceeded ? exceeded[0] : null
+  };
+}
+
+/**
+ * Get the start of the current billing month (UTC)
+ *
+ * @param {Date} date - Reference date (defaults to now)
+ * @returns {string} - ISO timestamp of the first day of the month
+ */
+function getMonthStart(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)).toISOString();
+}
+
+module.exports = {
+  PROMPT_OVERHEAD_TOKENS,
+  SCORING_OUTPUT_TOKENS,
+  getScoringModel,
+  resolveScoringBudget,
+  estimateScoringCost,
+  checkScoringBudget,
+  getMonthStart
+};
@@ -0,0 +1,118 @@
+/**
+ * Text Chunking Utility
+ *
+ * Splits page text into token-bounded chunks for embeddings. Chunks follow
+ * paragraph and sentence boundaries where possible and share a small overlap
+ * so content at a boundary stays searchable.
+ */
+
+const { countTokens } = require('./token-counter');
+
+/**
+ * Default chunking options
+ * - maxTokens: Upper bound per chunk (well below embedding model input limits)
+ * - overlapTokens: Trailing text of a chunk repeated at the start of the next
+ * - maxChunks: Chunks kept per text (bounds embedding cost of very long pages)
+ */
+const DEFAULT_CHUNK_OPTIONS = {
+  maxTokens: 400,
+  overlapTokens: 50,
+  maxChunks: 20
+};
+
+/**
+ * Split text into pieces of at most maxTokens: paragraphs, then sentences,
+ * then word windows for sentences that are still too long
+ *
+ * @param {string} text - Text to split
+ * @param {number} maxTokens - Token limit per piece
+ * @returns {Array<Object>} - [{ text, tokens }]
+ */
+function splitIntoPieces(text, maxTokens) {
+  const pieces = [];
+  const addPiece = piece => pieces.push({ text: piece, tokens: countTokens(piece) });
+
+  text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .forEach(paragraph => {
+      if (countTokens(paragraph) <= maxTokens) {
+        addPiece(paragraph);
+        return;
+      }
+
+      paragraph.split(/(?<=[.!?])\s+/).forEach(sentence => {
+        if (countTokens(sentence) <= maxTokens) {
+          addPiece(sentence);
+          return;
+        }
+
+        // Roughly 0.75 words per token
+        const words = sentence.split(' ');
+        const windowSize = Math.max(1, Math.floor(maxTokens * 0.75));
+        for (let i = 0; i < words.length; i += windowSize) {
+          addPiece(words.slice(i, i + windowSize).join(' '));
+        }
+      });
+    });
+
+  return pieces;
+}
+
+/**
+ * Split text into overlapping, token-bounded chunks
+ *
+ * @param {string} text - Text to chunk (e.g. page_snapshots.cleaned_text)
+ * @param {Object} options - See DEFAULT_CHUNK_OPTIONS
+ * @returns {Array<string>} - Chunks in text order
+ */
+function chunkText(text, options = {}) {
+  const { maxTokens, overlapTokens, maxChunks } = { ...DEFAULT_CHUNK_OPTIONS, ...options };
+
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  for (const piece of splitIntoPieces(text, maxTokens)) {
+    if (current.length > 0 && currentTokens + piece.tokens > maxTokens) {
+      chunks.push(current.map(p => p.text).join(' '));
+
+      if (chunks.length >= maxChunks) {
+        return chunks;
+      }
+
+      // Carry the trailing pieces over, as long as they fit next to the new piece
+      const overlap = [];
+      let overlapCount = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        if (overlapCount + current[i].tokens > overlapTokens) {
+          break;
+        }
+        overlap.unshift(current[i]);
+        overlapCount += current[i].tokens;
+      }
+
+      current = overlapCount + piece.tokens <= maxTokens ? overlap : [];
+      currentTokens = current.length > 0 ? overlapCount : 0;
+    }
+
+    current.push(piece);
+    currentTokens += piece.tokens;
+  }
+
+  if (current.length > 0) {
+    chunks.push(current.map(p => p.text).join(' '));
+  }
+
+  return chunks;
+}
+
+module.exports = {
+  DEFAULT_CHUNK_OPTIONS,
+  chunkText
+};
@@ -134,6 +134,20 @@ function countMessageTokens(messages, modelName = DEFAULT_MODEL) {
  */
 function estimateCost(tokenCount, modelName = DEFAULT_MODEL, operation = 'input') {
   const pricing = {
+    'gpt-4o': {
+      input: 0.0025 / 1000, // $0.0025 per 1K input tokens
+      output: 0.01 / 1000 // $0.01 per 1K output tokens
+    },
+    'gpt-4o-mini': {
+      input: 0.00015 / 1000, // $0.00015 per 1K input tokens
+      output: 0.0006 / 1000 // $0.0006 per 1K output tokens
+    },
+    'text-embedding-3-small': {
+      input: 0.00002 / 1000 // $0.00002 per 1K tokens
+    },
+    'text-embedding-3-large': {
+      input: 0.00013 / 1000 // $0.00013 per 1K tokens
+    },
     'gpt-4': {
       input: 0.03 / 1000, // $0.03 per 1K input tokens
       output: 0.06 / 1000 // $0.06 per 1K output tokens
@@ -145,15 +159,47 @@ function estimateCost(tokenCount, modelName = DEFAULT_MODEL, operation = 'input'
     'gpt-3.5-turbo': {
       input: 0.0005 / 1000, // $0.0005 per 1K input tokens
       output: 0.0015 / 1000 // $0.0015 per 1K output tokens
+    },
+    'claude-3-5-sonnet': {
+      input: 0.003 / 1000, // $0.003 per 1K input tokens
+      output: 0.015 / 1000 // $0.015 per 1K output tokens
+    },
+    'claude-3-5-haiku': {
+      input: 0.0008 / 1000, // $0.0008 per 1K input tokens
+      output: 0.004 / 1000 // $0.004 per 1K output tokens
+    },
+    'claude-3-opus': {
+      input: 0.015 / 1000, // $0.015 per 1K input tokens
+      output: 0.075 / 1000 // $0.075 per 1K output tokens
     }
   };
 
-  const modelPricing = pricing[modelName] || pricing['gpt-4'];
+  // API responses report dated snapshots (e.g. gpt-4o-mini-2024-07-18): use the longest prefix
+  const pricingKey =
+    Object.keys(pricing)
+      .filter(key => modelName?.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0] || 'gpt-4';
+  const modelPricing = pricing[pricingKey];
   const rate = modelPricing[operation] || modelPricing.input;
 
   return tokenCount * rate;
 }
 
+/**
+ * Estimate the cost of a request from its prompt and completion tokens
+ *
+ * @param {number} promptTokens - Prompt (input) tokens
+ * @param {number} completionTokens - Completion (output) tokens
+ * @param {string} modelName - OpenAI model name
+ * @returns {number} - Estimated cost in USD
+ */
+function estimateRequestCost(promptTokens, completionTokens, modelName = DEFAULT_MODEL) {
+  return (
+    estimateCost(promptTokens || 0, modelName, 'input') +
+    estimateCost(completionTokens || 0, modelName, 'output')
+  );
+}
+
 /**
  * Check if adding more tokens would exceed a budget limit
  *
@@ -264,6 +310,7 @@ module.exports = {
   countTokens,
   countMessageTokens,
   estimateCost,
+  estimateRequestCost,
   isWithinBudget,
   getRemainingTokens,
   truncateToTokenLimit,
@@ -0,0 +1,325 @@
+/**
+ * URL Rules Utility
+ *
+ * Project-specific URL normalization rules, applied on top of the default
+ * normalization by canonicalizer.normalizeUrl so URLs are queued, deduplicated
+ * and compared the same way everywhere.
+ *
+ * Rule fields (project config):
+ * - strip_params (ARRAY) - Query parameters to remove, `*` matches any characters (e.g. "sort_*")
+ * - keep_params (ARRAY) - Only keep these query parameters (empty = keep all not stripped)
+ * - path_rewrites (ARRAY) - [{ pattern, replacement }], regular expressions applied to the path
+ *   (no nested quantifiers, quantified alternations, backreferences or lookarounds,
+ *   and each rewrite is time bounded, so a pattern cannot stall the API or the crawl worker)
+ * - trailing_slash (TEXT, default 'remove') - 'remove', 'add' or 'keep' the trailing slash of paths
+ * - lowercase_paths (BOOLEAN, default false) - Lowercase the path (hostnames are always lowercased)
+ */
+
+const vm = require('vm');
+
+/**
+ * Trailing slash policies
+ */
+const TRAILING_SLASH_POLICIES = ['remove', 'add', 'keep'];
+
+/**
+ * Max path rewrite rules per project
+ */
+const MAX_PATH_REWRITES = 20;
+
+/**
+ * Max length of a path rewrite pattern
+ */
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Time a single path rewrite may take (ms) before the rule is skipped
+ */
+const REWRITE_TIMEOUT_MS = 50;
+
+/**
+ * Default rules (same result as the default normalization)
+ */
+const DEFAULT_URL_RULES = {
+  strip_params: [],
+  keep_params: [],
+  path_rewrites: [],
+  trailing_slash: 'remove',
+  lowercase_paths: false
+};
+
+/**
+ * Check if a query parameter name matches a pattern (supports `*` wildcards)
+ *
+ * @param {string} name - Parameter name
+ * @param {string} pattern - Parameter name or pattern
+ * @returns {boolean} - True if the parameter matches
+ */
+function matchesParam(name, pattern) {
+  if (!pattern.includes('*')) {
+    return name === pattern;
+  }
+
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`).test(name);
+}
+
+/**
+ * Check if there is a repeating quantifier (*, +, {n,m}) at a position
+ *
+ * @param {string} pattern - Regular expression source
+ * @param {number} index - Position right after an atom
+ * @returns {boolean} - True for a repeating quantifier (not for ?)
+ */
+function isRepeatingQuantifier(pattern, index) {
+  return /^([*+]|\{\d*(,\d*)?\})/.test(pattern.slice(index));
+}
+
+/**
+ * Check if a path rewrite pattern runs in predictable time: no nested
+ * quantifiers ((a+)+), no quantified alternations ((a|ab)*), no backreferences
+ * and no lookarounds. Expects a pattern that compiles.
+ *
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean} - True if the pattern is allowed
+ */
+function isSafePattern(pattern) {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return false;
+  }
+
+  // One entry per open group: whether it has a quantifier or alternatives
+  const groups = [{ quantified: false, alternation: false }];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const group = groups[groups.length - 1];
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1])) {
+        return false;
+      }
+      i++;
+    } else if (char === '[') {
+      // Skip the character class
+      for (i++; pattern[i] !== ']'; i++) {
+        i += pattern[i] === '\\' ? 1 : 0;
+      }
+    } else if (char === '(') {
+      if (/^\(\?<?[=!]/.test(pattern.slice(i, i + 4))) {
+        return false;
+      }
+      // Skip the (?: and (?<name> group prefixes
+      if (pattern[i + 1] === '?') {
+        i = pattern[i + 2] === ':' ? i + 2 : pattern.indexOf('>', i);
+      }
+      groups.push({ quantified: false, alternation: false });
+    } else if (char === ')') {
+      const closed = groups.pop();
+      const repeated = isRepeatingQuantifier(pattern, i + 1);
+
+      if (repeated && (closed.quantified || closed.alternation)) {
+        return false;
+      }
+      groups[groups.length - 1].quantified ||= closed.quantified;
+    } else if (char === '|') {
+      group.alternation = true;
+    } else if (char === '?' || isRepeatingQuantifier(pattern, i)) {
+      group.quantified = true;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Validate the URL rule fields of a project config
+ *
+ * @param {Object} config - Project config
+ * @returns {Array<string>} - Validation errors
+ */
+function validateUrlRules(config) {
+  const errors = [];
+
+  ['strip_params', 'keep_params'].forEach(field => {
+    if (config[field] !== undefined) {
+      if (
+        !Array.isArray(config[field]) ||
+        config[field].some(param => typeof param !== 'string' || param.trim() === '')
+      ) {
+        errors.push(`${field} must be an array of parameter names`);
+      }
+    }
+  });
+
+  if (config.path_rewrites !== undefined) {
+    if (!Array.isArray(config.path_rewrites)) {
+      errors.push('path_rewrites must be an array');
+    } else if (config.path_rewrites.length > MAX_PATH_REWRITES) {
+      errors.push(`path_rewrites cannot have more than ${MAX_PATH_REWRITES} rules`);
+    } else {
+      config.path_rewrites.forEach((rule, index) => {
+        if (!rule || typeof rule.pattern !== 'string' || rule.pattern === '') {
+          errors.push(`path_rewrites[${index}].pattern is required`);
+          return;
+        }
+
+        try {
+          new RegExp(rule.pattern);
+
+          if (!isSafePattern(rule.pattern)) {
+            errors.push(
+              `path_rewrites[${index}].pattern must be at most ${MAX_PATTERN_LENGTH} characters ` +
+                'without nested quantifiers, quantified alternations, backreferences or lookarounds'
+            );
+          }
+        } catch (e) {
+          errors.push(`path_rewrites[${index}].pattern is not a valid regular expression`);
+        }
+
+        if (typeof rule.replacement !== 'string') {
+          errors.push(`path_rewrites[${index}].replacement must be a string`);
+        }
+      });
+    }
+  }
+
+  if (
+    config.trailing_slash !== undefined &&
+    !TRAILING_SLASH_POLICIES.includes(config.trailing_slash)
+  ) {
+    errors.push(`trailing_slash must be one of: ${TRAILING_SLASH_POLICIES.join(', ')}`);
+  }
+
+  if (config.lowercase_paths !== undefined && typeof config.lowercase_paths !== 'boolean') {
+    errors.push('lowercase_paths must be a boolean');
+  }
+
+  return errors;
+}
+
+/**
+ * Read the URL rules from a project config (or crawl config snapshot)
+ * Invalid and unsafe path rewrites are skipped (configs are validated when saved).
+ *
+ * @param {Object} config - Project config
+ * @returns {Object} - { stripParams, keepParams, pathRewrites, trailingSlash, lowercasePaths }
+ */
+function resolveUrlRules(config = {}) {
+  const pathRewrites = [];
+
+  (Array.isArray(config?.path_rewrites) ? config.path_rewrites : []).forEach(rule => {
+    try {
+      const regex = new RegExp(rule.pattern);
+
+      if (isSafePattern(rule.pattern)) {
+        pathRewrites.push({ regex, replacement: rule.replacement || '' });
+      }
+    } catch (e) {
+      // Invalid pattern, skip the rule
+    }
+  });
+
+  return {
+    stripParams: Array.isArray(config?.strip_params) ? config.strip_params : [],
+    keepParams: Array.isArray(config?.keep_params) ? config.keep_params : [],
+    pathRewrites,
+    trailingSlash: TRAILING_SLASH_POLICIES.includes(config?.trailing_slash)
+      ? config.trailing_slash
+      : DEFAULT_URL_RULES.trailing_slash,
+    lowercasePaths: config?.lowercase_paths === true
+  };
+}
+
+const rewriteScript = new vm.Script('pathname.replace(regex, replacement)');
+const rewriteContext = vm.createContext({});
+
+/**
+ * Apply a path rewrite with a time bound
+ * A rule that times out is skipped from then on (logged once).
+ *
+ * @param {string} pathname - URL path
+ * @param {Object} rule - { regex, replacement } from resolveUrlRules()
+ * @returns {string} - Rewritten path (unchanged if the rule timed out)
+ */
+function rewritePath(pathname, rule) {
+  if (rule.timedOut) {
+    return pathname;
+  }
+
+  rewriteContext.pathname = pathname;
+  rewriteContext.regex = rule.regex;
+  rewriteContext.replacement = rule.replacement;
+
+  try {
+    return rewriteScript.runInContext(rewriteContext, { timeout: REWRITE_TIMEOUT_MS });
+  } catch (error) {
+    rule.timedOut = true;
+    console.warn(`Path rewrite ${rule.regex} skipped: ${error.message}`);
+    return pathname;
+  }
+}
+
+/**
+ * Apply URL rules to a parsed URL (path rewrites, case, trailing slash, query parameters)
+ *
+ * @param {URL} parsed - Parsed URL (modified in place)
+ * @param {Object} rules - Rules from resolveUrlRules()
+ * @returns {URL} - The same URL object
+ */
+function applyUrlRules(parsed, rules) {
+  let pathname = parsed.pathname;
+
+  rules.pathRewrites.forEach(rule => {
+    pathname = rewritePath(pathname, rule);
+  });
+
+  if (!pathname.startsWith('/')) {
+    pathname = `/${pathname}`;
+  }
+
+  if (rules.lowercasePaths) {
+    pathname = pathname.toLowerCase();
+  }
+
+  if (rules.trailingSlash === 'remove' && pathname.length > 1 && pathname.endsWith('/')) {
+    pathname = pathname.replace(/\/+$/, '') || '/';
+  } else if (rules.trailingSlash === 'add' && !pathname.endsWith('/')) {
+    // Leave file paths (e.g. /report.pdf) alone
+    const lastSegment = pathname.slice(pathname.lastIndexOf('/') + 1);
+    if (!lastSegment.includes('.')) {
+      pathname = `${pathname}/`;
+    }
+  }
+
+  parsed.pathname = pathname;
+
+  if (parsed.search && (rules.stripParams.length > 0 || rules.keepParams.length > 0)) {
+    const params = new URLSearchParams(parsed.search);
+
+    Array.from(new Set(params.keys())).forEach(key => {
+      const stripped = rules.stripParams.some(pattern => matchesParam(key, pattern));
+      const kept =
+        rules.keepParams.length === 0 ||
+        rules.keepParams.some(pattern => matchesParam(key, pattern));
+
+      if (stripped || !kept) {
+        params.delete(key);
+      }
+    });
+
+    parsed.search = params.toString();
+  }
+
+  return parsed;
+}
+
+module.exports = {
+  TRAILING_SLASH_POLICIES,
+  DEFAULT_URL_RULES,
+  matchesParam,
+  isSafePattern,
+  validateUrlRules,
+  resolveUrlRules,
+  applyUrlRules
+};
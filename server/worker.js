@@ -3,6 +3,7 @@
  *
  * Starts BullMQ workers to process background jobs:
  * - Crawl jobs (website crawling and content extraction)
+ * - Scheduled crawls (job schedulers of project crawl schedules, registered on start)
  * - Scoring jobs (page scoring and analysis)
  * - AI jobs (recommendations and embeddings)
  *
@@ -15,8 +16,13 @@ require('dotenv').config();
 const { supabaseAdmin } = require('./services/database/supabase');
 
 // Import worker initializers
-const { initializeCrawlWorker, closeCrawlWorker } = require('./services/jobs/processors/crawl');
+const {
+  initializeCrawlWorker,
+  syncCrawlSchedules,
+  closeCrawlWorker
+} = require('./services/jobs/processors/crawl');
 const { initializeScoringWorker, closeScoringWorker } = require('./services/jobs/processors/score');
+const { initializeAiWorker, closeAiWorker } = require('./services/jobs/processors/ai');
 
 // Initialize all models with Supabase client
 const UserModel = require('./models/user');
@@ -26,6 +32,8 @@ const ProjectModel = require('./models/project');
 const CrawlRunModel = require('./models/crawl-run');
 const PageModel = require('./models/page');
 const SnapshotModel = require('./models/snapshot');
+const AiUsageModel = require('./models/ai-usage');
+const RubricModel = require('./models/rubric');
 
 UserModel.setSupabaseClient(supabaseAdmin);
 OrganizationModel.setSupabaseClient(supabaseAdmin);
@@ -34,6 +42,8 @@ ProjectModel.setSupabaseClient(supabaseAdmin);
 CrawlRunModel.setSupabaseClient(supabaseAdmin);
 PageModel.setSupabaseClient(supabaseAdmin);
 SnapshotModel.setSupabaseClient(supabaseAdmin);
+AiUsageModel.setSupabaseClient(supabaseAdmin);
+RubricModel.setSupabaseClient(supabaseAdmin);
 
 console.log('='.repeat(60));
 console.log('AEO Platform - Background Worker');
@@ -45,6 +55,7 @@ console.log('='.repeat(60));
 // Initialize workers
 let crawlWorker;
 let scoringWorker;
+let aiWorker;
 
 async function startWorkers() {
   try {
@@ -55,13 +66,23 @@ async function startWorkers() {
     crawlWorker = initializeCrawlWorker(supabaseAdmin);
     console.log('✅ Crawl worker started (concurrency: 2)');
 
+    // Register recurring crawls (job schedulers live in Redis)
+    try {
+      const schedules = await syncCrawlSchedules();
+      console.log(`✅ ${schedules} crawl schedules registered`);
+    } catch (error) {
+      console.warn('⚠️  Failed to register crawl schedules:', error.message);
+    }
+
     // Start scoring worker
     console.log('🎯 Starting scoring worker...');
     scoringWorker = initializeScoringWorker(supabaseAdmin);
     console.log('✅ Scoring worker started (concurrency: 3)');
 
-    // TODO: Add more workers as they are implemented
-    // - AI worker (User Story 4)
+    // Start AI worker
+    console.log('🧠 Starting AI worker...');
+    aiWorker = initializeAiWorker(supabaseAdmin);
+    console.log('✅ AI worker started (concurrency: 2)');
 
     console.log('\n✨ All workers started successfully!');
     console.log('📊 Workers are now processing jobs from the queue...\n');
@@ -87,6 +108,11 @@ async function shutdown() {
       console.log('✅ Scoring worker closed');
     }
 
+    if (aiWorker) {
+      await closeAiWorker();
+      console.log('✅ AI worker closed');
+    }
+
     console.log('👋 Workers shutdown complete');
     process.exit(0);
   } catch (error) {
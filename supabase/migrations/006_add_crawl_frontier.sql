@@ -0,0 +1,9 @@
+-- Migration: Persist crawl frontier on crawl runs
+-- Created: 2025-11-12
+-- Description: Store the URL queue and visited set per crawl run so paused,
+-- crashed or retried crawl jobs resume where they stopped
+
+ALTER TABLE crawl_runs
+ADD COLUMN frontier JSONB;
+
+COMMENT ON COLUMN crawl_runs.frontier IS 'Serialized crawl frontier: {version, queue: [{url, depth, priority}], visited: [url], updated_at}. Cleared when the run completes.';
@@ -0,0 +1,15 @@
+-- Migration: Delta crawl support
+-- Created: 2025-11-13
+-- Description: Store HTTP cache validators on snapshots so delta crawls can send
+-- conditional requests, and a per-run report of new/changed/unchanged/removed URLs
+
+ALTER TABLE page_snapshots
+ADD COLUMN etag TEXT,
+ADD COLUMN last_modified TEXT;
+
+ALTER TABLE crawl_runs
+ADD COLUMN delta_report JSONB;
+
+COMMENT ON COLUMN page_snapshots.etag IS 'ETag response header, sent as If-None-Match on delta crawls';
+COMMENT ON COLUMN page_snapshots.last_modified IS 'Last-Modified response header, sent as If-Modified-Since on delta crawls';
+COMMENT ON COLUMN crawl_runs.delta_report IS 'Delta crawl report: {counts: {new, changed, unchanged, removed}, urls: {...}, generated_at}';
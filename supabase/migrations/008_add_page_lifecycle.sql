@@ -0,0 +1,36 @@
+-- Migration: Page lifecycle tracking
+-- Created: 2025-11-14
+-- Description: Track whether pages are still live (active, redirected, gone,
+-- blocked by robots.txt, noindex) with the HTTP status and redirect target
+-- recorded for every crawl run
+
+ALTER TABLE pages
+ADD COLUMN lifecycle_status TEXT NOT NULL DEFAULT 'active',
+ADD COLUMN last_status_code INTEGER,
+ADD COLUMN redirect_target TEXT;
+
+ALTER TABLE pages
+ADD CONSTRAINT lifecycle_status_check CHECK (lifecycle_status IN ('active', 'redirected', 'gone', 'blocked_by_robots', 'noindex'));
+
+CREATE INDEX idx_pages_lifecycle ON pages(project_id, lifecycle_status);
+
+CREATE TABLE page_lifecycle_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  page_id UUID NOT NULL REFERENCES pages(id) ON DELETE CASCADE,
+  crawl_run_id UUID NOT NULL REFERENCES crawl_runs(id) ON DELETE CASCADE,
+  lifecycle_status TEXT NOT NULL,
+  status_code INTEGER,
+  redirect_target TEXT,
+  recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT lifecycle_event_status_check CHECK (lifecycle_status IN ('active', 'redirected', 'gone', 'blocked_by_robots', 'noindex')),
+  CONSTRAINT unique_page_run_lifecycle UNIQUE (page_id, crawl_run_id)
+);
+
+CREATE INDEX idx_lifecycle_events_page ON page_lifecycle_events(page_id, recorded_at DESC);
+CREATE INDEX idx_lifecycle_events_crawl_run ON page_lifecycle_events(crawl_run_id);
+
+COMMENT ON COLUMN pages.lifecycle_status IS 'Latest lifecycle status: active, redirected, gone, blocked_by_robots, noindex';
+COMMENT ON COLUMN pages.last_status_code IS 'HTTP status code from the most recent crawl';
+COMMENT ON COLUMN pages.redirect_target IS 'Final URL when lifecycle_status = redirected';
+COMMENT ON TABLE page_lifecycle_events IS 'Page lifecycle status, HTTP status and redirect target per crawl run';
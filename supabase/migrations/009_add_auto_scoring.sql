@@ -0,0 +1,9 @@
+-- Migration: Automatic scoring after crawl
+-- Created: 2025-11-15
+-- Description: Track the automatic scoring job of a crawl run, including
+-- budget usage and the snapshots still waiting for approval when paused
+
+ALTER TABLE crawl_runs
+ADD COLUMN scoring_state JSONB;
+
+COMMENT ON COLUMN crawl_runs.scoring_state IS 'Automatic scoring state: {status (queued|running|paused|completed), total, scored, tokens_used, cost_usd, pending_snapshot_ids, paused_reason, budget, updated_at}. NULL when auto scoring is off for the run.';
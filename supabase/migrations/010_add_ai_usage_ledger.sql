@@ -0,0 +1,27 @@
+-- Migration: AI usage ledger
+-- Created: 2025-11-16
+-- Description: Record every OpenAI request (model, prompt/completion tokens,
+-- estimated cost) with the project, crawl run, user and purpose it was made for
+
+CREATE TABLE ai_usage_ledger (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+  crawl_run_id UUID REFERENCES crawl_runs(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  purpose TEXT NOT NULL,
+  model TEXT NOT NULL,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  total_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_ai_usage_org_created ON ai_usage_ledger(organization_id, created_at DESC);
+CREATE INDEX idx_ai_usage_project_created ON ai_usage_ledger(project_id, created_at DESC);
+CREATE INDEX idx_ai_usage_crawl_run ON ai_usage_ledger(crawl_run_id);
+
+COMMENT ON TABLE ai_usage_ledger IS 'One row per OpenAI request, used for per-project billing and spend reporting';
+COMMENT ON COLUMN ai_usage_ledger.purpose IS 'Why the request was made: scoring, summarization, embeddings, rubric_extraction, ...';
+COMMENT ON COLUMN ai_usage_ledger.cost_usd IS 'Estimated cost from token-counter pricing at the time of the request';
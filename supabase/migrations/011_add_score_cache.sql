@@ -0,0 +1,29 @@
+-- Migration: Score cache
+-- Created: 2025-11-16
+-- Description: Reuse AI scores for identical content within an organization.
+-- The cache key covers content hash, rubric version, page type and model; scores
+-- copied from the cache are flagged so cache hit rates can be reported
+
+ALTER TABLE page_scores
+ADD COLUMN organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+ADD COLUMN ai_model TEXT,
+ADD COLUMN cache_hit BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN cached_from_score_id UUID REFERENCES page_scores(id) ON DELETE SET NULL;
+
+-- Backfill the organization of existing scores
+UPDATE page_scores
+SET organization_id = projects.organization_id
+FROM pages
+JOIN projects ON projects.id = pages.project_id
+WHERE pages.id = page_scores.page_id;
+
+-- Cache lookups only read scores produced by the model
+CREATE INDEX idx_scores_org_cache_key ON page_scores(organization_id, ai_cache_key)
+WHERE cache_hit = FALSE;
+
+COMMENT ON COLUMN page_scores.organization_id IS 'Organization owning the scored page (cache scope)';
+COMMENT ON COLUMN page_scores.ai_model IS 'Model that produced the score';
+COMMENT ON COLUMN page_scores.cache_hit IS 'TRUE when the score was copied from an earlier score with the same cache key (no AI call)';
+COMMENT ON COLUMN page_scores.cached_from_score_id IS 'Score the values were copied from when cache_hit is TRUE';
+COMMENT ON COLUMN page_scores.ai_cache_key IS 'content_hash:rubric_version:page_type:model';
+COMMENT ON COLUMN crawl_runs.scoring_state IS 'Automatic scoring state: {status (queued|running|paused|completed), total, scored, cache_hits, cache_misses, tokens_used, cost_usd, pending_snapshot_ids, paused_reason, budget, updated_at}. NULL when auto scoring is off for the run.';
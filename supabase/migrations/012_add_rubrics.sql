@@ -0,0 +1,62 @@
+-- Migration: Versioned rubrics
+-- Created: 2025-11-17
+-- Description: Store scoring rubrics per organization as versioned records.
+-- Each rubric has at most one editable draft; published versions are immutable
+-- and page_scores.rubric_version holds the id of the version a score was made with
+-- (or the version of the built-in default rubric, e.g. '1.1')
+
+CREATE TABLE rubrics (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_rubrics_org ON rubrics(organization_id);
+
+CREATE TABLE rubric_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  rubric_id UUID NOT NULL REFERENCES rubrics(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'draft',
+  definition JSONB NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  published_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  published_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT rubric_version_status_check CHECK (status IN ('draft', 'published')),
+  CONSTRAINT rubric_version_unique UNIQUE (rubric_id, version)
+);
+
+-- One draft per rubric
+CREATE UNIQUE INDEX idx_rubric_versions_draft ON rubric_versions(rubric_id) WHERE status = 'draft';
+
+CREATE TRIGGER update_rubrics_updated_at BEFORE UPDATE ON rubrics
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_rubric_versions_updated_at BEFORE UPDATE ON rubric_versions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Published versions can never change (scores refer to them)
+CREATE OR REPLACE FUNCTION prevent_published_rubric_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF OLD.status = 'published' THEN
+    RAISE EXCEPTION 'Published rubric versions are immutable';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER prevent_published_rubric_version_update BEFORE UPDATE ON rubric_versions
+  FOR EACH ROW EXECUTE FUNCTION prevent_published_rubric_changes();
+
+COMMENT ON TABLE rubrics IS 'Organization scoring rubrics (selected in organizations.settings.rubric or projects.config.rubric_id)';
+COMMENT ON TABLE rubric_versions IS 'Rubric definitions: one editable draft per rubric, published versions are immutable';
+COMMENT ON COLUMN rubric_versions.definition IS 'Rubric JSON in the format of server/data/aeo-principles/default-rubric.json';
+COMMENT ON COLUMN page_scores.rubric_version IS 'rubric_versions.id of the published version used, or the built-in default rubric version';
@@ -0,0 +1,12 @@
+-- Migration: Category scores
+-- Created: 2025-11-17
+-- Description: Persist rubric category sub-scores next to criteria scores.
+-- Overall scores become the weighted average of the category scores (category
+-- weights with optional per-page-type overrides); existing scores are backfilled
+-- by the recompute_scores job (POST /api/admin/scores/recompute)
+
+ALTER TABLE page_scores
+ADD COLUMN category_scores JSONB NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN page_scores.category_scores IS 'Rubric category sub-scores (0-100) by category name';
+COMMENT ON COLUMN page_scores.overall_score IS 'Weighted average of category_scores using the rubric category weights for the page type';
@@ -0,0 +1,60 @@
+-- Migration: Embedding pipeline
+-- Created: 2025-11-18
+-- Description: Store chunked snapshot embeddings per project and add semantic search.
+-- Each snapshot's cleaned_text is split into chunks (one embeddings row per chunk);
+-- pages keep only the embeddings of their latest embedded content, and unchanged
+-- content hashes are never embedded twice.
+
+ALTER TABLE embeddings
+ADD COLUMN project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+ADD COLUMN chunk_index INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN content_hash TEXT;
+
+UPDATE embeddings e
+SET project_id = p.project_id
+FROM pages p
+WHERE p.id = e.page_id;
+
+ALTER TABLE embeddings ALTER COLUMN project_id SET NOT NULL;
+
+CREATE INDEX idx_embeddings_project ON embeddings(project_id, model_version);
+CREATE INDEX idx_embeddings_page_hash ON embeddings(page_id, content_hash);
+
+-- Semantic search: best matching chunk per page of a project
+-- (exact distances within the project; the IVFFlat index serves cross-project lookups)
+CREATE OR REPLACE FUNCTION match_page_embeddings(
+  p_project_id UUID,
+  p_query_embedding VECTOR(1536),
+  p_model_version TEXT,
+  p_match_count INTEGER DEFAULT 10
+)
+RETURNS TABLE (
+  page_id UUID,
+  snapshot_id UUID,
+  chunk_index INTEGER,
+  source_text TEXT,
+  similarity DOUBLE PRECISION
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT best.page_id, best.snapshot_id, best.chunk_index, best.source_text, best.similarity
+  FROM (
+    SELECT DISTINCT ON (e.page_id)
+      e.page_id,
+      e.snapshot_id,
+      e.chunk_index,
+      e.source_text,
+      1 - (e.embedding <=> p_query_embedding) AS similarity
+    FROM embeddings e
+    WHERE e.project_id = p_project_id
+      AND e.model_version = p_model_version
+    ORDER BY e.page_id, e.embedding <=> p_query_embedding
+  ) best
+  ORDER BY best.similarity DESC
+  LIMIT p_match_count;
+$$;
+
+COMMENT ON COLUMN embeddings.project_id IS 'Project of the page (search scope)';
+COMMENT ON COLUMN embeddings.chunk_index IS 'Position of the chunk within the snapshot cleaned_text';
+COMMENT ON COLUMN embeddings.content_hash IS 'page_snapshots.content_hash of the embedded text (unchanged content is not re-embedded)';
+COMMENT ON FUNCTION match_page_embeddings IS 'Pages of a project ranked by cosine similarity of their best matching chunk';
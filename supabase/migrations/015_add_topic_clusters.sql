@@ -0,0 +1,52 @@
+-- Migration: Topic clusters
+-- Created: 2025-11-19
+-- Description: Group a project's pages into topic clusters from their embeddings.
+-- Each clustering run stores the labelled clusters and the content-gap report
+-- (thin clusters and clusters with a low average AEO score).
+
+CREATE TABLE topic_clusterings (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  model_version TEXT,
+  page_count INTEGER NOT NULL DEFAULT 0,
+  cluster_count INTEGER NOT NULL DEFAULT 0,
+  clusters JSONB NOT NULL DEFAULT '[]',
+  summary JSONB NOT NULL DEFAULT '{}',
+  error_message TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_topic_clusterings_project ON topic_clusterings(project_id, created_at DESC);
+
+-- One vector per page: the mean of its chunk embeddings, with the first chunk as snippet
+CREATE OR REPLACE FUNCTION project_page_vectors(
+  p_project_id UUID,
+  p_model_version TEXT
+)
+RETURNS TABLE (
+  page_id UUID,
+  embedding VECTOR(1536),
+  snippet TEXT
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    e.page_id,
+    AVG(e.embedding) AS embedding,
+    (ARRAY_AGG(e.source_text ORDER BY e.chunk_index))[1] AS snippet
+  FROM embeddings e
+  WHERE e.project_id = p_project_id
+    AND e.model_version = p_model_version
+  GROUP BY e.page_id
+  ORDER BY e.page_id;
+$$;
+
+COMMENT ON TABLE topic_clusterings IS 'Topic clustering runs of a project (latest run is the current report)';
+COMMENT ON COLUMN topic_clusterings.model_version IS 'Embedding model of the clustered vectors';
+COMMENT ON COLUMN topic_clusterings.clusters IS 'Array of { label, size, pages: [{ page_id, url, page_type, overall_score, similarity }], avg_score, scored_pages, page_types, dominant_page_type, flags }';
+COMMENT ON COLUMN topic_clusterings.summary IS 'Content-gap summary: { page_count, cluster_count, thin_clusters, low_score_clusters, unembedded_pages, thresholds }';
+COMMENT ON FUNCTION project_page_vectors IS 'Mean chunk embedding and first chunk of every embedded page of a project';
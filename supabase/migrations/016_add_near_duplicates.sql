@@ -0,0 +1,13 @@
+-- Migration: Near-duplicate detection
+-- Created: 2025-11-20
+-- Description: Store a SimHash fingerprint of each snapshot's cleaned_text and a
+-- per-run report of near-duplicate page groups with their recommended canonical URL
+
+ALTER TABLE page_snapshots
+ADD COLUMN simhash TEXT;
+
+ALTER TABLE crawl_runs
+ADD COLUMN duplicate_report JSONB;
+
+COMMENT ON COLUMN page_snapshots.simhash IS '64-bit SimHash of cleaned_text word shingles (16 hex chars), NULL for very short texts';
+COMMENT ON COLUMN crawl_runs.duplicate_report IS 'Near-duplicate report of the project at the end of the run: {groups: [{canonical_url, canonical_source, similarity, pages}], summary, generated_at}';
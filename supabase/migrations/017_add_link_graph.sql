@@ -0,0 +1,31 @@
+-- Migration: Internal link graph
+-- Created: 2025-11-21
+-- Description: Persist the internal links of every crawled page per crawl run
+-- (anchor text, nofollow) with the sitemap URLs and failed URLs of the run, and
+-- store the link analysis (orphans, click depth, internal PageRank, broken links,
+-- anchor-text diversity) on the run
+
+CREATE TABLE page_links (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  crawl_run_id UUID NOT NULL REFERENCES crawl_runs(id) ON DELETE CASCADE,
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  source_page_id UUID NOT NULL REFERENCES pages(id) ON DELETE CASCADE,
+  target_url TEXT NOT NULL,
+  anchor_text TEXT,
+  nofollow BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_page_links_crawl_run ON page_links(crawl_run_id, source_page_id);
+CREATE INDEX idx_page_links_source ON page_links(source_page_id, created_at DESC);
+
+ALTER TABLE crawl_runs
+ADD COLUMN sitemap_urls JSONB,
+ADD COLUMN broken_urls JSONB,
+ADD COLUMN link_report JSONB;
+
+COMMENT ON TABLE page_links IS 'Internal links found on each crawled page, per crawl run';
+COMMENT ON COLUMN page_links.target_url IS 'Normalized link target (matched to pages by canonical URL during analysis)';
+COMMENT ON COLUMN crawl_runs.sitemap_urls IS 'Normalized URLs listed in the sitemaps at the start of the run';
+COMMENT ON COLUMN crawl_runs.broken_urls IS 'URLs that answered 4xx/5xx during the run: {url: status_code}';
+COMMENT ON COLUMN crawl_runs.link_report IS 'Link graph analysis: {summary, pages, orphans, broken_links, anchors, generated_at}';
@@ -0,0 +1,16 @@
+-- Migration: Broken link and redirect audit
+-- Created: 2025-11-24
+-- Description: Record outbound links next to internal ones, the redirect chains
+-- the crawler followed, and the link audit of each run (HEAD-checked link
+-- targets with their status, redirect hops and loops)
+
+ALTER TABLE page_links
+ADD COLUMN external BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE crawl_runs
+ADD COLUMN redirect_chains JSONB,
+ADD COLUMN link_audit JSONB;
+
+COMMENT ON COLUMN page_links.external IS 'Outbound link to another host (not part of the internal link graph)';
+COMMENT ON COLUMN crawl_runs.redirect_chains IS 'Redirects followed while crawling: {url: {hops, final_url, status_code, loop, too_many_redirects}}';
+COMMENT ON COLUMN crawl_runs.link_audit IS 'Broken link and redirect audit: {status, summary, links, redirects, generated_at}';
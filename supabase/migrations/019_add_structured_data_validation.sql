@@ -0,0 +1,10 @@
+-- Migration: Structured data validation
+-- Created: 2025-11-25
+-- Description: Store the structured data validation of each snapshot (JSON-LD,
+-- Microdata and RDFa items checked against schema.org and Google rich result
+-- requirements) with its errors and warnings
+
+ALTER TABLE page_snapshots
+ADD COLUMN structured_data JSONB;
+
+COMMENT ON COLUMN page_snapshots.structured_data IS 'Structured data validation: {items, errors, warnings, summary, definitions_version}';
@@ -0,0 +1,12 @@
+-- Migration: AI crawler access audit
+-- Created: 2025-11-26
+-- Description: Record robots directives that affect AI crawlers per page while
+-- crawling, and the AI crawler access audit of each run (robots.txt rules for
+-- AI search and training crawlers on the most important paths)
+
+ALTER TABLE crawl_runs
+ADD COLUMN ai_directives JSONB,
+ADD COLUMN ai_crawler_audit JSONB;
+
+COMMENT ON COLUMN crawl_runs.ai_directives IS 'Robots directives affecting AI crawlers found while crawling: {url: [{source, agent, directives}]}';
+COMMENT ON COLUMN crawl_runs.ai_crawler_audit IS 'AI crawler access audit: {summary, agents, pages, recommendations, robots_url, paths, agents_version, generated_at}';
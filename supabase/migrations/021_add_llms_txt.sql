@@ -0,0 +1,9 @@
+-- Migration: llms.txt validation
+-- Created: 2025-11-27
+-- Description: Store the llms.txt / llms-full.txt report of each run (file
+-- structure, links resolving and linked pages crawlable)
+
+ALTER TABLE crawl_runs
+ADD COLUMN llms_txt JSONB;
+
+COMMENT ON COLUMN crawl_runs.llms_txt IS 'llms.txt report: {summary, llms_txt, llms_full_txt, links, issues, generated_at}';
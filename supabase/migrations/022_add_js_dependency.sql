@@ -0,0 +1,9 @@
+-- Migration: Static vs rendered content comparison
+-- Created: 2025-11-28
+-- Description: Store per snapshot the content of the rendered page that is
+-- missing from the HTML served without JavaScript (what most AI crawlers see)
+
+ALTER TABLE page_snapshots
+ADD COLUMN js_dependency JSONB;
+
+COMMENT ON COLUMN page_snapshots.js_dependency IS 'Static vs rendered comparison: {severity, key_content_missing, missing, text_coverage, missing_headings, missing_faq, missing_schema_types, missing_links, ...}';
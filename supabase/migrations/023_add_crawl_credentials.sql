@@ -0,0 +1,20 @@
+-- Migration: Crawl credentials
+-- Created: 2025-11-29
+-- Description: Store encrypted per-project credentials (basic auth, request
+-- headers, cookies, login step) for crawling staging sites. Kept in their own
+-- table so they are never selected with the project or copied to
+-- crawl_runs.config_snapshot
+
+CREATE TABLE project_crawl_credentials (
+  project_id UUID PRIMARY KEY REFERENCES projects(id) ON DELETE CASCADE,
+  encrypted TEXT NOT NULL,
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TRIGGER update_project_crawl_credentials_updated_at BEFORE UPDATE ON project_crawl_credentials
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE project_crawl_credentials IS 'Encrypted crawl credentials per project, only decrypted by the crawl worker';
+COMMENT ON COLUMN project_crawl_credentials.encrypted IS 'AES-256-GCM encrypted credentials JSON (key from CRAWL_CREDENTIALS_KEY): v1.<iv>.<tag>.<ciphertext>';
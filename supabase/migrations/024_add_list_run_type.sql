@@ -0,0 +1,14 @@
+-- Migration: URL list crawls
+-- Created: 2025-11-30
+-- Description: Add 'list' to the run_type check constraint. List crawls fetch
+-- exactly the URLs provided by the user (stored in config_snapshot.url_list)
+-- without sitemap discovery or link following
+
+ALTER TABLE crawl_runs
+DROP CONSTRAINT run_type_check;
+
+ALTER TABLE crawl_runs
+ADD CONSTRAINT run_type_check
+CHECK (run_type IN ('full', 'sitemap_only', 'sample', 'delta', 'manual', 'list'));
+
+COMMENT ON COLUMN crawl_runs.run_type IS 'One of: full, sitemap_only, sample, delta, manual, list (URLs in config_snapshot.url_list)';
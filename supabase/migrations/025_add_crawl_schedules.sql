@@ -0,0 +1,10 @@
+-- Migration: Recurring scheduled crawls
+-- Created: 2025-12-01
+-- Description: Store a crawl schedule per project (preset or cron expression,
+-- time zone, run type). Runs are started by a BullMQ job scheduler on the crawl
+-- queue and skipped while another run of the project is queued or running
+
+ALTER TABLE projects
+ADD COLUMN crawl_schedule JSONB;
+
+COMMENT ON COLUMN projects.crawl_schedule IS 'Recurring crawls: {enabled, preset: daily|weekly|monthly|cron, time, day_of_week, day_of_month, cron, timezone, run_type, updated_by}';
@@ -0,0 +1,25 @@
+-- Migration: Atomic crawl run counters
+-- Created: 2025-12-02
+-- Description: Increment pages_discovered, pages_processed and token_usage of a
+-- crawl run in a single UPDATE, so concurrent crawl workers and AI usage ledger
+-- entries never overwrite each other's increments
+
+CREATE OR REPLACE FUNCTION increment_crawl_run_counts(
+  p_crawl_run_id UUID,
+  p_pages_discovered INTEGER DEFAULT 0,
+  p_pages_processed INTEGER DEFAULT 0,
+  p_token_usage INTEGER DEFAULT 0
+)
+RETURNS SETOF crawl_runs
+LANGUAGE sql
+AS $$
+  UPDATE crawl_runs
+  SET
+    pages_discovered = COALESCE(pages_discovered, 0) + p_pages_discovered,
+    pages_processed = COALESCE(pages_processed, 0) + p_pages_processed,
+    token_usage = COALESCE(token_usage, 0) + p_token_usage
+  WHERE id = p_crawl_run_id
+  RETURNING *;
+$$;
+
+COMMENT ON FUNCTION increment_crawl_run_counts IS 'Atomically add to the page and token counters of a crawl run (returns the updated run)';
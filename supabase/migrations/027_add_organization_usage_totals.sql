@@ -0,0 +1,23 @@
+-- Migration: Organization AI usage totals
+-- Created: 2025-12-02
+-- Description: Sum the tokens and estimated cost of an organization's AI usage
+-- ledger entries since a date in the database, so quota checks do not read
+-- every ledger row of the period
+
+CREATE OR REPLACE FUNCTION organization_usage_since(
+  p_organization_id UUID,
+  p_since TIMESTAMPTZ
+)
+RETURNS TABLE (tokens BIGINT, usd NUMERIC)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    COALESCE(SUM(total_tokens), 0)::BIGINT AS tokens,
+    COALESCE(SUM(cost_usd), 0) AS usd
+  FROM ai_usage_ledger
+  WHERE organization_id = p_organization_id
+    AND created_at >= p_since;
+$$;
+
+COMMENT ON FUNCTION organization_usage_since IS 'Total tokens and estimated cost (USD) of an organization since a timestamp (inclusive), used for AI quotas';
@@ -0,0 +1,166 @@
+/**
+ * Unit Tests for the AI Crawler Access Audit
+ *
+ * Tests robots.txt evaluation for AI crawlers, robots directive detection and
+ * the audit report without requiring server, database, or external services.
+ */
+
+const cheerio = require('cheerio');
+const {
+  AI_CRAWLERS,
+  parseRobotsDirectives,
+  detectAiDirectives,
+  selectAuditPaths,
+  auditRobotsTxt,
+  buildAiCrawlerAudit
+} = require('../../../server/crawler/ai-crawler-audit');
+
+const BASE = 'https://example.com';
+const ROBOTS_URL = `${BASE}/robots.txt`;
+
+const ROBOTS_TXT = [
+  'User-agent: GPTBot',
+  'Disallow: /',
+  '',
+  'User-agent: PerplexityBot',
+  'Disallow: /pricing',
+  '',
+  'User-agent: *',
+  'Disallow: /admin'
+].join('\n');
+
+const agents = tokens => AI_CRAWLERS.filter(agent => tokens.includes(agent.token));
+
+describe('AI Crawler Audit Unit Tests', () => {
+  describe('robots.txt', () => {
+    test('Should evaluate each agent on every audited path', () => {
+      const results = auditRobotsTxt(
+        ROBOTS_URL,
+        ROBOTS_TXT,
+        ['/', '/pricing', '/blog'],
+        agents(['GPTBot', 'PerplexityBot', 'ClaudeBot'])
+      );
+
+      expect(results.map(agent => [agent.token, agent.status, agent.explicit_rules])).toEqual([
+        ['GPTBot', 'blocked', true],
+        ['ClaudeBot', 'allowed', false],
+        ['PerplexityBot', 'partial', true]
+      ]);
+      expect(results[2].blocked_paths).toEqual(['/pricing']);
+      expect(results[2].paths[1]).toEqual({
+        path: '/pricing',
+        allowed: false,
+        rule: 'Disallow: /pricing'
+      });
+    });
+
+    test('Should allow every agent without a robots.txt', () => {
+      const results = auditRobotsTxt(ROBOTS_URL, '', ['/']);
+
+      expect(results).toHaveLength(AI_CRAWLERS.length);
+      expect(results.every(agent => agent.status === 'allowed')).toBe(true);
+    });
+
+    test('Should audit the homepage first, then important pages on the same host', () => {
+      expect(
+        selectAuditPaths(
+          BASE,
+          [
+            `${BASE}/`,
+            `${BASE}/pricing?plan=pro`,
+            'https://other.com/x',
+            `${BASE}/blog`,
+            `${BASE}/c`
+          ],
+          3
+        )
+      ).toEqual(['/', '/pricing?plan=pro', '/blog']);
+    });
+  });
+
+  describe('Robots directives', () => {
+    test('Should parse bot prefixes but not directives with values', () => {
+      expect(parseRobotsDirectives('GPTBot: noindex, nofollow')).toEqual({
+        agent: 'gptbot',
+        directives: ['noindex', 'nofollow']
+      });
+      expect(parseRobotsDirectives('max-snippet:0, noai')).toEqual({
+        agent: null,
+        directives: ['max-snippet:0', 'noai']
+      });
+    });
+
+    test('Should find AI directives in X-Robots-Tag headers and meta tags', () => {
+      const $ = cheerio.load(`
+        <meta name="robots" content="noai, noimageai, follow">
+        <meta name="ClaudeBot" content="noindex">
+        <meta name="bingbot" content="noindex">
+        <meta name="description" content="noindex">`);
+
+      expect(
+        detectAiDirectives($, { 'x-robots-tag': ['googlebot: nosnippet', 'otherbot: noindex'] })
+      ).toEqual([
+        { source: 'header', agent: 'googlebot', directives: ['nosnippet'] },
+        { source: 'meta', agent: null, directives: ['noai', 'noimageai'] },
+        { source: 'meta', agent: 'claudebot', directives: ['noindex'] }
+      ]);
+      expect(detectAiDirectives(cheerio.load('<p>Hi</p>'), {})).toEqual([]);
+    });
+  });
+
+  describe('Report', () => {
+    const report = buildAiCrawlerAudit({
+      robotsUrl: ROBOTS_URL,
+      robotsTxt: ROBOTS_TXT,
+      paths: ['/', '/pricing'],
+      pageDirectives: {
+        [`${BASE}/b`]: [{ source: 'meta', agent: null, directives: ['noai', 'nosnippet'] }],
+        [`${BASE}/a`]: [
+          { source: 'header', agent: null, directives: ['noai'] },
+          { source: 'meta', agent: 'gptbot', directives: ['noai'] }
+        ],
+        [`${BASE}/c`]: []
+      }
+    });
+
+    test('Should summarize agent access and page directives', () => {
+      expect(report.summary).toMatchObject({
+        robots_txt_found: true,
+        agents_checked: AI_CRAWLERS.length,
+        paths_checked: 2,
+        blocked: 1,
+        partially_blocked: 1,
+        explicit_rules: 2,
+        search_agents_blocked: 1,
+        training_agents_blocked: 1,
+        pages_with_directives: 2,
+        directive_counts: { noai: 2, noimageai: 0, nosnippet: 1, noindex: 0, none: 0 }
+      });
+      expect(report.pages.map(page => page.url)).toEqual([`${BASE}/a`, `${BASE}/b`]);
+    });
+
+    test('Should recommend unblocking AI search crawlers', () => {
+      expect(report.recommendations.map(rec => [rec.priority, rec.issue])).toEqual([
+        ['medium', 'Important pages are blocked for AI search crawlers'],
+        ['low', 'AI training crawlers are blocked'],
+        ['medium', 'Pages are excluded from AI answers by robots directives'],
+        ['low', 'noai / noimageai directives']
+      ]);
+      expect(report.recommendations[0].recommendation).toBe(
+        'PerplexityBot cannot fetch /pricing. Check that these Disallow rules are intended.'
+      );
+
+      const blocked = buildAiCrawlerAudit({
+        robotsUrl: ROBOTS_URL,
+        robotsTxt: 'User-agent: *\nDisallow: /'
+      });
+      expect(blocked.recommendations[0]).toMatchObject({
+        priority: 'high',
+        issue: 'AI search crawlers are blocked'
+      });
+      expect(blocked.recommendations.map(rec => rec.issue)).toContain(
+        'No AI crawler rules in robots.txt'
+      );
+    });
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Unit Tests for Crawl Credentials
+ *
+ * Tests encryption, validation, merging of submitted secrets and the request
+ * headers sent to staging sites without requiring server, database, browser
+ * or external services.
+ */
+
+const {
+  encryptCredentials,
+  decryptCredentials,
+  validateCredentials,
+  mergeCredentials,
+  describeCredentials,
+  buildRequestHeaders,
+  isCredentialHost
+} = require('../../../server/utils/crawl-credentials');
+const http = require('http');
+const { CrawlerEngine } = require('../../../server/crawler/engine');
+
+const CREDENTIALS = {
+  target_host: 'staging.example.com',
+  basic_auth: { username: 'staging', password: 's3cret' },
+  headers: { 'X-Preview-Token': 'token-1' },
+  cookies: [{ name: 'preview', value: 'on' }],
+  login: {
+    url: 'https://staging.example.com/login',
+    username: 'seo@example.com',
+    password: 'login-pass',
+    username_selector: '#email',
+    password_selector: '#password',
+    submit_selector: 'button[type="submit"]'
+  }
+};
+
+describe('Crawl Credentials Unit Tests', () => {
+  const originalKey = process.env.CRAWL_CREDENTIALS_KEY;
+
+  beforeEach(() => {
+    process.env.CRAWL_CREDENTIALS_KEY = 'test-key';
+  });
+
+  afterAll(() => {
+    if (originalKey === undefined) {
+      delete process.env.CRAWL_CREDENTIALS_KEY;
+    } else {
+      process.env.CRAWL_CREDENTIALS_KEY = originalKey;
+    }
+  });
+
+  describe('encryption', () => {
+    test('Should round-trip credentials without storing them in plain text', () => {
+      const encrypted = encryptCredentials(CREDENTIALS);
+
+      expect(encrypted.startsWith('v1.')).toBe(true);
+      expect(encrypted).not.toContain('s3cret');
+      expect(encryptCredentials(CREDENTIALS)).not.toBe(encrypted);
+      expect(decryptCredentials(encrypted)).toEqual(CREDENTIALS);
+    });
+
+    test('Should refuse tampered values, other keys and a missing key', () => {
+      const encrypted = encryptCredentials(CREDENTIALS);
+      const parts = encrypted.split('.');
+      parts[3] = Buffer.from('{"basic_auth":null}').toString('base64');
+
+      expect(() => decryptCredentials(parts.join('.'))).toThrow('Failed to decrypt');
+      expect(() => decryptCredentials('plain text')).toThrow('Unsupported');
+
+      process.env.CRAWL_CREDENTIALS_KEY = 'other-key';
+      expect(() => decryptCredentials(encrypted)).toThrow('Failed to decrypt');
+
+      delete process.env.CRAWL_CREDENTIALS_KEY;
+      expect(() => encryptCredentials(CREDENTIALS)).toThrow('CRAWL_CREDENTIALS_KEY is required');
+    });
+  });
+
+  describe('validation', () => {
+    test('Should accept complete credentials', () => {
+      expect(validateCredentials(CREDENTIALS)).toEqual([]);
+      expect(validateCredentials({ headers: {}, cookies: [] })).toEqual([]);
+    });
+
+    test('Should report invalid fields', () => {
+      expect(
+        validateCredentials({
+          basic_auth: { username: 'a:b', password: 'x' },
+          headers: { Cookie: 'a=1', Authorization: 'Bearer x', 'X-Ok': 'line\nbreak' },
+          cookies: [{ name: '', value: 'a;b' }],
+          login: { url: 'ftp://example.com', username: 'seo' }
+        })
+      ).toEqual([
+        'basic_auth.username cannot contain ":"',
+        'headers: "Cookie" cannot be set',
+        'headers: use either basic_auth or an Authorization header',
+        'headers: "X-Ok" must be a single-line string',
+        'cookies[0].name is required',
+        'cookies[0].value must be a string without ";"',
+        'login.password is required',
+        'login.username_selector is required',
+        'login.password_selector is required',
+        'login.submit_selector is required',
+        'login.url must be an http(s) URL'
+      ]);
+      expect(validateCredentials([])).toEqual(['credentials must be an object']);
+    });
+  });
+
+  describe('API', () => {
+    const emptySecrets = {
+      basic_auth: { username: 'staging', password: '' },
+      headers: { 'X-Preview-Token': '', 'X-New': 'new' },
+      cookies: [{ name: 'preview', value: '' }],
+      login: { ...CREDENTIALS.login, password: '' }
+    };
+
+    test('Should keep stored secrets that are submitted empty', () => {
+      const merged = mergeCredentials(CREDENTIALS, emptySecrets, 'staging.example.com');
+
+      expect(merged).toEqual({
+        ...CREDENTIALS,
+        headers: { 'X-Preview-Token': 'token-1', 'X-New': 'new' }
+      });
+      expect(
+        mergeCredentials(CREDENTIALS, { basic_auth: null }, 'staging.example.com').basic_auth
+      ).toBeNull();
+    });
+
+    test('Should ask for secrets again when the host they are sent to changes', () => {
+      const movedLogin = mergeCredentials(
+        CREDENTIALS,
+        { ...emptySecrets, login: { ...emptySecrets.login, url: 'https://evil.test/login' } },
+        'staging.example.com'
+      );
+
+      expect(movedLogin.basic_auth.password).toBe('s3cret');
+      expect(movedLogin.login.password).toBe('');
+      expect(validateCredentials(movedLogin)).toEqual(['login.password is required']);
+
+      const movedProject = mergeCredentials(CREDENTIALS, emptySecrets, 'evil.test');
+
+      expect(movedProject.target_host).toBe('evil.test');
+      expect(movedProject.login.password).toBe('login-pass');
+      expect(validateCredentials(movedProject)).toEqual([
+        'basic_auth.password is required',
+        'headers: "X-Preview-Token" value is required',
+        'cookies[0].value is required'
+      ]);
+      expect(
+        validateCredentials(mergeCredentials(null, emptySecrets, 'staging.example.com'))
+      ).toContain('basic_auth.password is required');
+    });
+
+    test('Should describe credentials without secrets', () => {
+      const described = describeCredentials(CREDENTIALS);
+
+      expect(described).toEqual({
+        configured: true,
+        target_host: 'staging.example.com',
+        basic_auth: { username: 'staging' },
+        headers: ['X-Preview-Token'],
+        cookies: ['preview'],
+        login: {
+          url: 'https://staging.example.com/login',
+          username: 'seo@example.com',
+          username_selector: '#email',
+          password_selector: '#password',
+          submit_selector: 'button[type="submit"]',
+          success_selector: null
+        }
+      });
+      expect(JSON.stringify(described)).not.toMatch(/s3cret|token-1|login-pass|"on"/);
+      expect(describeCredentials(null).configured).toBe(false);
+    });
+  });
+
+  describe('requests', () => {
+    test('Should build headers with basic auth and cookies', () => {
+      expect(buildRequestHeaders(CREDENTIALS, [{ name: 'session', value: 'abc' }])).toEqual({
+        'X-Preview-Token': 'token-1',
+        Authorization: `Basic ${Buffer.from('staging:s3cret').toString('base64')}`,
+        Cookie: 'preview=on; session=abc'
+      });
+      expect(buildRequestHeaders(null)).toEqual({});
+    });
+
+    test('Should only send credentials to the project host', () => {
+      const baseUrl = 'https://staging.example.com';
+
+      expect(isCredentialHost('https://staging.example.com/sitemap.xml', baseUrl)).toBe(true);
+      expect(isCredentialHost('http://staging.example.com/a', baseUrl)).toBe(true);
+      expect(isCredentialHost('https://cdn.example.com/a.js', baseUrl)).toBe(false);
+      expect(isCredentialHost('not a url', baseUrl)).toBe(false);
+    });
+
+    test('Should not send credential headers along a redirect to another host', async () => {
+      const received = [];
+      const listen = handler =>
+        new Promise(resolve => {
+          const server = http.createServer(handler);
+          server.listen(0, () => resolve(server));
+        });
+      const other = await listen((req, res) => {
+        received.push(req.headers);
+        res.end('<html><body>Landing</body></html>');
+      });
+      const staging = await listen((req, res) => {
+        received.push(req.headers);
+        res.writeHead(302, { Location: `http://localhost:${other.address().port}/landing` });
+        res.end();
+      });
+      const baseUrl = `http://127.0.0.1:${staging.address().port}`;
+      const engine = new CrawlerEngine({ config: { base_url: baseUrl }, credentials: CREDENTIALS });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      try {
+        await engine.crawlPageHTTP(`${baseUrl}/start`);
+        await engine.fetchStaticHtml(`${baseUrl}/start`);
+      } finally {
+        console.log.mockRestore();
+        staging.close();
+        other.close();
+      }
+
+      // Page and static HTML fetch: staging host, then the redirect target
+      const [page, pageRedirect, staticHtml, staticRedirect] = received;
+      expect(received).toHaveLength(4);
+      [page, staticHtml].forEach(headers => expect(headers['x-preview-token']).toBe('token-1'));
+      [pageRedirect, staticRedirect].forEach(headers => {
+        expect(headers).not.toHaveProperty('x-preview-token');
+        expect(headers).not.toHaveProperty('authorization');
+        expect(headers).not.toHaveProperty('cookie');
+      });
+    });
+  });
+});
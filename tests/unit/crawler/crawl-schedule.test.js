@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for Crawl Schedules
+ *
+ * Tests schedule presets, cron expressions, time zones and validation of
+ * recurring crawls without requiring server, database, Redis or external services.
+ */
+
+const {
+  DEFAULT_SCHEDULE,
+  toCronPattern,
+  getNextRuns,
+  getNextRunAt,
+  validateSchedule,
+  describeSchedule
+} = require('../../../server/utils/crawl-schedule');
+
+// Monday 1 December 2025, 12:00 UTC
+const FROM = new Date('2025-12-01T12:00:00Z');
+
+describe('Crawl Schedule Unit Tests', () => {
+  describe('presets', () => {
+    test('Should build cron expressions from presets', () => {
+      expect(toCronPattern({ preset: 'daily', time: '03:30' })).toBe('30 3 * * *');
+      expect(toCronPattern({ preset: 'weekly', time: '22:05', day_of_week: 0 })).toBe('5 22 * * 0');
+      expect(toCronPattern({ preset: 'monthly', time: '00:00', day_of_month: 15 })).toBe(
+        '0 0 15 * *'
+      );
+      expect(toCronPattern({ preset: 'cron', cron: ' 0 6 * * 1-5 ' })).toBe('0 6 * * 1-5');
+      expect(toCronPattern({})).toBe('0 3 * * 1');
+    });
+
+    test('Should compute next runs in the schedule time zone', () => {
+      const schedule = { ...DEFAULT_SCHEDULE, preset: 'daily', time: '03:00' };
+
+      expect(
+        getNextRuns(schedule, { from: FROM, count: 2 }).map(date => date.toISOString())
+      ).toEqual(['2025-12-02T03:00:00.000Z', '2025-12-03T03:00:00.000Z']);
+      expect(getNextRunAt({ ...schedule, enabled: true, timezone: 'Europe/Berlin' }, FROM)).toBe(
+        '2025-12-02T02:00:00.000Z'
+      );
+      expect(getNextRunAt({ ...schedule, enabled: true, timezone: 'America/New_York' }, FROM)).toBe(
+        '2025-12-02T08:00:00.000Z'
+      );
+      expect(getNextRunAt(schedule, FROM)).toBeNull();
+    });
+  });
+
+  describe('validation', () => {
+    test('Should accept the default and preset schedules', () => {
+      expect(validateSchedule(DEFAULT_SCHEDULE)).toEqual([]);
+      expect(
+        validateSchedule({
+          enabled: true,
+          preset: 'monthly',
+          time: '23:59',
+          day_of_month: 28,
+          timezone: 'Asia/Tokyo',
+          run_type: 'full'
+        })
+      ).toEqual([]);
+      expect(validateSchedule({ enabled: true, preset: 'cron', cron: '0 */6 * * *' })).toEqual([]);
+    });
+
+    test('Should report invalid fields', () => {
+      expect(
+        validateSchedule({
+          enabled: 'yes',
+          preset: 'weekly',
+          time: '25:00',
+          day_of_week: 7,
+          timezone: 'Mars/Olympus',
+          run_type: 'list'
+        })
+      ).toEqual([
+        'enabled must be a boolean',
+        'run_type must be one of: delta, full, sitemap_only, sample',
+        'timezone must be a valid IANA time zone (e.g. Europe/Berlin)',
+        'time must be in HH:MM format',
+        'day_of_week must be an integer from 0 (Sunday) to 6'
+      ]);
+      expect(validateSchedule({ preset: 'monthly', day_of_month: 31 })).toEqual([
+        'day_of_month must be an integer from 1 to 28'
+      ]);
+      expect(validateSchedule(null)).toEqual(['schedule must be an object']);
+    });
+
+    test('Should reject invalid and too frequent cron expressions', () => {
+      expect(validateSchedule({ preset: 'cron', cron: '0 3 * *' })).toEqual([
+        'cron must be a cron expression with five fields (minute hour day month weekday)'
+      ]);
+      expect(validateSchedule({ preset: 'cron', cron: '61 3 * * *' })[0]).toMatch(
+        /^cron is not a valid cron expression/
+      );
+      expect(validateSchedule({ preset: 'cron', cron: '*/15 * * * *' })).toEqual([
+        'Scheduled crawls must be at least 60 minutes apart'
+      ]);
+    });
+
+    test('Should reject close runs whenever the schedule is saved', () => {
+      jest.useFakeTimers({ now: new Date('2025-12-01T23:03:00Z') });
+
+      try {
+        expect(validateSchedule({ preset: 'cron', cron: '0,5 23 * * *' })).toEqual([
+          'Scheduled crawls must be at least 60 minutes apart'
+        ]);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('API', () => {
+    test('Should describe schedules with defaults and next run time', () => {
+      expect(describeSchedule(null)).toEqual({
+        ...DEFAULT_SCHEDULE,
+        pattern: '0 3 * * 1',
+        next_run_at: null
+      });
+
+      const described = describeSchedule({ enabled: true, preset: 'daily', time: '04:00' });
+      expect(described.pattern).toBe('0 4 * * *');
+      expect(described.run_type).toBe('delta');
+      expect(new Date(described.next_run_at).getUTCHours()).toBe(4);
+    });
+  });
+});
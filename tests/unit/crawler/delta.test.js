@@ -0,0 +1,95 @@
+/**
+ * Unit Tests for Delta Crawl Helpers
+ *
+ * Tests conditional request headers, sitemap lastmod comparison and the
+ * new/changed/unchanged/removed report without requiring server, database,
+ * or external services.
+ */
+
+const {
+  DeltaReport,
+  extractValidators,
+  buildConditionalHeaders,
+  isUnchangedSinceLastmod
+} = require('../../../server/crawler/delta');
+const { isGoneStatus } = require('../../../server/crawler/lifecycle');
+
+describe('Delta Crawl Unit Tests', () => {
+  describe('Conditional Requests', () => {
+    test('Should extract ETag and Last-Modified from response headers', () => {
+      const validators = extractValidators({
+        etag: '"abc123"',
+        'last-modified': 'Wed, 12 Nov 2025 10:00:00 GMT',
+        'content-type': 'text/html'
+      });
+
+      expect(validators).toEqual({
+        etag: '"abc123"',
+        last_modified: 'Wed, 12 Nov 2025 10:00:00 GMT'
+      });
+      expect(extractValidators(undefined)).toEqual({ etag: null, last_modified: null });
+    });
+
+    test('Should build If-None-Match and If-Modified-Since headers', () => {
+      expect(
+        buildConditionalHeaders({
+          etag: '"abc123"',
+          last_modified: 'Wed, 12 Nov 2025 10:00:00 GMT'
+        })
+      ).toEqual({
+        'If-None-Match': '"abc123"',
+        'If-Modified-Since': 'Wed, 12 Nov 2025 10:00:00 GMT'
+      });
+      expect(buildConditionalHeaders({ etag: null, last_modified: null })).toEqual({});
+    });
+  });
+
+  describe('Sitemap lastmod', () => {
+    test('Should skip pages not modified since the last crawl', () => {
+      expect(isUnchangedSinceLastmod('2025-11-01', '2025-11-10T08:00:00Z')).toBe(true);
+      expect(isUnchangedSinceLastmod('2025-11-11T09:00:00+00:00', '2025-11-10T08:00:00Z')).toBe(
+        false
+      );
+    });
+
+    test('Should not skip when lastmod or last crawl is missing or invalid', () => {
+      expect(isUnchangedSinceLastmod(null, '2025-11-10T08:00:00Z')).toBe(false);
+      expect(isUnchangedSinceLastmod('2025-11-01', null)).toBe(false);
+      expect(isUnchangedSinceLastmod('yesterday', '2025-11-10T08:00:00Z')).toBe(false);
+    });
+
+    test('Should treat 404 and 410 as removed', () => {
+      expect(isGoneStatus(404)).toBe(true);
+      expect(isGoneStatus(410)).toBe(true);
+      expect(isGoneStatus(500)).toBe(false);
+    });
+  });
+
+  describe('Delta Report', () => {
+    test('Should count each URL in a single category', () => {
+      const report = new DeltaReport();
+      report.record('new', 'https://example.com/a');
+      report.record('unchanged', 'https://example.com/b');
+      report.record('changed', 'https://example.com/b');
+      report.record('removed', 'https://example.com/c');
+
+      expect(report.getCounts()).toEqual({ new: 1, changed: 1, unchanged: 0, removed: 1 });
+    });
+
+    test('Should reject unknown categories', () => {
+      expect(() => new DeltaReport().record('moved', 'https://example.com/')).toThrow(
+        'category must be one of'
+      );
+    });
+
+    test('Should round-trip through JSON for resumed runs', () => {
+      const report = new DeltaReport();
+      report.record('changed', 'https://example.com/a');
+
+      const restored = DeltaReport.fromJSON(JSON.parse(JSON.stringify(report.toJSON())));
+
+      expect(restored.urls.changed.has('https://example.com/a')).toBe(true);
+      expect(DeltaReport.fromJSON(null).getCounts().new).toBe(0);
+    });
+  });
+});
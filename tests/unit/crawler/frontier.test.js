@@ -0,0 +1,115 @@
+/**
+ * Unit Tests for Crawl Frontier Persistence
+ *
+ * Tests the CrawlFrontier queue/visited tracking and its JSON round-trip
+ * without requiring server, database, or external services.
+ */
+
+const { CrawlFrontier, FRONTIER_VERSION } = require('../../../server/crawler/frontier');
+
+describe('Crawl Frontier Unit Tests', () => {
+  describe('Queue Behavior', () => {
+    test('Should not enqueue the same URL twice', () => {
+      const frontier = new CrawlFrontier();
+
+      expect(frontier.enqueue('https://example.com/a', 0, 0.5)).toBe(true);
+      expect(frontier.enqueue('https://example.com/a', 1, 0.3)).toBe(false);
+      expect(frontier.size).toBe(1);
+    });
+
+    test('Should return entries in priority order after sorting', () => {
+      const frontier = new CrawlFrontier();
+      frontier.enqueue('https://example.com/low', 0, 0.2);
+      frontier.enqueue('https://example.com/high', 0, 0.9);
+      frontier.enqueue('https://example.com/mid', 0, 0.5);
+
+      frontier.sortByPriority();
+
+      expect(frontier.next().url).toBe('https://example.com/high');
+      expect(frontier.next().url).toBe('https://example.com/mid');
+      expect(frontier.next().url).toBe('https://example.com/low');
+      expect(frontier.next()).toBeNull();
+    });
+
+    test('Should skip URLs marked visited before they are dequeued', () => {
+      const frontier = new CrawlFrontier();
+      frontier.enqueue('https://example.com/a', 0, 0.5);
+      frontier.enqueue('https://example.com/b', 0, 0.5);
+
+      frontier.markVisited('https://example.com/a');
+
+      expect(frontier.next().url).toBe('https://example.com/b');
+      expect(frontier.next()).toBeNull();
+    });
+
+    test('Should not re-enqueue visited URLs discovered as links', () => {
+      const frontier = new CrawlFrontier();
+      frontier.enqueue('https://example.com/', 0, 1.0);
+      frontier.next();
+
+      expect(frontier.enqueue('https://example.com/', 1, 0.3)).toBe(false);
+      expect(frontier.isEmpty()).toBe(true);
+    });
+
+    test('Should requeue a dequeued entry with an attempt count', () => {
+      const frontier = new CrawlFrontier();
+      frontier.enqueue('https://example.com/a', 0, 0.5);
+
+      const entry = frontier.next();
+
+      expect(frontier.retry(entry)).toBe(1);
+      expect(frontier.isVisited('https://example.com/a')).toBe(false);
+      expect(frontier.next()).toEqual({
+        url: 'https://example.com/a',
+        depth: 0,
+        priority: 0.5,
+        attempts: 1
+      });
+    });
+  });
+
+  describe('Serialization', () => {
+    test('Should round-trip queue, depth, priority and visited set', () => {
+      const frontier = new CrawlFrontier();
+      frontier.enqueue('https://example.com/', 0, 1.0);
+      frontier.enqueue('https://example.com/blog', 1, 0.3);
+      frontier.complete(frontier.next());
+
+      const data = frontier.toJSON();
+
+      expect(data.version).toBe(FRONTIER_VERSION);
+      expect(data.visited).toEqual(['https://example.com/']);
+      expect(data.queue).toEqual([{ url: 'https://example.com/blog', depth: 1, priority: 0.3 }]);
+
+      const restored = CrawlFrontier.fromJSON(JSON.parse(JSON.stringify(data)));
+
+      expect(restored.isVisited('https://example.com/')).toBe(true);
+      expect(restored.has('https://example.com/blog')).toBe(true);
+      expect(restored.next()).toEqual({ url: 'https://example.com/blog', depth: 1, priority: 0.3 });
+    });
+
+    test('Should keep entries in flight at a checkpoint pending', () => {
+      const frontier = new CrawlFrontier();
+      ['a', 'b', 'c'].forEach(path => frontier.enqueue(`https://example.com/${path}`));
+      const inFlight = frontier.next();
+
+      const restored = CrawlFrontier.fromJSON(JSON.parse(JSON.stringify(frontier.toJSON())));
+
+      expect(restored.isVisited(inFlight.url)).toBe(false);
+      expect(restored.queue.map(entry => entry.url)).toEqual([
+        'https://example.com/a',
+        'https://example.com/b',
+        'https://example.com/c'
+      ]);
+
+      frontier.complete(inFlight);
+      expect(frontier.toJSON().visited).toEqual(['https://example.com/a']);
+      expect(frontier.toJSON().queue).toHaveLength(2);
+    });
+
+    test('Should return an empty frontier for missing data', () => {
+      expect(CrawlFrontier.fromJSON(null).isEmpty()).toBe(true);
+      expect(CrawlFrontier.fromJSON(undefined).visited.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Unit Tests for the Static vs Rendered Comparison
+ *
+ * Tests the JavaScript dependency diff of two extractions and the project
+ * report without requiring server, database, browser or external services.
+ */
+
+const { extractContent } = require('../../../server/crawler/extractor');
+const {
+  compareRenderedContent,
+  buildJsDependencyReport
+} = require('../../../server/crawler/js-dependency');
+
+const PAGE_URL = 'https://example.com/pricing';
+
+const paragraph = words =>
+  `<p>${Array.from({ length: words }, (v, i) => `word${i}`).join(' ')}</p>`;
+
+const page = ({ head = '', body = '' }) =>
+  `<!doctype html><html><head>${head}</head><body>${body}</body></html>`;
+
+const HEAD = '<title>Pricing | Example</title><meta name="description" content="Plans and prices">';
+
+const RENDERED = page({
+  head: `${HEAD}<script type="application/ld+json">{"@context":"https://schema.org","@type":"FAQPage","mainEntity":[]}</script>`,
+  body: `<h1>Pricing</h1><h2>Plans</h2>${paragraph(200)}<a href="/signup">Sign up</a>`
+});
+
+describe('JS Dependency Unit Tests', () => {
+  test('Should report no difference when the static HTML has everything', () => {
+    const extraction = extractContent(RENDERED, PAGE_URL);
+    const report = compareRenderedContent(extraction, extraction, { staticStatusCode: 200 });
+
+    expect(report).toMatchObject({
+      severity: 'none',
+      key_content_missing: false,
+      missing: [],
+      text_coverage: 1,
+      static_status_code: 200
+    });
+  });
+
+  test('Should flag an app shell that renders everything client-side', () => {
+    const shell = page({ head: '<title></title>', body: '<div id="root"></div>' });
+    const report = compareRenderedContent(
+      extractContent(shell, PAGE_URL),
+      extractContent(RENDERED, PAGE_URL)
+    );
+
+    expect(report.severity).toBe('high');
+    expect(report.key_content_missing).toBe(true);
+    expect(report.missing).toEqual(
+      expect.arrayContaining([
+        'title',
+        'h1',
+        'body_text',
+        'meta_description',
+        'headings',
+        'structured_data',
+        'links'
+      ])
+    );
+    expect(report.text_coverage).toBe(0);
+    expect(report.missing_headings).toEqual([
+      { level: 1, text: 'Pricing' },
+      { level: 2, text: 'Plans' }
+    ]);
+    expect(report.missing_schema_types).toEqual(['FAQPage']);
+    expect(report.missing_links).toEqual(['https://example.com/signup']);
+  });
+
+  test('Should grade partial text and link differences', () => {
+    const partial = page({
+      head: `${HEAD}<script type="application/ld+json">{"@context":"https://schema.org","@type":"FAQPage","mainEntity":[]}</script>`,
+      body: `<h1>Pricing</h1><h2>Plans</h2>${paragraph(150)}`
+    });
+    const report = compareRenderedContent(
+      extractContent(partial, PAGE_URL),
+      extractContent(RENDERED, PAGE_URL)
+    );
+
+    expect(report.severity).toBe('medium');
+    expect(report.missing).toEqual(['body_text', 'links']);
+    expect(report.text_coverage).toBeLessThan(0.8);
+
+    const linksOnly = compareRenderedContent(
+      extractContent(RENDERED.replace('<a href="/signup">Sign up</a>', ''), PAGE_URL),
+      extractContent(RENDERED, PAGE_URL)
+    );
+
+    expect(linksOnly.severity).toBe('low');
+    expect(linksOnly.key_content_missing).toBe(false);
+    expect(linksOnly.missing).toEqual(['links']);
+  });
+
+  test('Should list affected pages by severity in the project report', () => {
+    const dependency = (severity, textCoverage, missing) => ({
+      severity,
+      key_content_missing: ['high', 'medium'].includes(severity),
+      missing,
+      text_coverage: textCoverage
+    });
+
+    const report = buildJsDependencyReport([
+      {
+        page_id: 'a',
+        url: 'https://example.com/a',
+        js_dependency: dependency('low', 0.9, ['links'])
+      },
+      { page_id: 'b', url: 'https://example.com/b', js_dependency: dependency('none', 1, []) },
+      {
+        page_id: 'c',
+        url: 'https://example.com/c',
+        js_dependency: dependency('high', 0.1, ['h1', 'body_text'])
+      },
+      { page_id: 'd', url: 'https://example.com/d', js_dependency: { error: 'timeout' } },
+      { page_id: 'e', url: 'https://example.com/e', js_dependency: null }
+    ]);
+
+    expect(report.summary).toEqual({
+      pages_compared: 3,
+      pages_not_compared: 2,
+      key_content_missing: 1,
+      by_severity: { high: 1, medium: 0, low: 1, none: 1 },
+      by_content: { links: 1, h1: 1, body_text: 1 }
+    });
+    expect(report.pages.map(entry => entry.page_id)).toEqual(['c', 'a']);
+
+    const keyContent = buildJsDependencyReport(
+      [{ page_id: 'a', url: 'https://example.com/a', js_dependency: dependency('low', 0.9, []) }],
+      { keyContentOnly: true }
+    );
+    expect(keyContent.pages).toEqual([]);
+  });
+});
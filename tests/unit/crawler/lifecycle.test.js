@@ -0,0 +1,92 @@
+/**
+ * Unit Tests for Page Lifecycle
+ *
+ * Tests gone/redirected/noindex classification of fetched pages without
+ * requiring server, database, or external services.
+ */
+
+const cheerio = require('cheerio');
+const {
+  isGoneStatus,
+  hasNoindex,
+  isRedirected,
+  classifyPage
+} = require('../../../server/crawler/lifecycle');
+
+describe('Page Lifecycle Unit Tests', () => {
+  describe('Status Codes', () => {
+    test('Should treat 404 and 410 as gone', () => {
+      expect(isGoneStatus(404)).toBe(true);
+      expect(isGoneStatus(410)).toBe(true);
+      expect(isGoneStatus(200)).toBe(false);
+      expect(isGoneStatus(500)).toBe(false);
+    });
+  });
+
+  describe('Noindex Detection', () => {
+    test('Should detect noindex in meta robots tags', () => {
+      const $ = cheerio.load('<head><meta name="robots" content="noindex, follow"></head>');
+      expect(hasNoindex($, {})).toBe(true);
+
+      const $none = cheerio.load('<head><meta name="Googlebot" content="none"></head>');
+      expect(hasNoindex($none, {})).toBe(true);
+    });
+
+    test('Should detect noindex in the X-Robots-Tag header', () => {
+      const $ = cheerio.load('<head></head>');
+      expect(hasNoindex($, { 'x-robots-tag': 'googlebot: noindex' })).toBe(true);
+      expect(hasNoindex($, { 'x-robots-tag': ['noarchive', 'noindex'] })).toBe(true);
+    });
+
+    test('Should not flag indexable pages', () => {
+      const $ = cheerio.load('<head><meta name="robots" content="index, follow"></head>');
+      expect(hasNoindex($, { 'x-robots-tag': 'noarchive' })).toBe(false);
+      expect(hasNoindex($)).toBe(false);
+    });
+  });
+
+  describe('Classification', () => {
+    test('Should detect redirects to a different URL', () => {
+      expect(isRedirected('https://example.com/old', 'https://example.com/new')).toBe(true);
+      expect(isRedirected('https://example.com/page', 'https://example.com/page/')).toBe(false);
+      expect(isRedirected('https://example.com/page', undefined)).toBe(false);
+    });
+
+    test('Should classify gone, redirected, noindex and active pages', () => {
+      expect(classifyPage({ requestedUrl: 'https://example.com/a', statusCode: 410 })).toEqual({
+        status: 'gone',
+        status_code: 410,
+        redirect_target: null
+      });
+
+      expect(
+        classifyPage({
+          requestedUrl: 'https://example.com/a',
+          finalUrl: 'https://example.com/b',
+          statusCode: 200
+        })
+      ).toEqual({
+        status: 'redirected',
+        status_code: 200,
+        redirect_target: 'https://example.com/b'
+      });
+
+      expect(
+        classifyPage({
+          requestedUrl: 'https://example.com/a',
+          finalUrl: 'https://example.com/a',
+          statusCode: 200,
+          noindex: true
+        }).status
+      ).toBe('noindex');
+
+      expect(
+        classifyPage({
+          requestedUrl: 'https://example.com/a',
+          finalUrl: 'https://example.com/a',
+          statusCode: 200
+        }).status
+      ).toBe('active');
+    });
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Unit Tests for the Link Checker
+ *
+ * Tests redirect chain recording, HEAD/GET link checks, the broken-link report
+ * and its CSV export without requiring server, database, or external services.
+ */
+
+const {
+  LinkChecker,
+  MAX_REDIRECTS,
+  describeRedirectChain,
+  classifyResult,
+  interleaveByHost,
+  buildLinkAuditReport,
+  toLinkAuditCsv
+} = require('../../../server/crawler/link-checker');
+
+const BASE = 'https://example.com';
+
+/**
+ * axios-compatible client answering from a URL → response table
+ */
+function fakeClient(responses) {
+  const requests = [];
+
+  return {
+    requests,
+    request: async config => {
+      requests.push(`${config.method.toUpperCase()} ${config.url}`);
+      const response = responses[config.url];
+
+      if (!response) {
+        throw Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' });
+      }
+
+      const status = response[config.method] || response.status;
+      return { status, headers: response.location ? { location: response.location } : {} };
+    }
+  };
+}
+
+const responses = {
+  [`${BASE}/`]: { status: 200 },
+  [`${BASE}/old`]: { status: 301, location: '/older' },
+  [`${BASE}/older`]: { status: 302, location: `${BASE}/new` },
+  [`${BASE}/new`]: { status: 200 },
+  [`${BASE}/missing`]: { status: 404 },
+  [`${BASE}/a`]: { status: 301, location: `${BASE}/b` },
+  [`${BASE}/b`]: { status: 301, location: `${BASE}/a` },
+  'https://partner.com/': { head: 405, get: 200 },
+  [`${BASE}/metadata`]: { status: 302, location: 'http://169.254.169.254/latest/meta-data/' },
+  [`${BASE}/intranet`]: { status: 301, location: 'http://intranet.example.com/admin' },
+  [`${BASE}/ftp`]: { status: 301, location: 'ftp://example.com/file' }
+};
+
+/**
+ * dns.promises.lookup-compatible resolver (public address unless listed)
+ */
+const addresses = {
+  'intranet.example.com': ['10.0.0.12'],
+  'mixed.example.com': ['93.184.216.34', '127.0.0.1']
+};
+
+async function fakeLookup(hostname) {
+  return (addresses[hostname] || ['93.184.216.34']).map(address => ({ address, family: 4 }));
+}
+
+function createChecker(client) {
+  return new LinkChecker({ httpClient: client, minDelayMs: 0, lookup: fakeLookup });
+}
+
+describe('Link Checker Unit Tests', () => {
+  describe('Redirect chains', () => {
+    test('Should record every hop and its status code', async () => {
+      const result = await createChecker(fakeClient(responses)).check(`${BASE}/old`);
+
+      expect(result).toMatchObject({
+        hops: [
+          { url: `${BASE}/old`, status_code: 301 },
+          { url: `${BASE}/older`, status_code: 302 }
+        ],
+        hop_count: 2,
+        final_url: `${BASE}/new`,
+        status_code: 200,
+        loop: false
+      });
+      expect(classifyResult(result)).toBe('redirect');
+    });
+
+    test('Should detect redirect loops', async () => {
+      const result = await createChecker(fakeClient(responses)).check(`${BASE}/a`);
+
+      expect(result).toMatchObject({ hop_count: 2, loop: true, status_code: null });
+      expect(classifyResult(result)).toBe('loop');
+    });
+
+    test('Should stop after too many redirects', async () => {
+      const chain = {};
+      for (let i = 0; i <= MAX_REDIRECTS + 1; i++) {
+        chain[`${BASE}/r${i}`] = { status: 302, location: `${BASE}/r${i + 1}` };
+      }
+
+      const result = await createChecker(fakeClient(chain)).check(`${BASE}/r0`);
+
+      expect(result.hop_count).toBe(MAX_REDIRECTS);
+      expect(classifyResult(result)).toBe('too_many_redirects');
+    });
+
+    test('Should describe the redirects the crawler followed', () => {
+      const result = describeRedirectChain(
+        `${BASE}/a`,
+        [
+          { url: `${BASE}/a`, statusCode: 301 },
+          { url: `${BASE}/b`, statusCode: 301 }
+        ],
+        `${BASE}/a`
+      );
+
+      expect(result).toMatchObject({ hop_count: 2, loop: true, status_code: null });
+    });
+  });
+
+  describe('Checks', () => {
+    test('Should fall back to GET when HEAD is not allowed', async () => {
+      const client = fakeClient(responses);
+      const result = await createChecker(client).check('https://partner.com/');
+
+      expect(result.status_code).toBe(200);
+      expect(client.requests).toEqual(['HEAD https://partner.com/', 'GET https://partner.com/']);
+    });
+
+    test('Should report unreachable hosts and request each URL once', async () => {
+      const client = fakeClient(responses);
+      const results = await createChecker(client).checkAll([
+        'https://gone.example.org/',
+        `${BASE}/missing`,
+        `${BASE}/missing`
+      ]);
+
+      expect(results.get('https://gone.example.org/')).toMatchObject({
+        status_code: null,
+        error: 'ENOTFOUND'
+      });
+      expect(classifyResult(results.get(`${BASE}/missing`))).toBe('broken');
+      expect(client.requests).toHaveLength(2);
+    });
+
+    test('Should not request private, loopback or metadata addresses', async () => {
+      const client = fakeClient(responses);
+      const results = await createChecker(client).checkAll([
+        'http://127.0.0.1:6379/',
+        'http://[::1]/',
+        'http://mixed.example.com/',
+        `${BASE}/metadata`,
+        `${BASE}/intranet`,
+        `${BASE}/ftp`
+      ]);
+
+      expect(results.get('http://127.0.0.1:6379/')).toMatchObject({
+        status_code: null,
+        error: 'blocked_address'
+      });
+      expect(results.get('http://[::1]/').error).toBe('blocked_address');
+      expect(results.get('http://mixed.example.com/').error).toBe('blocked_address');
+      expect(results.get(`${BASE}/metadata`)).toMatchObject({
+        hop_count: 1,
+        final_url: 'http://169.254.169.254/latest/meta-data/',
+        status_code: null,
+        error: 'blocked_address'
+      });
+      expect(results.get(`${BASE}/intranet`).error).toBe('blocked_address');
+      expect(results.get(`${BASE}/ftp`).error).toBe('blocked_scheme');
+      expect(client.requests.sort()).toEqual([
+        `HEAD ${BASE}/ftp`,
+        `HEAD ${BASE}/intranet`,
+        `HEAD ${BASE}/metadata`
+      ]);
+    });
+
+    test('Should alternate hosts', () => {
+      expect(
+        interleaveByHost([`${BASE}/1`, `${BASE}/2`, 'https://other.com/1', `${BASE}/3`])
+      ).toEqual([`${BASE}/1`, 'https://other.com/1', `${BASE}/2`, `${BASE}/3`]);
+    });
+  });
+
+  describe('Report', () => {
+    const links = [
+      { source_page_id: 'home', target_url: `${BASE}/old`, anchor_text: 'Old' },
+      { source_page_id: 'home', target_url: `${BASE}/missing`, anchor_text: 'Missing' },
+      { source_page_id: 'home', target_url: `${BASE}/missing`, anchor_text: 'Again' },
+      { source_page_id: 'blog', target_url: `${BASE}/`, anchor_text: 'Home' },
+      { source_page_id: 'blog', target_url: 'https://partner.com/', external: true }
+    ];
+
+    let report;
+
+    beforeAll(async () => {
+      const results = await createChecker(fakeClient(responses)).checkAll(
+        links.map(link => link.target_url)
+      );
+
+      report = buildLinkAuditReport({
+        links,
+        results,
+        pageUrls: new Map([
+          ['home', `${BASE}/`],
+          ['blog', `${BASE}/blog`]
+        ]),
+        crawlRedirects: {
+          [`${BASE}/a`]: describeRedirectChain(
+            `${BASE}/a`,
+            [{ url: `${BASE}/a`, statusCode: 308 }],
+            `${BASE}/new`,
+            200
+          )
+        }
+      });
+    });
+
+    test('Should list problem links with their source page', () => {
+      expect(report.links.map(link => [link.issue, link.source_url, link.target_url])).toEqual([
+        ['broken', `${BASE}/`, `${BASE}/missing`],
+        ['redirect', `${BASE}/`, `${BASE}/old`]
+      ]);
+      expect(report.summary).toMatchObject({
+        checked_urls: 4,
+        links_checked: 4,
+        issues: { loop: 0, too_many_redirects: 0, error: 0, broken: 1, redirect: 1 },
+        redirect_chains: 2,
+        long_redirect_chains: 1
+      });
+    });
+
+    test('Should merge crawl redirects with redirects found by link checks', () => {
+      expect(report.redirects.map(chain => [chain.url, chain.source, chain.linked_from])).toEqual([
+        [`${BASE}/old`, 'link', 1],
+        [`${BASE}/a`, 'crawl', 0]
+      ]);
+    });
+
+    test('Should export problem links as CSV', () => {
+      const csv = toLinkAuditCsv({
+        links: [
+          ...report.links,
+          { ...report.links[0], anchor_text: '=HYPERLINK("x")', external: true }
+        ]
+      });
+      const lines = csv.trim().split('\n');
+
+      expect(lines[0]).toBe(
+        'source_url,target_url,link_type,anchor_text,issue,status_code,final_url,redirect_chain'
+      );
+      expect(lines[2]).toBe(
+        `${BASE}/,${BASE}/old,internal,Old,redirect,200,${BASE}/new,` +
+          `${BASE}/old (301) -> ${BASE}/older (302) -> ${BASE}/new`
+      );
+      expect(lines[3]).toContain('external,"\'=HYPERLINK(""x"")",broken,404');
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Unit Tests for Internal Link Graph Analysis
+ *
+ * Tests orphan detection, click depth, internal PageRank, broken links and
+ * anchor-text diversity without requiring server, database, or external services.
+ */
+
+const {
+  normalizeAnchor,
+  buildLinkGraph,
+  computeClickDepths,
+  computePageRank,
+  analyzeLinkGraph
+} = require('../../../server/crawler/link-graph');
+
+const BASE = 'https://example.com';
+
+const pages = [
+  { id: 'home', url: `${BASE}/`, lifecycle_status: 'active' },
+  { id: 'a', url: `${BASE}/a`, lifecycle_status: 'active' },
+  { id: 'b', url: `${BASE}/b`, lifecycle_status: 'active' },
+  { id: 'c', url: `${BASE}/c`, lifecycle_status: 'noindex' },
+  { id: 'd', url: `${BASE}/d`, lifecycle_status: 'active' },
+  { id: 'old', url: `${BASE}/old`, lifecycle_status: 'gone', last_status_code: 410 },
+  {
+    id: 'moved',
+    url: `${BASE}/moved`,
+    lifecycle_status: 'redirected',
+    redirect_target: `${BASE}/c/`
+  }
+];
+
+const link = (source, target, anchor = '', nofollow = false) => ({
+  source_page_id: source,
+  target_url: `${BASE}${target}`,
+  anchor_text: anchor,
+  nofollow
+});
+
+const links = [
+  link('home', '/a', 'Pricing'),
+  link('home', '/b', 'Blog'),
+  link('home', '/a?utm_source=nav', 'Plans'),
+  link('a', '/b', ' blog '),
+  link('a', '/a', 'Self'),
+  link('a', '/moved', 'C'),
+  link('b', '/', 'Home'),
+  link('b', '/old', 'Old post'),
+  link('c', '/b', '', true),
+  link('c', '/missing', 'Missing')
+];
+
+const input = {
+  pages,
+  links,
+  sitemapUrls: [`${BASE}/`, `${BASE}/a`, `${BASE}/d`, `${BASE}/e/`, `${BASE}/old`],
+  brokenUrls: { [`${BASE}/missing`]: 404 },
+  homepageUrl: BASE
+};
+
+describe('Link Graph Unit Tests', () => {
+  describe('Graph', () => {
+    test('Should resolve targets to pages, following redirects', () => {
+      const graph = buildLinkGraph(pages, links, input.brokenUrls);
+
+      expect(graph.outgoing.get('home').map(edge => edge.target)).toEqual(['a', 'b']);
+      expect(graph.outgoing.get('a').map(edge => edge.target)).toEqual(['b', 'c']);
+      expect(graph.incoming.get('a')).toHaveLength(2);
+      expect(graph.nodes.has('old')).toBe(false);
+      expect(graph.nofollowLinks).toBe(1);
+    });
+
+    test('Should compute click depth from the homepage', () => {
+      const depths = computeClickDepths(buildLinkGraph(pages, links), 'home');
+
+      expect(Object.fromEntries(depths)).toEqual({ home: 0, a: 1, b: 1, c: 2 });
+    });
+
+    test('Should not pass PageRank through nofollow links', () => {
+      const ranks = computePageRank(buildLinkGraph(pages, links));
+      const total = [...ranks.values()].reduce((sum, rank) => sum + rank, 0);
+
+      expect(total).toBeCloseTo(1, 6);
+      expect(ranks.get('b')).toBeGreaterThan(ranks.get('a'));
+      expect(ranks.get('d')).toBeLessThan(ranks.get('c'));
+
+      const followed = computePageRank(
+        buildLinkGraph(
+          pages,
+          links.map(entry => ({ ...entry, nofollow: false }))
+        )
+      );
+      expect(followed.get('b')).toBeGreaterThan(ranks.get('b'));
+    });
+  });
+
+  describe('Report', () => {
+    const report = analyzeLinkGraph(input);
+
+    test('Should summarize the graph', () => {
+      expect(report.summary).toEqual({
+        page_count: 5,
+        link_count: 10,
+        nofollow_links: 1,
+        orphan_pages: 2,
+        broken_links: 2,
+        unreachable_pages: 1,
+        max_depth: 2,
+        depth_distribution: { 0: 1, 1: 2, 2: 1 },
+        homepage_url: `${BASE}/`
+      });
+      expect(report.pages.map(page => page.page_id)).toEqual(['home', 'b', 'a', 'c', 'd']);
+      expect(report.pages[1]).toMatchObject({ depth: 1, inbound_links: 3, outbound_links: 1 });
+      expect(report.pages.find(page => page.page_id === 'd').depth).toBeNull();
+    });
+
+    test('Should list sitemap URLs nobody links to as orphans', () => {
+      expect(report.orphans).toEqual([
+        { url: `${BASE}/d`, page_id: 'd' },
+        { url: `${BASE}/e`, page_id: null }
+      ]);
+    });
+
+    test('Should list broken internal links with their status', () => {
+      expect(report.broken_links).toEqual([
+        {
+          source_page_id: 'b',
+          source_url: `${BASE}/b`,
+          target_url: `${BASE}/old`,
+          status_code: 410,
+          anchor_text: 'Old post'
+        },
+        {
+          source_page_id: 'c',
+          source_url: `${BASE}/c`,
+          target_url: `${BASE}/missing`,
+          status_code: 404,
+          anchor_text: 'Missing'
+        }
+      ]);
+    });
+
+    test('Should measure anchor-text diversity per target', () => {
+      const blog = report.anchors.find(target => target.page_id === 'b');
+
+      expect(blog).toEqual({
+        page_id: 'b',
+        url: `${BASE}/b`,
+        inbound_links: 3,
+        unique_anchors: 1,
+        empty_anchors: 1,
+        diversity: 0.33,
+        top_anchors: [{ text: 'blog', count: 2 }]
+      });
+      expect(normalizeAnchor('  Read\n  More ')).toBe('read more');
+    });
+
+    test('Should handle a project without a crawled homepage', () => {
+      const empty = analyzeLinkGraph({ pages: [], links: [], homepageUrl: BASE });
+
+      expect(empty.summary).toMatchObject({ page_count: 0, max_depth: null, orphan_pages: 0 });
+    });
+  });
+});
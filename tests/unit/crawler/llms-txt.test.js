@@ -0,0 +1,244 @@
+/**
+ * Unit Tests for llms.txt
+ *
+ * Tests parsing, validation, the llms.txt report and the generator without
+ * requiring server, database, or external services.
+ */
+
+const {
+  parseLlmsTxt,
+  validateLlmsTxt,
+  fetchLlmsFile,
+  buildLlmsTxtReport,
+  toLlmsTxtSignal,
+  generateLlmsTxt
+} = require('../../../server/crawler/llms-txt');
+
+const BASE = 'https://example.com';
+
+const LLMS_TXT = [
+  '# Example',
+  '',
+  '> Example sells widgets for small teams.',
+  '',
+  'Prices are in USD.',
+  '',
+  '## Docs',
+  '',
+  '- [Quick start](https://example.com/docs/start): Install and configure',
+  '- [API](https://example.com/docs/api)',
+  '',
+  '## Optional',
+  '',
+  '- [Changelog](/changelog)'
+].join('\n');
+
+const file = (path, content, overrides = {}) => ({
+  url: `${BASE}${path}`,
+  found: true,
+  status_code: 200,
+  content_type: 'text/plain',
+  size: content.length,
+  content,
+  error: null,
+  ...overrides
+});
+
+const missing = path => ({
+  url: `${BASE}${path}`,
+  found: false,
+  status_code: 404,
+  content_type: null,
+  size: 0,
+  content: '',
+  error: null
+});
+
+describe('llms.txt Unit Tests', () => {
+  describe('parsing and validation', () => {
+    test('Should parse the title, summary, details and sections', () => {
+      const parsed = parseLlmsTxt(LLMS_TXT);
+
+      expect(parsed.title).toBe('Example');
+      expect(parsed.summary).toBe('Example sells widgets for small teams.');
+      expect(parsed.details).toEqual(['Prices are in USD.']);
+      expect(parsed.sections.map(section => section.name)).toEqual(['Docs', 'Optional']);
+      expect(parsed.sections[0].links[0]).toMatchObject({
+        title: 'Quick start',
+        href: 'https://example.com/docs/start',
+        notes: 'Install and configure'
+      });
+      expect(parsed.sections[1].optional).toBe(true);
+    });
+
+    test('Should only warn about relative links in a valid file', () => {
+      const issues = validateLlmsTxt(parseLlmsTxt(LLMS_TXT), `${BASE}/llms.txt`);
+
+      expect(issues).toEqual([
+        {
+          severity: 'warning',
+          line: 14,
+          message: 'Use absolute URLs for links',
+          url: 'https://example.com/changelog'
+        }
+      ]);
+    });
+
+    test('Should report structure errors and warnings', () => {
+      const content = [
+        'Welcome!',
+        '# Example',
+        '# Again',
+        '## Empty',
+        '### Deep heading',
+        '## Links',
+        '- just text'
+      ].join('\n');
+      const issues = validateLlmsTxt(parseLlmsTxt(content), `${BASE}/llms.txt`);
+      const messages = issues.map(issue => `${issue.severity}: ${issue.message}`);
+
+      expect(messages).toEqual([
+        'error: The H1 title must be the first line',
+        'error: Only one H1 title is allowed',
+        'warning: Missing summary blockquote (> ...) after the title',
+        'warning: H3 headings are not part of the llms.txt format',
+        'warning: Section "Empty" has no links',
+        'warning: Section "Links" has no links',
+        'warning: List item is not a link ([title](url): notes)'
+      ]);
+    });
+
+    test('Should not treat an HTML fallback page as llms.txt', async () => {
+      const httpClient = {
+        request: jest.fn().mockResolvedValue({
+          status: 200,
+          headers: { 'content-type': 'text/html; charset=utf-8' },
+          data: '<!doctype html><html><body>App</body></html>'
+        })
+      };
+
+      const index = await fetchLlmsFile(`${BASE}/llms.txt`, { httpClient });
+      const report = buildLlmsTxtReport({ index, full: missing('/llms-full.txt') });
+
+      expect(index.found).toBe(false);
+      expect(report.summary).toMatchObject({ found: false, valid: false, error_count: 1 });
+      expect(report.issues[0].message).toBe('Served an HTML page instead of a markdown file');
+    });
+  });
+
+  describe('report', () => {
+    test('Should flag links that do not resolve, redirect or are disallowed', () => {
+      const linkResults = new Map([
+        ['https://example.com/docs/start', { status_code: 200, final_url: null, hop_count: 0 }],
+        ['https://example.com/docs/api', { status_code: 404, final_url: null, hop_count: 0 }],
+        [
+          'https://example.com/changelog',
+          { status_code: 200, final_url: 'https://example.com/news', hop_count: 1 }
+        ]
+      ]);
+      const crawlable = new Map([['https://example.com/docs/start', false]]);
+
+      const report = buildLlmsTxtReport({
+        index: file('/llms.txt', LLMS_TXT),
+        full: file('/llms-full.txt', '# Example\n\nEverything.'),
+        linkResults,
+        crawlable
+      });
+
+      expect(report.summary).toMatchObject({
+        found: true,
+        full_found: true,
+        valid: false,
+        link_count: 3,
+        links_checked: 3,
+        broken_links: 1,
+        blocked_links: 1
+      });
+      expect(report.links.map(link => link.issue)).toEqual([null, 'broken', 'redirect']);
+      expect(report.issues.map(issue => issue.message)).toEqual(
+        expect.arrayContaining([
+          'Link does not resolve (404)',
+          'Link redirects to https://example.com/news',
+          'Linked page is disallowed by robots.txt'
+        ])
+      );
+      expect(report.llms_txt.sections).toEqual([
+        { name: 'Docs', optional: false, link_count: 2 },
+        { name: 'Optional', optional: true, link_count: 1 }
+      ]);
+      expect(toLlmsTxtSignal(report)).toEqual({
+        found: true,
+        valid: false,
+        full_found: true,
+        link_count: 3
+      });
+    });
+  });
+
+  describe('generator', () => {
+    test('Should group crawled pages in sections by page type', () => {
+      const content = generateLlmsTxt({
+        name: 'Example',
+        baseUrl: BASE,
+        pages: [
+          {
+            url: `${BASE}/`,
+            page_type: 'homepage',
+            title: 'Example',
+            meta_description: 'Widgets for small teams.'
+          },
+          {
+            url: `${BASE}/blog/launch`,
+            page_type: 'blog',
+            title: 'Launch [beta]',
+            meta_description: null
+          },
+          {
+            url: `${BASE}/products/widget`,
+            page_type: 'product',
+            title: 'Widget',
+            meta_description: 'Our   widget.'
+          },
+          { url: `${BASE}/signup`, page_type: 'conversion', title: 'Sign up' },
+          { url: `${BASE}/about`, page_type: null, title: null }
+        ]
+      });
+
+      expect(content).toBe(
+        [
+          '# Example',
+          '',
+          '> Widgets for small teams.',
+          '',
+          '## Products',
+          '',
+          '- [Widget](https://example.com/products/widget): Our widget.',
+          '',
+          '## Blog',
+          '',
+          '- [Launch beta](https://example.com/blog/launch)',
+          '',
+          '## Pages',
+          '',
+          '- [https://example.com/about](https://example.com/about)',
+          '',
+          '## Optional',
+          '',
+          '- [Sign up](https://example.com/signup)',
+          ''
+        ].join('\n')
+      );
+    });
+
+    test('Should generate a file that passes validation', () => {
+      const content = generateLlmsTxt({
+        name: 'Example',
+        baseUrl: BASE,
+        summary: 'Widgets.',
+        pages: [{ url: `${BASE}/pricing`, page_type: 'conversion', title: 'Pricing' }]
+      });
+
+      expect(validateLlmsTxt(parseLlmsTxt(content), `${BASE}/llms.txt`)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Unit Tests for Near-Duplicate Detection
+ *
+ * Tests SimHash fingerprints, duplicate grouping and canonical recommendations
+ * without requiring server, database, or external services.
+ */
+
+const {
+  computeSimhash,
+  hammingDistance,
+  simhashSimilarity,
+  findDuplicateGroups,
+  chooseCanonical,
+  getCanonicalStatus,
+  buildDuplicateReport
+} = require('../../../server/crawler/near-duplicates');
+const { resolveUrlRules } = require('../../../server/utils/url-rules');
+
+const words = count =>
+  Array.from({ length: count }, (_, i) => `word${(i * 7919) % 1000}`).join(' ');
+
+/**
+ * Templated service page for a city
+ */
+function cityPage(city) {
+  return (
+    `Plumbing services in ${city}. Our licensed plumbers fix leaks, replace water heaters ` +
+    'and unclog drains for homes and businesses. We offer same day appointments, upfront ' +
+    'pricing and a one year warranty on all repairs. Emergency plumbing is available around ' +
+    'the clock including weekends and public holidays. Call our friendly team to book a visit ' +
+    'or request a free quote online. Trusted by thousands of local customers for over twenty ' +
+    `years of reliable service. Serving ${city} and the surrounding neighbourhoods.`
+  );
+}
+
+const ARTICLE =
+  'Choosing a project management tool starts with understanding how your team works. ' +
+  'Some teams plan in sprints and need boards, backlogs and burndown charts while others ' +
+  'coordinate launches across departments and care more about timelines, dependencies and ' +
+  'approvals. Before comparing vendors, list the workflows you run every week, who takes ' +
+  'part in them and which reports leadership expects at the end of each month.';
+
+function page(id, text, declared = `https://example.com/${id}`) {
+  return {
+    page_id: id,
+    url: `https://example.com/${id}`,
+    simhash: computeSimhash(text),
+    declared_canonical: declared
+  };
+}
+
+describe('Near-Duplicate Detection Unit Tests', () => {
+  describe('SimHash', () => {
+    test('Should fingerprint text as 64 bits', () => {
+      const fingerprint = computeSimhash(cityPage('Austin'));
+
+      expect(fingerprint).toMatch(/^[0-9a-f]{16}$/);
+      expect(computeSimhash(cityPage('Austin'))).toBe(fingerprint);
+    });
+
+    test('Should not fingerprint short texts', () => {
+      expect(computeSimhash('Contact us today')).toBeNull();
+      expect(computeSimhash('')).toBeNull();
+    });
+
+    test('Should keep templated pages close and different pages apart', () => {
+      const austin = computeSimhash(cityPage('Austin'));
+      const dallas = computeSimhash(cityPage('Dallas'));
+
+      expect(simhashSimilarity(austin, dallas)).toBeGreaterThanOrEqual(0.8);
+      expect(simhashSimilarity(austin, computeSimhash(ARTICLE))).toBeLessThan(0.7);
+    });
+
+    test('Should count differing bits', () => {
+      expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+      expect(hammingDistance('0000000000000000', '00000000000000ff')).toBe(8);
+      expect(simhashSimilarity('ffffffffffffffff', '0000000000000000')).toBe(0);
+    });
+  });
+
+  describe('Grouping', () => {
+    test('Should group templated pages only', () => {
+      const groups = findDuplicateGroups([
+        page('plumbing-austin', cityPage('Austin')),
+        page('blog/choosing-tools', ARTICLE),
+        page('plumbing-dallas', cityPage('Dallas')),
+        page('plumbing-houston', cityPage('Houston')),
+        page('contact', 'Contact us')
+      ]);
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].map(member => member.page_id).sort()).toEqual([
+        'plumbing-austin',
+        'plumbing-dallas',
+        'plumbing-houston'
+      ]);
+    });
+
+    test('Should find groups for any similarity threshold', () => {
+      const pages = [page('a', words(200)), page('b', `${words(200)} extra`), page('c', ARTICLE)];
+
+      expect(findDuplicateGroups(pages, { minSimilarity: 0.98 })).toHaveLength(1);
+      expect(findDuplicateGroups(pages, { minSimilarity: 0.5 })[0].length).toBeGreaterThan(1);
+    });
+  });
+
+  describe('Canonical URL', () => {
+    test('Should prefer the URL other pages declare', () => {
+      const group = [
+        page('services/plumbing?city=austin', cityPage('Austin')),
+        page('plumbing-austin-tx', cityPage('Austin'), 'https://example.com/plumbing-austin-tx'),
+        page(
+          'plumbing-austin',
+          cityPage('Austin'),
+          'https://example.com/plumbing-austin-tx?utm_source=mail'
+        )
+      ];
+
+      expect(chooseCanonical(group)).toEqual({
+        url: 'https://example.com/plumbing-austin-tx',
+        source: 'declared'
+      });
+    });
+
+    test('Should fall back to the shortest URL when pages only declare themselves', () => {
+      const group = [
+        page('plumbing-austin', cityPage('Austin')),
+        page('plumb', cityPage('Austin'))
+      ];
+
+      expect(chooseCanonical(group)).toEqual({
+        url: 'https://example.com/plumb',
+        source: 'shortest_url'
+      });
+    });
+
+    test('Should compare the declared canonical with the recommended one', () => {
+      const canonical = 'https://example.com/plumb';
+
+      expect(getCanonicalStatus(page('plumb', ''), canonical)).toBe('ok');
+      expect(getCanonicalStatus(page('a', '', canonical), canonical)).toBe('ok');
+      expect(getCanonicalStatus(page('a', ''), canonical)).toBe('self');
+      expect(getCanonicalStatus(page('a', '', 'https://example.com/b'), canonical)).toBe(
+        'mismatch'
+      );
+      expect(getCanonicalStatus(page('a', '', null), canonical)).toBe('missing');
+    });
+  });
+
+  describe('Report', () => {
+    test('Should list groups with similarity and canonical issues', () => {
+      const report = buildDuplicateReport(
+        [
+          page('plumbing-austin', cityPage('Austin'), 'https://example.com/plumbing'),
+          page('plumbing', cityPage('Texas')),
+          page('plumbing-dallas', cityPage('Dallas')),
+          page('blog/choosing-tools', ARTICLE),
+          page('contact', 'Contact us')
+        ],
+        { unfingerprintedPages: 1 }
+      );
+
+      expect(report.groups).toHaveLength(1);
+
+      const [group] = report.groups;
+      expect(group.canonical_url).toBe('https://example.com/plumbing');
+      expect(group.canonical_source).toBe('declared');
+      expect(group.pages[0]).toMatchObject({ url: group.canonical_url, similarity: 1 });
+      expect(group.similarity).toBeGreaterThanOrEqual(0.85);
+      expect(
+        Object.fromEntries(group.pages.map(member => [member.page_id, member.canonical_status]))
+      ).toEqual({ plumbing: 'ok', 'plumbing-austin': 'ok', 'plumbing-dallas': 'self' });
+
+      expect(report.summary).toEqual({
+        page_count: 4,
+        group_count: 1,
+        duplicate_pages: 2,
+        canonical_issues: 1,
+        unfingerprinted_pages: 1,
+        min_similarity: 0.85
+      });
+      expect(report.generated_at).toBeDefined();
+    });
+
+    test("Should compare declared canonicals under the project's URL rules", () => {
+      const pages = ['a/', 'b/'].map(path => ({
+        ...page(path, cityPage('Austin'), 'https://example.com/a/'),
+        page_id: path
+      }));
+      const rules = resolveUrlRules({ trailing_slash: 'add' });
+      const report = buildDuplicateReport(pages, {}, { rules });
+
+      const [group] = report.groups;
+      expect(group.canonical_url).toBe('https://example.com/a/');
+      expect(group.canonical_source).toBe('declared');
+      expect(group.pages.map(member => member.canonical_status)).toEqual(['ok', 'ok']);
+    });
+  });
+});
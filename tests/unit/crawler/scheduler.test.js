@@ -0,0 +1,102 @@
+/**
+ * Unit Tests for Politeness Scheduler
+ *
+ * Tests per-host concurrency caps, request spacing and 429/503 back-off
+ * without requiring server, database, or external services.
+ */
+
+const {
+  PolitenessScheduler,
+  isBackoffStatus,
+  parseRetryAfter
+} = require('../../../server/crawler/scheduler');
+
+describe('Politeness Scheduler Unit Tests', () => {
+  describe('Concurrency', () => {
+    test('Should never exceed the per-host concurrency cap', async () => {
+      const scheduler = new PolitenessScheduler({
+        concurrency: 4,
+        perHostConcurrency: 2,
+        minDelayMs: 0
+      });
+      let active = 0;
+      let maxActive = 0;
+
+      const task = async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        active--;
+        return { statusCode: 200 };
+      };
+
+      await Promise.all(
+        [1, 2, 3, 4, 5].map(i => scheduler.run(`https://example.com/${i}`, task))
+      );
+
+      expect(maxActive).toBe(2);
+      expect(scheduler.active).toBe(0);
+    });
+
+    test('Should cap per-host concurrency at the overall concurrency', () => {
+      const scheduler = new PolitenessScheduler({ concurrency: 1, perHostConcurrency: 5 });
+
+      expect(scheduler.perHostConcurrency).toBe(1);
+    });
+  });
+
+  describe('Back-off', () => {
+    test('Should double the host interval on 429 and recover on success', () => {
+      const scheduler = new PolitenessScheduler({ minDelayMs: 1000, maxDelayMs: 10000 });
+      const state = scheduler.getHostState('example.com');
+
+      state.active = 1;
+      scheduler.active = 1;
+      scheduler.release('example.com', { statusCode: 429 });
+      expect(state.delayMs).toBe(2000);
+      expect(state.backoffs).toBe(1);
+
+      state.active = 1;
+      scheduler.active = 1;
+      scheduler.release('example.com', { statusCode: 200 });
+      expect(state.delayMs).toBe(1500);
+    });
+
+    test('Should honor Retry-After up to the maximum interval', () => {
+      const scheduler = new PolitenessScheduler({ minDelayMs: 1000, maxDelayMs: 30000 });
+
+      scheduler.release('example.com', { statusCode: 503, retryAfter: '120' });
+
+      expect(scheduler.getStats().hosts['example.com'].delayMs).toBe(30000);
+    });
+
+    test('Should back off when the task throws an HTTP 429 error', async () => {
+      const scheduler = new PolitenessScheduler({ minDelayMs: 0, maxDelayMs: 5000 });
+      const error = new Error('Too Many Requests');
+      error.response = { status: 429, headers: { 'retry-after': '2' } };
+
+      await expect(
+        scheduler.run('https://example.com/', async () => {
+          throw error;
+        })
+      ).rejects.toThrow('Too Many Requests');
+
+      expect(scheduler.getStats().hosts['example.com'].delayMs).toBe(2000);
+    });
+  });
+
+  describe('Helpers', () => {
+    test('Should only treat 429 and 503 as back-off statuses', () => {
+      expect(isBackoffStatus(429)).toBe(true);
+      expect(isBackoffStatus(503)).toBe(true);
+      expect(isBackoffStatus(500)).toBe(false);
+      expect(isBackoffStatus(undefined)).toBe(false);
+    });
+
+    test('Should parse Retry-After seconds and ignore invalid values', () => {
+      expect(parseRetryAfter('5')).toBe(5000);
+      expect(parseRetryAfter(null)).toBeNull();
+      expect(parseRetryAfter('soon')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Unit Tests for the Schema Markup Generator
+ *
+ * Tests JSON-LD generation from page snapshots and validation of the generated
+ * markup without requiring server, database, or external services.
+ */
+
+const { generateSchemaMarkup } = require('../../../server/crawler/schema-generator');
+
+const BASE = 'https://example.com';
+
+const messages = issues => issues.map(issue => `${issue.path}: ${issue.message}`);
+
+const byType = schemas => Object.fromEntries(schemas.map(schema => [schema.type, schema]));
+
+describe('Schema Generator Unit Tests', () => {
+  test('Should generate FAQ, BlogPosting and breadcrumbs for a blog post', () => {
+    const schemas = byType(
+      generateSchemaMarkup({
+        url: `${BASE}/blog/ai-search-guide`,
+        pageType: 'blog',
+        extraction: {
+          title: 'The AI Search Guide | Example',
+          meta_description: 'Everything about AI search.',
+          headings: [{ level: 1, text: 'The AI Search Guide' }],
+          faq: [
+            { question: 'What is AI search?', answer: 'Search answered by a model.' },
+            { question: 'Empty?', answer: '' }
+          ],
+          author: 'Ada Lovelace',
+          date_published: '2025-03-01',
+          schema_types: ['Article']
+        },
+        rawHtml: '<head><meta property="og:image" content="/cover.png"></head>'
+      })
+    );
+
+    expect(Object.keys(schemas)).toEqual(['FAQPage', 'BlogPosting', 'BreadcrumbList']);
+    expect(schemas.FAQPage.json_ld.mainEntity).toEqual([
+      {
+        '@type': 'Question',
+        name: 'What is AI search?',
+        acceptedAnswer: { '@type': 'Answer', text: 'Search answered by a model.' }
+      }
+    ]);
+    expect(schemas.FAQPage).toMatchObject({ rich_result: 'FAQ', already_present: false });
+    expect(schemas.FAQPage.validation).toMatchObject({ valid: true, error_count: 0 });
+
+    expect(schemas.BlogPosting.json_ld).toMatchObject({
+      '@context': 'https://schema.org',
+      headline: 'The AI Search Guide',
+      image: `${BASE}/cover.png`,
+      author: { '@type': 'Person', name: 'Ada Lovelace' },
+      datePublished: '2025-03-01T00:00:00.000Z',
+      publisher: { '@type': 'Organization', name: 'Example' }
+    });
+    expect(schemas.BlogPosting.already_present).toBe(false);
+    expect(messages(schemas.BlogPosting.validation.warnings)).toEqual([
+      "BlogPosting: Missing recommended property 'dateModified'",
+      "BlogPosting.publisher: Missing recommended property 'logo'"
+    ]);
+
+    expect(schemas.BreadcrumbList.json_ld.itemListElement).toEqual([
+      { '@type': 'ListItem', position: 1, name: 'Home', item: `${BASE}/` },
+      { '@type': 'ListItem', position: 2, name: 'Blog', item: `${BASE}/blog/` },
+      {
+        '@type': 'ListItem',
+        position: 3,
+        name: 'The AI Search Guide',
+        item: `${BASE}/blog/ai-search-guide`
+      }
+    ]);
+    expect(schemas.BreadcrumbList.script).toMatch(
+      /^<script type="application\/ld\+json">\n\{\n {2}"@context"/
+    );
+  });
+
+  test('Should build HowTo steps from step headings and their sections', () => {
+    const [howTo] = generateSchemaMarkup({
+      url: `${BASE}/`,
+      extraction: {
+        title: 'Set up crawling',
+        headings: [
+          { level: 2, text: 'Step 1: Create a project' },
+          { level: 2, text: 'Step 2: Start a crawl' }
+        ]
+      },
+      rawHtml: `
+        <h2>Step 1: Create a project</h2><p>Enter your domain.</p>
+        <h2>Step 2: Start a crawl</h2><p>Click start.</p>`
+    });
+
+    expect(howTo.type).toBe('HowTo');
+    expect(howTo.json_ld.step).toEqual([
+      { '@type': 'HowToStep', name: 'Create a project', text: 'Enter your domain.', position: 1 },
+      { '@type': 'HowToStep', name: 'Start a crawl', text: 'Click start.', position: 2 }
+    ]);
+    expect(howTo.validation.valid).toBe(true);
+  });
+
+  test('Should flag what a product page does not expose', () => {
+    const [product] = generateSchemaMarkup({
+      url: `${BASE}/`,
+      pageType: 'product',
+      extraction: { title: 'Widget', headings: [] },
+      rawHtml: '<p>No price here</p>'
+    });
+
+    expect(product.json_ld).toEqual({
+      '@context': 'https://schema.org',
+      '@type': 'Product',
+      name: 'Widget'
+    });
+    expect(product.validation.valid).toBe(false);
+    expect(product.validation.errors[0].message).toBe(
+      'One of offers, review, aggregateRating is required'
+    );
+  });
+
+  test('Should read prices and availability from product meta tags', () => {
+    const [product] = generateSchemaMarkup({
+      url: `${BASE}/`,
+      pageType: 'product',
+      extraction: { title: 'Widget', headings: [] },
+      rawHtml: `
+        <meta property="product:price:amount" content="19.99">
+        <meta property="product:price:currency" content="EUR">
+        <meta property="product:availability" content="in stock">`
+    });
+
+    expect(product.json_ld.offers).toEqual({
+      '@type': 'Offer',
+      price: '19.99',
+      priceCurrency: 'EUR',
+      availability: 'https://schema.org/InStock',
+      url: `${BASE}/`
+    });
+    expect(product.validation.error_count).toBe(0);
+  });
+
+  test('Should describe the organization on the homepage', () => {
+    const schemas = generateSchemaMarkup({
+      url: `${BASE}/`,
+      pageType: 'homepage',
+      extraction: {
+        title: 'Home | Example',
+        headings: [],
+        outbound_links: [
+          { url: 'https://www.linkedin.com/company/example' },
+          { url: 'https://partner.com/' }
+        ],
+        schema_types: ['Corporation']
+      },
+      rawHtml: '<header><img class="site-Logo" src="/logo.svg"></header>'
+    });
+
+    expect(schemas.map(schema => schema.type)).toEqual(['Organization']);
+    expect(schemas[0]).toMatchObject({
+      already_present: true,
+      json_ld: {
+        name: 'Example',
+        url: `${BASE}/`,
+        logo: `${BASE}/logo.svg`,
+        sameAs: ['https://www.linkedin.com/company/example']
+      }
+    });
+  });
+});
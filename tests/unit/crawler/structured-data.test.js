@@ -0,0 +1,228 @@
+/**
+ * Unit Tests for the Structured Data Validator
+ *
+ * Tests JSON-LD, Microdata and RDFa parsing and validation against the bundled
+ * schema.org / rich result definitions without requiring server, database, or
+ * external services.
+ */
+
+const cheerio = require('cheerio');
+const {
+  parseStructuredData,
+  getSchemaTypes,
+  resolveDefinition,
+  validateStructuredData,
+  validateHtml
+} = require('../../../server/crawler/structured-data');
+
+const jsonLd = data =>
+  `<script type="application/ld+json">${typeof data === 'string' ? data : JSON.stringify(data)}</script>`;
+
+const page = body => `<html><head></head><body>${body}</body></html>`;
+
+const messages = issues => issues.map(issue => `${issue.path}: ${issue.message}`);
+
+describe('Structured Data Unit Tests', () => {
+  describe('Parsing', () => {
+    test('Should report JSON-LD syntax errors and keep parsing other blocks', () => {
+      const result = validateHtml(
+        page(
+          jsonLd('{"@context": "https://schema.org", "@type": "Person",}') +
+            jsonLd({ '@context': 'https://schema.org', '@type': 'Person', name: 'Ada' })
+        )
+      );
+
+      expect(result.summary).toMatchObject({ item_count: 1, syntax_errors: 1, error_count: 1 });
+      expect(result.errors[0]).toMatchObject({ format: 'json-ld', path: 'json-ld[0]' });
+      expect(result.errors[0].message).toMatch(/^Invalid JSON/);
+    });
+
+    test('Should read @graph nodes and list nested types', () => {
+      const parsed = parseStructuredData(
+        cheerio.load(
+          page(
+            jsonLd({
+              '@context': 'https://schema.org',
+              '@graph': [
+                { '@type': 'WebSite', name: 'Example', url: 'https://example.com' },
+                {
+                  '@type': 'Organization',
+                  name: 'Example',
+                  address: { '@type': 'PostalAddress', addressLocality: 'Berlin' }
+                }
+              ]
+            })
+          )
+        )
+      );
+
+      expect(parsed.items).toHaveLength(2);
+      expect(parsed.items[1].context).toBe('https://schema.org');
+      expect(getSchemaTypes(parsed)).toEqual(['WebSite', 'Organization', 'PostalAddress']);
+    });
+
+    test('Should parse Microdata items with nested items', () => {
+      const parsed = parseStructuredData(
+        cheerio.load(
+          page(`
+            <div itemscope itemtype="https://schema.org/Product">
+              <h1 itemprop="name">Widget</h1>
+              <img itemprop="image" src="/widget.png">
+              <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+                <meta itemprop="price" content="19.99">
+                <meta itemprop="priceCurrency" content="EUR">
+              </div>
+            </div>`)
+        )
+      );
+
+      expect(parsed.items).toEqual([
+        {
+          format: 'microdata',
+          data: {
+            '@type': 'Product',
+            name: 'Widget',
+            image: '/widget.png',
+            offers: { '@type': 'Offer', price: '19.99', priceCurrency: 'EUR' }
+          }
+        }
+      ]);
+    });
+
+    test('Should parse RDFa items and ignore other vocabularies', () => {
+      const parsed = parseStructuredData(
+        cheerio.load(
+          page(`
+            <meta property="og:title" content="Ignored">
+            <div vocab="https://schema.org/" typeof="Person">
+              <span property="name">Ada Lovelace</span>
+              <a property="url" href="https://example.com/ada">Profile</a>
+            </div>`)
+        )
+      );
+
+      expect(parsed.items).toEqual([
+        {
+          format: 'rdfa',
+          data: { '@type': 'Person', name: 'Ada Lovelace', url: 'https://example.com/ada' }
+        }
+      ]);
+    });
+  });
+
+  describe('Validation', () => {
+    test('Should require a schema.org @context and a @type', () => {
+      const result = validateHtml(page(jsonLd({ name: 'No context' })));
+
+      expect(messages(result.errors)).toEqual([
+        'json-ld: Missing schema.org @context',
+        'json-ld: Missing @type'
+      ]);
+      expect(result.items[0]).toMatchObject({ validated: false, error_count: 2 });
+    });
+
+    test('Should validate nested FAQ questions and answers', () => {
+      const result = validateHtml(
+        page(
+          jsonLd({
+            '@context': 'https://schema.org',
+            '@type': 'FAQPage',
+            mainEntity: [
+              {
+                '@type': 'Question',
+                name: 'What is it?',
+                acceptedAnswer: { '@type': 'Answer', text: 'A widget.' }
+              },
+              { '@type': 'Question', name: 'How much?' }
+            ]
+          })
+        )
+      );
+
+      expect(messages(result.errors)).toEqual([
+        "FAQPage.mainEntity[1]: Missing required property 'acceptedAnswer'"
+      ]);
+      expect(result.items[0]).toMatchObject({ rich_result: null, error_count: 1 });
+    });
+
+    test('Should require one of offers, review or aggregateRating for products', () => {
+      const result = validateStructuredData(
+        parseStructuredData(
+          cheerio.load(
+            page(
+              jsonLd({
+                '@context': 'https://schema.org',
+                '@type': 'Product',
+                name: 'Widget',
+                image: 'https://example.com/widget.png',
+                description: 'A widget',
+                brand: { '@type': 'Brand', name: 'Acme' },
+                sku: 'W-1'
+              })
+            )
+          )
+        )
+      );
+
+      expect(result.errors).toEqual([
+        {
+          format: 'json-ld',
+          type: 'Product',
+          path: 'Product',
+          property: 'offers',
+          message: 'One of offers, review, aggregateRating is required'
+        }
+      ]);
+      expect(result.warnings).toHaveLength(0);
+    });
+
+    test('Should apply inherited rules and rich results to subtypes', () => {
+      expect(resolveDefinition('BlogPosting')).toMatchObject({
+        ancestors: ['BlogPosting', 'Article', 'CreativeWork', 'Thing'],
+        richResult: 'Article'
+      });
+      expect(resolveDefinition('UnknownType')).toBeNull();
+
+      const result = validateHtml(
+        page(
+          jsonLd({
+            '@context': 'https://schema.org',
+            '@type': 'BlogPosting',
+            headline: 'Hello',
+            author: { '@type': 'Person', name: 'Ada' },
+            datePublished: 'yesterday'
+          })
+        )
+      );
+
+      expect(result.summary).toMatchObject({ error_count: 0, rich_results: ['Article'] });
+      expect(messages(result.warnings)).toEqual([
+        "BlogPosting: Missing recommended property 'image'",
+        "BlogPosting: Missing recommended property 'dateModified'",
+        'BlogPosting.datePublished: Invalid value "yesterday": expected a valid Date or DateTime'
+      ]);
+    });
+
+    test('Should treat invalid values of required properties as errors', () => {
+      const result = validateHtml(
+        page(
+          jsonLd({
+            '@context': 'https://schema.org',
+            '@type': 'Event',
+            name: 'Launch',
+            startDate: 'soon',
+            location: { '@id': 'https://example.com/#venue' }
+          })
+        )
+      );
+
+      expect(messages(result.errors)).toEqual([
+        'Event.startDate: Invalid value "soon": expected a valid Date or DateTime'
+      ]);
+    });
+
+    test('Should return null without HTML', () => {
+      expect(validateHtml('')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Unit Tests for Topic Clustering
+ *
+ * Tests clustering of page vectors, cluster labels and the content-gap report
+ * without requiring server, database, or external services.
+ */
+
+const {
+  parseVector,
+  chooseClusterCount,
+  clusterPages,
+  summarizeCluster,
+  buildLabelingMessages,
+  parseClusterLabels,
+  buildClusterReport
+} = require('../../../server/crawler/topic-clusters');
+
+/**
+ * Page near one of three topic directions
+ */
+function page(id, topic, noise, fields = {}) {
+  const directions = {
+    pricing: [1, 0, 0],
+    support: [0, 1, 0],
+    careers: [0, 0, 1]
+  };
+  const embedding = directions[topic].map((value, index) => value + (index === 0 ? noise : -noise));
+  return {
+    page_id: id,
+    url: `https://example.com/${topic}/${id}`,
+    page_type: 'resource',
+    overall_score: 70,
+    snippet: `${topic} page`,
+    embedding,
+    ...fields
+  };
+}
+
+describe('Topic Clustering Unit Tests', () => {
+  describe('Cluster Count', () => {
+    test('Should grow with the square root of the pages within bounds', () => {
+      expect(chooseClusterCount(8)).toBe(2);
+      expect(chooseClusterCount(200)).toBe(10);
+      expect(chooseClusterCount(5000)).toBe(20);
+      expect(chooseClusterCount(1)).toBe(1);
+    });
+  });
+
+  describe('Clustering', () => {
+    const pages = [
+      page('a', 'pricing', 0.05),
+      page('b', 'support', 0.1),
+      page('c', 'pricing', 0.1),
+      page('d', 'careers', 0.02),
+      page('e', 'support', 0.05),
+      page('f', 'pricing', 0.0),
+      page('g', 'support', 0.02),
+      page('h', 'pricing', 0.08)
+    ];
+
+    test('Should group pages about the same topic', () => {
+      const clusters = clusterPages(pages, { minClusters: 3 });
+      const topics = clusters.map(cluster =>
+        cluster.pages.map(member => member.url.split('/')[3]).sort()
+      );
+
+      expect(topics).toEqual([
+        ['pricing', 'pricing', 'pricing', 'pricing'],
+        ['support', 'support', 'support'],
+        ['careers']
+      ]);
+    });
+
+    test('Should be deterministic and drop embeddings from the result', () => {
+      const first = clusterPages(pages, { minClusters: 3 });
+      const second = clusterPages(pages, { minClusters: 3 });
+
+      expect(second).toEqual(first);
+      expect(first[0].pages[0].embedding).toBeUndefined();
+      expect(first[0].pages[0].similarity).toBeGreaterThan(0.9);
+    });
+
+    test('Should accept vectors in pgvector text format', () => {
+      expect(parseVector('[0.5,0.25]')).toEqual([0.5, 0.25]);
+
+      const clusters = clusterPages(
+        pages.map(member => ({ ...member, embedding: JSON.stringify(member.embedding) })),
+        { minClusters: 3 }
+      );
+      expect(clusters).toHaveLength(3);
+    });
+
+    test('Should return no clusters without pages', () => {
+      expect(clusterPages([])).toEqual([]);
+    });
+  });
+
+  describe('Content Gaps', () => {
+    test('Should flag thin clusters', () => {
+      const summary = summarizeCluster([page('a', 'pricing', 0), page('b', 'pricing', 0)]);
+
+      expect(summary.flags).toEqual(['thin']);
+      expect(summary.avg_score).toBe(70);
+    });
+
+    test('Should flag low average scores of scored pages only', () => {
+      const summary = summarizeCluster([
+        page('a', 'pricing', 0, { overall_score: 30 }),
+        page('b', 'pricing', 0, { overall_score: 40, page_type: 'product' }),
+        page('c', 'pricing', 0, { overall_score: null, page_type: 'product' })
+      ]);
+
+      expect(summary.flags).toEqual(['low_score']);
+      expect(summary.avg_score).toBe(35);
+      expect(summary.scored_pages).toBe(2);
+      expect(summary.page_types).toEqual({ resource: 1, product: 2 });
+      expect(summary.dominant_page_type).toBe('product');
+    });
+
+    test('Should summarize the report', () => {
+      const clusters = [
+        { pages: [1, 2, 3].map(n => ({ ...page(`p${n}`, 'pricing', 0), similarity: 1 })) },
+        { pages: [{ ...page('s1', 'support', 0, { overall_score: 20 }), similarity: 1 }] }
+      ];
+
+      const { clusters: report, summary } = buildClusterReport(clusters, ['Pricing', 'Support'], {
+        unembeddedPages: 4
+      });
+
+      expect(report[1]).toMatchObject({ label: 'Support', size: 1, flags: ['thin', 'low_score'] });
+      expect(report[1].pages[0]).not.toHaveProperty('snippet');
+      expect(summary).toMatchObject({
+        page_count: 4,
+        cluster_count: 2,
+        thin_clusters: 1,
+        low_score_clusters: 1,
+        unembedded_pages: 4
+      });
+    });
+  });
+
+  describe('Cluster Labels', () => {
+    test('Should describe each cluster to the LLM', () => {
+      const messages = buildLabelingMessages([
+        { pages: [page('a', 'pricing', 0)] },
+        { pages: [page('b', 'support', 0)] }
+      ]);
+
+      expect(messages[1].content).toContain('Cluster 1 (1 pages)');
+      expect(messages[1].content).toContain(
+        'https://example.com/support/b (resource): support page'
+      );
+    });
+
+    test('Should fall back to numbered topics', () => {
+      expect(parseClusterLabels({ labels: ['Pricing plans', ' ', 42] }, 4)).toEqual([
+        'Pricing plans',
+        'Topic 2',
+        'Topic 3',
+        'Topic 4'
+      ]);
+      expect(parseClusterLabels(null, 1)).toEqual(['Topic 1']);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit Tests for URL List Crawls
+ *
+ * Tests reading pasted lists and uploaded CSV/text files, validation and
+ * deduplication without requiring server, database, or external services.
+ */
+
+const { normalizeUrl } = require('../../../server/crawler/canonicalizer');
+const { extractUrlCandidates, parseUrlList } = require('../../../server/crawler/url-list');
+
+const BASE = 'https://example.com';
+
+describe('URL List Unit Tests', () => {
+  describe('input', () => {
+    test('Should read arrays and plain text lists', () => {
+      expect(extractUrlCandidates([` ${BASE}/a `, '', `${BASE}/b`])).toEqual([
+        `${BASE}/a`,
+        `${BASE}/b`
+      ]);
+      expect(extractUrlCandidates(`${BASE}/a\r\n\r\n  ${BASE}/b  \n`)).toEqual([
+        `${BASE}/a`,
+        `${BASE}/b`
+      ]);
+    });
+
+    test('Should read the URL column of a CSV and skip the header row', () => {
+      const csv = [
+        '\uFEFFcampaign,url,clicks',
+        `spring,"${BASE}/landing/spring",120`,
+        `trial;${BASE}/landing/trial;80`,
+        `retargeting\t${BASE}/landing/back\t12`,
+        'broken,not-a-url,3'
+      ].join('\n');
+
+      expect(extractUrlCandidates(csv)).toEqual([
+        `${BASE}/landing/spring`,
+        `${BASE}/landing/trial`,
+        `${BASE}/landing/back`,
+        'broken'
+      ]);
+    });
+  });
+
+  describe('validation', () => {
+    test('Should keep valid project URLs in order and drop duplicates', () => {
+      const result = parseUrlList(
+        [`${BASE}/b`, `${BASE}/a/`, `${BASE}/b#pricing`, `${BASE}/A`, `${BASE}/a`],
+        { baseUrl: BASE, normalize: url => normalizeUrl(url) }
+      );
+
+      expect(result).toEqual({
+        urls: [`${BASE}/b`, `${BASE}/a/`, `${BASE}/A`],
+        invalid: [],
+        duplicates: 2
+      });
+    });
+
+    test('Should report invalid and off-domain URLs', () => {
+      const result = parseUrlList(
+        `${BASE}/ok\nftp://example.com/file\nexample.com/no-scheme\nhttps://other.com/page`,
+        { baseUrl: BASE }
+      );
+
+      expect(result.urls).toEqual([`${BASE}/ok`]);
+      expect(result.invalid).toEqual([
+        { value: 'ftp://example.com/file', reason: 'Not a valid http(s) URL' },
+        { value: 'example.com/no-scheme', reason: 'Not a valid http(s) URL' },
+        { value: 'https://other.com/page', reason: 'Outside the project domain' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit Tests for Project URL Rules
+ *
+ * Tests include patterns, query parameter lists, path rewrites and the
+ * trailing slash/case policy of the canonicalizer, without requiring
+ * server, database, or external services.
+ */
+
+const canonicalizer = require('../../../server/crawler/canonicalizer');
+const PageModel = require('../../../server/models/page');
+const { resolveUrlRules, validateUrlRules } = require('../../../server/utils/url-rules');
+
+const BASE = 'https://example.com';
+
+describe('URL Rules Unit Tests', () => {
+  describe('normalization', () => {
+    test('Should keep the default normalization without rules', () => {
+      const rules = resolveUrlRules({});
+
+      expect(canonicalizer.normalizeUrl(`${BASE}/About/?b=2&a=1`, { rules })).toBe(
+        canonicalizer.normalizeUrl(`${BASE}/About/?b=2&a=1`)
+      );
+    });
+
+    test('Should apply rewrites, case, trailing slash and parameter lists', () => {
+      const rules = resolveUrlRules({
+        strip_params: ['sort', 'filter_*'],
+        path_rewrites: [
+          { pattern: '^/en/', replacement: '/' },
+          { pattern: '/index\\.html$', replacement: '/' }
+        ],
+        trailing_slash: 'add',
+        lowercase_paths: true
+      });
+      const url = `${BASE}/en/Blog/Post?sort=asc&filter_color=red&page=2#top`;
+
+      expect(canonicalizer.normalizeUrl(url, { rules })).toBe(`${BASE}/blog/post/?page=2`);
+      expect(canonicalizer.normalizeUrl(`${BASE}/en/docs/index.html`, { rules })).toBe(
+        `${BASE}/docs/`
+      );
+      expect(canonicalizer.normalizeUrl(`${BASE}/files/report.pdf`, { rules })).toBe(
+        `${BASE}/files/report.pdf`
+      );
+    });
+
+    test('Should only keep listed parameters and honor the keep policy', () => {
+      const rules = resolveUrlRules({ keep_params: ['page'], trailing_slash: 'keep' });
+
+      expect(canonicalizer.normalizeUrl(`${BASE}/blog/?page=2&ref=nav&q=x`, { rules })).toBe(
+        `${BASE}/blog/?page=2`
+      );
+      expect(canonicalizer.normalizeUrl(`${BASE}/blog?q=x`, { rules })).toBe(`${BASE}/blog`);
+    });
+  });
+
+  describe('validation', () => {
+    test('Should report invalid URL rule fields', () => {
+      expect(validateUrlRules({ trailing_slash: 'remove', path_rewrites: [] })).toEqual([]);
+      expect(
+        validateUrlRules({
+          strip_params: 'utm_source',
+          keep_params: [''],
+          path_rewrites: [{ pattern: '(' }, { replacement: '/' }],
+          trailing_slash: 'sometimes',
+          lowercase_paths: 'yes'
+        })
+      ).toEqual([
+        'strip_params must be an array of parameter names',
+        'keep_params must be an array of parameter names',
+        'path_rewrites[0].pattern is not a valid regular expression',
+        'path_rewrites[0].replacement must be a string',
+        'path_rewrites[1].pattern is required',
+        'trailing_slash must be one of: remove, add, keep',
+        'lowercase_paths must be a boolean'
+      ]);
+    });
+  });
+
+  describe('page storage', () => {
+    test('Should store URLs with the trailing slash policy of the project', () => {
+      expect(PageModel.normalizeUrl(`${BASE}/Blog/`)).toBe(`${BASE}/Blog`);
+      expect(PageModel.normalizeUrl(`${BASE}/a/`, { trailingSlash: 'keep' })).toBe(`${BASE}/a/`);
+      expect(PageModel.normalizeUrl(`${BASE}/a`, { trailingSlash: 'keep' })).toBe(`${BASE}/a`);
+      expect(PageModel.normalizeUrl(`${BASE}/a/`, { trailingSlash: 'add' })).toBe(`${BASE}/a/`);
+    });
+  });
+
+  describe('path rewrite safety', () => {
+    test('Should reject patterns with catastrophic backtracking', () => {
+      const unsafe = [
+        '(a+)+$',
+        '(\\w|\\d)*/x',
+        '(/[a-z]*)*$',
+        '(.)\\1',
+        '^(?!/en/)',
+        'a'.repeat(201)
+      ];
+
+      unsafe.forEach(pattern => {
+        expect(validateUrlRules({ path_rewrites: [{ pattern, replacement: '/' }] })).toEqual([
+          'path_rewrites[0].pattern must be at most 200 characters without nested quantifiers, ' +
+            'quantified alternations, backreferences or lookarounds'
+        ]);
+      });
+      expect(
+        validateUrlRules({
+          path_rewrites: [
+            { pattern: '^/(en|de)/(.*)$', replacement: '/$2' },
+            { pattern: '^/blog/(?:page-)?(\\d+)/?$', replacement: '/blog/$1' },
+            { pattern: '[(+)]+', replacement: '' }
+          ]
+        })
+      ).toEqual([]);
+    });
+
+    test('Should skip unsafe stored patterns and time out slow rewrites', () => {
+      expect(
+        resolveUrlRules({
+          path_rewrites: [
+            { pattern: '(a+)+$', replacement: '/' },
+            { pattern: '^/en/', replacement: '/' }
+          ]
+        }).pathRewrites.map(rule => rule.regex.source)
+      ).toEqual(['^\\/en\\/']);
+
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const rules = resolveUrlRules({});
+      rules.pathRewrites.push({ regex: /(a+)+$/, replacement: '/' });
+      const url = `${BASE}/${'a'.repeat(40)}!`;
+
+      expect(canonicalizer.normalizeUrl(url, { rules })).toBe(url);
+      expect(rules.pathRewrites[0].timedOut).toBe(true);
+      expect(warn).toHaveBeenCalledTimes(1);
+      warn.mockRestore();
+    });
+  });
+
+  describe('test this URL', () => {
+    const config = {
+      included_patterns: ['/blog/'],
+      excluded_patterns: ['/blog/drafts'],
+      strip_params: ['sort']
+    };
+
+    test('Should explain whether a URL would be crawled', () => {
+      expect(
+        canonicalizer.testUrl(`${BASE}/blog/post/?sort=asc&utm_source=x`, { baseUrl: BASE, config })
+      ).toMatchObject({
+        valid: true,
+        normalized_url: `${BASE}/blog/post?utm_source=x`,
+        canonical_url: `${BASE}/blog/post`,
+        same_domain: true,
+        matched_include: '/blog/',
+        crawl: true,
+        reason: null
+      });
+
+      expect(
+        canonicalizer.testUrl(`${BASE}/blog/drafts/new`, { baseUrl: BASE, config })
+      ).toMatchObject({ crawl: false, matched_exclude: '/blog/drafts' });
+      expect(canonicalizer.testUrl(`${BASE}/pricing`, { baseUrl: BASE, config })).toMatchObject({
+        crawl: false,
+        reason: 'Does not match any included pattern'
+      });
+      expect(canonicalizer.testUrl(`${BASE}/`, { baseUrl: BASE, config })).toMatchObject({
+        crawl: true,
+        reason: 'Start URL of the crawl'
+      });
+      expect(
+        canonicalizer.testUrl('https://other.com/blog/x', { baseUrl: BASE, config })
+      ).toMatchObject({ crawl: false, reason: 'Outside the project domain' });
+      expect(canonicalizer.testUrl('mailto:hi@example.com', { baseUrl: BASE, config }).valid).toBe(
+        false
+      );
+    });
+  });
+});
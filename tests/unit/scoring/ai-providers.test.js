@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for AI Providers
+ *
+ * Tests provider selection, the Anthropic message mapping and the deterministic
+ * fake provider, and runs the scorer and summarizer offline against it -
+ * without requiring server, database, or external services.
+ */
+
+const {
+  setProviderOverride,
+  resolveProvider,
+  validateProviderSettings,
+  isProviderConfigured
+} = require('../../../server/services/ai/providers');
+const { createFakeProvider } = require('../../../server/services/ai/providers/fake');
+const { toAnthropicMessages } = require('../../../server/services/ai/providers/anthropic');
+const { generateCompletion, generateEmbeddings } = require('../../../server/services/ai/client');
+const { scorePage } = require('../../../server/crawler/ai-scorer');
+const { summarizeContent } = require('../../../server/services/ai/summarizer');
+
+describe('AI Provider Unit Tests', () => {
+  beforeAll(() => {
+    setProviderOverride('fake');
+    // No database: ledger writes are expected to fail and only warn
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    setProviderOverride(null);
+    console.warn.mockRestore();
+  });
+
+  describe('Provider Selection', () => {
+    test('Should use the override for every request', async () => {
+      const { provider } = await resolveProvider({ projectId: 'project-1' });
+
+      expect(provider.name).toBe('fake');
+    });
+
+    test('Should only accept configured organization providers', () => {
+      expect(validateProviderSettings({ provider: 'fake' })).toHaveLength(1);
+      expect(validateProviderSettings({ model: '' })).toHaveLength(1);
+      expect(validateProviderSettings({ provider: null, model: null })).toEqual([]);
+      expect(validateProviderSettings({ base_url: 'http://internal' })).toHaveLength(1);
+    });
+
+    test('Should detect provider credentials', () => {
+      expect(isProviderConfigured('anthropic', {})).toBe(false);
+      expect(isProviderConfigured('anthropic', { ANTHROPIC_API_KEY: 'key' })).toBe(true);
+      expect(isProviderConfigured('azure_openai', { AZURE_OPENAI_API_KEY: 'key' })).toBe(false);
+      expect(isProviderConfigured('unknown', {})).toBe(false);
+    });
+  });
+
+  describe('Anthropic Messages', () => {
+    test('Should move system messages to the system prompt', () => {
+      const prepared = toAnthropicMessages([
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hello' }
+      ]);
+
+      expect(prepared.system).toBe('Be brief.');
+      expect(prepared.messages).toEqual([{ role: 'user', content: 'Hello' }]);
+      expect(prepared.prefill).toBe('');
+    });
+
+    test('Should prefill JSON responses', () => {
+      const prepared = toAnthropicMessages([{ role: 'user', content: 'Score this' }], {
+        type: 'json_object'
+      });
+
+      expect(prepared.system).toContain('JSON');
+      expect(prepared.messages[prepared.messages.length - 1]).toEqual({
+        role: 'assistant',
+        content: '{'
+      });
+    });
+  });
+
+  describe('Fake Provider', () => {
+    const messages = [{ role: 'user', content: 'The quick brown fox jumps over the lazy dog' }];
+
+    test('Should return the same completion for the same request', async () => {
+      const first = await generateCompletion({ messages, maxTokens: 4 });
+      const second = await generateCompletion({ messages, maxTokens: 4 });
+
+      expect(first.content).toBe('The quick brown');
+      expect(second.content).toBe(first.content);
+      expect(first.provider).toBe('fake');
+      expect(first.usage.totalTokens).toBeGreaterThan(0);
+    });
+
+    test('Should return deterministic unit-length embeddings', async () => {
+      const result = await generateEmbeddings(['alpha', 'beta', 'alpha']);
+      const [alpha, beta, alphaAgain] = result.embeddings;
+      const norm = Math.sqrt(alpha.reduce((sum, value) => sum + value * value, 0));
+
+      expect(alpha).toHaveLength(1536);
+      expect(norm).toBeCloseTo(1, 6);
+      expect(alphaAgain).toEqual(alpha);
+      expect(beta).not.toEqual(alpha);
+    });
+
+    test('Should support a custom responder', async () => {
+      const provider = createFakeProvider({ respond: () => 'fixed', dimensions: 8 });
+      const completion = await provider.complete({ messages, model: 'fake-chat' });
+      const embeddings = await provider.embed({ input: 'text', model: 'fake-embedding' });
+
+      expect(completion.content).toBe('fixed');
+      expect(embeddings.embeddings[0]).toHaveLength(8);
+    });
+  });
+
+  describe('Offline Scoring', () => {
+    const snapshot = {
+      id: 'snapshot-1',
+      page_id: 'page-1',
+      content_hash: 'hash-1',
+      cleaned_text: 'Acme Widgets are durable steel widgets for industrial use.',
+      extraction: { page_type: 'product', title: 'Acme Widgets' }
+    };
+
+    test('Should score a page deterministically', async () => {
+      const first = await scorePage(snapshot);
+      const second = await scorePage(snapshot);
+
+      expect(Object.keys(first.criteriaScores).length).toBeGreaterThan(0);
+      expect(first.criteriaScores).toEqual(second.criteriaScores);
+      expect(first.overallScore).toBe(second.overallScore);
+      Object.values(first.criteriaScores).forEach(score => {
+        expect(score).toBeGreaterThanOrEqual(40);
+        expect(score).toBeLessThanOrEqual(100);
+      });
+    });
+
+    test('Should summarize content offline', async () => {
+      const content = 'Widgets '.repeat(500);
+      const result = await summarizeContent(content, { targetLength: 20, pageType: 'product' });
+
+      expect(result.summary.length).toBeGreaterThan(0);
+      expect(result.summaryTokens).toBeLessThan(result.originalTokens);
+    });
+  });
+});
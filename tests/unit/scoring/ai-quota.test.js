@@ -0,0 +1,99 @@
+/**
+ * Unit Tests for Organization AI Quotas
+ *
+ * Tests quota settings, validation, reset periods and quota checks without
+ * requiring server, database, or external services.
+ */
+
+const {
+  resolveAiQuota,
+  validateAiQuota,
+  getQuotaPeriodStart,
+  evaluateAiQuota,
+  getQuotaExceededMessage,
+  DEFAULT_WARNING_THRESHOLD
+} = require('../../../server/utils/ai-quota');
+
+describe('AI Quota Unit Tests', () => {
+  const quota = resolveAiQuota({
+    ai_quota: { monthly_token_limit: 100000, monthly_usd_limit: 10 }
+  });
+
+  describe('Quota Settings', () => {
+    test('Should read the quota from organization settings', () => {
+      expect(quota).toEqual({
+        monthlyTokens: 100000,
+        monthlyUsd: 10,
+        warningThreshold: DEFAULT_WARNING_THRESHOLD,
+        resetAt: null
+      });
+    });
+
+    test('Should treat missing settings as unlimited', () => {
+      const unlimited = resolveAiQuota(null);
+
+      expect(unlimited.monthlyTokens).toBeNull();
+      expect(unlimited.monthlyUsd).toBeNull();
+      expect(evaluateAiQuota(unlimited, { tokens: 1e9, usd: 1e6 }).status).toBe('ok');
+    });
+
+    test('Should validate quota updates', () => {
+      expect(validateAiQuota({ monthly_token_limit: 50000, monthly_usd_limit: null })).toEqual([]);
+      expect(validateAiQuota({ monthly_token_limit: 0.5 })).toHaveLength(1);
+      expect(validateAiQuota({ monthly_usd_limit: -5 })).toHaveLength(1);
+      expect(validateAiQuota({ warning_threshold: 1.5 })).toHaveLength(1);
+      expect(validateAiQuota({ reset_at: '2025-11-01' })).toEqual([
+        'Unknown quota field: reset_at'
+      ]);
+    });
+  });
+
+  describe('Quota Period', () => {
+    const now = new Date('2025-11-20T12:00:00.000Z');
+
+    test('Should start at the beginning of the month', () => {
+      expect(getQuotaPeriodStart(quota, now)).toBe('2025-11-01T00:00:00.000Z');
+    });
+
+    test('Should start at a reset made this month', () => {
+      const reset = { ...quota, resetAt: '2025-11-15T09:30:00.000Z' };
+
+      expect(getQuotaPeriodStart(reset, now)).toBe('2025-11-15T09:30:00.000Z');
+    });
+
+    test('Should ignore a reset from an earlier month', () => {
+      const reset = { ...quota, resetAt: '2025-10-15T09:30:00.000Z' };
+
+      expect(getQuotaPeriodStart(reset, now)).toBe('2025-11-01T00:00:00.000Z');
+    });
+  });
+
+  describe('Quota Checks', () => {
+    test('Should allow usage below the warning threshold', () => {
+      const result = evaluateAiQuota(quota, { tokens: 10000, usd: 1 });
+
+      expect(result.status).toBe('ok');
+      expect(result.tokens.remaining).toBe(90000);
+    });
+
+    test('Should warn when usage reaches the warning threshold', () => {
+      expect(evaluateAiQuota(quota, { tokens: 10000, usd: 8 }).status).toBe('warning');
+    });
+
+    test('Should refuse a request that would exceed a limit', () => {
+      const result = evaluateAiQuota(quota, { tokens: 95000, usd: 2 }, { tokens: 6000, usd: 0.1 });
+
+      expect(result.status).toBe('exceeded');
+      expect(result.reason).toBe('monthly_tokens');
+    });
+
+    test('Should refuse once a limit has been reached', () => {
+      const result = evaluateAiQuota(quota, { tokens: 1000, usd: 10 });
+
+      expect(result.status).toBe('exceeded');
+      expect(result.reason).toBe('monthly_usd');
+      expect(result.usd.remaining).toBe(0);
+      expect(getQuotaExceededMessage(result)).toContain('$10 monthly AI spend limit');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for AI Usage Ledger
+ *
+ * Tests usage summaries, reporting ranges and per-request cost estimation
+ * without requiring server, database, or external services.
+ */
+
+const { summarizeUsage, parseRange } = require('../../../server/models/ai-usage');
+const { estimateRequestCost } = require('../../../server/utils/token-counter');
+
+describe('AI Usage Unit Tests', () => {
+  const entries = [
+    {
+      project_id: 'project-a',
+      purpose: 'scoring',
+      model: 'gpt-4-turbo',
+      prompt_tokens: 1000,
+      completion_tokens: 500,
+      total_tokens: 1500,
+      cost_usd: '0.025000',
+      created_at: '2025-11-03T10:00:00.000Z'
+    },
+    {
+      project_id: 'project-a',
+      purpose: 'summarization',
+      model: 'gpt-4-turbo',
+      prompt_tokens: 2000,
+      completion_tokens: 400,
+      total_tokens: 2400,
+      cost_usd: '0.032000',
+      created_at: '2025-11-03T11:00:00.000Z'
+    },
+    {
+      project_id: null,
+      purpose: 'embeddings',
+      model: 'text-embedding-3-small',
+      prompt_tokens: 300,
+      completion_tokens: 0,
+      total_tokens: 300,
+      cost_usd: '0.000006',
+      created_at: '2025-12-01T08:00:00.000Z'
+    }
+  ];
+
+  describe('Usage Summary', () => {
+    test('Should total all entries', () => {
+      const { totals } = summarizeUsage(entries);
+
+      expect(totals.requests).toBe(3);
+      expect(totals.prompt_tokens).toBe(3300);
+      expect(totals.completion_tokens).toBe(900);
+      expect(totals.total_tokens).toBe(4200);
+      expect(totals.cost_usd).toBeCloseTo(0.057006, 6);
+    });
+
+    test('Should break usage down by day, oldest first', () => {
+      const { by_period } = summarizeUsage(entries, 'day');
+
+      expect(by_period.map(p => p.period)).toEqual(['2025-11-03', '2025-12-01']);
+      expect(by_period[0].requests).toBe(2);
+      expect(by_period[0].total_tokens).toBe(3900);
+    });
+
+    test('Should break usage down by month', () => {
+      const { by_period } = summarizeUsage(entries, 'month');
+
+      expect(by_period.map(p => p.period)).toEqual(['2025-11', '2025-12']);
+    });
+
+    test('Should break usage down by purpose, model and project', () => {
+      const summary = summarizeUsage(entries);
+
+      expect(Object.keys(summary.by_purpose)).toEqual(['scoring', 'summarization', 'embeddings']);
+      expect(summary.by_model['gpt-4-turbo'].requests).toBe(2);
+      expect(summary.by_project['project-a'].total_tokens).toBe(3900);
+      expect(summary.by_project.unassigned.total_tokens).toBe(300);
+    });
+
+    test('Should reject an unknown period', () => {
+      expect(() => summarizeUsage(entries, 'week')).toThrow('groupBy must be one of');
+    });
+
+    test('Should return zero totals for no entries', () => {
+      const summary = summarizeUsage([]);
+
+      expect(summary.totals.requests).toBe(0);
+      expect(summary.totals.cost_usd).toBe(0);
+      expect(summary.by_period).toEqual([]);
+    });
+  });
+
+  describe('Reporting Range', () => {
+    test('Should default to the current month by day', () => {
+      const now = new Date();
+      const { range, errors } = parseRange({});
+
+      expect(errors).toEqual([]);
+      expect(range.from).toBe(
+        new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString()
+      );
+      expect(range.to).toBeNull();
+      expect(range.groupBy).toBe('day');
+    });
+
+    test('Should report invalid dates and periods', () => {
+      const { errors } = parseRange({ from: 'yesterday', to: '2025-13-45', groupBy: 'year' });
+
+      expect(errors).toHaveLength(3);
+    });
+  });
+
+  describe('Request Cost', () => {
+    test('Should price versioned model names by their base model', () => {
+      expect(estimateRequestCost(1000, 1000, 'gpt-4o-mini-2024-07-18')).toBe(
+        estimateRequestCost(1000, 1000, 'gpt-4o-mini')
+      );
+      expect(estimateRequestCost(1000, 1000, 'gpt-4o-mini')).toBeLessThan(
+        estimateRequestCost(1000, 1000, 'gpt-4o')
+      );
+    });
+
+    test('Should price embeddings on input tokens only', () => {
+      expect(estimateRequestCost(1000000, 0, 'text-embedding-3-small')).toBeCloseTo(0.02, 6);
+    });
+  });
+});
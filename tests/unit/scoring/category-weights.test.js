@@ -0,0 +1,132 @@
+/**
+ * Unit Tests for Category-Weighted Scores
+ *
+ * Tests category sub-scores and the rubric-weighted overall score, including
+ * per-page-type weight overrides - without requiring server, database, or
+ * external services.
+ */
+
+const {
+  calculateOverallScore,
+  calculateCategoryScores,
+  getCategoryWeights
+} = require('../../../server/models/score');
+const RubricModel = require('../../../server/models/rubric');
+const { getActiveRubric } = require('../../../server/crawler/rubrics');
+
+const rubric = {
+  version: 'test',
+  categories: [
+    {
+      name: 'Content',
+      weight: 0.75,
+      criteria: [{ name: 'direct_answer' }, { name: 'readability' }]
+    },
+    {
+      name: 'Structured Data',
+      weight: 0.25,
+      criteria: [{ name: 'schema_markup' }]
+    }
+  ],
+  pageTypeRubrics: {
+    product: {
+      categoryWeights: { Content: 0.25, 'Structured Data': 0.75 }
+    },
+    blog: {
+      excludedCriteria: ['schema_markup']
+    }
+  }
+};
+
+const criteriaScores = {
+  direct_answer: 80,
+  readability: 60,
+  schema_markup: 20
+};
+
+describe('Category-Weighted Score Unit Tests', () => {
+  describe('Category Scores', () => {
+    test('Should average criteria per category', () => {
+      expect(calculateCategoryScores(criteriaScores, rubric, 'homepage')).toEqual({
+        Content: 70,
+        'Structured Data': 20
+      });
+    });
+
+    test('Should leave out categories whose criteria are all excluded', () => {
+      expect(calculateCategoryScores(criteriaScores, rubric, 'blog')).toEqual({ Content: 70 });
+    });
+  });
+
+  describe('Category Weights', () => {
+    test('Should use category weights by default', () => {
+      expect(getCategoryWeights(rubric, 'homepage')).toEqual({
+        Content: 0.75,
+        'Structured Data': 0.25
+      });
+    });
+
+    test('Should apply page type overrides', () => {
+      expect(getCategoryWeights(rubric, 'product')).toEqual({
+        Content: 0.25,
+        'Structured Data': 0.75
+      });
+    });
+
+    test('Should weigh categories equally when none has a weight', () => {
+      const unweighted = {
+        categories: rubric.categories.map(category => ({ ...category, weight: undefined }))
+      };
+
+      expect(getCategoryWeights(unweighted, 'homepage')).toEqual({
+        Content: 1,
+        'Structured Data': 1
+      });
+    });
+  });
+
+  describe('Overall Score', () => {
+    test('Should weight category scores', () => {
+      // 70 * 0.75 + 20 * 0.25
+      expect(calculateOverallScore(criteriaScores, rubric, 'homepage')).toBe(58);
+      // 70 * 0.25 + 20 * 0.75
+      expect(calculateOverallScore(criteriaScores, rubric, 'product')).toBe(33);
+    });
+
+    test('Should ignore excluded criteria', () => {
+      expect(calculateOverallScore(criteriaScores, rubric, 'blog')).toBe(70);
+    });
+
+    test('Should keep the simple average without a rubric', () => {
+      expect(calculateOverallScore(criteriaScores)).toBe(53);
+    });
+
+    test('Should match the simple average for the built-in rubric with equal scores', async () => {
+      const builtIn = await getActiveRubric();
+      const scores = {};
+      builtIn.categories.forEach(category =>
+        category.criteria.forEach(criterion => {
+          scores[criterion.name] = 64;
+        })
+      );
+
+      expect(calculateOverallScore(scores, builtIn, 'homepage')).toBe(64);
+    });
+  });
+
+  describe('Weight Override Validation', () => {
+    test('Should reject overrides for unknown categories or out of range', async () => {
+      const custom = structuredClone(await getActiveRubric());
+      const [first] = custom.categories;
+      custom.pageTypeRubrics.product = {
+        ...custom.pageTypeRubrics.product,
+        categoryWeights: { [first.name]: 1.5, Unknown: 0.5 }
+      };
+
+      const { valid, errors } = RubricModel.validateDefinition(custom);
+
+      expect(valid).toBe(false);
+      expect(errors).toHaveLength(2);
+    });
+  });
+});
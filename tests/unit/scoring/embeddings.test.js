@@ -0,0 +1,174 @@
+/**
+ * Unit Tests for the Embedding Pipeline
+ *
+ * Tests text chunking and embedding storage against the fake provider and an
+ * in-memory embeddings table - without requiring server, database, or
+ * external services.
+ */
+
+const { chunkText } = require('../../../server/utils/text-chunker');
+const { countTokens } = require('../../../server/utils/token-counter');
+const EmbeddingModel = require('../../../server/models/embedding');
+const { setProviderOverride } = require('../../../server/services/ai/providers');
+const { createFakeProvider } = require('../../../server/services/ai/providers/fake');
+const { generateEmbeddings, getEmbeddingModel } = require('../../../server/services/ai/client');
+
+/**
+ * Minimal Supabase client for the embeddings table
+ */
+function createEmbeddingsClient(rows) {
+  return {
+    from() {
+      const filters = [];
+      const matching = () => rows.filter(row => filters.every(filter => filter(row)));
+      const query = {
+        select: () => query,
+        delete: () => {
+          query.then = resolve => {
+            const removed = new Set(matching());
+            rows.splice(0, rows.length, ...rows.filter(row => !removed.has(row)));
+            resolve({ error: null });
+          };
+          return query;
+        },
+        insert: inserted => {
+          rows.push(...inserted);
+          query.then = resolve => resolve({ data: inserted, error: null });
+          return query;
+        },
+        eq: (column, value) => {
+          filters.push(row => row[column] === value);
+          return query;
+        },
+        limit: count => {
+          query.then = resolve => resolve({ data: matching().slice(0, count), error: null });
+          return query;
+        }
+      };
+      return query;
+    }
+  };
+}
+
+describe('Embedding Pipeline Unit Tests', () => {
+  beforeAll(() => {
+    setProviderOverride('fake');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    setProviderOverride(null);
+    EmbeddingModel.setSupabaseClient(null);
+    console.warn.mockRestore();
+  });
+
+  describe('Text Chunking', () => {
+    const paragraph = 'Acme widgets are durable steel widgets built for industrial use. '.repeat(
+      10
+    );
+
+    test('Should keep short text in one chunk', () => {
+      expect(chunkText('Short page.\n\nSecond paragraph.')).toEqual([
+        'Short page. Second paragraph.'
+      ]);
+    });
+
+    test('Should return no chunks for empty text', () => {
+      expect(chunkText('')).toEqual([]);
+      expect(chunkText(null)).toEqual([]);
+    });
+
+    test('Should bound chunks by tokens and overlap them', () => {
+      const text = Array.from({ length: 8 }, () => paragraph).join('\n\n');
+      const chunks = chunkText(text, { maxTokens: 250, overlapTokens: 120 });
+
+      expect(chunks.length).toBeGreaterThan(1);
+      chunks.forEach(chunk => expect(countTokens(chunk)).toBeLessThanOrEqual(250));
+      expect(chunks[1].startsWith(paragraph.trim())).toBe(true);
+    });
+
+    test('Should split long sentences into word windows', () => {
+      const sentence = 'word '.repeat(600);
+      const chunks = chunkText(sentence, { maxTokens: 100, overlapTokens: 0 });
+
+      expect(chunks.length).toBeGreaterThan(1);
+      chunks.forEach(chunk => expect(countTokens(chunk)).toBeLessThanOrEqual(100));
+    });
+
+    test('Should cap the number of chunks', () => {
+      const text = Array.from({ length: 30 }, () => paragraph).join('\n\n');
+
+      expect(chunkText(text, { maxTokens: 150, maxChunks: 3 })).toHaveLength(3);
+    });
+  });
+
+  describe('Embedding Storage', () => {
+    const rows = [];
+    const snapshot = { id: 'snapshot-1', page_id: 'page-1', content_hash: 'hash-1' };
+
+    beforeAll(() => {
+      EmbeddingModel.setSupabaseClient(createEmbeddingsClient(rows));
+    });
+
+    test('Should embed with the embedding model of the provider', async () => {
+      const model = await getEmbeddingModel();
+      const result = await generateEmbeddings(['alpha', 'beta']);
+
+      expect(result.model).toBe(model);
+      expect(result.embeddings[0]).toHaveLength(EmbeddingModel.EMBEDDING_DIMENSIONS);
+    });
+
+    test('Should replace the embeddings of a page', async () => {
+      const model = await getEmbeddingModel();
+      const { embeddings } = await generateEmbeddings(['alpha', 'beta']);
+
+      await EmbeddingModel.replacePageEmbeddings(snapshot, 'project-1', model, [
+        { text: 'alpha', embedding: embeddings[0] },
+        { text: 'beta', embedding: embeddings[1] }
+      ]);
+      expect(await EmbeddingModel.hasContentEmbedding('page-1', 'hash-1', model)).toBe(true);
+
+      await EmbeddingModel.replacePageEmbeddings(
+        { ...snapshot, id: 'snapshot-2', content_hash: 'hash-2' },
+        'project-1',
+        model,
+        [{ text: 'gamma', embedding: embeddings[0] }]
+      );
+
+      expect(rows).toHaveLength(1);
+      expect(rows[0]).toMatchObject({ snapshot_id: 'snapshot-2', chunk_index: 0 });
+      expect(await EmbeddingModel.hasContentEmbedding('page-1', 'hash-1', model)).toBe(false);
+      expect(await EmbeddingModel.hasContentEmbedding('page-1', 'hash-2', 'other-model')).toBe(
+        false
+      );
+    });
+
+    test('Should embed with the platform provider when vectors would not fit the column', async () => {
+      const localProvider = createFakeProvider({ dimensions: 768 });
+      jest.spyOn(localProvider, 'embed');
+      setProviderOverride(localProvider);
+      process.env.AI_EMBEDDING_PROVIDER = 'fake';
+
+      try {
+        const result = await generateEmbeddings(['alpha']);
+
+        expect(localProvider.embed).not.toHaveBeenCalled();
+        expect(result.embeddings[0]).toHaveLength(EmbeddingModel.EMBEDDING_DIMENSIONS);
+
+        delete process.env.AI_EMBEDDING_PROVIDER;
+        expect(await getEmbeddingModel()).toBe('text-embedding-3-small');
+      } finally {
+        delete process.env.AI_EMBEDDING_PROVIDER;
+        setProviderOverride('fake');
+      }
+    });
+
+    test('Should reject vectors the embeddings column cannot store', async () => {
+      await expect(
+        EmbeddingModel.replacePageEmbeddings(snapshot, 'project-1', 'nomic-embed-text', [
+          { text: 'alpha', embedding: [0.1, 0.2] }
+        ])
+      ).rejects.toThrow('1536 dimensions');
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Unit Tests for Versioned Rubrics
+ *
+ * Tests rubric definition validation and which rubric version a project or
+ * organization is scored with, against in-memory tables - without requiring
+ * server, database, or external services.
+ */
+
+const RubricModel = require('../../../server/models/rubric');
+const OrganizationModel = require('../../../server/models/organization');
+const {
+  getActiveRubric,
+  resolveRubric,
+  clearRubricSelections
+} = require('../../../server/crawler/rubrics');
+
+/**
+ * Minimal Supabase client serving single-row lookups from in-memory tables
+ */
+function createClient(tables) {
+  return {
+    from(table) {
+      const filters = [];
+      const query = {
+        select: () => query,
+        eq: (column, value) => {
+          filters.push(row => row[column] === value);
+          return query;
+        },
+        order: () => query,
+        limit: () => query,
+        single: async () => {
+          const row = (tables[table] || []).find(candidate =>
+            filters.every(filter => filter(candidate))
+          );
+          return row ? { data: row, error: null } : { data: null, error: { code: 'PGRST116' } };
+        }
+      };
+      return query;
+    }
+  };
+}
+
+describe('Rubric Unit Tests', () => {
+  let definition;
+
+  beforeAll(async () => {
+    definition = structuredClone(await getActiveRubric());
+  });
+
+  describe('Definition Validation', () => {
+    test('Should accept the built-in rubric', () => {
+      expect(RubricModel.validateDefinition(definition)).toEqual({ valid: true, errors: [] });
+    });
+
+    test('Should reject criteria scores cannot store', () => {
+      const custom = structuredClone(definition);
+      custom.categories[0].criteria.push({
+        name: 'made_up',
+        description: 'Not a known criterion',
+        scoringGuidance: '0-100'
+      });
+
+      const result = RubricModel.validateDefinition(custom);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Unknown criterion: made_up');
+    });
+
+    test('Should reject duplicate criteria, bad weights and unknown page types', () => {
+      const custom = structuredClone(definition);
+      custom.categories[1].criteria.push(custom.categories[0].criteria[0]);
+      custom.categories[0].weight = 2;
+      custom.pageTypeRubrics.landing = {};
+
+      const { errors } = RubricModel.validateDefinition(custom);
+
+      expect(errors).toHaveLength(3);
+    });
+
+    test('Should reject non-object definitions', () => {
+      expect(RubricModel.validateDefinition(null).valid).toBe(false);
+      expect(RubricModel.validateDefinition([]).valid).toBe(false);
+    });
+  });
+
+  describe('Rubric Resolution', () => {
+    let custom;
+
+    beforeAll(() => {
+      custom = structuredClone(definition);
+      custom.categories = custom.categories.slice(0, 1);
+
+      const tables = {
+        organizations: [
+          { id: 'org-1', settings: { rubric: { rubric_id: 'rubric-1' } } },
+          { id: 'org-2', settings: {} }
+        ],
+        projects: [
+          { id: 'project-1', organization_id: 'org-1', config: {} },
+          { id: 'project-2', organization_id: 'org-1', config: { rubric_id: 'rubric-2' } },
+          { id: 'project-3', organization_id: 'org-2', config: { rubric_id: 'rubric-1' } }
+        ],
+        rubrics: [
+          {
+            id: 'rubric-1',
+            organization_id: 'org-1',
+            versions: [
+              { id: 'version-1', version: 1, status: 'published' },
+              { id: 'version-2', version: 2, status: 'published' },
+              { id: 'version-3', version: 3, status: 'draft' }
+            ]
+          },
+          {
+            id: 'rubric-2',
+            organization_id: 'org-1',
+            versions: [{ id: 'version-4', version: 1, status: 'draft' }]
+          }
+        ],
+        rubric_versions: [{ id: 'version-2', status: 'published', definition: custom }]
+      };
+
+      RubricModel.setSupabaseClient(createClient(tables));
+      OrganizationModel.setSupabaseClient(createClient(tables));
+      clearRubricSelections();
+    });
+
+    afterAll(() => {
+      RubricModel.setSupabaseClient(null);
+      OrganizationModel.setSupabaseClient(null);
+    });
+
+    test('Should use the built-in rubric without a context', async () => {
+      const resolved = await resolveRubric(null);
+
+      expect(resolved.source).toBe('default');
+      expect(resolved.version).toBe(definition.version);
+      expect(resolved.rubricId).toBeNull();
+    });
+
+    test('Should use the latest published version of the organization rubric', async () => {
+      const resolved = await resolveRubric({ projectId: 'project-1' });
+
+      expect(resolved.source).toBe('organization');
+      expect(resolved.rubricId).toBe('rubric-1');
+      expect(resolved.version).toBe('version-2');
+      expect(resolved.rubric.categories).toHaveLength(1);
+    });
+
+    test('Should never score with an unpublished project rubric', async () => {
+      const resolved = await resolveRubric({ projectId: 'project-2' });
+
+      expect(resolved.source).toBe('default');
+      expect(resolved.version).toBe(definition.version);
+    });
+
+    test('Should ignore rubrics of another organization', async () => {
+      const resolved = await resolveRubric({ projectId: 'project-3' });
+
+      expect(resolved.source).toBe('default');
+    });
+  });
+});
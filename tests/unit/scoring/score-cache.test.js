@@ -0,0 +1,154 @@
+/**
+ * Unit Tests for the Score Cache
+ *
+ * Tests cache keys, hit rates and cache lookups of the scorer against the fake
+ * provider and an in-memory page_scores table - without requiring server,
+ * database, or external services.
+ */
+
+const PageScoreModel = require('../../../server/models/score');
+const OrganizationModel = require('../../../server/models/organization');
+const { setProviderOverride } = require('../../../server/services/ai/providers');
+const { scorePage, findCachedScore } = require('../../../server/crawler/ai-scorer');
+
+/**
+ * Minimal Supabase client serving single-row lookups from an array
+ * (organizations are never found, so the default rubric is used)
+ */
+function createScoresClient(rows) {
+  return {
+    from() {
+      const filters = [];
+      const query = {
+        select: () => query,
+        eq: (column, value) => {
+          filters.push(row => row[column] === value);
+          return query;
+        },
+        order: () => query,
+        limit: () => query,
+        single: async () => {
+          const row = rows.find(candidate => filters.every(filter => filter(candidate)));
+          return row ? { data: row, error: null } : { data: null, error: { code: 'PGRST116' } };
+        }
+      };
+      return query;
+    }
+  };
+}
+
+describe('Score Cache Unit Tests', () => {
+  const snapshot = {
+    id: 'snapshot-2',
+    page_id: 'page-2',
+    content_hash: 'hash-1',
+    cleaned_text: 'Acme Widgets are durable steel widgets for industrial use.',
+    extraction: { page_type: 'product', title: 'Acme Widgets' }
+  };
+
+  beforeAll(() => {
+    setProviderOverride('fake');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    setProviderOverride(null);
+    PageScoreModel.setSupabaseClient(null);
+    OrganizationModel.setSupabaseClient(null);
+    console.warn.mockRestore();
+  });
+
+  describe('Cache Keys', () => {
+    test('Should include content hash, rubric version, page type and model', () => {
+      const key = PageScoreModel.generateCacheKey('hash-1', 'v1.1', 'product', 'gpt-4o');
+
+      expect(key).toBe('hash-1:v1.1:product:gpt-4o');
+      expect(PageScoreModel.generateCacheKey('hash-1', 'v1.1', 'blog', 'gpt-4o')).not.toBe(key);
+      expect(PageScoreModel.generateCacheKey('hash-1', 'v1.1', 'product', 'fake-chat')).not.toBe(
+        key
+      );
+    });
+
+    test('Should key scores without the criteria a snapshot has no data for', () => {
+      const compared = { js_dependency: { severity: 'none', missing: [], text_coverage: 1 } };
+
+      expect(PageScoreModel.getUnscoredCriteria({})).toEqual(['static_content']);
+      expect(PageScoreModel.getUnscoredCriteria(compared)).toEqual([]);
+      expect(
+        PageScoreModel.generateCacheKey('hash-1', 'v1.1', 'product', 'gpt-4o', ['static_content'])
+      ).toBe('hash-1:v1.1:product:gpt-4o:without=static_content');
+    });
+
+    test('Should calculate hit rates in percent', () => {
+      expect(PageScoreModel.getCacheHitRate(0, 0)).toBe(0);
+      expect(PageScoreModel.getCacheHitRate(1, 2)).toBe(33.3);
+      expect(PageScoreModel.getCacheHitRate(4, 0)).toBe(100);
+    });
+  });
+
+  describe('Cache Lookup', () => {
+    let cacheKey;
+    let rows;
+
+    beforeAll(async () => {
+      const scored = await scorePage(snapshot, { useCache: false });
+      cacheKey = scored.aiCacheKey;
+      rows = [
+        {
+          id: 'score-1',
+          organization_id: 'org-1',
+          ai_cache_key: cacheKey,
+          cache_hit: false,
+          rubric_version: scored.rubricVersion,
+          overall_score: scored.overallScore,
+          criteria_scores: scored.criteriaScores,
+          criteria_explanations: scored.criteriaExplanations,
+          ai_recommendations: scored.aiRecommendations
+        }
+      ];
+      PageScoreModel.setSupabaseClient(createScoresClient(rows));
+      OrganizationModel.setSupabaseClient(createScoresClient(rows));
+    });
+
+    test('Should reuse a score of the same organization without tokens', async () => {
+      const cached = await scorePage(snapshot, { organizationId: 'org-1' });
+
+      expect(cached.cacheHit).toBe(true);
+      expect(cached.cachedFromScoreId).toBe('score-1');
+      expect(cached.aiCacheKey).toBe(cacheKey);
+      expect(cached.aiModel).toBe('fake-chat');
+      expect(cached.aiTokensUsed).toBe(0);
+      expect(cached.criteriaScores).toEqual(rows[0].criteria_scores);
+    });
+
+    test('Should not share scores across organizations', async () => {
+      expect(await findCachedScore(snapshot, { organizationId: 'org-2' })).toBeNull();
+
+      const scored = await scorePage(snapshot, { organizationId: 'org-2' });
+      expect(scored.cacheHit).toBe(false);
+      expect(scored.aiTokensUsed).toBeGreaterThan(0);
+    });
+
+    test('Should leave static content out of scores without a static/rendered comparison', async () => {
+      expect(rows[0].criteria_scores).not.toHaveProperty('static_content');
+      expect(cacheKey).toMatch(/:without=static_content$/);
+
+      const compared = await scorePage(
+        { ...snapshot, js_dependency: { severity: 'none', missing: [], text_coverage: 1 } },
+        { organizationId: 'org-1' }
+      );
+      expect(compared.cacheHit).toBe(false);
+      expect(compared.criteriaScores).toHaveProperty('static_content');
+    });
+
+    test('Should miss for another page type', async () => {
+      const cached = await findCachedScore(snapshot, { organizationId: 'org-1', pageType: 'blog' });
+
+      expect(cached).toBeNull();
+    });
+
+    test('Should skip the lookup without an organization', async () => {
+      expect(await findCachedScore(snapshot)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit Tests for Automatic Scoring Budget
+ *
+ * Tests cost estimation and per-run/per-month budget checks without
+ * requiring server, database, or external services.
+ */
+
+const {
+  resolveScoringBudget,
+  estimateScoringCost,
+  checkScoringBudget,
+  getMonthStart,
+  getScoringModel,
+  PROMPT_OVERHEAD_TOKENS,
+  SCORING_OUTPUT_TOKENS
+} = require('../../../server/utils/scoring-budget');
+const { estimateRequestCost } = require('../../../server/utils/token-counter');
+const { setProviderOverride } = require('../../../server/services/ai/providers');
+
+describe('Scoring Budget Unit Tests', () => {
+  const noUsage = { run: { tokens: 0, usd: 0 }, month: { tokens: 0, usd: 0 } };
+
+  describe('Budget Configuration', () => {
+    test('Should read budget fields from project config', () => {
+      expect(
+        resolveScoringBudget({
+          auto_score_run_budget_tokens: 50000,
+          auto_score_monthly_budget_usd: 25
+        })
+      ).toEqual({ runTokens: 50000, runUsd: null, monthlyTokens: null, monthlyUsd: 25 });
+      expect(resolveScoringBudget(undefined).runTokens).toBeNull();
+    });
+  });
+
+  describe('Cost Estimation', () => {
+    test('Should price output tokens higher than input tokens', () => {
+      expect(estimateRequestCost(1000, 0, 'gpt-4')).toBeCloseTo(0.03);
+      expect(estimateRequestCost(0, 1000, 'gpt-4')).toBeCloseTo(0.06);
+    });
+
+    test('Should include prompt overhead and expected output', () => {
+      const estimate = estimateScoringCost({ cleaned_text: '' }, 'gpt-4');
+      expect(estimate.tokens).toBe(PROMPT_OVERHEAD_TOKENS + SCORING_OUTPUT_TOKENS);
+      expect(estimate.usd).toBeGreaterThan(0);
+    });
+
+    test('Should estimate more for long pages that need summarizing', () => {
+      const short = estimateScoringCost({ cleaned_text: 'Short page.' }, 'gpt-4');
+      const long = estimateScoringCost({ cleaned_text: 'word '.repeat(3000) }, 'gpt-4');
+      expect(long.tokens).toBeGreaterThan(short.tokens + 3000);
+    });
+
+    test('Should estimate with the model of the resolved provider', async () => {
+      setProviderOverride('fake');
+
+      try {
+        expect(await getScoringModel({ projectId: 'project-1' })).toBe('fake-chat');
+      } finally {
+        setProviderOverride(null);
+      }
+    });
+  });
+
+  describe('Budget Checks', () => {
+    test('Should allow scoring when no budget is set', () => {
+      const budget = resolveScoringBudget({});
+      expect(checkScoringBudget(budget, noUsage, { tokens: 1e9, usd: 1e6 })).toEqual({
+        allowed: true,
+        reason: null
+      });
+    });
+
+    test('Should stop before the per-run budget is exceeded', () => {
+      const budget = resolveScoringBudget({ auto_score_run_budget_tokens: 10000 });
+      const usage = { run: { tokens: 8000, usd: 0 }, month: { tokens: 8000, usd: 0 } };
+
+      expect(checkScoringBudget(budget, usage, { tokens: 2000, usd: 0 }).allowed).toBe(true);
+      expect(checkScoringBudget(budget, usage, { tokens: 2500, usd: 0 })).toEqual({
+        allowed: false,
+        reason: 'run_tokens'
+      });
+    });
+
+    test('Should count usage of earlier runs towards the monthly budget', () => {
+      const budget = resolveScoringBudget({ auto_score_monthly_budget_usd: 5 });
+      const usage = { run: { tokens: 0, usd: 0 }, month: { tokens: 0, usd: 4.95 } };
+
+      expect(checkScoringBudget(budget, usage, { tokens: 3000, usd: 0.1 })).toEqual({
+        allowed: false,
+        reason: 'monthly_usd'
+      });
+    });
+
+    test('Should use the first day of the month in UTC', () => {
+      expect(getMonthStart(new Date('2025-11-15T12:30:00Z'))).toBe('2025-11-01T00:00:00.000Z');
+    });
+  });
+});